@@ -11,6 +11,10 @@ import logger from './shared/utils/logger.js';
 import authRoutes from './modules/auth/auth.routes.js';
 // Import payment routes
 import paymentRoutes from './modules/payment/payment.routes.js';
+import adminRoutes from './modules/admin/admin.routes.js';
+import mediaRoutes from './modules/media/media.routes.js';
+import notificationRoutes from './modules/notification/notification.routes.js';
+import storageConfig, { STORAGE_DRIVERS } from './config/storage.js';
 
 
 export function setupMiddleware(app) {
@@ -43,8 +47,15 @@ export function setupMiddleware(app) {
     allowedHeaders: ['Content-Type', 'Authorization']
   }));
   
-  // Body parsing
-  app.use(express.json({ limit: '10mb' }));
+  // Body parsing (raw body kept for webhook signature verification)
+  app.use(express.json({
+    limit: '10mb',
+    verify: (req, res, buf, encoding) => {
+      if (req.url && req.url.includes('/webhooks/')) {
+        req.rawBody = buf.toString(encoding || 'utf8');
+      }
+    },
+  }));
   app.use(express.urlencoded({ extended: true, limit: '10mb' }));
   
   // Sanitization
@@ -93,6 +104,14 @@ export function setupMiddleware(app) {
     next();
   });
   app.use('/api/auth', authRoutes);
+  app.use('/api/admin', adminRoutes);
+  app.use('/api/media', mediaRoutes);
+  app.use('/api/notifications', notificationRoutes);
+
+  // Serve files written by the local storage driver (dev / CI)
+  if (storageConfig.driver === STORAGE_DRIVERS.LOCAL) {
+    app.use(storageConfig.local.mountPath, express.static(storageConfig.local.root));
+  }
   // Health check
   // ============================
 // PAYMENT MODULE SETUP
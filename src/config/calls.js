@@ -0,0 +1,30 @@
+// src/config/calls.js
+
+/**
+ * Voice/video call configuration
+ * TURN credentials follow the TURN REST API scheme (coturn's use-auth-secret):
+ * the username is "<expiry>:<userId>" and the password an HMAC-SHA1 of it
+ * keyed with TURN_SECRET. Without a secret only STUN servers are handed out.
+ */
+const splitUrls = (value) => (value ? value.split(',').map(url => url.trim()).filter(Boolean) : []);
+
+const callsConfig = {
+  stunUrls: splitUrls(process.env.STUN_URLS || 'stun:stun.l.google.com:19302'),
+
+  turn: {
+    urls: splitUrls(process.env.TURN_URLS),
+    secret: process.env.TURN_SECRET,
+    // Lifetime of issued TURN credentials (seconds)
+    credentialTtl: parseInt(process.env.TURN_CREDENTIAL_TTL) || 3600,
+  },
+
+  // Unanswered calls end as missed after this many seconds
+  ringTimeoutSeconds: parseInt(process.env.CALL_RING_TIMEOUT) || 45,
+
+  // Connected calls nobody hung up on are closed by the cleanup job
+  maxDurationMinutes: parseInt(process.env.CALL_MAX_DURATION) || 120,
+
+  historyPageSize: 20,
+};
+
+export default callsConfig;
@@ -0,0 +1,22 @@
+// src/config/cloudinary.js
+import { v2 as cloudinary } from 'cloudinary';
+import logger from '../shared/utils/logger.js';
+
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET,
+  secure: true,
+});
+
+export const isCloudinaryConfigured = () => Boolean(
+  process.env.CLOUDINARY_CLOUD_NAME &&
+  process.env.CLOUDINARY_API_KEY &&
+  process.env.CLOUDINARY_API_SECRET
+);
+
+if (!isCloudinaryConfigured() && process.env.STORAGE_DRIVER === 'cloudinary') {
+  logger.warn('Cloudinary credentials are not configured');
+}
+
+export default cloudinary;
@@ -54,6 +54,10 @@ export const ERROR_CODES = {
   EXPIRED: "EXPIRED",
   TIMEOUT: "TIMEOUT",
   DATABASE_ERROR: "DATABASE_ERROR",
+  INVALID_FORMAT: "INVALID_FORMAT",
+  PAYLOAD_TOO_LARGE: "PAYLOAD_TOO_LARGE",
+  PROVIDER_ERROR: "PROVIDER_ERROR",
+  SERVICE_UNAVAILABLE: "SERVICE_UNAVAILABLE",
 
   // Authentication
   INVALID_CREDENTIALS: "INVALID_CREDENTIALS",
@@ -64,6 +68,7 @@ export const ERROR_CODES = {
   EMAIL_NOT_VERIFIED: "EMAIL_NOT_VERIFIED",
   PHONE_NOT_VERIFIED: "PHONE_NOT_VERIFIED",
   INVALID_OTP: "INVALID_OTP",
+  TWO_FACTOR_NOT_ENABLED: "TWO_FACTOR_NOT_ENABLED",
 
   // User
   USER_NOT_FOUND: "USER_NOT_FOUND",
@@ -71,6 +76,8 @@ export const ERROR_CODES = {
   USER_BANNED: "USER_BANNED",
   USER_INACTIVE: "USER_INACTIVE",
   PROFILE_INCOMPLETE: "PROFILE_INCOMPLETE",
+  INVALID_LOCATION: "INVALID_LOCATION",
+  INVALID_TIME: "INVALID_TIME",
 
   // Limits
   RATE_LIMIT_EXCEEDED: "RATE_LIMIT_EXCEEDED",
@@ -82,20 +89,86 @@ export const ERROR_CODES = {
   PAYMENT_FAILED: "PAYMENT_FAILED",
   INSUFFICIENT_CREDITS: "INSUFFICIENT_CREDITS",
 
+  // Gifts
+  GIFT_NOT_FOUND: "GIFT_NOT_FOUND",
+  GIFT_UNAVAILABLE: "GIFT_UNAVAILABLE",
+
+  // Stickers
+  STICKER_NOT_FOUND: "STICKER_NOT_FOUND",
+  STICKER_PACK_NOT_FOUND: "STICKER_PACK_NOT_FOUND",
+  STICKER_PACK_LOCKED: "STICKER_PACK_LOCKED",
+
+  // End-to-end encryption
+  KEY_BUNDLE_NOT_FOUND: "KEY_BUNDLE_NOT_FOUND",
+  E2EE_REQUIRED: "E2EE_REQUIRED",
+  E2EE_NOT_ENABLED: "E2EE_NOT_ENABLED",
+  MESSAGE_ENCRYPTED: "MESSAGE_ENCRYPTED",
+
+  // Translation
+  TRANSLATION_UNAVAILABLE: "TRANSLATION_UNAVAILABLE",
+
   // Media
   FILE_TOO_LARGE: "FILE_TOO_LARGE",
   INVALID_FILE_TYPE: "INVALID_FILE_TYPE",
   UPLOAD_FAILED: "UPLOAD_FAILED",
+  INVALID_FILE: "INVALID_FILE",
+  INVALID_MEDIA: "INVALID_MEDIA",
+  INAPPROPRIATE_CONTENT: "INAPPROPRIATE_CONTENT",
 
   // Match
   ALREADY_SWIPED: "ALREADY_SWIPED",
   MATCH_NOT_FOUND: "MATCH_NOT_FOUND",
   NOT_MATCHED: "NOT_MATCHED",
+  MATCH_INACTIVE: "MATCH_INACTIVE",
+  DATE_NOT_FOUND: "DATE_NOT_FOUND",
+  INVALID_DATE_TRANSITION: "INVALID_DATE_TRANSITION",
+
+  // Safety
+  SAFETY_PLAN_NOT_FOUND: "SAFETY_PLAN_NOT_FOUND",
+  SAFETY_LINK_EXPIRED: "SAFETY_LINK_EXPIRED",
+  TRUSTED_CONTACT_LIMIT: "TRUSTED_CONTACT_LIMIT",
+  NO_TRUSTED_CONTACTS: "NO_TRUSTED_CONTACTS",
 
   // Chat
   MESSAGE_NOT_FOUND: "MESSAGE_NOT_FOUND",
   CANNOT_MESSAGE: "CANNOT_MESSAGE",
   MESSAGE_TOO_LONG: "MESSAGE_TOO_LONG",
+  CHAT_DISABLED: "CHAT_DISABLED",
+  SPAM_DETECTED: "SPAM_DETECTED",
+  EDIT_TIME_EXPIRED: "EDIT_TIME_EXPIRED",
+  MESSAGE_SEND_FAILED: "MESSAGE_SEND_FAILED",
+  MESSAGE_EDIT_FAILED: "MESSAGE_EDIT_FAILED",
+  MESSAGE_DELETE_FAILED: "MESSAGE_DELETE_FAILED",
+  VOICE_SEND_FAILED: "VOICE_SEND_FAILED",
+  LOCATION_SHARE_FAILED: "LOCATION_SHARE_FAILED",
+  REACTION_FAILED: "REACTION_FAILED",
+  SEARCH_FAILED: "SEARCH_FAILED",
+  HISTORY_LOAD_FAILED: "HISTORY_LOAD_FAILED",
+  EXPORT_FAILED: "EXPORT_FAILED",
+  EXPORT_IN_PROGRESS: "EXPORT_IN_PROGRESS",
+  EXPORT_NOT_FOUND: "EXPORT_NOT_FOUND",
+  CLEAR_FAILED: "CLEAR_FAILED",
+
+  // Calls
+  CALL_NOT_FOUND: "CALL_NOT_FOUND",
+  CALL_FAILED: "CALL_FAILED",
+  CALL_ACCEPT_FAILED: "CALL_ACCEPT_FAILED",
+  CALL_BUSY: "CALL_BUSY",
+  VIDEO_CONSENT_REQUIRED: "VIDEO_CONSENT_REQUIRED",
+
+  // Games
+  GAME_NOT_FOUND: "GAME_NOT_FOUND",
+  INVALID_GAME_DATA: "INVALID_GAME_DATA",
+  GAME_INVITE_FAILED: "GAME_INVITE_FAILED",
+  GAME_ACCEPT_FAILED: "GAME_ACCEPT_FAILED",
+  GAME_MOVE_FAILED: "GAME_MOVE_FAILED",
+  INVALID_GAME_MOVE: "INVALID_GAME_MOVE",
+  NOT_YOUR_TURN: "NOT_YOUR_TURN",
+  GAME_IN_PROGRESS: "GAME_IN_PROGRESS",
+
+  // Email
+  EMAIL_SEND_FAILED: "EMAIL_SEND_FAILED",
+  EMAIL_SUPPRESSED: "EMAIL_SUPPRESSED",
 };
 
 /**
@@ -112,6 +185,7 @@ export const USER_CONSTANTS = {
   DEFAULT_SEARCH_RADIUS: 50, // km
   DAILY_LIKE_LIMIT: 100, // Free users
   DAILY_SUPER_LIKE_LIMIT: 1, // Free users
+  DAILY_REWIND_LIMIT: 1, // Free users
   MESSAGE_MAX_LENGTH: 1000,
   MIN_PASSWORD_LENGTH: 8,
   MAX_PASSWORD_LENGTH: 128,
@@ -351,6 +425,42 @@ export const SWIPE_ACTIONS = {
   SUPER_LIKE: "superlike",
 };
 
+/**
+ * Offline Swipe Batches
+ * Each queued swipe is applied in order and reports one of these results.
+ */
+export const SWIPE_BATCH_STATUS = {
+  APPLIED: "applied",
+  REPLAYED: "replayed", // Idempotency key seen before; original result returned
+  DUPLICATE: "duplicate", // Target already swiped
+  REJECTED: "rejected",
+};
+
+export const SWIPE_BATCH_CONSTANTS = {
+  MAX_BATCH_SIZE: 50,
+  MAX_CLIENT_AGE_HOURS: 72, // Swipes queued longer than this are rejected
+  MAX_CLOCK_SKEW_MINUTES: 5,
+};
+
+/**
+ * Voice/Video Calls
+ * A call rings until the callee answers, declines or the ring times out.
+ * Ringing calls that are never answered end as missed.
+ */
+export const CALL_TYPES = {
+  VOICE: "voice",
+  VIDEO: "video",
+};
+
+export const CALL_STATUS = {
+  RINGING: "ringing",
+  CONNECTED: "connected",
+  COMPLETED: "completed",
+  MISSED: "missed",
+  DECLINED: "declined",
+  FAILED: "failed",
+};
+
 /**
  * Match Status
  */
@@ -361,6 +471,182 @@ export const MATCH_STATUS = {
   DELETED: "deleted",
 };
 
+/**
+ * Date Planning
+ * A proposal moves proposed -> countered (any number of times) ->
+ * accepted/declined, and an accepted date ends completed (after a check-in)
+ * or cancelled. Accepted dates can be rescheduled, which counters them again.
+ */
+export const DATE_STATUS = {
+  PROPOSED: "proposed",
+  COUNTERED: "countered",
+  ACCEPTED: "accepted",
+  DECLINED: "declined",
+  COMPLETED: "completed",
+  CANCELLED: "cancelled",
+};
+
+export const DATE_STATUS_TRANSITIONS = {
+  proposed: ["countered", "accepted", "declined", "cancelled"],
+  countered: ["countered", "accepted", "declined", "cancelled"],
+  accepted: ["countered", "completed", "cancelled"],
+  declined: [],
+  completed: [],
+  cancelled: [],
+};
+
+export const DATE_ACTIVITIES = {
+  COFFEE: "coffee",
+  DRINKS: "drinks",
+  DINNER: "dinner",
+  LUNCH: "lunch",
+  WALK: "walk",
+  MOVIE: "movie",
+  MUSEUM: "museum",
+  CONCERT: "concert",
+  SPORTS: "sports",
+  VIDEO_CALL: "video_call",
+  OTHER: "other",
+};
+
+export const DATE_CONSTANTS = {
+  MAX_TIME_SLOTS: 3,
+  MAX_COUNTERS: 10,
+  DEFAULT_DURATION_MINUTES: 120,
+  MAX_DURATION_MINUTES: 720,
+  MIN_LEAD_MINUTES: 60, // Earliest a slot can start from now
+  MAX_DAYS_AHEAD: 90,
+  // Reminders sent before an accepted date, in minutes
+  REMINDERS: {
+    day_before: 24 * 60,
+    hour_before: 60,
+  },
+  CHECK_IN_DELAY_MINUTES: 60, // After the date ends
+  CHECK_IN_WINDOW_DAYS: 7,
+};
+
+/**
+ * Date Safety
+ * A safety plan shares a date's details with the user's trusted contacts
+ * through an expiring link. Its optional check-in timer nudges the user when
+ * it runs out and alerts the contacts if they still haven't confirmed they're
+ * safe after the grace period.
+ */
+export const SAFETY_CHECK_IN_STATUS = {
+  PENDING: "pending",
+  CONFIRMED: "confirmed",
+  ESCALATED: "escalated",
+  CANCELLED: "cancelled",
+};
+
+export const SAFETY_CONSTANTS = {
+  MAX_TRUSTED_CONTACTS: 5,
+  // Share links stay valid this long after the date starts
+  DEFAULT_SHARE_HOURS: 12,
+  MAX_SHARE_HOURS: 48,
+  MIN_CHECK_IN_MINUTES: 15,
+  MAX_CHECK_IN_MINUTES: 12 * 60,
+  CHECK_IN_GRACE_MINUTES: 10,
+  DEFAULT_LIVE_LOCATION_MINUTES: 120,
+  MAX_LIVE_LOCATION_MINUTES: 8 * 60,
+  LIVE_LOCATION_UPDATE_SECONDS: 60,
+  MAX_NOTE_LENGTH: 300,
+};
+
+/**
+ * Icebreakers
+ */
+export const ICEBREAKER_CONSTANTS = {
+  SUGGESTION_LIMIT: 5,
+  MAX_SUGGESTION_LIMIT: 10,
+  MAX_CUSTOM_LENGTH: 300,
+  MAX_PROMPT_ANSWER_LENGTH: 80,
+  // Reply-rate learning: a template starts at PRIOR_REPLY_RATE and moves
+  // towards its observed rate as it collects PRIOR_WEIGHT or more sends
+  STATS_WINDOW_DAYS: 90,
+  PRIOR_REPLY_RATE: 0.3,
+  PRIOR_WEIGHT: 20,
+  STATS_CACHE_TTL: 3600, // 1 hour
+};
+
+/**
+ * Passport (virtual location)
+ */
+export const PASSPORT_CONSTANTS = {
+  MAX_RECENT_DESTINATIONS: 10,
+  // Picking a place within this radius of a recent destination reuses it
+  SAME_DESTINATION_RADIUS_KM: 25,
+  // Jump limits, so the map cannot be scraped by hopping around
+  MIN_JUMP_INTERVAL_SECONDS: 60,
+  MAX_JUMPS_PER_HOUR: 5,
+  MAX_JUMPS_PER_DAY: 15,
+};
+
+/**
+ * Explore categories (themed discovery pools)
+ */
+export const EXPLORE_CATEGORIES = {
+  LONG_TERM: "long_term",
+  MUSIC_LOVERS: "music_lovers",
+  VERIFIED_ONLY: "verified_only",
+  FREE_TONIGHT: "free_tonight",
+  SAME_LANGUAGE: "same_language",
+};
+
+export const EXPLORE_CONSTANTS = {
+  // Relationship goals that count as looking for something long-term
+  LONG_TERM_GOALS: [RELATIONSHIP_GOALS.RELATIONSHIP, RELATIONSHIP_GOALS.MARRIAGE],
+  // Interests (case-insensitive) that put someone in the music pool
+  MUSIC_INTERESTS: [
+    "music",
+    "concerts",
+    "festivals",
+    "live music",
+    "singing",
+    "karaoke",
+    "guitar",
+    "piano",
+    "djing",
+    "playing music",
+  ],
+  // "Free tonight" memberships lapse at this local hour
+  TONIGHT_ENDS_AT_HOUR: 4,
+  MAX_PAGE_SIZE: 50,
+};
+
+/**
+ * Activity feed and conversation streaks
+ */
+export const ACTIVITY_TYPES = {
+  NEW_MATCH: "new_match",
+  LIKE_RECEIVED: "like_received",
+  PROFILE_UPDATED: "profile_updated",
+  MATCH_EXPIRING: "match_expiring",
+  DATE_PROPOSAL: "date_proposal",
+  GIFT_RECEIVED: "gift_received",
+};
+
+export const ACTIVITY_CONSTANTS = {
+  FEED_PAGE_SIZE: 20,
+  MAX_FEED_PAGE_SIZE: 50,
+  // Profile changes a match hears about
+  FEED_PROFILE_FIELDS: ["photos", "bio", "prompts", "interests"],
+  // A match nobody has messaged goes stale after this many days; it shows
+  // in the feed as expiring for the last EXPIRING_NOTICE_HOURS
+  MATCH_EXPIRY_DAYS: 7,
+  EXPIRING_NOTICE_HOURS: 24,
+  // A streak day counts once both people have messaged on the same UTC day
+  STREAK_REMINDER_MIN_DAYS: 3,
+  STREAK_AT_RISK_HOURS: 6, // Remind when this many hours of the day are left
+  // Streak length in days => coins credited to both people, once per match
+  STREAK_MILESTONES: {
+    3: 10,
+    7: 25,
+    30: 100,
+    100: 300,
+  },
+};
+
 /**
  * Message Types
  */
@@ -370,9 +656,121 @@ export const MESSAGE_TYPES = {
   VIDEO: "video",
   AUDIO: "audio",
   GIF: "gif",
+  STICKER: "sticker",
   LOCATION: "location",
   SPOTIFY: "spotify",
   INSTAGRAM: "instagram",
+  VIRTUAL_GIFT: "virtual_gift",
+  CALL: "call",
+  GAME_INVITE: "game_invite",
+  GAME_RESULT: "game_result",
+  // Notices from the server, e.g. encryption turned on
+  SYSTEM: "system",
+};
+
+/**
+ * In-chat games
+ * Rules live in src/modules/chat/games; the server validates every move.
+ * A match has at most one pending or active game at a time.
+ */
+export const GAME_TYPES = {
+  TWO_TRUTHS: "two_truths",
+  WOULD_YOU_RATHER: "would_you_rather",
+  THIS_OR_THAT: "this_or_that",
+  TIC_TAC_TOE: "tic_tac_toe",
+  TWENTY_QUESTIONS: "twenty_questions",
+};
+
+export const GAME_STATUS = {
+  PENDING: "pending",
+  ACTIVE: "active",
+  COMPLETED: "completed",
+  DECLINED: "declined",
+  EXPIRED: "expired",
+  FORFEITED: "forfeited",
+};
+
+export const GAME_CONSTANTS = {
+  INVITE_TTL_MINUTES: 60,
+  // Time a player has for their move before they forfeit
+  TURN_TIMEOUT_SECONDS: 180,
+  HISTORY_PAGE_SIZE: 20,
+};
+
+/**
+ * Sticker packs
+ * A pack is free, unlocked by a subscription tier (`minTier`), sold as an
+ * in-app product (`product`, a key of ONE_TIME_PURCHASES.stickerPacks), or
+ * both. Every change to a pack bumps its version so clients can sync deltas.
+ */
+export const STICKER_PACK_STATUS = {
+  DRAFT: "draft",
+  PUBLISHED: "published",
+  // Unlisted; people who own it can keep using it
+  RETIRED: "retired",
+};
+
+export const STICKER_CONSTANTS = {
+  MAX_STICKERS_PER_PACK: 60,
+  MAX_RECENT: 30,
+  IMAGE_SIZE: 512,
+};
+
+/**
+ * Chat translation
+ * Languages the offline detector knows and users can pick as their chat
+ * language. Providers may support more, but only these are auto-translated.
+ */
+export const TRANSLATION_LANGUAGES = ["en", "vi", "es", "fr", "de", "pt"];
+
+/**
+ * Chat export
+ * JSON and text are returned straight away. PDF and HTML are rendered by a
+ * background job, stored privately and sent as an expiring download link;
+ * the file is deleted when the link expires. Every export is recorded in
+ * match.chat.exports.
+ */
+export const CHAT_EXPORT_CONSTANTS = {
+  FORMATS: ["json", "txt", "pdf", "html"],
+  RENDERED_FORMATS: ["pdf", "html"],
+  STATUS: {
+    QUEUED: "queued",
+    PROCESSING: "processing",
+    COMPLETED: "completed",
+    FAILED: "failed",
+    EXPIRED: "expired",
+  },
+  LINK_TTL: 24 * 60 * 60, // seconds
+  // A queued export older than this no longer blocks a new one
+  STALE_AFTER: 60 * 60 * 1000,
+  MAX_THUMBNAILS: 200,
+  THUMBNAIL_SIZE: 240,
+  STORAGE_FOLDER: "chat-exports",
+  HISTORY_LIMIT: 50,
+};
+
+/**
+ * End-to-end encryption
+ * Opt-in per match. Clients publish a key bundle (identity key, signed
+ * prekey, one-time prekeys) and the server only relays ciphertext for the
+ * message types below; everything else in an encrypted match (gifts, games,
+ * stickers, calls) is created or checked by the server and stays readable.
+ */
+export const ENCRYPTION_CONSTANTS = {
+  PROTOCOLS: ["signal"],
+  ENCRYPTED_TYPES: [
+    MESSAGE_TYPES.TEXT,
+    MESSAGE_TYPES.IMAGE,
+    MESSAGE_TYPES.VIDEO,
+    MESSAGE_TYPES.AUDIO,
+    MESSAGE_TYPES.LOCATION,
+    MESSAGE_TYPES.GIF,
+  ],
+  MAX_ONE_TIME_PREKEYS: 100,
+  // Owners are asked to upload more once fewer than this are left
+  LOW_PREKEY_THRESHOLD: 10,
+  MAX_KEY_LENGTH: 256,
+  MAX_CIPHERTEXT_LENGTH: 65536,
 };
 
 /**
@@ -400,6 +798,28 @@ export const REPORT_REASONS = {
   OTHER: "other",
 };
 
+/**
+ * Report Status
+ */
+export const REPORT_STATUS = {
+  PENDING: "pending",
+  IN_REVIEW: "in_review",
+  ESCALATED: "escalated",
+  RESOLVED: "resolved",
+  DISMISSED: "dismissed",
+};
+
+/**
+ * Moderation Enforcement Actions
+ */
+export const ENFORCEMENT_ACTIONS = {
+  NONE: "none",
+  WARN: "warn",
+  SHADOW_BAN: "shadow_ban",
+  TEMP_BAN: "temp_ban",
+  PERMANENT_BAN: "permanent_ban",
+};
+
 /**
  * Notification Types
  */
@@ -413,6 +833,45 @@ export const NOTIFICATION_TYPES = {
   PHOTO_VERIFIED: "photo_verified",
   SYSTEM: "system",
   PROMOTION: "promotion",
+  DATE_PROPOSED: "date_proposed",
+  DATE_UPDATED: "date_updated",
+  DATE_ACCEPTED: "date_accepted",
+  DATE_DECLINED: "date_declined",
+  DATE_CANCELLED: "date_cancelled",
+  DATE_REMINDER: "date_reminder",
+  DATE_CHECK_IN: "date_check_in",
+  GIFT_RECEIVED: "gift_received",
+  BOOST_REPORT: "boost_report",
+  BOOST_REFUNDED: "boost_refunded",
+  STREAK_AT_RISK: "streak_at_risk",
+  STREAK_MILESTONE: "streak_milestone",
+  INCOMING_CALL: "incoming_call",
+  MISSED_CALL: "missed_call",
+  VIDEO_CHAT_REQUEST: "video_chat_request",
+  SAFETY_CHECK_IN: "safety_check_in",
+  SAFETY_ALERT_SENT: "safety_alert_sent",
+  GAME_INVITE: "game_invite",
+  GAME_TURN: "game_turn",
+  CHAT_EXPORT_READY: "chat_export_ready",
+};
+
+/**
+ * Notification Priorities
+ */
+export const NOTIFICATION_PRIORITIES = {
+  LOW: "low",
+  NORMAL: "normal",
+  HIGH: "high",
+  URGENT: "urgent",
+};
+
+/**
+ * Data retention for the cleanup job (in days)
+ */
+export const CLEANUP_CONSTANTS = {
+  NOTIFICATION_RETENTION_DAYS: 30,
+  SWIPE_RETENTION_DAYS: 90,
+  PASS_RETENTION_DAYS: 30,
 };
 
 /**
@@ -480,14 +939,19 @@ export const SOCKET_EVENTS = {
   // Matching
   NEW_MATCH: "match:new",
   MATCH_REMOVED: "match:removed",
+  DATE_UPDATED: "date:updated",
+  GIFT_RECEIVED: "gift:received",
+  INVENTORY_UPDATED: "inventory:updated",
 
   // Messaging
   MESSAGE_SEND: "message:send",
+  NEW_MESSAGE: "message:new",
   MESSAGE_EDIT: "message:edit",
   MESSAGE_RECEIVE: "message:receive",
   MESSAGE_DELIVERED: "message:delivered",
   MESSAGE_READ: "message:read",
   MESSAGE_DELETED: "message:deleted",
+  MESSAGE_TRANSLATED: "message:translated",
   MESSAGE_REACT: "message:react",
   TYPING_START: "typing:start",
   TYPING_STOP: "typing:stop",
@@ -499,6 +963,11 @@ export const SOCKET_EVENTS = {
   CALL_END: "call:end",
   CALL_ICE_CANDIDATE: "call:ice-candidate",
   CALL_SIGNAL: "call:signal",
+  CALL_INCOMING: "call:incoming",
+  CALL_ACCEPTED: "call:accepted",
+  CALL_REJECTED: "call:rejected",
+  CALL_ENDED: "call:ended",
+  CALL_CONSENT_UPDATED: "call:consent-updated",
 
   // Media
   MEDIA_UPLOAD: "media:upload",
@@ -528,6 +997,17 @@ export const SOCKET_EVENTS = {
   GAME_INVITE: "game:invite",
   GAME_ACCEPT: "game:accept",
   GAME_MOVE: "game:move",
+  GAME_DECLINE: "game:decline",
+  GAME_FORFEIT: "game:forfeit",
+  GAME_REJOIN: "game:rejoin",
+  GAME_STATE: "game:state",
+  GAME_ENDED: "game:ended",
+  GAME_PLAYER_STATUS: "game:player-status",
+
+  // End-to-end encryption
+  E2EE_ENABLED: "e2ee:enabled",
+  E2EE_KEY_CHANGED: "e2ee:key-changed",
+  E2EE_PREKEYS_LOW: "e2ee:prekeys-low",
 
   // Notifications
   NOTIFICATION_NEW: "notification:new",
@@ -537,6 +1017,7 @@ export const SOCKET_EVENTS = {
   // Real-time Updates
   PROFILE_UPDATE: "profile:update",
   BOOST_ACTIVATED: "boost:activated",
+  LIMITS_REPLENISHED: "limits:replenished",
   SUPER_LIKE_RECEIVED: "superlike:received",
 };
 
@@ -655,6 +1136,8 @@ export default {
   MESSAGE_TYPES,
   MESSAGE_STATUS,
   REPORT_REASONS,
+  REPORT_STATUS,
+  ENFORCEMENT_ACTIONS,
   NOTIFICATION_TYPES,
   CACHE_TTL,
   RATE_LIMITS,
@@ -16,6 +16,8 @@ class Database {
         socketTimeoutMS: 45000,
         family: 4, // Use IPv4
         authSource: 'admin',
+        // Production indexes are owned by migrations (npm run migrate)
+        autoIndex: process.env.NODE_ENV !== 'production',
       };
 
       // Set mongoose options
@@ -0,0 +1,57 @@
+// src/config/email.js
+import os from 'os';
+import path from 'path';
+
+/**
+ * Email delivery configuration
+ * EMAIL_TRANSPORTS is an ordered failover list: sendgrid | smtp | outbox.
+ * When unset, every configured provider is used (SendGrid first), and tests
+ * fall back to the file outbox.
+ */
+const defaultTransports = () => {
+  if (process.env.NODE_ENV === 'test') {
+    return ['outbox'];
+  }
+
+  const transports = [];
+  if (process.env.SENDGRID_API_KEY) transports.push('sendgrid');
+  if (process.env.SMTP_HOST) transports.push('smtp');
+
+  return transports.length > 0 ? transports : ['outbox'];
+};
+
+const emailConfig = {
+  transports: process.env.EMAIL_TRANSPORTS
+    ? process.env.EMAIL_TRANSPORTS.split(',').map(t => t.trim()).filter(Boolean)
+    : defaultTransports(),
+
+  from: {
+    email: process.env.EMAIL_FROM || process.env.FROM_EMAIL || 'noreply@tinderclone.com',
+    name: process.env.EMAIL_FROM_NAME || 'Tinder Clone',
+  },
+
+  appUrl: process.env.APP_URL || 'http://localhost:3000',
+
+  // Soft bounces tolerated before an address is suppressed
+  softBounceLimit: parseInt(process.env.EMAIL_SOFT_BOUNCE_LIMIT) || 3,
+
+  sendgrid: {
+    apiKey: process.env.SENDGRID_API_KEY,
+    // Verification key for the signed event webhook - required outside development and test
+    webhookPublicKey: process.env.SENDGRID_WEBHOOK_PUBLIC_KEY,
+  },
+
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    password: process.env.SMTP_PASSWORD,
+  },
+
+  outbox: {
+    dir: path.resolve(process.env.EMAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'tinder-outbox')),
+  },
+};
+
+export default emailConfig;
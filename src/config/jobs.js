@@ -0,0 +1,37 @@
+// src/config/jobs.js
+
+const parseList = (value) => (value || '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+/**
+ * Background job configuration
+ * PROCESS_ROLES picks what this process runs (comma separated):
+ *   api       - HTTP and sockets only, no background work
+ *   worker    - consumes queues
+ *   scheduler - campaigns for the scheduler lock and runs cron schedules while leader
+ * A single process runs all three by default. ENABLED_JOBS narrows the job
+ * set (e.g. "cleanup,limits"); all jobs run when unset.
+ */
+const jobsConfig = {
+  roles: parseList(process.env.PROCESS_ROLES || 'api,worker,scheduler'),
+
+  enabled: parseList(process.env.ENABLED_JOBS),
+
+  leader: {
+    // Redis lock resource shared by every scheduler candidate
+    resource: 'jobs:scheduler-leader',
+
+    // Lock lifetime - a crashed leader is replaced within this many seconds
+    ttl: parseInt(process.env.SCHEDULER_LOCK_TTL) || 30,
+
+    // How often the leader renews and followers campaign (ms)
+    renewInterval: parseInt(process.env.SCHEDULER_RENEW_INTERVAL) || 10000,
+  },
+
+  // Time allowed for in-flight queue jobs to finish on shutdown (ms)
+  shutdownTimeout: parseInt(process.env.JOBS_SHUTDOWN_TIMEOUT) || 30000,
+};
+
+export default jobsConfig;
@@ -0,0 +1,35 @@
+// src/config/push.js
+
+/**
+ * Push delivery configuration
+ * PUSH_TRANSPORT selects the transport: fcm | mock. When unset, FCM is used if
+ * Firebase credentials are present and the in-memory mock otherwise (always in tests).
+ */
+const defaultTransport = () => {
+  if (process.env.NODE_ENV === 'test') return 'mock';
+  return process.env.FIREBASE_PROJECT_ID ? 'fcm' : 'mock';
+};
+
+const pushConfig = {
+  transport: process.env.PUSH_TRANSPORT || defaultTransport(),
+
+  fcm: {
+    projectId: process.env.FIREBASE_PROJECT_ID,
+    clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+    privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+  },
+
+  // Devices kept per user - the least recently seen are dropped first
+  maxDevicesPerUser: parseInt(process.env.PUSH_MAX_DEVICES_PER_USER) || 10,
+
+  // Devices not seen for this many days are pruned by the cleanup job
+  staleDeviceDays: parseInt(process.env.PUSH_STALE_DEVICE_DAYS) || 60,
+
+  // Pushes sharing a collapse key within this window are coalesced (seconds)
+  collapseWindow: parseInt(process.env.PUSH_COLLAPSE_WINDOW) || 60,
+
+  // FCM multicast limit
+  batchSize: 500,
+};
+
+export default pushConfig;
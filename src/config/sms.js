@@ -0,0 +1,27 @@
+// src/config/sms.js
+
+/**
+ * SMS delivery configuration
+ * SMS_TRANSPORT selects the transport: twilio | mock. When unset, Twilio is
+ * used if its credentials are present and the in-memory mock otherwise
+ * (always in tests).
+ */
+const defaultTransport = () => {
+  if (process.env.NODE_ENV === 'test') return 'mock';
+  return process.env.TWILIO_ACCOUNT_SID ? 'twilio' : 'mock';
+};
+
+const smsConfig = {
+  transport: process.env.SMS_TRANSPORT || defaultTransport(),
+
+  twilio: {
+    accountSid: process.env.TWILIO_ACCOUNT_SID,
+    authToken: process.env.TWILIO_AUTH_TOKEN,
+    from: process.env.TWILIO_PHONE_NUMBER,
+  },
+
+  // Longer bodies are truncated (roughly ten SMS segments)
+  maxLength: 1600,
+};
+
+export default smsConfig;
@@ -0,0 +1,46 @@
+// src/config/storage.js
+import path from 'path';
+
+/**
+ * Media storage configuration
+ * STORAGE_DRIVER selects the backend: cloudinary | s3 | local
+ */
+export const STORAGE_DRIVERS = {
+  CLOUDINARY: 'cloudinary',
+  S3: 's3',
+  LOCAL: 'local',
+};
+
+const storageConfig = {
+  driver: process.env.STORAGE_DRIVER || STORAGE_DRIVERS.CLOUDINARY,
+
+  // Signed direct-upload URLs are valid for this long (seconds)
+  signedUrlTTL: parseInt(process.env.STORAGE_SIGNED_URL_TTL) || 3600,
+
+  s3: {
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION || 'us-east-1',
+    // Custom endpoint for S3-compatible services (MinIO, R2, Spaces...)
+    endpoint: process.env.S3_ENDPOINT,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    // Public/CDN base URL; defaults to the bucket URL
+    publicUrl: process.env.S3_PUBLIC_URL,
+  },
+
+  local: {
+    root: path.resolve(process.env.STORAGE_LOCAL_ROOT || 'uploads'),
+    // Private uploads (type "authenticated", e.g. chat exports) are kept out
+    // of the static mount and only served through signed download links
+    privateRoot: path.resolve(process.env.STORAGE_LOCAL_PRIVATE_ROOT || 'uploads-private'),
+    // Path the app serves local files from
+    mountPath: '/uploads',
+    publicUrl: process.env.STORAGE_PUBLIC_URL ||
+      `http://localhost:${process.env.PORT || 3000}/uploads`,
+    apiUrl: process.env.API_URL || `http://localhost:${process.env.PORT || 3000}`,
+    signingSecret: process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET || 'local-storage-secret',
+  },
+};
+
+export default storageConfig;
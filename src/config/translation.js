@@ -0,0 +1,38 @@
+// src/config/translation.js
+
+/**
+ * Chat translation configuration
+ * TRANSLATION_DRIVER selects the provider: libretranslate | dictionary | stub.
+ * When unset, LibreTranslate is used if LIBRETRANSLATE_URL is present and the
+ * offline dictionary otherwise (the stub in tests). The dictionary is also
+ * the fallback whenever the configured provider fails.
+ */
+export const TRANSLATION_DRIVERS = {
+  LIBRETRANSLATE: 'libretranslate',
+  DICTIONARY: 'dictionary',
+  STUB: 'stub',
+};
+
+const defaultDriver = () => {
+  if (process.env.NODE_ENV === 'test') return TRANSLATION_DRIVERS.STUB;
+  return process.env.LIBRETRANSLATE_URL ? TRANSLATION_DRIVERS.LIBRETRANSLATE : TRANSLATION_DRIVERS.DICTIONARY;
+};
+
+const translationConfig = {
+  driver: process.env.TRANSLATION_DRIVER || defaultDriver(),
+
+  // Any LibreTranslate-compatible server (self-hosted or libretranslate.com)
+  libretranslate: {
+    url: process.env.LIBRETRANSLATE_URL?.replace(/\/+$/, ''),
+    apiKey: process.env.LIBRETRANSLATE_API_KEY,
+    timeout: parseInt(process.env.LIBRETRANSLATE_TIMEOUT) || 8000,
+  },
+
+  // Texts shorter than this (in letters) are too short to detect reliably
+  minDetectLength: 8,
+
+  // Parallel auto-translations per worker
+  concurrency: parseInt(process.env.TRANSLATION_CONCURRENCY) || 3,
+};
+
+export default translationConfig;
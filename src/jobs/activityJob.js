@@ -0,0 +1,146 @@
+// src/jobs/activityJob.js
+import cron from 'node-cron';
+import ActivityService from '../modules/match/activity.service.js';
+import MetricsService from '../shared/services/metrics.service.js';
+import logger from '../shared/utils/logger.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+* Activity Job
+* Keeps conversation streaks honest: reminds people whose streak ends
+* tonight and zeroes streaks that were missed.
+*/
+class ActivityJob {
+ constructor() {
+   this.isRunning = false;
+   this.cronJobs = new Map();
+
+   this.stats = {
+     lastReminderRun: null,
+     lastResetRun: null,
+     remindersSent: 0,
+     streaksReset: 0,
+     errors: [],
+   };
+ }
+
+ async initialize() {
+   try {
+     logger.info('🚀 Initializing activity job...');
+
+     this.isRunning = true;
+     logger.info('✅ Activity job initialized successfully');
+   } catch (error) {
+     logger.error('Failed to initialize activity job:', error);
+     throw error;
+   }
+ }
+
+ /**
+  * Setup cron jobs
+  */
+ setupCronJobs() {
+   // Streak-at-risk reminders - every 30 minutes; the service only sends
+   // them in the last hours of the UTC day
+   this.cronJobs.set('streak_reminders', cron.schedule('*/30 * * * *', async () => {
+     try {
+       await this.sendStreakReminders();
+     } catch (error) {
+       logger.error('Error in streak reminder cron:', error);
+     }
+   }, { timezone: 'UTC' }));
+
+   // Reset missed streaks - 00:05 UTC
+   this.cronJobs.set('reset_streaks', cron.schedule('5 0 * * *', async () => {
+     try {
+       await this.resetBrokenStreaks();
+     } catch (error) {
+       logger.error('Error in streak reset cron:', error);
+     }
+   }, { timezone: 'UTC' }));
+
+   logger.info(`✅ Scheduled ${this.cronJobs.size} activity cron jobs`);
+ }
+
+ async sendStreakReminders(now = new Date()) {
+   try {
+     const sent = await ActivityService.sendStreakReminders(now);
+
+     this.stats.lastReminderRun = new Date();
+     this.stats.remindersSent += sent;
+
+     return sent;
+   } catch (error) {
+     this.recordError(error);
+     throw error;
+   }
+ }
+
+ async resetBrokenStreaks(now = new Date()) {
+   try {
+     const reset = await ActivityService.resetBrokenStreaks(now);
+
+     this.stats.lastResetRun = new Date();
+     this.stats.streaksReset += reset;
+     if (reset > 0) {
+       await MetricsService.incrementCounter('streaks.reset', reset);
+       logger.info(`Reset ${reset} missed conversation streaks`);
+     }
+
+     return reset;
+   } catch (error) {
+     this.recordError(error);
+     throw error;
+   }
+ }
+
+ recordError(error) {
+   this.stats.errors.push({ error: error.message, timestamp: Date.now() });
+   this.stats.errors = this.stats.errors.slice(-50);
+ }
+
+ /**
+  * Health check
+  */
+ async healthCheck() {
+   const health = {
+     status: 'healthy',
+     issues: [],
+     lastReminderRun: this.stats.lastReminderRun,
+     lastResetRun: this.stats.lastResetRun,
+     remindersSent: this.stats.remindersSent,
+     streaksReset: this.stats.streaksReset,
+   };
+
+   if (this.cronJobs.size > 0 && (!this.stats.lastReminderRun || Date.now() - this.stats.lastReminderRun > 2 * HOUR_MS)) {
+     health.status = 'warning';
+     health.issues.push('Streak reminders have not run in the last 2 hours');
+   }
+
+   const recentErrors = this.stats.errors.filter(e => Date.now() - e.timestamp < HOUR_MS);
+   if (recentErrors.length > 0) {
+     health.status = 'warning';
+     health.issues.push(`${recentErrors.length} activity job errors in the last hour`);
+   }
+
+   return health;
+ }
+
+ /**
+  * Shutdown activity job gracefully
+  */
+ async shutdown() {
+   logger.info('Shutting down activity job...');
+
+   for (const [name, job] of this.cronJobs) {
+     job.stop();
+     logger.info(`Stopped cron job: ${name}`);
+   }
+
+   this.isRunning = false;
+   logger.info('✅ Activity job shut down successfully');
+ }
+}
+
+export default new ActivityJob();
@@ -0,0 +1,623 @@
+// src/jobs/analyticsJob.js
+import cron from 'node-cron';
+import Swipe from '../modules/match/swipe.model.js';
+import Match from '../modules/match/match.model.js';
+import Message from '../modules/chat/message.model.js';
+import Subscription from '../modules/payment/subscription.model.js';
+import Transaction from '../modules/payment/transaction.model.js';
+import AnalyticsSnapshot from '../modules/admin/analyticsSnapshot.model.js';
+import MetricsService from '../shared/services/metrics.service.js';
+import logger from '../shared/utils/logger.js';
+import { SWIPE_ACTIONS } from '../config/constants.js';
+import { SUBSCRIPTION_STATUS, TRANSACTION_STATUS } from '../modules/payment/payment.constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365.25 * DAY_MS;
+
+// Bump when a metric definition changes
+const SNAPSHOT_VERSION = 1;
+
+const DIMENSIONS = ['gender', 'ageBand', 'country', 'tier'];
+
+const AGE_BANDS = [
+ { max: 24, label: '18-24' },
+ { max: 34, label: '25-34' },
+ { max: 44, label: '35-44' },
+ { max: 54, label: '45-54' },
+];
+
+const RIGHT_SWIPES = [SWIPE_ACTIONS.LIKE, SWIPE_ACTIONS.SUPER_LIKE];
+
+const NOT_CONVERTED = [SUBSCRIPTION_STATUS.INCOMPLETE, SUBSCRIPTION_STATUS.INCOMPLETE_EXPIRED];
+
+/**
+* Analytics Job
+* Rolls Swipe, Match, Message, Subscription and Transaction data up into one
+* AnalyticsSnapshot per UTC day. Every metric is stored as a total plus
+* breakdowns by gender, age band, country and subscription tier. Dimensions
+* come from the user's current profile at computation time.
+*
+* "Active" means the user swiped or sent a message in the window.
+*/
+class AnalyticsJob {
+ constructor() {
+   this.isRunning = false;
+   this.cronJobs = new Map();
+
+   // Cohort metrics (first message, reply) keep moving for a few days after
+   // the match, so the daily run also recomputes the day this far back
+   this.settleDays = 7;
+
+   this.stats = {
+     lastRun: null,
+     lastDate: null,
+     lastDurationMs: null,
+     errors: [],
+   };
+ }
+
+ /**
+  * Initialize analytics cron jobs
+  */
+ async initialize() {
+   try {
+     logger.info('📊 Initializing analytics job...');
+
+     this.isRunning = true;
+     logger.info('✅ Analytics job initialized successfully');
+   } catch (error) {
+     logger.error('Failed to initialize analytics job:', error);
+     throw error;
+   }
+ }
+
+ /**
+  * Setup cron jobs
+  */
+ setupCronJobs() {
+   // Daily rollup for yesterday - 00:30 UTC
+   this.cronJobs.set('daily_rollup', cron.schedule('30 0 * * *', async () => {
+     try {
+       await this.runDailyRollup();
+     } catch (error) {
+       logger.error('Error in daily analytics rollup cron:', error);
+     }
+   }, { timezone: 'UTC' }));
+
+   logger.info(`✅ Scheduled ${this.cronJobs.size} analytics cron jobs`);
+ }
+
+ /**
+  * Compute yesterday and refresh the settling cohort day
+  */
+ async runDailyRollup() {
+   const yesterday = this.startOfDay(new Date(Date.now() - DAY_MS));
+   const settling = new Date(yesterday.getTime() - this.settleDays * DAY_MS);
+
+   for (const date of [yesterday, settling]) {
+     try {
+       await this.computeDailySnapshot(date);
+     } catch (error) {
+       logger.error(`Analytics rollup failed for ${this.formatDate(date)}:`, error);
+       this.stats.errors.push({ date, error: error.message, timestamp: Date.now() });
+       await MetricsService.incrementCounter('analytics.rollup.failed');
+     }
+   }
+
+   this.stats.errors = this.stats.errors.slice(-20);
+   await MetricsService.incrementCounter('analytics.rollup.completed');
+ }
+
+ /**
+  * Backfill a date range (inclusive), oldest day first
+  * @param {Date|string} from - First day
+  * @param {Date|string} to - Last day
+  * @param {Object} options - { skipExisting, onProgress(date, index, total) }
+  * @returns {Promise<Object>} - { computed, skipped, failed }
+  */
+ async backfill(from, to, { skipExisting = false, onProgress } = {}) {
+   const start = this.startOfDay(new Date(from));
+   const end = this.startOfDay(new Date(to));
+
+   if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+     throw new Error('Invalid backfill date range');
+   }
+   if (start > end) {
+     throw new Error('Backfill start date must not be after the end date');
+   }
+
+   const total = Math.round((end - start) / DAY_MS) + 1;
+   const summary = { computed: 0, skipped: 0, failed: [] };
+
+   for (let i = 0; i < total; i++) {
+     const date = new Date(start.getTime() + i * DAY_MS);
+
+     if (skipExisting && await AnalyticsSnapshot.exists({
+       period: 'day',
+       date,
+       version: SNAPSHOT_VERSION,
+     })) {
+       summary.skipped++;
+       continue;
+     }
+
+     try {
+       await this.computeDailySnapshot(date);
+       summary.computed++;
+     } catch (error) {
+       logger.error(`Analytics backfill failed for ${this.formatDate(date)}:`, error);
+       summary.failed.push(this.formatDate(date));
+     }
+
+     onProgress?.(date, i + 1, total);
+   }
+
+   logger.info('Analytics backfill finished', {
+     from: this.formatDate(start),
+     to: this.formatDate(end),
+     ...summary,
+   });
+
+   return summary;
+ }
+
+ /**
+  * Compute and upsert the snapshot for one UTC day
+  * @param {Date} date - Any time within the day
+  * @returns {Promise<Object>} - The stored snapshot
+  */
+ async computeDailySnapshot(date) {
+   const startedAt = Date.now();
+   const start = this.startOfDay(date);
+   const end = new Date(start.getTime() + DAY_MS);
+
+   const [dau, wau, mau, swipes, matches, conversions, churn, revenue] = await Promise.all([
+     this.activeUsers(start, end),
+     this.activeUsers(new Date(end.getTime() - 7 * DAY_MS), end),
+     this.activeUsers(new Date(end.getTime() - 30 * DAY_MS), end),
+     this.swipeStats(start, end),
+     this.matchCohortStats(start, end),
+     this.conversionStats(start, end),
+     this.churnStats(start, end),
+     this.revenueStats(start, end),
+   ]);
+
+   const dauSummary = this.summarize(dau, 'users');
+
+   const metrics = {
+     dau: dauSummary,
+     wau: this.summarize(wau, 'users'),
+     mau: this.summarize(mau, 'users'),
+
+     swipes: this.summarize(swipes, 'swipes'),
+     swipeRightRate: this.ratio(this.summarize(swipes, 'rightSwipes'), this.summarize(swipes, 'swipes')),
+     matchRate: this.ratio(this.summarize(swipes, 'matched'), this.summarize(swipes, 'rightSwipes')),
+
+     // Match cohort of the day; counted once per participant
+     newMatches: this.summarize(matches, 'matches'),
+     firstMessageRate: this.ratio(this.summarize(matches, 'messaged'), this.summarize(matches, 'matches')),
+     // Share of first messages the recipient answered
+     replyRate: this.ratio(this.summarize(matches, 'replied'), this.summarize(matches, 'received')),
+
+     conversions: this.summarize(conversions, 'subscriptions'),
+     conversionRate: this.ratio(this.summarize(conversions, 'subscriptions'), dauSummary),
+
+     churned: this.summarize(churn, 'churned'),
+     churnRate: this.ratio(this.summarize(churn, 'churned'), this.summarize(churn, 'activeAtStart')),
+
+     transactions: this.summarize(revenue, 'transactions'),
+     // USD cents, like Transaction.amountInUSD
+     revenue: this.summarize(revenue, 'revenue'),
+   };
+
+   const durationMs = Date.now() - startedAt;
+
+   const snapshot = await AnalyticsSnapshot.findOneAndUpdate(
+     { period: 'day', date: start },
+     {
+       $set: {
+         metrics,
+         version: SNAPSHOT_VERSION,
+         computedAt: new Date(),
+         durationMs,
+       },
+     },
+     { upsert: true, new: true, setDefaultsOnInsert: true }
+   ).lean();
+
+   this.stats.lastRun = new Date();
+   this.stats.lastDate = start;
+   this.stats.lastDurationMs = durationMs;
+
+   logger.info(`Analytics snapshot stored for ${this.formatDate(start)}`, {
+     dau: metrics.dau.value,
+     durationMs,
+   });
+
+   return snapshot;
+ }
+
+ // ========================
+ // Metric queries
+ // Each returns rows of { _id: { gender, ageBand, country, tier }, ...counts }
+ // ========================
+
+ /**
+  * Users who swiped or sent a message in [start, end)
+  */
+ async activeUsers(start, end) {
+   return Swipe.aggregate([
+     { $match: { swipedAt: { $gte: start, $lt: end } } },
+     { $group: { _id: '$from' } },
+     {
+       $unionWith: {
+         coll: Message.collection.name,
+         pipeline: [
+           { $match: { createdAt: { $gte: start, $lt: end } } },
+           { $group: { _id: '$sender' } },
+         ],
+       },
+     },
+     { $group: { _id: '$_id' } },
+     ...this.dimensionStages('$_id', end),
+     { $group: { _id: '$dims', users: { $sum: 1 } } },
+   ]).allowDiskUse(true);
+ }
+
+ /**
+  * Swipes, right swipes and swipes that produced a match, by swiper
+  */
+ async swipeStats(start, end) {
+   return Swipe.aggregate([
+     {
+       $match: {
+         swipedAt: { $gte: start, $lt: end },
+         'undo.isUndone': { $ne: true },
+       },
+     },
+     ...this.dimensionStages('$from', end),
+     {
+       $group: {
+         _id: '$dims',
+         swipes: { $sum: 1 },
+         rightSwipes: { $sum: { $cond: [{ $in: ['$action', RIGHT_SWIPES] }, 1, 0] } },
+         matched: { $sum: { $cond: ['$match.isMatch', 1, 0] } },
+       },
+     },
+   ]).allowDiskUse(true);
+ }
+
+ /**
+  * Matches made in [start, end) and how their conversations went, per participant:
+  * matches, messaged (any message), received (other side wrote first),
+  * replied (received and answered)
+  */
+ async matchCohortStats(start, end) {
+   return Match.aggregate([
+     { $match: { matchedAt: { $gte: start, $lt: end } } },
+     {
+       $lookup: {
+         from: Message.collection.name,
+         let: { matchId: '$_id' },
+         pipeline: [
+           { $match: { $expr: { $eq: ['$matchId', '$$matchId'] } } },
+           { $sort: { createdAt: 1 } },
+           { $group: { _id: null, firstSender: { $first: '$sender' }, senders: { $addToSet: '$sender' } } },
+         ],
+         as: 'conversation',
+       },
+     },
+     { $unwind: { path: '$conversation', preserveNullAndEmptyArrays: true } },
+     { $unwind: '$users' },
+     {
+       $addFields: {
+         messaged: { $cond: [{ $ifNull: ['$conversation', false] }, 1, 0] },
+         received: {
+           $cond: [
+             {
+               $and: [
+                 { $ifNull: ['$conversation', false] },
+                 { $ne: ['$conversation.firstSender', '$users'] },
+               ],
+             },
+             1,
+             0,
+           ],
+         },
+       },
+     },
+     {
+       $addFields: {
+         replied: {
+           $cond: [
+             { $and: [{ $eq: ['$received', 1] }, { $in: ['$users', '$conversation.senders'] }] },
+             1,
+             0,
+           ],
+         },
+       },
+     },
+     ...this.dimensionStages('$users', end),
+     {
+       $group: {
+         _id: '$dims',
+         matches: { $sum: 1 },
+         messaged: { $sum: '$messaged' },
+         received: { $sum: '$received' },
+         replied: { $sum: '$replied' },
+       },
+     },
+   ]).allowDiskUse(true);
+ }
+
+ /**
+  * Subscriptions started in [start, end)
+  */
+ async conversionStats(start, end) {
+   return Subscription.aggregate([
+     {
+       $match: {
+         createdAt: { $gte: start, $lt: end },
+         status: { $nin: NOT_CONVERTED },
+       },
+     },
+     ...this.dimensionStages('$userId', end),
+     { $group: { _id: '$dims', subscriptions: { $sum: 1 } } },
+   ]).allowDiskUse(true);
+ }
+
+ /**
+  * Subscriptions live at the start of the day, and how many of them ended during it
+  */
+ async churnStats(start, end) {
+   const endedDuringDay = {
+     $or: [
+       { $and: [{ $gte: ['$cancelledAt', start] }, { $lt: ['$cancelledAt', end] }] },
+       {
+         $and: [
+           { $eq: ['$status', SUBSCRIPTION_STATUS.EXPIRED] },
+           { $gte: ['$currentPeriodEnd', start] },
+           { $lt: ['$currentPeriodEnd', end] },
+         ],
+       },
+     ],
+   };
+
+   return Subscription.aggregate([
+     {
+       $match: {
+         createdAt: { $lt: start },
+         status: { $nin: NOT_CONVERTED },
+         currentPeriodEnd: { $gte: start },
+         $or: [{ cancelledAt: null }, { cancelledAt: { $gte: start } }],
+       },
+     },
+     ...this.dimensionStages('$userId', end),
+     {
+       $group: {
+         _id: '$dims',
+         activeAtStart: { $sum: 1 },
+         churned: { $sum: { $cond: [endedDuringDay, 1, 0] } },
+       },
+     },
+   ]).allowDiskUse(true);
+ }
+
+ /**
+  * Successful transactions and gross revenue in [start, end)
+  */
+ async revenueStats(start, end) {
+   return Transaction.aggregate([
+     {
+       $match: {
+         createdAt: { $gte: start, $lt: end },
+         status: TRANSACTION_STATUS.SUCCESS,
+       },
+     },
+     ...this.dimensionStages('$userId', end),
+     {
+       $group: {
+         _id: '$dims',
+         transactions: { $sum: 1 },
+         revenue: { $sum: { $ifNull: ['$amountInUSD', '$amount'] } },
+       },
+     },
+   ]).allowDiskUse(true);
+ }
+
+ // ========================
+ // Helpers
+ // ========================
+
+ /**
+  * Pipeline stages that attach `dims` for the user referenced by `userPath`
+  * @param {string} userPath - Field path holding the user id (e.g. '$from')
+  * @param {Date} asOf - Reference date for age
+  */
+ dimensionStages(userPath, asOf) {
+   const ageBranches = AGE_BANDS.map(band => ({
+     case: { $lte: ['$$age', band.max] },
+     then: band.label,
+   }));
+
+   return [
+     {
+       $lookup: {
+         from: 'users',
+         let: { userId: userPath },
+         pipeline: [
+           { $match: { $expr: { $eq: ['$_id', '$$userId'] } } },
+           {
+             $project: {
+               gender: '$profile.gender',
+               dateOfBirth: '$profile.dateOfBirth',
+               country: '$profile.location.address.country',
+               tier: '$subscription.type',
+             },
+           },
+         ],
+         as: 'dimUser',
+       },
+     },
+     { $unwind: { path: '$dimUser', preserveNullAndEmptyArrays: true } },
+     {
+       $addFields: {
+         dims: {
+           gender: { $ifNull: ['$dimUser.gender', 'unknown'] },
+           country: { $ifNull: ['$dimUser.country', 'unknown'] },
+           tier: { $ifNull: ['$dimUser.tier', 'free'] },
+           ageBand: {
+             $let: {
+               vars: {
+                 age: {
+                   $cond: [
+                     { $ifNull: ['$dimUser.dateOfBirth', false] },
+                     { $floor: { $divide: [{ $subtract: [asOf, '$dimUser.dateOfBirth'] }, YEAR_MS] } },
+                     null,
+                   ],
+                 },
+               },
+               in: {
+                 $switch: {
+                   branches: [
+                     { case: { $eq: ['$$age', null] }, then: 'unknown' },
+                     ...ageBranches,
+                   ],
+                   default: '55+',
+                 },
+               },
+             },
+           },
+         },
+       },
+     },
+   ];
+ }
+
+ /**
+  * Total and per-dimension sums of one field
+  * @returns {Object} - { value, breakdowns: { gender: { female: { value } }, ... } }
+  */
+ summarize(rows, field) {
+   const summary = {
+     value: 0,
+     breakdowns: Object.fromEntries(DIMENSIONS.map(dim => [dim, {}])),
+   };
+
+   for (const row of rows) {
+     const amount = row[field] || 0;
+     summary.value += amount;
+
+     for (const dim of DIMENSIONS) {
+       const bucket = this.bucketKey(row._id?.[dim]);
+       const entry = summary.breakdowns[dim][bucket] || (summary.breakdowns[dim][bucket] = { value: 0 });
+       entry.value += amount;
+     }
+   }
+
+   return summary;
+ }
+
+ /**
+  * Divide two summaries, bucket by bucket
+  */
+ ratio(numerator, denominator) {
+   const result = {
+     ...this.rate(numerator.value, denominator.value),
+     breakdowns: {},
+   };
+
+   for (const dim of DIMENSIONS) {
+     result.breakdowns[dim] = {};
+
+     for (const [bucket, { value }] of Object.entries(denominator.breakdowns[dim])) {
+       result.breakdowns[dim][bucket] = this.rate(numerator.breakdowns[dim][bucket]?.value || 0, value);
+     }
+   }
+
+   return result;
+ }
+
+ rate(numerator, denominator) {
+   return {
+     value: denominator > 0 ? Math.round((numerator / denominator) * 10000) / 10000 : 0,
+     numerator,
+     denominator,
+   };
+ }
+
+ /**
+  * Mongo keys may not contain "." or start with "$"
+  */
+ bucketKey(value) {
+   return String(value ?? 'unknown').replace(/[.$]/g, '_') || 'unknown';
+ }
+
+ startOfDay(date) {
+   const day = new Date(date);
+   day.setUTCHours(0, 0, 0, 0);
+   return day;
+ }
+
+ formatDate(date) {
+   return date.toISOString().split('T')[0];
+ }
+
+ /**
+  * Health check
+  */
+ async healthCheck() {
+   const health = {
+     status: 'healthy',
+     issues: [],
+     lastRun: this.stats.lastRun,
+     lastDate: this.stats.lastDate,
+     lastDurationMs: this.stats.lastDurationMs,
+   };
+
+   try {
+     const latest = await AnalyticsSnapshot.findOne({ period: 'day' })
+       .sort({ date: -1 })
+       .select('date')
+       .lean();
+
+     const expected = this.startOfDay(new Date(Date.now() - DAY_MS));
+     if (!latest || latest.date < new Date(expected.getTime() - DAY_MS)) {
+       health.status = 'warning';
+       health.issues.push(`Latest snapshot is ${latest ? this.formatDate(latest.date) : 'missing'}`);
+     }
+
+     const recentErrors = this.stats.errors.filter(e => Date.now() - e.timestamp < DAY_MS);
+     if (recentErrors.length > 0) {
+       health.status = 'warning';
+       health.issues.push(`${recentErrors.length} failed rollups in last 24 hours`);
+     }
+
+     return health;
+   } catch (error) {
+     logger.error('Error in analytics health check:', error);
+     return {
+       status: 'unhealthy',
+       issues: ['Health check failed'],
+       error: error.message,
+     };
+   }
+ }
+
+ /**
+  * Shutdown analytics job gracefully
+  */
+ async shutdown() {
+   logger.info('Shutting down analytics job...');
+
+   for (const [name, job] of this.cronJobs) {
+     job.stop();
+     logger.info(`Stopped cron job: ${name}`);
+   }
+
+   this.isRunning = false;
+   logger.info('✅ Analytics job shut down successfully');
+ }
+}
+
+export default new AnalyticsJob();
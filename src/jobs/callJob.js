@@ -0,0 +1,116 @@
+// src/jobs/callJob.js
+import cron from 'node-cron';
+import CallService from '../modules/chat/call.service.js';
+import logger from '../shared/utils/logger.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+* Call Job
+* Sweeps up calls the in-process ring timers missed (e.g. across restarts)
+* and closes connected calls nobody hung up on.
+*/
+class CallJob {
+ constructor() {
+   this.isRunning = false;
+   this.cronJobs = new Map();
+
+   this.stats = {
+     lastRun: null,
+     callsExpired: 0,
+     callsClosed: 0,
+     errors: [],
+   };
+ }
+
+ async initialize() {
+   try {
+     logger.info('🚀 Initializing call job...');
+
+     this.isRunning = true;
+     logger.info('✅ Call job initialized successfully');
+   } catch (error) {
+     logger.error('Failed to initialize call job:', error);
+     throw error;
+   }
+ }
+
+ /**
+  * Setup cron jobs
+  */
+ setupCronJobs() {
+   // Stale call sweep - every minute
+   this.cronJobs.set('call_cleanup', cron.schedule('* * * * *', async () => {
+     try {
+       await this.cleanupCalls();
+     } catch (error) {
+       logger.error('Error in call cleanup cron:', error);
+     }
+   }, { timezone: 'UTC' }));
+
+   logger.info(`✅ Scheduled ${this.cronJobs.size} call cron jobs`);
+ }
+
+ async cleanupCalls(now = new Date()) {
+   try {
+     const expired = await CallService.expireRinging(now);
+     const closed = await CallService.closeAbandonedCalls(now);
+
+     this.stats.lastRun = new Date();
+     this.stats.callsExpired += expired;
+     this.stats.callsClosed += closed;
+     if (expired + closed > 0) {
+       logger.info(`Call cleanup: ${expired} missed, ${closed} closed`);
+     }
+
+     return { expired, closed };
+   } catch (error) {
+     this.stats.errors.push({ error: error.message, timestamp: Date.now() });
+     this.stats.errors = this.stats.errors.slice(-50);
+     throw error;
+   }
+ }
+
+ /**
+  * Health check
+  */
+ async healthCheck() {
+   const health = {
+     status: 'healthy',
+     issues: [],
+     lastRun: this.stats.lastRun,
+     callsExpired: this.stats.callsExpired,
+     callsClosed: this.stats.callsClosed,
+   };
+
+   if (this.cronJobs.size > 0 && (!this.stats.lastRun || Date.now() - this.stats.lastRun > 10 * 60 * 1000)) {
+     health.status = 'warning';
+     health.issues.push('Call cleanup has not run in the last 10 minutes');
+   }
+
+   const recentErrors = this.stats.errors.filter(e => Date.now() - e.timestamp < HOUR_MS);
+   if (recentErrors.length > 0) {
+     health.status = 'warning';
+     health.issues.push(`${recentErrors.length} call job errors in the last hour`);
+   }
+
+   return health;
+ }
+
+ /**
+  * Shutdown call job gracefully
+  */
+ async shutdown() {
+   logger.info('Shutting down call job...');
+
+   for (const [name, job] of this.cronJobs) {
+     job.stop();
+     logger.info(`Stopped cron job: ${name}`);
+   }
+
+   this.isRunning = false;
+   logger.info('✅ Call job shut down successfully');
+ }
+}
+
+export default new CallJob();
@@ -0,0 +1,158 @@
+// src/jobs/chatExportJob.js
+import cron from 'node-cron';
+import ChatExportService, { CHAT_EXPORT_QUEUE } from '../modules/chat/chatExport.service.js';
+import QueueService from '../shared/services/queue.service.js';
+import logger from '../shared/utils/logger.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Rendering holds a whole transcript and its thumbnails in memory
+const EXPORT_CONCURRENCY = 2;
+
+/**
+* Chat Export Job
+* Renders the PDF and HTML exports ChatService queues, and deletes export
+* files once their download link has expired.
+*/
+class ChatExportJob {
+ constructor() {
+   this.isRunning = false;
+   this.cronJobs = new Map();
+
+   this.stats = {
+     lastPurge: null,
+     exports: { completed: 0, skipped: 0, purged: 0 },
+     errors: [],
+   };
+ }
+
+ /**
+  * Register the export queue processor
+  */
+ async initialize() {
+   try {
+     logger.info('📦 Initializing chat export job...');
+
+     QueueService.process(CHAT_EXPORT_QUEUE, EXPORT_CONCURRENCY, async (job) => {
+       return this.processExport(job.data);
+     });
+
+     this.isRunning = true;
+     logger.info('✅ Chat export job initialized successfully');
+   } catch (error) {
+     logger.error('Failed to initialize chat export job:', error);
+     throw error;
+   }
+ }
+
+ /**
+  * Setup cron jobs
+  */
+ setupCronJobs() {
+   // Expired export files - every hour
+   this.cronJobs.set('purge_expired_chat_exports', cron.schedule('15 * * * *', async () => {
+     try {
+       await this.purgeExpired();
+     } catch (error) {
+       logger.error('Error in chat export purge cron:', error);
+     }
+   }, { timezone: 'UTC' }));
+
+   logger.info(`✅ Scheduled ${this.cronJobs.size} chat export cron jobs`);
+ }
+
+ async processExport(data) {
+   try {
+     const result = await ChatExportService.processExport(data);
+
+     if (result.skipped) {
+       this.stats.exports.skipped += 1;
+       logger.debug(`Skipped chat export ${data.exportId}: ${result.skipped}`);
+     } else {
+       this.stats.exports.completed += 1;
+     }
+
+     return result;
+   } catch (error) {
+     this.recordError('export', error);
+     throw error;
+   }
+ }
+
+ async purgeExpired(now = new Date()) {
+   try {
+     const purged = await ChatExportService.purgeExpired(now);
+
+     this.stats.lastPurge = new Date();
+     this.stats.exports.purged += purged;
+     if (purged > 0) {
+       logger.info(`Chat export purge: ${purged} expired files deleted`);
+     }
+
+     return purged;
+   } catch (error) {
+     this.recordError('purge', error);
+     throw error;
+   }
+ }
+
+ recordError(task, error) {
+   this.stats.errors.push({ task, error: error.message, timestamp: Date.now() });
+   this.stats.errors = this.stats.errors.slice(-50);
+ }
+
+ /**
+  * Health check
+  */
+ async healthCheck() {
+   const health = {
+     status: 'healthy',
+     issues: [],
+     exports: this.stats.exports,
+     lastPurge: this.stats.lastPurge,
+   };
+
+   try {
+     const queue = await QueueService.getQueueStats(CHAT_EXPORT_QUEUE);
+     health.queue = queue;
+
+     if (queue.failed > 0) {
+       health.status = 'warning';
+       health.issues.push(`${queue.failed} chat exports in the dead letter queue`);
+     }
+   } catch (error) {
+     health.status = 'warning';
+     health.issues.push('Could not read chat export queue stats');
+   }
+
+   if (this.cronJobs.size > 0 && (!this.stats.lastPurge || Date.now() - this.stats.lastPurge > 2 * HOUR_MS)) {
+     health.status = 'warning';
+     health.issues.push('Expired chat exports have not been purged in the last 2 hours');
+   }
+
+   const recentErrors = this.stats.errors.filter(e => Date.now() - e.timestamp < HOUR_MS);
+   if (recentErrors.length > 0) {
+     health.status = 'warning';
+     health.issues.push(`${recentErrors.length} chat export job errors in the last hour`);
+   }
+
+   return health;
+ }
+
+ /**
+  * Shutdown chat export job gracefully
+  */
+ async shutdown() {
+   logger.info('Shutting down chat export job...');
+
+   for (const [name, job] of this.cronJobs) {
+     job.stop();
+     logger.info(`Stopped cron job: ${name}`);
+   }
+
+   this.isRunning = false;
+   logger.info('✅ Chat export job shut down successfully');
+ }
+}
+
+export default new ChatExportJob();
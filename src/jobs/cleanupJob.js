@@ -6,18 +6,25 @@ import path from 'path';
 import User from '../modules/user/user.model.js';
 import Match from '../modules/match/match.model.js';
 import Message from '../modules/chat/message.model.js';
-import Conversation from '../modules/chat/conversation.model.js';
-import SwipeActivity from '../modules/swipe/swipeActivity.model.js';
+import Swipe from '../modules/match/swipe.model.js';
 import Notification from '../modules/notification/notification.model.js';
-import Report from '../modules/report/report.model.js';
+import PushDevice from '../modules/notification/pushDevice.model.js';
+import Report from '../modules/admin/report.model.js';
 import Media from '../modules/media/media.model.js';
+import AdminService from '../modules/admin/admin.service.js';
 import CacheService from '../shared/services/cache.service.js';
 import QueueService from '../shared/services/queue.service.js';
 import MetricsService from '../shared/services/metrics.service.js';
-import CloudinaryService from '../modules/media/cloudinary.service.js';
+import StorageService from '../modules/media/storage.service.js';
+import PushService from '../modules/notification/push.service.js';
 import logger from '../shared/utils/logger.js';
 import redis from '../config/redis.js';
-import { USER_CONSTANTS, CLEANUP_CONSTANTS } from '../config/constants.js';
+import {
+ USER_CONSTANTS,
+ CLEANUP_CONSTANTS,
+ MATCH_STATUS,
+ SWIPE_ACTIONS,
+} from '../config/constants.js';
 
 class CleanupJob {
  constructor() {
@@ -40,9 +47,6 @@ class CleanupJob {
      // Register queue processors
      await this.registerQueueProcessors();
 
-     // Setup cron jobs
-     this.setupCronJobs();
-
      // Setup monitoring
      this.setupMonitoring();
 
@@ -179,6 +183,7 @@ class CleanupJob {
      logs: 0,
      tokens: 0,
      media: 0,
+     bans: 0,
    };
 
    try {
@@ -200,6 +205,9 @@ class CleanupJob {
      // 6. Clean unused media
      results.media = await this.cleanupUnusedMedia();
 
+     // 7. Lift expired temporary bans
+     results.bans = await AdminService.liftExpiredBans();
+
      // Update stats
      this.cleanupStats.lastRun = new Date();
      this.cleanupStats.totalCleaned += Object.values(results).reduce((a, b) => a + b, 0);
@@ -344,7 +352,7 @@ class CleanupJob {
  async cleanupOldNotifications() {
    try {
      const cutoffDate = new Date();
-     cutoffDate.setDate(cutoffDate.getDate() - (CLEANUP_CONSTANTS?.NOTIFICATION_RETENTION_DAYS || 30));
+     cutoffDate.setDate(cutoffDate.getDate() - CLEANUP_CONSTANTS.NOTIFICATION_RETENTION_DAYS);
 
      const result = await Notification.deleteMany({
        createdAt: { $lt: cutoffDate },
@@ -392,22 +400,21 @@ class CleanupJob {
  async cleanupOldSwipes() {
    try {
      const cutoffDate = new Date();
-     cutoffDate.setDate(cutoffDate.getDate() - (CLEANUP_CONSTANTS?.SWIPE_RETENTION_DAYS || 90));
+     cutoffDate.setDate(cutoffDate.getDate() - CLEANUP_CONSTANTS.SWIPE_RETENTION_DAYS);
 
-     // Keep only 'like' and 'super_like' older than 90 days
-     // Delete all 'pass' older than 30 days
+     // Keep likes and super likes; passes go after 30 days
      const passDate = new Date();
-     passDate.setDate(passDate.getDate() - 30);
+     passDate.setDate(passDate.getDate() - CLEANUP_CONSTANTS.PASS_RETENTION_DAYS);
 
-     const result = await SwipeActivity.deleteMany({
+     const result = await Swipe.deleteMany({
        $or: [
          {
-           action: 'pass',
-           createdAt: { $lt: passDate },
+           action: SWIPE_ACTIONS.NOPE,
+           swipedAt: { $lt: passDate },
          },
          {
-           createdAt: { $lt: cutoffDate },
-           action: { $nin: ['like', 'super_like'] },
+           swipedAt: { $lt: cutoffDate },
+           action: { $nin: [SWIPE_ACTIONS.LIKE, SWIPE_ACTIONS.SUPER_LIKE] },
          },
        ],
      });
@@ -488,20 +495,9 @@ class CleanupJob {
      );
      totalCleaned += emailVerifications.modifiedCount;
 
-     // Clean expired device tokens (not used for 30 days)
-     const thirtyDaysAgo = new Date();
-     thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-
-     const deviceTokens = await User.updateMany(
-       {
-         lastActiveAt: { $lt: thirtyDaysAgo },
-         deviceTokens: { $exists: true, $ne: [] },
-       },
-       {
-         $set: { deviceTokens: [] },
-       }
-     );
-     totalCleaned += deviceTokens.modifiedCount;
+     // Prune push devices that stopped checking in
+     const staleDevices = await PushService.pruneStaleDevices();
+     totalCleaned += staleDevices.removed;
 
      logger.info(`Cleaned up tokens for ${totalCleaned} users`);
      return totalCleaned;
@@ -549,9 +545,12 @@ class CleanupJob {
 
      for (const media of orphanedMedia) {
        try {
-         // Delete from Cloudinary
+         // Delete from storage
          if (media.cloudinaryId) {
-           await CloudinaryService.deleteImage(media.cloudinaryId);
+           await StorageService.delete(media.cloudinaryId, {
+             resourceType: media.type === 'image' ? 'image' : 'video',
+             provider: media.storageProvider,
+           });
          }
 
          // Delete from database
@@ -832,19 +831,19 @@ class CleanupJob {
    try {
      let totalCleaned = 0;
 
-     // 1. Messages without valid conversations
+     // Messages whose match no longer exists
      const orphanedMessages = await Message.aggregate([
        {
          $lookup: {
-           from: 'conversations',
-           localField: 'conversationId',
+           from: Match.collection.name,
+           localField: 'matchId',
            foreignField: '_id',
-           as: 'conversation',
+           as: 'match',
          },
        },
        {
          $match: {
-           conversation: { $size: 0 },
+           match: { $size: 0 },
          },
        },
        { $limit: 1000 },
@@ -857,31 +856,6 @@ class CleanupJob {
        logger.info(`Deleted ${result.deletedCount} orphaned messages`);
      }
 
-     // 2. Conversations without valid matches
-     const orphanedConversations = await Conversation.aggregate([
-       {
-         $lookup: {
-           from: 'matches',
-           localField: 'matchId',
-           foreignField: '_id',
-           as: 'match',
-         },
-       },
-       {
-         $match: {
-           match: { $size: 0 },
-         },
-       },
-       { $limit: 100 },
-     ]);
-
-     if (orphanedConversations.length > 0) {
-       const conversationIds = orphanedConversations.map(c => c._id);
-       const result = await Conversation.deleteMany({ _id: { $in: conversationIds } });
-       totalCleaned += result.deletedCount;
-       logger.info(`Deleted ${result.deletedCount} orphaned conversations`);
-     }
-
      logger.info(`Total orphaned data cleaned: ${totalCleaned}`);
      return totalCleaned;
 
@@ -899,33 +873,24 @@ class CleanupJob {
      const archiveDate = new Date();
      archiveDate.setMonth(archiveDate.getMonth() - 12); // 1 year old
 
-     // Archive old conversations
-     const oldConversations = await Conversation.find({
-       lastMessageAt: { $lt: archiveDate },
-       isArchived: { $ne: true },
-     }).limit(1000);
-
-     let archivedCount = 0;
+     // Deactivate matches with no messages in a year
+     const result = await Match.updateMany(
+       {
+         'status.status': MATCH_STATUS.ACTIVE,
+         'interaction.lastMessageAt': { $lt: archiveDate },
+       },
+       {
+         $set: {
+           'status.isActive': false,
+           'status.status': MATCH_STATUS.INACTIVE,
+           'status.deactivatedAt': new Date(),
+         },
+       }
+     );
 
-     for (const conversation of oldConversations) {
-       conversation.isArchived = true;
-       conversation.archivedAt = new Date();
-       await conversation.save();
-       archivedCount++;
+     const archivedCount = result.modifiedCount;
 
-       // Archive associated messages
-       await Message.updateMany(
-         { conversationId: conversation._id },
-         {
-           $set: {
-             isArchived: true,
-             archivedAt: new Date(),
-           },
-         }
-       );
-     }
-
-     logger.info(`Archived ${archivedCount} old conversations`);
+     logger.info(`Archived ${archivedCount} inactive matches`);
      return archivedCount;
 
    } catch (error) {
@@ -963,36 +928,23 @@ class CleanupJob {
          interests: [],
          location: null,
        };
-       user.deviceTokens = [];
        user.security = {};
        await user.save({ session });
 
+       await PushDevice.deleteMany({ user: userId }).session(session);
+
      } else {
        // Hard delete - remove all data
        
-       // Delete user's matches
-       await Match.deleteMany({
-         $or: [{ user1: userId }, { user2: userId }],
-       }).session(session);
+       // Delete user's matches and their messages
+       const matchIds = await Match.find({ users: userId }).distinct('_id').session(session);
 
-       // Delete user's conversations and messages
-       const conversations = await Conversation.find({
-         participants: userId,
-       }).session(session);
-
-       for (const conv of conversations) {
-         await Message.deleteMany({
-           conversationId: conv._id,
-         }).session(session);
-       }
+       await Message.deleteMany({ matchId: { $in: matchIds } }).session(session);
+       await Match.deleteMany({ _id: { $in: matchIds } }).session(session);
 
-       await Conversation.deleteMany({
-         participants: userId,
-       }).session(session);
-
-       // Delete user's swipe activities
-       await SwipeActivity.deleteMany({
-         $or: [{ userId }, { targetUserId: userId }],
+       // Delete user's swipes
+       await Swipe.deleteMany({
+         $or: [{ from: userId }, { to: userId }],
        }).session(session);
 
        // Delete user's notifications
@@ -1000,17 +952,22 @@ class CleanupJob {
          $or: [{ recipient: userId }, { sender: userId }],
        }).session(session);
 
+       await PushDevice.deleteMany({ user: userId }).session(session);
+
        // Delete user's reports
        await Report.deleteMany({
          $or: [{ reportedBy: userId }, { reportedUser: userId }],
        }).session(session);
 
-       // Delete user's media from Cloudinary
+       // Delete user's media from storage
        if (user.profile?.photos?.length > 0) {
          for (const photoId of user.profile.photos) {
            const media = await Media.findById(photoId);
            if (media?.cloudinaryId) {
-             await CloudinaryService.deleteImage(media.cloudinaryId);
+             await StorageService.delete(media.cloudinaryId, {
+               resourceType: media.type === 'image' ? 'image' : 'video',
+               provider: media.storageProvider,
+             });
            }
            await Media.findByIdAndDelete(photoId).session(session);
          }
@@ -1108,9 +1065,12 @@ class CleanupJob {
            const inUse = await this.isMediaInUse(mediaId);
            
            if (!inUse) {
-             // Delete from Cloudinary
+             // Delete from storage
              if (media.cloudinaryId) {
-               await CloudinaryService.deleteImage(media.cloudinaryId);
+               await StorageService.delete(media.cloudinaryId, {
+                 resourceType: media.type === 'image' ? 'image' : 'video',
+                 provider: media.storageProvider,
+               });
              }
 
              // Delete from database
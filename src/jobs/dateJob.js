@@ -0,0 +1,150 @@
+// src/jobs/dateJob.js
+import cron from 'node-cron';
+import DateService, { DATE_REMINDER_QUEUE } from '../modules/match/date.service.js';
+import QueueService from '../shared/services/queue.service.js';
+import MetricsService from '../shared/services/metrics.service.js';
+import logger from '../shared/utils/logger.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+* Date Job
+* Delivers the delayed reminder and check-in jobs that DateService queues
+* when a date is accepted, and expires proposals nobody answered in time.
+*/
+class DateJob {
+ constructor() {
+   this.isRunning = false;
+   this.cronJobs = new Map();
+
+   this.stats = {
+     reminders: { sent: 0, skipped: 0 },
+     expired: { lastRun: null, count: 0 },
+     errors: [],
+   };
+ }
+
+ /**
+  * Register the reminder queue processor
+  */
+ async initialize() {
+   try {
+     logger.info('📅 Initializing date job...');
+
+     QueueService.process(DATE_REMINDER_QUEUE, 5, async (job) => {
+       return this.processReminder(job.data);
+     });
+
+     this.isRunning = true;
+     logger.info('✅ Date job initialized successfully');
+   } catch (error) {
+     logger.error('Failed to initialize date job:', error);
+     throw error;
+   }
+ }
+
+ /**
+  * Setup cron jobs
+  */
+ setupCronJobs() {
+   this.cronJobs.set('expire_date_proposals', cron.schedule('10 * * * *', async () => {
+     try {
+       await this.expireStaleProposals();
+     } catch (error) {
+       logger.error('Error in date proposal expiry cron:', error);
+     }
+   }));
+
+   logger.info(`✅ Scheduled ${this.cronJobs.size} date cron jobs`);
+ }
+
+ async processReminder(data) {
+   try {
+     const result = await DateService.processReminder(data);
+
+     if (result.skipped) {
+       this.stats.reminders.skipped += 1;
+       logger.debug(`Skipped ${data.kind} reminder for date ${data.dateId}: ${result.skipped}`);
+     } else {
+       this.stats.reminders.sent += result.sent;
+       await MetricsService.incrementCounter(`date.reminder.${data.kind}`, result.sent);
+     }
+
+     return result;
+   } catch (error) {
+     this.recordError('reminder', error);
+     throw error;
+   }
+ }
+
+ async expireStaleProposals() {
+   try {
+     const count = await DateService.expireStaleProposals();
+
+     this.stats.expired = { lastRun: new Date(), count };
+     if (count > 0) {
+       logger.info(`Expired ${count} unanswered date proposals`);
+     }
+
+     return count;
+   } catch (error) {
+     this.recordError('expire', error);
+     throw error;
+   }
+ }
+
+ recordError(task, error) {
+   this.stats.errors.push({ task, error: error.message, timestamp: Date.now() });
+   this.stats.errors = this.stats.errors.slice(-50);
+ }
+
+ /**
+  * Health check
+  */
+ async healthCheck() {
+   const health = {
+     status: 'healthy',
+     issues: [],
+     reminders: this.stats.reminders,
+     expired: this.stats.expired,
+   };
+
+   try {
+     const queue = await QueueService.getQueueStats(DATE_REMINDER_QUEUE);
+     health.queue = queue;
+
+     if (queue.failed > 0) {
+       health.status = 'warning';
+       health.issues.push(`${queue.failed} date reminders in the dead letter queue`);
+     }
+   } catch (error) {
+     health.status = 'warning';
+     health.issues.push('Could not read reminder queue stats');
+   }
+
+   const recentErrors = this.stats.errors.filter(e => Date.now() - e.timestamp < HOUR_MS);
+   if (recentErrors.length > 0) {
+     health.status = 'warning';
+     health.issues.push(`${recentErrors.length} date job errors in the last hour`);
+   }
+
+   return health;
+ }
+
+ /**
+  * Shutdown date job gracefully
+  */
+ async shutdown() {
+   logger.info('Shutting down date job...');
+
+   for (const [name, job] of this.cronJobs) {
+     job.stop();
+     logger.info(`Stopped cron job: ${name}`);
+   }
+
+   this.isRunning = false;
+   logger.info('✅ Date job shut down successfully');
+ }
+}
+
+export default new DateJob();
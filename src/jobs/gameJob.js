@@ -0,0 +1,115 @@
+// src/jobs/gameJob.js
+import cron from 'node-cron';
+import GameService from '../modules/chat/game.service.js';
+import logger from '../shared/utils/logger.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+* Game Job
+* Expires game invites nobody answered and ends games whose turn clock ran
+* out without the in-process timer noticing (e.g. across restarts).
+*/
+class GameJob {
+ constructor() {
+   this.isRunning = false;
+   this.cronJobs = new Map();
+
+   this.stats = {
+     lastRun: null,
+     invitesExpired: 0,
+     turnsTimedOut: 0,
+     errors: [],
+   };
+ }
+
+ async initialize() {
+   try {
+     logger.info('🚀 Initializing game job...');
+
+     this.isRunning = true;
+     logger.info('✅ Game job initialized successfully');
+   } catch (error) {
+     logger.error('Failed to initialize game job:', error);
+     throw error;
+   }
+ }
+
+ /**
+  * Setup cron jobs
+  */
+ setupCronJobs() {
+   // Stale game sweep - every minute
+   this.cronJobs.set('game_cleanup', cron.schedule('* * * * *', async () => {
+     try {
+       await this.cleanupGames();
+     } catch (error) {
+       logger.error('Error in game cleanup cron:', error);
+     }
+   }, { timezone: 'UTC' }));
+
+   logger.info(`✅ Scheduled ${this.cronJobs.size} game cron jobs`);
+ }
+
+ async cleanupGames(now = new Date()) {
+   try {
+     const { invites, turns } = await GameService.expireGames(now);
+
+     this.stats.lastRun = new Date();
+     this.stats.invitesExpired += invites;
+     this.stats.turnsTimedOut += turns;
+     if (invites + turns > 0) {
+       logger.info(`Game cleanup: ${invites} invites expired, ${turns} turns timed out`);
+     }
+
+     return { invites, turns };
+   } catch (error) {
+     this.stats.errors.push({ error: error.message, timestamp: Date.now() });
+     this.stats.errors = this.stats.errors.slice(-50);
+     throw error;
+   }
+ }
+
+ /**
+  * Health check
+  */
+ async healthCheck() {
+   const health = {
+     status: 'healthy',
+     issues: [],
+     lastRun: this.stats.lastRun,
+     invitesExpired: this.stats.invitesExpired,
+     turnsTimedOut: this.stats.turnsTimedOut,
+   };
+
+   if (this.cronJobs.size > 0 && (!this.stats.lastRun || Date.now() - this.stats.lastRun > 10 * 60 * 1000)) {
+     health.status = 'warning';
+     health.issues.push('Game cleanup has not run in the last 10 minutes');
+   }
+
+   const recentErrors = this.stats.errors.filter(e => Date.now() - e.timestamp < HOUR_MS);
+   if (recentErrors.length > 0) {
+     health.status = 'warning';
+     health.issues.push(`${recentErrors.length} game job errors in the last hour`);
+   }
+
+   return health;
+ }
+
+ /**
+  * Shutdown game job gracefully
+  */
+ async shutdown() {
+   logger.info('Shutting down game job...');
+
+   for (const [name, job] of this.cronJobs) {
+     job.stop();
+     logger.info(`Stopped cron job: ${name}`);
+   }
+
+   this.isRunning = false;
+   logger.info('✅ Game job shut down successfully');
+ }
+}
+
+export default new GameJob();
@@ -0,0 +1,355 @@
+// src/jobs/index.js
+import os from 'os';
+import CleanupJob from './cleanupJob.js';
+import NotificationJob from './notificationJob.js';
+import AnalyticsJob from './analyticsJob.js';
+import LimitsJob from './limitsJob.js';
+import DateJob from './dateJob.js';
+import PromotionJob from './promotionJob.js';
+import ActivityJob from './activityJob.js';
+import CallJob from './callJob.js';
+import SafetyJob from './safetyJob.js';
+import GameJob from './gameJob.js';
+import TranslationJob from './translationJob.js';
+import ChatExportJob from './chatExportJob.js';
+import jobsConfig from '../config/jobs.js';
+import redis from '../config/redis.js';
+import CacheService from '../shared/services/cache.service.js';
+import QueueService from '../shared/services/queue.service.js';
+import NotificationService from '../shared/services/notification.service.js';
+import logger from '../shared/utils/logger.js';
+
+export const PROCESS_ROLES = {
+ API: 'api',
+ WORKER: 'worker',
+ SCHEDULER: 'scheduler',
+};
+
+/**
+* Registered jobs. `queues` marks jobs that consume queues (started on
+* workers); every job owns cron schedules (started on the scheduler leader).
+*/
+const JOBS = {
+ cleanup: { job: CleanupJob, queues: true },
+ notification: { job: NotificationJob, queues: true },
+ analytics: { job: AnalyticsJob, queues: false },
+ limits: { job: LimitsJob, queues: false },
+ dates: { job: DateJob, queues: true },
+ promotions: { job: PromotionJob, queues: false },
+ activity: { job: ActivityJob, queues: false },
+ calls: { job: CallJob, queues: false },
+ safety: { job: SafetyJob, queues: false },
+ games: { job: GameJob, queues: false },
+ translation: { job: TranslationJob, queues: true },
+ chatExports: { job: ChatExportJob, queues: true },
+};
+
+/**
+* Job Registry
+* Starts the background work this process is responsible for. Queue workers
+* can run on any number of replicas; cron schedules only run on the single
+* scheduler that holds the leader lock in Redis, so scaling the API or worker
+* tier never duplicates a cron. Followers keep campaigning and take over
+* within one lock TTL if the leader dies.
+*/
+class JobRegistry {
+ constructor() {
+   this.instanceId = `${os.hostname()}:${process.pid}`;
+   this.roles = new Set();
+   this.jobs = new Map();
+   this.isLeader = false;
+   this.leaderSince = null;
+   this.campaignTimer = null;
+   this.runningTicks = new Set();
+   this.startedAt = null;
+   this.shuttingDown = false;
+ }
+
+ /**
+  * Start background jobs for the configured roles
+  * @param {Object} options - { roles, jobs } overriding config/jobs.js
+  */
+ async start({ roles = jobsConfig.roles, jobs = jobsConfig.enabled } = {}) {
+   this.roles = new Set(roles);
+
+   const unknownRoles = roles.filter(role => !Object.values(PROCESS_ROLES).includes(role));
+   if (unknownRoles.length > 0) {
+     throw new Error(`Unknown process roles: ${unknownRoles.join(', ')}`);
+   }
+
+   const names = jobs.length > 0 ? jobs : Object.keys(JOBS);
+   const unknownJobs = names.filter(name => !JOBS[name]);
+   if (unknownJobs.length > 0) {
+     throw new Error(`Unknown jobs: ${unknownJobs.join(', ')}`);
+   }
+
+   this.jobs = new Map(names.map(name => [name, JOBS[name]]));
+   this.startedAt = new Date();
+
+   logger.info(`⚙️  Starting background jobs as ${[...this.roles].join(', ')} (${this.instanceId})`);
+
+   if (this.roles.has(PROCESS_ROLES.WORKER)) {
+     await this.startWorkers();
+   }
+
+   if (this.roles.has(PROCESS_ROLES.SCHEDULER)) {
+     await this.startScheduler();
+   }
+
+   return this;
+ }
+
+ /**
+  * Register queue processors and start consuming
+  */
+ async startWorkers() {
+   // Registers the 'notifications' and 'emails' handlers
+   await NotificationService.initialize();
+
+   for (const [name, { job, queues }] of this.jobs) {
+     if (!queues) continue;
+
+     try {
+       await job.initialize();
+     } catch (error) {
+       logger.error(`Failed to start ${name} workers:`, error);
+     }
+   }
+
+   QueueService.processRegistered();
+   logger.info('✅ Queue workers started');
+ }
+
+ /**
+  * Campaign for leadership now and on every renew interval
+  */
+ async startScheduler() {
+   // Schedule-only jobs have nothing to start on workers
+   for (const [name, { job, queues }] of this.jobs) {
+     if (queues) continue;
+
+     try {
+       await job.initialize();
+     } catch (error) {
+       logger.error(`Failed to start ${name} job:`, error);
+     }
+   }
+
+   await this.campaign();
+
+   this.campaignTimer = setInterval(() => {
+     this.campaign().catch(error => logger.error('Scheduler campaign failed:', error));
+   }, jobsConfig.leader.renewInterval);
+ }
+
+ /**
+  * Renew the lock if leading, otherwise try to take it
+  */
+ async campaign() {
+   if (this.shuttingDown) return;
+
+   const { resource, ttl } = jobsConfig.leader;
+
+   if (this.isLeader) {
+     let renewed = false;
+     try {
+       renewed = await CacheService.extendLock(resource, this.instanceId, ttl);
+     } catch (error) {
+       logger.error('Failed to renew scheduler lock:', error);
+     }
+
+     // Stop as soon as the lock can't be confirmed so two leaders never overlap
+     if (!renewed) {
+       logger.warn('Lost scheduler leadership');
+       this.stopSchedules();
+     }
+     return;
+   }
+
+   const acquired = await CacheService.acquireLock(resource, ttl, this.instanceId);
+   if (acquired) {
+     this.startSchedules();
+   }
+ }
+
+ /**
+  * Become leader: start every job's cron schedules
+  */
+ startSchedules() {
+   this.isLeader = true;
+   this.leaderSince = new Date();
+
+   for (const [name, { job }] of this.jobs) {
+     try {
+       job.setupCronJobs();
+     } catch (error) {
+       logger.error(`Failed to schedule ${name} cron jobs:`, error);
+     }
+     this.trackTicks(job);
+   }
+
+   logger.info(`👑 Elected scheduler leader (${this.instanceId})`);
+ }
+
+ /**
+  * Remember each tick of the job's cron tasks until it settles, so shutdown
+  * can wait for it. node-cron hands the tick's promise to 'task-done'.
+  * @param {Object} job
+  */
+ trackTicks(job) {
+   for (const task of job.cronJobs.values()) {
+     task.on('task-done', (tick) => {
+       if (!(tick instanceof Promise)) return;
+
+       this.runningTicks.add(tick);
+       tick.finally(() => this.runningTicks.delete(tick));
+     });
+   }
+ }
+
+ /**
+  * Wait for running cron ticks to settle
+  * @param {number} timeout - ms
+  * @returns {Promise<boolean>} false if some were still running at the timeout
+  */
+ async waitForTicks(timeout) {
+   if (this.runningTicks.size === 0) return true;
+
+   logger.info(`Waiting for ${this.runningTicks.size} running cron tick(s)...`);
+
+   let timer;
+   const timedOut = new Promise(resolve => {
+     timer = setTimeout(() => resolve(false), timeout);
+   });
+
+   const settled = await Promise.race([
+     Promise.allSettled([...this.runningTicks]).then(() => true),
+     timedOut,
+   ]);
+   clearTimeout(timer);
+
+   return settled;
+ }
+
+ /**
+  * Step down: stop every job's cron schedules. Running ticks keep going;
+  * shutdown waits for them.
+  */
+ stopSchedules() {
+   for (const { job } of this.jobs.values()) {
+     for (const task of job.cronJobs.values()) {
+       task.stop();
+     }
+     job.cronJobs.clear();
+   }
+
+   this.isLeader = false;
+   this.leaderSince = null;
+ }
+
+ /**
+  * Health of this process and the current leader
+  */
+ async healthCheck() {
+   const health = {
+     status: 'healthy',
+     instanceId: this.instanceId,
+     roles: [...this.roles],
+     startedAt: this.startedAt,
+     scheduler: {
+       isLeader: this.isLeader,
+       leaderSince: this.leaderSince,
+       leader: null,
+     },
+     queues: {
+       processing: [...QueueService.processing].filter(([, active]) => active).map(([name]) => name),
+       activeJobs: QueueService.activeJobs,
+     },
+     jobs: {},
+   };
+
+   try {
+     health.scheduler.leader = await redis.get(CacheService.generateKey('lock', jobsConfig.leader.resource));
+   } catch (error) {
+     health.status = 'warning';
+     health.scheduler.error = error.message;
+   }
+
+   if (this.roles.has(PROCESS_ROLES.SCHEDULER) && !health.scheduler.leader) {
+     health.status = 'warning';
+   }
+
+   for (const [name, { job }] of this.jobs) {
+     if (!job.isRunning && job.cronJobs.size === 0) continue;
+
+     const jobHealth = job.isRunning && typeof job.healthCheck === 'function'
+       ? await job.healthCheck()
+       : { status: 'healthy' };
+
+     health.jobs[name] = {
+       ...jobHealth,
+       schedules: [...job.cronJobs.keys()],
+     };
+
+     if (jobHealth.status === 'unhealthy') {
+       health.status = 'unhealthy';
+     } else if (jobHealth.status === 'warning' && health.status === 'healthy') {
+       health.status = 'warning';
+     }
+   }
+
+   return health;
+ }
+
+ /**
+  * Stop schedules, hand over leadership and let running cron ticks and
+  * in-flight queue jobs finish within the timeout
+  * @param {Object} options - { timeout } in ms
+  */
+ async shutdown({ timeout = jobsConfig.shutdownTimeout } = {}) {
+   if (this.shuttingDown) return;
+   this.shuttingDown = true;
+
+   logger.info('Shutting down background jobs...');
+
+   clearInterval(this.campaignTimer);
+
+   if (this.isLeader) {
+     this.stopSchedules();
+     // Let a follower take over without waiting for the TTL
+     await CacheService.releaseLock(jobsConfig.leader.resource, this.instanceId)
+       .catch(error => logger.error('Failed to release scheduler lock:', error));
+   }
+
+   // Ticks and queue jobs share one deadline
+   const deadline = Date.now() + timeout;
+   const ticksDone = await this.waitForTicks(timeout);
+   const drained = await QueueService.closeAll(Math.max(deadline - Date.now(), 0));
+
+   for (const [name, { job }] of this.jobs) {
+     if (!job.isRunning) continue;
+
+     try {
+       await job.shutdown();
+     } catch (error) {
+       logger.error(`Error shutting down ${name} job:`, error);
+     }
+   }
+
+   if (!ticksDone) {
+     logger.warn(`${this.runningTicks.size} cron tick(s) were still running at shutdown`);
+   }
+
+   logger.info(`✅ Background jobs shut down${drained ? '' : ' (some queue jobs were interrupted)'}`);
+ }
+}
+
+const registry = new JobRegistry();
+
+export const startBackgroundJobs = (options) => registry.start(options);
+
+export const stopBackgroundJobs = (options) => registry.shutdown(options);
+
+export const getJobsHealth = () => registry.healthCheck();
+
+export default registry;
@@ -0,0 +1,279 @@
+// src/jobs/limitsJob.js
+import cron from 'node-cron';
+import User from '../modules/user/user.model.js';
+import MetricsService from '../shared/services/metrics.service.js';
+import logger from '../shared/utils/logger.js';
+import socketManager from '../config/socket.js';
+import { SOCKET_EVENTS } from '../config/constants.js';
+import { getNextLocalMidnight, getNextLocalMonthStart } from '../shared/utils/helpers.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+* Consumable allowances grouped by reset cycle. The first key's resetAt is the
+* one the sweep queries on; every key in a cycle shares the same resetAt.
+*/
+const CYCLES = {
+ daily: {
+   keys: ['dailyLikes', 'dailySuperLikes', 'rewinds'],
+   nextReset: getNextLocalMidnight,
+ },
+ monthly: {
+   keys: ['monthlyBoosts'],
+   nextReset: getNextLocalMonthStart,
+ },
+};
+
+/**
+* Limits Job
+* Owns the `user.limits` counters. Each counter stores the instant its cycle
+* ends (local midnight, or local midnight on the 1st for monthly allowances,
+* in `metadata.timezone`), so a frequent sweep of due users resets everyone
+* at their own midnight without grouping by timezone.
+*
+* How much each cycle is worth comes from SUBSCRIPTION_FEATURES through
+* User.getLimitEntitlements and is derived from the current tier on every
+* check, which is what makes mid-cycle upgrades and downgrades take effect
+* immediately without touching the counters.
+*/
+class LimitsJob {
+ constructor() {
+   this.isRunning = false;
+   this.cronJobs = new Map();
+   this.activeSweeps = new Set();
+   this.batchSize = 500;
+
+   this.stats = {
+     daily: { lastRun: null, reset: 0, replenished: 0 },
+     monthly: { lastRun: null, reset: 0, replenished: 0 },
+     errors: [],
+   };
+ }
+
+ /**
+  * Initialize limits cron jobs
+  */
+ async initialize() {
+   try {
+     logger.info('⏳ Initializing limits job...');
+
+     this.isRunning = true;
+     logger.info('✅ Limits job initialized successfully');
+   } catch (error) {
+     logger.error('Failed to initialize limits job:', error);
+     throw error;
+   }
+ }
+
+ /**
+  * Setup cron jobs
+  */
+ setupCronJobs() {
+   // Every 15 minutes, since some timezones are offset by 30 or 45 minutes
+   this.cronJobs.set('reset_daily_limits', cron.schedule('*/15 * * * *', async () => {
+     try {
+       await this.resetDueLimits('daily');
+     } catch (error) {
+       logger.error('Error in daily limits reset cron:', error);
+     }
+   }));
+
+   this.cronJobs.set('reset_monthly_limits', cron.schedule('5,20,35,50 * * * *', async () => {
+     try {
+       await this.resetDueLimits('monthly');
+     } catch (error) {
+       logger.error('Error in monthly limits reset cron:', error);
+     }
+   }));
+
+   logger.info(`✅ Scheduled ${this.cronJobs.size} limits cron jobs`);
+ }
+
+ /**
+  * Reset every user whose cycle has ended (or was never started)
+  * @param {string} cycle - 'daily' or 'monthly'
+  * @param {Date} now - Reference time
+  * @returns {Promise<Object>} - { reset, replenished }
+  */
+ async resetDueLimits(cycle, now = new Date()) {
+   if (!CYCLES[cycle]) {
+     throw new Error(`Unknown limits cycle: ${cycle}`);
+   }
+
+   // A sweep over a large backlog can outlast the cron interval
+   if (this.activeSweeps.has(cycle)) {
+     logger.warn(`Skipping ${cycle} limits reset, previous sweep still running`);
+     return { reset: 0, replenished: 0, skipped: true };
+   }
+
+   this.activeSweeps.add(cycle);
+   const summary = { reset: 0, replenished: 0 };
+
+   try {
+     const resetPath = `limits.${CYCLES[cycle].keys[0]}.resetAt`;
+
+     const cursor = User.find({
+       $or: [
+         { [resetPath]: { $lte: now } },
+         { [resetPath]: null },
+       ],
+     })
+       .select('subscription limits metadata.timezone')
+       .batchSize(this.batchSize)
+       .cursor();
+
+     let batch = [];
+     for await (const user of cursor) {
+       batch.push(user);
+
+       if (batch.length >= this.batchSize) {
+         await this.resetBatch(cycle, batch, now, summary);
+         batch = [];
+       }
+     }
+
+     if (batch.length > 0) {
+       await this.resetBatch(cycle, batch, now, summary);
+     }
+
+     this.stats[cycle] = { lastRun: new Date(), ...summary };
+
+     if (summary.reset > 0) {
+       logger.info(`Reset ${cycle} limits for ${summary.reset} users (${summary.replenished} replenished)`);
+     }
+     await MetricsService.incrementCounter(`limits.${cycle}.reset`, summary.reset);
+
+     return summary;
+   } catch (error) {
+     this.stats.errors.push({ cycle, error: error.message, timestamp: Date.now() });
+     this.stats.errors = this.stats.errors.slice(-50);
+     throw error;
+   } finally {
+     this.activeSweeps.delete(cycle);
+   }
+ }
+
+ /**
+  * Reset one batch of users
+  * @param {string} cycle - Cycle name
+  * @param {Array} users - User documents
+  * @param {Date} now - Reference time
+  * @param {Object} summary - Running totals (mutated)
+  */
+ async resetBatch(cycle, users, now, summary) {
+   const { keys, nextReset } = CYCLES[cycle];
+   const resetPath = `limits.${keys[0]}.resetAt`;
+   const operations = [];
+   const replenished = [];
+
+   for (const user of users) {
+     const previousResetAt = user.limits?.[keys[0]]?.resetAt || null;
+     const resetAt = nextReset(user.metadata?.timezone, now);
+
+     const $set = {};
+     for (const key of keys) {
+       $set[`limits.${key}.count`] = 0;
+       $set[`limits.${key}.resetAt`] = resetAt;
+     }
+
+     operations.push({
+       updateOne: {
+         // Skip users whose cycle was restarted lazily since they were read
+         filter: { _id: user._id, [resetPath]: previousResetAt },
+         update: { $set },
+       },
+     });
+
+     // First-time initialisation is not a replenish, nor is an unused cycle
+     if (previousResetAt && keys.some(key => user.limits[key]?.count > 0)) {
+       replenished.push({ user, resetAt });
+     }
+   }
+
+   const result = await User.bulkWrite(operations, { ordered: false });
+
+   summary.reset += result.modifiedCount;
+   summary.replenished += replenished.length;
+
+   for (const { user, resetAt } of replenished) {
+     this.notifyReplenished(user, cycle, resetAt);
+   }
+ }
+
+ /**
+  * Tell the user's open clients their allowances are back
+  * @param {Object} user - User document
+  * @param {string} cycle - Cycle name
+  * @param {Date} resetAt - End of the new cycle
+  */
+ notifyReplenished(user, cycle, resetAt) {
+   const entitlements = User.getLimitEntitlements(user.getLimitTier());
+
+   try {
+     socketManager.emitToUser(user._id.toString(), SOCKET_EVENTS.LIMITS_REPLENISHED, {
+       cycle,
+       // -1 = unlimited
+       limits: Object.fromEntries(CYCLES[cycle].keys.map(key => [key, entitlements[key]])),
+       resetAt,
+     });
+   } catch (error) {
+     // No socket server in this process (e.g. a standalone worker)
+     logger.debug(`Could not emit limits replenish to ${user._id}:`, error.message);
+   }
+ }
+
+ /**
+  * Health check
+  */
+ async healthCheck() {
+   const health = {
+     status: 'healthy',
+     issues: [],
+     daily: this.stats.daily,
+     monthly: this.stats.monthly,
+   };
+
+   try {
+     const overdue = await User.countDocuments({
+       'limits.dailyLikes.resetAt': { $lt: new Date(Date.now() - HOUR_MS) },
+     });
+
+     if (overdue > 0) {
+       health.status = 'warning';
+       health.issues.push(`${overdue} users overdue for a daily limits reset`);
+     }
+
+     const recentErrors = this.stats.errors.filter(e => Date.now() - e.timestamp < HOUR_MS);
+     if (recentErrors.length > 0) {
+       health.status = 'warning';
+       health.issues.push(`${recentErrors.length} failed limit resets in the last hour`);
+     }
+
+     return health;
+   } catch (error) {
+     logger.error('Error in limits health check:', error);
+     return {
+       status: 'unhealthy',
+       issues: ['Health check failed'],
+       error: error.message,
+     };
+   }
+ }
+
+ /**
+  * Shutdown limits job gracefully
+  */
+ async shutdown() {
+   logger.info('Shutting down limits job...');
+
+   for (const [name, job] of this.cronJobs) {
+     job.stop();
+     logger.info(`Stopped cron job: ${name}`);
+   }
+
+   this.isRunning = false;
+   logger.info('✅ Limits job shut down successfully');
+ }
+}
+
+export default new LimitsJob();
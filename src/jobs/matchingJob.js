@@ -33,9 +33,6 @@ class MatchingJob {
      // Register queue processors
      await this.registerQueueProcessors();
 
-     // Setup cron jobs
-     this.setupCronJobs();
-
      // Setup monitoring
      this.setupMonitoring();
 
@@ -552,7 +549,7 @@ class MatchingJob {
 
      // Get both users
      const [liker, liked] = await Promise.all([
-       User.findById(likerId).select('profile isPremium dailySuperLikes'),
+       User.findById(likerId).select('profile subscription limits stats metadata'),
        User.findById(likedId).select('profile notificationPreferences'),
      ]);
 
@@ -561,15 +558,12 @@ class MatchingJob {
      }
 
      // Check super like limit
-     const superLikeLimit = liker.isPremium ? 5 : 1;
-     if (liker.dailySuperLikes >= superLikeLimit) {
+     if (!liker.canSuperLike()) {
        return { success: false, reason: 'super_like_limit_reached' };
      }
 
      // Increment daily super likes
-     await User.findByIdAndUpdate(likerId, {
-       $inc: { dailySuperLikes: 1 },
-     });
+     await liker.incrementSuperLikeCount();
 
      // Send notification to liked user
      await QueueService.addJob('notification_delivery', {
@@ -995,15 +989,6 @@ class MatchingJob {
      }
    }));
 
-   // Reset daily super likes - Midnight daily
-   this.cronJobs.set('reset_super_likes', cron.schedule('0 0 * * *', async () => {
-     try {
-       await this.resetDailySuperLikes();
-     } catch (error) {
-       logger.error('Error in super likes reset cron:', error);
-     }
-   }));
-
    // Analyze user behavior - 2 AM daily
    this.cronJobs.set('behavior_analysis', cron.schedule('0 2 * * *', async () => {
      try {
@@ -1151,26 +1136,6 @@ class MatchingJob {
    }
  }
 
- /**
-  * Reset daily super likes
-  */
- async resetDailySuperLikes() {
-   try {
-     logger.info('Resetting daily super likes');
-
-     const result = await User.updateMany(
-       { dailySuperLikes: { $gt: 0 } },
-       { $set: { dailySuperLikes: 0 } }
-     );
-
-     logger.info(`Reset super likes for ${result.modifiedCount} users`);
-     await MetricsService.gauge('super_likes.daily_reset', result.modifiedCount);
-
-   } catch (error) {
-     logger.error('Error resetting daily super likes:', error);
-   }
- }
-
  /**
   * Analyze all user behavior
   */
@@ -1,8 +1,8 @@
 // src/jobs/notificationJob.js
-import Bull from 'bull';
 import mongoose from 'mongoose';
 import cron from 'node-cron';
 import NotificationService from '../modules/notification/notification.service.js';
+import PushService from '../modules/notification/push.service.js';
 import Notification from '../modules/notification/notification.model.js';
 import User from '../modules/user/user.model.js';
 import Match from '../modules/match/match.model.js';
@@ -30,9 +30,6 @@ class NotificationJob {
      // Register queue processors
      await this.registerQueueProcessors();
 
-     // Setup cron jobs
-     this.setupCronJobs();
-
      // Setup monitoring
      this.setupMonitoring();
 
@@ -317,29 +314,11 @@ class NotificationJob {
    const { userId, payload, options = {} } = job.data;
 
    try {
-     // Get user's device tokens from cache or DB
-     const user = await CacheService.getOrSet(
-       `user:${userId}:devices`,
-       async () => {
-         return await User.findById(userId)
-           .select('deviceTokens')
-           .lean();
-       },
-       7200 // Cache for 2 hours
-     );
-
-     if (!user?.deviceTokens?.length) {
-       logger.warn(`No device tokens for user ${userId}`);
-       return { success: false, reason: 'no_device_tokens' };
-     }
+     // PushService resolves the user's devices and prunes dead tokens
+     const result = await PushService.sendToUser(userId, payload, options);
 
-     // Send push notification
-     const result = await NotificationService.sendPushNotification(user, payload);
-
-     // Track metrics
-     await MetricsService.incrementCounter('push.sent');
-     if (result.failureCount > 0) {
-       await MetricsService.incrementCounter('push.failed', result.failureCount);
+     if (!result.sent) {
+       logger.debug(`Push not delivered to user ${userId}: ${result.reason || 'all devices failed'}`);
      }
 
      return result;
@@ -360,7 +339,7 @@ class NotificationJob {
    try {
      // Get user email preferences
      const user = await User.findById(userId)
-       .select('email notificationPreferences profile');
+       .select('email notificationPreferences profile metadata.locale');
 
      if (!user?.email) {
        logger.warn(`No email for user ${userId}`);
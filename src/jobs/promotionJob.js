@@ -0,0 +1,129 @@
+// src/jobs/promotionJob.js
+import cron from 'node-cron';
+import PromotionService from '../modules/promotion/promotion.service.js';
+import MetricsService from '../shared/services/metrics.service.js';
+import logger from '../shared/utils/logger.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+* Promotion Job
+* Drives the boost and spotlight scheduler: every minute it extends or
+* finishes promotions whose time is up (sending reports and low-traffic
+* refunds) and starts queued ones in regions with free slots.
+*/
+class PromotionJob {
+ constructor() {
+   this.isRunning = false;
+   this.cronJobs = new Map();
+   this.ticking = false;
+
+   this.stats = {
+     lastRun: null,
+     totals: { completed: 0, refunded: 0, extended: 0, started: 0 },
+     errors: [],
+   };
+ }
+
+ async initialize() {
+   try {
+     logger.info('🚀 Initializing promotion job...');
+
+     this.isRunning = true;
+     logger.info('✅ Promotion job initialized successfully');
+   } catch (error) {
+     logger.error('Failed to initialize promotion job:', error);
+     throw error;
+   }
+ }
+
+ /**
+  * Setup cron jobs
+  */
+ setupCronJobs() {
+   this.cronJobs.set('schedule_promotions', cron.schedule('* * * * *', async () => {
+     try {
+       await this.tick();
+     } catch (error) {
+       logger.error('Error in promotion scheduler cron:', error);
+     }
+   }));
+
+   logger.info(`✅ Scheduled ${this.cronJobs.size} promotion cron jobs`);
+ }
+
+ async tick(now = new Date()) {
+   // A slow tick must not overlap the next one
+   if (this.ticking) {
+     logger.warn('Skipping promotion tick, previous one still running');
+     return null;
+   }
+
+   this.ticking = true;
+   try {
+     const result = await PromotionService.processDue(now);
+
+     this.stats.lastRun = new Date();
+     for (const [key, count] of Object.entries(result)) {
+       this.stats.totals[key] += count;
+       if (count > 0) {
+         await MetricsService.incrementCounter(`promotions.scheduler.${key}`, count);
+       }
+     }
+
+     return result;
+   } catch (error) {
+     this.recordError(error);
+     throw error;
+   } finally {
+     this.ticking = false;
+   }
+ }
+
+ recordError(error) {
+   this.stats.errors.push({ error: error.message, timestamp: Date.now() });
+   this.stats.errors = this.stats.errors.slice(-50);
+ }
+
+ /**
+  * Health check
+  */
+ async healthCheck() {
+   const health = {
+     status: 'healthy',
+     issues: [],
+     lastRun: this.stats.lastRun,
+     totals: this.stats.totals,
+   };
+
+   if (this.cronJobs.size > 0 && (!this.stats.lastRun || Date.now() - this.stats.lastRun > 5 * 60 * 1000)) {
+     health.status = 'warning';
+     health.issues.push('Promotion scheduler has not run in the last 5 minutes');
+   }
+
+   const recentErrors = this.stats.errors.filter(e => Date.now() - e.timestamp < HOUR_MS);
+   if (recentErrors.length > 0) {
+     health.status = 'warning';
+     health.issues.push(`${recentErrors.length} promotion job errors in the last hour`);
+   }
+
+   return health;
+ }
+
+ /**
+  * Shutdown promotion job gracefully
+  */
+ async shutdown() {
+   logger.info('Shutting down promotion job...');
+
+   for (const [name, job] of this.cronJobs) {
+     job.stop();
+     logger.info(`Stopped cron job: ${name}`);
+   }
+
+   this.isRunning = false;
+   logger.info('✅ Promotion job shut down successfully');
+ }
+}
+
+export default new PromotionJob();
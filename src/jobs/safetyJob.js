@@ -0,0 +1,116 @@
+// src/jobs/safetyJob.js
+import cron from 'node-cron';
+import SafetyService from '../modules/match/safety.service.js';
+import logger from '../shared/utils/logger.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+* Safety Job
+* Runs the date check-in timers: nudges users whose timer ran out and alerts
+* their trusted contacts once the grace period passes without a check-in.
+*/
+class SafetyJob {
+ constructor() {
+   this.isRunning = false;
+   this.cronJobs = new Map();
+
+   this.stats = {
+     lastRun: null,
+     checkInsReminded: 0,
+     checkInsEscalated: 0,
+     errors: [],
+   };
+ }
+
+ async initialize() {
+   try {
+     logger.info('🚀 Initializing safety job...');
+
+     this.isRunning = true;
+     logger.info('✅ Safety job initialized successfully');
+   } catch (error) {
+     logger.error('Failed to initialize safety job:', error);
+     throw error;
+   }
+ }
+
+ /**
+  * Setup cron jobs
+  */
+ setupCronJobs() {
+   // Check-in timers - every minute
+   this.cronJobs.set('safety_check_ins', cron.schedule('* * * * *', async () => {
+     try {
+       await this.processCheckIns();
+     } catch (error) {
+       logger.error('Error in safety check-in cron:', error);
+     }
+   }, { timezone: 'UTC' }));
+
+   logger.info(`✅ Scheduled ${this.cronJobs.size} safety cron jobs`);
+ }
+
+ async processCheckIns(now = new Date()) {
+   try {
+     const { reminded, escalated } = await SafetyService.processDueCheckIns(now);
+
+     this.stats.lastRun = new Date();
+     this.stats.checkInsReminded += reminded;
+     this.stats.checkInsEscalated += escalated;
+     if (reminded + escalated > 0) {
+       logger.info(`Safety check-ins: ${reminded} reminded, ${escalated} escalated`);
+     }
+
+     return { reminded, escalated };
+   } catch (error) {
+     this.stats.errors.push({ error: error.message, timestamp: Date.now() });
+     this.stats.errors = this.stats.errors.slice(-50);
+     throw error;
+   }
+ }
+
+ /**
+  * Health check
+  */
+ async healthCheck() {
+   const health = {
+     status: 'healthy',
+     issues: [],
+     lastRun: this.stats.lastRun,
+     checkInsReminded: this.stats.checkInsReminded,
+     checkInsEscalated: this.stats.checkInsEscalated,
+   };
+
+   // A stalled sweep means missed check-ins never reach anyone
+   if (this.cronJobs.size > 0 && (!this.stats.lastRun || Date.now() - this.stats.lastRun > 5 * 60 * 1000)) {
+     health.status = 'unhealthy';
+     health.issues.push('Safety check-ins have not been processed in the last 5 minutes');
+   }
+
+   const recentErrors = this.stats.errors.filter(e => Date.now() - e.timestamp < HOUR_MS);
+   if (recentErrors.length > 0) {
+     health.status = health.status === 'unhealthy' ? 'unhealthy' : 'warning';
+     health.issues.push(`${recentErrors.length} safety job errors in the last hour`);
+   }
+
+   return health;
+ }
+
+ /**
+  * Shutdown safety job gracefully
+  */
+ async shutdown() {
+   logger.info('Shutting down safety job...');
+
+   for (const [name, job] of this.cronJobs) {
+     job.stop();
+     logger.info(`Stopped cron job: ${name}`);
+   }
+
+   this.isRunning = false;
+   logger.info('✅ Safety job shut down successfully');
+ }
+}
+
+export default new SafetyJob();
@@ -0,0 +1,120 @@
+// src/jobs/translationJob.js
+import TranslationService, { TRANSLATION_QUEUE } from '../modules/chat/translation.service.js';
+import translationConfig from '../config/translation.js';
+import QueueService from '../shared/services/queue.service.js';
+import logger from '../shared/utils/logger.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+* Translation Job
+* Auto-translates new chat messages that ChatService queues for recipients
+* who read in another language.
+*/
+class TranslationJob {
+ constructor() {
+   this.isRunning = false;
+   this.cronJobs = new Map();
+
+   this.stats = {
+     translations: { translated: 0, cached: 0, skipped: 0 },
+     errors: [],
+   };
+ }
+
+ /**
+  * Register the translation queue processor
+  */
+ async initialize() {
+   try {
+     logger.info('🌐 Initializing translation job...');
+
+     TranslationService.initialize();
+
+     QueueService.process(TRANSLATION_QUEUE, translationConfig.concurrency, async (job) => {
+       return this.processTranslation(job.data);
+     });
+
+     this.isRunning = true;
+     logger.info('✅ Translation job initialized successfully');
+   } catch (error) {
+     logger.error('Failed to initialize translation job:', error);
+     throw error;
+   }
+ }
+
+ /**
+  * Translations are queued as messages arrive; nothing runs on a schedule
+  */
+ setupCronJobs() {}
+
+ async processTranslation(data) {
+   try {
+     const result = await TranslationService.processAutoTranslation(data);
+
+     if (result.skipped) {
+       this.stats.translations.skipped += 1;
+       logger.debug(`Skipped auto-translation of message ${data.messageId}: ${result.skipped}`);
+     } else if (result.cached) {
+       this.stats.translations.cached += 1;
+     } else {
+       this.stats.translations.translated += 1;
+     }
+
+     return result;
+   } catch (error) {
+     this.recordError('translate', error);
+     throw error;
+   }
+ }
+
+ recordError(task, error) {
+   this.stats.errors.push({ task, error: error.message, timestamp: Date.now() });
+   this.stats.errors = this.stats.errors.slice(-50);
+ }
+
+ /**
+  * Health check
+  */
+ async healthCheck() {
+   const health = {
+     status: 'healthy',
+     issues: [],
+     provider: TranslationService.provider?.name || null,
+     translations: this.stats.translations,
+   };
+
+   try {
+     const queue = await QueueService.getQueueStats(TRANSLATION_QUEUE);
+     health.queue = queue;
+
+     if (queue.failed > 0) {
+       health.status = 'warning';
+       health.issues.push(`${queue.failed} translations in the dead letter queue`);
+     }
+   } catch (error) {
+     health.status = 'warning';
+     health.issues.push('Could not read translation queue stats');
+   }
+
+   const recentErrors = this.stats.errors.filter(e => Date.now() - e.timestamp < HOUR_MS);
+   if (recentErrors.length > 0) {
+     health.status = 'warning';
+     health.issues.push(`${recentErrors.length} translation job errors in the last hour`);
+   }
+
+   return health;
+ }
+
+ /**
+  * Shutdown translation job gracefully
+  */
+ async shutdown() {
+   logger.info('Shutting down translation job...');
+
+   this.isRunning = false;
+   logger.info('✅ Translation job shut down successfully');
+ }
+}
+
+export default new TranslationJob();
@@ -0,0 +1,904 @@
+// src/migrations/20261019004451-sync-indexes.js
+// Generated by `npm run migrate -- generate:indexes` from the indexes declared
+// in the model schemas. Regenerate instead of editing by hand.
+import MigrationService from '../shared/services/migration.service.js';
+
+export const description = 'Sync declared indexes: analyticssnapshots, emailsuppressions, matches, messages, pushdevices, reports, subscriptions, swipes, transactions, users';
+
+export const INDEXES = {
+  "analyticssnapshots": [
+    {
+      "name": "period_1_date_-1",
+      "key": {
+        "period": 1,
+        "date": -1
+      },
+      "options": {
+        "unique": true
+      }
+    }
+  ],
+  "emailsuppressions": [
+    {
+      "name": "email_1",
+      "key": {
+        "email": 1
+      },
+      "options": {
+        "unique": true
+      }
+    },
+    {
+      "name": "isSuppressed_1",
+      "key": {
+        "isSuppressed": 1
+      },
+      "options": {}
+    }
+  ],
+  "matches": [
+    {
+      "name": "matchedAt_1",
+      "key": {
+        "matchedAt": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "status.isActive_1",
+      "key": {
+        "status.isActive": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "status.status_1",
+      "key": {
+        "status.status": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "interaction.lastMessageAt_1",
+      "key": {
+        "interaction.lastMessageAt": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "engagement.lastActivityAt_1",
+      "key": {
+        "engagement.lastActivityAt": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "users_1_status.isActive_1",
+      "key": {
+        "users": 1,
+        "status.isActive": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "users_1_matchedAt_-1",
+      "key": {
+        "users": 1,
+        "matchedAt": -1
+      },
+      "options": {}
+    },
+    {
+      "name": "users_1_interaction.lastMessageAt_-1",
+      "key": {
+        "users": 1,
+        "interaction.lastMessageAt": -1
+      },
+      "options": {}
+    },
+    {
+      "name": "status.isActive_1_matchedAt_-1",
+      "key": {
+        "status.isActive": 1,
+        "matchedAt": -1
+      },
+      "options": {}
+    },
+    {
+      "name": "engagement.lastActivityAt_-1",
+      "key": {
+        "engagement.lastActivityAt": -1
+      },
+      "options": {}
+    },
+    {
+      "name": "chat.isPinned.user1_1_chat.isPinned.user2_1",
+      "key": {
+        "chat.isPinned.user1": 1,
+        "chat.isPinned.user2": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "interaction.unreadCount.user1_1_interaction.unreadCount.user2_1",
+      "key": {
+        "interaction.unreadCount.user1": 1,
+        "interaction.unreadCount.user2": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "metadata.location.user1.city_text_metadata.location.user2.city_text",
+      "key": {
+        "metadata.location.user1.city": "text",
+        "metadata.location.user2.city": "text"
+      },
+      "options": {}
+    }
+  ],
+  "messages": [
+    {
+      "name": "matchId_1",
+      "key": {
+        "matchId": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "sender_1",
+      "key": {
+        "sender": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "receiver_1",
+      "key": {
+        "receiver": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "type_1",
+      "key": {
+        "type": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "matchId_1_createdAt_-1",
+      "key": {
+        "matchId": 1,
+        "createdAt": -1
+      },
+      "options": {}
+    },
+    {
+      "name": "sender_1_receiver_1_createdAt_-1",
+      "key": {
+        "sender": 1,
+        "receiver": 1,
+        "createdAt": -1
+      },
+      "options": {}
+    },
+    {
+      "name": "matchId_1_status.isDeleted_1_createdAt_-1",
+      "key": {
+        "matchId": 1,
+        "status.isDeleted": 1,
+        "createdAt": -1
+      },
+      "options": {}
+    },
+    {
+      "name": "receiver_1_status.read_1",
+      "key": {
+        "receiver": 1,
+        "status.read": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "matchId_1_type_1",
+      "key": {
+        "matchId": 1,
+        "type": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "metadata.clientId_1",
+      "key": {
+        "metadata.clientId": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "scheduling.scheduledFor_1_scheduling.schedulingStatus_1",
+      "key": {
+        "scheduling.scheduledFor": 1,
+        "scheduling.schedulingStatus": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "content.text_text_content.systemMessage_text",
+      "key": {
+        "content.text": "text",
+        "content.systemMessage": "text"
+      },
+      "options": {}
+    },
+    {
+      "name": "visibility.expiresAt_1",
+      "key": {
+        "visibility.expiresAt": 1
+      },
+      "options": {
+        "expireAfterSeconds": 0
+      }
+    }
+  ],
+  "pushdevices": [
+    {
+      "name": "user_1",
+      "key": {
+        "user": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "token_1",
+      "key": {
+        "token": 1
+      },
+      "options": {
+        "unique": true
+      }
+    },
+    {
+      "name": "platform_1",
+      "key": {
+        "platform": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "appVersionCode_1",
+      "key": {
+        "appVersionCode": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "topics_1",
+      "key": {
+        "topics": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "lastSeenAt_1",
+      "key": {
+        "lastSeenAt": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "user_1_deviceId_1",
+      "key": {
+        "user": 1,
+        "deviceId": 1
+      },
+      "options": {}
+    }
+  ],
+  "reports": [
+    {
+      "name": "reportedBy_1",
+      "key": {
+        "reportedBy": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "reportedUser_1",
+      "key": {
+        "reportedUser": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "type_1",
+      "key": {
+        "type": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "reason_1",
+      "key": {
+        "reason": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "status_1",
+      "key": {
+        "status": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "assignedTo_1",
+      "key": {
+        "assignedTo": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "status_1_priority_-1_createdAt_1",
+      "key": {
+        "status": 1,
+        "priority": -1,
+        "createdAt": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "reportedUser_1_status_1",
+      "key": {
+        "reportedUser": 1,
+        "status": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "assignedTo_1_status_1",
+      "key": {
+        "assignedTo": 1,
+        "status": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "resolvedAt_1",
+      "key": {
+        "resolvedAt": 1
+      },
+      "options": {}
+    }
+  ],
+  "subscriptions": [
+    {
+      "name": "userId_1",
+      "key": {
+        "userId": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "planType_1",
+      "key": {
+        "planType": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "status_1",
+      "key": {
+        "status": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "provider_1",
+      "key": {
+        "provider": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "providerSubscriptionId_1",
+      "key": {
+        "providerSubscriptionId": 1
+      },
+      "options": {
+        "unique": true,
+        "sparse": true
+      }
+    },
+    {
+      "name": "providerCustomerId_1",
+      "key": {
+        "providerCustomerId": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "currentPeriodStart_1",
+      "key": {
+        "currentPeriodStart": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "currentPeriodEnd_1",
+      "key": {
+        "currentPeriodEnd": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "nextBillingDate_1",
+      "key": {
+        "nextBillingDate": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "trialEnd_1",
+      "key": {
+        "trialEnd": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "userId_1_status_1",
+      "key": {
+        "userId": 1,
+        "status": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "provider_1_providerSubscriptionId_1",
+      "key": {
+        "provider": 1,
+        "providerSubscriptionId": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "status_1_currentPeriodEnd_1",
+      "key": {
+        "status": 1,
+        "currentPeriodEnd": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "status_1_nextBillingDate_1",
+      "key": {
+        "status": 1,
+        "nextBillingDate": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "cancelAtPeriodEnd_1_currentPeriodEnd_1",
+      "key": {
+        "cancelAtPeriodEnd": 1,
+        "currentPeriodEnd": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "gracePeriod.endDate_1",
+      "key": {
+        "gracePeriod.endDate": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "trialEnd_1_status_1",
+      "key": {
+        "trialEnd": 1,
+        "status": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "createdAt_-1",
+      "key": {
+        "createdAt": -1
+      },
+      "options": {}
+    }
+  ],
+  "swipes": [
+    {
+      "name": "from_1",
+      "key": {
+        "from": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "to_1",
+      "key": {
+        "to": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "action_1",
+      "key": {
+        "action": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "swipedAt_1",
+      "key": {
+        "swipedAt": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "isActive_1",
+      "key": {
+        "isActive": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "match.isMatch_1",
+      "key": {
+        "match.isMatch": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "location.from.coordinates_2dsphere",
+      "key": {
+        "location.from.coordinates": "2dsphere"
+      },
+      "options": {}
+    },
+    {
+      "name": "from_1_to_1",
+      "key": {
+        "from": 1,
+        "to": 1
+      },
+      "options": {
+        "unique": true
+      }
+    },
+    {
+      "name": "from_1_swipedAt_-1",
+      "key": {
+        "from": 1,
+        "swipedAt": -1
+      },
+      "options": {}
+    },
+    {
+      "name": "to_1_swipedAt_-1",
+      "key": {
+        "to": 1,
+        "swipedAt": -1
+      },
+      "options": {}
+    },
+    {
+      "name": "from_1_isActive_1_swipedAt_-1",
+      "key": {
+        "from": 1,
+        "isActive": 1,
+        "swipedAt": -1
+      },
+      "options": {}
+    },
+    {
+      "name": "to_1_action_1_isActive_1",
+      "key": {
+        "to": 1,
+        "action": 1,
+        "isActive": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "from_1_to_1_isActive_1",
+      "key": {
+        "from": 1,
+        "to": 1,
+        "isActive": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "match.isMatch_1_swipedAt_-1",
+      "key": {
+        "match.isMatch": 1,
+        "swipedAt": -1
+      },
+      "options": {}
+    },
+    {
+      "name": "from_1_action_1_swipedAt_-1",
+      "key": {
+        "from": 1,
+        "action": 1,
+        "swipedAt": -1
+      },
+      "options": {}
+    },
+    {
+      "name": "context.source_1_swipedAt_-1",
+      "key": {
+        "context.source": 1,
+        "swipedAt": -1
+      },
+      "options": {}
+    },
+    {
+      "name": "response.hasResponse_1_response.responseAt_1",
+      "key": {
+        "response.hasResponse": 1,
+        "response.responseAt": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "superLike.message_text",
+      "key": {
+        "superLike.message": "text"
+      },
+      "options": {}
+    }
+  ],
+  "transactions": [
+    {
+      "name": "userId_1",
+      "key": {
+        "userId": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "subscriptionId_1",
+      "key": {
+        "subscriptionId": 1
+      },
+      "options": {
+        "sparse": true
+      }
+    },
+    {
+      "name": "type_1",
+      "key": {
+        "type": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "status_1",
+      "key": {
+        "status": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "provider_1",
+      "key": {
+        "provider": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "providerTransactionId_1",
+      "key": {
+        "providerTransactionId": 1
+      },
+      "options": {
+        "unique": true,
+        "sparse": true
+      }
+    },
+    {
+      "name": "amount_1",
+      "key": {
+        "amount": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "userId_1_createdAt_-1",
+      "key": {
+        "userId": 1,
+        "createdAt": -1
+      },
+      "options": {}
+    },
+    {
+      "name": "provider_1_providerTransactionId_1",
+      "key": {
+        "provider": 1,
+        "providerTransactionId": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "subscriptionId_1_type_1",
+      "key": {
+        "subscriptionId": 1,
+        "type": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "status_1_createdAt_-1",
+      "key": {
+        "status": 1,
+        "createdAt": -1
+      },
+      "options": {}
+    },
+    {
+      "name": "type_1_status_1",
+      "key": {
+        "type": 1,
+        "status": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "refund.status_1",
+      "key": {
+        "refund.status": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "createdAt_-1",
+      "key": {
+        "createdAt": -1
+      },
+      "options": {}
+    },
+    {
+      "name": "fraudDetection.status_1",
+      "key": {
+        "fraudDetection.status": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "provider_1_status_1_createdAt_-1",
+      "key": {
+        "provider": 1,
+        "status": 1,
+        "createdAt": -1
+      },
+      "options": {}
+    },
+    {
+      "name": "userId_1_type_1_status_1",
+      "key": {
+        "userId": 1,
+        "type": 1,
+        "status": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "userId_1_subscriptionId_1_type_1",
+      "key": {
+        "userId": 1,
+        "subscriptionId": 1,
+        "type": 1
+      },
+      "options": {}
+    }
+  ],
+  "users": [
+    {
+      "name": "email_1",
+      "key": {
+        "email": 1
+      },
+      "options": {
+        "unique": true
+      }
+    },
+    {
+      "name": "phoneNumber_1",
+      "key": {
+        "phoneNumber": 1
+      },
+      "options": {
+        "unique": true,
+        "sparse": true
+      }
+    },
+    {
+      "name": "profile.location.coordinates_2dsphere",
+      "key": {
+        "profile.location.coordinates": "2dsphere"
+      },
+      "options": {}
+    },
+    {
+      "name": "profile.location_2dsphere",
+      "key": {
+        "profile.location": "2dsphere"
+      },
+      "options": {}
+    },
+    {
+      "name": "scoring.eloScore_-1",
+      "key": {
+        "scoring.eloScore": -1
+      },
+      "options": {}
+    },
+    {
+      "name": "status.isActive_1_preferences.showMe_1",
+      "key": {
+        "status.isActive": 1,
+        "preferences.showMe": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "profile.gender_1_preferences.genderPreference_1",
+      "key": {
+        "profile.gender": 1,
+        "preferences.genderPreference": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "createdAt_-1",
+      "key": {
+        "createdAt": -1
+      },
+      "options": {}
+    },
+    {
+      "name": "status.lastActive_-1",
+      "key": {
+        "status.lastActive": -1
+      },
+      "options": {}
+    },
+    {
+      "name": "subscription.type_1",
+      "key": {
+        "subscription.type": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "limits.dailyLikes.resetAt_1",
+      "key": {
+        "limits.dailyLikes.resetAt": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "limits.monthlyBoosts.resetAt_1",
+      "key": {
+        "limits.monthlyBoosts.resetAt": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "metadata.referralCode_1",
+      "key": {
+        "metadata.referralCode": 1
+      },
+      "options": {}
+    }
+  ]
+};
+
+export const up = (ctx) => MigrationService.syncIndexes(ctx, INDEXES);
+
+export const down = (ctx, meta) => MigrationService.revertIndexes(ctx, meta);
+
+export const plan = (ctx) => MigrationService.planIndexes(ctx, INDEXES);
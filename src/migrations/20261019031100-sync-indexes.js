@@ -0,0 +1,60 @@
+// src/migrations/20261019031100-sync-indexes.js
+// Generated by `npm run migrate -- generate:indexes` from the indexes declared
+// in the model schemas. Regenerate instead of editing by hand.
+import MigrationService from '../shared/services/migration.service.js';
+
+export const description = 'Sync declared indexes: dateproposals';
+
+export const INDEXES = {
+  "dateproposals": [
+    {
+      "name": "status_1",
+      "key": {
+        "status": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "match_1_createdAt_-1",
+      "key": {
+        "match": 1,
+        "createdAt": -1
+      },
+      "options": {}
+    },
+    {
+      "name": "participants_1_status_1",
+      "key": {
+        "participants": 1,
+        "status": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "status_1_scheduledSlot.startsAt_1",
+      "key": {
+        "status": 1,
+        "scheduledSlot.startsAt": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "match_1",
+      "key": {
+        "match": 1
+      },
+      "options": {
+        "unique": true,
+        "partialFilterExpression": {
+          "negotiating": true
+        }
+      }
+    }
+  ]
+};
+
+export const up = (ctx) => MigrationService.syncIndexes(ctx, INDEXES);
+
+export const down = (ctx, meta) => MigrationService.revertIndexes(ctx, meta);
+
+export const plan = (ctx) => MigrationService.planIndexes(ctx, INDEXES);
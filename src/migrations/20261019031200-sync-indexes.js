@@ -0,0 +1,83 @@
+// src/migrations/20261019031200-sync-indexes.js
+// Generated by `npm run migrate -- generate:indexes` from the indexes declared
+// in the model schemas. Regenerate instead of editing by hand.
+import MigrationService from '../shared/services/migration.service.js';
+
+export const description = 'Sync declared indexes: giftledgers, inventories';
+
+export const INDEXES = {
+  "giftledgers": [
+    {
+      "name": "user_1",
+      "key": {
+        "user": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "user_1_createdAt_-1",
+      "key": {
+        "user": 1,
+        "createdAt": -1
+      },
+      "options": {}
+    },
+    {
+      "name": "match_1_createdAt_-1",
+      "key": {
+        "match": 1,
+        "createdAt": -1
+      },
+      "options": {
+        "sparse": true
+      }
+    },
+    {
+      "name": "user_1_idempotencyKey_1",
+      "key": {
+        "user": 1,
+        "idempotencyKey": 1
+      },
+      "options": {
+        "unique": true,
+        "partialFilterExpression": {
+          "idempotencyKey": {
+            "$type": "string"
+          }
+        }
+      }
+    },
+    {
+      "name": "transaction_1_type_1",
+      "key": {
+        "transaction": 1,
+        "type": 1
+      },
+      "options": {
+        "unique": true,
+        "partialFilterExpression": {
+          "transaction": {
+            "$type": "objectId"
+          }
+        }
+      }
+    }
+  ],
+  "inventories": [
+    {
+      "name": "user_1",
+      "key": {
+        "user": 1
+      },
+      "options": {
+        "unique": true
+      }
+    }
+  ]
+};
+
+export const up = (ctx) => MigrationService.syncIndexes(ctx, INDEXES);
+
+export const down = (ctx, meta) => MigrationService.revertIndexes(ctx, meta);
+
+export const plan = (ctx) => MigrationService.planIndexes(ctx, INDEXES);
@@ -0,0 +1,129 @@
+// src/migrations/20261019031300-sync-indexes.js
+// Generated by `npm run migrate -- generate:indexes` from the indexes declared
+// in the model schemas. Regenerate instead of editing by hand.
+import MigrationService from '../shared/services/migration.service.js';
+
+export const description = 'Sync declared indexes: messages';
+
+export const INDEXES = {
+  "messages": [
+    {
+      "name": "matchId_1",
+      "key": {
+        "matchId": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "sender_1",
+      "key": {
+        "sender": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "receiver_1",
+      "key": {
+        "receiver": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "type_1",
+      "key": {
+        "type": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "matchId_1_createdAt_-1",
+      "key": {
+        "matchId": 1,
+        "createdAt": -1
+      },
+      "options": {}
+    },
+    {
+      "name": "sender_1_receiver_1_createdAt_-1",
+      "key": {
+        "sender": 1,
+        "receiver": 1,
+        "createdAt": -1
+      },
+      "options": {}
+    },
+    {
+      "name": "matchId_1_status.isDeleted_1_createdAt_-1",
+      "key": {
+        "matchId": 1,
+        "status.isDeleted": 1,
+        "createdAt": -1
+      },
+      "options": {}
+    },
+    {
+      "name": "receiver_1_status.read_1",
+      "key": {
+        "receiver": 1,
+        "status.read": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "matchId_1_type_1",
+      "key": {
+        "matchId": 1,
+        "type": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "metadata.clientId_1",
+      "key": {
+        "metadata.clientId": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "scheduling.scheduledFor_1_scheduling.schedulingStatus_1",
+      "key": {
+        "scheduling.scheduledFor": 1,
+        "scheduling.schedulingStatus": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "icebreaker.templateId_1_createdAt_-1",
+      "key": {
+        "icebreaker.templateId": 1,
+        "createdAt": -1
+      },
+      "options": {
+        "sparse": true
+      }
+    },
+    {
+      "name": "content.text_text_content.systemMessage_text",
+      "key": {
+        "content.text": "text",
+        "content.systemMessage": "text"
+      },
+      "options": {}
+    },
+    {
+      "name": "visibility.expiresAt_1",
+      "key": {
+        "visibility.expiresAt": 1
+      },
+      "options": {
+        "expireAfterSeconds": 0
+      }
+    }
+  ]
+};
+
+export const up = (ctx) => MigrationService.syncIndexes(ctx, INDEXES);
+
+export const down = (ctx, meta) => MigrationService.revertIndexes(ctx, meta);
+
+export const plan = (ctx) => MigrationService.planIndexes(ctx, INDEXES);
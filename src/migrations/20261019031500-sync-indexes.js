@@ -0,0 +1,142 @@
+// src/migrations/20261019031500-sync-indexes.js
+// Generated by `npm run migrate -- generate:indexes` from the indexes declared
+// in the model schemas. Regenerate instead of editing by hand.
+import MigrationService from '../shared/services/migration.service.js';
+
+export const description = 'Sync declared indexes: giftledgers, promotions';
+
+export const INDEXES = {
+  "giftledgers": [
+    {
+      "name": "user_1",
+      "key": {
+        "user": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "user_1_createdAt_-1",
+      "key": {
+        "user": 1,
+        "createdAt": -1
+      },
+      "options": {}
+    },
+    {
+      "name": "match_1_createdAt_-1",
+      "key": {
+        "match": 1,
+        "createdAt": -1
+      },
+      "options": {
+        "sparse": true
+      }
+    },
+    {
+      "name": "user_1_idempotencyKey_1",
+      "key": {
+        "user": 1,
+        "idempotencyKey": 1
+      },
+      "options": {
+        "unique": true,
+        "partialFilterExpression": {
+          "idempotencyKey": {
+            "$type": "string"
+          }
+        }
+      }
+    },
+    {
+      "name": "transaction_1_type_1",
+      "key": {
+        "transaction": 1,
+        "type": 1
+      },
+      "options": {
+        "unique": true,
+        "partialFilterExpression": {
+          "transaction": {
+            "$type": "objectId"
+          }
+        }
+      }
+    },
+    {
+      "name": "promotion_1_type_1",
+      "key": {
+        "promotion": 1,
+        "type": 1
+      },
+      "options": {
+        "unique": true,
+        "partialFilterExpression": {
+          "promotion": {
+            "$type": "objectId"
+          }
+        }
+      }
+    }
+  ],
+  "promotions": [
+    {
+      "name": "user_1_createdAt_-1",
+      "key": {
+        "user": 1,
+        "createdAt": -1
+      },
+      "options": {}
+    },
+    {
+      "name": "status_1_region_1_type_1_requestedAt_1",
+      "key": {
+        "status": 1,
+        "region": 1,
+        "type": 1,
+        "requestedAt": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "status_1_endsAt_1",
+      "key": {
+        "status": 1,
+        "endsAt": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "user_1_type_1",
+      "key": {
+        "user": 1,
+        "type": 1
+      },
+      "options": {
+        "unique": true,
+        "partialFilterExpression": {
+          "isOpen": true
+        }
+      }
+    },
+    {
+      "name": "region_1_type_1_slot_1",
+      "key": {
+        "region": 1,
+        "type": 1,
+        "slot": 1
+      },
+      "options": {
+        "unique": true,
+        "partialFilterExpression": {
+          "status": "active"
+        }
+      }
+    }
+  ]
+};
+
+export const up = (ctx) => MigrationService.syncIndexes(ctx, INDEXES);
+
+export const down = (ctx, meta) => MigrationService.revertIndexes(ctx, meta);
+
+export const plan = (ctx) => MigrationService.planIndexes(ctx, INDEXES);
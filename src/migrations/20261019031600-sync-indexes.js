@@ -0,0 +1,130 @@
+// src/migrations/20261019031600-sync-indexes.js
+// Generated by `npm run migrate -- generate:indexes` from the indexes declared
+// in the model schemas. Regenerate instead of editing by hand.
+import MigrationService from '../shared/services/migration.service.js';
+
+export const description = 'Sync declared indexes: users';
+
+export const INDEXES = {
+  "users": [
+    {
+      "name": "email_1",
+      "key": {
+        "email": 1
+      },
+      "options": {
+        "unique": true
+      }
+    },
+    {
+      "name": "phoneNumber_1",
+      "key": {
+        "phoneNumber": 1
+      },
+      "options": {
+        "unique": true,
+        "sparse": true
+      }
+    },
+    {
+      "name": "profile.location.coordinates_2dsphere",
+      "key": {
+        "profile.location.coordinates": "2dsphere"
+      },
+      "options": {}
+    },
+    {
+      "name": "profile.location_2dsphere",
+      "key": {
+        "profile.location": "2dsphere"
+      },
+      "options": {}
+    },
+    {
+      "name": "passport.location_2dsphere",
+      "key": {
+        "passport.location": "2dsphere"
+      },
+      "options": {}
+    },
+    {
+      "name": "explore.categories.category_1_explore.categories.expiresAt_1",
+      "key": {
+        "explore.categories.category": 1,
+        "explore.categories.expiresAt": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "scoring.eloScore_-1",
+      "key": {
+        "scoring.eloScore": -1
+      },
+      "options": {}
+    },
+    {
+      "name": "status.isActive_1_preferences.showMe_1",
+      "key": {
+        "status.isActive": 1,
+        "preferences.showMe": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "profile.gender_1_preferences.genderPreference_1",
+      "key": {
+        "profile.gender": 1,
+        "preferences.genderPreference": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "createdAt_-1",
+      "key": {
+        "createdAt": -1
+      },
+      "options": {}
+    },
+    {
+      "name": "status.lastActive_-1",
+      "key": {
+        "status.lastActive": -1
+      },
+      "options": {}
+    },
+    {
+      "name": "subscription.type_1",
+      "key": {
+        "subscription.type": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "limits.dailyLikes.resetAt_1",
+      "key": {
+        "limits.dailyLikes.resetAt": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "limits.monthlyBoosts.resetAt_1",
+      "key": {
+        "limits.monthlyBoosts.resetAt": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "metadata.referralCode_1",
+      "key": {
+        "metadata.referralCode": 1
+      },
+      "options": {}
+    }
+  ]
+};
+
+export const up = (ctx) => MigrationService.syncIndexes(ctx, INDEXES);
+
+export const down = (ctx, meta) => MigrationService.revertIndexes(ctx, meta);
+
+export const plan = (ctx) => MigrationService.planIndexes(ctx, INDEXES);
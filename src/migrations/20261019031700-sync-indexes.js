@@ -0,0 +1,123 @@
+// src/migrations/20261019031700-sync-indexes.js
+// Generated by `npm run migrate -- generate:indexes` from the indexes declared
+// in the model schemas. Regenerate instead of editing by hand.
+import MigrationService from '../shared/services/migration.service.js';
+
+export const description = 'Sync declared indexes: matches';
+
+export const INDEXES = {
+  "matches": [
+    {
+      "name": "matchedAt_1",
+      "key": {
+        "matchedAt": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "status.isActive_1",
+      "key": {
+        "status.isActive": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "status.status_1",
+      "key": {
+        "status.status": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "interaction.lastMessageAt_1",
+      "key": {
+        "interaction.lastMessageAt": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "engagement.lastActivityAt_1",
+      "key": {
+        "engagement.lastActivityAt": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "users_1_status.isActive_1",
+      "key": {
+        "users": 1,
+        "status.isActive": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "users_1_matchedAt_-1",
+      "key": {
+        "users": 1,
+        "matchedAt": -1
+      },
+      "options": {}
+    },
+    {
+      "name": "users_1_interaction.lastMessageAt_-1",
+      "key": {
+        "users": 1,
+        "interaction.lastMessageAt": -1
+      },
+      "options": {}
+    },
+    {
+      "name": "status.isActive_1_matchedAt_-1",
+      "key": {
+        "status.isActive": 1,
+        "matchedAt": -1
+      },
+      "options": {}
+    },
+    {
+      "name": "engagement.lastActivityAt_-1",
+      "key": {
+        "engagement.lastActivityAt": -1
+      },
+      "options": {}
+    },
+    {
+      "name": "engagement.activityStreak.lastStreakDate_1_engagement.activityStreak.current_1",
+      "key": {
+        "engagement.activityStreak.lastStreakDate": 1,
+        "engagement.activityStreak.current": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "chat.isPinned.user1_1_chat.isPinned.user2_1",
+      "key": {
+        "chat.isPinned.user1": 1,
+        "chat.isPinned.user2": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "interaction.unreadCount.user1_1_interaction.unreadCount.user2_1",
+      "key": {
+        "interaction.unreadCount.user1": 1,
+        "interaction.unreadCount.user2": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "metadata.location.user1.city_text_metadata.location.user2.city_text",
+      "key": {
+        "metadata.location.user1.city": "text",
+        "metadata.location.user2.city": "text"
+      },
+      "options": {}
+    }
+  ]
+};
+
+export const up = (ctx) => MigrationService.syncIndexes(ctx, INDEXES);
+
+export const down = (ctx, meta) => MigrationService.revertIndexes(ctx, meta);
+
+export const plan = (ctx) => MigrationService.planIndexes(ctx, INDEXES);
@@ -0,0 +1,174 @@
+// src/migrations/20261019031800-sync-indexes.js
+// Generated by `npm run migrate -- generate:indexes` from the indexes declared
+// in the model schemas. Regenerate instead of editing by hand.
+import MigrationService from '../shared/services/migration.service.js';
+
+export const description = 'Sync declared indexes: swipes';
+
+export const INDEXES = {
+  "swipes": [
+    {
+      "name": "from_1",
+      "key": {
+        "from": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "to_1",
+      "key": {
+        "to": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "action_1",
+      "key": {
+        "action": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "swipedAt_1",
+      "key": {
+        "swipedAt": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "isActive_1",
+      "key": {
+        "isActive": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "match.isMatch_1",
+      "key": {
+        "match.isMatch": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "location.from.coordinates_2dsphere",
+      "key": {
+        "location.from.coordinates": "2dsphere"
+      },
+      "options": {}
+    },
+    {
+      "name": "from_1_to_1",
+      "key": {
+        "from": 1,
+        "to": 1
+      },
+      "options": {
+        "unique": true
+      }
+    },
+    {
+      "name": "from_1_swipedAt_-1",
+      "key": {
+        "from": 1,
+        "swipedAt": -1
+      },
+      "options": {}
+    },
+    {
+      "name": "to_1_swipedAt_-1",
+      "key": {
+        "to": 1,
+        "swipedAt": -1
+      },
+      "options": {}
+    },
+    {
+      "name": "from_1_isActive_1_swipedAt_-1",
+      "key": {
+        "from": 1,
+        "isActive": 1,
+        "swipedAt": -1
+      },
+      "options": {}
+    },
+    {
+      "name": "to_1_action_1_isActive_1",
+      "key": {
+        "to": 1,
+        "action": 1,
+        "isActive": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "from_1_to_1_isActive_1",
+      "key": {
+        "from": 1,
+        "to": 1,
+        "isActive": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "from_1_sync.idempotencyKey_1",
+      "key": {
+        "from": 1,
+        "sync.idempotencyKey": 1
+      },
+      "options": {
+        "unique": true,
+        "partialFilterExpression": {
+          "sync.idempotencyKey": {
+            "$exists": true
+          }
+        }
+      }
+    },
+    {
+      "name": "match.isMatch_1_swipedAt_-1",
+      "key": {
+        "match.isMatch": 1,
+        "swipedAt": -1
+      },
+      "options": {}
+    },
+    {
+      "name": "from_1_action_1_swipedAt_-1",
+      "key": {
+        "from": 1,
+        "action": 1,
+        "swipedAt": -1
+      },
+      "options": {}
+    },
+    {
+      "name": "context.source_1_swipedAt_-1",
+      "key": {
+        "context.source": 1,
+        "swipedAt": -1
+      },
+      "options": {}
+    },
+    {
+      "name": "response.hasResponse_1_response.responseAt_1",
+      "key": {
+        "response.hasResponse": 1,
+        "response.responseAt": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "superLike.message_text",
+      "key": {
+        "superLike.message": "text"
+      },
+      "options": {}
+    }
+  ]
+};
+
+export const up = (ctx) => MigrationService.syncIndexes(ctx, INDEXES);
+
+export const down = (ctx, meta) => MigrationService.revertIndexes(ctx, meta);
+
+export const plan = (ctx) => MigrationService.planIndexes(ctx, INDEXES);
@@ -0,0 +1,62 @@
+// src/migrations/20261019031900-sync-indexes.js
+// Generated by `npm run migrate -- generate:indexes` from the indexes declared
+// in the model schemas. Regenerate instead of editing by hand.
+import MigrationService from '../shared/services/migration.service.js';
+
+export const description = 'Sync declared indexes: calls';
+
+export const INDEXES = {
+  "calls": [
+    {
+      "name": "match_1_createdAt_-1",
+      "key": {
+        "match": 1,
+        "createdAt": -1
+      },
+      "options": {}
+    },
+    {
+      "name": "match_1",
+      "key": {
+        "match": 1
+      },
+      "options": {
+        "unique": true,
+        "partialFilterExpression": {
+          "active": true
+        }
+      }
+    },
+    {
+      "name": "caller_1_active_1",
+      "key": {
+        "caller": 1,
+        "active": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "callee_1_active_1",
+      "key": {
+        "callee": 1,
+        "active": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "active_1_status_1_ringExpiresAt_1",
+      "key": {
+        "active": 1,
+        "status": 1,
+        "ringExpiresAt": 1
+      },
+      "options": {}
+    }
+  ]
+};
+
+export const up = (ctx) => MigrationService.syncIndexes(ctx, INDEXES);
+
+export const down = (ctx, meta) => MigrationService.revertIndexes(ctx, meta);
+
+export const plan = (ctx) => MigrationService.planIndexes(ctx, INDEXES);
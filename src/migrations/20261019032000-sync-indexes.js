@@ -0,0 +1,43 @@
+// src/migrations/20261019032000-sync-indexes.js
+// Generated by `npm run migrate -- generate:indexes` from the indexes declared
+// in the model schemas. Regenerate instead of editing by hand.
+import MigrationService from '../shared/services/migration.service.js';
+
+export const description = 'Sync declared indexes: safetyplans';
+
+export const INDEXES = {
+  "safetyplans": [
+    {
+      "name": "tokenHashes_1",
+      "key": {
+        "tokenHashes": 1
+      },
+      "options": {
+        "unique": true
+      }
+    },
+    {
+      "name": "user_1_match_1_createdAt_-1",
+      "key": {
+        "user": 1,
+        "match": 1,
+        "createdAt": -1
+      },
+      "options": {}
+    },
+    {
+      "name": "checkIn.status_1_checkIn.dueAt_1",
+      "key": {
+        "checkIn.status": 1,
+        "checkIn.dueAt": 1
+      },
+      "options": {}
+    }
+  ]
+};
+
+export const up = (ctx) => MigrationService.syncIndexes(ctx, INDEXES);
+
+export const down = (ctx, meta) => MigrationService.revertIndexes(ctx, meta);
+
+export const plan = (ctx) => MigrationService.planIndexes(ctx, INDEXES);
@@ -0,0 +1,63 @@
+// src/migrations/20261019032100-sync-indexes.js
+// Generated by `npm run migrate -- generate:indexes` from the indexes declared
+// in the model schemas. Regenerate instead of editing by hand.
+import MigrationService from '../shared/services/migration.service.js';
+
+export const description = 'Sync declared indexes: games';
+
+export const INDEXES = {
+  "games": [
+    {
+      "name": "match_1_createdAt_-1",
+      "key": {
+        "match": 1,
+        "createdAt": -1
+      },
+      "options": {}
+    },
+    {
+      "name": "match_1",
+      "key": {
+        "match": 1
+      },
+      "options": {
+        "unique": true,
+        "partialFilterExpression": {
+          "active": true
+        }
+      }
+    },
+    {
+      "name": "players_1_active_1",
+      "key": {
+        "players": 1,
+        "active": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "active_1_status_1_inviteExpiresAt_1",
+      "key": {
+        "active": 1,
+        "status": 1,
+        "inviteExpiresAt": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "active_1_status_1_turnDeadline_1",
+      "key": {
+        "active": 1,
+        "status": 1,
+        "turnDeadline": 1
+      },
+      "options": {}
+    }
+  ]
+};
+
+export const up = (ctx) => MigrationService.syncIndexes(ctx, INDEXES);
+
+export const down = (ctx, meta) => MigrationService.revertIndexes(ctx, meta);
+
+export const plan = (ctx) => MigrationService.planIndexes(ctx, INDEXES);
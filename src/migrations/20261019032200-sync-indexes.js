@@ -0,0 +1,86 @@
+// src/migrations/20261019032200-sync-indexes.js
+// Generated by `npm run migrate -- generate:indexes` from the indexes declared
+// in the model schemas. Regenerate instead of editing by hand.
+import MigrationService from '../shared/services/migration.service.js';
+
+export const description = 'Sync declared indexes: stickerlibraries, stickerpacks, stickers';
+
+export const INDEXES = {
+  "stickerlibraries": [
+    {
+      "name": "user_1",
+      "key": {
+        "user": 1
+      },
+      "options": {
+        "unique": true
+      }
+    }
+  ],
+  "stickerpacks": [
+    {
+      "name": "slug_1",
+      "key": {
+        "slug": 1
+      },
+      "options": {
+        "unique": true
+      }
+    },
+    {
+      "name": "status_1_sortOrder_1",
+      "key": {
+        "status": 1,
+        "sortOrder": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "product_1",
+      "key": {
+        "product": 1
+      },
+      "options": {
+        "unique": true,
+        "partialFilterExpression": {
+          "product": {
+            "$type": "string"
+          }
+        }
+      }
+    }
+  ],
+  "stickers": [
+    {
+      "name": "pack_1_active_1_sortOrder_1",
+      "key": {
+        "pack": 1,
+        "active": 1,
+        "sortOrder": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "pack_1_addedInVersion_1",
+      "key": {
+        "pack": 1,
+        "addedInVersion": 1
+      },
+      "options": {}
+    },
+    {
+      "name": "pack_1_removedInVersion_1",
+      "key": {
+        "pack": 1,
+        "removedInVersion": 1
+      },
+      "options": {}
+    }
+  ]
+};
+
+export const up = (ctx) => MigrationService.syncIndexes(ctx, INDEXES);
+
+export const down = (ctx, meta) => MigrationService.revertIndexes(ctx, meta);
+
+export const plan = (ctx) => MigrationService.planIndexes(ctx, INDEXES);
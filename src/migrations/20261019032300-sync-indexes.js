@@ -0,0 +1,26 @@
+// src/migrations/20261019032300-sync-indexes.js
+// Generated by `npm run migrate -- generate:indexes` from the indexes declared
+// in the model schemas. Regenerate instead of editing by hand.
+import MigrationService from '../shared/services/migration.service.js';
+
+export const description = 'Sync declared indexes: keybundles';
+
+export const INDEXES = {
+  "keybundles": [
+    {
+      "name": "user_1",
+      "key": {
+        "user": 1
+      },
+      "options": {
+        "unique": true
+      }
+    }
+  ]
+};
+
+export const up = (ctx) => MigrationService.syncIndexes(ctx, INDEXES);
+
+export const down = (ctx, meta) => MigrationService.revertIndexes(ctx, meta);
+
+export const plan = (ctx) => MigrationService.planIndexes(ctx, INDEXES);
@@ -0,0 +1,194 @@
+// src/modules/admin/admin.controller.js
+import AdminService from './admin.service.js';
+import StickerService from '../sticker/sticker.service.js';
+import { asyncHandler } from '../../shared/utils/asyncHandler.js';
+import {
+  successResponse,
+  createdResponse,
+  badRequestResponse,
+  paginatedResponse,
+} from '../../shared/utils/response.js';
+
+class AdminController {
+  /**
+   * List reports in the moderation queue
+   * @route GET /api/admin/reports
+   */
+  listReports = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 20, status, reason, type, assignedTo, reportedUser } = req.query;
+
+    const result = await AdminService.listReports(
+      {
+        status,
+        reason,
+        type,
+        assignedTo: assignedTo === 'me' ? req.user._id.toString() : assignedTo,
+        reportedUser,
+      },
+      {
+        page: parseInt(page),
+        limit: parseInt(limit),
+      }
+    );
+
+    return paginatedResponse(
+      res,
+      result.reports,
+      result.pagination.total,
+      result.pagination.page,
+      result.pagination.limit,
+      'Reports retrieved'
+    );
+  });
+
+  /**
+   * Get moderation queue statistics
+   * @route GET /api/admin/reports/stats
+   */
+  getQueueStats = asyncHandler(async (req, res) => {
+    const stats = await AdminService.getQueueStats();
+
+    return successResponse(res, stats, 'Report queue statistics retrieved');
+  });
+
+  /**
+   * Get a report with its audit trail
+   * @route GET /api/admin/reports/:reportId
+   */
+  getReport = asyncHandler(async (req, res) => {
+    const { reportId } = req.params;
+
+    const result = await AdminService.getReport(reportId);
+
+    return successResponse(res, result, 'Report retrieved');
+  });
+
+  /**
+   * Assign a report
+   * @route POST /api/admin/reports/:reportId/assign
+   */
+  assignReport = asyncHandler(async (req, res) => {
+    const { reportId } = req.params;
+    const { assigneeId } = req.body;
+
+    const report = await AdminService.assignReport(reportId, req.user, assigneeId);
+
+    return successResponse(res, { report }, 'Report assigned');
+  });
+
+  /**
+   * Escalate a report
+   * @route POST /api/admin/reports/:reportId/escalate
+   */
+  escalateReport = asyncHandler(async (req, res) => {
+    const { reportId } = req.params;
+    const { reason } = req.body;
+
+    const report = await AdminService.escalateReport(reportId, req.user, reason);
+
+    return successResponse(res, { report }, 'Report escalated');
+  });
+
+  /**
+   * Resolve a report with an enforcement action
+   * @route POST /api/admin/reports/:reportId/resolve
+   */
+  resolveReport = asyncHandler(async (req, res) => {
+    const { reportId } = req.params;
+    const { action, notes, duration } = req.body;
+
+    const result = await AdminService.resolveReport(reportId, req.user, {
+      action,
+      notes,
+      duration: duration ? parseInt(duration) : undefined,
+    });
+
+    return successResponse(res, result, `Report ${result.report.status}`);
+  });
+
+  /**
+   * Lift a user's ban or shadow-ban
+   * @route POST /api/admin/users/:userId/unban
+   */
+  liftBan = asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+    const { notes } = req.body;
+
+    const result = await AdminService.liftBan(userId, req.user, notes);
+
+    return successResponse(res, result, 'Ban lifted');
+  });
+
+  /**
+   * List all sticker packs, drafts included
+   * @route GET /api/admin/stickers/packs
+   */
+  listStickerPacks = asyncHandler(async (req, res) => {
+    const packs = await StickerService.listAllPacks();
+
+    return successResponse(res, { packs }, 'Sticker packs retrieved');
+  });
+
+  /**
+   * Create a draft sticker pack
+   * @route POST /api/admin/stickers/packs
+   */
+  createStickerPack = asyncHandler(async (req, res) => {
+    const pack = await StickerService.createPack(req.user._id, req.body);
+
+    return createdResponse(res, { pack }, 'Sticker pack created');
+  });
+
+  /**
+   * Edit a sticker pack's details
+   * @route PUT /api/admin/stickers/packs/:packId
+   */
+  updateStickerPack = asyncHandler(async (req, res) => {
+    const pack = await StickerService.updatePack(req.params.packId, req.body);
+
+    return successResponse(res, { pack }, 'Sticker pack updated');
+  });
+
+  /**
+   * Publish, retire or unpublish a sticker pack
+   * @route POST /api/admin/stickers/packs/:packId/status
+   */
+  setStickerPackStatus = asyncHandler(async (req, res) => {
+    const pack = await StickerService.setPackStatus(req.params.packId, req.body.status);
+
+    return successResponse(res, { pack }, `Sticker pack ${pack.status}`);
+  });
+
+  /**
+   * Upload a sticker into a pack
+   * @route POST /api/admin/stickers/packs/:packId/stickers
+   */
+  addSticker = asyncHandler(async (req, res) => {
+    if (!req.file) {
+      return badRequestResponse(res, 'Sticker image is required');
+    }
+
+    const { name, emoji, sortOrder } = req.body;
+    const sticker = await StickerService.addSticker(req.user._id, req.params.packId, req.file, {
+      name,
+      emoji,
+      sortOrder,
+    });
+
+    return createdResponse(res, { sticker }, 'Sticker added');
+  });
+
+  /**
+   * Remove a sticker from a pack
+   * @route DELETE /api/admin/stickers/packs/:packId/stickers/:stickerId
+   */
+  removeSticker = asyncHandler(async (req, res) => {
+    const { packId, stickerId } = req.params;
+
+    const pack = await StickerService.removeSticker(packId, stickerId);
+
+    return successResponse(res, { pack }, 'Sticker removed');
+  });
+}
+
+export default new AdminController();
@@ -0,0 +1,226 @@
+// src/modules/admin/admin.routes.js
+import { Router } from 'express';
+import AdminController from './admin.controller.js';
+import {
+ authenticate,
+ authorize
+} from '../../shared/middleware/auth.middleware.js';
+import { customRateLimiter } from '../../shared/middleware/rateLimiter.middleware.js';
+import {
+ sanitizeRequest,
+ validatePagination,
+ validateObjectId,
+ validate
+} from '../../shared/middleware/validation.middleware.js';
+import { adminValidators, stickerValidators } from '../../shared/utils/validators.js';
+import { upload, handleMulterError } from '../media/upload.middleware.js';
+import { ROLES } from '../../config/constants.js';
+
+const router = Router();
+
+/**
+* @route   /api/admin
+* @desc    Moderation and enforcement routes
+*/
+
+// Every admin route requires a moderator or admin
+router.use(authenticate);
+router.use(authorize(ROLES.ADMIN, ROLES.MODERATOR, ROLES.SUPER_ADMIN));
+
+// ============================
+// Report Queue Routes
+// ============================
+
+/**
+* @route   GET /api/admin/reports
+* @desc    List reports (filter by status, reason, type, assignee)
+* @access  Moderator, Admin
+*/
+router.get(
+ '/reports',
+ validatePagination,
+ adminValidators.listReports,
+ validate,
+ AdminController.listReports
+);
+
+/**
+* @route   GET /api/admin/reports/stats
+* @desc    Report queue statistics
+* @access  Moderator, Admin
+*/
+router.get(
+ '/reports/stats',
+ AdminController.getQueueStats
+);
+
+/**
+* @route   GET /api/admin/reports/:reportId
+* @desc    Get report details and audit trail
+* @access  Moderator, Admin
+*/
+router.get(
+ '/reports/:reportId',
+ validateObjectId('reportId'),
+ AdminController.getReport
+);
+
+/**
+* @route   POST /api/admin/reports/:reportId/assign
+* @desc    Assign report to self or another moderator
+* @access  Moderator, Admin
+*/
+router.post(
+ '/reports/:reportId/assign',
+ sanitizeRequest,
+ adminValidators.assignReport,
+ validate,
+ AdminController.assignReport
+);
+
+/**
+* @route   POST /api/admin/reports/:reportId/escalate
+* @desc    Escalate report for admin review
+* @access  Moderator, Admin
+*/
+router.post(
+ '/reports/:reportId/escalate',
+ sanitizeRequest,
+ adminValidators.escalateReport,
+ validate,
+ AdminController.escalateReport
+);
+
+/**
+* @route   POST /api/admin/reports/:reportId/resolve
+* @desc    Resolve report with an enforcement action
+* @access  Moderator, Admin
+*/
+router.post(
+ '/reports/:reportId/resolve',
+ customRateLimiter({ limit: 100, window: 3600 }),
+ sanitizeRequest,
+ adminValidators.resolveReport,
+ validate,
+ AdminController.resolveReport
+);
+
+// ============================
+// User Enforcement Routes
+// ============================
+
+/**
+* @route   POST /api/admin/users/:userId/unban
+* @desc    Lift a ban or shadow-ban
+* @access  Admin
+*/
+router.post(
+ '/users/:userId/unban',
+ authorize(ROLES.ADMIN, ROLES.SUPER_ADMIN),
+ validateObjectId('userId'),
+ sanitizeRequest,
+ AdminController.liftBan
+);
+
+// ============================
+// Sticker Pack Routes
+// ============================
+
+/**
+* @route   GET /api/admin/stickers/packs
+* @desc    List all sticker packs, drafts included
+* @access  Admin
+*/
+router.get(
+ '/stickers/packs',
+ authorize(ROLES.ADMIN, ROLES.SUPER_ADMIN),
+ AdminController.listStickerPacks
+);
+
+/**
+* @route   POST /api/admin/stickers/packs
+* @desc    Create a draft sticker pack
+* @access  Admin
+*/
+router.post(
+ '/stickers/packs',
+ authorize(ROLES.ADMIN, ROLES.SUPER_ADMIN),
+ sanitizeRequest,
+ stickerValidators.createPack,
+ validate,
+ AdminController.createStickerPack
+);
+
+/**
+* @route   PUT /api/admin/stickers/packs/:packId
+* @desc    Edit sticker pack details
+* @access  Admin
+*/
+router.put(
+ '/stickers/packs/:packId',
+ authorize(ROLES.ADMIN, ROLES.SUPER_ADMIN),
+ sanitizeRequest,
+ stickerValidators.updatePack,
+ validate,
+ AdminController.updateStickerPack
+);
+
+/**
+* @route   POST /api/admin/stickers/packs/:packId/status
+* @desc    Publish, retire or unpublish a sticker pack
+* @access  Admin
+*/
+router.post(
+ '/stickers/packs/:packId/status',
+ authorize(ROLES.ADMIN, ROLES.SUPER_ADMIN),
+ stickerValidators.packStatus,
+ validate,
+ AdminController.setStickerPackStatus
+);
+
+/**
+* @route   POST /api/admin/stickers/packs/:packId/stickers
+* @desc    Upload a sticker image into a pack
+* @access  Admin
+*/
+router.post(
+ '/stickers/packs/:packId/stickers',
+ authorize(ROLES.ADMIN, ROLES.SUPER_ADMIN),
+ upload.single('file'),
+ handleMulterError,
+ stickerValidators.addSticker,
+ validate,
+ AdminController.addSticker
+);
+
+/**
+* @route   DELETE /api/admin/stickers/packs/:packId/stickers/:stickerId
+* @desc    Remove a sticker from a pack
+* @access  Admin
+*/
+router.delete(
+ '/stickers/packs/:packId/stickers/:stickerId',
+ authorize(ROLES.ADMIN, ROLES.SUPER_ADMIN),
+ stickerValidators.removeSticker,
+ validate,
+ AdminController.removeSticker
+);
+
+// ============================
+// Error Handling
+// ============================
+
+// Handle 404 for admin routes
+router.use((req, res) => {
+ res.status(404).json({
+   success: false,
+   error: {
+     message: 'Admin endpoint not found',
+     code: 'NOT_FOUND',
+     path: req.originalUrl,
+   },
+ });
+});
+
+// Export router
+export default router;
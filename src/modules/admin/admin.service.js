@@ -0,0 +1,482 @@
+// src/modules/admin/admin.service.js
+import Report from './report.model.js';
+import User from '../user/user.model.js';
+import AuthService from '../auth/auth.service.js';
+import NotificationService from '../../shared/services/notification.service.js';
+import CacheService from '../../shared/services/cache.service.js';
+import MetricsService from '../../shared/services/metrics.service.js';
+import logger from '../../shared/utils/logger.js';
+import AppError from '../../shared/errors/AppError.js';
+import {
+  ENFORCEMENT_ACTIONS,
+  ERROR_CODES,
+  HTTP_STATUS,
+  NOTIFICATION_TYPES,
+  PAGINATION,
+  REPORT_REASONS,
+  REPORT_STATUS,
+  ROLES,
+} from '../../config/constants.js';
+
+const OPEN_STATUSES = [
+  REPORT_STATUS.PENDING,
+  REPORT_STATUS.IN_REVIEW,
+  REPORT_STATUS.ESCALATED,
+];
+
+const MAX_ESCALATION_LEVEL = 2;
+
+class AdminService {
+  /**
+   * List reports in the moderation queue
+   * @param {Object} filters - status, reason, type, assignedTo, reportedUser
+   * @param {Object} options - Pagination options
+   */
+  async listReports(filters = {}, options = {}) {
+    try {
+      const {
+        page = PAGINATION.DEFAULT_PAGE,
+        limit = PAGINATION.DEFAULT_LIMIT,
+      } = options;
+
+      const query = {};
+
+      if (filters.status === 'open') {
+        query.status = { $in: OPEN_STATUSES };
+      } else if (filters.status) {
+        query.status = filters.status;
+      }
+
+      if (filters.reason) {
+        const reasons = [].concat(filters.reason);
+        const invalid = reasons.filter(r => !Object.values(REPORT_REASONS).includes(r));
+        if (invalid.length > 0) {
+          throw new AppError(
+            `Invalid report reason: ${invalid.join(', ')}`,
+            HTTP_STATUS.BAD_REQUEST,
+            ERROR_CODES.VALIDATION_ERROR
+          );
+        }
+        query.reason = { $in: reasons };
+      }
+
+      if (filters.type) query.type = filters.type;
+      if (filters.reportedUser) query.reportedUser = filters.reportedUser;
+
+      if (filters.assignedTo === 'unassigned') {
+        query.assignedTo = { $exists: false };
+      } else if (filters.assignedTo) {
+        query.assignedTo = filters.assignedTo;
+      }
+
+      const skip = (page - 1) * limit;
+
+      const [reports, total] = await Promise.all([
+        Report.find(query)
+          .populate('reportedBy', 'profile.firstName profile.displayName')
+          .populate('reportedUser', 'profile.firstName profile.displayName profile.photos status')
+          .populate('assignedTo', 'profile.firstName profile.displayName role')
+          .select('-auditTrail')
+          .sort({ priority: -1, createdAt: 1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        Report.countDocuments(query),
+      ]);
+
+      return {
+        reports,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      logger.error('Error listing reports:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single report with its audit trail
+   * @param {string} reportId - Report ID
+   */
+  async getReport(reportId) {
+    const report = await Report.findById(reportId)
+      .populate('reportedBy', 'profile.firstName profile.displayName email')
+      .populate('reportedUser', 'profile.firstName profile.displayName profile.photos email status adminNotes')
+      .populate('assignedTo', 'profile.firstName profile.displayName role')
+      .populate('auditTrail.performedBy', 'profile.firstName profile.displayName role');
+
+    if (!report) {
+      throw new AppError('Report not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.NOT_FOUND);
+    }
+
+    const previousReports = await Report.countDocuments({
+      reportedUser: report.reportedUser._id,
+      _id: { $ne: report._id },
+    });
+
+    return { report, previousReports };
+  }
+
+  /**
+   * Assign a report to a moderator
+   * @param {string} reportId - Report ID
+   * @param {Object} moderator - Acting moderator (req.user)
+   * @param {string} assigneeId - Moderator to assign (defaults to self)
+   */
+  async assignReport(reportId, moderator, assigneeId = null) {
+    try {
+      const report = await this.getOpenReport(reportId);
+      const targetId = assigneeId || moderator._id.toString();
+
+      if (targetId !== moderator._id.toString()) {
+        const assignee = await User.findById(targetId).select('role');
+        if (!assignee || ![ROLES.MODERATOR, ROLES.ADMIN, ROLES.SUPER_ADMIN].includes(assignee.role)) {
+          throw new AppError(
+            'Reports can only be assigned to moderators',
+            HTTP_STATUS.BAD_REQUEST,
+            ERROR_CODES.VALIDATION_ERROR
+          );
+        }
+      }
+
+      const previousAssignee = report.assignedTo;
+
+      report.assignedTo = targetId;
+      report.assignedAt = new Date();
+      if (report.status === REPORT_STATUS.PENDING) {
+        report.status = REPORT_STATUS.IN_REVIEW;
+      }
+      report.addAuditEntry('assigned', moderator._id, {
+        assignedTo: targetId,
+        previousAssignee,
+      });
+
+      await report.save();
+
+      logger.info(`Report ${reportId} assigned to ${targetId} by ${moderator._id}`);
+
+      return report;
+    } catch (error) {
+      logger.error(`Error assigning report ${reportId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Escalate a report to a higher review level
+   * @param {string} reportId - Report ID
+   * @param {Object} moderator - Acting moderator (req.user)
+   * @param {string} reason - Why the report is escalated
+   */
+  async escalateReport(reportId, moderator, reason) {
+    try {
+      const report = await this.getOpenReport(reportId);
+
+      if (report.escalation.level >= MAX_ESCALATION_LEVEL) {
+        throw new AppError(
+          'Report is already at the highest escalation level',
+          HTTP_STATUS.CONFLICT,
+          ERROR_CODES.CONFLICT
+        );
+      }
+
+      report.status = REPORT_STATUS.ESCALATED;
+      report.priority = Math.min(10, report.priority + 3);
+      report.escalation.level += 1;
+      report.escalation.escalatedBy = moderator._id;
+      report.escalation.escalatedAt = new Date();
+      report.escalation.reason = reason;
+
+      // Escalated reports go back to the admin pool
+      report.assignedTo = undefined;
+      report.assignedAt = undefined;
+
+      report.addAuditEntry('escalated', moderator._id, {
+        level: report.escalation.level,
+        reason,
+      });
+
+      await report.save();
+
+      await NotificationService.notifyAdmins({
+        type: 'report_escalated',
+        reportId: report._id,
+        reason: report.reason,
+        level: report.escalation.level,
+      });
+
+      await MetricsService.incrementCounter('admin.reports.escalated', 1, {
+        reason: report.reason,
+      });
+
+      return report;
+    } catch (error) {
+      logger.error(`Error escalating report ${reportId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve a report, optionally applying an enforcement action
+   * @param {string} reportId - Report ID
+   * @param {Object} moderator - Acting moderator (req.user)
+   * @param {Object} resolution - { action, notes, duration }
+   */
+  async resolveReport(reportId, moderator, resolution = {}) {
+    try {
+      const { action = ENFORCEMENT_ACTIONS.NONE, notes, duration } = resolution;
+      const report = await this.getOpenReport(reportId);
+
+      // Escalated reports need an admin decision
+      if (report.status === REPORT_STATUS.ESCALATED && moderator.role === ROLES.MODERATOR) {
+        throw new AppError(
+          'Escalated reports must be resolved by an admin',
+          HTTP_STATUS.FORBIDDEN,
+          ERROR_CODES.FORBIDDEN
+        );
+      }
+
+      // Permanent bans are an admin decision
+      if (action === ENFORCEMENT_ACTIONS.PERMANENT_BAN && moderator.role === ROLES.MODERATOR) {
+        throw new AppError(
+          'Permanent bans require admin permissions',
+          HTTP_STATUS.FORBIDDEN,
+          ERROR_CODES.FORBIDDEN
+        );
+      }
+
+      let enforcement = null;
+      if (action !== ENFORCEMENT_ACTIONS.NONE) {
+        enforcement = await this.applyEnforcement(report.reportedUser, action, {
+          moderatorId: moderator._id,
+          reason: report.reason,
+          notes,
+          duration,
+          reportId: report._id,
+        });
+      }
+
+      report.status = action === ENFORCEMENT_ACTIONS.NONE
+        ? REPORT_STATUS.DISMISSED
+        : REPORT_STATUS.RESOLVED;
+      report.resolution = {
+        action,
+        notes,
+        banDuration: action === ENFORCEMENT_ACTIONS.TEMP_BAN ? duration : undefined,
+        resolvedBy: moderator._id,
+      };
+      report.resolvedAt = new Date();
+      report.addAuditEntry(report.status, moderator._id, { action, notes, duration });
+
+      await report.save();
+
+      await MetricsService.incrementCounter('admin.reports.resolved', 1, {
+        action,
+        reason: report.reason,
+      });
+
+      logger.info(`Report ${reportId} ${report.status} by ${moderator._id} with action ${action}`);
+
+      return { report, enforcement };
+    } catch (error) {
+      logger.error(`Error resolving report ${reportId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply an enforcement action to a user
+   * @param {string} userId - User being actioned
+   * @param {string} action - One of ENFORCEMENT_ACTIONS
+   * @param {Object} context - moderatorId, reason, notes, duration (days), reportId
+   */
+  async applyEnforcement(userId, action, context = {}) {
+    const { moderatorId, reason, notes, duration, reportId } = context;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new AppError('User not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.USER_NOT_FOUND);
+    }
+
+    if ([ROLES.ADMIN, ROLES.SUPER_ADMIN].includes(user.role)) {
+      throw new AppError(
+        'Enforcement actions cannot target admins',
+        HTTP_STATUS.FORBIDDEN,
+        ERROR_CODES.FORBIDDEN
+      );
+    }
+
+    let sessionsRevoked = 0;
+
+    switch (action) {
+      case ENFORCEMENT_ACTIONS.WARN:
+        await NotificationService.sendNotification(userId.toString(), {
+          type: NOTIFICATION_TYPES.SYSTEM,
+          title: 'Community guidelines warning',
+          body: 'Your account was reported and reviewed. Further violations may lead to a ban.',
+          data: { reason },
+          priority: 'high',
+        });
+        break;
+
+      case ENFORCEMENT_ACTIONS.SHADOW_BAN:
+        await user.shadowBan(reason);
+        break;
+
+      case ENFORCEMENT_ACTIONS.TEMP_BAN:
+        if (!duration) {
+          throw new AppError(
+            'Temporary bans require a duration in days',
+            HTTP_STATUS.BAD_REQUEST,
+            ERROR_CODES.VALIDATION_ERROR
+          );
+        }
+        await user.ban(reason, duration);
+        sessionsRevoked = await this.revokeUserSessions(userId.toString());
+        break;
+
+      case ENFORCEMENT_ACTIONS.PERMANENT_BAN:
+        await user.ban(reason);
+        sessionsRevoked = await this.revokeUserSessions(userId.toString());
+        break;
+
+      default:
+        throw new AppError(
+          `Unknown enforcement action: ${action}`,
+          HTTP_STATUS.BAD_REQUEST,
+          ERROR_CODES.VALIDATION_ERROR
+        );
+    }
+
+    // Audit on the user record as well, so history survives report cleanup
+    await user.addAdminNote(
+      `[${action}] ${reason}${notes ? ` - ${notes}` : ''}${reportId ? ` (report ${reportId})` : ''}`,
+      moderatorId
+    );
+
+    await CacheService.invalidateUser(userId.toString());
+
+    await MetricsService.incrementCounter('admin.enforcement', 1, { action });
+
+    logger.warn(`Enforcement ${action} applied to user ${userId} by ${moderatorId}`);
+
+    return {
+      userId,
+      action,
+      bannedUntil: user.status.bannedUntil,
+      sessionsRevoked,
+    };
+  }
+
+  /**
+   * Lift a ban or shadow-ban
+   * @param {string} userId - User ID
+   * @param {Object} moderator - Acting moderator (req.user)
+   * @param {string} notes - Reason for lifting
+   */
+  async liftBan(userId, moderator, notes = '') {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new AppError('User not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.USER_NOT_FOUND);
+    }
+
+    user.status.isShadowBanned = false;
+    user.status.shadowBannedAt = null;
+    await user.unban();
+    await user.addAdminNote(`[unban] ${notes}`.trim(), moderator._id);
+
+    await CacheService.invalidateUser(userId);
+
+    logger.info(`Ban lifted for user ${userId} by ${moderator._id}`);
+
+    return { userId, status: user.status };
+  }
+
+  /**
+   * Lift temporary bans whose duration has passed
+   * @returns {Promise<number>} - Number of users unbanned
+   */
+  async liftExpiredBans() {
+    try {
+      const users = await User.find({
+        'status.isBanned': true,
+        'status.bannedUntil': { $lte: new Date() },
+      });
+
+      for (const user of users) {
+        await user.unban();
+        await CacheService.invalidateUser(user._id.toString());
+      }
+
+      if (users.length > 0) {
+        logger.info(`Lifted ${users.length} expired temporary bans`);
+      }
+
+      return users.length;
+    } catch (error) {
+      logger.error('Error lifting expired bans:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Revoke every active session of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} - Number of sessions revoked
+   */
+  async revokeUserSessions(userId) {
+    const sessions = await AuthService.getActiveSessions(userId);
+
+    for (const session of sessions) {
+      await AuthService.revokeSession(userId, session.sessionId, null);
+    }
+
+    return sessions.length;
+  }
+
+  /**
+   * Get moderation queue statistics
+   */
+  async getQueueStats() {
+    const [stats, unassigned, escalated] = await Promise.all([
+      Report.getQueueStats(),
+      Report.countDocuments({ status: { $in: OPEN_STATUSES }, assignedTo: { $exists: false } }),
+      Report.countDocuments({ status: REPORT_STATUS.ESCALATED }),
+    ]);
+
+    return {
+      ...stats,
+      unassigned,
+      escalated,
+    };
+  }
+
+  /**
+   * Load a report that can still be acted on
+   * @private
+   */
+  async getOpenReport(reportId) {
+    const report = await Report.findById(reportId);
+
+    if (!report) {
+      throw new AppError('Report not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.NOT_FOUND);
+    }
+
+    if (!OPEN_STATUSES.includes(report.status)) {
+      throw new AppError(
+        `Report is already ${report.status}`,
+        HTTP_STATUS.CONFLICT,
+        ERROR_CODES.CONFLICT
+      );
+    }
+
+    return report;
+  }
+}
+
+export default new AdminService();
@@ -0,0 +1,77 @@
+// src/modules/admin/analyticsSnapshot.model.js
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+/**
+* Analytics Snapshot Schema - one document per UTC day of product metrics
+*
+* Each entry of `metrics` has the shape:
+*   { value, numerator?, denominator?, breakdowns: { gender, ageBand, country, tier } }
+* where every breakdown maps a bucket ("female", "25-34", "VN", "gold") to
+* { value, numerator?, denominator? }. Counts carry only `value`; rates carry all three.
+*/
+const analyticsSnapshotSchema = new Schema(
+ {
+   // UTC midnight of the day the snapshot covers
+   date: {
+     type: Date,
+     required: true,
+   },
+
+   period: {
+     type: String,
+     enum: ['day'],
+     default: 'day',
+   },
+
+   metrics: {
+     type: Schema.Types.Mixed,
+     default: {},
+   },
+
+   // Bumped when metric definitions change, so stale days can be backfilled
+   version: {
+     type: Number,
+     default: 1,
+   },
+
+   computedAt: {
+     type: Date,
+     default: Date.now,
+   },
+
+   durationMs: Number,
+ },
+ {
+   timestamps: true,
+   minimize: false,
+ }
+);
+
+// ============================
+// Indexes
+// ============================
+
+analyticsSnapshotSchema.index({ period: 1, date: -1 }, { unique: true });
+
+// ============================
+// Static Methods
+// ============================
+
+/**
+* Snapshots in a date range, oldest first
+*/
+analyticsSnapshotSchema.statics.getRange = function (from, to, period = 'day') {
+ return this.find({ period, date: { $gte: from, $lte: to } })
+   .sort({ date: 1 })
+   .lean();
+};
+
+// ============================
+// Model Export
+// ============================
+
+const AnalyticsSnapshot = mongoose.model('AnalyticsSnapshot', analyticsSnapshotSchema);
+
+export default AnalyticsSnapshot;
@@ -0,0 +1,238 @@
+// src/modules/admin/report.model.js
+import mongoose from 'mongoose';
+import {
+ REPORT_REASONS,
+ REPORT_STATUS,
+ ENFORCEMENT_ACTIONS,
+} from '../../config/constants.js';
+
+const { Schema } = mongoose;
+
+/**
+* Audit Entry Sub-Schema - every moderator action on a report
+*/
+const AuditEntrySchema = new Schema(
+ {
+   action: {
+     type: String,
+     required: true,
+   },
+   performedBy: {
+     type: Schema.Types.ObjectId,
+     ref: 'User',
+   },
+   performedAt: {
+     type: Date,
+     default: Date.now,
+   },
+   details: Schema.Types.Mixed,
+ },
+ { _id: false }
+);
+
+/**
+* Report Schema - user, match and message reports awaiting moderation
+*/
+const reportSchema = new Schema(
+ {
+   // Who filed the report (`reporter` kept as alias for older callers)
+   reportedBy: {
+     type: Schema.Types.ObjectId,
+     ref: 'User',
+     required: true,
+     index: true,
+     alias: 'reporter',
+   },
+
+   // Who is being reported
+   reportedUser: {
+     type: Schema.Types.ObjectId,
+     ref: 'User',
+     required: true,
+     index: true,
+   },
+
+   // What was reported
+   type: {
+     type: String,
+     enum: ['user', 'match', 'message'],
+     default: 'user',
+     index: true,
+   },
+
+   matchId: {
+     type: Schema.Types.ObjectId,
+     ref: 'Match',
+   },
+
+   messageId: {
+     type: Schema.Types.ObjectId,
+     ref: 'Message',
+   },
+
+   reason: {
+     type: String,
+     enum: Object.values(REPORT_REASONS),
+     required: true,
+     index: true,
+   },
+
+   description: {
+     type: String,
+     maxlength: 1000,
+   },
+
+   evidence: [String],
+
+   // Queue state
+   status: {
+     type: String,
+     enum: Object.values(REPORT_STATUS),
+     default: REPORT_STATUS.PENDING,
+     index: true,
+   },
+
+   priority: {
+     type: Number,
+     default: 5,
+     min: 0,
+     max: 10,
+   },
+
+   assignedTo: {
+     type: Schema.Types.ObjectId,
+     ref: 'User',
+     index: true,
+   },
+
+   assignedAt: Date,
+
+   // Escalation
+   escalation: {
+     level: {
+       type: Number,
+       default: 0,
+     },
+     escalatedBy: {
+       type: Schema.Types.ObjectId,
+       ref: 'User',
+     },
+     escalatedAt: Date,
+     reason: String,
+   },
+
+   // Resolution
+   resolution: {
+     action: {
+       type: String,
+       enum: Object.values(ENFORCEMENT_ACTIONS),
+     },
+     notes: String,
+     banDuration: Number, // days, for temp bans
+     resolvedBy: {
+       type: Schema.Types.ObjectId,
+       ref: 'User',
+     },
+   },
+
+   resolvedAt: Date,
+
+   // Audit trail
+   auditTrail: [AuditEntrySchema],
+ },
+ {
+   timestamps: true,
+ }
+);
+
+// ============================
+// Indexes
+// ============================
+
+reportSchema.index({ status: 1, priority: -1, createdAt: 1 });
+reportSchema.index({ reportedUser: 1, status: 1 });
+reportSchema.index({ assignedTo: 1, status: 1 });
+reportSchema.index({ resolvedAt: 1 });
+
+// ============================
+// Virtuals
+// ============================
+
+reportSchema.virtual('isOpen').get(function () {
+ return [
+   REPORT_STATUS.PENDING,
+   REPORT_STATUS.IN_REVIEW,
+   REPORT_STATUS.ESCALATED,
+ ].includes(this.status);
+});
+
+// ============================
+// Instance Methods
+// ============================
+
+/**
+* Append an entry to the audit trail
+*/
+reportSchema.methods.addAuditEntry = function (action, performedBy, details = {}) {
+ this.auditTrail.push({
+   action,
+   performedBy,
+   performedAt: new Date(),
+   details,
+ });
+ return this;
+};
+
+// ============================
+// Static Methods
+// ============================
+
+/**
+* Count open reports against a user
+*/
+reportSchema.statics.countOpenAgainst = function (userId) {
+ return this.countDocuments({
+   reportedUser: userId,
+   status: { $in: [REPORT_STATUS.PENDING, REPORT_STATUS.IN_REVIEW, REPORT_STATUS.ESCALATED] },
+ });
+};
+
+/**
+* Queue statistics grouped by status and reason
+*/
+reportSchema.statics.getQueueStats = async function () {
+ const [byStatus, byReason] = await Promise.all([
+   this.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+   this.aggregate([
+     { $match: { status: { $in: [REPORT_STATUS.PENDING, REPORT_STATUS.IN_REVIEW, REPORT_STATUS.ESCALATED] } } },
+     { $group: { _id: '$reason', count: { $sum: 1 } } },
+   ]),
+ ]);
+
+ return {
+   byStatus: Object.fromEntries(byStatus.map(s => [s._id, s.count])),
+   openByReason: Object.fromEntries(byReason.map(r => [r._id, r.count])),
+ };
+};
+
+// ============================
+// Middleware
+// ============================
+
+/**
+* Record creation in the audit trail
+*/
+reportSchema.pre('save', function (next) {
+ if (this.isNew && this.auditTrail.length === 0) {
+   this.addAuditEntry('created', this.reportedBy, { reason: this.reason, type: this.type });
+ }
+ next();
+});
+
+// ============================
+// Model Export
+// ============================
+
+const Report = mongoose.model('Report', reportSchema);
+
+export default Report;
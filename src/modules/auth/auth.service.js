@@ -15,6 +15,8 @@ import NotificationService from '../../shared/services/notification.service.js';
 import MetricsService from '../../shared/services/metrics.service.js';
 import CacheService from '../../shared/services/cache.service.js';
 import QueueService from '../../shared/services/queue.service.js';
+import EmailService from '../notification/email.service.js';
+import { EMAIL_TEMPLATE_NAMES } from '../notification/email.templates.js';
 import TwoFactorAuthService from './strategies/2fa.strategy.js';
 import AppError from '../../shared/errors/AppError.js';
 import { ERROR_CODES, NOTIFICATION_TYPES } from '../../config/constants.js';
@@ -520,10 +522,11 @@ class AuthService {
       const verificationUrl = `${process.env.APP_URL}/verify-email?token=${verificationToken}`;
 
       // Queue email
-      await QueueService.addJob('emails', {
+      await EmailService.queue({
         to: user.email,
-        subject: 'Verify your email address',
-        template: 'email-verification',
+        template: EMAIL_TEMPLATE_NAMES.VERIFICATION,
+        userId: user._id,
+        locale: user.metadata?.locale,
         data: {
           name: user.profile.firstName,
           verificationUrl,
@@ -589,10 +592,11 @@ class AuthService {
       await redis.set(usedKey, '1', 86400); // 24 hours
 
       // Send welcome email
-      await QueueService.addJob('emails', {
+      await EmailService.queue({
         to: user.email,
-        subject: 'Welcome to Tinder Clone!',
-        template: 'welcome',
+        template: EMAIL_TEMPLATE_NAMES.WELCOME,
+        userId: user._id,
+        locale: user.metadata?.locale,
         data: {
           name: user.profile.firstName,
         },
@@ -658,10 +662,11 @@ class AuthService {
       const resetUrl = `${process.env.APP_URL}/reset-password?token=${resetToken}`;
 
       // Queue email
-      await QueueService.addJob('emails', {
+      await EmailService.queue({
         to: user.email,
-        subject: 'Reset your password',
-        template: 'password-reset',
+        template: EMAIL_TEMPLATE_NAMES.PASSWORD_RESET,
+        userId: user._id,
+        locale: user.metadata?.locale,
         data: {
           name: user.profile.firstName,
           resetUrl,
@@ -740,10 +745,11 @@ class AuthService {
       }
 
       // Send confirmation email
-      await QueueService.addJob('emails', {
+      await EmailService.queue({
         to: user.email,
-        subject: 'Password changed successfully',
-        template: 'password-changed',
+        template: EMAIL_TEMPLATE_NAMES.PASSWORD_CHANGED,
+        userId: user._id,
+        locale: user.metadata?.locale,
         data: {
           name: user.profile.firstName,
         },
@@ -855,13 +861,15 @@ class AuthService {
 
       // Send security alert
       if (user.email) {
-        await QueueService.addJob('emails', {
+        await EmailService.queue({
           to: user.email,
-          subject: 'Security Alert: Account Locked',
-          template: 'security-alert',
+          template: EMAIL_TEMPLATE_NAMES.ACCOUNT_LOCKED,
+          userId: user._id,
+          locale: user.metadata?.locale,
           data: {
             name: user.profile.firstName,
             reason: 'multiple_failed_login_attempts',
+            resetUrl: `${process.env.APP_URL}/forgot-password`,
           },
         });
       }
@@ -1054,15 +1062,17 @@ class AuthService {
       const isNewDevice = !knownDevices.some(d => d.deviceId === deviceInfo.deviceId);
 
       if (isNewDevice && user.email) {
-        await QueueService.addJob('emails', {
+        await EmailService.queue({
           to: user.email,
-          subject: 'New Login to Your Account',
-          template: 'new-login',
+          template: EMAIL_TEMPLATE_NAMES.LOGIN_ALERT,
+          userId: user._id,
+          locale: user.metadata?.locale,
           data: {
             name: user.profile.firstName,
             device: deviceInfo.platform || 'Unknown device',
             location: deviceInfo.location || 'Unknown location',
             time: new Date().toLocaleString(),
+            securityUrl: `${process.env.APP_URL}/settings/security`,
           },
         });
       }
@@ -1270,10 +1280,11 @@ class AuthService {
 
       // Send confirmation email
       if (user.email) {
-        await QueueService.addJob('emails', {
+        await EmailService.queue({
           to: user.email,
-          subject: 'Account Deletion Confirmation',
-          template: 'account-deleted',
+          template: EMAIL_TEMPLATE_NAMES.ACCOUNT_DELETED,
+          userId: user._id,
+          locale: user.metadata?.locale,
           data: {
             name: user.profile.firstName,
             recoveryDays: 30,
@@ -1343,10 +1354,11 @@ class AuthService {
 
       // Send confirmation email
       if (user.email) {
-        await QueueService.addJob('emails', {
+        await EmailService.queue({
           to: user.email,
-          subject: 'Account Recovered Successfully',
-          template: 'account-recovered',
+          template: EMAIL_TEMPLATE_NAMES.ACCOUNT_RECOVERED,
+          userId: user._id,
+          locale: user.metadata?.locale,
           data: {
             name: user.profile.firstName,
           },
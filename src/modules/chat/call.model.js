@@ -0,0 +1,127 @@
+// src/modules/chat/call.model.js
+import mongoose from 'mongoose';
+import { CALL_TYPES, CALL_STATUS } from '../../config/constants.js';
+
+const { Schema } = mongoose;
+
+/**
+* Call Schema - One voice/video call between two matched users, from the
+* first ring to hang-up
+*/
+const callSchema = new Schema(
+ {
+   match: {
+     type: Schema.Types.ObjectId,
+     ref: 'Match',
+     required: true,
+   },
+
+   caller: {
+     type: Schema.Types.ObjectId,
+     ref: 'User',
+     required: true,
+   },
+
+   callee: {
+     type: Schema.Types.ObjectId,
+     ref: 'User',
+     required: true,
+   },
+
+   type: {
+     type: String,
+     enum: Object.values(CALL_TYPES),
+     default: CALL_TYPES.VIDEO,
+   },
+
+   status: {
+     type: String,
+     enum: Object.values(CALL_STATUS),
+     default: CALL_STATUS.RINGING,
+   },
+
+   // True while ringing or connected; a match has at most one active call
+   active: {
+     type: Boolean,
+     default: true,
+   },
+
+   ringExpiresAt: {
+     type: Date,
+     required: true,
+   },
+   connectedAt: Date,
+   endedAt: Date,
+   endedBy: {
+     type: Schema.Types.ObjectId,
+     ref: 'User',
+   },
+   endReason: String,
+
+   // Seconds connected
+   duration: {
+     type: Number,
+     default: 0,
+   },
+
+   // Chat entry recording how the call ended
+   message: {
+     type: Schema.Types.ObjectId,
+     ref: 'Message',
+   },
+
+   platform: {
+     caller: String,
+     callee: String,
+   },
+ },
+ {
+   timestamps: true,
+ }
+);
+
+// ============================
+// Indexes
+// ============================
+
+callSchema.index({ match: 1, createdAt: -1 });
+callSchema.index({ match: 1 }, { unique: true, partialFilterExpression: { active: true } });
+callSchema.index({ caller: 1, active: 1 });
+callSchema.index({ callee: 1, active: 1 });
+callSchema.index({ active: 1, status: 1, ringExpiresAt: 1 });
+
+// ============================
+// Methods
+// ============================
+
+/**
+* Check if user is the caller or the callee
+*/
+callSchema.methods.hasParticipant = function (userId) {
+ return [this.caller, this.callee].some((u) => u.toString() === userId.toString());
+};
+
+/**
+* Get the other side of the call
+*/
+callSchema.methods.getOtherParticipant = function (userId) {
+ return this.caller.toString() === userId.toString() ? this.callee : this.caller;
+};
+
+// ============================
+// Statics
+// ============================
+
+/**
+* Ringing or connected call involving the user, if any
+*/
+callSchema.statics.findActiveForUser = function (userId) {
+ return this.findOne({
+   active: true,
+   $or: [{ caller: userId }, { callee: userId }],
+ });
+};
+
+const Call = mongoose.model('Call', callSchema);
+
+export default Call;
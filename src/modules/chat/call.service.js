@@ -0,0 +1,638 @@
+// src/modules/chat/call.service.js
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Call from './call.model.js';
+import Message from './message.model.js';
+import Match from '../match/match.model.js';
+import User from '../user/user.model.js';
+import ChatService from './chat.service.js';
+import socketManager from '../../config/socket.js';
+import callsConfig from '../../config/calls.js';
+import logger from '../../shared/utils/logger.js';
+import NotificationService from '../../shared/services/notification.service.js';
+import MetricsService from '../../shared/services/metrics.service.js';
+import AppError from '../../shared/errors/AppError.js';
+import {
+ CALL_TYPES,
+ CALL_STATUS,
+ MESSAGE_TYPES,
+ NOTIFICATION_TYPES,
+ SOCKET_EVENTS,
+ ERROR_CODES,
+ HTTP_STATUS,
+} from '../../config/constants.js';
+
+const CALLER_FIELDS = 'profile.firstName profile.displayName';
+
+/**
+* Call Service
+* Owns the call lifecycle: consent, ringing, answer/decline/hang-up, ring
+* timeouts, the chat entry each call leaves behind and WebRTC signaling relay.
+* Events go out through a transport so the service can run against the chat
+* namespace or a fake socket pair.
+*/
+class CallService {
+ constructor() {
+   this.ringTimers = new Map();
+   this.transport = (userId, event, data) => socketManager.emitToUser(userId, event, data);
+ }
+
+ /**
+  * Route call events, e.g. to the chat namespace
+  * @param {Function} transport - (userId, event, data) => void
+  */
+ setTransport(transport) {
+   this.transport = transport;
+ }
+
+ emit(userId, event, data) {
+   try {
+     this.transport(userId.toString(), event, data);
+   } catch (error) {
+     logger.warn(`Could not emit ${event} to user ${userId}:`, error);
+   }
+ }
+
+ // ========================
+ // Video consent
+ // ========================
+
+ /**
+  * Opt in to (or out of) video calls for a match. Video calls need both
+  * people opted in; opting out also ends a video call in progress.
+  */
+ async setVideoConsent(userId, matchId, optIn) {
+   const match = await this.loadMatch(userId, matchId);
+   const wasOptedIn = this.formatConsent(match, userId).optedIn;
+
+   const updated = await Match.findByIdAndUpdate(
+     match._id,
+     optIn
+       ? { $addToSet: { 'videoChat.optedIn': userId } }
+       : { $pull: { 'videoChat.optedIn': userId } },
+     { new: true }
+   );
+
+   const consent = this.formatConsent(updated, userId);
+   const otherId = updated.getOtherUser(userId);
+   this.emit(otherId, SOCKET_EVENTS.CALL_CONSENT_UPDATED, this.formatConsent(updated, otherId));
+
+   if (optIn && !wasOptedIn && !consent.otherOptedIn) {
+     const user = await User.findById(userId).select(CALLER_FIELDS).lean();
+     try {
+       await NotificationService.sendNotification(otherId.toString(), {
+         type: NOTIFICATION_TYPES.VIDEO_CHAT_REQUEST,
+         title: 'Video chat request 🎥',
+         body: `${this.displayName(user)} would like to video chat`,
+         data: { matchId: match._id.toString() },
+       });
+     } catch (error) {
+       logger.warn(`Could not send video chat request for match ${match._id}:`, error);
+     }
+   }
+
+   if (!optIn) {
+     const call = await Call.findOne({ match: match._id, active: true, type: CALL_TYPES.VIDEO });
+     if (call) {
+       await this.endCall(userId, call._id, 'consent_withdrawn');
+     }
+   }
+
+   return consent;
+ }
+
+ async getVideoConsent(userId, matchId) {
+   const match = await this.loadMatch(userId, matchId);
+   return this.formatConsent(match, userId);
+ }
+
+ formatConsent(match, userId) {
+   const optedIn = (match.videoChat?.optedIn || []).map(id => id.toString());
+   const mine = optedIn.includes(userId.toString());
+   const theirs = optedIn.includes(match.getOtherUser(userId).toString());
+
+   return {
+     matchId: match._id,
+     optedIn: mine,
+     otherOptedIn: theirs,
+     videoEnabled: match.videoChat?.isEnabled !== false && mine && theirs,
+   };
+ }
+
+ // ========================
+ // Call lifecycle
+ // ========================
+
+ /**
+  * Ring the other person in a match
+  * @returns {Object} - { call, iceServers, ttl }
+  */
+ async initiateCall(callerId, matchId, { type = CALL_TYPES.VIDEO, offer, platform } = {}) {
+   if (!Object.values(CALL_TYPES).includes(type)) {
+     throw new AppError('Invalid call type', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.VALIDATION_ERROR);
+   }
+
+   const match = await this.loadMatch(callerId, matchId);
+   if (type === CALL_TYPES.VIDEO && !this.formatConsent(match, callerId).videoEnabled) {
+     throw new AppError(
+       'Both of you need to turn on video chat first',
+       HTTP_STATUS.FORBIDDEN,
+       ERROR_CODES.VIDEO_CONSENT_REQUIRED
+     );
+   }
+
+   const calleeId = match.getOtherUser(callerId);
+
+   // Rings whose timer was lost (e.g. a restart) must not block new calls
+   await this.expireRinging();
+
+   const participants = [callerId, calleeId];
+   const busy = await Call.exists({
+     active: true,
+     $or: [{ caller: { $in: participants } }, { callee: { $in: participants } }],
+   });
+   if (busy) {
+     throw new AppError('One of you is already on a call', HTTP_STATUS.CONFLICT, ERROR_CODES.CALL_BUSY);
+   }
+
+   let call;
+   try {
+     call = await Call.create({
+       match: match._id,
+       caller: callerId,
+       callee: calleeId,
+       type,
+       ringExpiresAt: new Date(Date.now() + callsConfig.ringTimeoutSeconds * 1000),
+       platform: { caller: platform },
+     });
+   } catch (error) {
+     if (error.code === 11000) {
+       throw new AppError('One of you is already on a call', HTTP_STATUS.CONFLICT, ERROR_CODES.CALL_BUSY);
+     }
+     throw error;
+   }
+
+   this.scheduleRingTimeout(call);
+
+   const caller = await User.findById(callerId).select(CALLER_FIELDS).lean();
+   const callerName = this.displayName(caller);
+
+   this.emit(calleeId, SOCKET_EVENTS.CALL_INCOMING, {
+     callId: call._id,
+     matchId: match._id,
+     callType: type,
+     caller: { id: callerId, name: callerName },
+     offer,
+     expiresAt: call.ringExpiresAt,
+   });
+
+   try {
+     await NotificationService.sendNotification(calleeId.toString(), {
+       type: NOTIFICATION_TYPES.INCOMING_CALL,
+       title: `Incoming ${type} call`,
+       body: `${callerName} is calling you`,
+       data: { callId: call._id.toString(), matchId: match._id.toString(), callType: type },
+       priority: 'high',
+     });
+   } catch (error) {
+     logger.warn(`Could not send incoming call notification for call ${call._id}:`, error);
+   }
+
+   MetricsService.incrementCounter('calls.initiated', 1, { type });
+
+   return { call: this.formatCall(call, callerId), ...this.getIceServers(callerId) };
+ }
+
+ /**
+  * Answer a ringing call
+  */
+ async acceptCall(userId, callId, { answer, platform } = {}) {
+   this.assertCallId(callId);
+
+   const connectedAt = new Date();
+   const call = await Call.findOneAndUpdate(
+     { _id: callId, callee: userId, status: CALL_STATUS.RINGING, ringExpiresAt: { $gt: connectedAt } },
+     { $set: { status: CALL_STATUS.CONNECTED, connectedAt, 'platform.callee': platform } },
+     { new: true }
+   );
+   if (!call) {
+     throw new AppError('This call is no longer ringing', HTTP_STATUS.NOT_FOUND, ERROR_CODES.CALL_NOT_FOUND);
+   }
+
+   this.clearRingTimeout(call._id);
+
+   await Match.updateOne(
+     { _id: call.match },
+     {
+       $inc: { 'videoChat.totalCalls': 1 },
+       $set: { 'videoChat.lastCallAt': connectedAt, 'videoChat.lastCallInitiatedBy': call.caller },
+     }
+   );
+
+   this.emit(call.caller, SOCKET_EVENTS.CALL_ACCEPTED, { callId: call._id, answer });
+
+   return { call: this.formatCall(call, userId), ...this.getIceServers(userId) };
+ }
+
+ /**
+  * Turn down a ringing call
+  */
+ async declineCall(userId, callId, reason = 'declined') {
+   this.assertCallId(callId);
+
+   const call = await this.finishCall(
+     { _id: callId, callee: userId, status: CALL_STATUS.RINGING },
+     CALL_STATUS.DECLINED,
+     userId,
+     reason
+   );
+   if (!call) {
+     throw new AppError('This call is no longer ringing', HTTP_STATUS.NOT_FOUND, ERROR_CODES.CALL_NOT_FOUND);
+   }
+
+   this.emit(call.caller, SOCKET_EVENTS.CALL_REJECTED, { callId: call._id, reason });
+   // Stop the call ringing on the callee's other devices
+   this.emit(call.callee, SOCKET_EVENTS.CALL_ENDED, this.formatEnded(call));
+
+   return this.formatCall(call, userId);
+ }
+
+ /**
+  * Hang up. A caller hanging up before an answer leaves a missed call; a
+  * callee doing so declines it.
+  */
+ async endCall(userId, callId, reason = 'hangup') {
+   this.assertCallId(callId);
+
+   const call = await Call.findOne({ _id: callId, active: true, $or: [{ caller: userId }, { callee: userId }] });
+   if (!call) {
+     throw new AppError('Call not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.CALL_NOT_FOUND);
+   }
+
+   let status;
+   if (call.status === CALL_STATUS.RINGING) {
+     status = call.callee.equals(userId) ? CALL_STATUS.DECLINED : CALL_STATUS.MISSED;
+   } else {
+     status = reason === 'failed' ? CALL_STATUS.FAILED : CALL_STATUS.COMPLETED;
+   }
+
+   const ended = await this.finishCall({ _id: call._id, status: call.status }, status, userId, reason);
+   if (!ended) {
+     // The other side ended it at the same moment
+     return this.formatCall(await Call.findById(call._id), userId);
+   }
+
+   this.emitEnded(ended);
+   return this.formatCall(ended, userId);
+ }
+
+ /**
+  * End whatever call the user has going in a match
+  */
+ async endActiveCall(userId, matchId, reason = 'hangup') {
+   await this.loadMatch(userId, matchId);
+
+   const call = await Call.findOne({ match: matchId, active: true });
+   if (!call) {
+     throw new AppError('No call in progress', HTTP_STATUS.NOT_FOUND, ERROR_CODES.CALL_NOT_FOUND);
+   }
+
+   return this.endCall(userId, call._id, reason);
+ }
+
+ /**
+  * End the user's calls once their last connection is gone
+  */
+ async handleDisconnect(userId) {
+   const calls = await Call.find({ active: true, $or: [{ caller: userId }, { callee: userId }] }).select('_id');
+
+   for (const call of calls) {
+     try {
+       await this.endCall(userId, call._id, 'disconnected');
+     } catch (error) {
+       if (error.errorCode !== ERROR_CODES.CALL_NOT_FOUND) {
+         logger.error(`Error ending call ${call._id} after disconnect:`, error);
+       }
+     }
+   }
+ }
+
+ /**
+  * Relay SDP offers/answers and ICE candidates to the other participant
+  * @returns {boolean} - false when the call is over or the user isn't in it
+  */
+ async relaySignal(userId, callId, event, payload = {}) {
+   if (!mongoose.isValidObjectId(callId)) return false;
+
+   const call = await Call.findOne({ _id: callId, active: true }).select('caller callee');
+   if (!call || !call.hasParticipant(userId)) return false;
+
+   this.emit(call.getOtherParticipant(userId), event, { callId: call._id, ...payload });
+   return true;
+ }
+
+ // ========================
+ // Timeouts
+ // ========================
+
+ scheduleRingTimeout(call) {
+   const delay = Math.max(0, call.ringExpiresAt.getTime() - Date.now());
+   const timer = setTimeout(() => {
+     this.ringTimers.delete(call._id.toString());
+     this.expireCall(call._id).catch(error => logger.error(`Error expiring call ${call._id}:`, error));
+   }, delay);
+   timer.unref?.();
+
+   this.ringTimers.set(call._id.toString(), timer);
+ }
+
+ clearRingTimeout(callId) {
+   const timer = this.ringTimers.get(callId.toString());
+   if (timer) {
+     clearTimeout(timer);
+     this.ringTimers.delete(callId.toString());
+   }
+ }
+
+ /**
+  * Mark an unanswered call as missed once its ring has run out
+  */
+ async expireCall(callId, now = new Date()) {
+   const call = await this.finishCall(
+     { _id: callId, status: CALL_STATUS.RINGING, ringExpiresAt: { $lte: now } },
+     CALL_STATUS.MISSED,
+     null,
+     'no_answer'
+   );
+   if (call) {
+     this.emitEnded(call);
+   }
+   return call;
+ }
+
+ /**
+  * Expire every ring past its deadline. Backs up the in-process timers,
+  * which don't survive a restart.
+  * @returns {number} - calls marked missed
+  */
+ async expireRinging(now = new Date()) {
+   const calls = await Call.find({
+     active: true,
+     status: CALL_STATUS.RINGING,
+     ringExpiresAt: { $lte: now },
+   })
+     .select('_id')
+     .limit(500);
+
+   let expired = 0;
+   for (const { _id } of calls) {
+     if (await this.expireCall(_id, now)) expired += 1;
+   }
+   return expired;
+ }
+
+ /**
+  * Close connected calls nobody hung up on within the maximum duration
+  * @returns {number} - calls closed
+  */
+ async closeAbandonedCalls(now = new Date()) {
+   const cutoff = new Date(now.getTime() - callsConfig.maxDurationMinutes * 60 * 1000);
+   const calls = await Call.find({
+     active: true,
+     status: CALL_STATUS.CONNECTED,
+     connectedAt: { $lte: cutoff },
+   })
+     .select('_id')
+     .limit(500);
+
+   let closed = 0;
+   for (const { _id } of calls) {
+     const call = await this.finishCall({ _id, status: CALL_STATUS.CONNECTED }, CALL_STATUS.COMPLETED, null, 'timeout');
+     if (call) {
+       this.emitEnded(call);
+       closed += 1;
+     }
+   }
+   return closed;
+ }
+
+ // ========================
+ // History & ICE servers
+ // ========================
+
+ /**
+  * Calls in a match, newest first
+  */
+ async getCallHistory(userId, matchId, { page = 1, limit = callsConfig.historyPageSize } = {}) {
+   const match = await Match.findOne({ _id: matchId, users: userId }).select('_id');
+   if (!match) {
+     throw new AppError('Match not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.MATCH_NOT_FOUND);
+   }
+
+   const [calls, total] = await Promise.all([
+     Call.find({ match: match._id })
+       .sort({ createdAt: -1 })
+       .skip((page - 1) * limit)
+       .limit(limit),
+     Call.countDocuments({ match: match._id }),
+   ]);
+
+   return {
+     calls: calls.map(call => this.formatCall(call, userId)),
+     total,
+     page,
+     limit,
+   };
+ }
+
+ /**
+  * STUN servers plus short-lived TURN credentials for the user
+  */
+ getIceServers(userId) {
+   const iceServers = [{ urls: callsConfig.stunUrls }];
+   const { urls, secret, credentialTtl } = callsConfig.turn;
+
+   if (!secret || urls.length === 0) {
+     return { iceServers, ttl: null };
+   }
+
+   const username = `${Math.floor(Date.now() / 1000) + credentialTtl}:${userId}`;
+   const credential = crypto.createHmac('sha1', secret).update(username).digest('base64');
+   iceServers.push({ urls, username, credential });
+
+   return { iceServers, ttl: credentialTtl };
+ }
+
+ // ========================
+ // Helpers
+ // ========================
+
+ /**
+  * Close an active call matching `filter`. Returns null if someone else
+  * closed it first.
+  */
+ async finishCall(filter, status, endedBy, reason) {
+   const endedAt = new Date();
+   const call = await Call.findOneAndUpdate(
+     { ...filter, active: true },
+     { $set: { status, active: false, endedAt, endedBy, endReason: reason } },
+     { new: true }
+   );
+   if (!call) return null;
+
+   this.clearRingTimeout(call._id);
+
+   if (call.connectedAt) {
+     call.duration = Math.floor((endedAt - call.connectedAt) / 1000);
+     await Call.updateOne({ _id: call._id }, { $set: { duration: call.duration } });
+     await Match.updateOne(
+       { _id: call.match },
+       { $inc: { 'videoChat.totalDuration': call.duration }, $set: { 'videoChat.lastCallDuration': call.duration } }
+     );
+   }
+
+   await this.recordCallMessage(call);
+   if (status === CALL_STATUS.MISSED) {
+     await this.notifyMissedCall(call);
+   }
+
+   MetricsService.incrementCounter(`calls.${status}`, 1, { type: call.type });
+   return call;
+ }
+
+ /**
+  * Leave an entry in the chat saying how the call went
+  */
+ async recordCallMessage(call) {
+   try {
+     const message = await Message.create({
+       matchId: call.match,
+       sender: call.caller,
+       receiver: call.callee,
+       type: MESSAGE_TYPES.CALL,
+       content: {
+         callType: call.type,
+         callStatus: call.status,
+         callDuration: call.duration,
+         systemData: { callId: call._id },
+       },
+       status: {
+         sent: true,
+         sentAt: new Date(),
+       },
+     });
+
+     call.message = message._id;
+     await Call.updateOne({ _id: call._id }, { $set: { message: message._id } });
+
+     const match = await Match.findById(call.match).select('users');
+     const update = {
+       $set: {
+         'interaction.lastMessageAt': message.createdAt,
+         'interaction.lastMessageBy': call.caller,
+         'interaction.lastMessagePreview': this.describeCall(call),
+       },
+     };
+     if (call.status === CALL_STATUS.MISSED) {
+       const calleeSlot = match.users[0].equals(call.callee) ? 'user1' : 'user2';
+       update.$inc = { [`interaction.unreadCount.${calleeSlot}`]: 1 };
+     }
+     await Match.updateOne({ _id: call.match }, update);
+
+     const formatted = ChatService.formatMessageResponse(message);
+     this.emit(call.caller, SOCKET_EVENTS.NEW_MESSAGE, { message: formatted });
+     this.emit(call.callee, SOCKET_EVENTS.NEW_MESSAGE, { message: formatted });
+   } catch (error) {
+     logger.error(`Error recording chat message for call ${call._id}:`, error);
+   }
+ }
+
+ async notifyMissedCall(call) {
+   try {
+     const caller = await User.findById(call.caller).select(CALLER_FIELDS).lean();
+     await NotificationService.sendNotification(call.callee.toString(), {
+       type: NOTIFICATION_TYPES.MISSED_CALL,
+       title: 'Missed call',
+       body: `You missed a ${call.type} call from ${this.displayName(caller)}`,
+       data: { callId: call._id.toString(), matchId: call.match.toString() },
+     });
+   } catch (error) {
+     logger.warn(`Could not send missed call notification for call ${call._id}:`, error);
+   }
+ }
+
+ emitEnded(call) {
+   const payload = this.formatEnded(call);
+   this.emit(call.caller, SOCKET_EVENTS.CALL_ENDED, payload);
+   this.emit(call.callee, SOCKET_EVENTS.CALL_ENDED, payload);
+ }
+
+ formatEnded(call) {
+   return {
+     callId: call._id,
+     matchId: call.match,
+     status: call.status,
+     reason: call.endReason,
+     duration: call.duration,
+   };
+ }
+
+ formatCall(call, viewerId) {
+   return {
+     id: call._id,
+     matchId: call.match,
+     type: call.type,
+     status: call.status,
+     direction: call.caller.toString() === viewerId?.toString() ? 'outgoing' : 'incoming',
+     caller: call.caller,
+     callee: call.callee,
+     startedAt: call.createdAt,
+     ringExpiresAt: call.status === CALL_STATUS.RINGING ? call.ringExpiresAt : undefined,
+     connectedAt: call.connectedAt,
+     endedAt: call.endedAt,
+     endReason: call.endReason,
+     duration: call.duration,
+   };
+ }
+
+ describeCall(call) {
+   const label = call.type === CALL_TYPES.VIDEO ? 'video call' : 'voice call';
+
+   switch (call.status) {
+     case CALL_STATUS.MISSED:
+       return `📞 Missed ${label}`;
+     case CALL_STATUS.DECLINED:
+       return `📞 Declined ${label}`;
+     case CALL_STATUS.FAILED:
+       return `📞 ${label[0].toUpperCase()}${label.slice(1)} failed`;
+     default: {
+       const minutes = Math.floor(call.duration / 60);
+       const seconds = String(call.duration % 60).padStart(2, '0');
+       return `📞 ${label[0].toUpperCase()}${label.slice(1)} · ${minutes}:${seconds}`;
+     }
+   }
+ }
+
+ displayName(user) {
+   return user?.profile?.displayName || user?.profile?.firstName || 'Your match';
+ }
+
+ assertCallId(callId) {
+   if (!mongoose.isValidObjectId(callId)) {
+     throw new AppError('Call not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.CALL_NOT_FOUND);
+   }
+ }
+
+ async loadMatch(userId, matchId) {
+   const match = await Match.findOne({ _id: matchId, users: userId, 'status.isActive': true })
+     .select('users status videoChat');
+
+   if (!match) {
+     throw new AppError('Match not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.MATCH_NOT_FOUND);
+   }
+
+   return match;
+ }
+}
+
+export default new CallService();
@@ -1,6 +1,12 @@
 // src/modules/chat/chat.controller.js
 import ChatService from './chat.service.js';
 import ChatSocketHandler from './chat.socket.js';
+import CallService from './call.service.js';
+import GameService from './game.service.js';
+import EncryptionService from './encryption.service.js';
+import TranslationService from './translation.service.js';
+import ChatExportService from './chatExport.service.js';
+import StickerService from '../sticker/sticker.service.js';
 import { asyncHandler } from '../../shared/utils/asyncHandler.js';
 import {
  successResponse,
@@ -16,6 +22,7 @@ import MetricsService from '../../shared/services/metrics.service.js';
 import { 
  MESSAGE_TYPES, 
  ERROR_CODES,
+ HTTP_STATUS,
  SUBSCRIPTION_FEATURES 
 } from '../../config/constants.js';
 
@@ -27,21 +34,22 @@ class ChatController {
  sendMessage = asyncHandler(async (req, res) => {
    const userId = req.user._id.toString();
    const { matchId } = req.params;
-   const { type, content, replyTo, clientId } = req.body;
+   const { type, content, encryption, replyTo, clientId } = req.body;
 
    // Validate message type
    if (!Object.values(MESSAGE_TYPES).includes(type)) {
      return badRequestResponse(res, 'Invalid message type');
    }
 
-   // Validate content based on type
-   if (type === MESSAGE_TYPES.TEXT && (!content.text || content.text.trim().length === 0)) {
+   // Validate content based on type (encrypted messages carry ciphertext instead)
+   if (type === MESSAGE_TYPES.TEXT && !encryption && (!content?.text || content.text.trim().length === 0)) {
      return badRequestResponse(res, 'Text message cannot be empty');
    }
 
    const messageData = {
      type,
      content,
+     encryption,
      replyTo,
      clientId,
      platform: req.headers['x-platform'] || 'web',
@@ -270,6 +278,105 @@ class ChatController {
    return createdResponse(res, result, 'GIF/Sticker sent successfully');
  });
 
+ /**
+  * Sticker packs with what the user has unlocked
+  * @route GET /api/chat/stickers/packs
+  */
+ getStickerPacks = asyncHandler(async (req, res) => {
+   const stickerPacks = await StickerService.getPacks(req.user._id.toString());
+
+   return successResponse(res, { stickerPacks }, 'Sticker packs retrieved');
+ });
+
+ /**
+  * Stickers in a pack, or the changes since a cached pack version
+  * @route GET /api/chat/stickers/pack/:packId
+  */
+ getStickerPack = asyncHandler(async (req, res) => {
+   const since = req.query.since !== undefined ? parseInt(req.query.since) : undefined;
+
+   const result = await StickerService.getPack(req.user._id.toString(), req.params.packId, { since });
+
+   return successResponse(res, result, 'Sticker pack retrieved');
+ });
+
+ /**
+  * Recently used stickers
+  * @route GET /api/chat/stickers/recent
+  */
+ getRecentStickers = asyncHandler(async (req, res) => {
+   const stickers = await StickerService.getRecentStickers(req.user._id.toString());
+
+   return successResponse(res, { stickers }, 'Recent stickers retrieved');
+ });
+
+ /**
+  * Publish the user's encryption key bundle
+  * @route PUT /api/chat/keys/bundle
+  */
+ uploadKeyBundle = asyncHandler(async (req, res) => {
+   const { identityKey, registrationId, signedPreKey, oneTimePreKeys } = req.body;
+
+   const bundle = await EncryptionService.uploadBundle(req.user._id.toString(), {
+     identityKey,
+     registrationId,
+     signedPreKey,
+     oneTimePreKeys,
+   });
+
+   return successResponse(res, { bundle }, 'Key bundle saved');
+ });
+
+ /**
+  * Upload more one-time prekeys
+  * @route POST /api/chat/keys/prekeys
+  */
+ addPreKeys = asyncHandler(async (req, res) => {
+   const bundle = await EncryptionService.addPreKeys(req.user._id.toString(), req.body.preKeys);
+
+   return successResponse(res, { bundle }, 'Prekeys added');
+ });
+
+ /**
+  * The user's own bundle and how many prekeys are left
+  * @route GET /api/chat/keys/bundle
+  */
+ getOwnKeyBundle = asyncHandler(async (req, res) => {
+   const bundle = await EncryptionService.getOwnBundle(req.user._id.toString());
+
+   return successResponse(res, { bundle }, 'Key bundle retrieved');
+ });
+
+ /**
+  * The match's key bundle, for starting an encrypted session
+  * @route GET /api/chat/:matchId/keys
+  */
+ getMatchKeyBundle = asyncHandler(async (req, res) => {
+   const bundle = await EncryptionService.getMatchBundle(req.user._id.toString(), req.params.matchId);
+
+   return successResponse(res, { bundle }, 'Key bundle retrieved');
+ });
+
+ /**
+  * Whether a match is end-to-end encrypted
+  * @route GET /api/chat/:matchId/encryption
+  */
+ getEncryptionStatus = asyncHandler(async (req, res) => {
+   const encryption = await EncryptionService.getMatchStatus(req.user._id.toString(), req.params.matchId);
+
+   return successResponse(res, { encryption }, 'Encryption status retrieved');
+ });
+
+ /**
+  * Turn on end-to-end encryption for a match
+  * @route POST /api/chat/:matchId/encryption
+  */
+ enableEncryption = asyncHandler(async (req, res) => {
+   const encryption = await EncryptionService.enableForMatch(req.user._id.toString(), req.params.matchId);
+
+   return successResponse(res, { encryption }, 'End-to-end encryption is on');
+ });
+
  /**
   * Search messages
   * @route GET /api/chat/:matchId/messages/search
@@ -321,7 +428,21 @@ class ChatController {
      return res.send(result.data);
    }
 
-   return successResponse(res, result, 'Chat exported successfully');
+   // PDF and HTML are rendered in the background
+   return successResponse(res, result, 'Chat export started', HTTP_STATUS.ACCEPTED);
+ });
+
+ /**
+  * Status of a PDF or HTML export, with a download link once it is ready
+  * @route GET /api/chat/:matchId/exports/:exportId
+  */
+ getChatExport = asyncHandler(async (req, res) => {
+   const userId = req.user._id.toString();
+   const { matchId, exportId } = req.params;
+
+   const result = await ChatExportService.getExport(userId, matchId, exportId);
+
+   return successResponse(res, result, 'Chat export retrieved successfully');
  });
 
  /**
@@ -440,27 +561,35 @@ class ChatController {
  sendGameInvite = asyncHandler(async (req, res) => {
    const userId = req.user._id.toString();
    const { matchId } = req.params;
-   const { gameType, gameData } = req.body;
+   const { gameType, options } = req.body;
 
-   if (!gameType) {
-     return badRequestResponse(res, 'Game type is required');
-   }
+   const game = await GameService.invite(userId, matchId, { gameType, options });
 
-   const gameId = `game_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+   return createdResponse(res, { game }, 'Game invite sent');
+ });
 
-   const messageData = {
-     type: MESSAGE_TYPES.GAME_INVITE,
-     content: {
-       gameId,
-       gameType,
-       gameData,
-     },
-     clientId: req.body.clientId,
-   };
+ /**
+  * Get a game as the requesting player sees it, e.g. after reconnecting
+  * @route GET /api/chat/games/:gameId
+  */
+ getGame = asyncHandler(async (req, res) => {
+   const game = await GameService.getGame(req.user._id.toString(), req.params.gameId);
 
-   const result = await ChatService.sendMessage(userId, matchId, messageData);
+   return successResponse(res, { game }, 'Game retrieved');
+ });
 
-   return createdResponse(res, result, 'Game invite sent');
+ /**
+  * Games played in a match, newest first
+  * @route GET /api/chat/:matchId/games
+  */
+ getGameHistory = asyncHandler(async (req, res) => {
+   const userId = req.user._id.toString();
+   const { matchId } = req.params;
+   const { page = 1, limit = 20 } = req.query;
+
+   const history = await GameService.getGameHistory(userId, matchId, { page, limit });
+
+   return paginatedResponse(res, { games: history.games }, history.total, history.page, history.limit, 'Game history retrieved');
  });
 
  /**
@@ -604,28 +733,9 @@ class ChatController {
  translateMessage = asyncHandler(async (req, res) => {
    const userId = req.user._id.toString();
    const { messageId } = req.params;
-   const { targetLanguage = 'en' } = req.body;
+   const targetLanguage = req.body.targetLanguage || req.user.preferences?.language || req.user.metadata?.locale || 'en';
 
-   const Message = (await import('./message.model.js')).default;
-   const message = await Message.findById(messageId);
-
-   if (!message) {
-     return notFoundResponse(res, 'Message not found');
-   }
-
-   // Verify user is part of conversation
-   if (message.sender.toString() !== userId && message.receiver.toString() !== userId) {
-     return forbiddenResponse(res, 'Unauthorized to translate this message');
-   }
-
-   // This would integrate with translation service
-   // For now, return mock translation
-   const translation = {
-     originalText: message.content.text,
-     translatedText: `[Translated from ${message.translation.originalLanguage || 'auto'}]: ${message.content.text}`,
-     targetLanguage,
-     confidence: 0.95,
-   };
+   const translation = await TranslationService.translateMessage(userId, messageId, targetLanguage);
 
    return successResponse(res, translation, 'Message translated');
  });
@@ -755,6 +865,61 @@ class ChatController {
 
    return successResponse(res, { links }, 'Shared links retrieved');
  });
+
+ /**
+  * Start a voice/video call
+  * @route POST /api/chat/:matchId/call/initiate
+  */
+ initiateCall = asyncHandler(async (req, res) => {
+   const userId = req.user._id.toString();
+   const { matchId } = req.params;
+   const { type, offer } = req.body;
+
+   const result = await CallService.initiateCall(userId, matchId, {
+     type,
+     offer,
+     platform: req.headers['x-platform'] || 'web',
+   });
+
+   return createdResponse(res, result, 'Calling...');
+ });
+
+ /**
+  * End the call in progress for a match
+  * @route POST /api/chat/:matchId/call/end
+  */
+ endCall = asyncHandler(async (req, res) => {
+   const userId = req.user._id.toString();
+   const { matchId } = req.params;
+
+   const call = await CallService.endActiveCall(userId, matchId, req.body.reason);
+
+   return successResponse(res, { call }, 'Call ended');
+ });
+
+ /**
+  * Get call history for a match
+  * @route GET /api/chat/:matchId/call/history
+  */
+ getCallHistory = asyncHandler(async (req, res) => {
+   const userId = req.user._id.toString();
+   const { matchId } = req.params;
+   const { page = 1, limit = 20 } = req.query;
+
+   const history = await CallService.getCallHistory(userId, matchId, { page, limit });
+
+   return paginatedResponse(res, { calls: history.calls }, history.total, history.page, history.limit, 'Call history retrieved');
+ });
+
+ /**
+  * STUN/TURN servers for WebRTC
+  * @route GET /api/chat/calls/ice-servers
+  */
+ getIceServers = asyncHandler(async (req, res) => {
+   const result = CallService.getIceServers(req.user._id.toString());
+
+   return successResponse(res, result, 'ICE servers retrieved');
+ });
 }
 
 export default new ChatController();
\ No newline at end of file
@@ -25,7 +25,7 @@ import {
  validateObjectId,
  validate,
 } from '../../shared/middleware/validation.middleware.js';
-import { messageValidators } from '../../shared/utils/validators.js';
+import { messageValidators, stickerValidators, encryptionValidators } from '../../shared/utils/validators.js';
 import { asyncHandler } from '../../shared/utils/asyncHandler.js';
 import multer from 'multer';
 import { fileFilter, limits } from '../../shared/middleware/upload.middleware.js';
@@ -230,7 +230,7 @@ router.post(
 
 /**
 * @route   POST /api/chat/:matchId/messages/game
-* @desc    Send game invite
+* @desc    Invite the match to a game
 * @access  Private
 */
 router.post(
@@ -238,10 +238,36 @@ router.post(
  customRateLimiter({ limit: 5, window: 300 }),
  validateObjectId('matchId'),
  sanitizeRequest,
+ messageValidators.sendGameInvite,
+ validate,
  clearCache(['messages:*']),
  ChatController.sendGameInvite
 );
 
+/**
+* @route   GET /api/chat/:matchId/games
+* @desc    Get games played in a match
+* @access  Private
+*/
+router.get(
+ '/:matchId/games',
+ validateObjectId('matchId'),
+ validatePagination,
+ ChatController.getGameHistory
+);
+
+/**
+* @route   GET /api/chat/games/:gameId
+* @desc    Get the current state of a game
+* @access  Private
+*/
+router.get(
+ '/games/:gameId',
+ messageValidators.gameId,
+ validate,
+ ChatController.getGame
+);
+
 /**
 * @route   POST /api/chat/:matchId/messages/gift
 * @desc    Send virtual gift (Premium)
@@ -415,7 +441,8 @@ router.get(
 
 /**
 * @route   GET /api/chat/:matchId/export
-* @desc    Export chat history (Premium)
+* @desc    Export chat history (Premium). PDF and HTML are rendered in the
+*          background and the download link is sent by notification.
 * @access  Private
 */
 router.get(
@@ -423,9 +450,23 @@ router.get(
  requirePremium('plus'),
  validateObjectId('matchId'),
  customRateLimiter({ limit: 5, window: 3600 }),
+ messageValidators.exportChat,
+ validate,
  ChatController.exportChat
 );
 
+/**
+* @route   GET /api/chat/:matchId/exports/:exportId
+* @desc    Get export status and a fresh download link
+* @access  Private
+*/
+router.get(
+ '/:matchId/exports/:exportId',
+ validateObjectId('matchId'),
+ validateObjectId('exportId'),
+ ChatController.getChatExport
+);
+
 /**
 * @route   DELETE /api/chat/:matchId/clear
 * @desc    Clear chat history
@@ -482,7 +523,8 @@ router.post(
  requirePremium('plus'),
  validateObjectId('messageId'),
  customRateLimiter({ limit: 20, window: 3600 }),
- cacheMiddleware({ ttl: 86400 }),
+ messageValidators.translateMessage,
+ validate,
  ChatController.translateMessage
 );
 
@@ -516,13 +558,7 @@ router.post(
  customRateLimiter({ limit: 5, window: 300 }),
  validateObjectId('matchId'),
  sanitizeRequest,
- asyncHandler(async (req, res) => {
-   // This would be handled via WebSocket
-   return res.json({
-     success: true,
-     message: 'Call initiation should be done via WebSocket',
-   });
- })
+ ChatController.initiateCall
 );
 
 /**
@@ -533,13 +569,7 @@ router.post(
 router.post(
  '/:matchId/call/end',
  validateObjectId('matchId'),
- asyncHandler(async (req, res) => {
-   // This would be handled via WebSocket
-   return res.json({
-     success: true,
-     message: 'Call ending should be done via WebSocket',
-   });
- })
+ ChatController.endCall
 );
 
 /**
@@ -550,27 +580,19 @@ router.post(
 router.get(
  '/:matchId/call/history',
  validateObjectId('matchId'),
- cacheMiddleware({ ttl: 300 }),
- asyncHandler(async (req, res) => {
-   const { matchId } = req.params;
-   const Message = (await import('./message.model.js')).default;
-   
-   const calls = await Message.find({
-     matchId,
-     type: 'CALL',
-     'status.isDeleted': false,
-   })
-     .select('content.callType content.callDuration content.callStatus createdAt sender')
-     .populate('sender', 'profile.firstName profile.displayName')
-     .sort({ createdAt: -1 })
-     .limit(20)
-     .lean();
+ validatePagination,
+ ChatController.getCallHistory
+);
 
-   return res.json({
-     success: true,
-     data: { calls },
-   });
- })
+/**
+* @route   GET /api/chat/calls/ice-servers
+* @desc    Get STUN/TURN servers and credentials for calls
+* @access  Private
+*/
+router.get(
+ '/calls/ice-servers',
+ customRateLimiter({ limit: 30, window: 3600 }),
+ ChatController.getIceServers
 );
 
 // ============================
@@ -668,7 +690,7 @@ router.get(
    const userId = req.user._id.toString();
    const User = (await import('../user/user.model.js')).default;
    
-   const user = await User.findById(userId).select('chatSettings preferences');
+   const user = await User.findById(userId).select('chatSettings preferences metadata.locale');
    
    return res.json({
      success: true,
@@ -681,7 +703,7 @@ router.get(
        },
        preferences: {
          autoTranslate: user.preferences?.autoTranslate || false,
-         language: user.preferences?.language || 'en',
+         language: user.preferences?.language || user.metadata?.locale || 'en',
        },
      },
    });
@@ -690,21 +712,27 @@ router.get(
 
 /**
 * @route   PUT /api/chat/settings
-* @desc    Update chat settings
+* @desc    Update chat settings and translation preferences
 * @access  Private
 */
 router.put(
  '/settings',
  sanitizeRequest,
+ messageValidators.updateSettings,
+ validate,
  clearCache(['settings:*']),
  asyncHandler(async (req, res) => {
    const userId = req.user._id.toString();
-   const { settings } = req.body;
+   const { settings, preferences = {} } = req.body;
    
    const User = (await import('../user/user.model.js')).default;
    
    await User.findByIdAndUpdate(userId, {
-     $set: { chatSettings: settings },
+     $set: {
+       ...(settings && { chatSettings: settings }),
+       ...(preferences.autoTranslate !== undefined && { 'preferences.autoTranslate': preferences.autoTranslate }),
+       ...(preferences.language && { 'preferences.language': preferences.language }),
+     },
    });
    
    return res.json({
@@ -714,74 +742,115 @@ router.put(
  })
 );
 
+// ============================
+// End-to-End Encryption Routes
+// ============================
+
+/**
+* @route   PUT /api/chat/keys/bundle
+* @desc    Publish identity key, signed prekey and one-time prekeys
+* @access  Private
+*/
+router.put(
+ '/keys/bundle',
+ customRateLimiter({ limit: 10, window: 3600 }),
+ encryptionValidators.uploadBundle,
+ validate,
+ ChatController.uploadKeyBundle
+);
+
+/**
+* @route   GET /api/chat/keys/bundle
+* @desc    Get own key bundle status and remaining prekeys
+* @access  Private
+*/
+router.get(
+ '/keys/bundle',
+ ChatController.getOwnKeyBundle
+);
+
+/**
+* @route   POST /api/chat/keys/prekeys
+* @desc    Upload more one-time prekeys
+* @access  Private
+*/
+router.post(
+ '/keys/prekeys',
+ customRateLimiter({ limit: 30, window: 3600 }),
+ encryptionValidators.addPreKeys,
+ validate,
+ ChatController.addPreKeys
+);
+
+/**
+* @route   GET /api/chat/:matchId/keys
+* @desc    Get the match's key bundle (uses up one of their one-time prekeys)
+* @access  Private
+*/
+router.get(
+ '/:matchId/keys',
+ customRateLimiter({ limit: 30, window: 3600 }),
+ validateObjectId('matchId'),
+ ChatController.getMatchKeyBundle
+);
+
+/**
+* @route   GET /api/chat/:matchId/encryption
+* @desc    Get end-to-end encryption status for a match
+* @access  Private
+*/
+router.get(
+ '/:matchId/encryption',
+ validateObjectId('matchId'),
+ ChatController.getEncryptionStatus
+);
+
+/**
+* @route   POST /api/chat/:matchId/encryption
+* @desc    Turn on end-to-end encryption for a match
+* @access  Private
+*/
+router.post(
+ '/:matchId/encryption',
+ validateObjectId('matchId'),
+ clearCache(['messages:*', 'matches:*']),
+ ChatController.enableEncryption
+);
+
 // ============================
 // Sticker Packs Routes
 // ============================
 
 /**
 * @route   GET /api/chat/stickers/packs
-* @desc    Get available sticker packs
+* @desc    Get sticker packs and which ones are unlocked
 * @access  Private
 */
 router.get(
  '/stickers/packs',
- cacheMiddleware({ ttl: 86400 }),
- asyncHandler(async (req, res) => {
-   // Mock sticker packs
-   const stickerPacks = [
-     {
-       id: 'love',
-       name: 'Love & Romance',
-       preview: '/stickers/love/preview.png',
-       count: 24,
-       isPremium: false,
-     },
-     {
-       id: 'fun',
-       name: 'Fun & Playful',
-       preview: '/stickers/fun/preview.png',
-       count: 32,
-       isPremium: false,
-     },
-     {
-       id: 'premium',
-       name: 'Premium Pack',
-       preview: '/stickers/premium/preview.png',
-       count: 48,
-       isPremium: true,
-     },
-   ];
-   
-   return res.json({
-     success: true,
-     data: { stickerPacks },
-   });
- })
+ ChatController.getStickerPacks
+);
+
+/**
+* @route   GET /api/chat/stickers/recent
+* @desc    Get recently used stickers
+* @access  Private
+*/
+router.get(
+ '/stickers/recent',
+ ChatController.getRecentStickers
 );
 
 /**
 * @route   GET /api/chat/stickers/pack/:packId
-* @desc    Get stickers from a pack
+* @desc    Get stickers from a pack (pass ?since=<version> for changes only)
 * @access  Private
 */
 router.get(
  '/stickers/pack/:packId',
- cacheMiddleware({ ttl: 86400 }),
- asyncHandler(async (req, res) => {
-   const { packId } = req.params;
-   
-   // Mock stickers
-   const stickers = Array.from({ length: 12 }, (_, i) => ({
-     id: `${packId}_${i + 1}`,
-     url: `/stickers/${packId}/${i + 1}.png`,
-     name: `Sticker ${i + 1}`,
-   }));
-   
-   return res.json({
-     success: true,
-     data: { stickers },
-   });
- })
+ stickerValidators.getPack,
+ validate,
+ ChatController.getStickerPack
 );
 
 // ============================
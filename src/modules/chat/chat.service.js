@@ -1,7 +1,11 @@
 // src/modules/chat/chat.service.js
+import mongoose from 'mongoose';
 import Message from './message.model.js';
+import Game from './game.model.js';
+import KeyBundle from './keyBundle.model.js';
 import Match from '../match/match.model.js';
 import User from '../user/user.model.js';
+import Report from '../admin/report.model.js';
 import redis from '../../config/redis.js';
 import socketManager from '../../config/socket.js';
 import logger from '../../shared/utils/logger.js';
@@ -18,8 +22,19 @@ import {
  HTTP_STATUS,
  SOCKET_EVENTS,
  SUBSCRIPTION_FEATURES,
+ REPORT_STATUS,
+ GAME_STATUS,
+ ENCRYPTION_CONSTANTS,
+ TRANSLATION_LANGUAGES,
+ CHAT_EXPORT_CONSTANTS,
 } from '../../config/constants.js';
-import { uploadToCloudinary, deleteFromCloudinary } from '../../config/cloudinary.js';
+import StorageService from '../media/storage.service.js';
+import ActivityService from '../match/activity.service.js';
+import GiftLedger from '../gift/giftLedger.model.js';
+import { GIFT_LEDGER_TYPES, GIFT_LEDGER_STATUS } from '../gift/gift.constants.js';
+import StickerService from '../sticker/sticker.service.js';
+import TranslationService, { TRANSLATION_QUEUE } from './translation.service.js';
+import ChatExportService from './chatExport.service.js';
 
 class ChatService {
  /**
@@ -42,11 +57,16 @@ class ChatService {
      // Check rate limiting
      await this.checkMessageRateLimit(senderId);
 
+     // Encrypted matches only take ciphertext for user-written content
+     const encryption = await this.prepareEncryption(match, senderId, messageData);
+
      // Validate and process message based on type
-     const processedContent = await this.processMessageContent(messageData.type, messageData.content, senderId);
+     const processedContent = encryption
+       ? {}
+       : await this.processMessageContent(messageData.type, messageData.content, senderId);
 
      // Check for spam
-     const spamCheck = await this.checkForSpam(processedContent, senderId);
+     const spamCheck = await this.checkForSpam(processedContent, senderId, { encrypted: Boolean(encryption) });
      if (spamCheck.isSpam) {
        throw new AppError('Message detected as spam', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.SPAM_DETECTED);
      }
@@ -58,7 +78,11 @@ class ChatService {
        receiver: recipientId,
        type: messageData.type,
        content: processedContent,
+       encryption,
        replyTo: messageData.replyTo,
+       payment: messageData.payment,
+       icebreaker: messageData.icebreaker,
+       locationTracking: messageData.locationTracking,
        metadata: {
          clientId: messageData.clientId,
          platform: messageData.platform || 'web',
@@ -82,6 +106,14 @@ class ChatService {
      // Update match interaction
      await this.updateMatchInteraction(match, senderId, message);
 
+     // Count the day towards the conversation streak
+     await ActivityService.recordMessage(match._id, senderId, message.createdAt);
+
+     // Count this as a reply to any icebreaker the other user sent
+     if (!messageData.icebreaker) {
+       await this.trackIcebreakerReply(matchId, senderId);
+     }
+
      // Send real-time notification via socket
      this.emitMessageEvent(message, recipientId);
 
@@ -207,6 +239,11 @@ class ChatService {
        throw new AppError('Message cannot be edited after 15 minutes', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.EDIT_TIME_EXPIRED);
      }
 
+     // A plaintext edit would leak into an encrypted chat
+     if (message.encryption?.isEncrypted) {
+       throw new AppError('Encrypted messages cannot be edited', HTTP_STATUS.UNPROCESSABLE_ENTITY, ERROR_CODES.MESSAGE_ENCRYPTED);
+     }
+
      // Edit the message
      await message.editMessage(newContent);
 
@@ -420,7 +457,7 @@ class ChatService {
        throw new AppError('Daily media limit reached', HTTP_STATUS.FORBIDDEN, ERROR_CODES.LIMIT_EXCEEDED);
      }
 
-     // Upload to Cloudinary
+     // Upload to storage
      const uploadResult = await this.uploadMedia(file, senderId);
 
      // Detect NSFW content if image
@@ -428,7 +465,10 @@ class ChatService {
        const nsfwCheck = await this.checkNSFWContent(uploadResult.secure_url);
        if (nsfwCheck.isNSFW && nsfwCheck.score > 0.8) {
          // Delete uploaded file
-         await deleteFromCloudinary(uploadResult.public_id);
+         await StorageService.delete(uploadResult.public_id, {
+           resourceType: 'image',
+           provider: uploadResult.provider,
+         });
          throw new AppError('Inappropriate content detected', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.INAPPROPRIATE_CONTENT);
        }
      }
@@ -440,6 +480,8 @@ class ChatService {
        mediaSize: file.size,
        mimeType: file.mimetype,
        fileName: file.originalname,
+       mediaPublicId: uploadResult.public_id,
+       mediaStorageProvider: uploadResult.provider,
        mediaWidth: uploadResult.width,
        mediaHeight: uploadResult.height,
        ...messageData.content,
@@ -460,11 +502,13 @@ class ChatService {
  }
 
  /**
-  * Search messages
+  * Search messages. Encrypted messages can't be searched on the server, so
+  * in an encrypted match only messages from before encryption was turned
+  * on are covered; `encrypted` tells the client to search the rest locally.
   */
  async searchMessages(userId, matchId, searchQuery, options = {}) {
    try {
-     await this.validateMatchAndPermissions(matchId, userId);
+     const match = await this.validateMatchAndPermissions(matchId, userId);
 
      const {
        type = 'all',
@@ -480,6 +524,7 @@ class ChatService {
        results: messages.map(msg => this.formatMessageResponse(msg, userId)),
        query: searchQuery,
        count: messages.length,
+       encrypted: Boolean(match.chat?.encryption?.enabled),
      };
    } catch (error) {
      logger.error('Error searching messages:', error);
@@ -516,7 +561,10 @@ class ChatService {
  }
 
  /**
-  * Export chat history
+  * Export chat history. JSON and text are returned directly; PDF and HTML
+  * are queued and the download link arrives by notification. The server
+  * can't read encrypted messages, so they are exported as placeholders and
+  * counted in `encryptedCount`.
   */
  async exportChat(userId, matchId, format = 'json') {
    try {
@@ -528,32 +576,25 @@ class ChatService {
        throw new AppError('Chat export is a premium feature', HTTP_STATUS.FORBIDDEN, ERROR_CODES.SUBSCRIPTION_REQUIRED);
      }
 
-     // Get all messages
-     const messages = await Message.find({
-       matchId,
-       'status.isDeleted': false,
-     })
-       .populate('sender', 'profile.firstName profile.displayName')
-       .populate('receiver', 'profile.firstName profile.displayName')
-       .sort({ createdAt: 1 })
-       .lean();
-
-     let exportData;
+     if (!CHAT_EXPORT_CONSTANTS.FORMATS.includes(format)) {
+       throw new AppError('Invalid export format', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.INVALID_FORMAT);
+     }
 
-     switch (format) {
-       case 'json':
-         exportData = this.exportAsJSON(messages);
-         break;
-       case 'txt':
-         exportData = this.exportAsText(messages);
-         break;
-       case 'pdf':
-         exportData = await this.exportAsPDF(messages, match);
-         break;
-       default:
-         throw new AppError('Invalid export format', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.INVALID_FORMAT);
+     // PDF and HTML are rendered in the background and sent as a download link
+     if (CHAT_EXPORT_CONSTANTS.RENDERED_FORMATS.includes(format)) {
+       return await ChatExportService.requestExport(userId, match, format);
      }
 
+     const messages = await ChatExportService.loadMessages(matchId);
+     const exportData = format === 'json' ? this.exportAsJSON(messages) : this.exportAsText(messages);
+     const encryptedCount = messages.filter(msg => msg.encryption?.isEncrypted).length;
+
+     await ChatExportService.recordExport(userId, match._id, format, {
+       messageCount: messages.length,
+       encryptedCount,
+       bytes: Buffer.byteLength(exportData),
+     });
+
      // Track export
      await MetricsService.incrementCounter('chat.export', 1, { format });
 
@@ -561,6 +602,7 @@ class ChatService {
        data: exportData,
        format,
        messageCount: messages.length,
+       encryptedCount,
        exportedAt: new Date(),
      };
    } catch (error) {
@@ -648,11 +690,35 @@ class ChatService {
      // Add report
      await message.reportMessage(userId, reason);
 
-     // Create admin report if threshold reached
+     // One open moderation report per message; repeat reports raise its priority
+     const priority = message.metadata.reportCount >= 3 ? 8 : 5;
+     let report = await Report.findOne({
+       messageId,
+       status: { $in: [REPORT_STATUS.PENDING, REPORT_STATUS.IN_REVIEW, REPORT_STATUS.ESCALATED] },
+     });
+
+     if (report) {
+       report.priority = Math.max(report.priority, priority);
+       report.addAuditEntry('reported_again', userId, { reason });
+       await report.save();
+     } else {
+       report = await Report.create({
+         reportedBy: userId,
+         reportedUser: message.sender,
+         type: 'message',
+         matchId: message.matchId,
+         messageId,
+         reason,
+         description,
+         priority,
+       });
+     }
+
      if (message.metadata.reportCount >= 3) {
        await QueueService.addJob('admin-review', {
          type: 'message',
          messageId,
+         reportId: report._id,
          reportCount: message.metadata.reportCount,
          priority: 'high',
        });
@@ -769,33 +835,119 @@ class ChatService {
        break;
 
      case MESSAGE_TYPES.GIF:
-     case MESSAGE_TYPES.STICKER:
        // Validate media URL
-       if (!content.url && !content.id) {
+       if (!content.gifUrl && !content.url && !content.id) {
          throw new AppError('Media URL or ID required', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.INVALID_MEDIA);
        }
        break;
 
-     case MESSAGE_TYPES.GAME_INVITE:
-       // Validate game data
-       if (!content.gameType || !content.gameId) {
+     case MESSAGE_TYPES.STICKER:
+       // Sticker details come from the catalog, and only for packs the sender has unlocked
+       Object.assign(processedContent, await StickerService.prepareMessageContent(senderId, content.stickerId || content.id));
+       break;
+
+     case MESSAGE_TYPES.SYSTEM:
+       throw new AppError('System messages are created by the server', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.VALIDATION_ERROR);
+
+     case MESSAGE_TYPES.GAME_INVITE: {
+       // Invites are only sent by GameService for a game it has just created
+       const game = mongoose.isValidObjectId(content.gameId) && await Game.exists({
+         _id: content.gameId,
+         type: content.gameType,
+         initiator: senderId,
+         status: GAME_STATUS.PENDING,
+       });
+       if (!game) {
          throw new AppError('Invalid game invite data', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.INVALID_GAME_DATA);
        }
        break;
+     }
+
+     case MESSAGE_TYPES.VIRTUAL_GIFT: {
+       // Gift messages are only sent by GiftService after it has charged the sender
+       const entry = content.ledgerEntryId && await GiftLedger.findOne({
+         _id: content.ledgerEntryId,
+         user: senderId,
+         type: GIFT_LEDGER_TYPES.GIFT_SENT,
+         status: GIFT_LEDGER_STATUS.PENDING,
+         giftId: content.giftId,
+       });
+       if (!entry) {
+         throw new AppError('Gifts must be sent through the gift endpoint', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.VALIDATION_ERROR);
+       }
+       delete processedContent.ledgerEntryId;
+       break;
+     }
    }
 
    return processedContent;
  }
 
  /**
-  * Check for spam
+  * Check a message against the match's encryption mode. In an encrypted
+  * match user-written types must arrive as ciphertext with no plaintext
+  * alongside; elsewhere ciphertext is refused so nothing is stored that
+  * the other person can't decrypt.
+  * @returns {Promise<Object|null>} - the message's encryption fields, or null for plaintext
+  */
+ async prepareEncryption(match, senderId, { type, content, encryption: envelope }) {
+   if (!match.chat?.encryption?.enabled) {
+     if (envelope?.ciphertext) {
+       throw new AppError('Encryption is not turned on for this chat', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.E2EE_NOT_ENABLED);
+     }
+     return null;
+   }
+
+   // Gifts, games, stickers and the like are checked by the server
+   if (!ENCRYPTION_CONSTANTS.ENCRYPTED_TYPES.includes(type)) {
+     return null;
+   }
+
+   const hasPlaintext = content && Object.values(content).some(value => value !== undefined && value !== null && value !== '');
+   if (!envelope?.ciphertext || hasPlaintext) {
+     throw new AppError(
+       'This chat is end-to-end encrypted; send ciphertext only',
+       HTTP_STATUS.BAD_REQUEST,
+       ERROR_CODES.E2EE_REQUIRED
+     );
+   }
+
+   const encryptionType = envelope.encryptionType || ENCRYPTION_CONSTANTS.PROTOCOLS[0];
+   if (typeof envelope.ciphertext !== 'string' ||
+     envelope.ciphertext.length > ENCRYPTION_CONSTANTS.MAX_CIPHERTEXT_LENGTH ||
+     !ENCRYPTION_CONSTANTS.PROTOCOLS.includes(encryptionType)) {
+     throw new AppError('Invalid encrypted message', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.VALIDATION_ERROR);
+   }
+
+   const bundle = await KeyBundle.findOne({ user: senderId }).select('identityKey');
+   if (!bundle) {
+     throw new AppError('Upload your encryption keys first', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.KEY_BUNDLE_NOT_FOUND);
+   }
+
+   return {
+     isEncrypted: true,
+     encryptionType,
+     publicKey: bundle.identityKey,
+     encryptedKey: typeof envelope.encryptedKey === 'string' ? envelope.encryptedKey : undefined,
+     ciphertext: envelope.ciphertext,
+   };
+ }
+
+ /**
+  * Check for spam. Encrypted messages only get the rate check, as there
+  * is no text to scan; `contentScanned` says which happened.
   */
- async checkForSpam(content, userId) {
+ async checkForSpam(content, userId, { encrypted = false } = {}) {
    try {
      // Check rate limiting
      const recentMessages = await redis.get(`spam:check:${userId}`);
      if (recentMessages && parseInt(recentMessages) > 10) {
-       return { isSpam: true, score: 1.0 };
+       return { isSpam: true, score: 1.0, contentScanned: false };
+     }
+
+     if (encrypted) {
+       await redis.set(`spam:check:${userId}`, (parseInt(recentMessages) || 0) + 1, 60);
+       return { isSpam: false, score: 0, contentScanned: false };
      }
 
      // Simple spam patterns
@@ -834,10 +986,11 @@ class ChatService {
      return {
        isSpam: spamScore >= 0.7,
        score: Math.min(spamScore, 1.0),
+       contentScanned: true,
      };
    } catch (error) {
      logger.error('Error checking for spam:', error);
-     return { isSpam: false, score: 0 };
+     return { isSpam: false, score: 0, contentScanned: false };
    }
  }
 
@@ -862,9 +1015,13 @@ class ChatService {
      // Update last message info
      match.interaction.lastMessageAt = message.createdAt;
      match.interaction.lastMessageBy = senderId;
-     match.interaction.lastMessagePreview = message.type === MESSAGE_TYPES.TEXT 
-       ? message.content.text?.substring(0, 100)
-       : `[${message.type}]`;
+     if (message.encryption?.isEncrypted) {
+       match.interaction.lastMessagePreview = '🔒 Encrypted message';
+     } else {
+       match.interaction.lastMessagePreview = message.type === MESSAGE_TYPES.TEXT 
+         ? message.content.text?.substring(0, 100)
+         : `[${message.type}]`;
+     }
 
      // Mark as has exchanged messages
      if (!match.interaction.hasExchangedMessages) {
@@ -873,7 +1030,7 @@ class ChatService {
      }
 
      // Update engagement score
-     match.updateEngagement();
+     match.updateEngagementScore();
 
      await match.save();
    } catch (error) {
@@ -935,10 +1092,21 @@ class ChatService {
        case MESSAGE_TYPES.LOCATION:
          body = '📍 Shared location';
          break;
+       case MESSAGE_TYPES.VIRTUAL_GIFT:
+         body = '🎁 Sent you a gift';
+         break;
+       case MESSAGE_TYPES.STICKER:
+         body = 'Sent a sticker';
+         break;
        default:
          body = 'Sent a message';
      }
 
+     // Only the recipient's device can read an encrypted message
+     if (message.encryption?.isEncrypted) {
+       body = '🔒 Sent you a message';
+     }
+
      await NotificationService.sendNotification(recipientId.toString(), {
        type: NOTIFICATION_TYPES.NEW_MESSAGE,
        title: sender.profile?.displayName || sender.profile?.firstName,
@@ -949,6 +1117,9 @@ class ChatService {
          senderId: message.sender.toString(),
        },
        priority: 'high',
+       // Bursts in one chat replace each other on the device
+       collapseKey: `chat:${match._id}`,
+       collapsedBody: '{{count}} new messages',
      });
    } catch (error) {
      logger.error('Error sending message notification:', error);
@@ -966,6 +1137,12 @@ class ChatService {
      receiver: message.receiver,
      type: message.type,
      content: message.content,
+     encryption: message.encryption?.isEncrypted ? {
+       encryptionType: message.encryption.encryptionType,
+       publicKey: message.encryption.publicKey,
+       encryptedKey: message.encryption.encryptedKey,
+       ciphertext: message.encryption.ciphertext,
+     } : undefined,
      status: message.status,
      reactions: message.reactions,
      replyTo: message.replyTo,
@@ -1068,6 +1245,17 @@ class ChatService {
    }
  }
 
+ /**
+  * Record a reply for icebreaker learning
+  */
+ async trackIcebreakerReply(matchId, senderId) {
+   try {
+     await Message.markIcebreakerReplied(matchId, senderId);
+   } catch (error) {
+     logger.error('Error tracking icebreaker reply:', error);
+   }
+ }
+
  /**
   * Handle special message types
   */
@@ -1086,6 +1274,10 @@ class ChatService {
          await this.handleDateRequest(message, match);
          break;
          
+       case MESSAGE_TYPES.STICKER:
+         await StickerService.recordUse(message.sender, message.content.stickerId);
+         break;
+         
        case MESSAGE_TYPES.LOCATION:
          if (message.content.location && message.locationTracking?.isLive) {
            await this.startLocationTracking(message);
@@ -1102,24 +1294,10 @@ class ChatService {
   */
  async handleGameInvite(message, match) {
    try {
-     // Create game session
-     const gameSession = {
-       gameId: message.content.gameId,
-       matchId: match._id,
-       players: match.users,
-       initiator: message.sender,
-       type: message.content.gameType,
-       status: 'pending',
-       createdAt: new Date(),
-     };
-     
-     await redis.set(`game:${message.content.gameId}`, JSON.stringify(gameSession), 3600);
-     
-     // Send notification
      await NotificationService.sendNotification(message.receiver.toString(), {
        type: NOTIFICATION_TYPES.GAME_INVITE,
        title: 'Game Invite',
-       body: 'You received a game invitation!',
+       body: `You're invited to play ${message.content.gameData?.name || 'a game'}!`,
        data: {
          gameId: message.content.gameId,
          matchId: match._id.toString(),
@@ -1135,23 +1313,14 @@ class ChatService {
   */
  async handleVirtualGift(message, match) {
    try {
-     // Update match gift stats
-     if (!match.gifts) {
-       match.gifts = { sent: [], received: [] };
-     }
-     
-     const gift = {
+     // Record the gift on the match
+     match.virtualGifts.push({
+       giftType: message.content.giftType,
        giftId: message.content.giftId,
-       messageId: message._id,
+       sentBy: message.sender,
        sentAt: message.createdAt,
-     };
-     
-     const senderIndex = match.users.findIndex(u => u.toString() === message.sender.toString());
-     if (senderIndex === 0) {
-       match.gifts.sent.push(gift);
-     } else {
-       match.gifts.received.push(gift);
-     }
+       message: message.content.giftMessage,
+     });
      
      await match.save();
      
@@ -1228,35 +1397,50 @@ class ChatService {
  }
 
  /**
-  * Auto-translate message if needed
+  * Queue a translation of the message into the recipient's chat language
+  * when they have auto-translate on and the message is in another language
   */
  async autoTranslateIfNeeded(message, recipientId) {
    try {
-     // Check if recipient has auto-translate enabled
-     const recipient = await User.findById(recipientId).select('preferences.autoTranslate preferences.language');
-     
+     if (message.type !== MESSAGE_TYPES.TEXT || !message.content?.text) {
+       return;
+     }
+
+     // Nothing to translate without the plaintext
+     if (message.encryption?.isEncrypted) {
+       logger.debug(`Skipping auto-translate for encrypted message ${message._id}`);
+       return;
+     }
+
+     const recipient = await User.findById(recipientId)
+       .select('preferences.autoTranslate preferences.language metadata.locale');
+
      if (!recipient?.preferences?.autoTranslate) {
        return;
      }
-     
-     // This would integrate with a translation service
-     // For now, we'll just mark it as needing translation
-     if (message.type === MESSAGE_TYPES.TEXT && message.content.text) {
-       // Detect language (mock implementation)
-       const detectedLanguage = 'en'; // Would use actual language detection
-       
-       if (detectedLanguage !== recipient.preferences.language) {
-         message.translation.isTranslated = false;
-         message.translation.originalLanguage = detectedLanguage;
-         await message.save();
-         
-         // Queue translation job
-         await QueueService.addJob('translate-message', {
-           messageId: message._id.toString(),
-           targetLanguage: recipient.preferences.language,
-         });
-       }
+
+     const targetLanguage = recipient.preferences.language || recipient.metadata?.locale;
+     if (!TRANSLATION_LANGUAGES.includes(targetLanguage)) {
+       return;
      }
+
+     // Too short or too mixed to tell; the recipient can still translate it by hand
+     const detected = TranslationService.detectLanguage(message.content.text);
+     if (!detected || detected.language === targetLanguage) {
+       return;
+     }
+
+     await Message.updateOne(
+       { _id: message._id },
+       { $set: { 'translation.originalLanguage': detected.language } }
+     );
+     message.translation.originalLanguage = detected.language;
+
+     await QueueService.addJob(TRANSLATION_QUEUE, {
+       messageId: message._id.toString(),
+       recipientId: recipientId.toString(),
+       targetLanguage,
+     });
    } catch (error) {
      logger.error('Error in auto-translate:', error);
    }
@@ -1336,15 +1520,17 @@ class ChatService {
  }
 
  /**
-  * Upload media to Cloudinary
+  * Upload media to storage
   */
  async uploadMedia(file, userId) {
    try {
      const folder = `chat/${userId}/${new Date().getFullYear()}/${new Date().getMonth() + 1}`;
      
-     const result = await uploadToCloudinary(file.buffer, {
+     const result = await StorageService.upload(file.buffer, {
        folder,
-       resource_type: 'auto',
+       resourceType: 'auto',
+       contentType: file.mimetype,
+       filename: file.originalname,
        transformation: this.getMediaTransformation(file.mimetype),
      });
      
@@ -1409,10 +1595,17 @@ class ChatService {
  async deleteMessageMedia(message) {
    try {
      if (message.content.mediaUrl) {
-       // Extract public_id from Cloudinary URL
-       const urlParts = message.content.mediaUrl.split('/');
-       const publicId = urlParts[urlParts.length - 1].split('.')[0];
-       await deleteFromCloudinary(publicId);
+       // Older messages predate the storage drivers and only kept the Cloudinary URL
+       const provider = message.content.mediaStorageProvider || 'cloudinary';
+       const publicId = message.content.mediaPublicId ||
+         StorageService.publicIdFromUrl(message.content.mediaUrl, provider);
+
+       if (publicId) {
+         await StorageService.delete(publicId, {
+           resourceType: message.content.mimeType?.startsWith('image/') ? 'image' : 'video',
+           provider,
+         });
+       }
      }
    } catch (error) {
      logger.error('Error deleting message media:', error);
@@ -1507,7 +1700,8 @@ class ChatService {
      sender: msg.sender?.profile?.firstName || 'Unknown',
      receiver: msg.receiver?.profile?.firstName || 'Unknown',
      type: msg.type,
-     content: msg.content,
+     encrypted: Boolean(msg.encryption?.isEncrypted),
+     content: msg.encryption?.isEncrypted ? null : msg.content,
      timestamp: msg.createdAt,
      reactions: msg.reactions,
    })), null, 2);
@@ -1522,7 +1716,10 @@ class ChatService {
      const timestamp = new Date(msg.createdAt).toLocaleString();
      let content = '';
      
-     switch (msg.type) {
+     switch (msg.encryption?.isEncrypted ? 'encrypted' : msg.type) {
+       case 'encrypted':
+         content = '[Encrypted message]';
+         break;
        case MESSAGE_TYPES.TEXT:
          content = msg.content.text;
          break;
@@ -1546,19 +1743,6 @@ class ChatService {
    }).join('\n');
  }
 
- /**
-  * Export chat as PDF (placeholder)
-  */
- async exportAsPDF(messages, match) {
-   // This would integrate with a PDF generation library
-   // For now, return a placeholder
-   return {
-     url: 'https://example.com/chat-export.pdf',
-     size: messages.length * 100,
-     pages: Math.ceil(messages.length / 50),
-   };
- }
-
  /**
   * Get conversation summary (AI feature)
   */
@@ -1576,6 +1760,7 @@ class ChatService {
      const messages = await Message.find({
        matchId,
        'status.isDeleted': false,
+       'encryption.isEncrypted': { $ne: true },
        type: MESSAGE_TYPES.TEXT,
      })
        .sort({ createdAt: -1 })
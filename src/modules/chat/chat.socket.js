@@ -7,6 +7,13 @@ import socketManager from '../../config/socket.js';
 import logger from '../../shared/utils/logger.js';
 import NotificationService from '../../shared/services/notification.service.js';
 import MetricsService from '../../shared/services/metrics.service.js';
+import AppError from '../../shared/errors/AppError.js';
+import CallService from './call.service.js';
+import GameService from './game.service.js';
+import ChatService from './chat.service.js';
+import EncryptionService from './encryption.service.js';
+import TranslationService from './translation.service.js';
+import StickerService from '../sticker/sticker.service.js';
 import { 
  MESSAGE_TYPES, 
  NOTIFICATION_TYPES,
@@ -19,7 +26,6 @@ class ChatSocketHandler {
  constructor() {
    this.typingTimeouts = new Map();
    this.messageQueue = new Map();
-   this.activeCalls = new Map();
  }
 
  /**
@@ -63,6 +69,15 @@ class ChatSocketHandler {
      }
    });
 
+   // Call, game, encryption and translation events reach users through the chat namespace
+   const toUser = (userId, event, data) => {
+     chatNamespace.to(`user:${userId}`).emit(event, data);
+   };
+   CallService.setTransport(toUser);
+   GameService.setTransport(toUser);
+   EncryptionService.setTransport(toUser);
+   TranslationService.setTransport(toUser);
+
    // Connection handler
    chatNamespace.on('connection', (socket) => {
      this.handleConnection(socket);
@@ -95,6 +110,9 @@ class ChatSocketHandler {
    // Send pending messages
    this.sendPendingMessages(socket);
 
+   // Pick up any game left open by a dropped connection
+   this.handleGameRejoin(socket);
+
    // Emit connection success
    socket.emit('chat:connected', {
      userId,
@@ -158,6 +176,9 @@ registerEventHandlers(socket) {
   socket.on(SOCKET_EVENTS.GAME_INVITE, (data) => this.handleGameInvite(socket, data));
   socket.on(SOCKET_EVENTS.GAME_ACCEPT, (data) => this.handleGameAccept(socket, data));
   socket.on(SOCKET_EVENTS.GAME_MOVE, (data) => this.handleGameMove(socket, data));
+  socket.on(SOCKET_EVENTS.GAME_DECLINE, (data) => this.handleGameDecline(socket, data));
+  socket.on(SOCKET_EVENTS.GAME_FORFEIT, (data) => this.handleGameForfeit(socket, data));
+  socket.on(SOCKET_EVENTS.GAME_REJOIN, (data) => this.handleGameRejoin(socket, data));
 
   // Subscription events
   socket.on(SOCKET_EVENTS.CHAT_SUBSCRIBE, (data) => this.handleSubscribeToMatch(socket, data));
@@ -200,19 +221,47 @@ registerEventHandlers(socket) {
      // Get recipient
      const recipientId = match.getOtherUser(userId);
 
+     // Encrypted matches only take ciphertext for user-written content
+     let encryption;
+     try {
+       encryption = await ChatService.prepareEncryption(match, userId, { type, content, encryption: data.encryption });
+     } catch (error) {
+       return socket.emit('error', {
+         code: error instanceof AppError ? error.errorCode : ERROR_CODES.MESSAGE_SEND_FAILED,
+         message: error.message,
+       });
+     }
+
      // Validate message type and content
-     const validationError = this.validateMessage(type, content);
+     const validationError = encryption ? null : this.validateMessage(type, content);
      if (validationError) {
        return socket.emit('error', validationError);
      }
 
+     // Stickers are resolved from the catalog so locked packs can't be sent
+     let messageContent = content;
+     if (type === MESSAGE_TYPES.STICKER) {
+       try {
+         messageContent = {
+           ...content,
+           ...await StickerService.prepareMessageContent(userId, content.stickerId || content.id),
+         };
+       } catch (error) {
+         return socket.emit('error', {
+           code: error instanceof AppError ? error.errorCode : ERROR_CODES.MESSAGE_SEND_FAILED,
+           message: error.message,
+         });
+       }
+     }
+
      // Create message
      const message = await Message.create({
        matchId,
        sender: userId,
        receiver: recipientId,
        type,
-       content,
+       content: encryption ? {} : messageContent,
+       encryption,
        replyTo,
        metadata: {
          ...metadata,
@@ -264,6 +313,9 @@ registerEventHandlers(socket) {
      // Handle special message types
      await this.handleSpecialMessageTypes(message, match);
 
+     // Translate for the recipient if they read in another language
+     await ChatService.autoTranslateIfNeeded(message, recipientId);
+
    } catch (error) {
      logger.error('Error sending message:', error);
      socket.emit('error', {
@@ -299,6 +351,14 @@ registerEventHandlers(socket) {
        });
      }
 
+     // A plaintext edit would leak into an encrypted chat
+     if (message.encryption?.isEncrypted) {
+       return socket.emit('error', {
+         code: ERROR_CODES.MESSAGE_ENCRYPTED,
+         message: 'Encrypted messages cannot be edited',
+       });
+     }
+
      // Check if message can be edited (within 15 minutes)
      const timeSinceSent = Date.now() - message.createdAt;
      if (timeSinceSent > 15 * 60 * 1000) {
@@ -585,8 +645,7 @@ registerEventHandlers(socket) {
   */
  async handleCallInitiate(socket, data) {
    try {
-     const { matchId, callType = 'video', offer } = data;
-     const userId = socket.userId;
+     const { matchId, callType, offer } = data;
 
      if (!socket.matches.includes(matchId)) {
        return socket.emit('error', {
@@ -595,64 +654,21 @@ registerEventHandlers(socket) {
        });
      }
 
-     const match = await Match.findById(matchId).populate('users', 'profile.firstName');
-     const recipientId = match.getOtherUser(userId);
-
-     // Check if recipient is online
-     const isOnline = await this.isUserOnline(recipientId);
-     if (!isOnline) {
-       return socket.emit('call:recipient-offline', {
-         matchId,
-         message: 'User is not available for calls',
-       });
-     }
-
-     // Create call session
-     const callId = `call_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-     const callSession = {
-       callId,
-       matchId,
-       initiator: userId,
-       recipient: recipientId.toString(),
+     const result = await CallService.initiateCall(socket.userId, matchId, {
        type: callType,
-       status: 'ringing',
-       startedAt: new Date(),
-       offer,
-     };
-
-     // Store call session
-     await redis.set(`call:${callId}`, JSON.stringify(callSession), 120); // 2 min timeout
-     this.activeCalls.set(callId, callSession);
-
-     // Notify recipient
-     this.io.of('/chat').to(`user:${recipientId}`).emit('call:incoming', {
-       callId,
-       matchId,
-       callType,
-       caller: {
-         id: userId,
-         name: socket.user?.profile?.firstName,
-       },
        offer,
+       platform: socket.handshake?.headers?.['x-platform'],
      });
 
-     // Send push notification
-     await NotificationService.sendNotification(recipientId.toString(), {
-       type: NOTIFICATION_TYPES.INCOMING_CALL,
-       title: `Incoming ${callType} call`,
-       body: `${socket.user?.profile?.firstName} is calling you`,
-       data: { callId, matchId, callType },
-       priority: 'high',
+     socket.emit('call:initiated', {
+       callId: result.call.id,
+       status: result.call.status,
+       expiresAt: result.call.ringExpiresAt,
+       iceServers: result.iceServers,
      });
 
-     socket.emit('call:initiated', { callId, status: 'ringing' });
-
    } catch (error) {
-     logger.error('Error initiating call:', error);
-     socket.emit('error', {
-       code: ERROR_CODES.CALL_FAILED,
-       message: 'Failed to initiate call',
-     });
+     this.emitCallError(socket, error, ERROR_CODES.CALL_FAILED, 'Failed to initiate call');
    }
  }
 
@@ -662,51 +678,19 @@ registerEventHandlers(socket) {
  async handleCallAccept(socket, data) {
    try {
      const { callId, answer } = data;
-     const userId = socket.userId;
 
-     const callSession = this.activeCalls.get(callId);
-     if (!callSession) {
-       return socket.emit('error', {
-         code: ERROR_CODES.CALL_NOT_FOUND,
-         message: 'Call session not found',
-       });
-     }
-
-     if (callSession.recipient !== userId) {
-       return socket.emit('error', {
-         code: ERROR_CODES.FORBIDDEN,
-         message: 'Not authorized to accept this call',
-       });
-     }
-
-     // Update call status
-     callSession.status = 'connected';
-     callSession.connectedAt = new Date();
-     callSession.answer = answer;
-     
-     await redis.set(`call:${callId}`, JSON.stringify(callSession), 7200); // 2 hours max
-
-     // Notify initiator
-     this.io.of('/chat').to(`user:${callSession.initiator}`).emit('call:accepted', {
-       callId,
+     const result = await CallService.acceptCall(socket.userId, callId, {
        answer,
+       platform: socket.handshake?.headers?.['x-platform'],
      });
 
-     // Update match video chat stats
-     const match = await Match.findById(callSession.matchId);
-     if (match) {
-       match.videoChat.totalCalls++;
-       match.videoChat.lastCallAt = new Date();
-       match.videoChat.lastCallInitiatedBy = callSession.initiator;
-       await match.save();
-     }
+     socket.emit('call:connected', {
+       callId,
+       iceServers: result.iceServers,
+     });
 
    } catch (error) {
-     logger.error('Error accepting call:', error);
-     socket.emit('error', {
-       code: ERROR_CODES.CALL_ACCEPT_FAILED,
-       message: 'Failed to accept call',
-     });
+     this.emitCallError(socket, error, ERROR_CODES.CALL_ACCEPT_FAILED, 'Failed to accept call');
    }
  }
 
@@ -715,48 +699,14 @@ registerEventHandlers(socket) {
   */
  async handleCallEnd(socket, data) {
    try {
-     const { callId, reason = 'user_ended' } = data;
-     
-     const callSession = this.activeCalls.get(callId);
-     if (!callSession) {
-       return;
-     }
+     const { callId, reason = 'hangup' } = data;
 
-     // Calculate duration if call was connected
-     let duration = 0;
-     if (callSession.status === 'connected' && callSession.connectedAt) {
-       duration = Date.now() - new Date(callSession.connectedAt).getTime();
-     }
-
-     // Update match stats if call was connected
-     if (duration > 0) {
-       const match = await Match.findById(callSession.matchId);
-       if (match) {
-         match.videoChat.totalDuration += Math.floor(duration / 1000);
-         match.videoChat.lastCallDuration = Math.floor(duration / 1000);
-         await match.save();
-       }
-     }
-
-     // Notify both parties
-     this.io.of('/chat').to(`match:${callSession.matchId}`).emit('call:ended', {
-       callId,
-       reason,
-       duration,
-     });
-
-     // Clean up
-     this.activeCalls.delete(callId);
-     await redis.del(`call:${callId}`);
-
-     // Track metrics
-     await MetricsService.incrementCounter('chat.calls.ended', 1, { reason });
-     if (duration > 0) {
-       await MetricsService.recordHistogram('chat.calls.duration', duration / 1000);
-     }
+     await CallService.endCall(socket.userId, callId, reason);
 
    } catch (error) {
-     logger.error('Error ending call:', error);
+     if (error.errorCode !== ERROR_CODES.CALL_NOT_FOUND) {
+       logger.error('Error ending call:', error);
+     }
    }
  }
 
@@ -766,20 +716,8 @@ registerEventHandlers(socket) {
  async handleIceCandidate(socket, data) {
    try {
      const { callId, candidate } = data;
-     
-     const callSession = this.activeCalls.get(callId);
-     if (!callSession) {
-       return;
-     }
-
-     const targetUserId = socket.userId === callSession.initiator 
-       ? callSession.recipient 
-       : callSession.initiator;
 
-     this.io.of('/chat').to(`user:${targetUserId}`).emit('call:ice-candidate', {
-       callId,
-       candidate,
-     });
+     await CallService.relaySignal(socket.userId, callId, SOCKET_EVENTS.CALL_ICE_CANDIDATE, { candidate });
 
    } catch (error) {
      logger.error('Error handling ICE candidate:', error);
@@ -918,6 +856,14 @@ registerEventHandlers(socket) {
    // Update online status
    this.setUserOnlineStatus(userId, false);
 
+   // Hang up the user's calls and tell game opponents once their last chat
+   // connection is gone
+   this.io.of('/chat').in(`user:${userId}`).fetchSockets()
+     .then(sockets => (sockets.length === 0
+       ? Promise.all([CallService.handleDisconnect(userId), GameService.handleDisconnect(userId)])
+       : null))
+     .catch(error => logger.error(`Error cleaning up for ${userId} on disconnect:`, error));
+
    logger.info(`User ${userId} disconnected from chat namespace`);
  }
 
@@ -966,11 +912,19 @@ registerEventHandlers(socket) {
        break;
 
      case MESSAGE_TYPES.GIF:
+       if (!content.gifUrl && !content.url && !content.id) {
+         return {
+           code: ERROR_CODES.VALIDATION_ERROR,
+           message: 'GIF URL or ID is required',
+         };
+       }
+       break;
+
      case MESSAGE_TYPES.STICKER:
-       if (!content.url && !content.id) {
+       if (!content.stickerId && !content.id) {
          return {
            code: ERROR_CODES.VALIDATION_ERROR,
-           message: 'GIF/Sticker URL or ID is required',
+           message: 'Sticker ID is required',
          };
        }
        break;
@@ -995,6 +949,12 @@ registerEventHandlers(socket) {
      sender: message.sender,
      type: message.type,
      content: message.content,
+     encryption: message.encryption?.isEncrypted ? {
+       encryptionType: message.encryption.encryptionType,
+       publicKey: message.encryption.publicKey,
+       encryptedKey: message.encryption.encryptedKey,
+       ciphertext: message.encryption.ciphertext,
+     } : undefined,
      status: message.status,
      reactions: message.reactions,
      replyTo: message.replyTo,
@@ -1063,6 +1023,11 @@ async isUserOnline(userId) {
          notificationBody = 'Sent a message';
      }
 
+     // Only the recipient's device can read an encrypted message
+     if (message.encryption?.isEncrypted) {
+       notificationBody = '🔒 Sent you a message';
+     }
+
      // Check if recipient has muted this match
      const userIndex = match.users.findIndex(u => u.toString() === message.receiver.toString());
      const isMuted = userIndex === 0 ? match.chat?.isMuted?.user1 : match.chat?.isMuted?.user2;
@@ -1078,6 +1043,8 @@ async isUserOnline(userId) {
            senderId: message.sender.toString(),
          },
          priority: 'high',
+         collapseKey: `chat:${match._id}`,
+         collapsedBody: '{{count}} new messages',
        });
      }
    } catch (error) {
@@ -1188,10 +1155,6 @@ async isUserOnline(userId) {
  async handleSpecialMessageTypes(message, match) {
    try {
      switch (message.type) {
-       case MESSAGE_TYPES.GAME_INVITE:
-         await this.handleGameInviteMessage(message, match);
-         break;
-         
        case MESSAGE_TYPES.VIRTUAL_GIFT:
          await this.handleVirtualGiftMessage(message, match);
          break;
@@ -1207,6 +1170,10 @@ async isUserOnline(userId) {
        case MESSAGE_TYPES.INSTAGRAM_POST:
          await this.handleInstagramPostMessage(message, match);
          break;
+         
+       case MESSAGE_TYPES.STICKER:
+         await StickerService.recordUse(message.sender._id || message.sender, message.content.stickerId);
+         break;
      }
    } catch (error) {
      logger.error('Error handling special message type:', error);
@@ -1291,10 +1258,9 @@ async isUserOnline(userId) {
  /**
   * Handle game invite
   */
- async handleGameInvite(socket, data) {
+ async handleGameInvite(socket, data = {}) {
    try {
-     const { matchId, gameType, gameData } = data;
-     const userId = socket.userId;
+     const { matchId, gameType, options } = data;
 
      if (!socket.matches.includes(matchId)) {
        return socket.emit('error', {
@@ -1303,156 +1269,82 @@ async isUserOnline(userId) {
        });
      }
 
-     const match = await Match.findById(matchId);
-     const recipientId = match.getOtherUser(userId);
-
-     // Create game session
-     const gameId = `game_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-     const gameSession = {
-       gameId,
-       matchId,
-       type: gameType,
-       players: [userId, recipientId.toString()],
-       initiator: userId,
-       status: 'pending',
-       data: gameData,
-       createdAt: new Date(),
-     };
-
-     // Store game session
-     await redis.set(`game:${gameId}`, JSON.stringify(gameSession), 3600);
-
-     // Send game invite message
-     await this.handleSendMessage(socket, {
-       matchId,
-       type: MESSAGE_TYPES.GAME_INVITE,
-       content: {
-         gameId,
-         gameType,
-         gameData,
-       },
-     });
-
-     // Emit game invite event
-     this.io.of('/chat').to(`user:${recipientId}`).emit('game:invite', {
-       gameId,
-       matchId,
-       gameType,
-       inviter: {
-         id: userId,
-         name: socket.user?.profile?.firstName,
-       },
-     });
-
+     const game = await GameService.invite(socket.userId, matchId, { gameType, options });
+     socket.emit(SOCKET_EVENTS.GAME_STATE, { game });
    } catch (error) {
-     logger.error('Error sending game invite:', error);
-     socket.emit('error', {
-       code: ERROR_CODES.GAME_INVITE_FAILED,
-       message: 'Failed to send game invite',
-     });
+     this.emitGameError(socket, error, ERROR_CODES.GAME_INVITE_FAILED, 'Failed to send game invite');
    }
  }
 
  /**
   * Handle game acceptance
   */
- async handleGameAccept(socket, data) {
+ async handleGameAccept(socket, data = {}) {
    try {
-     const { gameId } = data;
-     const userId = socket.userId;
-
-     const gameSession = await redis.get(`game:${gameId}`);
-     if (!gameSession) {
-       return socket.emit('error', {
-         code: ERROR_CODES.GAME_NOT_FOUND,
-         message: 'Game session not found',
-       });
-     }
-
-     const game = JSON.parse(gameSession);
-     
-     if (!game.players.includes(userId)) {
-       return socket.emit('error', {
-         code: ERROR_CODES.FORBIDDEN,
-         message: 'Not authorized for this game',
-       });
-     }
-
-     // Update game status
-     game.status = 'active';
-     game.startedAt = new Date();
-     await redis.set(`game:${gameId}`, JSON.stringify(game), 3600);
-
-     // Notify both players
-     game.players.forEach(playerId => {
-       this.io.of('/chat').to(`user:${playerId}`).emit('game:started', {
-         gameId,
-         game,
-       });
-     });
+     await GameService.acceptGame(socket.userId, data.gameId);
+   } catch (error) {
+     this.emitGameError(socket, error, ERROR_CODES.GAME_ACCEPT_FAILED, 'Failed to accept game invite');
+   }
+ }
 
+ /**
+  * Handle declining (or withdrawing) a game invite
+  */
+ async handleGameDecline(socket, data = {}) {
+   try {
+     await GameService.declineGame(socket.userId, data.gameId);
    } catch (error) {
-     logger.error('Error accepting game:', error);
-     socket.emit('error', {
-       code: ERROR_CODES.GAME_ACCEPT_FAILED,
-       message: 'Failed to accept game invite',
-     });
+     this.emitGameError(socket, error, ERROR_CODES.GAME_ACCEPT_FAILED, 'Failed to decline game invite');
    }
  }
 
  /**
   * Handle game move
   */
- async handleGameMove(socket, data) {
+ async handleGameMove(socket, data = {}) {
    try {
-     const { gameId, move } = data;
-     const userId = socket.userId;
-
-     const gameSession = await redis.get(`game:${gameId}`);
-     if (!gameSession) {
-       return socket.emit('error', {
-         code: ERROR_CODES.GAME_NOT_FOUND,
-         message: 'Game session not found',
-       });
-     }
-
-     const game = JSON.parse(gameSession);
-     
-     if (!game.players.includes(userId)) {
-       return socket.emit('error', {
-         code: ERROR_CODES.FORBIDDEN,
-         message: 'Not authorized for this game',
-       });
-     }
+     await GameService.makeMove(socket.userId, data.gameId, data.move);
+   } catch (error) {
+     this.emitGameError(socket, error, ERROR_CODES.GAME_MOVE_FAILED, 'Failed to process game move');
+   }
+ }
 
-     // Update game state
-     if (!game.moves) {
-       game.moves = [];
-     }
-     game.moves.push({
-       player: userId,
-       move,
-       timestamp: new Date(),
-     });
-     game.lastMove = new Date();
-     
-     await redis.set(`game:${gameId}`, JSON.stringify(game), 3600);
-
-     // Notify other player
-     const otherPlayer = game.players.find(p => p !== userId);
-     this.io.of('/chat').to(`user:${otherPlayer}`).emit('game:move', {
-       gameId,
-       move,
-       player: userId,
-     });
+ /**
+  * Handle leaving a game
+  */
+ async handleGameForfeit(socket, data = {}) {
+   try {
+     await GameService.forfeitGame(socket.userId, data.gameId);
+   } catch (error) {
+     this.emitGameError(socket, error, ERROR_CODES.GAME_MOVE_FAILED, 'Failed to leave game');
+   }
+ }
 
+ /**
+  * Send the current state of the user's games after a reconnect, or of
+  * one game when `gameId` is given
+  */
+ async handleGameRejoin(socket, data = {}) {
+   try {
+     const games = await GameService.rejoin(socket.userId, data.gameId || null);
+     games.forEach(game => socket.emit(SOCKET_EVENTS.GAME_STATE, { game }));
    } catch (error) {
-     logger.error('Error handling game move:', error);
-     socket.emit('error', {
-       code: ERROR_CODES.GAME_MOVE_FAILED,
-       message: 'Failed to process game move',
-     });
+     this.emitGameError(socket, error, ERROR_CODES.GAME_NOT_FOUND, 'Failed to rejoin game');
+   }
+ }
+
+ /**
+  * Report a game failure to the socket that asked
+  */
+ emitGameError(socket, error, fallbackCode, fallbackMessage) {
+   if (!(error instanceof AppError)) {
+     logger.error(`${fallbackMessage}:`, error);
    }
+
+   socket.emit('error', {
+     code: error instanceof AppError ? error.errorCode : fallbackCode,
+     message: error instanceof AppError ? error.message : fallbackMessage,
+   });
  }
 
  /**
@@ -1544,55 +1436,20 @@ async isUserOnline(userId) {
        });
      }
 
-     // Get all messages
-     const messages = await Message.find({
-       matchId,
-       'status.isDeleted': false,
-     })
-       .sort({ createdAt: 1 })
-       .populate('sender', 'profile.firstName profile.displayName')
-       .lean();
+     // Same checks and audit as the REST endpoint. PDF and HTML come back as
+     // a queued export; the download link arrives by notification.
+     const result = await ChatService.exportChat(userId, matchId, format);
 
-     let exportData;
-     
-     if (format === 'json') {
-       exportData = JSON.stringify(messages, null, 2);
-     } else if (format === 'txt') {
-       exportData = messages.map(msg => {
-         const sender = msg.sender?.profile?.firstName || 'Unknown';
-         const timestamp = new Date(msg.createdAt).toLocaleString();
-         let content = '';
-         
-         switch (msg.type) {
-           case MESSAGE_TYPES.TEXT:
-             content = msg.content.text;
-             break;
-           case MESSAGE_TYPES.IMAGE:
-             content = '[Image]';
-             break;
-           case MESSAGE_TYPES.VIDEO:
-             content = '[Video]';
-             break;
-           default:
-             content = `[${msg.type}]`;
-         }
-         
-         return `[${timestamp}] ${sender}: ${content}`;
-       }).join('\n');
-     }
-
-     socket.emit('chat:export:ready', {
-       matchId,
-       format,
-       data: exportData,
-       messageCount: messages.length,
-     });
+     socket.emit('chat:export:ready', { matchId, ...result });
 
    } catch (error) {
-     logger.error('Error exporting chat:', error);
+     if (!(error instanceof AppError)) {
+       logger.error('Error exporting chat:', error);
+     }
+
      socket.emit('error', {
-       code: ERROR_CODES.EXPORT_FAILED,
-       message: 'Failed to export chat',
+       code: error instanceof AppError ? error.errorCode : ERROR_CODES.EXPORT_FAILED,
+       message: error instanceof AppError ? error.message : 'Failed to export chat',
      });
    }
  }
@@ -1767,20 +1624,8 @@ async isUserOnline(userId) {
  async handleCallSignal(socket, data) {
    try {
      const { callId, signal } = data;
-     
-     const callSession = this.activeCalls.get(callId);
-     if (!callSession) {
-       return;
-     }
 
-     const targetUserId = socket.userId === callSession.initiator 
-       ? callSession.recipient 
-       : callSession.initiator;
-
-     this.io.of('/chat').to(`user:${targetUserId}`).emit('call:signal', {
-       callId,
-       signal,
-     });
+     await CallService.relaySignal(socket.userId, callId, SOCKET_EVENTS.CALL_SIGNAL, { signal });
 
    } catch (error) {
      logger.error('Error handling call signal:', error);
@@ -1793,38 +1638,28 @@ async isUserOnline(userId) {
  async handleCallReject(socket, data) {
    try {
      const { callId, reason = 'busy' } = data;
-     const userId = socket.userId;
 
-     const callSession = this.activeCalls.get(callId);
-     if (!callSession) {
-       return;
-     }
-
-     if (callSession.recipient !== userId) {
-       return socket.emit('error', {
-         code: ERROR_CODES.FORBIDDEN,
-         message: 'Not authorized to reject this call',
-       });
-     }
-
-     // Notify initiator
-     this.io.of('/chat').to(`user:${callSession.initiator}`).emit('call:rejected', {
-       callId,
-       reason,
-     });
-
-     // Clean up
-     this.activeCalls.delete(callId);
-     await redis.del(`call:${callId}`);
-
-     // Track metrics
-     await MetricsService.incrementCounter('chat.calls.rejected', 1, { reason });
+     await CallService.declineCall(socket.userId, callId, reason);
 
    } catch (error) {
-     logger.error('Error rejecting call:', error);
+     this.emitCallError(socket, error, ERROR_CODES.CALL_FAILED, 'Failed to reject call');
    }
  }
 
+ /**
+  * Report a call failure to the socket that asked
+  */
+ emitCallError(socket, error, fallbackCode, fallbackMessage) {
+   if (!(error instanceof AppError)) {
+     logger.error(`${fallbackMessage}:`, error);
+   }
+
+   socket.emit('error', {
+     code: error instanceof AppError ? error.errorCode : fallbackCode,
+     message: error instanceof AppError ? error.message : fallbackMessage,
+   });
+ }
+
  /**
   * Handle marking messages as delivered
   */
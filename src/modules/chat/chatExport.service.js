@@ -0,0 +1,522 @@
+// src/modules/chat/chatExport.service.js
+import mongoose from 'mongoose';
+import axios from 'axios';
+import sharp from 'sharp';
+import Message from './message.model.js';
+import Match from '../match/match.model.js';
+import User from '../user/user.model.js';
+import StorageService from '../media/storage.service.js';
+import { renderChatPdf, countUnsupportedMessages } from './export/chatPdf.js';
+import { renderChatHtml } from './export/chatHtml.js';
+import logger from '../../shared/utils/logger.js';
+import NotificationService from '../../shared/services/notification.service.js';
+import MetricsService from '../../shared/services/metrics.service.js';
+import QueueService from '../../shared/services/queue.service.js';
+import AppError from '../../shared/errors/AppError.js';
+import {
+ MESSAGE_TYPES,
+ NOTIFICATION_TYPES,
+ CHAT_EXPORT_CONSTANTS,
+ ERROR_CODES,
+ HTTP_STATUS,
+} from '../../config/constants.js';
+
+export const CHAT_EXPORT_QUEUE = 'chat_exports';
+
+const { STATUS } = CHAT_EXPORT_CONSTANTS;
+
+const RENDERERS = {
+ // countUnsupported: messages the format can't fully display
+ pdf: { render: renderChatPdf, contentType: 'application/pdf', countUnsupported: countUnsupportedMessages },
+ html: { render: renderChatHtml, contentType: 'text/html; charset=utf-8' },
+};
+
+const ENCRYPTED_PLACEHOLDER = '[Encrypted message]';
+const THUMBNAIL_FETCH_TIMEOUT = 10000;
+const THUMBNAIL_MAX_BYTES = 10 * 1024 * 1024;
+const THUMBNAIL_BATCH = 5;
+
+/**
+* Chat Export Service
+* Renders PDF and HTML transcripts in the background, stores them privately
+* and sends the requester an expiring download link. Every export, including
+* the JSON and text ones ChatService returns directly, is recorded in
+* match.chat.exports.
+*/
+class ChatExportService {
+ /**
+  * Messages included in an export, oldest first
+  */
+ async loadMessages(matchId) {
+   return Message.find({
+     matchId,
+     'status.isDeleted': false,
+   })
+     .populate('sender', 'profile.firstName profile.displayName')
+     .populate('receiver', 'profile.firstName profile.displayName')
+     .sort({ createdAt: 1 })
+     .lean();
+ }
+
+ /**
+  * Queue a PDF or HTML export. A user can only have one export of a chat in
+  * flight; queued exports older than STALE_AFTER are assumed lost.
+  * @returns {Promise<Object>} - { exportId, format, status }
+  */
+ async requestExport(userId, match, format) {
+   const exportId = new mongoose.Types.ObjectId();
+   const userObjectId = new mongoose.Types.ObjectId(userId);
+
+   const updated = await Match.findOneAndUpdate(
+     {
+       _id: match._id,
+       'chat.exports': {
+         $not: {
+           $elemMatch: {
+             requestedBy: userObjectId,
+             status: { $in: [STATUS.QUEUED, STATUS.PROCESSING] },
+             requestedAt: { $gt: new Date(Date.now() - CHAT_EXPORT_CONSTANTS.STALE_AFTER) },
+           },
+         },
+       },
+     },
+     {
+       $push: {
+         'chat.exports': {
+           $each: [{ _id: exportId, requestedBy: userObjectId, format, status: STATUS.QUEUED, requestedAt: new Date() }],
+           $slice: -CHAT_EXPORT_CONSTANTS.HISTORY_LIMIT,
+         },
+       },
+     },
+     { new: true, projection: { _id: 1 } }
+   );
+
+   if (!updated) {
+     throw new AppError(
+       'An export of this chat is already being prepared',
+       HTTP_STATUS.CONFLICT,
+       ERROR_CODES.EXPORT_IN_PROGRESS
+     );
+   }
+
+   try {
+     await QueueService.addJob(CHAT_EXPORT_QUEUE, {
+       exportId: exportId.toString(),
+       matchId: match._id.toString(),
+       userId: userId.toString(),
+       format,
+     }, { maxAttempts: 2 });
+   } catch (error) {
+     await this.updateEntry(match._id, exportId, { status: STATUS.FAILED, error: 'Could not queue export' });
+     logger.error(`Error queueing chat export ${exportId}:`, error);
+     throw new AppError('Chat export failed', HTTP_STATUS.INTERNAL_SERVER_ERROR, ERROR_CODES.EXPORT_FAILED);
+   }
+
+   MetricsService.incrementCounter('chat.export.queued', 1, { format });
+
+   return { exportId, format, status: STATUS.QUEUED };
+ }
+
+ /**
+  * Audit an export that was returned directly (JSON, text)
+  */
+ async recordExport(userId, matchId, format, { messageCount, encryptedCount, bytes }) {
+   const now = new Date();
+
+   await Match.updateOne({ _id: matchId }, {
+     $push: {
+       'chat.exports': {
+         $each: [{
+           requestedBy: userId,
+           format,
+           status: STATUS.COMPLETED,
+           requestedAt: now,
+           completedAt: now,
+           messageCount,
+           encryptedCount,
+           bytes,
+         }],
+         $slice: -CHAT_EXPORT_CONSTANTS.HISTORY_LIMIT,
+       },
+     },
+   });
+ }
+
+ /**
+  * Render, store and deliver a queued export
+  * @param {Object} data - { exportId, matchId, userId, format }
+  */
+ async processExport({ exportId, matchId, userId, format }) {
+   try {
+     const match = await Match.findById(matchId);
+     const entry = match?.chat?.exports?.id(exportId);
+     if (!entry) {
+       return { skipped: 'not_found' };
+     }
+     if ([STATUS.COMPLETED, STATUS.EXPIRED].includes(entry.status)) {
+       return { skipped: entry.status };
+     }
+
+     // The user may have unmatched since asking
+     if (!match.hasUser(userId)) {
+       await this.updateEntry(matchId, exportId, { status: STATUS.FAILED, error: 'No longer part of this match' });
+       return { skipped: 'forbidden' };
+     }
+
+     await this.updateEntry(matchId, exportId, { status: STATUS.PROCESSING });
+
+     const [user, messages] = await Promise.all([
+       User.findById(userId).select('profile.firstName profile.displayName metadata.locale metadata.timezone').lean(),
+       this.loadMessages(matchId),
+     ]);
+
+     const transcript = await this.buildTranscript(user, messages);
+     const renderer = RENDERERS[format];
+     const buffer = Buffer.from(renderer.render(transcript));
+     const unsupportedCount = renderer.countUnsupported?.(transcript) ?? 0;
+     const filename = `chat-export-${matchId}-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+     const stored = await StorageService.upload(buffer, {
+       folder: `${CHAT_EXPORT_CONSTANTS.STORAGE_FOLDER}/${userId}`,
+       resourceType: 'raw',
+       contentType: renderer.contentType,
+       filename,
+       format,
+       providerOptions: { type: 'authenticated' },
+     });
+
+     const link = await this.signedLink(stored.public_id, stored.provider, format, filename);
+
+     await this.updateEntry(matchId, exportId, {
+       status: STATUS.COMPLETED,
+       completedAt: new Date(),
+       expiresAt: link.expiresAt,
+       messageCount: messages.length,
+       encryptedCount: transcript.encryptedCount,
+       unsupportedCount,
+       bytes: stored.bytes || buffer.length,
+       storageKey: stored.public_id,
+       storageProvider: stored.provider,
+     });
+
+     await NotificationService.sendNotification(userId, {
+       type: NOTIFICATION_TYPES.CHAT_EXPORT_READY,
+       title: 'Your chat export is ready',
+       body: `Download it within ${Math.round(CHAT_EXPORT_CONSTANTS.LINK_TTL / 3600)} hours.` +
+         (unsupportedCount > 0 ? ' Some characters could not be shown in the PDF; export as HTML to keep them.' : ''),
+       data: {
+         matchId: matchId.toString(),
+         exportId: exportId.toString(),
+         format,
+         url: link.url,
+         expiresAt: link.expiresAt,
+         unsupportedCount,
+       },
+     });
+
+     MetricsService.incrementCounter('chat.export', 1, { format });
+     if (unsupportedCount > 0) {
+       MetricsService.incrementCounter('chat.export.unsupported_characters', 1, { format });
+     }
+
+     return { exported: true, bytes: buffer.length, messageCount: messages.length };
+   } catch (error) {
+     logger.error(`Error processing chat export ${exportId}:`, error);
+     await this.updateEntry(matchId, exportId, { status: STATUS.FAILED, error: error.message })
+       .catch(() => {});
+     MetricsService.incrementCounter('chat.export.failed', 1, { format });
+     throw error;
+   }
+ }
+
+ /**
+  * Status of an export, with a fresh download link once it is ready
+  * @route GET /api/chat/:matchId/exports/:exportId
+  */
+ async getExport(userId, matchId, exportId) {
+   const match = await Match.findById(matchId).select('users chat.exports');
+   if (!match) {
+     throw new AppError('Match not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.MATCH_NOT_FOUND);
+   }
+
+   // Exports are private to whoever asked for them
+   const entry = mongoose.isValidObjectId(exportId) ? match.chat?.exports?.id(exportId) : null;
+   if (!entry || entry.requestedBy.toString() !== userId.toString()) {
+     throw new AppError('Export not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.EXPORT_NOT_FOUND);
+   }
+
+   const result = {
+     exportId: entry._id,
+     format: entry.format,
+     status: entry.status,
+     requestedAt: entry.requestedAt,
+     completedAt: entry.completedAt,
+     expiresAt: entry.expiresAt,
+     messageCount: entry.messageCount,
+     encryptedCount: entry.encryptedCount,
+     unsupportedCount: entry.unsupportedCount ?? 0,
+     bytes: entry.bytes,
+   };
+
+   const downloadable = entry.status === STATUS.COMPLETED && entry.storageKey && entry.expiresAt > new Date();
+   if (downloadable) {
+     // The link never outlives the file
+     const expiresIn = Math.floor((entry.expiresAt.getTime() - Date.now()) / 1000);
+     const link = await this.signedLink(entry.storageKey, entry.storageProvider, entry.format, undefined, expiresIn);
+     result.url = link.url;
+   }
+
+   return result;
+ }
+
+ /**
+  * Delete export files whose link has expired
+  * @returns {Promise<number>} - Files removed
+  */
+ async purgeExpired(now = new Date(), limit = 100) {
+   const matches = await Match.find({
+     'chat.exports': { $elemMatch: { status: STATUS.COMPLETED, expiresAt: { $lte: now } } },
+   })
+     .select('chat.exports')
+     .limit(limit)
+     .lean();
+
+   let purged = 0;
+
+   for (const match of matches) {
+     const expired = match.chat.exports.filter(e => e.status === STATUS.COMPLETED && e.expiresAt <= now);
+
+     for (const entry of expired) {
+       try {
+         if (entry.storageKey) {
+           await StorageService.delete(entry.storageKey, {
+             resourceType: 'raw',
+             type: 'authenticated',
+             provider: entry.storageProvider,
+           });
+         }
+         await this.updateEntry(match._id, entry._id, { status: STATUS.EXPIRED });
+         purged += 1;
+       } catch (error) {
+         logger.warn(`Could not delete chat export ${entry._id}: ${error.message}`);
+       }
+     }
+   }
+
+   return purged;
+ }
+
+ /**
+  * Turn messages into what the renderers draw
+  */
+ async buildTranscript(user, messages) {
+   const userId = user._id.toString();
+   const { formatDay, formatTime, locale } = this.formatters(user.metadata);
+
+   const names = new Map();
+   for (const msg of messages) {
+     for (const person of [msg.sender, msg.receiver]) {
+       if (person?._id) names.set(person._id.toString(), this.displayName(person));
+     }
+   }
+   const nameOf = (id) => names.get(id?.toString()) || 'Unknown';
+
+   const byId = new Map(messages.map(msg => [msg._id.toString(), msg]));
+   const thumbnails = await this.loadThumbnails(messages);
+   const ownerName = this.displayName(user);
+   const otherName = [...names.entries()].find(([id]) => id !== userId)?.[1] || 'your match';
+   const encryptedCount = messages.filter(msg => msg.encryption?.isEncrypted).length;
+   const exportedAt = new Date();
+
+   return {
+     title: `Chat with ${otherName}`,
+     subtitle: `${messages.length} ${messages.length === 1 ? 'message' : 'messages'}, exported ${formatTime(exportedAt)}`,
+     encryptedNotice: 'End-to-end encrypted messages can only be read on your devices, so they appear as placeholders.',
+     encryptedCount,
+     locale,
+     exportedAt,
+     owner: { name: ownerName },
+     formatDay,
+     formatTime,
+     messages: messages.map((msg) => {
+       const original = msg.replyTo && byId.get(msg.replyTo.toString());
+
+       return {
+         id: msg._id.toString(),
+         senderName: nameOf(msg.sender?._id),
+         mine: msg.sender?._id?.toString() === userId,
+         createdAt: new Date(msg.createdAt),
+         edited: Boolean(msg.metadata?.isEdited),
+         body: this.describeMessage(msg),
+         encrypted: Boolean(msg.encryption?.isEncrypted),
+         notice: msg.type === MESSAGE_TYPES.SYSTEM,
+         reply: msg.replyTo
+           ? {
+             id: msg.replyTo.toString(),
+             senderName: original ? nameOf(original.sender?._id) : 'Unknown',
+             body: original ? this.describeMessage(original) : '[Message unavailable]',
+           }
+           : null,
+         thumbnail: thumbnails.get(msg._id.toString()) || null,
+         reactions: (msg.reactions || []).map(r => ({ emoji: r.emoji, name: nameOf(r.userId) })),
+       };
+     }),
+   };
+ }
+
+ /**
+  * One-line text for a message
+  */
+ describeMessage(msg) {
+   if (msg.encryption?.isEncrypted) return ENCRYPTED_PLACEHOLDER;
+
+   const content = msg.content || {};
+
+   switch (msg.type) {
+     case MESSAGE_TYPES.TEXT:
+       return content.text || '';
+     case MESSAGE_TYPES.IMAGE:
+       return '[Image]';
+     case MESSAGE_TYPES.VIDEO:
+       return '[Video]';
+     case MESSAGE_TYPES.AUDIO:
+       return '[Voice message]';
+     case MESSAGE_TYPES.GIF:
+       return '[GIF]';
+     case MESSAGE_TYPES.STICKER:
+       return '[Sticker]';
+     case MESSAGE_TYPES.LOCATION: {
+       const place = content.location?.name || content.location?.address;
+       return place ? `[Location] ${place}` : '[Location]';
+     }
+     case MESSAGE_TYPES.VIRTUAL_GIFT:
+       return content.giftMessage ? `[Gift] ${content.giftMessage}` : '[Gift]';
+     case MESSAGE_TYPES.CALL:
+       return '[Call]';
+     case MESSAGE_TYPES.GAME_INVITE:
+     case MESSAGE_TYPES.GAME_RESULT:
+       return '[Game]';
+     case MESSAGE_TYPES.SYSTEM:
+       return content.text || '[Notice]';
+     default:
+       return `[${msg.type}]`;
+   }
+ }
+
+ /**
+  * Small JPEG previews of shared images, keyed by message id. Media that
+  * can't be fetched is left out rather than failing the export.
+  */
+ async loadThumbnails(messages) {
+   const sources = messages
+     .filter(msg => !msg.encryption?.isEncrypted)
+     .map(msg => [msg._id.toString(), this.thumbnailSource(msg)])
+     .filter(([, url]) => /^https?:\/\//i.test(url || ''))
+     .slice(0, CHAT_EXPORT_CONSTANTS.MAX_THUMBNAILS);
+
+   const thumbnails = new Map();
+
+   for (let i = 0; i < sources.length; i += THUMBNAIL_BATCH) {
+     await Promise.all(sources.slice(i, i + THUMBNAIL_BATCH).map(async ([id, url]) => {
+       try {
+         const response = await axios.get(url, {
+           responseType: 'arraybuffer',
+           timeout: THUMBNAIL_FETCH_TIMEOUT,
+           maxContentLength: THUMBNAIL_MAX_BYTES,
+         });
+
+         const { data, info } = await sharp(Buffer.from(response.data), { animated: false })
+           .rotate()
+           .resize(CHAT_EXPORT_CONSTANTS.THUMBNAIL_SIZE, CHAT_EXPORT_CONSTANTS.THUMBNAIL_SIZE, {
+             fit: 'inside',
+             withoutEnlargement: true,
+           })
+           .flatten({ background: '#ffffff' })
+           .removeAlpha()
+           .jpeg({ quality: 75 })
+           .toBuffer({ resolveWithObject: true });
+
+         thumbnails.set(id, { buffer: data, width: info.width, height: info.height });
+       } catch (error) {
+         logger.debug(`Skipping export thumbnail for message ${id}: ${error.message}`);
+       }
+     }));
+   }
+
+   return thumbnails;
+ }
+
+ thumbnailSource(msg) {
+   const content = msg.content || {};
+
+   switch (msg.type) {
+     case MESSAGE_TYPES.IMAGE:
+       return content.thumbnailUrl || content.mediaUrl;
+     case MESSAGE_TYPES.VIDEO:
+       return content.thumbnailUrl;
+     case MESSAGE_TYPES.GIF:
+       return content.gifUrl;
+     case MESSAGE_TYPES.STICKER:
+       return content.stickerUrl;
+     default:
+       return null;
+   }
+ }
+
+ /**
+  * Date and time in the requester's timezone and language
+  */
+ formatters(metadata = {}) {
+   let locale = metadata?.locale || 'en';
+   let timeZone = metadata?.timezone || 'UTC';
+
+   try {
+     new Intl.DateTimeFormat(locale, { timeZone });
+   } catch (error) {
+     locale = 'en';
+     timeZone = 'UTC';
+   }
+
+   const day = new Intl.DateTimeFormat(locale, { timeZone, dateStyle: 'full' });
+   const time = new Intl.DateTimeFormat(locale, { timeZone, dateStyle: 'medium', timeStyle: 'short' });
+
+   return {
+     locale,
+     formatDay: date => day.format(date),
+     formatTime: date => time.format(date),
+   };
+ }
+
+ displayName(user) {
+   return user?.profile?.displayName || user?.profile?.firstName || 'Unknown';
+ }
+
+ /**
+  * @returns {Promise<Object>} - { url, expiresAt }
+  */
+ async signedLink(storageKey, provider, format, filename, expiresIn = CHAT_EXPORT_CONSTANTS.LINK_TTL) {
+   const link = await StorageService.getSignedDownloadUrl(storageKey, {
+     expiresIn,
+     filename,
+     format,
+     resourceType: 'raw',
+     type: 'authenticated',
+     provider,
+   });
+
+   return { url: link.url, expiresAt: new Date(Date.now() + expiresIn * 1000) };
+ }
+
+ /**
+  * @private
+  */
+ async updateEntry(matchId, exportId, fields) {
+   const set = Object.fromEntries(
+     Object.entries(fields).map(([key, value]) => [`chat.exports.$.${key}`, value])
+   );
+
+   await Match.updateOne({ _id: matchId, 'chat.exports._id': exportId }, { $set: set });
+ }
+}
+
+export default new ChatExportService();
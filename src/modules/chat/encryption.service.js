@@ -0,0 +1,367 @@
+// src/modules/chat/encryption.service.js
+import KeyBundle from './keyBundle.model.js';
+import Message from './message.model.js';
+import Match from '../match/match.model.js';
+import User from '../user/user.model.js';
+import ChatService from './chat.service.js';
+import socketManager from '../../config/socket.js';
+import logger from '../../shared/utils/logger.js';
+import MetricsService from '../../shared/services/metrics.service.js';
+import AppError from '../../shared/errors/AppError.js';
+import {
+ ENCRYPTION_CONSTANTS,
+ MESSAGE_TYPES,
+ SOCKET_EVENTS,
+ ERROR_CODES,
+ HTTP_STATUS,
+} from '../../config/constants.js';
+
+/**
+* Encryption Service
+* Key distribution for end-to-end encrypted chats. Users publish the public
+* half of their keys, matches fetch each other's bundle to start a session,
+* and either person can turn encryption on for their match. The server
+* never holds private keys or plaintext for encrypted messages; ChatService
+* enforces the ciphertext-only rule when messages are sent.
+*/
+class EncryptionService {
+ constructor() {
+   this.transport = (userId, event, data) => socketManager.emitToUser(userId, event, data);
+ }
+
+ /**
+  * Route encryption events, e.g. to the chat namespace
+  * @param {Function} transport - (userId, event, data) => void
+  */
+ setTransport(transport) {
+   this.transport = transport;
+ }
+
+ emit(userId, event, data) {
+   try {
+     this.transport(userId.toString(), event, data);
+   } catch (error) {
+     logger.warn(`Could not emit ${event} to user ${userId}:`, error);
+   }
+ }
+
+ // ========================
+ // Key bundles
+ // ========================
+
+ /**
+  * Publish the user's key bundle. Re-uploading with the same identity key
+  * rotates the signed prekey and adds any new one-time prekeys; a new
+  * identity key replaces everything and tells the user's matches.
+  */
+ async uploadBundle(userId, { identityKey, registrationId, signedPreKey, oneTimePreKeys = [] }) {
+   const existing = await KeyBundle.findOne({ user: userId });
+   const identityChanged = Boolean(existing) && existing.identityKey !== identityKey;
+
+   let bundle;
+   if (!existing || identityChanged) {
+     this.assertPreKeyRoom(0, oneTimePreKeys);
+
+     bundle = await KeyBundle.findOneAndUpdate(
+       { user: userId },
+       {
+         $set: {
+           identityKey,
+           registrationId,
+           signedPreKey: { ...signedPreKey, uploadedAt: new Date() },
+           oneTimePreKeys: this.uniquePreKeys(oneTimePreKeys),
+           ...(identityChanged && { identityChangedAt: new Date() }),
+         },
+       },
+       { new: true, upsert: true, runValidators: true }
+     );
+   } else {
+     const fresh = this.uniquePreKeys(oneTimePreKeys, existing.oneTimePreKeys);
+     this.assertPreKeyRoom(existing.oneTimePreKeys.length, fresh);
+
+     bundle = await KeyBundle.findOneAndUpdate(
+       { user: userId },
+       {
+         $set: { registrationId, signedPreKey: { ...signedPreKey, uploadedAt: new Date() } },
+         $push: { oneTimePreKeys: { $each: fresh } },
+       },
+       { new: true, runValidators: true }
+     );
+   }
+
+   if (identityChanged) {
+     await this.announceKeyChange(userId, identityKey);
+   }
+
+   MetricsService.incrementCounter('e2ee.bundle_uploaded', 1, { identityChanged });
+   return this.formatOwnBundle(bundle);
+ }
+
+ /**
+  * Top up the user's one-time prekeys
+  */
+ async addPreKeys(userId, preKeys) {
+   const bundle = await KeyBundle.findOne({ user: userId });
+   if (!bundle) {
+     throw new AppError('Upload a key bundle first', HTTP_STATUS.NOT_FOUND, ERROR_CODES.KEY_BUNDLE_NOT_FOUND);
+   }
+
+   const fresh = this.uniquePreKeys(preKeys, bundle.oneTimePreKeys);
+   this.assertPreKeyRoom(bundle.oneTimePreKeys.length, fresh);
+
+   const updated = await KeyBundle.findOneAndUpdate(
+     { user: userId },
+     { $push: { oneTimePreKeys: { $each: fresh } } },
+     { new: true }
+   );
+
+   return this.formatOwnBundle(updated);
+ }
+
+ async getOwnBundle(userId) {
+   const bundle = await KeyBundle.findOne({ user: userId });
+   if (!bundle) {
+     throw new AppError('No key bundle uploaded', HTTP_STATUS.NOT_FOUND, ERROR_CODES.KEY_BUNDLE_NOT_FOUND);
+   }
+
+   return this.formatOwnBundle(bundle);
+ }
+
+ /**
+  * The other person's bundle, for starting an encrypted session with them.
+  * Each call uses up one of their one-time prekeys; when they run low they
+  * are asked to upload more.
+  */
+ async getMatchBundle(userId, matchId) {
+   const match = await ChatService.validateMatchAndPermissions(matchId, userId);
+   const partnerId = match.getOtherUser(userId);
+
+   const claimed = await KeyBundle.claim(partnerId);
+   if (!claimed) {
+     throw new AppError(
+       'Your match has not set up encryption keys yet',
+       HTTP_STATUS.NOT_FOUND,
+       ERROR_CODES.KEY_BUNDLE_NOT_FOUND
+     );
+   }
+
+   if (claimed.remaining < ENCRYPTION_CONSTANTS.LOW_PREKEY_THRESHOLD) {
+     this.emit(partnerId, SOCKET_EVENTS.E2EE_PREKEYS_LOW, { remaining: claimed.remaining });
+   }
+
+   const { bundle, preKey } = claimed;
+   return {
+     userId: partnerId,
+     identityKey: bundle.identityKey,
+     registrationId: bundle.registrationId,
+     signedPreKey: {
+       keyId: bundle.signedPreKey.keyId,
+       publicKey: bundle.signedPreKey.publicKey,
+       signature: bundle.signedPreKey.signature,
+     },
+     oneTimePreKey: preKey ? { keyId: preKey.keyId, publicKey: preKey.publicKey } : null,
+   };
+ }
+
+ // ========================
+ // Per-match mode
+ // ========================
+
+ async getMatchStatus(userId, matchId) {
+   const match = await ChatService.validateMatchAndPermissions(matchId, userId);
+   return this.describeMatch(match, userId);
+ }
+
+ /**
+  * Turn on end-to-end encryption for a match. Both people need a key
+  * bundle first. There is no way back: turning it off would let either
+  * side quietly downgrade the conversation.
+  */
+ async enableForMatch(userId, matchId) {
+   const match = await ChatService.validateMatchAndPermissions(matchId, userId);
+   if (match.chat?.encryption?.enabled) {
+     return this.describeMatch(match, userId);
+   }
+
+   const withKeys = await KeyBundle.countDocuments({ user: { $in: match.users } });
+   if (withKeys < match.users.length) {
+     throw new AppError(
+       'Both of you need to set up encryption keys first',
+       HTTP_STATUS.CONFLICT,
+       ERROR_CODES.KEY_BUNDLE_NOT_FOUND
+     );
+   }
+
+   const updated = await Match.findOneAndUpdate(
+     { _id: match._id, 'chat.encryption.enabled': { $ne: true } },
+     {
+       $set: {
+         'chat.encryption.enabled': true,
+         'chat.encryption.enabledAt': new Date(),
+         'chat.encryption.enabledBy': userId,
+       },
+     },
+     { new: true }
+   );
+
+   // Someone else turned it on in the meantime
+   if (!updated) {
+     return this.describeMatch(await Match.findById(match._id), userId);
+   }
+
+   const user = await User.findById(userId).select('profile.firstName profile.displayName');
+   const name = user?.profile?.displayName || user?.profile?.firstName || 'Your match';
+   await this.recordSystemMessage(updated, userId, `${name} turned on end-to-end encryption`, {
+     event: 'e2ee_enabled',
+   });
+
+   const status = {
+     matchId: updated._id,
+     enabledAt: updated.chat.encryption.enabledAt,
+     enabledBy: userId,
+   };
+   for (const participant of updated.users) {
+     this.emit(participant, SOCKET_EVENTS.E2EE_ENABLED, status);
+   }
+
+   MetricsService.incrementCounter('e2ee.match_enabled', 1);
+   return this.describeMatch(updated, userId);
+ }
+
+ // ========================
+ // Key changes
+ // ========================
+
+ /**
+  * Tell everyone the user is matched with that their identity key changed,
+  * and leave a notice in encrypted chats so it shows up in the history
+  */
+ async announceKeyChange(userId, identityKey) {
+   try {
+     const [matches, user] = await Promise.all([
+       Match.find({ users: userId, 'status.isActive': true }).select('users chat.encryption'),
+       User.findById(userId).select('profile.firstName profile.displayName'),
+     ]);
+     const name = user?.profile?.displayName || user?.profile?.firstName || 'Your match';
+     const changedAt = new Date();
+
+     for (const match of matches) {
+       const partnerId = match.getOtherUser(userId);
+       this.emit(partnerId, SOCKET_EVENTS.E2EE_KEY_CHANGED, {
+         matchId: match._id,
+         userId,
+         identityKey,
+         changedAt,
+       });
+
+       if (match.chat?.encryption?.enabled) {
+         await this.recordSystemMessage(match, userId, `${name}'s security code changed`, {
+           event: 'e2ee_key_changed',
+           identityKey,
+         });
+       }
+     }
+   } catch (error) {
+     logger.error(`Error announcing key change for user ${userId}:`, error);
+   }
+ }
+
+ // ========================
+ // Helpers
+ // ========================
+
+ /**
+  * Leave a notice in the chat from the server
+  */
+ async recordSystemMessage(match, userId, text, systemData) {
+   try {
+     const message = await Message.create({
+       matchId: match._id,
+       sender: userId,
+       receiver: match.getOtherUser(userId),
+       type: MESSAGE_TYPES.SYSTEM,
+       content: {
+         text,
+         systemData,
+       },
+       status: {
+         sent: true,
+         sentAt: new Date(),
+       },
+     });
+
+     await Match.updateOne(
+       { _id: match._id },
+       {
+         $set: {
+           'interaction.lastMessageAt': message.createdAt,
+           'interaction.lastMessageBy': userId,
+           'interaction.lastMessagePreview': `🔒 ${text}`.substring(0, 100),
+         },
+       }
+     );
+
+     const formatted = ChatService.formatMessageResponse(message);
+     for (const participant of match.users) {
+       this.emit(participant, SOCKET_EVENTS.NEW_MESSAGE, { message: formatted });
+     }
+   } catch (error) {
+     logger.error(`Error recording encryption notice for match ${match._id}:`, error);
+   }
+ }
+
+ async describeMatch(match, userId) {
+   const bundles = await KeyBundle.find({ user: { $in: match.users } }).select('user');
+   const hasKeys = (id) => bundles.some((b) => b.user.toString() === id.toString());
+   const encryption = match.chat?.encryption || {};
+
+   return {
+     matchId: match._id,
+     enabled: Boolean(encryption.enabled),
+     enabledAt: encryption.enabledAt || null,
+     enabledBy: encryption.enabledBy || null,
+     keys: {
+       mine: hasKeys(userId),
+       theirs: hasKeys(match.getOtherUser(userId)),
+     },
+   };
+ }
+
+ /**
+  * Drop prekeys whose ids repeat within the upload or are already stored
+  */
+ uniquePreKeys(preKeys, stored = []) {
+   const seen = new Set(stored.map((k) => k.keyId));
+   return preKeys.filter((k) => {
+     if (seen.has(k.keyId)) return false;
+     seen.add(k.keyId);
+     return true;
+   }).map(({ keyId, publicKey }) => ({ keyId, publicKey }));
+ }
+
+ assertPreKeyRoom(current, added) {
+   if (current + added.length > ENCRYPTION_CONSTANTS.MAX_ONE_TIME_PREKEYS) {
+     throw new AppError(
+       `At most ${ENCRYPTION_CONSTANTS.MAX_ONE_TIME_PREKEYS} one-time prekeys can be stored`,
+       HTTP_STATUS.BAD_REQUEST,
+       ERROR_CODES.VALIDATION_ERROR
+     );
+   }
+ }
+
+ formatOwnBundle(bundle) {
+   return {
+     identityKey: bundle.identityKey,
+     registrationId: bundle.registrationId,
+     signedPreKey: {
+       keyId: bundle.signedPreKey.keyId,
+       uploadedAt: bundle.signedPreKey.uploadedAt,
+     },
+     oneTimePreKeyCount: bundle.oneTimePreKeys.length,
+     identityChangedAt: bundle.identityChangedAt || null,
+     updatedAt: bundle.updatedAt,
+   };
+ }
+}
+
+export default new EncryptionService();
@@ -0,0 +1,101 @@
+// src/modules/chat/export/chatHtml.js
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (char) => ESCAPES[char]);
+
+const STYLES = `
+ *{box-sizing:border-box}
+ body{margin:0;background:#f5f5f7;color:#222;font:15px/1.45 -apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,Helvetica,Arial,sans-serif}
+ main{max-width:760px;margin:0 auto;padding:32px 16px 48px}
+ header{margin-bottom:24px}
+ h1{margin:0 0 4px;font-size:24px}
+ .meta{margin:0;color:#777;font-size:13px}
+ .day{margin:24px 0 12px;text-align:center;color:#777;font-size:12px;font-weight:600;text-transform:uppercase;letter-spacing:.04em}
+ .message{display:flex;flex-direction:column;align-items:flex-start;margin:6px 0}
+ .message.mine{align-items:flex-end}
+ .bubble{max-width:75%;padding:8px 12px;border-radius:16px;background:#fff;box-shadow:0 1px 1px rgba(0,0,0,.06);white-space:pre-wrap;word-wrap:break-word}
+ .mine .bubble{background:#fe3c72;color:#fff}
+ .encrypted .bubble,.notice .bubble{background:transparent;box-shadow:none;color:#777;font-style:italic}
+ .info{margin:2px 6px 0;color:#888;font-size:11px}
+ blockquote{margin:0 0 6px;padding:4px 8px;border-left:3px solid rgba(0,0,0,.2);background:rgba(0,0,0,.05);border-radius:4px;font-size:13px;opacity:.9}
+ blockquote a{color:inherit;text-decoration:none}
+ .thumb{display:block;max-width:240px;max-height:240px;margin-top:6px;border-radius:10px}
+ .reactions{margin:2px 6px 0;font-size:13px}
+ .reactions span{display:inline-block;padding:0 6px;margin-right:4px;background:#fff;border-radius:10px;box-shadow:0 1px 1px rgba(0,0,0,.08)}
+ footer{margin-top:32px;color:#999;font-size:12px;text-align:center}
+`;
+
+const renderMessage = (message, transcript) => {
+ const classes = ['message', message.mine ? 'mine' : 'theirs'];
+ if (message.encrypted) classes.push('encrypted');
+ if (message.notice) classes.push('notice');
+
+ const reply = message.reply
+   ? `<blockquote><a href="#m-${escapeHtml(message.reply.id)}"><strong>${escapeHtml(message.reply.senderName)}</strong>: ${escapeHtml(message.reply.body)}</a></blockquote>`
+   : '';
+
+ const thumbnail = message.thumbnail
+   ? `<img class="thumb" alt="${escapeHtml(message.body)}" width="${message.thumbnail.width}" height="${message.thumbnail.height}" src="data:image/jpeg;base64,${message.thumbnail.buffer.toString('base64')}">`
+   : '';
+
+ const reactions = message.reactions.length > 0
+   ? `<div class="reactions">${message.reactions.map((r) => `<span title="${escapeHtml(r.name)}">${escapeHtml(r.emoji)}</span>`).join('')}</div>`
+   : '';
+
+ const time = `<time datetime="${message.createdAt.toISOString()}">${escapeHtml(transcript.formatTime(message.createdAt))}</time>`;
+
+ return `<article class="${classes.join(' ')}" id="m-${escapeHtml(message.id)}">
+<div class="bubble">${reply}${escapeHtml(message.body)}${thumbnail}</div>
+<div class="info">${escapeHtml(message.senderName)} · ${time}${message.edited ? ' · edited' : ''}</div>
+${reactions}</article>`;
+};
+
+/**
+* Render a chat transcript as a single HTML file. Styles and thumbnails are
+* inlined so the archive opens offline.
+* @param {Object} transcript - Built by ChatExportService.buildTranscript
+* @returns {string}
+*/
+export const renderChatHtml = (transcript) => {
+ const body = [];
+ let currentDay = null;
+
+ for (const message of transcript.messages) {
+   const day = transcript.formatDay(message.createdAt);
+   if (day !== currentDay) {
+     currentDay = day;
+     body.push(`<h2 class="day">${escapeHtml(day)}</h2>`);
+   }
+   body.push(renderMessage(message, transcript));
+ }
+
+ if (transcript.messages.length === 0) {
+   body.push('<p class="meta">There are no messages in this conversation.</p>');
+ }
+
+ return `<!DOCTYPE html>
+<html lang="${escapeHtml(transcript.locale)}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(transcript.title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<main>
+<header>
+<h1>${escapeHtml(transcript.title)}</h1>
+<p class="meta">${escapeHtml(transcript.subtitle)}</p>
+${transcript.encryptedCount > 0 ? `<p class="meta">${escapeHtml(transcript.encryptedNotice)}</p>` : ''}
+</header>
+${body.join('\n')}
+<footer>Exported ${escapeHtml(transcript.formatTime(transcript.exportedAt))} for ${escapeHtml(transcript.owner.name)}</footer>
+</main>
+</body>
+</html>
+`;
+};
+
+export default renderChatHtml;
@@ -0,0 +1,174 @@
+// src/modules/chat/export/chatPdf.js
+import PdfDocument, { PAGE_SIZES, unsupportedCharacters } from './pdfDocument.js';
+
+const MARGIN = 48;
+const FOOTER_HEIGHT = 24;
+const THUMBNAIL_MAX = 160;
+const INDENT = 12;
+
+const COLORS = {
+ text: '#222222',
+ muted: '#777777',
+ mine: '#fe3c72',
+ theirs: '#1f6feb',
+ rule: '#dddddd',
+ quote: '#f2f2f2',
+ quoteBar: '#bbbbbb',
+};
+
+// The standard PDF fonts have no emoji, so reactions are spelled out
+const REACTION_NAMES = {
+ '❤️': 'love',
+ '❤': 'love',
+ '😍': 'love',
+ '😂': 'haha',
+ '😆': 'haha',
+ '😮': 'wow',
+ '😢': 'sad',
+ '😡': 'angry',
+ '👍': 'like',
+ '👎': 'dislike',
+ '🔥': 'fire',
+ '🎉': 'celebrate',
+};
+
+const reactionLabel = ({ emoji, name }) => `${name} (${REACTION_NAMES[emoji] || 'reacted'})`;
+
+/**
+* Messages with text the PDF fonts can't draw (emoji, non-Latin scripts).
+* It prints as "?", so the PDF says so and the export is flagged.
+* @param {Object} transcript - Built by ChatExportService.buildTranscript
+* @returns {number}
+*/
+export const countUnsupportedMessages = (transcript) => transcript.messages
+ .filter(message => [message.senderName, message.body, message.reply?.senderName]
+   .some(text => unsupportedCharacters(text).length > 0))
+ .length;
+
+/**
+* Render a chat transcript as a paginated PDF
+* @param {Object} transcript - Built by ChatExportService.buildTranscript
+* @returns {Buffer}
+*/
+export const renderChatPdf = (transcript) => {
+ const doc = new PdfDocument({ title: transcript.title, author: transcript.owner.name, size: PAGE_SIZES.A4 });
+ const contentWidth = doc.width - MARGIN * 2;
+ const bottom = doc.height - MARGIN - FOOTER_HEIGHT;
+ let y = MARGIN;
+
+ doc.addPage();
+
+ // Start a new page unless `height` more points fit on this one
+ const ensure = (height) => {
+   if (y + height > bottom) {
+     doc.addPage();
+     y = MARGIN;
+   }
+ };
+
+ const lines = (text, { size = 10, bold = false, color = COLORS.text, x = MARGIN, width = contentWidth, leading = 1.3 } = {}) => {
+   for (const line of doc.wrap(text, width, size, { bold })) {
+     ensure(size * leading);
+     doc.text(line, x, y, { size, bold, color });
+     y += size * leading;
+   }
+ };
+
+ // Header
+ lines(transcript.title, { size: 18, bold: true });
+ y += 4;
+ lines(transcript.subtitle, { size: 9, color: COLORS.muted });
+ if (transcript.encryptedCount > 0) {
+   lines(transcript.encryptedNotice, { size: 9, color: COLORS.muted });
+ }
+ const unsupportedCount = countUnsupportedMessages(transcript);
+ if (unsupportedCount > 0) {
+   const subject = unsupportedCount === 1 ? '1 message has' : `${unsupportedCount} messages have`;
+   lines(`${subject} characters this PDF can't display, shown as "?". Export as HTML to keep them.`, {
+     size: 9,
+     color: COLORS.muted,
+   });
+ }
+ y += 8;
+ doc.rect(MARGIN, y, contentWidth, 0.75, { fill: COLORS.rule });
+ y += 16;
+
+ let currentDay = null;
+
+ for (const message of transcript.messages) {
+   const day = transcript.formatDay(message.createdAt);
+   if (day !== currentDay) {
+     currentDay = day;
+     ensure(40);
+     y += 6;
+     const width = doc.widthOf(day, 9, { bold: true });
+     doc.text(day, MARGIN + (contentWidth - width) / 2, y, { size: 9, bold: true, color: COLORS.muted });
+     y += 20;
+   }
+
+   // Keep the name with at least the first line of the message
+   ensure(30);
+   const nameColor = message.mine ? COLORS.mine : COLORS.theirs;
+   doc.text(message.senderName, MARGIN, y, { size: 10, bold: true, color: nameColor });
+   const time = transcript.formatTime(message.createdAt) + (message.edited ? ' (edited)' : '');
+   doc.text(time, MARGIN + doc.widthOf(message.senderName, 10, { bold: true }) + 8, y + 1.5, {
+     size: 8,
+     color: COLORS.muted,
+   });
+   y += 14;
+
+   if (message.reply) {
+     const quote = doc.wrap(`${message.reply.senderName}: ${message.reply.body}`, contentWidth - INDENT * 2, 8.5).slice(0, 2);
+     const height = quote.length * 11 + 6;
+     ensure(height);
+     doc.rect(MARGIN + INDENT, y, contentWidth - INDENT, height, { fill: COLORS.quote });
+     doc.rect(MARGIN + INDENT, y, 2, height, { fill: COLORS.quoteBar });
+     quote.forEach((line, index) => {
+       doc.text(line, MARGIN + INDENT + 8, y + 3 + index * 11, { size: 8.5, color: COLORS.muted });
+     });
+     y += height + 4;
+   }
+
+   lines(message.body, {
+     x: MARGIN + INDENT,
+     width: contentWidth - INDENT,
+     color: message.encrypted ? COLORS.muted : COLORS.text,
+   });
+
+   if (message.thumbnail) {
+     const { buffer, width, height } = message.thumbnail;
+     const scale = Math.min(1, THUMBNAIL_MAX / width, THUMBNAIL_MAX / height);
+     ensure(height * scale + 6);
+     y += 3;
+     doc.image(doc.addJpeg(buffer, width, height), MARGIN + INDENT, y, width * scale, height * scale);
+     y += height * scale + 3;
+   }
+
+   if (message.reactions.length > 0) {
+     lines(`Reactions: ${message.reactions.map(reactionLabel).join(', ')}`, {
+       size: 8,
+       color: COLORS.muted,
+       x: MARGIN + INDENT,
+       width: contentWidth - INDENT,
+     });
+   }
+
+   y += 10;
+ }
+
+ if (transcript.messages.length === 0) {
+   lines('There are no messages in this conversation.', { color: COLORS.muted });
+ }
+
+ // Footers go on last, once the page count is known
+ for (let page = 0; page < doc.pageCount; page++) {
+   const label = `Page ${page + 1} of ${doc.pageCount}`;
+   const footerY = doc.height - MARGIN;
+   doc.text(transcript.title, MARGIN, footerY, { size: 8, color: COLORS.muted, page });
+   doc.text(label, doc.width - MARGIN - doc.widthOf(label, 8), footerY, { size: 8, color: COLORS.muted, page });
+ }
+
+ return doc.toBuffer();
+};
+
+export default renderChatPdf;
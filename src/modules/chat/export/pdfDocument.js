@@ -0,0 +1,305 @@
+// src/modules/chat/export/pdfDocument.js
+import zlib from 'zlib';
+
+/**
+* Minimal PDF writer for chat exports: text in the standard Helvetica fonts,
+* filled rectangles and JPEG images, with y measured from the top of the
+* page. The standard fonts only cover Windows-1252, so other characters are
+* transliterated (accents dropped) or replaced with "?". unsupportedCharacters()
+* finds the ones that would be replaced, so callers can flag the output.
+*/
+
+export const PAGE_SIZES = {
+ A4: { width: 595.28, height: 841.89 },
+ LETTER: { width: 612, height: 792 },
+};
+
+// Glyph widths (1/1000 em) for ASCII 32-126, from the Adobe font metrics
+const WIDTHS = {
+ regular: [
+   278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+   556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+   1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+   667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+   333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+   556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+ ],
+ bold: [
+   278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+   556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+   975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+   667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+   333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+   611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+ ],
+};
+
+// Windows-1252 code points that differ from Latin-1
+const WIN_ANSI_EXTRAS = {
+ '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87,
+ 'ˆ': 0x88, '‰': 0x89, 'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91,
+ '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98,
+ '™': 0x99, 'š': 0x9a, '›': 0x9b, 'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f,
+};
+
+const TRANSLITERATIONS = { 'đ': 'd', 'Đ': 'D', 'ł': 'l', 'Ł': 'L', 'ı': 'i' };
+
+const winAnsiCode = (char) => {
+ const code = char.codePointAt(0);
+ if ((code >= 0x20 && code <= 0x7e) || (code >= 0xa0 && code <= 0xff)) return code;
+ return WIN_ANSI_EXTRAS[char] ?? null;
+};
+
+/**
+* Closest character the standard fonts can draw, '' for invisible modifiers,
+* or null when there is none
+*/
+const encodeChar = (char) => {
+ if (winAnsiCode(char) !== null) return char;
+ if (TRANSLITERATIONS[char]) return TRANSLITERATIONS[char];
+
+ // "ế" -> "ê" -> "e": keep the closest accent the font has
+ const decomposed = char.normalize('NFD');
+ for (let i = decomposed.length - 1; i > 0; i--) {
+   const candidate = decomposed.slice(0, i).normalize('NFC');
+   if ([...candidate].length === 1 && winAnsiCode(candidate) !== null) return candidate;
+ }
+
+ // Emoji modifiers and joiners would otherwise each print a "?"
+ if (/[\p{M}\u200d\ufe0f\u{1f3fb}-\u{1f3ff}]/u.test(char)) return '';
+ return null;
+};
+
+const printable = (text) => [...String(text ?? '').replace(/[\r\n\t]+/g, ' ')];
+
+/**
+* Map text onto the characters the standard fonts can draw
+*/
+export const toWinAnsi = (text) => printable(text)
+ .map((char) => encodeChar(char) ?? '?')
+ .join('');
+
+/**
+* Characters toWinAnsi can only print as "?", each listed once
+* @returns {string[]}
+*/
+export const unsupportedCharacters = (text) => [...new Set(printable(text).filter(char => encodeChar(char) === null))];
+
+const glyphWidth = (char, font) => {
+ const code = char.charCodeAt(0);
+ if (code >= 32 && code <= 126) return WIDTHS[font][code - 32];
+
+ // Accented letters are as wide as their base letter
+ const base = char.normalize('NFD')[0];
+ const baseCode = base.charCodeAt(0);
+ return baseCode >= 32 && baseCode <= 126 ? WIDTHS[font][baseCode - 32] : 556;
+};
+
+const hexString = (text) => `<${[...text]
+ .map((char) => winAnsiCode(char).toString(16).padStart(2, '0'))
+ .join('')}>`;
+
+const pdfDate = (date) => `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+
+const rgb = (hex) => {
+ const value = parseInt(hex.replace('#', ''), 16);
+ return [(value >> 16) & 255, (value >> 8) & 255, value & 255]
+   .map((channel) => (channel / 255).toFixed(3))
+   .join(' ');
+};
+
+const num = (value) => Number(value.toFixed(2));
+
+export default class PdfDocument {
+ /**
+  * @param {Object} options - { title, author, size: { width, height } }
+  */
+ constructor({ title = '', author = '', size = PAGE_SIZES.A4 } = {}) {
+   this.title = title;
+   this.author = author;
+   this.width = size.width;
+   this.height = size.height;
+   this.pages = [];
+   this.images = [];
+   this.createdAt = new Date();
+ }
+
+ get pageCount() {
+   return this.pages.length;
+ }
+
+ addPage() {
+   this.pages.push([]);
+   return this.pages.length - 1;
+ }
+
+ /**
+  * Drawing operations go to the current page unless `page` is given
+  */
+ ops(page) {
+   if (this.pages.length === 0) this.addPage();
+   return this.pages[page ?? this.pages.length - 1];
+ }
+
+ /**
+  * Width of a line of text in points
+  */
+ widthOf(text, size, { bold = false } = {}) {
+   const font = bold ? 'bold' : 'regular';
+   return ([...toWinAnsi(text)].reduce((total, char) => total + glyphWidth(char, font), 0) * size) / 1000;
+ }
+
+ /**
+  * Break text into lines no wider than maxWidth, splitting long words
+  */
+ wrap(text, maxWidth, size, options = {}) {
+   const lines = [];
+
+   for (const paragraph of String(text ?? '').split(/\r?\n/)) {
+     let line = '';
+
+     for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+       const candidate = line ? `${line} ${word}` : word;
+       if (this.widthOf(candidate, size, options) <= maxWidth) {
+         line = candidate;
+         continue;
+       }
+
+       if (line) lines.push(line);
+
+       // A word that doesn't fit on a line of its own
+       line = '';
+       for (const char of word) {
+         if (line && this.widthOf(line + char, size, options) > maxWidth) {
+           lines.push(line);
+           line = '';
+         }
+         line += char;
+       }
+     }
+
+     lines.push(line);
+   }
+
+   return lines;
+ }
+
+ /**
+  * @param {Object} options - { size, bold, color, page }
+  */
+ text(text, x, y, { size = 10, bold = false, color = '#000000', page } = {}) {
+   const encoded = toWinAnsi(text);
+   if (!encoded) return;
+
+   // y is the top of the line; PDF positions text by its baseline
+   const baseline = this.height - y - size * 0.8;
+   this.ops(page).push(
+     `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${rgb(color)} rg ${num(x)} ${num(baseline)} Td ${hexString(encoded)} Tj ET`
+   );
+ }
+
+ rect(x, y, width, height, { fill = '#eeeeee', page } = {}) {
+   this.ops(page).push(`${rgb(fill)} rg ${num(x)} ${num(this.height - y - height)} ${num(width)} ${num(height)} re f`);
+ }
+
+ /**
+  * Register a baseline JPEG; draw it with image()
+  * @returns {string} - Image name
+  */
+ addJpeg(buffer, width, height) {
+   const name = `Im${this.images.length + 1}`;
+   this.images.push({ name, buffer, width, height });
+   return name;
+ }
+
+ image(name, x, y, width, height, { page } = {}) {
+   this.ops(page).push(`q ${num(width)} 0 0 ${num(height)} ${num(x)} ${num(this.height - y - height)} cm /${name} Do Q`);
+ }
+
+ /**
+  * Serialise the document
+  * @returns {Buffer}
+  */
+ toBuffer() {
+   if (this.pages.length === 0) this.addPage();
+
+   const objects = [];
+   const reserve = () => objects.push(null);
+   const set = (id, body) => {
+     objects[id - 1] = body;
+   };
+
+   const catalogId = reserve();
+   const pagesId = reserve();
+   const infoId = reserve();
+   const regularId = reserve();
+   const boldId = reserve();
+   set(regularId, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+   set(boldId, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+   const imageRefs = this.images.map((image) => {
+     const id = reserve();
+     set(id, Buffer.concat([
+       Buffer.from(
+         `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+         `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.buffer.length} >>\nstream\n`,
+         'latin1'
+       ),
+       image.buffer,
+       Buffer.from('\nendstream', 'latin1'),
+     ]));
+     return `/${image.name} ${id} 0 R`;
+   });
+
+   const resources = `<< /Font << /F1 ${regularId} 0 R /F2 ${boldId} 0 R >> /XObject << ${imageRefs.join(' ')} >> >>`;
+
+   const pageIds = this.pages.map((ops) => {
+     const content = zlib.deflateSync(Buffer.from(ops.join('\n'), 'latin1'));
+     const contentId = reserve();
+     set(contentId, Buffer.concat([
+       Buffer.from(`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+       content,
+       Buffer.from('\nendstream', 'latin1'),
+     ]));
+
+     const pageId = reserve();
+     set(pageId, `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${this.width} ${this.height}] ` +
+       `/Resources ${resources} /Contents ${contentId} 0 R >>`);
+     return pageId;
+   });
+
+   set(catalogId, `<< /Type /Catalog /Pages ${pagesId} 0 R >>`);
+   set(pagesId, `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+   set(infoId, `<< /Title ${hexString(toWinAnsi(this.title))} /Author ${hexString(toWinAnsi(this.author))} ` +
+     `/Producer (Tinder Clone) /CreationDate (${pdfDate(this.createdAt)}) >>`);
+
+   const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+   let offset = chunks[0].length;
+   const offsets = objects.map((body, index) => {
+     const chunk = Buffer.concat([
+       Buffer.from(`${index + 1} 0 obj\n`, 'latin1'),
+       Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'),
+       Buffer.from('\nendobj\n', 'latin1'),
+     ]);
+     const start = offset;
+     chunks.push(chunk);
+     offset += chunk.length;
+     return start;
+   });
+
+   const xref = [
+     'xref',
+     `0 ${objects.length + 1}`,
+     '0000000000 65535 f ',
+     ...offsets.map((start) => `${String(start).padStart(10, '0')} 00000 n `),
+     'trailer',
+     `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+     'startxref',
+     String(offset),
+     '%%EOF',
+   ].join('\n');
+   chunks.push(Buffer.from(`${xref}\n`, 'latin1'));
+
+   return Buffer.concat(chunks);
+ }
+}
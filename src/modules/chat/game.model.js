@@ -0,0 +1,141 @@
+// src/modules/chat/game.model.js
+import mongoose from 'mongoose';
+import { GAME_TYPES, GAME_STATUS } from '../../config/constants.js';
+
+const { Schema } = mongoose;
+
+/**
+* Game Schema - One in-chat mini-game between two matched users. `state` is
+* owned by the rule module for `type`; every accepted move is appended to
+* `moves` so a game can be audited or replayed.
+*/
+const gameSchema = new Schema(
+ {
+   match: {
+     type: Schema.Types.ObjectId,
+     ref: 'Match',
+     required: true,
+   },
+
+   type: {
+     type: String,
+     enum: Object.values(GAME_TYPES),
+     required: true,
+   },
+
+   // [initiator, invitee]
+   players: [{
+     type: Schema.Types.ObjectId,
+     ref: 'User',
+   }],
+
+   initiator: {
+     type: Schema.Types.ObjectId,
+     ref: 'User',
+     required: true,
+   },
+
+   status: {
+     type: String,
+     enum: Object.values(GAME_STATUS),
+     default: GAME_STATUS.PENDING,
+   },
+
+   // True while pending or in play; a match has at most one active game
+   active: {
+     type: Boolean,
+     default: true,
+   },
+
+   state: {
+     type: Schema.Types.Mixed,
+     default: {},
+   },
+
+   // Bumped on every write so concurrent moves can't both apply
+   version: {
+     type: Number,
+     default: 0,
+   },
+
+   // Players the game is waiting on and when they run out of time
+   turn: [{
+     type: Schema.Types.ObjectId,
+     ref: 'User',
+   }],
+   turnDeadline: Date,
+
+   moves: [{
+     _id: false,
+     player: {
+       type: Schema.Types.ObjectId,
+       ref: 'User',
+     },
+     move: Schema.Types.Mixed,
+     at: {
+       type: Date,
+       default: Date.now,
+     },
+   }],
+
+   winner: {
+     type: Schema.Types.ObjectId,
+     ref: 'User',
+   },
+   scores: Schema.Types.Mixed,
+   summary: String,
+   endReason: String,
+
+   inviteExpiresAt: {
+     type: Date,
+     required: true,
+   },
+   startedAt: Date,
+   endedAt: Date,
+
+   inviteMessage: {
+     type: Schema.Types.ObjectId,
+     ref: 'Message',
+   },
+   resultMessage: {
+     type: Schema.Types.ObjectId,
+     ref: 'Message',
+   },
+ },
+ {
+   timestamps: true,
+   minimize: false,
+ }
+);
+
+// ============================
+// Indexes
+// ============================
+
+gameSchema.index({ match: 1, createdAt: -1 });
+gameSchema.index({ match: 1 }, { unique: true, partialFilterExpression: { active: true } });
+gameSchema.index({ players: 1, active: 1 });
+gameSchema.index({ active: 1, status: 1, inviteExpiresAt: 1 });
+gameSchema.index({ active: 1, status: 1, turnDeadline: 1 });
+
+// ============================
+// Methods
+// ============================
+
+/**
+* Check if user is playing this game
+*/
+gameSchema.methods.hasPlayer = function (userId) {
+ return this.players.some((p) => p.toString() === userId.toString());
+};
+
+/**
+* Get the other player
+*/
+gameSchema.methods.getOpponent = function (userId) {
+ return this.players.find((p) => p.toString() !== userId.toString());
+};
+
+const Game = mongoose.model('Game', gameSchema);
+
+export default Game;
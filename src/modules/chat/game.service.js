@@ -0,0 +1,632 @@
+// src/modules/chat/game.service.js
+import mongoose from 'mongoose';
+import Game from './game.model.js';
+import Message from './message.model.js';
+import Match from '../match/match.model.js';
+import User from '../user/user.model.js';
+import ChatService from './chat.service.js';
+import { getGameRules } from './games/index.js';
+import socketManager from '../../config/socket.js';
+import logger from '../../shared/utils/logger.js';
+import NotificationService from '../../shared/services/notification.service.js';
+import MetricsService from '../../shared/services/metrics.service.js';
+import AppError from '../../shared/errors/AppError.js';
+import {
+ GAME_STATUS,
+ GAME_CONSTANTS,
+ MESSAGE_TYPES,
+ NOTIFICATION_TYPES,
+ SOCKET_EVENTS,
+ ERROR_CODES,
+ HTTP_STATUS,
+} from '../../config/constants.js';
+
+const PLAYER_FIELDS = 'profile.firstName profile.displayName';
+
+/**
+* Game Service
+* Server-authoritative engine for in-chat mini-games. Rule modules in
+* ./games decide what a legal move is; this service owns invites, turn
+* order and timeouts, persistence, rejoining after a dropped socket and the
+* chat entry each finished game leaves behind. Events go out through a
+* transport so the service can run against the chat namespace or a fake
+* socket pair.
+*/
+class GameService {
+ constructor() {
+   this.turnTimers = new Map();
+   this.transport = (userId, event, data) => socketManager.emitToUser(userId, event, data);
+ }
+
+ /**
+  * Route game events, e.g. to the chat namespace
+  * @param {Function} transport - (userId, event, data) => void
+  */
+ setTransport(transport) {
+   this.transport = transport;
+ }
+
+ emit(userId, event, data) {
+   try {
+     this.transport(userId.toString(), event, data);
+   } catch (error) {
+     logger.warn(`Could not emit ${event} to user ${userId}:`, error);
+   }
+ }
+
+ // ========================
+ // Lifecycle
+ // ========================
+
+ /**
+  * Invite the other side of a match to a game. Options are validated by
+  * the game's rules (e.g. the secret for 20 Questions).
+  */
+ async invite(userId, matchId, { gameType, options = {} } = {}) {
+   const rules = getGameRules(gameType);
+   if (!rules) {
+     throw new AppError('Unknown game type', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.INVALID_GAME_DATA);
+   }
+
+   const match = await this.loadMatch(userId, matchId);
+   const opponent = match.getOtherUser(userId);
+   const players = [userId.toString(), opponent.toString()];
+   const state = rules.setup(options, { players });
+   const inviteExpiresAt = new Date(Date.now() + GAME_CONSTANTS.INVITE_TTL_MINUTES * 60 * 1000);
+
+   let game;
+   try {
+     game = await Game.create({
+       match: match._id,
+       type: rules.type,
+       players,
+       initiator: userId,
+       state,
+       inviteExpiresAt,
+     });
+   } catch (error) {
+     if (error.code === 11000) {
+       throw new AppError('Finish the current game first', HTTP_STATUS.CONFLICT, ERROR_CODES.GAME_IN_PROGRESS);
+     }
+     throw error;
+   }
+
+   try {
+     const { message } = await ChatService.sendMessage(userId, match._id, {
+       type: MESSAGE_TYPES.GAME_INVITE,
+       content: {
+         gameId: game._id.toString(),
+         gameType: rules.type,
+         gameData: { name: rules.name, status: GAME_STATUS.PENDING, expiresAt: inviteExpiresAt },
+       },
+     });
+
+     game.inviteMessage = message.id;
+     await Game.updateOne({ _id: game._id }, { $set: { inviteMessage: message.id } });
+   } catch (error) {
+     // Without the chat entry nobody can see the invite
+     await Game.deleteOne({ _id: game._id });
+     throw error;
+   }
+
+   MetricsService.incrementCounter('games.invited', 1, { type: rules.type });
+   return this.formatGame(game, userId);
+ }
+
+ /**
+  * Accept an invite and start the game
+  */
+ async acceptGame(userId, gameId) {
+   const game = await this.loadGame(userId, gameId);
+   const now = new Date();
+
+   if (game.initiator.equals(userId)) {
+     throw new AppError('Wait for your match to accept', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.GAME_ACCEPT_FAILED);
+   }
+
+   const rules = getGameRules(game.type);
+   const started = await Game.findOneAndUpdate(
+     { _id: game._id, status: GAME_STATUS.PENDING, inviteExpiresAt: { $gt: now } },
+     {
+       $set: { status: GAME_STATUS.ACTIVE, startedAt: now, ...this.turnFields(rules, game.state, now) },
+       $inc: { version: 1 },
+     },
+     { new: true }
+   );
+
+   if (!started) {
+     throw new AppError('This invite is no longer open', HTTP_STATUS.CONFLICT, ERROR_CODES.GAME_ACCEPT_FAILED);
+   }
+
+   await this.updateInviteMessage(started);
+   this.scheduleTurnTimeout(started);
+   this.emitState(started);
+   await this.notifyTurn(started, [userId.toString()]);
+
+   MetricsService.incrementCounter('games.started', 1, { type: started.type });
+   return this.formatGame(started, userId);
+ }
+
+ /**
+  * Turn down an invite, or withdraw one you sent
+  */
+ async declineGame(userId, gameId) {
+   const game = await this.loadGame(userId, gameId);
+
+   const declined = await this.finishGame(
+     { _id: game._id, status: GAME_STATUS.PENDING },
+     {
+       status: GAME_STATUS.DECLINED,
+       endReason: game.initiator.equals(userId) ? 'cancelled' : 'declined',
+     }
+   );
+
+   if (!declined) {
+     throw new AppError('This invite is no longer open', HTTP_STATUS.CONFLICT, ERROR_CODES.GAME_ACCEPT_FAILED);
+   }
+
+   return this.formatGame(declined, userId);
+ }
+
+ /**
+  * Play a move. The rules validate it; the version check makes sure two
+  * moves racing each other can't both apply.
+  */
+ async makeMove(userId, gameId, move) {
+   const game = await this.loadGame(userId, gameId);
+   const playerId = userId.toString();
+
+   if (game.status !== GAME_STATUS.ACTIVE) {
+     throw new AppError('This game is not in progress', HTTP_STATUS.CONFLICT, ERROR_CODES.GAME_MOVE_FAILED);
+   }
+
+   const rules = getGameRules(game.type);
+   const waitingOn = rules.getTurn(game.state);
+   if (!waitingOn.includes(playerId)) {
+     throw new AppError('It\'s not your turn', HTTP_STATUS.CONFLICT, ERROR_CODES.NOT_YOUR_TURN);
+   }
+
+   const state = rules.applyMove(structuredClone(game.state), playerId, move);
+   const result = rules.getResult(state);
+   const now = new Date();
+
+   const $set = { state };
+   if (result) {
+     Object.assign($set, {
+       status: GAME_STATUS.COMPLETED,
+       active: false,
+       winner: result.winner,
+       scores: result.scores,
+       endReason: 'finished',
+       endedAt: now,
+       turn: [],
+       turnDeadline: null,
+     });
+   } else {
+     Object.assign($set, this.turnFields(rules, state, now));
+   }
+
+   const updated = await Game.findOneAndUpdate(
+     { _id: game._id, status: GAME_STATUS.ACTIVE, version: game.version },
+     { $set, $inc: { version: 1 }, $push: { moves: { player: userId, move, at: now } } },
+     { new: true }
+   );
+
+   if (!updated) {
+     throw new AppError('The game changed before your move landed, try again', HTTP_STATUS.CONFLICT, ERROR_CODES.GAME_MOVE_FAILED);
+   }
+
+   if (result) {
+     await this.completeGame(updated);
+   } else {
+     this.scheduleTurnTimeout(updated);
+     this.emitState(updated);
+     await this.notifyTurn(updated, waitingOn);
+   }
+
+   return this.formatGame(updated, userId);
+ }
+
+ /**
+  * Leave a game. The opponent wins a game in progress; a pending invite is
+  * simply declined.
+  */
+ async forfeitGame(userId, gameId) {
+   const game = await this.loadGame(userId, gameId);
+
+   if (game.status === GAME_STATUS.PENDING) {
+     return this.declineGame(userId, gameId);
+   }
+
+   const forfeited = await this.finishGame(
+     { _id: game._id, status: GAME_STATUS.ACTIVE },
+     { status: GAME_STATUS.FORFEITED, winner: game.getOpponent(userId), endReason: 'forfeit' }
+   );
+
+   if (!forfeited) {
+     throw new AppError('This game is not in progress', HTTP_STATUS.CONFLICT, ERROR_CODES.GAME_MOVE_FAILED);
+   }
+
+   return this.formatGame(forfeited, userId);
+ }
+
+ // ========================
+ // Reconnecting
+ // ========================
+
+ /**
+  * Current state of the user's open games (or of one game, finished or
+  * not) after a reconnect. Opponents are told the player is back.
+  */
+ async rejoin(userId, gameId = null) {
+   const games = gameId
+     ? [await this.loadGame(userId, gameId)]
+     : await Game.find({ players: userId, active: true });
+
+   for (const game of games) {
+     if (game.active) {
+       this.emit(game.getOpponent(userId), SOCKET_EVENTS.GAME_PLAYER_STATUS, {
+         gameId: game._id,
+         userId: userId.toString(),
+         online: true,
+       });
+     }
+   }
+
+   return games.map(game => this.formatGame(game, userId));
+ }
+
+ /**
+  * Tell opponents the user dropped. Their turn clock keeps running, so
+  * they can still rejoin and move before it runs out.
+  */
+ async handleDisconnect(userId) {
+   const games = await Game.find({ players: userId, active: true }).select('players');
+
+   for (const game of games) {
+     this.emit(game.getOpponent(userId), SOCKET_EVENTS.GAME_PLAYER_STATUS, {
+       gameId: game._id,
+       userId: userId.toString(),
+       online: false,
+     });
+   }
+ }
+
+ // ========================
+ // Timeouts
+ // ========================
+
+ scheduleTurnTimeout(game) {
+   this.clearTurnTimeout(game._id);
+   if (!game.turnDeadline) return;
+
+   const delay = Math.max(0, game.turnDeadline.getTime() - Date.now());
+   const timer = setTimeout(() => {
+     this.turnTimers.delete(game._id.toString());
+     this.expireTurn(game._id).catch(error => logger.error(`Error timing out game ${game._id}:`, error));
+   }, delay);
+   timer.unref?.();
+
+   this.turnTimers.set(game._id.toString(), timer);
+ }
+
+ clearTurnTimeout(gameId) {
+   const timer = this.turnTimers.get(gameId.toString());
+   if (timer) {
+     clearTimeout(timer);
+     this.turnTimers.delete(gameId.toString());
+   }
+ }
+
+ /**
+  * End a game whose turn clock ran out. A lone player who didn't move
+  * forfeits; if both were due, the game just expires.
+  */
+ async expireTurn(gameId, now = new Date()) {
+   const game = await Game.findOne({ _id: gameId, status: GAME_STATUS.ACTIVE, turnDeadline: { $lte: now } });
+   if (!game) return null;
+
+   const late = game.turn.map(String);
+   const fields = late.length === 1
+     ? { status: GAME_STATUS.FORFEITED, winner: game.getOpponent(late[0]), endReason: 'timeout' }
+     : { status: GAME_STATUS.EXPIRED, endReason: 'timeout' };
+
+   // The version check lets a move that landed just in time win
+   return this.finishGame({ _id: game._id, status: GAME_STATUS.ACTIVE, version: game.version }, fields);
+ }
+
+ /**
+  * Expire an invite nobody answered
+  */
+ async expireInvite(gameId, now = new Date()) {
+   return this.finishGame(
+     { _id: gameId, status: GAME_STATUS.PENDING, inviteExpiresAt: { $lte: now } },
+     { status: GAME_STATUS.EXPIRED, endReason: 'invite_expired' }
+   );
+ }
+
+ /**
+  * Expire stale invites and turns. Backs up the in-process timers, which
+  * don't survive a restart.
+  * @returns {{ invites: number, turns: number }}
+  */
+ async expireGames(now = new Date()) {
+   const [invites, turns] = await Promise.all([
+     Game.find({ active: true, status: GAME_STATUS.PENDING, inviteExpiresAt: { $lte: now } }).select('_id').limit(500),
+     Game.find({ active: true, status: GAME_STATUS.ACTIVE, turnDeadline: { $lte: now } }).select('_id').limit(500),
+   ]);
+
+   const counts = { invites: 0, turns: 0 };
+   for (const { _id } of invites) {
+     if (await this.expireInvite(_id, now)) counts.invites += 1;
+   }
+   for (const { _id } of turns) {
+     if (await this.expireTurn(_id, now)) counts.turns += 1;
+   }
+   return counts;
+ }
+
+ // ========================
+ // History
+ // ========================
+
+ async getGame(userId, gameId) {
+   const game = await this.loadGame(userId, gameId);
+   return this.formatGame(game, userId);
+ }
+
+ /**
+  * Games in a match, newest first
+  */
+ async getGameHistory(userId, matchId, { page = 1, limit = GAME_CONSTANTS.HISTORY_PAGE_SIZE } = {}) {
+   const match = await Match.findOne({ _id: matchId, users: userId }).select('_id');
+   if (!match) {
+     throw new AppError('Match not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.MATCH_NOT_FOUND);
+   }
+
+   const [games, total] = await Promise.all([
+     Game.find({ match: match._id })
+       .sort({ createdAt: -1 })
+       .skip((page - 1) * limit)
+       .limit(limit),
+     Game.countDocuments({ match: match._id }),
+   ]);
+
+   return {
+     games: games.map(game => this.formatGame(game, userId)),
+     total,
+     page,
+     limit,
+   };
+ }
+
+ // ========================
+ // Helpers
+ // ========================
+
+ /**
+  * Who the game waits on next and until when
+  */
+ turnFields(rules, state, now) {
+   const turn = rules.getTurn(state);
+   return {
+     turn,
+     turnDeadline: turn.length > 0
+       ? new Date(now.getTime() + GAME_CONSTANTS.TURN_TIMEOUT_SECONDS * 1000)
+       : null,
+   };
+ }
+
+ /**
+  * Close an open game matching `filter`. Returns null if someone else
+  * closed it first.
+  */
+ async finishGame(filter, fields) {
+   const game = await Game.findOneAndUpdate(
+     { ...filter, active: true },
+     {
+       $set: { ...fields, active: false, endedAt: new Date(), turn: [], turnDeadline: null },
+       $inc: { version: 1 },
+     },
+     { new: true }
+   );
+   if (!game) return null;
+
+   await this.completeGame(game);
+   return game;
+ }
+
+ /**
+  * Wrap up a game that just closed: summary, chat entry, events
+  */
+ async completeGame(game) {
+   this.clearTurnTimeout(game._id);
+
+   if (game.startedAt) {
+     const names = await this.loadNames(game);
+     game.summary = this.describeResult(game, names);
+     await Game.updateOne({ _id: game._id }, { $set: { summary: game.summary } });
+     await this.recordResultMessage(game);
+   }
+   await this.updateInviteMessage(game);
+
+   for (const player of game.players) {
+     this.emit(player, SOCKET_EVENTS.GAME_ENDED, { game: this.formatGame(game, player) });
+   }
+
+   MetricsService.incrementCounter(`games.${game.status}`, 1, { type: game.type });
+ }
+
+ describeResult(game, names) {
+   const rules = getGameRules(game.type);
+
+   switch (game.status) {
+     case GAME_STATUS.COMPLETED:
+       return rules.summarize(game.state, names);
+     case GAME_STATUS.FORFEITED: {
+       const winner = names[game.winner.toString()];
+       const loser = names[game.getOpponent(game.winner).toString()];
+       return game.endReason === 'timeout'
+         ? `${loser} ran out of time – ${winner} wins ${rules.name}`
+         : `${loser} left ${rules.name} – ${winner} wins`;
+     }
+     default:
+       return `${rules.name} ended – nobody moved in time`;
+   }
+ }
+
+ /**
+  * Leave an entry in the chat with the result
+  */
+ async recordResultMessage(game) {
+   try {
+     const message = await Message.create({
+       matchId: game.match,
+       sender: game.initiator,
+       receiver: game.getOpponent(game.initiator),
+       type: MESSAGE_TYPES.GAME_RESULT,
+       content: {
+         text: game.summary,
+         gameId: game._id.toString(),
+         gameType: game.type,
+         gameData: {
+           status: game.status,
+           winner: game.winner,
+           scores: game.scores,
+         },
+       },
+       status: {
+         sent: true,
+         sentAt: new Date(),
+       },
+     });
+
+     game.resultMessage = message._id;
+     await Game.updateOne({ _id: game._id }, { $set: { resultMessage: message._id } });
+     await Match.updateOne(
+       { _id: game.match },
+       {
+         $set: {
+           'interaction.lastMessageAt': message.createdAt,
+           'interaction.lastMessageBy': game.initiator,
+           'interaction.lastMessagePreview': `🎲 ${game.summary}`.substring(0, 100),
+         },
+       }
+     );
+
+     const formatted = ChatService.formatMessageResponse(message);
+     for (const player of game.players) {
+       this.emit(player, SOCKET_EVENTS.NEW_MESSAGE, { message: formatted });
+     }
+   } catch (error) {
+     logger.error(`Error recording chat message for game ${game._id}:`, error);
+   }
+ }
+
+ /**
+  * Keep the invite card in the chat in step with the game
+  */
+ async updateInviteMessage(game) {
+   if (!game.inviteMessage) return;
+
+   try {
+     await Message.updateOne(
+       { _id: game.inviteMessage },
+       { $set: { 'content.gameData.status': game.status } }
+     );
+   } catch (error) {
+     logger.warn(`Could not update invite message for game ${game._id}:`, error);
+   }
+ }
+
+ emitState(game) {
+   for (const player of game.players) {
+     this.emit(player, SOCKET_EVENTS.GAME_STATE, { game: this.formatGame(game, player) });
+   }
+ }
+
+ /**
+  * Nudge players whose turn it just became
+  */
+ async notifyTurn(game, previousTurn) {
+   const due = game.turn.map(String).filter(p => !previousTurn.includes(p));
+   if (due.length === 0) return;
+
+   try {
+     const names = await this.loadNames(game);
+     const { name } = getGameRules(game.type);
+
+     for (const player of due) {
+       await NotificationService.sendNotification(player, {
+         type: NOTIFICATION_TYPES.GAME_TURN,
+         title: name,
+         body: `Your move – ${names[game.getOpponent(player).toString()]} is waiting`,
+         data: { gameId: game._id.toString(), matchId: game.match.toString() },
+       });
+     }
+   } catch (error) {
+     logger.warn(`Could not send turn notification for game ${game._id}:`, error);
+   }
+ }
+
+ formatGame(game, viewerId) {
+   const rules = getGameRules(game.type);
+   const viewer = viewerId.toString();
+   const turn = game.turn.map(String);
+
+   return {
+     id: game._id,
+     matchId: game.match,
+     type: game.type,
+     name: rules.name,
+     status: game.status,
+     players: game.players,
+     initiator: game.initiator,
+     state: rules.getView(game.state, viewer),
+     turn,
+     yourTurn: turn.includes(viewer),
+     turnDeadline: game.turnDeadline,
+     inviteExpiresAt: game.status === GAME_STATUS.PENDING ? game.inviteExpiresAt : undefined,
+     winner: game.winner,
+     scores: game.scores,
+     summary: game.summary,
+     endReason: game.endReason,
+     startedAt: game.startedAt,
+     endedAt: game.endedAt,
+     version: game.version,
+   };
+ }
+
+ async loadNames(game) {
+   const users = await User.find({ _id: { $in: game.players } }).select(PLAYER_FIELDS).lean();
+   return Object.fromEntries(game.players.map((player) => {
+     const user = users.find(u => u._id.equals(player));
+     return [player.toString(), user?.profile?.displayName || user?.profile?.firstName || 'Your match'];
+   }));
+ }
+
+ async loadGame(userId, gameId) {
+   const game = mongoose.isValidObjectId(gameId)
+     ? await Game.findOne({ _id: gameId, players: userId })
+     : null;
+
+   if (!game) {
+     throw new AppError('Game not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.GAME_NOT_FOUND);
+   }
+
+   return game;
+ }
+
+ async loadMatch(userId, matchId) {
+   const match = await Match.findOne({ _id: matchId, users: userId, 'status.isActive': true })
+     .select('users status');
+
+   if (!match) {
+     throw new AppError('Match not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.MATCH_NOT_FOUND);
+   }
+
+   return match;
+ }
+}
+
+export default new GameService();
@@ -0,0 +1,135 @@
+// src/modules/chat/games/choice.game.js
+import { GAME_TYPES } from '../../../config/constants.js';
+import { invalidMove, invalidOptions } from './rules.js';
+
+const DEFAULT_ROUNDS = 5;
+const MIN_ROUNDS = 3;
+const MAX_ROUNDS = 10;
+
+const WOULD_YOU_RATHER_PROMPTS = [
+ ['Travel to the past', 'Travel to the future'],
+ ['Live by the beach', 'Live in the mountains'],
+ ['Never use social media again', 'Never watch another movie'],
+ ['Have a personal chef', 'Have a personal driver'],
+ ['Always be 10 minutes late', 'Always be 20 minutes early'],
+ ['Explore space', 'Explore the deep sea'],
+ ['Speak every language', 'Play every instrument'],
+ ['Give up coffee', 'Give up dessert'],
+ ['Go on a road trip', 'Go on a cruise'],
+ ['Read minds', 'Be invisible'],
+ ['Have a cozy night in', 'Have a big night out'],
+ ['Win the lottery', 'Live twice as long'],
+];
+
+const THIS_OR_THAT_PROMPTS = [
+ ['Coffee', 'Tea'],
+ ['Cats', 'Dogs'],
+ ['Sunrise', 'Sunset'],
+ ['Books', 'Movies'],
+ ['Sweet', 'Savory'],
+ ['Summer', 'Winter'],
+ ['City', 'Countryside'],
+ ['Texting', 'Calling'],
+ ['Pizza', 'Burgers'],
+ ['Early bird', 'Night owl'],
+ ['Beach', 'Pool'],
+ ['Plans', 'Spontaneity'],
+];
+
+const CHOICES = ['a', 'b'];
+
+const shuffle = (items) => {
+ const copy = [...items];
+ for (let i = copy.length - 1; i > 0; i -= 1) {
+   const j = Math.floor(Math.random() * (i + 1));
+   [copy[i], copy[j]] = [copy[j], copy[i]];
+ }
+ return copy;
+};
+
+/**
+* Build a two-option question game. Both players answer each prompt at the
+* same time; answers are revealed once both are in. Nobody wins – the
+* result is how often they agreed.
+*
+* Move: { choice: 'a' | 'b' }
+*/
+const createChoiceGame = ({ type, name, prompts }) => ({
+ type,
+ name,
+
+ setup(options, { players }) {
+   const rounds = options?.rounds ?? DEFAULT_ROUNDS;
+   if (!Number.isInteger(rounds) || rounds < MIN_ROUNDS || rounds > MAX_ROUNDS) {
+     throw invalidOptions(`rounds must be between ${MIN_ROUNDS} and ${MAX_ROUNDS}`);
+   }
+
+   return {
+     players,
+     prompts: shuffle(prompts).slice(0, rounds).map(([a, b]) => ({ a, b })),
+     answers: [{}],
+     round: 0,
+   };
+ },
+
+ getTurn(state) {
+   if (state.round >= state.prompts.length) return [];
+   const answered = state.answers[state.round];
+   return state.players.filter((p) => !answered[p]);
+ },
+
+ applyMove(state, playerId, move) {
+   if (!CHOICES.includes(move?.choice)) {
+     throw invalidMove('choice must be "a" or "b"');
+   }
+
+   const answered = state.answers[state.round];
+   answered[playerId] = move.choice;
+
+   if (state.players.every((p) => answered[p])) {
+     state.round += 1;
+     if (state.round < state.prompts.length) {
+       state.answers.push({});
+     }
+   }
+
+   return state;
+ },
+
+ getResult(state) {
+   if (state.round < state.prompts.length) return null;
+   return { winner: null, scores: { agreed: this.countAgreed(state), rounds: state.prompts.length } };
+ },
+
+ getView(state, playerId) {
+   // Hide the other answer to the open prompt until both are in
+   const answers = state.answers.map((answered, i) => (
+     i < state.round ? answered : { [playerId]: answered[playerId] }
+   ));
+   return { ...state, answers };
+ },
+
+ summarize(state) {
+   return `${name}: you agreed on ${this.countAgreed(state)} of ${state.prompts.length}`;
+ },
+
+ countAgreed(state) {
+   const [a, b] = state.players;
+   return state.answers
+     .slice(0, state.round)
+     .filter((answered) => answered[a] === answered[b])
+     .length;
+ },
+});
+
+export const wouldYouRather = createChoiceGame({
+ type: GAME_TYPES.WOULD_YOU_RATHER,
+ name: 'Would You Rather',
+ prompts: WOULD_YOU_RATHER_PROMPTS,
+});
+
+export const thisOrThat = createChoiceGame({
+ type: GAME_TYPES.THIS_OR_THAT,
+ name: 'This or That',
+ prompts: THIS_OR_THAT_PROMPTS,
+});
@@ -0,0 +1,19 @@
+// src/modules/chat/games/index.js
+import ticTacToe from './ticTacToe.game.js';
+import twoTruths from './twoTruths.game.js';
+import twentyQuestions from './twentyQuestions.game.js';
+import { wouldYouRather, thisOrThat } from './choice.game.js';
+
+/**
+* Rule modules by GAME_TYPES value. See ./rules.js for the interface;
+* add a game by writing a module and registering it here.
+*/
+const GAMES = Object.fromEntries(
+ [twoTruths, wouldYouRather, thisOrThat, ticTacToe, twentyQuestions].map((game) => [game.type, game])
+);
+
+export const getGameRules = (type) => GAMES[type] || null;
+
+export const listGames = () => Object.values(GAMES).map(({ type, name }) => ({ type, name }));
+
+export default GAMES;
@@ -0,0 +1,45 @@
+// src/modules/chat/games/rules.js
+import AppError from '../../../shared/errors/AppError.js';
+import { ERROR_CODES, HTTP_STATUS } from '../../../config/constants.js';
+
+/**
+* Helpers shared by the game rule modules.
+*
+* A rule module is a plain object with:
+*   type, name                      - GAME_TYPES value and display name
+*   setup(options, { players })     - initial state; players is [initiator, invitee]
+*   getTurn(state)                  - user ids the game is waiting on ([] once over)
+*   applyMove(state, playerId, move) - next state; throws invalidMove() on bad input
+*   getResult(state)                - null while running, then { winner, scores }
+*   getView(state, playerId)        - state safe to show that player
+*   summarize(state, names)         - one line for the chat once the game is over
+*
+* State is plain JSON so it can be stored as-is and replayed from the move log.
+*/
+
+export const invalidMove = (message) =>
+ new AppError(message, HTTP_STATUS.BAD_REQUEST, ERROR_CODES.INVALID_GAME_MOVE);
+
+export const invalidOptions = (message) =>
+ new AppError(message, HTTP_STATUS.BAD_REQUEST, ERROR_CODES.INVALID_GAME_DATA);
+
+export const otherPlayer = (state, playerId) =>
+ state.players.find((p) => p !== playerId);
+
+/**
+* Trimmed string between 1 and `max` characters, or null
+*/
+export const cleanText = (value, max) => {
+ if (typeof value !== 'string') return null;
+ const text = value.trim();
+ return text.length > 0 && text.length <= max ? text : null;
+};
+
+/**
+* Winner by score; null on a tie
+*/
+export const leader = (scores) => {
+ const [[first, a], [second, b]] = Object.entries(scores);
+ if (a === b) return null;
+ return a > b ? first : second;
+};
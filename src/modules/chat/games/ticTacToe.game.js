@@ -0,0 +1,71 @@
+// src/modules/chat/games/ticTacToe.game.js
+import { GAME_TYPES } from '../../../config/constants.js';
+import { invalidMove, otherPlayer } from './rules.js';
+
+const LINES = [
+ [0, 1, 2], [3, 4, 5], [6, 7, 8],
+ [0, 3, 6], [1, 4, 7], [2, 5, 8],
+ [0, 4, 8], [2, 4, 6],
+];
+
+/**
+* Tic-tac-toe. The initiator plays X and moves first.
+* Move: { cell: 0-8 }, numbered left to right, top to bottom.
+*/
+export default {
+ type: GAME_TYPES.TIC_TAC_TOE,
+ name: 'Tic-tac-toe',
+
+ setup(options, { players }) {
+   return {
+     players,
+     marks: { [players[0]]: 'X', [players[1]]: 'O' },
+     board: Array(9).fill(null),
+     next: players[0],
+     winner: null,
+     draw: false,
+   };
+ },
+
+ getTurn(state) {
+   return state.winner || state.draw ? [] : [state.next];
+ },
+
+ applyMove(state, playerId, move) {
+   const cell = move?.cell;
+   if (!Number.isInteger(cell) || cell < 0 || cell > 8) {
+     throw invalidMove('Pick a cell from 0 to 8');
+   }
+   if (state.board[cell]) {
+     throw invalidMove('That cell is already taken');
+   }
+
+   const mark = state.marks[playerId];
+   state.board[cell] = mark;
+
+   if (LINES.some((line) => line.every((i) => state.board[i] === mark))) {
+     state.winner = playerId;
+   } else if (state.board.every(Boolean)) {
+     state.draw = true;
+   } else {
+     state.next = otherPlayer(state, playerId);
+   }
+
+   return state;
+ },
+
+ getResult(state) {
+   if (!state.winner && !state.draw) return null;
+   return { winner: state.winner };
+ },
+
+ getView(state) {
+   return state;
+ },
+
+ summarize(state, names) {
+   return state.winner
+     ? `${names[state.winner]} won tic-tac-toe`
+     : 'Tic-tac-toe ended in a draw';
+ },
+};
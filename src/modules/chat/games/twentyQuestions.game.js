@@ -0,0 +1,120 @@
+// src/modules/chat/games/twentyQuestions.game.js
+import { GAME_TYPES } from '../../../config/constants.js';
+import { invalidMove, invalidOptions, cleanText } from './rules.js';
+
+const MAX_QUESTIONS = 20;
+const MAX_ANSWER_LENGTH = 60;
+const MAX_QUESTION_LENGTH = 200;
+const REPLIES = ['yes', 'no', 'sometimes', 'unknown'];
+
+const PHASES = {
+ ASK: 'ask',
+ REPLY: 'reply',
+ DONE: 'done',
+};
+
+/**
+* Compare guesses loosely: case, punctuation and a leading article don't count
+*/
+const normalize = (text) => text
+ .toLowerCase()
+ .replace(/[^\p{L}\p{N}\s]/gu, '')
+ .replace(/^(a|an|the)\s+/, '')
+ .replace(/\s+/g, ' ')
+ .trim();
+
+/**
+* 20 Questions. The initiator thinks of something and sends it with the
+* invite; the invitee asks yes/no questions or guesses. A wrong guess uses
+* up a question. The guesser wins by naming it within 20 questions.
+*
+* Moves: guesser  { question } or { guess }
+*        answerer { reply: 'yes' | 'no' | 'sometimes' | 'unknown' }
+*/
+export default {
+ type: GAME_TYPES.TWENTY_QUESTIONS,
+ name: '20 Questions',
+
+ setup(options, { players }) {
+   const answer = cleanText(options?.answer, MAX_ANSWER_LENGTH);
+   if (!answer) {
+     throw invalidOptions(`Pick something for your match to guess (up to ${MAX_ANSWER_LENGTH} characters)`);
+   }
+
+   return {
+     players,
+     answerer: players[0],
+     guesser: players[1],
+     answer,
+     category: cleanText(options.category, MAX_ANSWER_LENGTH),
+     questions: [],
+     phase: PHASES.ASK,
+     solved: false,
+   };
+ },
+
+ getTurn(state) {
+   switch (state.phase) {
+     case PHASES.ASK:
+       return [state.guesser];
+     case PHASES.REPLY:
+       return [state.answerer];
+     default:
+       return [];
+   }
+ },
+
+ applyMove(state, playerId, move) {
+   if (state.phase === PHASES.REPLY) {
+     if (!REPLIES.includes(move?.reply)) {
+       throw invalidMove(`reply must be one of: ${REPLIES.join(', ')}`);
+     }
+     state.questions[state.questions.length - 1].reply = move.reply;
+     state.phase = state.questions.length >= MAX_QUESTIONS ? PHASES.DONE : PHASES.ASK;
+     return state;
+   }
+
+   if (move?.guess !== undefined) {
+     const guess = cleanText(move.guess, MAX_ANSWER_LENGTH);
+     if (!guess) {
+       throw invalidMove(`Guesses can be up to ${MAX_ANSWER_LENGTH} characters`);
+     }
+
+     state.solved = normalize(guess) === normalize(state.answer);
+     state.questions.push({ guess, reply: state.solved ? 'yes' : 'no' });
+     if (state.solved || state.questions.length >= MAX_QUESTIONS) {
+       state.phase = PHASES.DONE;
+     }
+     return state;
+   }
+
+   const question = cleanText(move?.question, MAX_QUESTION_LENGTH);
+   if (!question) {
+     throw invalidMove(`Ask a question of up to ${MAX_QUESTION_LENGTH} characters, or make a guess`);
+   }
+
+   state.questions.push({ question, reply: null });
+   state.phase = PHASES.REPLY;
+   return state;
+ },
+
+ getResult(state) {
+   if (state.phase !== PHASES.DONE) return null;
+   return {
+     winner: state.solved ? state.guesser : state.answerer,
+     scores: { questions: state.questions.length },
+   };
+ },
+
+ getView(state, playerId) {
+   if (playerId === state.answerer || state.phase === PHASES.DONE) return state;
+   return { ...state, answer: null };
+ },
+
+ summarize(state, names) {
+   const count = state.questions.length;
+   return state.solved
+     ? `${names[state.guesser]} guessed "${state.answer}" in ${count} ${count === 1 ? 'question' : 'questions'}`
+     : `${names[state.guesser]} couldn't guess "${state.answer}" – ${names[state.answerer]} wins 20 Questions`;
+ },
+};
@@ -0,0 +1,124 @@
+// src/modules/chat/games/twoTruths.game.js
+import { GAME_TYPES } from '../../../config/constants.js';
+import { invalidMove, invalidOptions, otherPlayer, cleanText, leader } from './rules.js';
+
+const MAX_STATEMENT_LENGTH = 200;
+
+const PHASES = {
+ WRITE: 'write',
+ GUESS: 'guess',
+ DONE: 'done',
+};
+
+/**
+* Validate three statements and the index of the lie
+*/
+const readStatements = (input, fail) => {
+ const statements = Array.isArray(input?.statements)
+   ? input.statements.map((s) => cleanText(s, MAX_STATEMENT_LENGTH))
+   : [];
+
+ if (statements.length !== 3 || statements.some((s) => s === null)) {
+   throw fail(`Write exactly three statements of up to ${MAX_STATEMENT_LENGTH} characters`);
+ }
+ if (![0, 1, 2].includes(input.lieIndex)) {
+   throw fail('lieIndex must point at one of the three statements');
+ }
+
+ return { statements, lie: input.lieIndex };
+};
+
+/**
+* Two Truths and a Lie. Each player writes two truths and a lie once and
+* guesses the other's lie once; a correct guess scores a point.
+* The initiator may submit their statements with the invite.
+*
+* Moves: { statements: [a, b, c], lieIndex } when writing,
+*        { lieIndex } when guessing.
+*/
+export default {
+ type: GAME_TYPES.TWO_TRUTHS,
+ name: 'Two Truths and a Lie',
+
+ setup(options, { players }) {
+   const state = {
+     players,
+     rounds: [{ author: players[0], statements: null, lie: null, guess: null }],
+     phase: PHASES.WRITE,
+     scores: { [players[0]]: 0, [players[1]]: 0 },
+   };
+
+   if (options?.statements) {
+     Object.assign(state.rounds[0], readStatements(options, invalidOptions));
+     state.phase = PHASES.GUESS;
+   }
+
+   return state;
+ },
+
+ getTurn(state) {
+   const round = state.rounds[state.rounds.length - 1];
+
+   switch (state.phase) {
+     case PHASES.WRITE:
+       return [round.author];
+     case PHASES.GUESS:
+       return [otherPlayer(state, round.author)];
+     default:
+       return [];
+   }
+ },
+
+ applyMove(state, playerId, move) {
+   const round = state.rounds[state.rounds.length - 1];
+
+   if (state.phase === PHASES.WRITE) {
+     Object.assign(round, readStatements(move, invalidMove));
+     state.phase = PHASES.GUESS;
+     return state;
+   }
+
+   if (![0, 1, 2].includes(move?.lieIndex)) {
+     throw invalidMove('lieIndex must point at one of the three statements');
+   }
+
+   round.guess = move.lieIndex;
+   if (round.guess === round.lie) {
+     state.scores[playerId] += 1;
+   }
+
+   if (state.rounds.length < state.players.length) {
+     state.rounds.push({ author: playerId, statements: null, lie: null, guess: null });
+     state.phase = PHASES.WRITE;
+   } else {
+     state.phase = PHASES.DONE;
+   }
+
+   return state;
+ },
+
+ getResult(state) {
+   if (state.phase !== PHASES.DONE) return null;
+   return { winner: leader(state.scores), scores: state.scores };
+ },
+
+ getView(state, playerId) {
+   return {
+     ...state,
+     // The lie stays hidden from the guesser until they've guessed
+     rounds: state.rounds.map((round) => (
+       round.author === playerId || round.guess !== null ? round : { ...round, lie: null }
+     )),
+   };
+ },
+
+ summarize(state, names) {
+   const [a, b] = state.players;
+   const winner = leader(state.scores);
+   const score = `${names[a]} ${state.scores[a]} – ${state.scores[b]} ${names[b]}`;
+
+   return winner
+     ? `${names[winner]} won Two Truths and a Lie (${score})`
+     : `Two Truths and a Lie ended in a tie (${score})`;
+ },
+};
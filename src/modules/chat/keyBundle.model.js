@@ -0,0 +1,104 @@
+// src/modules/chat/keyBundle.model.js
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+const preKeySchema = new Schema(
+ {
+   keyId: {
+     type: Number,
+     required: true,
+   },
+   publicKey: {
+     type: String,
+     required: true,
+   },
+ },
+ { _id: false }
+);
+
+/**
+* Key Bundle Schema - The public half of a user's end-to-end encryption
+* keys, published so matches can start encrypted sessions with them.
+* Private keys never leave the device. One bundle per account; uploading a
+* bundle with a different identity key means the user re-registered (new
+* phone, reinstall) and their matches are told the key changed.
+*/
+const keyBundleSchema = new Schema(
+ {
+   user: {
+     type: Schema.Types.ObjectId,
+     ref: 'User',
+     required: true,
+     unique: true,
+   },
+
+   identityKey: {
+     type: String,
+     required: true,
+   },
+
+   registrationId: {
+     type: Number,
+     required: true,
+   },
+
+   signedPreKey: {
+     keyId: {
+       type: Number,
+       required: true,
+     },
+     publicKey: {
+       type: String,
+       required: true,
+     },
+     signature: {
+       type: String,
+       required: true,
+     },
+     uploadedAt: {
+       type: Date,
+       default: Date.now,
+     },
+   },
+
+   // Each one is handed out once, oldest first
+   oneTimePreKeys: [preKeySchema],
+
+   identityChangedAt: Date,
+ },
+ {
+   timestamps: true,
+ }
+);
+
+// ============================
+// Statics
+// ============================
+
+/**
+* Hand out the user's bundle, using up one of their one-time prekeys.
+* @returns {Promise<{bundle: Object, preKey: Object|null, remaining: number}|null>}
+*/
+keyBundleSchema.statics.claim = async function (userId) {
+ // The pre-update document still holds the prekey that was popped
+ const bundle = await this.findOneAndUpdate(
+   { user: userId },
+   { $pop: { oneTimePreKeys: -1 } },
+   { new: false }
+ );
+ if (!bundle) {
+   return null;
+ }
+
+ const preKey = bundle.oneTimePreKeys[0] || null;
+ return {
+   bundle,
+   preKey,
+   remaining: Math.max(bundle.oneTimePreKeys.length - 1, 0),
+ };
+};
+
+const KeyBundle = mongoose.model('KeyBundle', keyBundleSchema);
+
+export default KeyBundle;
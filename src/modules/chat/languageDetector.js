@@ -0,0 +1,141 @@
+// src/modules/chat/languageDetector.js
+import { TRANSLATION_LANGUAGES } from '../../config/constants.js';
+
+/**
+* Offline language detection using character trigram profiles
+* (Cavnar & Trenkle). Each language's profile is its most frequent trigrams,
+* built once from the sample text below; a message is scored by how far
+* its own trigram ranking is from each profile. Good enough for chat-sized
+* text without a network call; very short messages return null.
+*/
+
+const PROFILE_SIZE = 300;
+
+// Everyday, chat-like text per language. Add a sample to support a language.
+const SAMPLES = {
+ en: `hello how are you doing today i hope you are having a good day what do you like to do
+ on the weekend i love going to the beach and trying new restaurants with my friends
+ would you like to get a coffee sometime this week i think that would be really nice
+ what kind of music do you listen to i have been watching a lot of movies lately
+ where are you from and what do you do for work that sounds like a lot of fun
+ thank you so much for the message i was thinking about you yesterday see you soon
+ are you free tonight there is a new place near the park that we should check out`,
+
+ vi: `xin chào bạn khỏe không hôm nay bạn thế nào tôi hy vọng bạn có một ngày vui vẻ
+ cuối tuần bạn thích làm gì tôi thích đi biển và thử những nhà hàng mới với bạn bè
+ bạn có muốn đi uống cà phê tuần này không tôi nghĩ điều đó sẽ rất tuyệt vời
+ bạn thích nghe loại nhạc nào dạo này tôi xem rất nhiều phim và đọc sách
+ bạn đến từ đâu và bạn làm nghề gì nghe có vẻ rất thú vị đấy
+ cảm ơn bạn rất nhiều vì tin nhắn hôm qua tôi đã nghĩ về bạn hẹn sớm gặp lại
+ tối nay bạn có rảnh không có một quán mới gần công viên mà chúng ta nên đến thử`,
+
+ es: `hola cómo estás hoy espero que estés teniendo un buen día qué te gusta hacer
+ el fin de semana me encanta ir a la playa y probar restaurantes nuevos con mis amigos
+ te gustaría tomar un café algún día de esta semana creo que sería muy bonito
+ qué tipo de música escuchas últimamente he estado viendo muchas películas
+ de dónde eres y a qué te dedicas eso suena muy divertido la verdad
+ muchas gracias por el mensaje ayer estaba pensando en ti nos vemos pronto
+ estás libre esta noche hay un lugar nuevo cerca del parque que deberíamos conocer`,
+
+ fr: `bonjour comment ça va aujourd'hui j'espère que tu passes une bonne journée qu'est-ce que
+ tu aimes faire le week-end j'adore aller à la plage et essayer de nouveaux restaurants avec mes amis
+ est-ce que tu voudrais prendre un café cette semaine je pense que ce serait vraiment sympa
+ quel genre de musique tu écoutes ces derniers temps j'ai regardé beaucoup de films
+ tu viens d'où et qu'est-ce que tu fais dans la vie ça a l'air très amusant
+ merci beaucoup pour le message je pensais à toi hier à bientôt
+ tu es libre ce soir il y a un nouvel endroit près du parc qu'on devrait découvrir`,
+
+ de: `hallo wie geht es dir heute ich hoffe du hast einen schönen tag was machst du gerne
+ am wochenende ich liebe es an den strand zu gehen und neue restaurants mit meinen freunden auszuprobieren
+ möchtest du diese woche einen kaffee trinken gehen ich glaube das wäre wirklich schön
+ welche art von musik hörst du in letzter zeit habe ich viele filme geschaut
+ woher kommst du und was machst du beruflich das klingt nach sehr viel spaß
+ vielen dank für die nachricht ich habe gestern an dich gedacht bis bald
+ hast du heute abend zeit es gibt einen neuen laden in der nähe vom park den wir ausprobieren sollten`,
+
+ pt: `olá como você está hoje espero que você esteja tendo um bom dia o que você gosta de fazer
+ no fim de semana eu adoro ir à praia e experimentar restaurantes novos com meus amigos
+ você gostaria de tomar um café esta semana acho que seria muito legal
+ que tipo de música você ouve ultimamente tenho assistido muitos filmes
+ de onde você é e o que você faz no trabalho isso parece muito divertido
+ muito obrigado pela mensagem ontem eu estava pensando em você até logo
+ você está livre hoje à noite tem um lugar novo perto do parque que a gente devia conhecer`,
+};
+
+/**
+* Lowercase letters only, one space between words and padding at the ends
+* so word boundaries show up in the trigrams
+*/
+const normalize = (text) => ` ${text.toLowerCase().replace(/[^\p{L}']+/gu, ' ').trim()} `;
+
+const countLetters = (text) => (text.match(/\p{L}/gu) || []).length;
+
+/**
+* Trigrams ranked from most to least frequent
+*/
+const rankTrigrams = (text, limit = PROFILE_SIZE) => {
+ const counts = new Map();
+ const padded = normalize(text);
+ const chars = [...padded];
+
+ for (let i = 0; i < chars.length - 2; i++) {
+   const gram = chars[i] + chars[i + 1] + chars[i + 2];
+   if (gram.includes('  ')) continue;
+   counts.set(gram, (counts.get(gram) || 0) + 1);
+ }
+
+ return [...counts.entries()]
+   .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+   .slice(0, limit)
+   .map(([gram]) => gram);
+};
+
+const PROFILES = new Map(
+ TRANSLATION_LANGUAGES
+   .filter((language) => SAMPLES[language])
+   .map((language) => {
+     const ranked = rankTrigrams(SAMPLES[language]);
+     return [language, new Map(ranked.map((gram, rank) => [gram, rank]))];
+   })
+);
+
+/**
+* Out-of-place distance between a text's trigram ranking and a profile
+*/
+const distance = (ranked, profile) => ranked.reduce((total, gram, rank) => {
+ const profileRank = profile.get(gram);
+ return total + (profileRank === undefined ? PROFILE_SIZE : Math.abs(profileRank - rank));
+}, 0);
+
+/**
+* Guess the language of a piece of text
+* @param {string} text
+* @param {Object} options - { minLength: letters needed before guessing }
+* @returns {{language: string, confidence: number}|null}
+*/
+export const detectLanguage = (text, { minLength = 8 } = {}) => {
+ if (!text || countLetters(text) < minLength) {
+   return null;
+ }
+
+ const ranked = rankTrigrams(text);
+ if (ranked.length === 0) {
+   return null;
+ }
+
+ const scores = [...PROFILES.entries()]
+   .map(([language, profile]) => ({ language, score: distance(ranked, profile) }))
+   .sort((a, b) => a.score - b.score);
+
+ const [best, runnerUp] = scores;
+ const worst = ranked.length * PROFILE_SIZE;
+
+ // How clearly the best profile beat the next one, relative to a total miss
+ const confidence = runnerUp ? (runnerUp.score - best.score) / worst : 1;
+
+ return { language: best.language, confidence: Math.round(confidence * 1000) / 1000 };
+};
+
+export const supportedLanguages = () => [...PROFILES.keys()];
+
+export default { detectLanguage, supportedLanguages };
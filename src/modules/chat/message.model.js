@@ -59,6 +59,8 @@ const messageSchema = new Schema(
      mediaHeight: Number,
      mimeType: String,
      fileName: String,
+     mediaPublicId: String, // storage key, used for deletion
+     mediaStorageProvider: String,
 
      // Voice message
      audioUrl: String,
@@ -78,6 +80,7 @@ const messageSchema = new Schema(
      gifUrl: String,
      stickerId: String,
      stickerPack: String,
+     stickerUrl: String,
 
      // Game invite
      gameId: String,
@@ -262,15 +265,17 @@ const messageSchema = new Schema(
      ],
    },
 
-   // Encryption (for future E2E encryption)
+   // End-to-end encryption. The server only ever sees `ciphertext`; any
+   // attachments are encrypted client-side and referenced inside it.
    encryption: {
      isEncrypted: {
        type: Boolean,
        default: false,
      },
      encryptionType: String,
-     publicKey: String,
+     publicKey: String, // Sender's identity key when the message was sent
      encryptedKey: String,
+     ciphertext: String,
    },
 
    // Media processing
@@ -349,7 +354,7 @@ const messageSchema = new Schema(
      },
    },
 
-   // Translation (for future multi-language support)
+   // Translation. One cached entry per target language
    translation: {
      isTranslated: {
        type: Boolean,
@@ -365,6 +370,7 @@ const messageSchema = new Schema(
            type: String,
            enum: ['auto', 'user', 'service'],
          },
+         provider: String,
        },
      ],
    },
@@ -396,6 +402,14 @@ const messageSchema = new Schema(
      },
    },
 
+   // Icebreaker this message was sent from, used to learn which ones get replies
+   icebreaker: {
+     templateId: String,
+     category: String,
+     locale: String,
+     repliedAt: Date,
+   },
+
    // Payment/tip related (for virtual gifts)
    payment: {
      amount: Number,
@@ -466,6 +480,7 @@ messageSchema.index({ receiver: 1, 'status.read': 1 });
 messageSchema.index({ matchId: 1, type: 1 });
 messageSchema.index({ 'metadata.clientId': 1 });
 messageSchema.index({ 'scheduling.scheduledFor': 1, 'scheduling.schedulingStatus': 1 });
+messageSchema.index({ 'icebreaker.templateId': 1, createdAt: -1 }, { sparse: true });
 
 // Text search index
 messageSchema.index({ 'content.text': 'text', 'content.systemMessage': 'text' });
@@ -694,7 +709,9 @@ messageSchema.methods.toJSON = function () {
  
  // Remove sensitive fields
  delete obj.__v;
- delete obj.encryption;
+ if (!obj.encryption?.isEncrypted) {
+   delete obj.encryption;
+ }
  delete obj.admin;
  
  // Add virtuals
@@ -828,9 +845,11 @@ messageSchema.statics.getMatchStats = async function (matchId) {
 messageSchema.statics.searchMessages = async function (matchId, searchQuery, options = {}) {
  const { limit = 50, type = 'all' } = options;
  
+ // Encrypted messages have nothing the server can search
  const query = {
    matchId,
    'status.isDeleted': false,
+   'encryption.isEncrypted': { $ne: true },
  };
  
  if (type === 'text') {
@@ -858,6 +877,42 @@ messageSchema.statics.getScheduledMessages = async function () {
  });
 };
 
+/**
+* Mark the other user's unanswered icebreakers in a match as replied
+*/
+messageSchema.statics.markIcebreakerReplied = function (matchId, replierId) {
+ return this.updateMany(
+   {
+     matchId,
+     receiver: replierId,
+     'icebreaker.templateId': { $exists: true },
+     'icebreaker.repliedAt': null,
+   },
+   { $set: { 'icebreaker.repliedAt': new Date() } }
+ );
+};
+
+/**
+* Sent and replied counts per icebreaker template
+*/
+messageSchema.statics.getIcebreakerStats = function (since) {
+ return this.aggregate([
+   {
+     $match: {
+       'icebreaker.templateId': { $exists: true },
+       createdAt: { $gte: since },
+     },
+   },
+   {
+     $group: {
+       _id: '$icebreaker.templateId',
+       sent: { $sum: 1 },
+       replied: { $sum: { $cond: [{ $ifNull: ['$icebreaker.repliedAt', false] }, 1, 0] } },
+     },
+   },
+ ]);
+};
+
 /**
 * Clean up expired messages
 */
@@ -880,8 +935,8 @@ messageSchema.statics.cleanupExpiredMessages = async function () {
 * Pre-save middleware
 */
 messageSchema.pre('save', async function (next) {
- // Validate content based on type
- if (this.type === MESSAGE_TYPES.TEXT && !this.content.text) {
+ // Validate content based on type. Encrypted messages only carry ciphertext.
+ if (this.type === MESSAGE_TYPES.TEXT && !this.content.text && !this.encryption?.isEncrypted) {
    return next(new Error('Text content is required for text messages'));
  }
  
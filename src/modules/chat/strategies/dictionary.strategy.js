@@ -0,0 +1,168 @@
+// src/modules/chat/strategies/dictionary.strategy.js
+import { TRANSLATION_LANGUAGES } from '../../../config/constants.js';
+
+/**
+* Common chat phrases, written as they appear mid-sentence. Order matters
+* where two phrases share a translation: the first one listed wins when
+* translating back.
+*/
+const PHRASEBOOK = [
+ { en: 'hello', vi: 'xin chào', es: 'hola', fr: 'bonjour', de: 'hallo', pt: 'olá' },
+ { en: 'hi', vi: 'chào', es: 'hola', fr: 'salut', de: 'hallo', pt: 'oi' },
+ { en: 'good morning', vi: 'chào buổi sáng', es: 'buenos días', fr: 'bonjour', de: 'guten Morgen', pt: 'bom dia' },
+ { en: 'good night', vi: 'chúc ngủ ngon', es: 'buenas noches', fr: 'bonne nuit', de: 'gute Nacht', pt: 'boa noite' },
+ { en: 'how are you', vi: 'bạn khỏe không', es: 'cómo estás', fr: 'comment ça va', de: 'wie geht es dir', pt: 'como você está' },
+ { en: 'nice to meet you', vi: 'rất vui được gặp bạn', es: 'encantado de conocerte', fr: 'enchanté', de: 'freut mich', pt: 'prazer em conhecer você' },
+ { en: 'what are you doing', vi: 'bạn đang làm gì', es: 'qué haces', fr: 'qu\'est-ce que tu fais', de: 'was machst du', pt: 'o que você está fazendo' },
+ { en: 'where are you', vi: 'bạn ở đâu', es: 'dónde estás', fr: 'où es-tu', de: 'wo bist du', pt: 'onde você está' },
+ { en: 'do you want to', vi: 'bạn có muốn', es: 'quieres', fr: 'tu veux', de: 'willst du', pt: 'você quer' },
+ { en: 'thank you', vi: 'cảm ơn', es: 'gracias', fr: 'merci', de: 'danke', pt: 'obrigado' },
+ { en: 'thanks', vi: 'cảm ơn', es: 'gracias', fr: 'merci', de: 'danke', pt: 'obrigado' },
+ { en: 'please', vi: 'làm ơn', es: 'por favor', fr: 's\'il te plaît', de: 'bitte', pt: 'por favor' },
+ { en: 'sorry', vi: 'xin lỗi', es: 'lo siento', fr: 'désolé', de: 'Entschuldigung', pt: 'desculpa' },
+ { en: 'I love you', vi: 'anh yêu em', es: 'te quiero', fr: 'je t\'aime', de: 'ich liebe dich', pt: 'eu te amo' },
+ { en: 'I miss you', vi: 'nhớ bạn', es: 'te extraño', fr: 'tu me manques', de: 'ich vermisse dich', pt: 'sinto sua falta' },
+ { en: 'me too', vi: 'tôi cũng vậy', es: 'yo también', fr: 'moi aussi', de: 'ich auch', pt: 'eu também' },
+ { en: 'see you soon', vi: 'hẹn sớm gặp lại', es: 'nos vemos pronto', fr: 'à bientôt', de: 'bis bald', pt: 'até logo' },
+ { en: 'see you tomorrow', vi: 'hẹn gặp ngày mai', es: 'hasta mañana', fr: 'à demain', de: 'bis morgen', pt: 'até amanhã' },
+ { en: 'goodbye', vi: 'tạm biệt', es: 'adiós', fr: 'au revoir', de: 'tschüss', pt: 'tchau' },
+ { en: 'happy birthday', vi: 'chúc mừng sinh nhật', es: 'feliz cumpleaños', fr: 'joyeux anniversaire', de: 'alles Gute zum Geburtstag', pt: 'feliz aniversário' },
+ { en: 'let\'s go', vi: 'đi thôi', es: 'vamos', fr: 'allons-y', de: 'los geht\'s', pt: 'vamos' },
+ { en: 'with me', vi: 'với tôi', es: 'conmigo', fr: 'avec moi', de: 'mit mir', pt: 'comigo' },
+ { en: 'tonight', vi: 'tối nay', es: 'esta noche', fr: 'ce soir', de: 'heute Abend', pt: 'hoje à noite' },
+ { en: 'today', vi: 'hôm nay', es: 'hoy', fr: 'aujourd\'hui', de: 'heute', pt: 'hoje' },
+ { en: 'tomorrow', vi: 'ngày mai', es: 'mañana', fr: 'demain', de: 'morgen', pt: 'amanhã' },
+ { en: 'weekend', vi: 'cuối tuần', es: 'fin de semana', fr: 'week-end', de: 'Wochenende', pt: 'fim de semana' },
+ { en: 'coffee', vi: 'cà phê', es: 'café', fr: 'café', de: 'Kaffee', pt: 'café' },
+ { en: 'dinner', vi: 'bữa tối', es: 'cena', fr: 'dîner', de: 'Abendessen', pt: 'jantar' },
+ { en: 'movie', vi: 'phim', es: 'película', fr: 'film', de: 'Film', pt: 'filme' },
+ { en: 'music', vi: 'âm nhạc', es: 'música', fr: 'musique', de: 'Musik', pt: 'música' },
+ { en: 'beach', vi: 'bãi biển', es: 'playa', fr: 'plage', de: 'Strand', pt: 'praia' },
+ { en: 'beautiful', vi: 'xinh đẹp', es: 'hermosa', fr: 'belle', de: 'schön', pt: 'linda' },
+ { en: 'love', vi: 'tình yêu', es: 'amor', fr: 'amour', de: 'Liebe', pt: 'amor' },
+ { en: 'very', vi: 'rất', es: 'muy', fr: 'très', de: 'sehr', pt: 'muito' },
+ { en: 'good', vi: 'tốt', es: 'bueno', fr: 'bon', de: 'gut', pt: 'bom' },
+ { en: 'yes', vi: 'vâng', es: 'sí', fr: 'oui', de: 'ja', pt: 'sim' },
+ { en: 'no', vi: 'không', es: 'no', fr: 'non', de: 'nein', pt: 'não' },
+ { en: 'and', vi: 'và', es: 'y', fr: 'et', de: 'und', pt: 'e' },
+ { en: 'you', vi: 'bạn', es: 'tú', fr: 'tu', de: 'du', pt: 'você' },
+ { en: 'I', vi: 'tôi', es: 'yo', fr: 'je', de: 'ich', pt: 'eu' },
+];
+
+// Words, and the text between them (spaces, punctuation, emoji)
+const WORD = /([\p{L}\p{M}']+)/u;
+// Gaps a phrase may span, e.g. "qu'est-ce que"
+const JOINER = /^[\s-]+$/;
+
+const words = (phrase) => phrase.normalize('NFC').split(WORD).filter((_, i) => i % 2 === 1);
+const keyOf = (list) => list.join(' ').toLowerCase();
+
+/**
+* Per source language: lowercased phrase -> phrasebook entry
+*/
+const INDEX = new Map(TRANSLATION_LANGUAGES.map((language) => {
+ const entries = new Map();
+ for (const entry of PHRASEBOOK) {
+   if (!entry[language]) continue;
+   const key = keyOf(words(entry[language]));
+   if (!entries.has(key)) entries.set(key, entry);
+ }
+ return [language, entries];
+}));
+
+const MAX_PHRASE_WORDS = Math.max(
+ ...PHRASEBOOK.flatMap((entry) => Object.values(entry).map((phrase) => words(phrase).length))
+);
+
+const isCapitalized = (word) => word[0] !== word[0].toLowerCase();
+const upperFirst = (phrase) => phrase[0].toUpperCase() + phrase.slice(1);
+
+/**
+* Dictionary Translation Strategy
+* Offline phrase-by-phrase translation of everyday chat phrases, used when
+* no translation server is set up and as the fallback when it is down.
+* Words it does not know are left as they are, so results are partial;
+* `coverage` says how much of the text was translated.
+*/
+class DictionaryTranslationStrategy {
+ constructor() {
+   this.name = 'dictionary';
+ }
+
+ isConfigured() {
+   return true;
+ }
+
+ /**
+  * @param {Object} request - { text, source, target }; without a source,
+  * the language whose phrases cover the most of the text is used
+  * @returns {Promise<Object|null>} - { text, source, coverage }, or null when
+  * no phrase was recognised
+  */
+ async translate({ text, source, target }) {
+   const candidates = source
+     ? [source]
+     : TRANSLATION_LANGUAGES.filter((language) => language !== target);
+
+   const best = candidates
+     .filter((language) => INDEX.has(language) && language !== target)
+     .map((language) => this.translateFrom(text, language, target))
+     .sort((a, b) => b.coverage - a.coverage)[0];
+
+   return best?.coverage > 0 ? best : null;
+ }
+
+ /**
+  * Greedy longest-phrase-first replacement
+  * @private
+  */
+ translateFrom(text, source, target) {
+   const index = INDEX.get(source);
+   const parts = text.normalize('NFC').replace(/’/g, '\'').split(WORD);
+   const output = [];
+   let total = 0;
+   let matched = 0;
+
+   output.push(parts[0]);
+   let i = 1;
+   while (i < parts.length) {
+     let length = Math.min(MAX_PHRASE_WORDS, (parts.length - i) / 2);
+     let entry = null;
+
+     for (; length > 0; length--) {
+       const span = [];
+       let joined = true;
+       for (let w = 0; w < length; w++) {
+         if (w > 0 && !JOINER.test(parts[i + w * 2 - 1])) {
+           joined = false;
+           break;
+         }
+         span.push(parts[i + w * 2]);
+       }
+       if (joined && (entry = index.get(keyOf(span)))) break;
+     }
+
+     if (entry && entry[target]) {
+       const translated = entry[target];
+       output.push(isCapitalized(parts[i]) ? upperFirst(translated) : translated);
+       matched += length;
+     } else {
+       length = 1;
+       output.push(parts[i]);
+     }
+
+     total += length;
+     // The gap after the last word of the span
+     output.push(parts[i + length * 2 - 1] ?? '');
+     i += length * 2;
+   }
+
+   return {
+     text: output.join(''),
+     source,
+     coverage: total > 0 ? Math.round((matched / total) * 100) / 100 : 0,
+   };
+ }
+}
+
+export default new DictionaryTranslationStrategy();
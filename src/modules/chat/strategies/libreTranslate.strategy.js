@@ -0,0 +1,46 @@
+// src/modules/chat/strategies/libreTranslate.strategy.js
+import axios from 'axios';
+import translationConfig from '../../../config/translation.js';
+
+/**
+* LibreTranslate Strategy
+* Works with any server speaking the LibreTranslate API, self-hosted or
+* libretranslate.com (which needs an API key).
+*/
+class LibreTranslateStrategy {
+ constructor() {
+   this.name = 'libretranslate';
+ }
+
+ isConfigured() {
+   return Boolean(translationConfig.libretranslate.url);
+ }
+
+ /**
+  * Translate one text
+  * @param {Object} request - { text, source, target }; source may be omitted
+  * @returns {Promise<Object>} - { text, source }
+  */
+ async translate({ text, source, target }) {
+   const { url, apiKey, timeout } = translationConfig.libretranslate;
+
+   const response = await axios.post(
+     `${url}/translate`,
+     {
+       q: text,
+       source: source || 'auto',
+       target,
+       format: 'text',
+       ...(apiKey && { api_key: apiKey }),
+     },
+     { timeout }
+   );
+
+   return {
+     text: response.data.translatedText,
+     source: response.data.detectedLanguage?.language || source,
+   };
+ }
+}
+
+export default new LibreTranslateStrategy();
@@ -0,0 +1,52 @@
+// src/modules/chat/strategies/stubTranslation.strategy.js
+
+/**
+* Stub Translation Strategy
+* Tags the text with the target language instead of translating it. Used in
+* tests - read requests back with getCalls() and simulate an outage with
+* failNext().
+*/
+class StubTranslationStrategy {
+ constructor() {
+   this.name = 'stub';
+   this.calls = [];
+   this.failures = 0;
+ }
+
+ isConfigured() {
+   return true;
+ }
+
+ async translate({ text, source, target }) {
+   this.calls.push({ text, source, target });
+
+   if (this.failures > 0) {
+     this.failures--;
+     throw new Error('Stub translation provider unavailable');
+   }
+
+   return { text: `[${target}] ${text}`, source };
+ }
+
+ // ========================
+ // Test helpers
+ // ========================
+
+ getCalls() {
+   return this.calls;
+ }
+
+ /**
+  * Make the next `count` requests fail
+  */
+ failNext(count = 1) {
+   this.failures = count;
+ }
+
+ reset() {
+   this.calls = [];
+   this.failures = 0;
+ }
+}
+
+export default new StubTranslationStrategy();
@@ -0,0 +1,322 @@
+// src/modules/chat/translation.service.js
+import Message from './message.model.js';
+import LibreTranslateStrategy from './strategies/libreTranslate.strategy.js';
+import DictionaryTranslationStrategy from './strategies/dictionary.strategy.js';
+import StubTranslationStrategy from './strategies/stubTranslation.strategy.js';
+import { detectLanguage } from './languageDetector.js';
+import translationConfig, { TRANSLATION_DRIVERS } from '../../config/translation.js';
+import socketManager from '../../config/socket.js';
+import logger from '../../shared/utils/logger.js';
+import MetricsService from '../../shared/services/metrics.service.js';
+import AppError from '../../shared/errors/AppError.js';
+import {
+ MESSAGE_TYPES,
+ SOCKET_EVENTS,
+ TRANSLATION_LANGUAGES,
+ ERROR_CODES,
+ HTTP_STATUS,
+} from '../../config/constants.js';
+
+export const TRANSLATION_QUEUE = 'message_translations';
+
+/**
+* Translation Service
+* Translates chat messages through the configured provider and keeps one
+* translation per target language on the message, so each (message,
+* language) pair is only sent to the provider once. When the provider is
+* down the offline dictionary answers instead; those partial results are
+* returned but not stored, so the message is translated properly later.
+*/
+class TranslationService {
+ constructor() {
+   this.strategies = {
+     [TRANSLATION_DRIVERS.LIBRETRANSLATE]: LibreTranslateStrategy,
+     [TRANSLATION_DRIVERS.DICTIONARY]: DictionaryTranslationStrategy,
+     [TRANSLATION_DRIVERS.STUB]: StubTranslationStrategy,
+   };
+
+   this.provider = null;
+   this.pending = new Map();
+   this.transport = (userId, event, data) => socketManager.emitToUser(userId, event, data);
+ }
+
+ /**
+  * Select the provider
+  */
+ initialize() {
+   if (this.provider) return;
+
+   const strategy = this.strategies[translationConfig.driver];
+
+   if (!strategy) {
+     throw new Error(`Unknown TRANSLATION_DRIVER "${translationConfig.driver}"`);
+   }
+
+   if (!strategy.isConfigured()) {
+     logger.warn(`Translation provider "${strategy.name}" is not configured. Using the offline dictionary.`);
+     this.provider = DictionaryTranslationStrategy;
+   } else {
+     this.provider = strategy;
+   }
+
+   logger.info(`✅ Translation service initialized (${this.provider.name})`);
+ }
+
+ /**
+  * Route translation events, e.g. to the chat namespace
+  * @param {Function} transport - (userId, event, data) => void
+  */
+ setTransport(transport) {
+   this.transport = transport;
+ }
+
+ emit(userId, event, data) {
+   try {
+     this.transport(userId.toString(), event, data);
+   } catch (error) {
+     logger.warn(`Could not emit ${event} to user ${userId}:`, error);
+   }
+ }
+
+ /**
+  * @returns {{language: string, confidence: number}|null}
+  */
+ detectLanguage(text) {
+   return detectLanguage(text, { minLength: translationConfig.minDetectLength });
+ }
+
+ /**
+  * Translate a message the user asked about
+  * @route POST /api/chat/messages/:messageId/translate
+  */
+ async translateMessage(userId, messageId, targetLanguage) {
+   const message = await Message.findById(messageId);
+   if (!message || message.status?.isDeleted) {
+     throw new AppError('Message not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.MESSAGE_NOT_FOUND);
+   }
+
+   if (message.sender.toString() !== userId && message.receiver.toString() !== userId) {
+     throw new AppError('Unauthorized to translate this message', HTTP_STATUS.FORBIDDEN, ERROR_CODES.FORBIDDEN);
+   }
+
+   // Encrypted messages can only be translated on the device that can read them
+   if (message.encryption?.isEncrypted) {
+     throw new AppError(
+       'Encrypted messages cannot be translated by the server',
+       HTTP_STATUS.UNPROCESSABLE_ENTITY,
+       ERROR_CODES.MESSAGE_ENCRYPTED
+     );
+   }
+
+   if (message.type !== MESSAGE_TYPES.TEXT || !message.content?.text) {
+     throw new AppError('Only text messages can be translated', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.VALIDATION_ERROR);
+   }
+
+   if (!TRANSLATION_LANGUAGES.includes(targetLanguage)) {
+     throw new AppError(
+       `Target language must be one of: ${TRANSLATION_LANGUAGES.join(', ')}`,
+       HTTP_STATUS.BAD_REQUEST,
+       ERROR_CODES.VALIDATION_ERROR
+     );
+   }
+
+   return this.translate(message, targetLanguage, { translatedBy: 'user' });
+ }
+
+ /**
+  * Translate a new message for its recipient and push the result to them
+  * @param {Object} data - { messageId, recipientId, targetLanguage }
+  */
+ async processAutoTranslation({ messageId, recipientId, targetLanguage }) {
+   const message = await Message.findById(messageId);
+   if (!message || message.status?.isDeleted || message.encryption?.isEncrypted) {
+     return { skipped: 'unavailable' };
+   }
+
+   let result;
+   try {
+     result = await this.translate(message, targetLanguage, { translatedBy: 'auto' });
+   } catch (error) {
+     if (error.errorCode === ERROR_CODES.TRANSLATION_UNAVAILABLE) {
+       return { skipped: 'untranslatable' };
+     }
+     throw error;
+   }
+
+   if (result.sameLanguage) {
+     return { skipped: 'same_language' };
+   }
+
+   this.emit(recipientId, SOCKET_EVENTS.MESSAGE_TRANSLATED, {
+     messageId: message._id,
+     matchId: message.matchId,
+     translation: {
+       language: result.targetLanguage,
+       text: result.translatedText,
+       sourceLanguage: result.sourceLanguage,
+       provider: result.provider,
+     },
+   });
+
+   return { translated: true, cached: result.cached };
+ }
+
+ /**
+  * Translate a message's text, reusing the stored translation if there is
+  * one. Concurrent requests for the same (message, language) share a single
+  * provider call.
+  * @param {Object} options - { translatedBy: 'auto' | 'user' }
+  */
+ async translate(message, targetLanguage, { translatedBy = 'user' } = {}) {
+   this.initialize();
+
+   const cached = this.findCached(message, targetLanguage);
+   if (cached) {
+     MetricsService.incrementCounter('translation.cache_hit', 1, { target: targetLanguage });
+     return this.formatResult(message, cached, { cached: true });
+   }
+
+   const key = `${message._id}:${targetLanguage}`;
+   if (!this.pending.has(key)) {
+     const request = this.requestTranslation(message, targetLanguage, translatedBy)
+       .finally(() => this.pending.delete(key));
+     this.pending.set(key, request);
+   }
+
+   return this.pending.get(key);
+ }
+
+ /**
+  * @private
+  */
+ async requestTranslation(message, targetLanguage, translatedBy) {
+   const text = message.content.text;
+   const sourceLanguage = message.translation?.originalLanguage || this.detectLanguage(text)?.language;
+
+   if (sourceLanguage === targetLanguage) {
+     return {
+       messageId: message._id,
+       originalText: text,
+       translatedText: text,
+       sourceLanguage,
+       targetLanguage,
+       provider: null,
+       cached: false,
+       sameLanguage: true,
+     };
+   }
+
+   const request = { text, source: sourceLanguage, target: targetLanguage };
+   let provider = this.provider;
+   let fallback = false;
+   let result;
+
+   try {
+     result = await provider.translate(request);
+   } catch (error) {
+     logger.warn(`Translation provider "${provider.name}" failed for message ${message._id}: ${error.message}`);
+     MetricsService.incrementCounter('translation.provider_failed', 1, { provider: provider.name });
+
+     if (provider === DictionaryTranslationStrategy) {
+       throw this.unavailable();
+     }
+
+     provider = DictionaryTranslationStrategy;
+     fallback = true;
+     result = await provider.translate(request);
+   }
+
+   if (!result?.text) {
+     throw this.unavailable();
+   }
+
+   const entry = {
+     language: targetLanguage,
+     text: result.text,
+     translatedAt: new Date(),
+     translatedBy,
+     provider: provider.name,
+   };
+   const detectedSource = sourceLanguage || result.source;
+
+   if (!fallback) {
+     await this.store(message, entry, detectedSource);
+   }
+
+   MetricsService.incrementCounter('translation.translated', 1, {
+     provider: provider.name,
+     target: targetLanguage,
+     translatedBy,
+   });
+
+   return this.formatResult(message, entry, {
+     cached: false,
+     sourceLanguage: detectedSource,
+     ...(fallback && { fallback: true }),
+     ...(result.coverage !== undefined && { coverage: result.coverage }),
+   });
+ }
+
+ /**
+  * Save the translation on the message. The filter keeps two workers from
+  * storing the same language twice.
+  * @private
+  */
+ async store(message, entry, sourceLanguage) {
+   const set = {
+     'translation.isTranslated': true,
+     ...(sourceLanguage && !message.translation?.originalLanguage && { 'translation.originalLanguage': sourceLanguage }),
+   };
+
+   // A dictionary translation stored before a real provider was set up
+   const stale = message.translation?.translations?.some((t) => t.language === entry.language);
+
+   if (stale) {
+     await Message.updateOne(
+       { _id: message._id, 'translation.translations.language': entry.language },
+       { $set: { ...set, 'translation.translations.$': entry } }
+     );
+   } else {
+     await Message.updateOne(
+       { _id: message._id, 'translation.translations.language': { $ne: entry.language } },
+       { $set: set, $push: { 'translation.translations': entry } }
+     );
+   }
+ }
+
+ /**
+  * Stored translation for the language. Offline dictionary results are
+  * ignored once a real provider is configured.
+  * @private
+  */
+ findCached(message, targetLanguage) {
+   const entry = message.translation?.translations?.find((t) => t.language === targetLanguage);
+   if (!entry) return null;
+
+   const fromDictionary = entry.provider === DictionaryTranslationStrategy.name;
+   return !fromDictionary || this.provider === DictionaryTranslationStrategy ? entry : null;
+ }
+
+ formatResult(message, entry, extra = {}) {
+   return {
+     messageId: message._id,
+     originalText: message.content.text,
+     translatedText: entry.text,
+     sourceLanguage: message.translation?.originalLanguage || null,
+     targetLanguage: entry.language,
+     provider: entry.provider || null,
+     translatedAt: entry.translatedAt,
+     ...extra,
+   };
+ }
+
+ unavailable() {
+   return new AppError(
+     'This message could not be translated right now',
+     HTTP_STATUS.SERVICE_UNAVAILABLE,
+     ERROR_CODES.TRANSLATION_UNAVAILABLE
+   );
+ }
+}
+
+export default new TranslationService();
@@ -0,0 +1,109 @@
+// src/modules/gift/gift.constants.js
+
+// ========================
+// GIFT CATEGORIES
+// ========================
+export const GIFT_CATEGORIES = {
+  CLASSIC: 'classic',
+  FUN: 'fun',
+  ROMANTIC: 'romantic',
+  LUXURY: 'luxury',
+  SEASONAL: 'seasonal',
+};
+
+// ========================
+// GIFT CATALOG
+// ========================
+// `coins` is the price in coins; `product` is the key of an in-app product in
+// ONE_TIME_PURCHASES.gifts. A gift may have either or both. `season` limits
+// availability to a recurring MM-DD window (UTC), which may wrap the new year.
+export const GIFT_CATALOG = {
+  rose: {
+    name: 'Rose',
+    category: GIFT_CATEGORIES.CLASSIC,
+    coins: 10,
+  },
+  coffee: {
+    name: 'Coffee',
+    category: GIFT_CATEGORIES.FUN,
+    coins: 20,
+  },
+  cocktail: {
+    name: 'Cocktail',
+    category: GIFT_CATEGORIES.FUN,
+    coins: 40,
+  },
+  teddy_bear: {
+    name: 'Teddy Bear',
+    category: GIFT_CATEGORIES.ROMANTIC,
+    coins: 60,
+  },
+  bouquet: {
+    name: 'Bouquet',
+    category: GIFT_CATEGORIES.ROMANTIC,
+    coins: 150,
+    product: 'bouquet',
+  },
+  diamond_ring: {
+    name: 'Diamond Ring',
+    category: GIFT_CATEGORIES.LUXURY,
+    product: 'diamond_ring',
+  },
+  heart_chocolates: {
+    name: 'Heart Chocolates',
+    category: GIFT_CATEGORIES.SEASONAL,
+    coins: 50,
+    season: { from: '02-01', to: '02-15' },
+  },
+  pumpkin: {
+    name: 'Pumpkin',
+    category: GIFT_CATEGORIES.SEASONAL,
+    coins: 30,
+    season: { from: '10-15', to: '11-01' },
+  },
+  snow_globe: {
+    name: 'Snow Globe',
+    category: GIFT_CATEGORIES.SEASONAL,
+    coins: 45,
+    season: { from: '12-01', to: '01-06' },
+  },
+};
+
+// ========================
+// LEDGER
+// ========================
+export const GIFT_LEDGER_TYPES = {
+  PURCHASE: 'purchase', // Coins or gifts bought through an in-app purchase
+  GIFT_SENT: 'gift_sent',
+  GIFT_RECEIVED: 'gift_received',
+  PROMOTION_SPENT: 'promotion_spent', // Coins paid for a spotlight
+  PROMOTION_REFUNDED: 'promotion_refunded',
+  STREAK_REWARD: 'streak_reward', // Coins for a conversation streak milestone
+  ADJUSTMENT: 'adjustment', // Manual credit or debit by support
+};
+
+export const GIFT_LEDGER_STATUS = {
+  PENDING: 'pending',
+  COMPLETED: 'completed',
+  REVERSED: 'reversed',
+};
+
+export const GIFT_PAYMENT_METHODS = {
+  COINS: 'coins',
+  INVENTORY: 'inventory',
+};
+
+export const GIFT_CONSTANTS = {
+  MAX_MESSAGE_LENGTH: 200,
+  HISTORY_PAGE_SIZE: 20,
+  ASSET_BASE_URL: process.env.GIFT_ASSET_BASE_URL || '/assets/gifts',
+};
+
+export default {
+  GIFT_CATEGORIES,
+  GIFT_CATALOG,
+  GIFT_LEDGER_TYPES,
+  GIFT_LEDGER_STATUS,
+  GIFT_PAYMENT_METHODS,
+  GIFT_CONSTANTS,
+};
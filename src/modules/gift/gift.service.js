@@ -0,0 +1,440 @@
+// src/modules/gift/gift.service.js
+import Inventory from './inventory.model.js';
+import GiftLedger from './giftLedger.model.js';
+import Match from '../match/match.model.js';
+import Message from '../chat/message.model.js';
+import ChatService from '../chat/chat.service.js';
+import socketManager from '../../config/socket.js';
+import logger from '../../shared/utils/logger.js';
+import MetricsService from '../../shared/services/metrics.service.js';
+import AppError from '../../shared/errors/AppError.js';
+import { ONE_TIME_PURCHASES } from '../payment/payment.constants.js';
+import {
+ GIFT_CATALOG,
+ GIFT_LEDGER_TYPES,
+ GIFT_LEDGER_STATUS,
+ GIFT_PAYMENT_METHODS,
+ GIFT_CONSTANTS,
+} from './gift.constants.js';
+import {
+ MESSAGE_TYPES,
+ ERROR_CODES,
+ HTTP_STATUS,
+ SOCKET_EVENTS,
+} from '../../config/constants.js';
+
+class GiftService {
+ // ========================
+ // CATALOG
+ // ========================
+
+ /**
+  * Check a recurring MM-DD season window, which may wrap the new year
+  */
+ isInSeason(season, now = new Date()) {
+   if (!season) return true;
+
+   const today = now.toISOString().slice(5, 10);
+   return season.from <= season.to
+     ? today >= season.from && today <= season.to
+     : today >= season.from || today <= season.to;
+ }
+
+ /**
+  * Catalog entry shaped for clients
+  */
+ formatGift(giftId, gift, now = new Date()) {
+   const product = gift.product ? ONE_TIME_PURCHASES.gifts[gift.product] : null;
+
+   return {
+     id: giftId,
+     name: gift.name,
+     category: gift.category,
+     imageUrl: `${GIFT_CONSTANTS.ASSET_BASE_URL}/${giftId}.png`,
+     animationUrl: `${GIFT_CONSTANTS.ASSET_BASE_URL}/${giftId}.json`,
+     price: {
+       coins: gift.coins ?? null,
+       product: product ? { id: gift.product, amount: product.amount, currency: 'USD' } : null,
+     },
+     season: gift.season || null,
+     isAvailable: this.isInSeason(gift.season, now),
+   };
+ }
+
+ findCatalogGift(giftId) {
+   return Object.prototype.hasOwnProperty.call(GIFT_CATALOG, giftId) ? GIFT_CATALOG[giftId] : null;
+ }
+
+ /**
+  * Look up a gift that can be sent right now
+  */
+ getGift(giftId, now = new Date()) {
+   const gift = this.findCatalogGift(giftId);
+
+   if (!gift) {
+     throw new AppError('Gift not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.GIFT_NOT_FOUND);
+   }
+
+   if (!this.isInSeason(gift.season, now)) {
+     throw new AppError('This gift is out of season', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.GIFT_UNAVAILABLE);
+   }
+
+   return this.formatGift(giftId, gift, now);
+ }
+
+ /**
+  * Gifts available today, with what the user owns and can afford
+  */
+ async getAvailableGifts(userId, now = new Date()) {
+   try {
+     const inventory = await Inventory.findOne({ user: userId });
+     const coins = inventory?.coins || 0;
+
+     const gifts = Object.entries(GIFT_CATALOG)
+       .filter(([, gift]) => this.isInSeason(gift.season, now))
+       .map(([giftId, gift]) => {
+         const owned = inventory?.getGiftQuantity(giftId) || 0;
+         return {
+           ...this.formatGift(giftId, gift, now),
+           owned,
+           canSend: owned > 0 || (gift.coins !== undefined && coins >= gift.coins),
+         };
+       });
+
+     return {
+       gifts,
+       balance: this.formatInventory(inventory),
+     };
+   } catch (error) {
+     logger.error('Error getting available gifts:', error);
+     throw error;
+   }
+ }
+
+ // ========================
+ // INVENTORY
+ // ========================
+
+ async getInventory(userId) {
+   const inventory = await Inventory.findOne({ user: userId });
+   return this.formatInventory(inventory);
+ }
+
+ formatInventory(inventory) {
+   return {
+     coins: inventory?.coins || 0,
+     boosts: inventory?.boosts || 0,
+     gifts: (inventory?.gifts || [])
+       .filter(g => g.quantity > 0)
+       .map(g => ({ giftId: g.giftId, quantity: g.quantity })),
+   };
+ }
+
+ /**
+  * Credit coins, gifts or boosts bought through an in-app purchase. The ledger entry
+  * is written first: its unique index on the transaction stops a replayed
+  * receipt from being credited twice.
+  * @param {Object} purchase - { itemType: 'coins' | 'gifts' | 'boosts', quantity, giftId, transactionId }
+  */
+ async creditPurchase(userId, { itemType, quantity, giftId, transactionId }) {
+   if (itemType === 'gifts' && !this.findCatalogGift(giftId)) {
+     throw new AppError('Gift not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.GIFT_NOT_FOUND);
+   }
+
+   let entry;
+   try {
+     entry = await GiftLedger.create({
+       user: userId,
+       type: GIFT_LEDGER_TYPES.PURCHASE,
+       status: GIFT_LEDGER_STATUS.PENDING,
+       coins: itemType === 'coins' ? quantity : 0,
+       giftId: itemType === 'gifts' ? giftId : undefined,
+       quantity: itemType === 'coins' ? 0 : quantity,
+       transaction: transactionId,
+     });
+   } catch (error) {
+     if (error.code === 11000) {
+       logger.warn(`Purchase ${transactionId} was already credited to user ${userId}`);
+       return this.getInventory(userId);
+     }
+     throw error;
+   }
+
+   try {
+     let inventory;
+     if (itemType === 'coins') {
+       inventory = await Inventory.creditCoins(userId, quantity, { purchased: true });
+     } else if (itemType === 'boosts') {
+       inventory = await Inventory.creditBoosts(userId, quantity);
+     } else {
+       inventory = await Inventory.creditGift(userId, giftId, quantity);
+     }
+
+     entry.status = GIFT_LEDGER_STATUS.COMPLETED;
+     entry.balanceAfter = inventory.coins;
+     await entry.save();
+
+     this.emitInventory(userId, inventory);
+
+     return this.formatInventory(inventory);
+   } catch (error) {
+     // Nothing was credited, so let the purchase be retried
+     await GiftLedger.deleteOne({ _id: entry._id });
+     logger.error('Error crediting purchase:', error);
+     throw error;
+   }
+ }
+
+ // ========================
+ // SENDING
+ // ========================
+
+ /**
+  * Send a gift to the other user of a match.
+  *
+  * The cost is taken with a single conditional update (an owned gift first,
+  * then coins), so concurrent sends can never spend the same balance twice.
+  * If the gift message can't be delivered the charge is reversed.
+  *
+  * @param {Object} data - { giftId, message, paymentMethod, idempotencyKey, platform }
+  */
+ async sendGift(senderId, matchId, data = {}) {
+   try {
+     const match = await this.getMatchForUser(matchId, senderId);
+     const recipientId = match.getOtherUser(senderId);
+     const gift = this.getGift(data.giftId);
+
+     if (data.idempotencyKey) {
+       const existing = await GiftLedger.findOne({ user: senderId, idempotencyKey: data.idempotencyKey });
+       if (existing) {
+         return this.formatSentGift(existing, gift, await Inventory.findOne({ user: senderId }));
+       }
+     }
+
+     const charge = await this.charge(senderId, gift, data.paymentMethod);
+
+     let entry;
+     try {
+       entry = await GiftLedger.create({
+         user: senderId,
+         type: GIFT_LEDGER_TYPES.GIFT_SENT,
+         status: GIFT_LEDGER_STATUS.PENDING,
+         coins: -charge.coins,
+         giftId: gift.id,
+         quantity: charge.method === GIFT_PAYMENT_METHODS.INVENTORY ? -1 : 0,
+         paymentMethod: charge.method,
+         balanceAfter: charge.inventory.coins,
+         match: match._id,
+         counterparty: recipientId,
+         idempotencyKey: data.idempotencyKey,
+       });
+     } catch (error) {
+       await this.refundCharge(senderId, gift, charge);
+
+       // A concurrent request with the same key got there first
+       if (error.code === 11000 && data.idempotencyKey) {
+         const existing = await GiftLedger.findOne({ user: senderId, idempotencyKey: data.idempotencyKey });
+         return this.formatSentGift(existing, gift, await Inventory.findOne({ user: senderId }));
+       }
+       throw error;
+     }
+
+     let chatMessage;
+     try {
+       const result = await ChatService.sendMessage(senderId, matchId, {
+         type: MESSAGE_TYPES.VIRTUAL_GIFT,
+         content: {
+           giftId: gift.id,
+           giftType: gift.category,
+           giftUrl: gift.imageUrl,
+           giftMessage: data.message,
+           ledgerEntryId: entry._id.toString(),
+         },
+         payment: {
+           amount: charge.coins,
+           currency: 'coins',
+           transactionId: entry._id.toString(),
+           isPaid: true,
+           paidAt: new Date(),
+         },
+         clientId: data.idempotencyKey,
+         platform: data.platform,
+       });
+       chatMessage = result.message;
+     } catch (error) {
+       // The message may have been stored before a later step failed
+       const delivered = await Message.findOne({ 'payment.transactionId': entry._id.toString() }).select('_id');
+       if (!delivered) {
+         await this.reverseSend(entry, gift, charge, error.message);
+         throw error;
+       }
+       chatMessage = { id: delivered._id };
+     }
+
+     entry.message = chatMessage.id;
+     entry.status = GIFT_LEDGER_STATUS.COMPLETED;
+     await entry.save();
+
+     await GiftLedger.create({
+       user: recipientId,
+       type: GIFT_LEDGER_TYPES.GIFT_RECEIVED,
+       giftId: gift.id,
+       match: match._id,
+       counterparty: senderId,
+       message: chatMessage.id,
+       relatedEntry: entry._id,
+     });
+     await Inventory.updateOne(
+       { user: recipientId },
+       { $inc: { 'stats.giftsReceived': 1 } },
+       { upsert: true, setDefaultsOnInsert: true }
+     );
+
+     this.emitInventory(senderId, charge.inventory);
+     try {
+       socketManager.emitToUser(recipientId.toString(), SOCKET_EVENTS.GIFT_RECEIVED, {
+         matchId: match._id,
+         messageId: chatMessage.id,
+         gift,
+         from: senderId,
+       });
+     } catch (error) {
+       logger.debug('Could not emit gift received:', error.message);
+     }
+
+     await MetricsService.incrementCounter('gifts.sent', 1, { giftId: gift.id, paymentMethod: charge.method });
+     if (charge.coins > 0) {
+       await MetricsService.incrementCounter('gifts.coins_spent', charge.coins);
+     }
+
+     return {
+       ...this.formatSentGift(entry, gift, charge.inventory),
+       message: chatMessage,
+     };
+   } catch (error) {
+     logger.error('Error sending gift:', error);
+     throw error;
+   }
+ }
+
+ /**
+  * Take payment for a gift. Owned gifts are used before coins unless the
+  * client asks for a specific method.
+  * @returns {Promise<Object>} - { method, coins, inventory }
+  */
+ async charge(userId, gift, preferredMethod = null) {
+   const canUseInventory = preferredMethod !== GIFT_PAYMENT_METHODS.COINS;
+   const canUseCoins = preferredMethod !== GIFT_PAYMENT_METHODS.INVENTORY && gift.price.coins !== null;
+
+   if (canUseInventory) {
+     const inventory = await Inventory.spendGift(userId, gift.id);
+     if (inventory) {
+       return { method: GIFT_PAYMENT_METHODS.INVENTORY, coins: 0, inventory };
+     }
+   }
+
+   if (canUseCoins) {
+     const inventory = await Inventory.spendCoins(userId, gift.price.coins);
+     if (inventory) {
+       return { method: GIFT_PAYMENT_METHODS.COINS, coins: gift.price.coins, inventory };
+     }
+   }
+
+   throw new AppError(
+     gift.price.coins !== null ? 'Not enough coins to send this gift' : 'Buy this gift before sending it',
+     HTTP_STATUS.PAYMENT_REQUIRED,
+     ERROR_CODES.INSUFFICIENT_CREDITS,
+     { details: { giftId: gift.id, price: gift.price } }
+   );
+ }
+
+ async refundCharge(userId, gift, charge) {
+   try {
+     return await Inventory.refundSpend(userId, charge.method === GIFT_PAYMENT_METHODS.INVENTORY
+       ? { giftId: gift.id }
+       : { coins: charge.coins });
+   } catch (error) {
+     // Leaves the ledger entry pending so it can be reconciled by hand
+     logger.error(`Failed to refund gift charge for user ${userId}:`, error);
+     return null;
+   }
+ }
+
+ async reverseSend(entry, gift, charge, reason) {
+   const inventory = await this.refundCharge(entry.user, gift, charge);
+
+   if (inventory) {
+     entry.status = GIFT_LEDGER_STATUS.REVERSED;
+     entry.reversedAt = new Date();
+     entry.reversalReason = reason;
+     await entry.save();
+     this.emitInventory(entry.user, inventory);
+   }
+ }
+
+ // ========================
+ // HISTORY
+ // ========================
+
+ /**
+  * A user's ledger, newest first
+  */
+ async getLedger(userId, { type, before, limit = GIFT_CONSTANTS.HISTORY_PAGE_SIZE } = {}) {
+   const query = { user: userId, status: { $ne: GIFT_LEDGER_STATUS.PENDING } };
+   if (type) query.type = type;
+   if (before) query.createdAt = { $lt: new Date(before) };
+
+   const entries = await GiftLedger.find(query)
+     .sort({ createdAt: -1 })
+     .limit(Math.min(Number(limit) || GIFT_CONSTANTS.HISTORY_PAGE_SIZE, 100))
+     .populate('counterparty', 'profile.firstName profile.displayName')
+     .lean();
+
+   return entries;
+ }
+
+ // ========================
+ // HELPERS
+ // ========================
+
+ async getMatchForUser(matchId, userId) {
+   const match = await Match.findById(matchId);
+
+   if (!match) {
+     throw new AppError('Match not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.MATCH_NOT_FOUND);
+   }
+
+   if (!match.hasUser(userId)) {
+     throw new AppError('Unauthorized to send a gift in this match', HTTP_STATUS.FORBIDDEN, ERROR_CODES.FORBIDDEN);
+   }
+
+   if (!match.status?.isActive) {
+     throw new AppError('This match is no longer active', HTTP_STATUS.FORBIDDEN, ERROR_CODES.MATCH_INACTIVE);
+   }
+
+   return match;
+ }
+
+ formatSentGift(entry, gift, inventory) {
+   return {
+     id: entry._id,
+     gift,
+     status: entry.status,
+     paymentMethod: entry.paymentMethod,
+     coinsSpent: -entry.coins,
+     messageId: entry.message || null,
+     sentAt: entry.createdAt,
+     balance: this.formatInventory(inventory),
+   };
+ }
+
+ emitInventory(userId, inventory) {
+   try {
+     socketManager.emitToUser(userId.toString(), SOCKET_EVENTS.INVENTORY_UPDATED, this.formatInventory(inventory));
+   } catch (error) {
+     logger.debug('Could not emit inventory update:', error.message);
+   }
+ }
+}
+
+export default new GiftService();
@@ -0,0 +1,123 @@
+// src/modules/gift/giftLedger.model.js
+import mongoose from 'mongoose';
+import {
+ GIFT_LEDGER_TYPES,
+ GIFT_LEDGER_STATUS,
+ GIFT_PAYMENT_METHODS,
+} from './gift.constants.js';
+
+const { Schema } = mongoose;
+
+/**
+* GiftLedger Schema - Append-only record of every coin and gift movement.
+* Purchases point at the payment Transaction that funded them; a sent gift
+* has a matching received entry for the other user.
+*/
+const giftLedgerSchema = new Schema(
+ {
+   user: {
+     type: Schema.Types.ObjectId,
+     ref: 'User',
+     required: true,
+     index: true,
+   },
+
+   type: {
+     type: String,
+     enum: Object.values(GIFT_LEDGER_TYPES),
+     required: true,
+   },
+
+   status: {
+     type: String,
+     enum: Object.values(GIFT_LEDGER_STATUS),
+     default: GIFT_LEDGER_STATUS.COMPLETED,
+   },
+
+   // Signed changes to the user's inventory
+   coins: {
+     type: Number,
+     default: 0,
+   },
+   giftId: String,
+   quantity: {
+     type: Number,
+     default: 0,
+   },
+
+   // How a sent gift was paid for
+   paymentMethod: {
+     type: String,
+     enum: Object.values(GIFT_PAYMENT_METHODS),
+   },
+
+   // Coin balance right after this entry was applied
+   balanceAfter: Number,
+
+   // Payment transaction that funded a purchase
+   transaction: {
+     type: Schema.Types.ObjectId,
+     ref: 'Transaction',
+   },
+
+   // Gift delivery
+   match: {
+     type: Schema.Types.ObjectId,
+     ref: 'Match',
+   },
+   counterparty: {
+     type: Schema.Types.ObjectId,
+     ref: 'User',
+   },
+   message: {
+     type: Schema.Types.ObjectId,
+     ref: 'Message',
+   },
+   relatedEntry: {
+     type: Schema.Types.ObjectId,
+     ref: 'GiftLedger',
+   },
+
+   // Boost or spotlight paid for with coins
+   promotion: {
+     type: Schema.Types.ObjectId,
+     ref: 'Promotion',
+   },
+
+   // Client supplied key so a retried send is only charged once
+   idempotencyKey: String,
+
+   reversedAt: Date,
+   reversalReason: String,
+   note: String,
+ },
+ {
+   timestamps: true,
+ }
+);
+
+// ============================
+// Indexes
+// ============================
+
+giftLedgerSchema.index({ user: 1, createdAt: -1 });
+giftLedgerSchema.index({ match: 1, createdAt: -1 }, { sparse: true });
+giftLedgerSchema.index(
+ { user: 1, idempotencyKey: 1 },
+ { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+// A payment transaction can only be credited once
+giftLedgerSchema.index(
+ { transaction: 1, type: 1 },
+ { unique: true, partialFilterExpression: { transaction: { $type: 'objectId' } } }
+);
+
+// A promotion is charged and refunded at most once
+giftLedgerSchema.index(
+ { promotion: 1, type: 1 },
+ { unique: true, partialFilterExpression: { promotion: { $type: 'objectId' } } }
+);
+
+const GiftLedger = mongoose.model('GiftLedger', giftLedgerSchema);
+
+export default GiftLedger;
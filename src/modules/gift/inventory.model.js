@@ -0,0 +1,227 @@
+// src/modules/gift/inventory.model.js
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+/**
+* Inventory Schema - A user's coin balance, the premium gifts they own and
+* the boosts they bought.
+* Balances only change through the atomic statics below, which never let a
+* balance go negative, so concurrent spends cannot double-spend.
+*/
+const inventorySchema = new Schema(
+ {
+   user: {
+     type: Schema.Types.ObjectId,
+     ref: 'User',
+     required: true,
+     unique: true,
+   },
+
+   coins: {
+     type: Number,
+     default: 0,
+     min: 0,
+   },
+
+   // Gifts bought as in-app products, waiting to be sent
+   gifts: [
+     {
+       _id: false,
+       giftId: {
+         type: String,
+         required: true,
+       },
+       quantity: {
+         type: Number,
+         default: 0,
+         min: 0,
+       },
+     },
+   ],
+
+   // Boosts bought as in-app products, on top of the subscription allowance
+   boosts: {
+     type: Number,
+     default: 0,
+     min: 0,
+   },
+
+   // Lifetime counters
+   stats: {
+     coinsPurchased: {
+       type: Number,
+       default: 0,
+     },
+     coinsSpent: {
+       type: Number,
+       default: 0,
+     },
+     giftsSent: {
+       type: Number,
+       default: 0,
+     },
+     giftsReceived: {
+       type: Number,
+       default: 0,
+     },
+   },
+ },
+ {
+   timestamps: true,
+ }
+);
+
+// ============================
+// Methods
+// ============================
+
+/**
+* Number of a gift the user owns
+*/
+inventorySchema.methods.getGiftQuantity = function (giftId) {
+ return this.gifts.find((g) => g.giftId === giftId)?.quantity || 0;
+};
+
+// ============================
+// Statics
+// ============================
+
+/**
+* Get a user's inventory, creating an empty one on first use
+*/
+inventorySchema.statics.findOrCreate = function (userId) {
+ return this.findOneAndUpdate(
+   { user: userId },
+   { $setOnInsert: { user: userId } },
+   { upsert: true, new: true, setDefaultsOnInsert: true }
+ );
+};
+
+/**
+* Deduct coins if the balance covers them
+* @returns {Promise<Object|null>} - updated inventory, or null when the balance is too low
+*/
+inventorySchema.statics.spendCoins = function (userId, amount, { gift = true } = {}) {
+ const inc = { coins: -amount, 'stats.coinsSpent': amount };
+ if (gift) {
+   inc['stats.giftsSent'] = 1;
+ }
+
+ return this.findOneAndUpdate(
+   { user: userId, coins: { $gte: amount } },
+   { $inc: inc },
+   { new: true }
+ );
+};
+
+/**
+* Give back coins spent on something other than a gift
+*/
+inventorySchema.statics.refundCoins = function (userId, amount) {
+ return this.findOneAndUpdate(
+   { user: userId },
+   { $inc: { coins: amount, 'stats.coinsSpent': -amount } },
+   { new: true }
+ );
+};
+
+/**
+* Use one purchased boost
+* @returns {Promise<Object|null>} - updated inventory, or null when none is left
+*/
+inventorySchema.statics.spendBoost = function (userId) {
+ return this.findOneAndUpdate(
+   { user: userId, boosts: { $gte: 1 } },
+   { $inc: { boosts: -1 } },
+   { new: true }
+ );
+};
+
+/**
+* Add purchased (or refunded) boosts
+*/
+inventorySchema.statics.creditBoosts = function (userId, quantity = 1) {
+ return this.findOneAndUpdate(
+   { user: userId },
+   { $inc: { boosts: quantity } },
+   { upsert: true, new: true, setDefaultsOnInsert: true }
+ );
+};
+
+/**
+* Take one owned gift out of the inventory
+* @returns {Promise<Object|null>} - updated inventory, or null when none is owned
+*/
+inventorySchema.statics.spendGift = function (userId, giftId) {
+ return this.findOneAndUpdate(
+   { user: userId, gifts: { $elemMatch: { giftId, quantity: { $gte: 1 } } } },
+   { $inc: { 'gifts.$.quantity': -1, 'stats.giftsSent': 1 } },
+   { new: true }
+ );
+};
+
+/**
+* Add coins
+*/
+inventorySchema.statics.creditCoins = async function (userId, amount, { purchased = false } = {}) {
+ const inc = { coins: amount };
+ if (purchased) {
+   inc['stats.coinsPurchased'] = amount;
+ }
+
+ return this.findOneAndUpdate(
+   { user: userId },
+   { $inc: inc },
+   { upsert: true, new: true, setDefaultsOnInsert: true }
+ );
+};
+
+/**
+* Add owned gifts. Increments the existing entry or pushes a new one; the
+* push is conditional so two concurrent credits can't create duplicate entries.
+*/
+inventorySchema.statics.creditGift = async function (userId, giftId, quantity = 1) {
+ await this.findOrCreate(userId);
+
+ for (let attempt = 0; attempt < 2; attempt++) {
+   const incremented = await this.findOneAndUpdate(
+     { user: userId, 'gifts.giftId': giftId },
+     { $inc: { 'gifts.$.quantity': quantity } },
+     { new: true }
+   );
+   if (incremented) return incremented;
+
+   const pushed = await this.findOneAndUpdate(
+     { user: userId, 'gifts.giftId': { $ne: giftId } },
+     { $push: { gifts: { giftId, quantity } } },
+     { new: true }
+   );
+   if (pushed) return pushed;
+ }
+
+ throw new Error(`Could not credit gift ${giftId} to user ${userId}`);
+};
+
+/**
+* Undo a spend after a failed delivery
+*/
+inventorySchema.statics.refundSpend = function (userId, { coins = 0, giftId = null }) {
+ if (giftId) {
+   return this.findOneAndUpdate(
+     { user: userId, 'gifts.giftId': giftId },
+     { $inc: { 'gifts.$.quantity': 1, 'stats.giftsSent': -1 } },
+     { new: true }
+   );
+ }
+
+ return this.findOneAndUpdate(
+   { user: userId },
+   { $inc: { coins, 'stats.coinsSpent': -coins, 'stats.giftsSent': -1 } },
+   { new: true }
+ );
+};
+
+const Inventory = mongoose.model('Inventory', inventorySchema);
+
+export default Inventory;
@@ -0,0 +1,537 @@
+// src/modules/match/activity.service.js
+import mongoose from 'mongoose';
+import Match from './match.model.js';
+import User from '../user/user.model.js';
+import Swipe from './swipe.model.js';
+import DateProposal from './dateProposal.model.js';
+import Inventory from '../gift/inventory.model.js';
+import GiftLedger from '../gift/giftLedger.model.js';
+import logger from '../../shared/utils/logger.js';
+import AppError from '../../shared/errors/AppError.js';
+import MetricsService from '../../shared/services/metrics.service.js';
+import NotificationService from '../../shared/services/notification.service.js';
+import { GIFT_CATALOG, GIFT_LEDGER_STATUS, GIFT_LEDGER_TYPES } from '../gift/gift.constants.js';
+import {
+ ACTIVITY_TYPES,
+ ACTIVITY_CONSTANTS,
+ DATE_STATUS,
+ ERROR_CODES,
+ HTTP_STATUS,
+ NOTIFICATION_TYPES,
+ SUBSCRIPTION_FEATURES,
+ SWIPE_ACTIONS,
+} from '../../config/constants.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const STREAK = 'engagement.activityStreak';
+const USER_FIELDS = 'profile.firstName profile.displayName profile.photos verification.photo';
+
+// Matches show as expiring this long after they were made
+const EXPIRING_OFFSET_MS = ACTIVITY_CONSTANTS.MATCH_EXPIRY_DAYS * DAY_MS - ACTIVITY_CONSTANTS.EXPIRING_NOTICE_HOURS * HOUR_MS;
+
+const startOfUTCDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+/**
+* Activity Service
+* One feed of what happened around the user (matches, likes, profile updates
+* from matches, expiring matches, date proposals and gifts) and per-match
+* conversation streaks: a streak day counts once both people have messaged on
+* the same UTC day.
+*/
+class ActivityService {
+ // ========================
+ // FEED
+ // ========================
+
+ /**
+  * Newest-first activity feed. Every source is read with the same
+  * (at, id) cursor, so pages never repeat or skip items.
+  * @param {Object} options - { limit, cursor }
+  */
+ async getFeed(userId, { limit = ACTIVITY_CONSTANTS.FEED_PAGE_SIZE, cursor = null } = {}) {
+   const pageSize = Math.min(Math.max(limit, 1), ACTIVITY_CONSTANTS.MAX_FEED_PAGE_SIZE);
+   const before = this.decodeCursor(cursor);
+   const uid = new mongoose.Types.ObjectId(userId);
+   const now = new Date();
+
+   try {
+     const sources = await Promise.all([
+       this.getNewMatches(uid, before, pageSize + 1),
+       this.getLikesReceived(uid, before, pageSize + 1),
+       this.getProfileUpdates(uid, before, pageSize + 1),
+       this.getExpiringMatches(uid, before, pageSize + 1, now),
+       this.getDateProposals(uid, before, pageSize + 1),
+       this.getGiftsReceived(uid, before, pageSize + 1),
+     ]);
+
+     const items = sources
+       .flat()
+       .sort((a, b) => b.at - a.at || b.id.toString().localeCompare(a.id.toString()));
+
+     const page = items.slice(0, pageSize);
+     const hasMore = items.length > pageSize;
+
+     return {
+       items: page,
+       nextCursor: hasMore ? this.encodeCursor(page[page.length - 1]) : null,
+       hasMore,
+     };
+   } catch (error) {
+     logger.error(`Error loading activity feed for user ${userId}:`, error);
+     throw error;
+   }
+ }
+
+ async getNewMatches(userId, before, limit) {
+   const matches = await Match.find({
+     users: userId,
+     'status.isActive': true,
+     ...this.beforeFilter('matchedAt', before),
+   })
+     .sort({ matchedAt: -1, _id: -1 })
+     .limit(limit)
+     .populate('users', USER_FIELDS);
+
+   return matches.map(match => ({
+     id: match._id,
+     type: ACTIVITY_TYPES.NEW_MATCH,
+     at: match.matchedAt,
+     matchId: match._id,
+     user: this.formatUser(match.users.find(u => u && !u._id.equals(userId))),
+   }));
+ }
+
+ /**
+  * Likes not yet matched. Senders stay hidden unless the plan includes
+  * seeing who likes you; super likes always show who sent them.
+  */
+ async getLikesReceived(userId, before, limit) {
+   const [likes, viewer] = await Promise.all([
+     Swipe.find({
+       to: userId,
+       action: { $in: [SWIPE_ACTIONS.LIKE, SWIPE_ACTIONS.SUPER_LIKE] },
+       isActive: true,
+       'match.isMatch': false,
+       ...this.beforeFilter('swipedAt', before),
+     })
+       .sort({ swipedAt: -1, _id: -1 })
+       .limit(limit)
+       .populate('from', USER_FIELDS),
+     User.findById(userId).select('subscription').lean(),
+   ]);
+
+   const canSeeLikes = Boolean(SUBSCRIPTION_FEATURES[viewer?.subscription?.type]?.seeWhoLikesYou);
+
+   return likes.map(like => {
+     const isSuperLike = like.action === SWIPE_ACTIONS.SUPER_LIKE;
+     const visible = canSeeLikes || isSuperLike;
+
+     return {
+       id: like._id,
+       type: ACTIVITY_TYPES.LIKE_RECEIVED,
+       at: like.swipedAt,
+       isSuperLike,
+       isBlurred: !visible,
+       user: visible ? this.formatUser(like.from) : null,
+     };
+   });
+ }
+
+ /**
+  * Profile changes matches made after matching with the user
+  */
+ async getProfileUpdates(userId, before, limit) {
+   const updates = await Match.aggregate([
+     { $match: { users: userId, 'status.isActive': true } },
+     {
+       $project: {
+         matchedAt: 1,
+         other: { $arrayElemAt: [{ $filter: { input: '$users', cond: { $ne: ['$$this', userId] } } }, 0] },
+       },
+     },
+     {
+       $lookup: {
+         from: 'users',
+         let: { other: '$other' },
+         pipeline: [
+           { $match: { $expr: { $eq: ['$_id', '$$other'] } } },
+           { $project: { profile: { firstName: 1, displayName: 1, photos: 1 }, verification: { photo: 1 }, profileUpdate: 1 } },
+         ],
+         as: 'user',
+       },
+     },
+     { $unwind: '$user' },
+     {
+       $match: {
+         $expr: { $gt: ['$user.profileUpdate.at', '$matchedAt'] },
+         ...this.beforeFilter('user.profileUpdate.at', before, 'user._id'),
+       },
+     },
+     { $sort: { 'user.profileUpdate.at': -1, 'user._id': -1 } },
+     { $limit: limit },
+   ]);
+
+   return updates.map(({ _id, user }) => ({
+     id: user._id,
+     type: ACTIVITY_TYPES.PROFILE_UPDATED,
+     at: user.profileUpdate.at,
+     matchId: _id,
+     changes: user.profileUpdate.changes,
+     user: this.formatUser(user),
+   }));
+ }
+
+ /**
+  * Matches nobody has messaged that go stale within EXPIRING_NOTICE_HOURS.
+  * They are dated from when the notice window opened.
+  */
+ async getExpiringMatches(userId, before, limit, now = new Date()) {
+   const expiryMs = ACTIVITY_CONSTANTS.MATCH_EXPIRY_DAYS * DAY_MS;
+   const shifted = before ? { at: new Date(before.at.getTime() - EXPIRING_OFFSET_MS), id: before.id } : null;
+
+   const matches = await Match.find({
+     users: userId,
+     'status.isActive': true,
+     'interaction.hasExchangedMessages': { $ne: true },
+     matchedAt: { $gt: new Date(now.getTime() - expiryMs), $lte: new Date(now.getTime() - EXPIRING_OFFSET_MS) },
+     ...this.beforeFilter('matchedAt', shifted),
+   })
+     .sort({ matchedAt: -1, _id: -1 })
+     .limit(limit)
+     .populate('users', USER_FIELDS);
+
+   return matches.map(match => ({
+     id: match._id,
+     type: ACTIVITY_TYPES.MATCH_EXPIRING,
+     at: new Date(match.matchedAt.getTime() + EXPIRING_OFFSET_MS),
+     matchId: match._id,
+     expiresAt: new Date(match.matchedAt.getTime() + expiryMs),
+     user: this.formatUser(match.users.find(u => u && !u._id.equals(userId))),
+   }));
+ }
+
+ /**
+  * Date proposals waiting on the user's answer
+  */
+ async getDateProposals(userId, before, limit) {
+   const proposals = await DateProposal.find({
+     awaitingResponseFrom: userId,
+     status: { $in: [DATE_STATUS.PROPOSED, DATE_STATUS.COUNTERED] },
+     ...this.beforeFilter('updatedAt', before),
+   })
+     .sort({ updatedAt: -1, _id: -1 })
+     .limit(limit)
+     .populate('participants', USER_FIELDS);
+
+   return proposals.map(proposal => ({
+     id: proposal._id,
+     type: ACTIVITY_TYPES.DATE_PROPOSAL,
+     at: proposal.updatedAt,
+     matchId: proposal.match,
+     dateId: proposal._id,
+     status: proposal.status,
+     title: proposal.title,
+     user: this.formatUser(proposal.participants.find(u => u && !u._id.equals(userId))),
+   }));
+ }
+
+ async getGiftsReceived(userId, before, limit) {
+   const gifts = await GiftLedger.find({
+     user: userId,
+     type: GIFT_LEDGER_TYPES.GIFT_RECEIVED,
+     status: GIFT_LEDGER_STATUS.COMPLETED,
+     ...this.beforeFilter('createdAt', before),
+   })
+     .sort({ createdAt: -1, _id: -1 })
+     .limit(limit)
+     .populate('counterparty', USER_FIELDS);
+
+   return gifts.map(entry => ({
+     id: entry._id,
+     type: ACTIVITY_TYPES.GIFT_RECEIVED,
+     at: entry.createdAt,
+     matchId: entry.match,
+     gift: {
+       id: entry.giftId,
+       name: GIFT_CATALOG[entry.giftId]?.name || entry.giftId,
+       quantity: entry.quantity,
+     },
+     user: this.formatUser(entry.counterparty),
+   }));
+ }
+
+ /**
+  * Query for items strictly older than the cursor
+  */
+ beforeFilter(field, before, idField = '_id') {
+   if (!before) return {};
+
+   return {
+     $or: [
+       { [field]: { $lt: before.at } },
+       { [field]: before.at, [idField]: { $lt: before.id } },
+     ],
+   };
+ }
+
+ encodeCursor(item) {
+   return Buffer.from(JSON.stringify({ at: item.at.toISOString(), id: item.id.toString() })).toString('base64url');
+ }
+
+ decodeCursor(cursor) {
+   if (!cursor) return null;
+
+   try {
+     const { at, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+     const date = new Date(at);
+     if (Number.isNaN(date.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+       throw new Error('Malformed cursor');
+     }
+     return { at: date, id: new mongoose.Types.ObjectId(id) };
+   } catch {
+     throw new AppError('Invalid cursor', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.VALIDATION_ERROR);
+   }
+ }
+
+ formatUser(user) {
+   if (!user) return null;
+
+   const photos = user.profile?.photos || [];
+   const photo = photos.find(p => p.isMain) || photos[0];
+
+   return {
+     _id: user._id,
+     firstName: user.profile?.firstName,
+     displayName: user.profile?.displayName || user.profile?.firstName,
+     photo: photo?.thumbnailUrl || photo?.url || null,
+     isVerified: Boolean(user.verification?.photo?.verified),
+   };
+ }
+
+ // ========================
+ // STREAKS
+ // ========================
+
+ /**
+  * Record a message for the sender's streak day. Returns the streak when
+  * this message completed the day for both people, otherwise null.
+  */
+ async recordMessage(matchId, senderId, at = new Date()) {
+   const day = startOfUTCDay(at);
+
+   try {
+     // The first message of a new day starts a fresh list of senders
+     await Match.updateOne(
+       { _id: matchId, [`${STREAK}.currentDay`]: { $ne: day } },
+       { $set: { [`${STREAK}.currentDay`]: day, [`${STREAK}.currentDaySenders`]: [] } }
+     );
+
+     const match = await Match.findOneAndUpdate(
+       { _id: matchId, [`${STREAK}.currentDay`]: day, [`${STREAK}.currentDaySenders`]: { $ne: senderId } },
+       { $addToSet: { [`${STREAK}.currentDaySenders`]: senderId } },
+       { new: true }
+     );
+     if (!match || match.engagement.activityStreak.currentDaySenders.length < match.users.length) {
+       return null;
+     }
+
+     return await this.extendStreak(match, day);
+   } catch (error) {
+     logger.error(`Error recording streak activity for match ${matchId}:`, error);
+     return null;
+   }
+ }
+
+ /**
+  * Count the day once both people have messaged. Conditional on the previous
+  * lastStreakDate so a day is only ever counted once.
+  */
+ async extendStreak(match, day) {
+   const streak = match.engagement.activityStreak;
+   const lastStreakDate = streak.lastStreakDate || null;
+   if (lastStreakDate?.getTime() === day.getTime()) return null;
+
+   const continues = lastStreakDate?.getTime() === day.getTime() - DAY_MS;
+   const current = continues ? streak.current + 1 : 1;
+
+   const updated = await Match.findOneAndUpdate(
+     { _id: match._id, [`${STREAK}.lastStreakDate`]: lastStreakDate },
+     {
+       $set: { [`${STREAK}.current`]: current, [`${STREAK}.lastStreakDate`]: day },
+       $max: { [`${STREAK}.longest`]: current },
+     },
+     { new: true }
+   );
+   if (!updated) return null;
+
+   if (ACTIVITY_CONSTANTS.STREAK_MILESTONES[current]) {
+     await this.rewardMilestone(updated, current);
+   }
+
+   return this.formatStreak(updated, day);
+ }
+
+ /**
+  * Credit both people once per match and milestone. The ledger entry is
+  * written first; its idempotency key makes a retried reward a no-op.
+  */
+ async rewardMilestone(match, days) {
+   const coins = ACTIVITY_CONSTANTS.STREAK_MILESTONES[days];
+
+   const claimed = await Match.findOneAndUpdate(
+     { _id: match._id, [`${STREAK}.rewardedMilestones`]: { $ne: days } },
+     { $addToSet: { [`${STREAK}.rewardedMilestones`]: days } }
+   );
+   if (!claimed) return;
+
+   for (const userId of match.users) {
+     try {
+       const entry = await GiftLedger.create({
+         user: userId,
+         type: GIFT_LEDGER_TYPES.STREAK_REWARD,
+         coins,
+         match: match._id,
+         counterparty: match.getOtherUser(userId),
+         idempotencyKey: `streak:${match._id}:${days}`,
+         note: `${days}-day conversation streak`,
+       });
+
+       const inventory = await Inventory.creditCoins(userId, coins);
+       entry.balanceAfter = inventory?.coins;
+       await entry.save();
+
+       await NotificationService.sendNotification(userId.toString(), {
+         type: NOTIFICATION_TYPES.STREAK_MILESTONE,
+         title: `${days}-day streak! 🔥`,
+         body: `You've chatted ${days} days in a row. Here are ${coins} coins`,
+         data: { matchId: match._id.toString(), days, coins },
+       });
+     } catch (error) {
+       if (error.code === 11000) continue;
+       logger.error(`Error rewarding streak milestone ${days} for user ${userId}:`, error);
+     }
+   }
+
+   MetricsService.incrementCounter(`streaks.milestone.${days}`);
+ }
+
+ /**
+  * Streak state for one of the user's matches
+  */
+ async getStreak(userId, matchId) {
+   const match = await Match.findOne({ _id: matchId, users: userId })
+     .select(`users status ${STREAK}`);
+
+   if (!match) {
+     throw new AppError('Match not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.MATCH_NOT_FOUND);
+   }
+
+   return this.formatStreak(match);
+ }
+
+ formatStreak(match, now = new Date()) {
+   const streak = match.engagement?.activityStreak || {};
+   const today = startOfUTCDay(now);
+   const yesterday = new Date(today.getTime() - DAY_MS);
+   const last = streak.lastStreakDate;
+
+   const alive = Boolean(last && last >= yesterday && streak.current > 0);
+   const completedToday = Boolean(alive && last.getTime() === today.getTime());
+   const sentToday = streak.currentDay?.getTime() === today.getTime()
+     ? (streak.currentDaySenders || []).map(id => id.toString())
+     : [];
+
+   return {
+     matchId: match._id,
+     current: alive ? streak.current : 0,
+     longest: streak.longest || 0,
+     lastStreakDate: last || null,
+     completedToday,
+     atRisk: alive && !completedToday,
+     // The streak is lost if today passes without both people messaging
+     expiresAt: alive ? new Date((completedToday ? today : yesterday).getTime() + 2 * DAY_MS) : null,
+     waitingFor: match.users.map(id => id.toString()).filter(id => !sentToday.includes(id)),
+     nextMilestone: Object.keys(ACTIVITY_CONSTANTS.STREAK_MILESTONES)
+       .map(Number)
+       .find(days => days > (alive ? streak.current : 0)) || null,
+   };
+ }
+
+ /**
+  * Remind people whose streak ends tonight. Runs in the last
+  * STREAK_AT_RISK_HOURS of the UTC day; each streak is reminded once.
+  * @returns {number} - reminders sent
+  */
+ async sendStreakReminders(now = new Date()) {
+   const today = startOfUTCDay(now);
+   const hoursLeft = (today.getTime() + DAY_MS - now.getTime()) / HOUR_MS;
+   if (hoursLeft > ACTIVITY_CONSTANTS.STREAK_AT_RISK_HOURS) return 0;
+
+   const yesterday = new Date(today.getTime() - DAY_MS);
+   const matches = await Match.find({
+     'status.isActive': true,
+     [`${STREAK}.lastStreakDate`]: yesterday,
+     [`${STREAK}.current`]: { $gte: ACTIVITY_CONSTANTS.STREAK_REMINDER_MIN_DAYS },
+     [`${STREAK}.reminderSentFor`]: { $ne: yesterday },
+   })
+     .limit(500)
+     .populate('users', 'profile.firstName profile.displayName');
+
+   let sent = 0;
+   for (const match of matches) {
+     const claimed = await Match.updateOne(
+       { _id: match._id, [`${STREAK}.reminderSentFor`]: { $ne: yesterday } },
+       { $set: { [`${STREAK}.reminderSentFor`]: yesterday } }
+     );
+     if (claimed.modifiedCount === 0) continue;
+
+     const { current, waitingFor } = this.formatStreak({
+       _id: match._id,
+       users: match.users.filter(Boolean).map(u => u._id),
+       engagement: match.engagement,
+     }, now);
+
+     for (const user of match.users) {
+       if (!user || !waitingFor.includes(user._id.toString())) continue;
+
+       const other = match.users.find(u => u && !u._id.equals(user._id));
+       try {
+         await NotificationService.sendNotification(user._id.toString(), {
+           type: NOTIFICATION_TYPES.STREAK_AT_RISK,
+           title: 'Your streak ends tonight ⏳',
+           body: `Message ${other?.profile?.displayName || other?.profile?.firstName || 'your match'} to keep your ${current}-day streak going`,
+           data: { matchId: match._id.toString(), days: current },
+         });
+         sent += 1;
+       } catch (error) {
+         logger.warn(`Could not send streak reminder for match ${match._id}:`, error);
+       }
+     }
+   }
+
+   if (sent > 0) {
+     MetricsService.incrementCounter('streaks.reminders', sent);
+   }
+
+   return sent;
+ }
+
+ /**
+  * Zero streaks whose last day is before yesterday
+  * @returns {number} - streaks reset
+  */
+ async resetBrokenStreaks(now = new Date()) {
+   const yesterday = new Date(startOfUTCDay(now).getTime() - DAY_MS);
+
+   const result = await Match.updateMany(
+     { [`${STREAK}.current`]: { $gt: 0 }, [`${STREAK}.lastStreakDate`]: { $lt: yesterday } },
+     { $set: { [`${STREAK}.current`]: 0 } }
+   );
+
+   return result.modifiedCount;
+ }
+}
+
+export default new ActivityService();
@@ -7,6 +7,8 @@ import redis from '../../../config/redis.js';
 import logger from '../../../shared/utils/logger.js';
 import CacheService from '../../../shared/services/cache.service.js';
 import MetricsService from '../../../shared/services/metrics.service.js';
+import PassportService from '../passport.service.js';
+import PromotionService from '../../promotion/promotion.service.js';
 import { 
  USER_CONSTANTS, 
  SWIPE_ACTIONS,
@@ -49,10 +51,11 @@ class RecommendationAlgorithm {
        includeBoosts = true,
        applyFilters = true,
        cacheResults = true,
+       pool = null, // Explore pool: { match, preferences }
      } = options;
 
-     // Try cache first
-     if (cacheResults) {
+     // Try cache first (pools are cached by the explore routes)
+     if (cacheResults && !pool) {
        const cached = await CacheService.getCachedRecommendations(userId);
        if (cached && cached.length > 0) {
          logger.debug(`Recommendations retrieved from cache for user ${userId}`);
@@ -66,15 +69,27 @@ class RecommendationAlgorithm {
        throw new Error('User not found');
      }
 
+     // Explore filters override the regular preferences inside a pool
+     if (pool?.preferences) {
+       user.preferences = { ...user.preferences, ...pool.preferences };
+     }
+
      // Get already swiped users to exclude
      const excludedUserIds = await this.getExcludedUsers(userId);
 
+     // Boosts and spotlights live in the viewer's region
+     const promotions = includeBoosts
+       ? await PromotionService.getActivePromotions(PromotionService.getRegion(user))
+       : [];
+
      // Build recommendation pipeline
      const pipeline = this.buildRecommendationPipeline(
        user,
        excludedUserIds,
        limit * 3, // Get extra for post-processing
-       applyFilters
+       applyFilters,
+       promotions.map(p => p.user),
+       pool?.match
      );
 
      // Execute aggregation
@@ -84,7 +99,7 @@ class RecommendationAlgorithm {
      recommendations = await this.postProcessRecommendations(
        recommendations,
        user,
-       includeBoosts
+       promotions
      );
 
      // Apply machine learning adjustments if available
@@ -94,7 +109,7 @@ class RecommendationAlgorithm {
      recommendations = recommendations.slice(offset, offset + limit);
 
      // Cache results
-     if (cacheResults && recommendations.length > 0) {
+     if (cacheResults && !pool && recommendations.length > 0) {
        await CacheService.cacheRecommendations(userId, recommendations, 1800); // 30 minutes
      }
 
@@ -110,21 +125,25 @@ class RecommendationAlgorithm {
 
  /**
   * Build MongoDB aggregation pipeline for recommendations
+  * @param {Array} promotedUserIds - promoted profiles to keep in the candidate pool
+  * @param {Object} poolMatch - extra conditions limiting candidates to an explore pool
   */
- buildRecommendationPipeline(user, excludedUserIds, limit, applyFilters) {
+ buildRecommendationPipeline(user, excludedUserIds, limit, applyFilters, promotedUserIds = [], poolMatch = {}) {
    const pipeline = [];
 
    // Stage 1: Basic filters
    const matchStage = {
      $match: {
        _id: { 
-         $ne: mongoose.Types.ObjectId(user._id),
-         $nin: excludedUserIds.map(id => mongoose.Types.ObjectId(id))
+         $ne: new mongoose.Types.ObjectId(user._id),
+         $nin: excludedUserIds.map(id => new mongoose.Types.ObjectId(id))
        },
        'status.isActive': true,
        'status.isBanned': false,
+       'status.isShadowBanned': { $ne: true },
        'status.isDeleted': false,
        'preferences.showMe': true,
+       ...poolMatch,
      },
    };
 
@@ -136,21 +155,20 @@ class RecommendationAlgorithm {
      matchStage.$match['preferences.genderPreference'] = user.profile.gender;
    }
 
-   pipeline.push(matchStage);
-
-   // Stage 2: Geo-location filter (if location is set)
-   if (user.profile?.location?.coordinates) {
-     pipeline.push({
-       $geoNear: {
-         near: user.profile.location,
-         distanceField: 'calculatedDistance',
-         maxDistance: (user.preferences?.maxDistance || USER_CONSTANTS.DEFAULT_SEARCH_RADIUS) * 1000,
-         spherical: true,
-         query: {
-           'profile.location': { $exists: true },
-         },
-       },
-     });
+   // Stage 2: Geo-location filter from the effective location (passport
+   // while traveling). $geoNear has to open the pipeline, so the basic
+   // filters run as its query; travelers are found at their passport location.
+   const searchLocation = PassportService.getEffectiveLocation(user);
+   if (searchLocation) {
+     pipeline.push(
+       ...PassportService.buildGeoNearStages(
+         searchLocation,
+         (user.preferences?.maxDistance || USER_CONSTANTS.DEFAULT_SEARCH_RADIUS) * 1000,
+         { query: matchStage.$match, distanceField: 'calculatedDistance' }
+       )
+     );
+   } else {
+     pipeline.push(matchStage);
    }
 
    // Stage 3: Calculate age and filter
@@ -203,17 +221,59 @@ class RecommendationAlgorithm {
      },
    });
 
-   // Stage 7: Sort by score
-   pipeline.push({ $sort: { finalScore: -1 } });
+   // Stage 7: Sort by score. Promoted profiles that pass the filters are
+   // always kept so they can take their reserved deck positions.
+   if (promotedUserIds.length > 0) {
+     pipeline.push(
+       {
+         $addFields: {
+           isPromoted: { $in: ['$_id', promotedUserIds.map(id => new mongoose.Types.ObjectId(id))] },
+         },
+       },
+       { $sort: { isPromoted: -1, finalScore: -1 } }
+     );
+   } else {
+     pipeline.push({ $sort: { finalScore: -1 } });
+   }
 
    // Stage 8: Limit results
    pipeline.push({ $limit: limit });
 
-   // Stage 9: Clean up fields
+   // Stage 9: Traveling and explore badges, then clean up fields
+   pipeline.push({
+     $addFields: {
+       exploreCategories: {
+         $map: {
+           input: {
+             $filter: {
+               input: { $ifNull: ['$explore.categories', []] },
+               cond: {
+                 $or: [
+                   { $eq: [{ $ifNull: ['$$this.expiresAt', null] }, null] },
+                   { $gt: ['$$this.expiresAt', '$$NOW'] },
+                 ],
+               },
+             },
+           },
+           in: '$$this.category',
+         },
+       },
+       travel: {
+         isTraveling: { $eq: ['$isTraveling', true] },
+         city: { $cond: [{ $eq: ['$isTraveling', true] }, '$passport.city', null] },
+         country: { $cond: [{ $eq: ['$isTraveling', true] }, '$passport.country', null] },
+       },
+     },
+   });
+
    pipeline.push({
      $project: {
        password: 0,
        security: 0,
+       passport: 0,
+       explore: 0,
+       isTraveling: 0,
+       isPromoted: 0,
        'verification.email': 0,
        'verification.phone': 0,
        metadata: 0,
@@ -488,19 +548,18 @@ class RecommendationAlgorithm {
  /**
   * Post-process recommendations
   */
- async postProcessRecommendations(recommendations, user, includeBoosts) {
+ async postProcessRecommendations(recommendations, user, promotions = []) {
    try {
-     // Apply boost multipliers if enabled
-     if (includeBoosts) {
-       recommendations = await this.applyBoostMultipliers(recommendations);
-     }
-
      // Apply subscription-based sorting
      recommendations = this.applySubscriptionSorting(recommendations, user);
 
      // Diversify recommendations
      recommendations = this.diversifyRecommendations(recommendations);
 
+     // Boosts and spotlights take reserved positions rather than a score
+     // multiplier, so promoted profiles don't cancel each other out
+     recommendations = await PromotionService.arrangeDeck(user._id, recommendations, promotions);
+
      // Add recommendation metadata
      recommendations = recommendations.map((rec, index) => ({
        ...rec,
@@ -516,30 +575,6 @@ class RecommendationAlgorithm {
    }
  }
 
- /**
-  * Apply boost multipliers to boosted profiles
-  */
- async applyBoostMultipliers(recommendations) {
-   const now = new Date();
-   
-   return recommendations.map(rec => {
-     // Check for active boosts
-     const activeBoost = rec.boosts?.find(boost => 
-       boost.expiresAt > now
-     );
-
-     if (activeBoost) {
-       // Apply boost multiplier
-       const multiplier = activeBoost.type === 'super' ? 2.0 : 1.5;
-       rec.finalScore = (rec.finalScore || 0) * multiplier;
-       rec.isBoosted = true;
-       rec.boostType = activeBoost.type;
-     }
-
-     return rec;
-   });
- }
-
  /**
   * Apply subscription-based sorting priorities
   */
@@ -794,7 +829,7 @@ class RecommendationAlgorithm {
  async getUserWithPreferences(userId) {
    try {
      const user = await User.findById(userId)
-       .select('profile preferences subscription scoring status')
+       .select('profile preferences subscription passport scoring status')
        .lean();
 
      if (!user) return null;
@@ -0,0 +1,900 @@
+// src/modules/match/date.service.js
+import Match from './match.model.js';
+import DateProposal from './dateProposal.model.js';
+import User from '../user/user.model.js';
+import socketManager from '../../config/socket.js';
+import logger from '../../shared/utils/logger.js';
+import NotificationService from '../../shared/services/notification.service.js';
+import MetricsService from '../../shared/services/metrics.service.js';
+import QueueService from '../../shared/services/queue.service.js';
+import AppError from '../../shared/errors/AppError.js';
+import { isValidTimezone } from '../../shared/utils/helpers.js';
+import {
+ DATE_STATUS,
+ DATE_ACTIVITIES,
+ DATE_CONSTANTS,
+ NOTIFICATION_TYPES,
+ ERROR_CODES,
+ HTTP_STATUS,
+ SOCKET_EVENTS,
+} from '../../config/constants.js';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+export const DATE_REMINDER_QUEUE = 'date_reminders';
+export const CHECK_IN_REMINDER = 'check_in';
+
+const DETAIL_FIELDS = ['title', 'description', 'activity'];
+
+class DateService {
+ // ========================
+ // LOOKUPS
+ // ========================
+
+ /**
+  * Load an active match the user belongs to
+  */
+ async getMatchForUser(matchId, userId) {
+   const match = await Match.findById(matchId);
+
+   if (!match) {
+     throw new AppError('Match not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.MATCH_NOT_FOUND);
+   }
+
+   if (!match.hasUser(userId)) {
+     throw new AppError('Unauthorized to plan a date for this match', HTTP_STATUS.FORBIDDEN, ERROR_CODES.FORBIDDEN);
+   }
+
+   if (!match.status?.isActive) {
+     throw new AppError('This match is no longer active', HTTP_STATUS.FORBIDDEN, ERROR_CODES.MATCH_INACTIVE);
+   }
+
+   return match;
+ }
+
+ /**
+  * Load a date proposal of a match the user belongs to
+  */
+ async getDateForUser(matchId, dateId, userId) {
+   const date = await DateProposal.findOne({ _id: dateId, match: matchId });
+
+   if (!date) {
+     throw new AppError('Date not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.DATE_NOT_FOUND);
+   }
+
+   if (!date.hasParticipant(userId)) {
+     throw new AppError('Unauthorized to view this date', HTTP_STATUS.FORBIDDEN, ERROR_CODES.FORBIDDEN);
+   }
+
+   return date;
+ }
+
+ /**
+  * List a match's dates, newest first
+  */
+ async getDates(matchId, userId, { status } = {}) {
+   const match = await Match.findById(matchId).select('users');
+
+   if (!match) {
+     throw new AppError('Match not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.MATCH_NOT_FOUND);
+   }
+
+   if (!match.hasUser(userId)) {
+     throw new AppError('Unauthorized to view this match', HTTP_STATUS.FORBIDDEN, ERROR_CODES.FORBIDDEN);
+   }
+
+   const query = { match: matchId };
+   if (status) {
+     query.status = { $in: status.split(',') };
+   }
+
+   const dates = await DateProposal.find(query).sort({ createdAt: -1 }).limit(50);
+
+   return dates.map(date => this.formatDate(date, userId));
+ }
+
+ async getDate(matchId, dateId, userId) {
+   const date = await this.getDateForUser(matchId, dateId, userId);
+   return this.formatDate(date, userId);
+ }
+
+ // ========================
+ // LIFECYCLE
+ // ========================
+
+ /**
+  * Propose a date
+  * @param {string} matchId - Match ID
+  * @param {string} userId - Proposing user
+  * @param {Object} data - { title, description, activity, venue, timeSlots, timezone, note }
+  */
+ async proposeDate(matchId, userId, data = {}) {
+   try {
+     const match = await this.getMatchForUser(matchId, userId);
+
+     const open = await DateProposal.findOpenForMatch(matchId);
+     if (open) {
+       throw new AppError(
+         'There is already a date in progress for this match',
+         HTTP_STATUS.CONFLICT,
+         ERROR_CODES.CONFLICT,
+         { dateId: open._id.toString() }
+       );
+     }
+
+     const otherUserId = match.getOtherUser(userId);
+
+     const date = new DateProposal({
+       match: match._id,
+       participants: match.users,
+       proposedBy: userId,
+       awaitingResponseFrom: otherUserId,
+       status: DATE_STATUS.PROPOSED,
+       ...this.normalizeDetails(data),
+       venue: this.normalizeVenue(data.venue),
+       timezone: this.normalizeTimezone(data.timezone),
+       timeSlots: this.normalizeTimeSlots(data.timeSlots),
+       history: [{ action: 'proposed', by: userId, status: DATE_STATUS.PROPOSED, note: data.note }],
+     });
+
+     try {
+       await date.save();
+     } catch (error) {
+       // Lost a race with another proposal for the same match
+       if (error.code === 11000) {
+         const winner = await DateProposal.findOne({ match: match._id, negotiating: true }).select('_id');
+         throw new AppError(
+           'There is already a date in progress for this match',
+           HTTP_STATUS.CONFLICT,
+           ERROR_CODES.CONFLICT,
+           winner && { dateId: winner._id.toString() }
+         );
+       }
+       throw error;
+     }
+
+     await this.notifyParticipant(date, otherUserId, userId, {
+       type: NOTIFICATION_TYPES.DATE_PROPOSED,
+       title: 'New date invite 📅',
+       body: '{name} wants to plan a date with you',
+     });
+
+     await MetricsService.incrementCounter('date.proposed', 1, { activity: date.activity });
+
+     return this.formatDate(date, userId);
+   } catch (error) {
+     logger.error('Error proposing date:', error);
+     throw error;
+   }
+ }
+
+ /**
+  * Edit a date, or cancel it with `{ status: 'cancelled' }`
+  *
+  * While a proposal is being negotiated only the side that made the current
+  * offer may edit it. Changing the time or venue of an accepted date sends it
+  * back to the other user as a counter.
+  */
+ async updateDate(matchId, dateId, userId, data = {}) {
+   try {
+     if (data.status === DATE_STATUS.CANCELLED) {
+       return this.cancelDate(matchId, dateId, userId, data.reason);
+     }
+     if (data.status) {
+       throw new AppError(
+         'Use the respond endpoint to accept, decline or counter a date',
+         HTTP_STATUS.BAD_REQUEST,
+         ERROR_CODES.VALIDATION_ERROR
+       );
+     }
+
+     await this.getMatchForUser(matchId, userId);
+     const date = await this.getDateForUser(matchId, dateId, userId);
+     const otherUserId = date.getOtherParticipant(userId);
+
+     const changes = this.collectChanges(data);
+     if (Object.keys(changes).length === 0) {
+       throw new AppError('Nothing to update', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.VALIDATION_ERROR);
+     }
+
+     if (date.isPending) {
+       if (date.awaitingResponseFrom?.toString() === userId.toString()) {
+         throw new AppError(
+           'Respond to the current offer instead of editing it',
+           HTTP_STATUS.CONFLICT,
+           ERROR_CODES.INVALID_DATE_TRANSITION
+         );
+       }
+
+       date.set(changes);
+       date.history.push({ action: 'updated', by: userId, status: date.status, note: data.note });
+     } else if (date.status === DATE_STATUS.ACCEPTED) {
+       const reschedules = changes.timeSlots || changes.venue;
+
+       if (reschedules) {
+         this.assertNotStarted(date);
+         this.assertCanCounter(date);
+         date.set(changes);
+         date.transition(DATE_STATUS.COUNTERED, userId, 'countered', data.note);
+         date.scheduledSlot = undefined;
+         date.awaitingResponseFrom = otherUserId;
+         date.counterCount += 1;
+       } else {
+         date.set(changes);
+         date.history.push({ action: 'updated', by: userId, status: date.status, note: data.note });
+       }
+     } else {
+       throw new AppError(
+         `A ${date.status} date can no longer be edited`,
+         HTTP_STATUS.CONFLICT,
+         ERROR_CODES.INVALID_DATE_TRANSITION
+       );
+     }
+
+     date.revision += 1;
+     await date.save();
+
+     await this.notifyParticipant(date, otherUserId, userId, {
+       type: NOTIFICATION_TYPES.DATE_UPDATED,
+       title: 'Date plans changed',
+       body: date.status === DATE_STATUS.COUNTERED
+         ? '{name} suggested a new time or place for your date'
+         : '{name} updated your date plans',
+     });
+
+     return this.formatDate(date, userId);
+   } catch (error) {
+     logger.error('Error updating date:', error);
+     throw error;
+   }
+ }
+
+ /**
+  * Respond to the current offer
+  * @param {Object} data - { response: 'accept' | 'decline' | 'counter', slotIndex,
+  *                         timeSlots, venue, note, reason }
+  */
+ async respondToDate(matchId, dateId, userId, data = {}) {
+   try {
+     await this.getMatchForUser(matchId, userId);
+     const date = await this.getDateForUser(matchId, dateId, userId);
+     const otherUserId = date.getOtherParticipant(userId);
+
+     if (!date.isPending) {
+       throw new AppError(
+         `This date is already ${date.status}`,
+         HTTP_STATUS.CONFLICT,
+         ERROR_CODES.INVALID_DATE_TRANSITION
+       );
+     }
+
+     if (date.awaitingResponseFrom?.toString() !== userId.toString()) {
+       throw new AppError(
+         'Waiting for the other person to respond',
+         HTTP_STATUS.CONFLICT,
+         ERROR_CODES.INVALID_DATE_TRANSITION
+       );
+     }
+
+     let notification;
+
+     switch (data.response) {
+       case 'accept': {
+         const slotIndex = data.slotIndex === undefined ? 0 : Number(data.slotIndex);
+         const slot = date.timeSlots[slotIndex];
+
+         if (!slot) {
+           throw new AppError('Pick one of the proposed time slots', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.VALIDATION_ERROR);
+         }
+         if (slot.startsAt <= new Date()) {
+           throw new AppError('That time slot has already passed', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.INVALID_TIME);
+         }
+
+         date.transition(DATE_STATUS.ACCEPTED, userId, 'accepted', data.note);
+         date.scheduledSlot = { startsAt: slot.startsAt, endsAt: slot.endsAt };
+         date.awaitingResponseFrom = null;
+         date.respondedAt = new Date();
+         date.revision += 1;
+
+         notification = {
+           type: NOTIFICATION_TYPES.DATE_ACCEPTED,
+           title: "It's a date! 🎉",
+           body: '{name} accepted your date invite',
+         };
+         break;
+       }
+
+       case 'decline':
+         date.transition(DATE_STATUS.DECLINED, userId, 'declined', data.reason || data.note);
+         date.declineReason = data.reason;
+         date.awaitingResponseFrom = null;
+         date.respondedAt = new Date();
+
+         notification = {
+           type: NOTIFICATION_TYPES.DATE_DECLINED,
+           title: 'Date invite declined',
+           body: "{name} can't make this date",
+         };
+         break;
+
+       case 'counter': {
+         this.assertCanCounter(date);
+
+         const changes = this.collectChanges(data);
+         if (!changes.timeSlots && !changes.venue) {
+           throw new AppError('A counter needs new time slots or a new venue', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.VALIDATION_ERROR);
+         }
+
+         date.set(changes);
+         date.transition(DATE_STATUS.COUNTERED, userId, 'countered', data.note);
+         date.awaitingResponseFrom = otherUserId;
+         date.counterCount += 1;
+         date.revision += 1;
+
+         notification = {
+           type: NOTIFICATION_TYPES.DATE_UPDATED,
+           title: 'New date suggestion',
+           body: '{name} suggested a different time or place',
+         };
+         break;
+       }
+
+       default:
+         throw new AppError('Response must be accept, decline or counter', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.VALIDATION_ERROR);
+     }
+
+     await date.save();
+
+     if (date.status === DATE_STATUS.ACCEPTED) {
+       await Match.updateOne({ _id: date.match }, { $set: { 'datePlanning.hasPlannedDate': true } });
+       await this.scheduleReminders(date);
+     }
+
+     await this.notifyParticipant(date, otherUserId, userId, notification);
+     await MetricsService.incrementCounter(`date.${data.response}`, 1);
+
+     return this.formatDate(date, userId);
+   } catch (error) {
+     logger.error('Error responding to date:', error);
+     throw error;
+   }
+ }
+
+ /**
+  * Cancel a proposal or an upcoming date
+  */
+ async cancelDate(matchId, dateId, userId, reason) {
+   try {
+     const date = await this.getDateForUser(matchId, dateId, userId);
+
+     if (date.status === DATE_STATUS.ACCEPTED) {
+       this.assertNotStarted(date);
+     }
+
+     if (!date.transition(DATE_STATUS.CANCELLED, userId, 'cancelled', reason)) {
+       throw new AppError(
+         `A ${date.status} date can't be cancelled`,
+         HTTP_STATUS.CONFLICT,
+         ERROR_CODES.INVALID_DATE_TRANSITION
+       );
+     }
+
+     date.cancelledBy = userId;
+     date.cancelledAt = new Date();
+     date.cancellationReason = reason;
+     date.awaitingResponseFrom = null;
+     date.revision += 1;
+     await date.save();
+
+     const otherUserId = date.getOtherParticipant(userId);
+     await this.notifyParticipant(date, otherUserId, userId, {
+       type: NOTIFICATION_TYPES.DATE_CANCELLED,
+       title: 'Date cancelled',
+       body: '{name} cancelled your date',
+     });
+
+     await MetricsService.incrementCounter('date.cancelled', 1);
+
+     return this.formatDate(date, userId);
+   } catch (error) {
+     logger.error('Error cancelling date:', error);
+     throw error;
+   }
+ }
+
+ /**
+  * Record how the date went. The first check-in completes the date.
+  * @param {Object} data - { attended, rating, wouldMeetAgain, feltSafe, feedback }
+  */
+ async checkIn(matchId, dateId, userId, data = {}) {
+   try {
+     const date = await this.getDateForUser(matchId, dateId, userId);
+     const now = new Date();
+
+     if (![DATE_STATUS.ACCEPTED, DATE_STATUS.COMPLETED].includes(date.status) || !date.scheduledSlot) {
+       throw new AppError('Only scheduled dates can be checked in', HTTP_STATUS.CONFLICT, ERROR_CODES.INVALID_DATE_TRANSITION);
+     }
+
+     if (date.scheduledSlot.startsAt > now) {
+       throw new AppError("This date hasn't started yet", HTTP_STATUS.CONFLICT, ERROR_CODES.INVALID_TIME);
+     }
+
+     if (now - date.scheduledSlot.endsAt > DATE_CONSTANTS.CHECK_IN_WINDOW_DAYS * DAY_MS) {
+       throw new AppError('The check-in window for this date has closed', HTTP_STATUS.CONFLICT, ERROR_CODES.EXPIRED);
+     }
+
+     if (date.getCheckIn(userId)) {
+       throw new AppError('You already checked in for this date', HTTP_STATUS.CONFLICT, ERROR_CODES.ALREADY_EXISTS);
+     }
+
+     const attended = data.attended !== false;
+
+     date.checkIns.push({
+       user: userId,
+       attended,
+       rating: attended ? data.rating : undefined,
+       wouldMeetAgain: attended ? data.wouldMeetAgain : undefined,
+       feltSafe: data.feltSafe !== false,
+       feedback: data.feedback,
+       submittedAt: now,
+     });
+     date.history.push({ action: 'checked_in', by: userId, status: date.status });
+
+     if (date.status === DATE_STATUS.ACCEPTED) {
+       date.transition(DATE_STATUS.COMPLETED, userId, 'completed');
+       date.completedAt = now;
+     }
+
+     await date.save();
+
+     if (data.feltSafe === false) {
+       // Safety concerns go to moderators right away; the other user isn't told
+       await NotificationService.notifyAdmins({
+         type: 'date_safety_concern',
+         dateId: date._id.toString(),
+         matchId: date.match.toString(),
+         reportedBy: userId.toString(),
+         otherUserId: date.getOtherParticipant(userId).toString(),
+         feedback: data.feedback,
+       });
+     }
+
+     await MetricsService.incrementCounter('date.check_in', 1, { attended });
+
+     return this.formatDate(date, userId);
+   } catch (error) {
+     logger.error('Error checking in for date:', error);
+     throw error;
+   }
+ }
+
+ // ========================
+ // REMINDERS
+ // ========================
+
+ /**
+  * Queue the reminders and the check-in prompt for an accepted date.
+  * Jobs carry the slot they were scheduled for, so jobs left over from a
+  * rescheduled or cancelled date are ignored when they fire.
+  */
+ async scheduleReminders(date, now = Date.now()) {
+   const { startsAt, endsAt } = date.scheduledSlot;
+   const jobs = Object.entries(DATE_CONSTANTS.REMINDERS)
+     .map(([kind, minutesBefore]) => ({ kind, sendAt: startsAt.getTime() - minutesBefore * MINUTE_MS }));
+
+   jobs.push({ kind: CHECK_IN_REMINDER, sendAt: endsAt.getTime() + DATE_CONSTANTS.CHECK_IN_DELAY_MINUTES * MINUTE_MS });
+
+   for (const { kind, sendAt } of jobs) {
+     if (sendAt <= now) continue;
+
+     try {
+       await QueueService.addJob(DATE_REMINDER_QUEUE, {
+         dateId: date._id.toString(),
+         kind,
+         slotStartsAt: startsAt.toISOString(),
+       }, { delay: sendAt - now });
+     } catch (error) {
+       logger.error(`Failed to schedule ${kind} reminder for date ${date._id}:`, error);
+     }
+   }
+ }
+
+ /**
+  * Deliver one reminder (queue handler)
+  * @param {Object} data - { dateId, kind, slotStartsAt }
+  * @returns {Promise<Object>} - { sent } or { skipped: reason }
+  */
+ async processReminder({ dateId, kind, slotStartsAt }) {
+   const date = await DateProposal.findById(dateId);
+
+   if (!date || date.status !== DATE_STATUS.ACCEPTED) {
+     return { skipped: 'not_scheduled' };
+   }
+
+   if (date.scheduledSlot?.startsAt?.toISOString() !== slotStartsAt) {
+     return { skipped: 'rescheduled' };
+   }
+
+   const alreadySent = date.reminders.some(
+     r => r.kind === kind && r.slotStartsAt?.toISOString() === slotStartsAt
+   );
+   if (alreadySent) {
+     return { skipped: 'already_sent' };
+   }
+
+   const users = await User.find({ _id: { $in: date.participants } })
+     .select('profile.firstName profile.displayName');
+   const nameOf = (id) => {
+     const user = users.find(u => u._id.toString() === id.toString());
+     return user?.profile?.displayName || user?.profile?.firstName || 'your match';
+   };
+
+   let sent = 0;
+   for (const participantId of date.participants) {
+     if (kind === CHECK_IN_REMINDER && date.getCheckIn(participantId)) continue;
+
+     const otherName = nameOf(date.getOtherParticipant(participantId));
+     const notification = kind === CHECK_IN_REMINDER
+       ? {
+         type: NOTIFICATION_TYPES.DATE_CHECK_IN,
+         title: 'How did it go? 💬',
+         body: `Let us know how your date with ${otherName} went`,
+       }
+       : {
+         type: NOTIFICATION_TYPES.DATE_REMINDER,
+         title: kind === 'day_before' ? 'Your date is tomorrow 📅' : 'Your date starts soon ⏰',
+         body: `${date.title || 'Date'} with ${otherName}${date.venue?.name ? ` at ${date.venue.name}` : ''}`,
+       };
+
+     await NotificationService.sendNotification(participantId.toString(), {
+       ...notification,
+       data: {
+         matchId: date.match.toString(),
+         dateId: date._id.toString(),
+         reminder: kind,
+         startsAt: slotStartsAt,
+       },
+       priority: 'high',
+     });
+     sent += 1;
+   }
+
+   date.reminders.push({ kind, slotStartsAt: new Date(slotStartsAt), sentAt: new Date() });
+   await date.save();
+
+   return { sent };
+ }
+
+ /**
+  * Cancel proposals whose time slots have all passed without an answer
+  * @returns {Promise<number>} - Number of proposals expired
+  */
+ async expireStaleProposals(now = new Date()) {
+   const stale = await DateProposal.find({
+     status: { $in: [DATE_STATUS.PROPOSED, DATE_STATUS.COUNTERED] },
+     timeSlots: { $not: { $elemMatch: { startsAt: { $gt: now } } } },
+   }).limit(500);
+
+   for (const date of stale) {
+     date.transition(DATE_STATUS.CANCELLED, null, 'cancelled', 'expired');
+     date.cancellationReason = 'expired';
+     date.cancelledAt = now;
+     date.awaitingResponseFrom = null;
+     await date.save();
+   }
+
+   return stale.length;
+ }
+
+ // ========================
+ // CALENDAR EXPORT
+ // ========================
+
+ /**
+  * Build an iCalendar (RFC 5545) file for a scheduled date
+  * @returns {Promise<Object>} - { filename, content }
+  */
+ async exportCalendar(matchId, dateId, userId) {
+   const date = await this.getDateForUser(matchId, dateId, userId);
+
+   if (!date.scheduledSlot?.startsAt) {
+     throw new AppError('Only scheduled dates can be added to a calendar', HTTP_STATUS.CONFLICT, ERROR_CODES.INVALID_DATE_TRANSITION);
+   }
+
+   const otherUser = await User.findById(date.getOtherParticipant(userId))
+     .select('profile.firstName profile.displayName');
+   const otherName = otherUser?.profile?.displayName || otherUser?.profile?.firstName || 'your match';
+
+   const domain = process.env.APP_DOMAIN || 'tinder-clone.app';
+   const venue = date.venue || {};
+   const coordinates = venue.location?.coordinates;
+   const cancelled = date.status === DATE_STATUS.CANCELLED;
+
+   const lines = [
+     'BEGIN:VCALENDAR',
+     'VERSION:2.0',
+     'PRODID:-//Tinder Clone//Date Planning//EN',
+     'CALSCALE:GREGORIAN',
+     `METHOD:${cancelled ? 'CANCEL' : 'PUBLISH'}`,
+     'BEGIN:VEVENT',
+     `UID:date-${date._id}@${domain}`,
+     `DTSTAMP:${this.formatICSDate(new Date())}`,
+     `DTSTART:${this.formatICSDate(date.scheduledSlot.startsAt)}`,
+     `DTEND:${this.formatICSDate(date.scheduledSlot.endsAt)}`,
+     `SEQUENCE:${date.revision}`,
+     `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+     `SUMMARY:${this.escapeICS(date.title || `Date with ${otherName}`)}`,
+   ];
+
+   if (date.description) {
+     lines.push(`DESCRIPTION:${this.escapeICS(date.description)}`);
+   }
+   if (venue.name || venue.address) {
+     lines.push(`LOCATION:${this.escapeICS([venue.name, venue.address].filter(Boolean).join(', '))}`);
+   }
+   if (coordinates?.length === 2) {
+     lines.push(`GEO:${coordinates[1]};${coordinates[0]}`);
+   }
+   if (venue.url) {
+     lines.push(`URL:${venue.url}`);
+   }
+
+   if (!cancelled) {
+     lines.push(
+       'BEGIN:VALARM',
+       'ACTION:DISPLAY',
+       `TRIGGER:-PT${DATE_CONSTANTS.REMINDERS.hour_before}M`,
+       `DESCRIPTION:${this.escapeICS(`Date with ${otherName}`)}`,
+       'END:VALARM'
+     );
+   }
+
+   lines.push('END:VEVENT', 'END:VCALENDAR');
+
+   return {
+     filename: `date-${date._id}.ics`,
+     content: lines.map(line => this.foldICSLine(line)).join('\r\n') + '\r\n',
+   };
+ }
+
+ formatICSDate(date) {
+   return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+ }
+
+ escapeICS(text) {
+   return String(text)
+     .replace(/\\/g, '\\\\')
+     .replace(/;/g, '\\;')
+     .replace(/,/g, '\\,')
+     .replace(/\r?\n/g, '\\n');
+ }
+
+ /**
+  * Fold lines longer than 75 octets, without splitting multi-byte characters
+  */
+ foldICSLine(line) {
+   if (Buffer.byteLength(line) <= 75) return line;
+
+   const parts = [];
+   let current = '';
+   for (const char of line) {
+     const limit = parts.length === 0 ? 75 : 74; // Continuations start with a space
+     if (Buffer.byteLength(current + char) > limit) {
+       parts.push(current);
+       current = '';
+     }
+     current += char;
+   }
+   parts.push(current);
+
+   return parts.join('\r\n ');
+ }
+
+ // ========================
+ // HELPERS
+ // ========================
+
+ /**
+  * Validate and sort proposed time slots
+  * @param {Array} slots - [{ startsAt, endsAt? }]
+  */
+ normalizeTimeSlots(slots, now = Date.now()) {
+   if (!Array.isArray(slots) || slots.length === 0) {
+     throw new AppError('At least one time slot is required', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.VALIDATION_ERROR);
+   }
+
+   if (slots.length > DATE_CONSTANTS.MAX_TIME_SLOTS) {
+     throw new AppError(
+       `Propose at most ${DATE_CONSTANTS.MAX_TIME_SLOTS} time slots`,
+       HTTP_STATUS.BAD_REQUEST,
+       ERROR_CODES.VALIDATION_ERROR
+     );
+   }
+
+   const earliest = now + DATE_CONSTANTS.MIN_LEAD_MINUTES * MINUTE_MS;
+   const latest = now + DATE_CONSTANTS.MAX_DAYS_AHEAD * DAY_MS;
+
+   const normalized = slots.map((slot) => {
+     const startsAt = new Date(slot?.startsAt);
+     const endsAt = slot?.endsAt
+       ? new Date(slot.endsAt)
+       : new Date(startsAt.getTime() + DATE_CONSTANTS.DEFAULT_DURATION_MINUTES * MINUTE_MS);
+
+     if (isNaN(startsAt) || isNaN(endsAt)) {
+       throw new AppError('Invalid time slot', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.INVALID_TIME);
+     }
+     if (startsAt.getTime() < earliest || startsAt.getTime() > latest) {
+       throw new AppError(
+         `Time slots must start between ${DATE_CONSTANTS.MIN_LEAD_MINUTES} minutes and ${DATE_CONSTANTS.MAX_DAYS_AHEAD} days from now`,
+         HTTP_STATUS.BAD_REQUEST,
+         ERROR_CODES.INVALID_TIME
+       );
+     }
+
+     const duration = endsAt - startsAt;
+     if (duration <= 0 || duration > DATE_CONSTANTS.MAX_DURATION_MINUTES * MINUTE_MS) {
+       throw new AppError('Time slot must end after it starts and last at most 12 hours', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.INVALID_TIME);
+     }
+
+     return { startsAt, endsAt };
+   });
+
+   const unique = new Map(normalized.map(slot => [slot.startsAt.getTime(), slot]));
+   return [...unique.values()].sort((a, b) => a.startsAt - b.startsAt);
+ }
+
+ normalizeVenue(venue) {
+   if (!venue) return undefined;
+
+   const normalized = {
+     name: venue.name,
+     address: venue.address,
+     placeId: venue.placeId,
+     url: venue.url,
+   };
+
+   const coordinates = venue.coordinates || venue.location?.coordinates;
+   if (coordinates) {
+     const [longitude, latitude] = coordinates.map(Number);
+     if (!(Math.abs(longitude) <= 180 && Math.abs(latitude) <= 90)) {
+       throw new AppError('Invalid venue coordinates', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.INVALID_LOCATION);
+     }
+     normalized.location = { type: 'Point', coordinates: [longitude, latitude] };
+   }
+
+   return normalized;
+ }
+
+ normalizeTimezone(timezone) {
+   if (!timezone) return 'UTC';
+
+   if (!isValidTimezone(timezone)) {
+     throw new AppError('Invalid timezone', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.VALIDATION_ERROR);
+   }
+
+   return timezone;
+ }
+
+ normalizeDetails(data) {
+   const details = {};
+
+   for (const field of DETAIL_FIELDS) {
+     if (data[field] !== undefined) {
+       details[field] = data[field];
+     }
+   }
+
+   if (details.activity && !Object.values(DATE_ACTIVITIES).includes(details.activity)) {
+     throw new AppError('Invalid date activity', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.VALIDATION_ERROR);
+   }
+
+   return details;
+ }
+
+ /**
+  * Editable fields present in a request
+  */
+ collectChanges(data) {
+   const changes = this.normalizeDetails(data);
+
+   if (data.venue !== undefined) changes.venue = this.normalizeVenue(data.venue);
+   if (data.timezone !== undefined) changes.timezone = this.normalizeTimezone(data.timezone);
+   if (data.timeSlots !== undefined) changes.timeSlots = this.normalizeTimeSlots(data.timeSlots);
+
+   return changes;
+ }
+
+ assertNotStarted(date) {
+   if (date.scheduledSlot?.startsAt <= new Date()) {
+     throw new AppError('This date has already started', HTTP_STATUS.CONFLICT, ERROR_CODES.INVALID_DATE_TRANSITION);
+   }
+ }
+
+ assertCanCounter(date) {
+   if (date.counterCount >= DATE_CONSTANTS.MAX_COUNTERS) {
+     throw new AppError(
+       'Too many counter proposals, please agree on a time in chat',
+       HTTP_STATUS.CONFLICT,
+       ERROR_CODES.LIMIT_EXCEEDED
+     );
+   }
+ }
+
+ /**
+  * Notify the other participant and refresh both users' open clients
+  * @param {Object} notification - { type, title, body } where body may use {name}
+  */
+ async notifyParticipant(date, recipientId, actorId, notification) {
+   const payload = this.formatDate(date, recipientId);
+
+   try {
+     const actor = await User.findById(actorId).select('profile.firstName profile.displayName');
+     const name = actor?.profile?.displayName || actor?.profile?.firstName || 'Your match';
+
+     await NotificationService.sendNotification(recipientId.toString(), {
+       type: notification.type,
+       title: notification.title,
+       body: notification.body.replace('{name}', name),
+       data: {
+         matchId: date.match.toString(),
+         dateId: date._id.toString(),
+         status: date.status,
+       },
+       priority: 'high',
+     });
+   } catch (error) {
+     logger.error('Error sending date notification:', error);
+   }
+
+   try {
+     socketManager.emitToUser(recipientId.toString(), SOCKET_EVENTS.DATE_UPDATED, payload);
+     socketManager.emitToUser(actorId.toString(), SOCKET_EVENTS.DATE_UPDATED, this.formatDate(date, actorId));
+   } catch (error) {
+     logger.debug('Could not emit date update:', error.message);
+   }
+ }
+
+ /**
+  * Shape a date for one of its participants
+  */
+ formatDate(date, userId) {
+   const userIdStr = userId.toString();
+   const now = new Date();
+   const slot = date.scheduledSlot?.startsAt ? date.scheduledSlot : null;
+   const checkIn = date.getCheckIn(userIdStr);
+
+   return {
+     id: date._id,
+     matchId: date.match,
+     status: date.status,
+     proposedBy: date.proposedBy,
+     isMine: date.proposedBy.toString() === userIdStr,
+     isMyTurn: date.awaitingResponseFrom?.toString() === userIdStr,
+     title: date.title,
+     description: date.description,
+     activity: date.activity,
+     venue: date.venue,
+     timezone: date.timezone,
+     timeSlots: date.timeSlots,
+     scheduledSlot: slot,
+     revision: date.revision,
+     counterCount: date.counterCount,
+     canCheckIn: Boolean(
+       slot &&
+       !checkIn &&
+       [DATE_STATUS.ACCEPTED, DATE_STATUS.COMPLETED].includes(date.status) &&
+       slot.startsAt <= now &&
+       now - slot.endsAt <= DATE_CONSTANTS.CHECK_IN_WINDOW_DAYS * DAY_MS
+     ),
+     myCheckIn: checkIn || null,
+     declineReason: date.declineReason,
+     cancellationReason: date.cancellationReason,
+     history: date.history,
+     createdAt: date.createdAt,
+     updatedAt: date.updatedAt,
+   };
+ }
+}
+
+export default new DateService();
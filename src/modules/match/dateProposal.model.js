@@ -0,0 +1,310 @@
+// src/modules/match/dateProposal.model.js
+import mongoose from 'mongoose';
+import {
+ DATE_STATUS,
+ DATE_STATUS_TRANSITIONS,
+ DATE_ACTIVITIES,
+ DATE_CONSTANTS,
+} from '../../config/constants.js';
+
+const { Schema } = mongoose;
+
+const timeSlotSchema = new Schema(
+ {
+   startsAt: {
+     type: Date,
+     required: true,
+   },
+   endsAt: {
+     type: Date,
+     required: true,
+   },
+ },
+ { _id: false }
+);
+
+const venueSchema = new Schema(
+ {
+   name: {
+     type: String,
+     trim: true,
+     maxlength: 200,
+   },
+   address: {
+     type: String,
+     trim: true,
+     maxlength: 500,
+   },
+   placeId: String, // Maps provider place ID
+   url: String,
+   location: {
+     type: { type: String, enum: ['Point'] },
+     coordinates: [Number], // [longitude, latitude]
+   },
+ },
+ { _id: false }
+);
+
+/**
+* DateProposal Schema - A date planned between the two users of a match.
+* The users take turns: whoever is `awaitingResponseFrom` can accept one of
+* the proposed time slots, decline, or counter with new slots or venue.
+*/
+const dateProposalSchema = new Schema(
+ {
+   match: {
+     type: Schema.Types.ObjectId,
+     ref: 'Match',
+     required: true,
+   },
+
+   // Both users of the match
+   participants: [
+     {
+       type: Schema.Types.ObjectId,
+       ref: 'User',
+       required: true,
+     },
+   ],
+
+   proposedBy: {
+     type: Schema.Types.ObjectId,
+     ref: 'User',
+     required: true,
+   },
+
+   // Whose turn it is to respond (null once the proposal is settled)
+   awaitingResponseFrom: {
+     type: Schema.Types.ObjectId,
+     ref: 'User',
+     default: null,
+   },
+
+   status: {
+     type: String,
+     enum: Object.values(DATE_STATUS),
+     default: DATE_STATUS.PROPOSED,
+     index: true,
+   },
+
+   // True while proposed or countered; a match negotiates one date at a time
+   negotiating: {
+     type: Boolean,
+     default: true,
+   },
+
+   // Details
+   title: {
+     type: String,
+     trim: true,
+     maxlength: 100,
+   },
+   description: {
+     type: String,
+     trim: true,
+     maxlength: 1000,
+   },
+   activity: {
+     type: String,
+     enum: Object.values(DATE_ACTIVITIES),
+     default: DATE_ACTIVITIES.OTHER,
+   },
+   venue: venueSchema,
+
+   // IANA timezone the slots were picked in, for display and calendar export
+   timezone: {
+     type: String,
+     default: 'UTC',
+   },
+
+   // Options on the table; replaced on every counter
+   timeSlots: {
+     type: [timeSlotSchema],
+     validate: {
+       validator: (slots) => slots.length > 0 && slots.length <= DATE_CONSTANTS.MAX_TIME_SLOTS,
+       message: `A date needs between 1 and ${DATE_CONSTANTS.MAX_TIME_SLOTS} time slots`,
+     },
+   },
+
+   // The slot that was accepted
+   scheduledSlot: timeSlotSchema,
+
+   // Bumped on every change to the details, used as the calendar SEQUENCE
+   revision: {
+     type: Number,
+     default: 0,
+   },
+   counterCount: {
+     type: Number,
+     default: 0,
+   },
+
+   // Settlement
+   respondedAt: Date,
+   declineReason: String,
+   cancelledBy: {
+     type: Schema.Types.ObjectId,
+     ref: 'User',
+   },
+   cancellationReason: String,
+   cancelledAt: Date,
+   completedAt: Date,
+
+   // Reminders already delivered for the current scheduled slot
+   reminders: [
+     {
+       kind: String,
+       slotStartsAt: Date,
+       sentAt: Date,
+     },
+   ],
+
+   // Post-date check-ins, one per participant
+   checkIns: [
+     {
+       user: {
+         type: Schema.Types.ObjectId,
+         ref: 'User',
+         required: true,
+       },
+       attended: {
+         type: Boolean,
+         required: true,
+       },
+       rating: {
+         type: Number,
+         min: 1,
+         max: 5,
+       },
+       wouldMeetAgain: Boolean,
+       feltSafe: {
+         type: Boolean,
+         default: true,
+       },
+       feedback: {
+         type: String,
+         maxlength: 1000,
+       },
+       submittedAt: {
+         type: Date,
+         default: Date.now,
+       },
+     },
+   ],
+
+   // Audit trail of every transition
+   history: [
+     {
+       action: {
+         type: String,
+         enum: ['proposed', 'updated', 'countered', 'accepted', 'declined', 'cancelled', 'completed', 'checked_in'],
+       },
+       by: {
+         type: Schema.Types.ObjectId,
+         ref: 'User',
+       },
+       status: String,
+       note: String,
+       at: {
+         type: Date,
+         default: Date.now,
+       },
+     },
+   ],
+ },
+ {
+   timestamps: true,
+   toJSON: { virtuals: true },
+   toObject: { virtuals: true },
+ }
+);
+
+// ============================
+// Indexes
+// ============================
+
+dateProposalSchema.index({ match: 1, createdAt: -1 });
+dateProposalSchema.index({ participants: 1, status: 1 });
+dateProposalSchema.index({ status: 1, 'scheduledSlot.startsAt': 1 });
+dateProposalSchema.index({ match: 1 }, { unique: true, partialFilterExpression: { negotiating: true } });
+
+// ============================
+// Virtuals
+// ============================
+
+/**
+* True while the proposal is still being negotiated
+*/
+dateProposalSchema.virtual('isPending').get(function () {
+ return [DATE_STATUS.PROPOSED, DATE_STATUS.COUNTERED].includes(this.status);
+});
+
+// ============================
+// Methods
+// ============================
+
+/**
+* Check if user is one of the two participants
+*/
+dateProposalSchema.methods.hasParticipant = function (userId) {
+ return this.participants.some((p) => p.toString() === userId.toString());
+};
+
+/**
+* Get the other participant
+*/
+dateProposalSchema.methods.getOtherParticipant = function (userId) {
+ const userIdStr = userId.toString();
+ return this.participants.find((p) => p.toString() !== userIdStr);
+};
+
+/**
+* Check whether the status machine allows moving to `status`
+*/
+dateProposalSchema.methods.canTransitionTo = function (status) {
+ return (DATE_STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+/**
+* Move to a new status and record it in the history
+* @returns {boolean} - false when the transition is not allowed
+*/
+dateProposalSchema.methods.transition = function (status, userId, action, note) {
+ if (!this.canTransitionTo(status)) {
+   return false;
+ }
+
+ this.status = status;
+ this.negotiating = [DATE_STATUS.PROPOSED, DATE_STATUS.COUNTERED].includes(status);
+ this.history.push({ action: action || status, by: userId, status, note });
+ return true;
+};
+
+/**
+* Get a participant's check-in
+*/
+dateProposalSchema.methods.getCheckIn = function (userId) {
+ return this.checkIns.find((c) => c.user.toString() === userId.toString());
+};
+
+// ============================
+// Statics
+// ============================
+
+/**
+* Proposal still in play for a match (at most one is allowed): being
+* negotiated, or accepted and not over yet
+*/
+dateProposalSchema.statics.findOpenForMatch = function (matchId, now = new Date()) {
+ return this.findOne({
+   match: matchId,
+   $or: [
+     { status: { $in: [DATE_STATUS.PROPOSED, DATE_STATUS.COUNTERED] } },
+     { status: DATE_STATUS.ACCEPTED, 'scheduledSlot.endsAt': { $gt: now } },
+   ],
+ });
+};
+
+const DateProposal = mongoose.model('DateProposal', dateProposalSchema);
+
+export default DateProposal;
@@ -0,0 +1,338 @@
+// src/modules/match/explore.service.js
+import User from '../user/user.model.js';
+import RecommendationAlgorithm from './algorithms/recommendation.algorithm.js';
+import logger from '../../shared/utils/logger.js';
+import MetricsService from '../../shared/services/metrics.service.js';
+import AppError from '../../shared/errors/AppError.js';
+import { getZonedDateParts, isValidTimezone, zonedTimeToDate } from '../../shared/utils/helpers.js';
+import {
+ EXPLORE_CATEGORIES,
+ EXPLORE_CONSTANTS,
+ ERROR_CODES,
+ HTTP_STATUS,
+} from '../../config/constants.js';
+
+const EXPLORE_FIELDS = 'profile.relationshipGoal profile.interests profile.languages verification.photo explore metadata.timezone';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const exactMatch = (values) => values.map(value => new RegExp(`^${escapeRegex(value.trim())}$`, 'i'));
+
+/**
+* Category definitions. `eligible` decides whether a user may join (and wear
+* the badge); `match` limits a viewer's candidates to the pool. Categories
+* with `joinOnly` are made up purely of people who joined, and `timeLimited`
+* memberships lapse on their own.
+*/
+const CATEGORIES = {
+ [EXPLORE_CATEGORIES.LONG_TERM]: {
+   title: 'Looking for long-term',
+   description: 'People looking for a relationship or marriage',
+   emoji: '💍',
+   eligible: (user) => EXPLORE_CONSTANTS.LONG_TERM_GOALS.includes(user.profile?.relationshipGoal),
+   ineligibleMessage: 'Set your relationship goal to a relationship or marriage to join',
+   match: () => ({ 'profile.relationshipGoal': { $in: EXPLORE_CONSTANTS.LONG_TERM_GOALS } }),
+ },
+ [EXPLORE_CATEGORIES.MUSIC_LOVERS]: {
+   title: 'Music lovers',
+   description: 'Concerts, festivals and people who play',
+   emoji: '🎶',
+   eligible: (user) => hasMusicInterest(user),
+   ineligibleMessage: 'Add a music interest to your profile to join',
+   match: () => ({ 'profile.interests': { $in: exactMatch(EXPLORE_CONSTANTS.MUSIC_INTERESTS) } }),
+ },
+ [EXPLORE_CATEGORIES.VERIFIED_ONLY]: {
+   title: 'Verified only',
+   description: 'Everyone here has a verified photo',
+   emoji: '✅',
+   eligible: (user) => Boolean(user.verification?.photo?.verified),
+   ineligibleMessage: 'Verify your photo to join',
+   match: () => ({ 'verification.photo.verified': true }),
+ },
+ [EXPLORE_CATEGORIES.FREE_TONIGHT]: {
+   title: 'Free tonight',
+   description: 'Up for meeting tonight',
+   emoji: '🌙',
+   joinOnly: true,
+   timeLimited: true,
+   eligible: () => true,
+   match: (viewer, now) => ({
+     'explore.categories': {
+       $elemMatch: { category: EXPLORE_CATEGORIES.FREE_TONIGHT, expiresAt: { $gt: now } },
+     },
+   }),
+ },
+ [EXPLORE_CATEGORIES.SAME_LANGUAGE]: {
+   title: 'Same language',
+   description: 'People who speak a language you speak',
+   emoji: '🗣️',
+   eligible: (user) => getLanguages(user).length > 0,
+   ineligibleMessage: 'Add the languages you speak to your profile to join',
+   // Without languages of their own the viewer has no pool to browse
+   available: (viewer) => getLanguages(viewer).length > 0,
+   unavailableMessage: 'Add the languages you speak to your profile to browse this category',
+   match: (viewer) => ({ 'profile.languages.language': { $in: exactMatch(getLanguages(viewer)) } }),
+ },
+};
+
+function hasMusicInterest(user) {
+ const music = new Set(EXPLORE_CONSTANTS.MUSIC_INTERESTS);
+ return (user.profile?.interests || []).some(interest => music.has(interest.trim().toLowerCase()));
+}
+
+function getLanguages(user) {
+ return (user.profile?.languages || [])
+   .map(entry => entry.language)
+   .filter(language => typeof language === 'string' && language.trim());
+}
+
+/**
+* Explore Service
+* Themed discovery pools on top of RecommendationAlgorithm. Every category
+* narrows the regular recommendation pipeline with its own conditions, so
+* distance, age, blocks and scoring work the same as in the main deck.
+*/
+class ExploreService {
+ // ========================
+ // CATEGORIES
+ // ========================
+
+ /**
+  * List the categories with the user's membership and whether they can join
+  */
+ async getCategories(userId) {
+   const user = await this.loadUser(userId);
+   const now = new Date();
+
+   return {
+     categories: Object.keys(CATEGORIES).map(category => this.formatCategory(category, user, now)),
+     filters: this.formatFilters(user),
+   };
+ }
+
+ formatCategory(category, user, now = new Date()) {
+   const definition = CATEGORIES[category];
+   const membership = this.getMembership(user, category, now);
+
+   return {
+     id: category,
+     title: definition.title,
+     description: definition.description,
+     emoji: definition.emoji,
+     timeLimited: Boolean(definition.timeLimited),
+     membersOnly: Boolean(definition.joinOnly),
+     available: definition.available ? definition.available(user) : true,
+     canJoin: definition.eligible(user),
+     joined: Boolean(membership),
+     joinedAt: membership?.joinedAt || null,
+     expiresAt: membership?.expiresAt || null,
+   };
+ }
+
+ // ========================
+ // BROWSING
+ // ========================
+
+ /**
+  * Recommendations limited to one category's pool
+  */
+ async getPool(userId, category, { limit = 20, offset = 0 } = {}) {
+   const definition = this.getDefinition(category);
+   const user = await this.loadUser(userId);
+   const now = new Date();
+
+   if (definition.available && !definition.available(user)) {
+     throw new AppError(definition.unavailableMessage, HTTP_STATUS.BAD_REQUEST, ERROR_CODES.VALIDATION_ERROR);
+   }
+
+   try {
+     const recommendations = await RecommendationAlgorithm.getRecommendations(userId, {
+       limit: Math.min(limit, EXPLORE_CONSTANTS.MAX_PAGE_SIZE),
+       offset,
+       includeBoosts: false,
+       applyFilters: true,
+       cacheResults: false,
+       pool: {
+         match: definition.match(user, now),
+         preferences: this.getPreferenceOverrides(user),
+       },
+     });
+
+     MetricsService.incrementCounter(`explore.${category}.views`);
+
+     return {
+       category: this.formatCategory(category, user, now),
+       recommendations,
+       count: recommendations.length,
+     };
+   } catch (error) {
+     logger.error(`Error loading explore pool ${category} for user ${userId}:`, error);
+     throw error;
+   }
+ }
+
+ // ========================
+ // MEMBERSHIP
+ // ========================
+
+ /**
+  * Join a category so it shows on the user's card. Joining again refreshes
+  * the membership (and the expiry of time-limited ones).
+  */
+ async joinCategory(userId, category) {
+   const definition = this.getDefinition(category);
+   const user = await this.loadUser(userId);
+   const now = new Date();
+
+   if (!definition.eligible(user)) {
+     throw new AppError(definition.ineligibleMessage, HTTP_STATUS.BAD_REQUEST, ERROR_CODES.VALIDATION_ERROR);
+   }
+
+   const membership = {
+     category,
+     joinedAt: now,
+     expiresAt: definition.timeLimited ? this.getTonightEnd(user.metadata?.timezone, now) : undefined,
+   };
+
+   // Replace any earlier membership; expired ones are dropped while we're here
+   await User.updateOne(
+     { _id: userId },
+     { $pull: { 'explore.categories': { $or: [{ category }, { expiresAt: { $lte: now } }] } } }
+   );
+   const updated = await User.findByIdAndUpdate(
+     userId,
+     { $push: { 'explore.categories': membership } },
+     { new: true }
+   ).select(EXPLORE_FIELDS);
+
+   MetricsService.incrementCounter(`explore.${category}.joined`);
+   logger.info(`User ${userId} joined explore category ${category}`);
+
+   return this.formatCategory(category, updated, now);
+ }
+
+ async leaveCategory(userId, category) {
+   this.getDefinition(category);
+
+   const user = await User.findByIdAndUpdate(
+     userId,
+     { $pull: { 'explore.categories': { category } } },
+     { new: true }
+   ).select(EXPLORE_FIELDS);
+
+   if (!user) {
+     throw new AppError('User not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.USER_NOT_FOUND);
+   }
+
+   logger.info(`User ${userId} left explore category ${category}`);
+
+   return this.formatCategory(category, user);
+ }
+
+ getMembership(user, category, now = new Date()) {
+   return (user.explore?.categories || []).find(
+     m => m.category === category && (!m.expiresAt || m.expiresAt > now)
+   ) || null;
+ }
+
+ /**
+  * "Tonight" ends at TONIGHT_ENDS_AT_HOUR local time; joining after
+  * midnight but before then counts for the night that is still going
+  */
+ getTonightEnd(timezone, now = new Date()) {
+   const zone = isValidTimezone(timezone) ? timezone : 'UTC';
+   const { year, month, day } = getZonedDateParts(now, zone);
+
+   const end = zonedTimeToDate(zone, year, month, day, EXPLORE_CONSTANTS.TONIGHT_ENDS_AT_HOUR);
+   return end > now
+     ? end
+     : zonedTimeToDate(zone, year, month, day + 1, EXPLORE_CONSTANTS.TONIGHT_ENDS_AT_HOUR);
+ }
+
+ // ========================
+ // FILTERS
+ // ========================
+
+ /**
+  * Save distance and age overrides used by every explore pool.
+  * Passing null for a filter clears it.
+  */
+ async setFilters(userId, { maxDistance, ageRange } = {}) {
+   const $set = {};
+   const $unset = {};
+
+   if (maxDistance !== undefined) {
+     if (maxDistance === null) $unset['explore.filters.maxDistance'] = 1;
+     else $set['explore.filters.maxDistance'] = maxDistance;
+   }
+
+   if (ageRange !== undefined) {
+     if (ageRange === null) {
+       $unset['explore.filters.ageRange'] = 1;
+     } else if (ageRange.min > ageRange.max) {
+       throw new AppError(
+         'Minimum age cannot be greater than maximum age',
+         HTTP_STATUS.BAD_REQUEST,
+         ERROR_CODES.VALIDATION_ERROR
+       );
+     } else {
+       $set['explore.filters.ageRange'] = { min: ageRange.min, max: ageRange.max };
+     }
+   }
+
+   const user = await User.findByIdAndUpdate(
+     userId,
+     { $set, $unset },
+     { new: true, runValidators: true }
+   ).select(EXPLORE_FIELDS);
+
+   if (!user) {
+     throw new AppError('User not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.USER_NOT_FOUND);
+   }
+
+   return this.formatFilters(user);
+ }
+
+ formatFilters(user) {
+   const { maxDistance, ageRange } = user.explore?.filters || {};
+
+   return {
+     maxDistance: maxDistance ?? null,
+     ageRange: ageRange?.min != null && ageRange?.max != null
+       ? { min: ageRange.min, max: ageRange.max }
+       : null,
+   };
+ }
+
+ getPreferenceOverrides(user) {
+   const { maxDistance, ageRange } = this.formatFilters(user);
+   const overrides = {};
+
+   if (maxDistance) overrides.maxDistance = maxDistance;
+   if (ageRange) overrides.ageRange = ageRange;
+
+   return overrides;
+ }
+
+ // ========================
+ // HELPERS
+ // ========================
+
+ getDefinition(category) {
+   const definition = CATEGORIES[category];
+   if (!definition) {
+     throw new AppError('Unknown explore category', HTTP_STATUS.NOT_FOUND, ERROR_CODES.NOT_FOUND);
+   }
+   return definition;
+ }
+
+ async loadUser(userId) {
+   const user = await User.findById(userId).select(EXPLORE_FIELDS);
+   if (!user) {
+     throw new AppError('User not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.USER_NOT_FOUND);
+   }
+   return user;
+ }
+}
+
+export default new ExploreService();
@@ -0,0 +1,411 @@
+// src/modules/match/icebreaker.service.js
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Match from './match.model.js';
+import User from '../user/user.model.js';
+import Message from '../chat/message.model.js';
+import ChatService from '../chat/chat.service.js';
+import redis from '../../config/redis.js';
+import logger from '../../shared/utils/logger.js';
+import MetricsService from '../../shared/services/metrics.service.js';
+import AppError from '../../shared/errors/AppError.js';
+import {
+ ICEBREAKER_CATEGORIES,
+ ICEBREAKER_LOCALES,
+ ICEBREAKER_TEMPLATES,
+ ICEBREAKER_SLOT_LABELS,
+} from './icebreaker.templates.js';
+import {
+ ICEBREAKER_CONSTANTS,
+ MESSAGE_TYPES,
+ ERROR_CODES,
+ HTTP_STATUS,
+ LIFESTYLE,
+} from '../../config/constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STATS_CACHE_KEY = 'icebreakers:stats';
+
+const PROFILE_FIELDS = [
+ 'profile.firstName',
+ 'profile.displayName',
+ 'profile.interests',
+ 'profile.prompts',
+ 'profile.lifestyle',
+ 'profile.languages',
+ 'profile.location.address.city',
+].join(' ');
+
+const ACTIVE_WORKOUTS = [LIFESTYLE.WORKOUT.OFTEN, LIFESTYLE.WORKOUT.EVERYDAY];
+
+/**
+* Icebreaker Service
+* Builds opening lines from what two matched profiles have in common, using
+* the curated template library only (no external services), and ranks them by
+* how often each template gets a reply.
+*/
+class IcebreakerService {
+ // ========================
+ // SUGGESTIONS
+ // ========================
+
+ /**
+  * Suggest icebreakers for a match
+  * @param {Object} options - { locale, limit }
+  */
+ async getSuggestions(userId, matchId, { locale, limit = ICEBREAKER_CONSTANTS.SUGGESTION_LIMIT } = {}) {
+   try {
+     const match = await this.getMatchForUser(matchId, userId);
+     const [me, them] = await this.loadProfiles(userId, match.getOtherUser(userId));
+     const safeLocale = ICEBREAKER_LOCALES.includes(locale) ? locale : ICEBREAKER_LOCALES[0];
+
+     const candidates = this.buildCandidates(me, them, safeLocale, match._id.toString());
+     const [stats, history] = await Promise.all([
+       this.getTemplateStats(),
+       this.getSendHistory(userId, match._id),
+     ]);
+
+     const ranked = candidates
+       .filter(c => !history.inMatch.has(c.id))
+       .map(c => ({ ...c, score: this.scoreCandidate(c, stats, match._id.toString()) }));
+
+     // Templates never sent by this user come first; ones sent in other
+     // matches only fill the list when the fresh ones run out, oldest first
+     const fresh = ranked.filter(c => !history.lastSent.has(c.id)).sort((a, b) => b.score - a.score);
+     const reused = ranked
+       .filter(c => history.lastSent.has(c.id))
+       .sort((a, b) => history.lastSent.get(a.id) - history.lastSent.get(b.id));
+
+     const count = Math.min(Number(limit) || ICEBREAKER_CONSTANTS.SUGGESTION_LIMIT, ICEBREAKER_CONSTANTS.MAX_SUGGESTION_LIMIT);
+     const suggestions = [...fresh, ...reused]
+       .slice(0, count)
+       .map(({ id, text, category, basedOn }) => ({ id, text, category, basedOn }));
+
+     return {
+       suggestions,
+       locale: safeLocale,
+       remaining: this.getRemaining(match, userId),
+     };
+   } catch (error) {
+     logger.error('Error getting icebreaker suggestions:', error);
+     throw error;
+   }
+ }
+
+ /**
+  * Fill every template whose slots the two profiles can satisfy
+  */
+ buildCandidates(me, them, locale, seed) {
+   const slots = this.extractSlots(me, them, locale);
+
+   return ICEBREAKER_TEMPLATES
+     .filter(template => template.requires.every(slot => slots[slot]?.length > 0))
+     .map(template => {
+       const values = this.pickSlotValues(template, slots, seed);
+       const text = this.render(template.text[locale] || template.text.en, values);
+
+       return {
+         id: template.id,
+         category: template.category,
+         weight: template.weight,
+         basedOn: template.requires.filter(slot => slot !== 'name'),
+         text,
+       };
+     });
+ }
+
+ /**
+  * Collect the values each slot can take, best candidates first
+  * @returns {Object} - slot name -> array of values
+  */
+ extractSlots(me, them, locale) {
+   const mine = me.profile || {};
+   const theirs = them.profile || {};
+   const label = (group, value) => ICEBREAKER_SLOT_LABELS[group]?.[value]?.[locale] || value;
+
+   const normalize = (value) => String(value).trim().toLowerCase();
+   const myInterests = new Set((mine.interests || []).map(normalize));
+   const theirInterests = (theirs.interests || []).filter(Boolean);
+
+   const myLanguages = new Set((mine.languages || []).map(l => l.language).filter(Boolean).map(normalize));
+   const theirLanguages = (theirs.languages || []).map(l => l.language).filter(Boolean);
+
+   const myPets = new Set(mine.lifestyle?.pets || []);
+   const theirPets = (theirs.lifestyle?.pets || []).filter(p => ICEBREAKER_SLOT_LABELS.pets[p]);
+
+   const prompts = (theirs.prompts || [])
+     .filter(p => p.question && p.answer)
+     .map(p => ({ question: p.question, answer: this.truncate(p.answer, ICEBREAKER_CONSTANTS.MAX_PROMPT_ANSWER_LENGTH) }));
+
+   const myCity = mine.location?.address?.city;
+   const theirCity = theirs.location?.address?.city;
+   const sameCity = myCity && theirCity && normalize(myCity) === normalize(theirCity);
+
+   const myDiet = mine.lifestyle?.diet;
+   const theirZodiac = theirs.lifestyle?.zodiac;
+
+   return {
+     name: [theirs.displayName || theirs.firstName].filter(Boolean),
+     sharedInterest: theirInterests.filter(i => myInterests.has(normalize(i))),
+     theirInterest: theirInterests.filter(i => !myInterests.has(normalize(i))),
+     promptQuestion: prompts.map(p => p.question),
+     promptAnswer: prompts.map(p => p.answer),
+     sharedLanguage: theirLanguages.filter(l => myLanguages.has(normalize(l))),
+     theirLanguage: theirLanguages.filter(l => !myLanguages.has(normalize(l))),
+     sharedCity: sameCity ? [theirCity] : [],
+     theirCity: theirCity && !sameCity ? [theirCity] : [],
+     sharedPet: theirPets.filter(p => myPets.has(p)).map(p => label('pets', p)),
+     theirPet: theirPets.filter(p => !myPets.has(p)).map(p => label('pets', p)),
+     sharedDiet: myDiet && myDiet === theirs.lifestyle?.diet && ICEBREAKER_SLOT_LABELS.diet[myDiet]
+       ? [label('diet', myDiet)]
+       : [],
+     sharedWorkout: ACTIVE_WORKOUTS.includes(mine.lifestyle?.workout) && ACTIVE_WORKOUTS.includes(theirs.lifestyle?.workout)
+       ? [theirs.lifestyle.workout]
+       : [],
+     theirZodiac: theirZodiac ? [label('zodiac', theirZodiac)] : [],
+   };
+ }
+
+ /**
+  * Choose one value per slot. The choice is stable for a match, so the same
+  * suggestion renders the same way when it is sent, but varies across matches.
+  * Prompt question and answer always come from the same prompt.
+  */
+ pickSlotValues(template, slots, seed) {
+   const values = {};
+   const promptIndex = this.hash(`${seed}:${template.id}:prompt`) % Math.max(slots.promptAnswer.length, 1);
+
+   for (const slot of template.requires) {
+     const options = slots[slot];
+     const index = slot === 'promptQuestion' || slot === 'promptAnswer'
+       ? promptIndex
+       : this.hash(`${seed}:${template.id}:${slot}`) % options.length;
+     values[slot] = options[index];
+   }
+
+   return values;
+ }
+
+ render(text, values) {
+   return text.replace(/\{(\w+)\}/g, (placeholder, slot) => values[slot] ?? placeholder);
+ }
+
+ // ========================
+ // RANKING
+ // ========================
+
+ /**
+  * Editorial weight scaled by the template's smoothed reply rate, plus a
+  * small per-match jitter so equally good templates rotate between matches
+  */
+ scoreCandidate(candidate, stats, seed) {
+   const { PRIOR_REPLY_RATE, PRIOR_WEIGHT } = ICEBREAKER_CONSTANTS;
+   const { sent = 0, replied = 0 } = stats[candidate.id] || {};
+
+   const replyRate = (replied + PRIOR_REPLY_RATE * PRIOR_WEIGHT) / (sent + PRIOR_WEIGHT);
+   const jitter = (this.hash(`${seed}:${candidate.id}`) % 1000) / 20000;
+
+   return candidate.weight * (replyRate / PRIOR_REPLY_RATE) + jitter;
+ }
+
+ /**
+  * Sent and replied counts per template over the stats window
+  * @returns {Promise<Object>} - templateId -> { sent, replied }
+  */
+ async getTemplateStats() {
+   try {
+     const cached = await redis.get(STATS_CACHE_KEY);
+     if (cached) return JSON.parse(cached);
+   } catch (error) {
+     logger.debug('Icebreaker stats cache unavailable:', error.message);
+   }
+
+   const since = new Date(Date.now() - ICEBREAKER_CONSTANTS.STATS_WINDOW_DAYS * DAY_MS);
+   const rows = await Message.getIcebreakerStats(since);
+   const stats = Object.fromEntries(rows.map(row => [row._id, { sent: row.sent, replied: row.replied }]));
+
+   try {
+     await redis.set(STATS_CACHE_KEY, JSON.stringify(stats), ICEBREAKER_CONSTANTS.STATS_CACHE_TTL);
+   } catch (error) {
+     logger.debug('Could not cache icebreaker stats:', error.message);
+   }
+
+   return stats;
+ }
+
+ /**
+  * Templates the user has sent: in this match, and when each was last sent anywhere
+  */
+ async getSendHistory(userId, matchId) {
+   const rows = await Message.aggregate([
+     { $match: { sender: new mongoose.Types.ObjectId(userId), 'icebreaker.templateId': { $exists: true } } },
+     {
+       $group: {
+         _id: '$icebreaker.templateId',
+         lastSentAt: { $max: '$createdAt' },
+         matches: { $addToSet: '$matchId' },
+       },
+     },
+   ]);
+
+   const matchIdStr = matchId.toString();
+   return {
+     inMatch: new Set(rows.filter(r => r.matches.some(m => m.toString() === matchIdStr)).map(r => r._id)),
+     lastSent: new Map(rows.map(r => [r._id, new Date(r.lastSentAt).getTime()])),
+   };
+ }
+
+ // ========================
+ // SENDING
+ // ========================
+
+ /**
+  * Send an icebreaker as a chat message
+  * @param {Object} data - { templateId } for a suggestion, or { text } for a custom one; plus locale
+  */
+ async sendIcebreaker(userId, matchId, { templateId, text, locale } = {}) {
+   try {
+     const match = await this.getMatchForUser(matchId, userId);
+     const safeLocale = ICEBREAKER_LOCALES.includes(locale) ? locale : ICEBREAKER_LOCALES[0];
+
+     let icebreaker = null;
+     let messageText;
+
+     if (templateId) {
+       const [me, them] = await this.loadProfiles(userId, match.getOtherUser(userId));
+       const candidate = this.buildCandidates(me, them, safeLocale, match._id.toString())
+         .find(c => c.id === templateId);
+
+       if (!candidate) {
+         throw new AppError('This icebreaker is not available for this match', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.VALIDATION_ERROR);
+       }
+
+       const history = await this.getSendHistory(userId, match._id);
+       if (history.inMatch.has(templateId)) {
+         throw new AppError('You already sent this icebreaker', HTTP_STATUS.CONFLICT, ERROR_CODES.ALREADY_EXISTS);
+       }
+
+       icebreaker = { templateId, category: candidate.category, locale: safeLocale };
+       messageText = candidate.text;
+     } else {
+       messageText = String(text || '').trim();
+       if (!messageText || messageText.length > ICEBREAKER_CONSTANTS.MAX_CUSTOM_LENGTH) {
+         throw new AppError(
+           `Icebreaker must be between 1 and ${ICEBREAKER_CONSTANTS.MAX_CUSTOM_LENGTH} characters`,
+           HTTP_STATUS.BAD_REQUEST,
+           ERROR_CODES.VALIDATION_ERROR
+         );
+       }
+     }
+
+     // Reserve one of the user's icebreakers for this match
+     const remainingField = `icebreakers.remaining.${this.getUserSlot(match, userId)}`;
+     const reserved = await Match.findOneAndUpdate(
+       { _id: match._id, [remainingField]: { $gt: 0 } },
+       { $inc: { [remainingField]: -1 } },
+       { new: true }
+     );
+
+     if (!reserved) {
+       throw new AppError('No icebreakers left for this match', HTTP_STATUS.TOO_MANY_REQUESTS, ERROR_CODES.LIMIT_EXCEEDED);
+     }
+
+     let result;
+     try {
+       result = await ChatService.sendMessage(userId, matchId, {
+         type: MESSAGE_TYPES.TEXT,
+         content: { text: messageText },
+         icebreaker: icebreaker || undefined,
+       });
+     } catch (error) {
+       await Match.updateOne({ _id: match._id }, { $inc: { [remainingField]: 1 } });
+       throw error;
+     }
+
+     await Match.updateOne({ _id: match._id }, {
+       $push: {
+         'icebreakers.used': {
+           type: icebreaker?.category === ICEBREAKER_CATEGORIES.PROMPT ? 'prompt' : 'question',
+           content: messageText,
+           usedBy: userId,
+           usedAt: new Date(),
+         },
+       },
+     });
+
+     await MetricsService.incrementCounter('icebreakers.sent', 1, {
+       category: icebreaker?.category || 'custom',
+       locale: safeLocale,
+     });
+
+     return {
+       message: result.message,
+       icebreaker: icebreaker && { templateId: icebreaker.templateId, category: icebreaker.category },
+       remaining: this.getRemaining(reserved, userId),
+     };
+   } catch (error) {
+     logger.error('Error sending icebreaker:', error);
+     throw error;
+   }
+ }
+
+ // ========================
+ // HELPERS
+ // ========================
+
+ async getMatchForUser(matchId, userId) {
+   const match = await Match.findById(matchId);
+
+   if (!match) {
+     throw new AppError('Match not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.MATCH_NOT_FOUND);
+   }
+
+   if (!match.hasUser(userId)) {
+     throw new AppError('Unauthorized to access this match', HTTP_STATUS.FORBIDDEN, ERROR_CODES.FORBIDDEN);
+   }
+
+   if (!match.status?.isActive) {
+     throw new AppError('This match is no longer active', HTTP_STATUS.FORBIDDEN, ERROR_CODES.MATCH_INACTIVE);
+   }
+
+   return match;
+ }
+
+ async loadProfiles(userId, otherUserId) {
+   const users = await User.find({ _id: { $in: [userId, otherUserId] } }).select(PROFILE_FIELDS).lean();
+   const byId = new Map(users.map(u => [u._id.toString(), u]));
+
+   const me = byId.get(userId.toString());
+   const them = byId.get(otherUserId.toString());
+
+   if (!me || !them) {
+     throw new AppError('User not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.USER_NOT_FOUND);
+   }
+
+   return [me, them];
+ }
+
+ getUserSlot(match, userId) {
+   return match.users[0].toString() === userId.toString() ? 'user1' : 'user2';
+ }
+
+ getRemaining(match, userId) {
+   return match.icebreakers?.remaining?.[this.getUserSlot(match, userId)] ?? 0;
+ }
+
+ truncate(text, length) {
+   const chars = Array.from(String(text).trim());
+   if (chars.length <= length) return chars.join('');
+
+   // Prefer cutting at a word boundary
+   const cut = chars.slice(0, length - 1).join('');
+   const lastSpace = cut.lastIndexOf(' ');
+   return `${(lastSpace > length / 2 ? cut.slice(0, lastSpace) : cut).trimEnd()}…`;
+ }
+
+ hash(value) {
+   return crypto.createHash('md5').update(value).digest().readUInt32BE(0);
+ }
+}
+
+export default new IcebreakerService();
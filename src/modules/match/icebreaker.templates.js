@@ -0,0 +1,305 @@
+// src/modules/match/icebreaker.templates.js
+
+/**
+* Curated icebreaker library.
+*
+* Each template lists the slots it `requires`; it is only suggested when every
+* slot can be filled from the two profiles. Text is keyed by locale and uses
+* {slot} placeholders. `weight` is the editorial prior used before there is
+* enough reply data for the template.
+*
+* Slots:
+*   name            - the other user's first name
+*   sharedInterest  - an interest both users listed
+*   theirInterest   - an interest only the other user listed
+*   promptQuestion  - one of the other user's profile prompts
+*   promptAnswer    - their answer to that prompt
+*   sharedLanguage  - a language both users speak
+*   theirLanguage   - a language only the other user speaks
+*   sharedCity      - both users are in the same city
+*   theirCity       - the other user's city, when it differs
+*   sharedPet       - a pet both users have
+*   theirPet        - a pet only the other user has
+*   sharedDiet      - both follow the same non-default diet
+*   sharedWorkout   - both work out often or every day
+*   theirZodiac     - the other user's zodiac sign
+*/
+
+export const ICEBREAKER_CATEGORIES = {
+ INTEREST: 'interest',
+ PROMPT: 'prompt',
+ LIFESTYLE: 'lifestyle',
+ LANGUAGE: 'language',
+ LOCATION: 'location',
+ GENERIC: 'generic',
+};
+
+export const ICEBREAKER_LOCALES = ['en', 'vi'];
+
+export const ICEBREAKER_TEMPLATES = [
+ // ============================
+ // Interests
+ // ============================
+ {
+   id: 'interest_shared_origin',
+   category: ICEBREAKER_CATEGORIES.INTEREST,
+   requires: ['sharedInterest'],
+   weight: 1.3,
+   text: {
+     en: 'We both love {sharedInterest}! How did you get into it?',
+     vi: 'Cả hai mình đều thích {sharedInterest}! Bạn bắt đầu thích nó từ khi nào vậy?',
+   },
+ },
+ {
+   id: 'interest_shared_best',
+   category: ICEBREAKER_CATEGORIES.INTEREST,
+   requires: ['sharedInterest'],
+   weight: 1.2,
+   text: {
+     en: 'Fellow {sharedInterest} fan here 👋 What\'s the best {sharedInterest} moment you\'ve had?',
+     vi: 'Mình cũng mê {sharedInterest} nè 👋 Kỷ niệm {sharedInterest} đáng nhớ nhất của bạn là gì?',
+   },
+ },
+ {
+   id: 'interest_shared_together',
+   category: ICEBREAKER_CATEGORIES.INTEREST,
+   requires: ['sharedInterest', 'name'],
+   weight: 1.1,
+   text: {
+     en: '{name}, if we did something {sharedInterest}-related together, what would you pick?',
+     vi: '{name} ơi, nếu tụi mình cùng làm gì đó liên quan tới {sharedInterest}, bạn sẽ chọn gì?',
+   },
+ },
+ {
+   id: 'interest_theirs_teach',
+   category: ICEBREAKER_CATEGORIES.INTEREST,
+   requires: ['theirInterest'],
+   weight: 1.0,
+   text: {
+     en: 'I saw you\'re into {theirInterest}. Sell it to me in one sentence!',
+     vi: 'Mình thấy bạn thích {theirInterest}. Thuyết phục mình thử nó trong một câu đi!',
+   },
+ },
+ {
+   id: 'interest_theirs_beginner',
+   category: ICEBREAKER_CATEGORIES.INTEREST,
+   requires: ['theirInterest'],
+   weight: 0.9,
+   text: {
+     en: 'Total beginner question: where should someone start with {theirInterest}?',
+     vi: 'Câu hỏi cho người mới nè: muốn bắt đầu với {theirInterest} thì nên làm gì trước?',
+   },
+ },
+
+ // ============================
+ // Prompts
+ // ============================
+ {
+   id: 'prompt_tell_more',
+   category: ICEBREAKER_CATEGORIES.PROMPT,
+   requires: ['promptQuestion', 'promptAnswer'],
+   weight: 1.4,
+   text: {
+     en: 'Your answer to "{promptQuestion}" made me smile: "{promptAnswer}". There has to be a story there!',
+     vi: 'Câu trả lời của bạn cho "{promptQuestion}" làm mình bật cười: "{promptAnswer}". Chắc có chuyện gì hay lắm!',
+   },
+ },
+ {
+   id: 'prompt_follow_up',
+   category: ICEBREAKER_CATEGORIES.PROMPT,
+   requires: ['promptAnswer', 'name'],
+   weight: 1.2,
+   text: {
+     en: '"{promptAnswer}" is a bold answer, {name} 😄 Would you still say the same today?',
+     vi: '"{promptAnswer}" là một câu trả lời táo bạo đó {name} 😄 Giờ bạn vẫn nghĩ vậy chứ?',
+   },
+ },
+
+ // ============================
+ // Lifestyle
+ // ============================
+ {
+   id: 'lifestyle_shared_pet',
+   category: ICEBREAKER_CATEGORIES.LIFESTYLE,
+   requires: ['sharedPet'],
+   weight: 1.2,
+   text: {
+     en: 'A fellow {sharedPet} person! Photo exchange: yours first? 🐾',
+     vi: 'Gặp được người cũng nuôi {sharedPet} rồi! Trao đổi ảnh thú cưng nhé, bạn gửi trước? 🐾',
+   },
+ },
+ {
+   id: 'lifestyle_their_pet',
+   category: ICEBREAKER_CATEGORIES.LIFESTYLE,
+   requires: ['theirPet'],
+   weight: 1.0,
+   text: {
+     en: 'Important question: what\'s your {theirPet}\'s name and what\'s their worst habit?',
+     vi: 'Câu hỏi quan trọng: {theirPet} của bạn tên gì và có tật xấu nào không?',
+   },
+ },
+ {
+   id: 'lifestyle_shared_workout',
+   category: ICEBREAKER_CATEGORIES.LIFESTYLE,
+   requires: ['sharedWorkout'],
+   weight: 0.9,
+   text: {
+     en: 'Looks like we both work out a lot. Morning or evening sessions?',
+     vi: 'Có vẻ tụi mình đều chăm tập luyện. Bạn tập buổi sáng hay buổi tối?',
+   },
+ },
+ {
+   id: 'lifestyle_shared_diet',
+   category: ICEBREAKER_CATEGORIES.LIFESTYLE,
+   requires: ['sharedDiet'],
+   weight: 1.0,
+   text: {
+     en: 'Another {sharedDiet} here! What\'s your go-to place to eat?',
+     vi: 'Mình cũng ăn {sharedDiet} nè! Quán ruột của bạn là quán nào?',
+   },
+ },
+ {
+   id: 'lifestyle_their_zodiac',
+   category: ICEBREAKER_CATEGORIES.LIFESTYLE,
+   requires: ['theirZodiac'],
+   weight: 0.7,
+   text: {
+     en: 'A {theirZodiac}, huh? Is that a warning or a promise? ✨',
+     vi: 'Cung {theirZodiac} à? Đó là lời cảnh báo hay lời hứa vậy? ✨',
+   },
+ },
+
+ // ============================
+ // Languages
+ // ============================
+ {
+   id: 'language_shared',
+   category: ICEBREAKER_CATEGORIES.LANGUAGE,
+   requires: ['sharedLanguage'],
+   weight: 1.0,
+   text: {
+     en: 'We both speak {sharedLanguage}! Should we switch, or is this a secret language thing?',
+     vi: 'Tụi mình đều nói được {sharedLanguage}! Chuyển qua nói {sharedLanguage} luôn không?',
+   },
+ },
+ {
+   id: 'language_theirs',
+   category: ICEBREAKER_CATEGORIES.LANGUAGE,
+   requires: ['theirLanguage'],
+   weight: 0.9,
+   text: {
+     en: 'You speak {theirLanguage}? Teach me one phrase I should know.',
+     vi: 'Bạn nói được {theirLanguage} hả? Dạy mình một câu nên biết đi.',
+   },
+ },
+
+ // ============================
+ // Location
+ // ============================
+ {
+   id: 'location_shared_city',
+   category: ICEBREAKER_CATEGORIES.LOCATION,
+   requires: ['sharedCity'],
+   weight: 1.1,
+   text: {
+     en: 'What\'s your most underrated spot in {sharedCity}? I\'m always looking for new ones.',
+     vi: 'Địa điểm bị đánh giá thấp nhất ở {sharedCity} theo bạn là đâu? Mình đang muốn khám phá thêm.',
+   },
+ },
+ {
+   id: 'location_their_city',
+   category: ICEBREAKER_CATEGORIES.LOCATION,
+   requires: ['theirCity'],
+   weight: 0.9,
+   text: {
+     en: 'If I visited {theirCity} for one day, where would you take me?',
+     vi: 'Nếu mình ghé {theirCity} một ngày, bạn sẽ dẫn mình đi đâu?',
+   },
+ },
+
+ // ============================
+ // Generic fallbacks
+ // ============================
+ {
+   id: 'generic_weekend',
+   category: ICEBREAKER_CATEGORIES.GENERIC,
+   requires: ['name'],
+   weight: 0.6,
+   text: {
+     en: 'Hey {name}! What does your ideal weekend look like?',
+     vi: 'Chào {name}! Cuối tuần lý tưởng của bạn trông như thế nào?',
+   },
+ },
+ {
+   id: 'generic_two_truths',
+   category: ICEBREAKER_CATEGORIES.GENERIC,
+   requires: [],
+   weight: 0.7,
+   text: {
+     en: 'Two truths and a lie, go! I\'ll guess 🕵️',
+     vi: 'Chơi "hai thật một giả" nhé! Bạn kể đi, mình đoán 🕵️',
+   },
+ },
+ {
+   id: 'generic_travel',
+   category: ICEBREAKER_CATEGORIES.GENERIC,
+   requires: [],
+   weight: 0.6,
+   text: {
+     en: 'Next trip you\'d book tomorrow if money and time didn\'t matter?',
+     vi: 'Nếu không lo tiền bạc và thời gian, chuyến đi nào bạn sẽ đặt ngay ngày mai?',
+   },
+ },
+ {
+   id: 'generic_food',
+   category: ICEBREAKER_CATEGORIES.GENERIC,
+   requires: ['name'],
+   weight: 0.6,
+   text: {
+     en: '{name}, settle this for me: what\'s the most overrated food?',
+     vi: '{name} ơi, phân xử giúp mình: món ăn nào được tung hô quá đà nhất?',
+   },
+ },
+];
+
+/**
+* Localized labels for enum values that are used as slot values
+*/
+export const ICEBREAKER_SLOT_LABELS = {
+ pets: {
+   dog: { en: 'dog', vi: 'chó' },
+   cat: { en: 'cat', vi: 'mèo' },
+   bird: { en: 'bird', vi: 'chim' },
+   fish: { en: 'fish', vi: 'cá' },
+   reptile: { en: 'reptile', vi: 'bò sát' },
+ },
+ diet: {
+   vegetarian: { en: 'vegetarian', vi: 'chay' },
+   vegan: { en: 'vegan', vi: 'thuần chay' },
+   pescatarian: { en: 'pescatarian', vi: 'chay có hải sản' },
+   kosher: { en: 'kosher eater', vi: 'kosher' },
+   halal: { en: 'halal eater', vi: 'halal' },
+   keto: { en: 'keto fan', vi: 'keto' },
+ },
+ zodiac: {
+   aries: { en: 'Aries', vi: 'Bạch Dương' },
+   taurus: { en: 'Taurus', vi: 'Kim Ngưu' },
+   gemini: { en: 'Gemini', vi: 'Song Tử' },
+   cancer: { en: 'Cancer', vi: 'Cự Giải' },
+   leo: { en: 'Leo', vi: 'Sư Tử' },
+   virgo: { en: 'Virgo', vi: 'Xử Nữ' },
+   libra: { en: 'Libra', vi: 'Thiên Bình' },
+   scorpio: { en: 'Scorpio', vi: 'Bọ Cạp' },
+   sagittarius: { en: 'Sagittarius', vi: 'Nhân Mã' },
+   capricorn: { en: 'Capricorn', vi: 'Ma Kết' },
+   aquarius: { en: 'Aquarius', vi: 'Bảo Bình' },
+   pisces: { en: 'Pisces', vi: 'Song Ngư' },
+ },
+};
+
+export default {
+ ICEBREAKER_CATEGORIES,
+ ICEBREAKER_LOCALES,
+ ICEBREAKER_TEMPLATES,
+ ICEBREAKER_SLOT_LABELS,
+};
@@ -1,5 +1,14 @@
 // src/modules/match/match.controller.js
 import MatchService from "./match.service.js";
+import DateService from "./date.service.js";
+import GiftService from "../gift/gift.service.js";
+import PromotionService from "../promotion/promotion.service.js";
+import IcebreakerService from "./icebreaker.service.js";
+import PassportService from "./passport.service.js";
+import ExploreService from "./explore.service.js";
+import ActivityService from "./activity.service.js";
+import CallService from "../chat/call.service.js";
+import SafetyService from "./safety.service.js";
 import RecommendationAlgorithm from "./algorithms/recommendation.algorithm.js";
 import EloAlgorithm from "./algorithms/elo.algorithm.js";
 import { asyncHandler } from "../../shared/utils/asyncHandler.js";
@@ -14,11 +23,16 @@ import {
 } from "../../shared/utils/response.js";
 import logger from "../../shared/utils/logger.js";
 import MetricsService from "../../shared/services/metrics.service.js";
+import { resolveRequestLocale } from "../../shared/errors/errorMessages.js";
 import {
   SWIPE_ACTIONS,
   ERROR_CODES,
   SUBSCRIPTION_FEATURES,
 } from "../../config/constants.js";
+import {
+  PROMOTION_TYPES,
+  PROMOTION_STATUS,
+} from "../promotion/promotion.constants.js";
 
 class MatchController {
   /**
@@ -370,11 +384,11 @@ class MatchController {
     const report = await Report.create({
       reportedBy: userId,
       reportedUser: reportedUserId,
+      type: "match",
       matchId,
       reason,
       description,
       evidence,
-      status: "pending",
     });
 
     // Flag match for review
@@ -559,81 +573,63 @@ class MatchController {
   });
 
   /**
-   * Activate boost
+   * Activate boost. Starts now if the region has a free slot, queues otherwise.
    * @route POST /api/matches/boost
    */
   activateBoost = asyncHandler(async (req, res) => {
     const userId = req.user._id.toString();
-    const { duration = 30 } = req.body; // Duration in minutes
 
-    const User = (await import("../user/user.model.js")).default;
-    const user = await User.findById(userId);
+    const status = await PromotionService.activate(userId, PROMOTION_TYPES.BOOST);
 
-    // Check if user has boosts available
-    const hasBoost =
-      user.boosts?.available > 0 || user.subscription?.type === "platinum";
+    return createdResponse(
+      res,
+      status,
+      status.current.status === PROMOTION_STATUS.ACTIVE
+        ? "Boost activated! Your profile is now shown to more people nearby."
+        : "Boost queued. It will start as soon as a slot frees up nearby.",
+    );
+  });
 
-    if (!hasBoost) {
-      return forbiddenResponse(
-        res,
-        "No boosts available. Purchase or upgrade to get boosts.",
-      );
-    }
+  /**
+   * Get boost status
+   * @route GET /api/matches/boost/status
+   */
+  getBoostStatus = asyncHandler(async (req, res) => {
+    const userId = req.user._id.toString();
 
-    // Create boost
-    const boost = {
-      userId,
-      type: "regular",
-      startedAt: new Date(),
-      expiresAt: new Date(Date.now() + duration * 60 * 1000),
-      views: 0,
-      likes: 0,
-    };
+    const status = await PromotionService.getStatus(userId, PROMOTION_TYPES.BOOST);
 
-    // Deduct boost if not platinum
-    if (user.subscription?.type !== "platinum") {
-      await User.findByIdAndUpdate(userId, {
-        $inc: { "boosts.available": -1 },
-        $push: { "boosts.history": boost },
-      });
-    }
+    return successResponse(res, status, "Boost status retrieved");
+  });
 
-    // Store active boost in Redis
-    const redis = (await import("../../config/redis.js")).default;
-    await redis.set(`boost:${userId}`, JSON.stringify(boost), duration * 60);
+  /**
+   * Activate spotlight
+   * @route POST /api/matches/spotlight
+   */
+  activateSpotlight = asyncHandler(async (req, res) => {
+    const userId = req.user._id.toString();
 
-    return successResponse(
+    const status = await PromotionService.activate(userId, PROMOTION_TYPES.SPOTLIGHT);
+
+    return createdResponse(
       res,
-      {
-        boost,
-        remainingBoosts: Math.max(0, (user.boosts?.available || 1) - 1),
-      },
-      "Boost activated! Your profile is now 10x more visible.",
+      status,
+      status.current.status === PROMOTION_STATUS.ACTIVE
+        ? "Spotlight activated"
+        : "Spotlight queued. It will start as soon as the spotlight is free nearby.",
     );
   });
 
   /**
-   * Get boost status
-   * @route GET /api/matches/boost/status
+   * Get spotlight status
+   * @route GET /api/matches/spotlight/status
    */
-  getBoostStatus = asyncHandler(async (req, res) => {
+  getSpotlightStatus = asyncHandler(async (req, res) => {
     const userId = req.user._id.toString();
 
-    const redis = (await import("../../config/redis.js")).default;
-    const activeBoost = await redis.get(`boost:${userId}`);
-
-    const User = (await import("../user/user.model.js")).default;
-    const user = await User.findById(userId).select("boosts subscription");
-
-    const response = {
-      active: !!activeBoost,
-      boost: activeBoost ? JSON.parse(activeBoost) : null,
-      available: user.boosts?.available || 0,
-      canBoost:
-        user.boosts?.available > 0 || user.subscription?.type === "platinum",
-    };
+    const status = await PromotionService.getStatus(userId, PROMOTION_TYPES.SPOTLIGHT);
 
-    return successResponse(res, response, "Boost status retrieved");
+    return successResponse(res, status, "Spotlight status retrieved");
   });
 
   /**
@@ -737,97 +733,561 @@ class MatchController {
   });
 
   /**
-   * Other controller methods would follow similar patterns...
-   * Including: proposeDate, sendVirtualGift, sendIcebreaker,
-   * requestVideoChat, changeLocation, exploreMode, etc.
+   * Propose a date
+   * @route POST /api/matches/:matchId/date
    */
-
-  // Placeholder for remaining methods
   proposeDate = asyncHandler(async (req, res) => {
-    return successResponse(res, null, "Date planning feature coming soon");
+    const userId = req.user._id.toString();
+    const { matchId } = req.params;
+
+    const date = await DateService.proposeDate(matchId, userId, req.body);
+
+    return createdResponse(res, { date }, "Date proposed");
   });
 
+  /**
+   * List a match's dates
+   * @route GET /api/matches/:matchId/dates
+   */
+  getDates = asyncHandler(async (req, res) => {
+    const userId = req.user._id.toString();
+    const { matchId } = req.params;
+
+    const dates = await DateService.getDates(matchId, userId, {
+      status: req.query.status,
+    });
+
+    return successResponse(res, { dates }, "Dates retrieved");
+  });
+
+  /**
+   * Get a date
+   * @route GET /api/matches/:matchId/date/:dateId
+   */
+  getDate = asyncHandler(async (req, res) => {
+    const userId = req.user._id.toString();
+    const { matchId, dateId } = req.params;
+
+    const date = await DateService.getDate(matchId, dateId, userId);
+
+    return successResponse(res, { date }, "Date retrieved");
+  });
+
+  /**
+   * Edit a date proposal, or cancel it with { status: "cancelled" }
+   * @route PUT /api/matches/:matchId/date/:dateId
+   */
+  updateDate = asyncHandler(async (req, res) => {
+    const userId = req.user._id.toString();
+    const { matchId, dateId } = req.params;
+
+    const date = await DateService.updateDate(matchId, dateId, userId, req.body);
+
+    return successResponse(
+      res,
+      { date },
+      date.status === "cancelled" ? "Date cancelled" : "Date updated",
+    );
+  });
+
+  /**
+   * Accept, decline or counter a date proposal
+   * @route POST /api/matches/:matchId/date/:dateId/respond
+   */
+  respondToDate = asyncHandler(async (req, res) => {
+    const userId = req.user._id.toString();
+    const { matchId, dateId } = req.params;
+
+    const date = await DateService.respondToDate(matchId, dateId, userId, req.body);
+
+    return successResponse(res, { date }, "Response recorded");
+  });
+
+  /**
+   * Post-date check-in
+   * @route POST /api/matches/:matchId/date/:dateId/check-in
+   */
+  checkInDate = asyncHandler(async (req, res) => {
+    const userId = req.user._id.toString();
+    const { matchId, dateId } = req.params;
+
+    const date = await DateService.checkIn(matchId, dateId, userId, req.body);
+
+    return successResponse(res, { date }, "Thanks for checking in");
+  });
+
+  /**
+   * Download a scheduled date as an iCalendar file
+   * @route GET /api/matches/:matchId/date/:dateId/calendar.ics
+   */
+  exportDateCalendar = asyncHandler(async (req, res) => {
+    const userId = req.user._id.toString();
+    const { matchId, dateId } = req.params;
+
+    const { filename, content } = await DateService.exportCalendar(matchId, dateId, userId);
+
+    res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    return res.status(200).send(content);
+  });
+
+  // ========================
+  // VIRTUAL GIFTS
+  // ========================
+
+  /**
+   * Send a gift to a match
+   * @route POST /api/matches/:matchId/gift
+   */
   sendVirtualGift = asyncHandler(async (req, res) => {
-    return successResponse(res, null, "Virtual gifts feature coming soon");
+    const userId = req.user._id.toString();
+    const { matchId } = req.params;
+
+    const result = await GiftService.sendGift(userId, matchId, {
+      giftId: req.body.giftId,
+      message: req.body.message,
+      paymentMethod: req.body.paymentMethod,
+      idempotencyKey: req.body.idempotencyKey || req.headers["idempotency-key"],
+      platform: req.headers["x-platform"],
+    });
+
+    return createdResponse(res, result, "Gift sent");
+  });
+
+  /**
+   * Get today's gift catalog with the user's balance
+   * @route GET /api/matches/gifts/available
+   */
+  getAvailableGifts = asyncHandler(async (req, res) => {
+    const userId = req.user._id.toString();
+
+    const result = await GiftService.getAvailableGifts(userId);
+
+    return successResponse(res, result, "Gifts retrieved");
   });
 
+  /**
+   * Get the user's gift ledger
+   * @route GET /api/matches/gifts/history
+   */
+  getGiftHistory = asyncHandler(async (req, res) => {
+    const userId = req.user._id.toString();
+
+    const entries = await GiftService.getLedger(userId, {
+      type: req.query.type,
+      before: req.query.before,
+      limit: req.query.limit,
+    });
+
+    return successResponse(res, { entries }, "Gift history retrieved");
+  });
+
+  // ========================
+  // ICEBREAKERS
+  // ========================
+
+  /**
+   * Send an icebreaker, from a suggestion or written by the user
+   * @route POST /api/matches/:matchId/icebreaker
+   */
   sendIcebreaker = asyncHandler(async (req, res) => {
-    return successResponse(res, null, "Icebreaker sent");
+    const userId = req.user._id.toString();
+    const { matchId } = req.params;
+
+    const result = await IcebreakerService.sendIcebreaker(userId, matchId, {
+      templateId: req.body.templateId,
+      text: req.body.text,
+      locale: req.body.locale || resolveRequestLocale(req),
+    });
+
+    return createdResponse(res, result, "Icebreaker sent");
   });
 
-  requestVideoChat = asyncHandler(async (req, res) => {
-    return successResponse(res, null, "Video chat request sent");
+  /**
+   * Get icebreaker suggestions for a match
+   * @route GET /api/matches/icebreakers/suggestions?matchId=
+   */
+  getIcebreakerSuggestions = asyncHandler(async (req, res) => {
+    const userId = req.user._id.toString();
+
+    const result = await IcebreakerService.getSuggestions(userId, req.query.matchId, {
+      locale: req.query.locale || resolveRequestLocale(req),
+      limit: req.query.limit,
+    });
+
+    return successResponse(res, result, "Suggestions retrieved");
   });
 
-  changeLocation = asyncHandler(async (req, res) => {
-    return successResponse(res, null, "Location changed");
+  /**
+   * Get passport status and recent destinations
+   * @route GET /api/matches/passport
+   */
+  getPassportStatus = asyncHandler(async (req, res) => {
+    const userId = req.user._id.toString();
+
+    const status = await PassportService.getStatus(userId);
+
+    return successResponse(res, status, "Passport status retrieved");
   });
 
-  exploreMode = asyncHandler(async (req, res) => {
-    return successResponse(res, null, "Explore mode activated");
+  /**
+   * Move to a virtual location
+   * @route POST /api/matches/passport
+   */
+  changeLocation = asyncHandler(async (req, res) => {
+    const userId = req.user._id.toString();
+    const { latitude, longitude, city, country } = req.body;
+
+    const status = await PassportService.setLocation(userId, {
+      latitude,
+      longitude,
+      city,
+      country,
+    });
+
+    return successResponse(res, status, "Location changed");
   });
 
-  activateSpotlight = asyncHandler(async (req, res) => {
-    return successResponse(res, null, "Spotlight activated");
+  /**
+   * Go back to the real location
+   * @route DELETE /api/matches/passport
+   */
+  resetLocation = asyncHandler(async (req, res) => {
+    const userId = req.user._id.toString();
+
+    const status = await PassportService.resetLocation(userId);
+
+    return successResponse(res, status, "Location reset");
   });
 
+  /**
+   * Activity feed (matches, likes, profile updates, expiring matches,
+   * date proposals and gifts), newest first
+   * @route GET /api/matches/activity
+   */
   getActivityFeed = asyncHandler(async (req, res) => {
-    return successResponse(res, { activities: [] }, "Activity feed retrieved");
+    const userId = req.user._id.toString();
+    const { limit, cursor } = req.query;
+
+    const feed = await ActivityService.getFeed(userId, {
+      limit: limit ? parseInt(limit) : undefined,
+      cursor,
+    });
+
+    return successResponse(res, feed, "Activity feed retrieved");
   });
 
-  // Additional placeholder methods
-  updateDate = asyncHandler(async (req, res) => {
-    return successResponse(res, null, "Date updated");
+  /**
+   * Conversation streak for a match
+   * @route GET /api/matches/:matchId/activity/streak
+   */
+  getActivityStreak = asyncHandler(async (req, res) => {
+    const userId = req.user._id.toString();
+
+    const streak = await ActivityService.getStreak(userId, req.params.matchId);
+
+    return successResponse(res, streak, "Streak retrieved");
   });
 
-  respondToDate = asyncHandler(async (req, res) => {
-    return successResponse(res, null, "Response recorded");
+  /**
+   * List explore categories with the user's memberships
+   * @route GET /api/matches/explore
+   */
+  getExploreCategories = asyncHandler(async (req, res) => {
+    const userId = req.user._id.toString();
+
+    const result = await ExploreService.getCategories(userId);
+
+    return successResponse(res, result, "Explore categories retrieved");
   });
 
-  getAvailableGifts = asyncHandler(async (req, res) => {
-    return successResponse(res, { gifts: [] }, "Gifts retrieved");
+  /**
+   * Browse one explore category
+   * @route GET /api/matches/explore/:category
+   */
+  getExplorePool = asyncHandler(async (req, res) => {
+    const userId = req.user._id.toString();
+    const { limit = 20, offset = 0 } = req.query;
+
+    const result = await ExploreService.getPool(userId, req.params.category, {
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+    });
+
+    return successResponse(res, result, "Explore profiles retrieved");
   });
 
-  getIcebreakerSuggestions = asyncHandler(async (req, res) => {
-    return successResponse(res, { suggestions: [] }, "Suggestions retrieved");
+  /**
+   * Join an explore category so it shows on the user's card
+   * @route POST /api/matches/explore/:category/join
+   */
+  joinExploreCategory = asyncHandler(async (req, res) => {
+    const userId = req.user._id.toString();
+
+    const category = await ExploreService.joinCategory(userId, req.params.category);
+
+    return successResponse(res, category, `Joined ${category.title}`);
   });
 
+  /**
+   * Leave an explore category
+   * @route DELETE /api/matches/explore/:category/join
+   */
+  leaveExploreCategory = asyncHandler(async (req, res) => {
+    const userId = req.user._id.toString();
+
+    const category = await ExploreService.leaveCategory(userId, req.params.category);
+
+    return successResponse(res, category, `Left ${category.title}`);
+  });
+
+  /**
+   * Save distance and age filters for explore
+   * @route POST /api/matches/explore/filters
+   */
+  setExploreFilters = asyncHandler(async (req, res) => {
+    const userId = req.user._id.toString();
+    const { maxDistance, ageRange } = req.body;
+
+    const filters = await ExploreService.setFilters(userId, { maxDistance, ageRange });
+
+    return successResponse(res, filters, "Explore filters saved");
+  });
+
+  /**
+   * Other controller methods would follow similar patterns...
+   * Including: requestVideoChat, etc.
+   */
+
+  /**
+   * Get video chat consent for a match
+   * @route GET /api/matches/:matchId/video
+   */
+  getVideoChatStatus = asyncHandler(async (req, res) => {
+    const consent = await CallService.getVideoConsent(
+      req.user._id.toString(),
+      req.params.matchId,
+    );
+
+    return successResponse(res, consent, "Video chat status retrieved");
+  });
+
+  /**
+   * Opt in to video calls with a match
+   * @route POST /api/matches/:matchId/video/request
+   */
+  requestVideoChat = asyncHandler(async (req, res) => {
+    const consent = await CallService.setVideoConsent(
+      req.user._id.toString(),
+      req.params.matchId,
+      true,
+    );
+
+    return successResponse(
+      res,
+      consent,
+      consent.videoEnabled ? "Video chat enabled" : "Video chat request sent",
+    );
+  });
+
+  /**
+   * Withdraw video call consent
+   * @route DELETE /api/matches/:matchId/video/request
+   */
+  withdrawVideoChat = asyncHandler(async (req, res) => {
+    const consent = await CallService.setVideoConsent(
+      req.user._id.toString(),
+      req.params.matchId,
+      false,
+    );
+
+    return successResponse(res, consent, "Video chat turned off");
+  });
+
+  /**
+   * End the call in progress with a match
+   * @route POST /api/matches/:matchId/video/end
+   */
   endVideoChat = asyncHandler(async (req, res) => {
-    return successResponse(res, null, "Video chat ended");
+    const call = await CallService.endActiveCall(
+      req.user._id.toString(),
+      req.params.matchId,
+      req.body.reason,
+    );
+
+    return successResponse(res, { call }, "Video chat ended");
   });
 
-  shareLocation = asyncHandler(async (req, res) => {
-    return successResponse(res, null, "Location shared");
+  /**
+   * List trusted contacts
+   * @route GET /api/matches/safety/contacts
+   */
+  getTrustedContacts = asyncHandler(async (req, res) => {
+    const contacts = await SafetyService.getTrustedContacts(
+      req.user._id.toString(),
+    );
+
+    return successResponse(res, { contacts }, "Trusted contacts retrieved");
+  });
+
+  /**
+   * Add a trusted contact
+   * @route POST /api/matches/safety/contacts
+   */
+  addTrustedContact = asyncHandler(async (req, res) => {
+    const contact = await SafetyService.addTrustedContact(
+      req.user._id.toString(),
+      req.body,
+    );
+
+    return createdResponse(res, contact, "Trusted contact added");
   });
 
+  /**
+   * Remove a trusted contact
+   * @route DELETE /api/matches/safety/contacts/:contactId
+   */
+  removeTrustedContact = asyncHandler(async (req, res) => {
+    const result = await SafetyService.removeTrustedContact(
+      req.user._id.toString(),
+      req.params.contactId,
+    );
+
+    return successResponse(res, result, "Trusted contact removed");
+  });
+
+  /**
+   * Date plan behind a share link (no authentication)
+   * @route GET /api/matches/safety/shared/:token
+   */
+  getSharedSafetyPlan = asyncHandler(async (req, res) => {
+    const plan = await SafetyService.getSharedPlan(req.params.token);
+
+    return successResponse(res, plan, "Shared date plan retrieved");
+  });
+
+  /**
+   * Current safety plan for a match
+   * @route GET /api/matches/:matchId/safety
+   */
+  getSafetyPlan = asyncHandler(async (req, res) => {
+    const plan = await SafetyService.getPlan(
+      req.user._id.toString(),
+      req.params.matchId,
+    );
+
+    return successResponse(res, { plan }, "Safety plan retrieved");
+  });
+
+  /**
+   * Share date plans with trusted contacts
+   * @route POST /api/matches/:matchId/safety/emergency-contact
+   */
   shareEmergencyContact = asyncHandler(async (req, res) => {
-    return successResponse(res, null, "Emergency contact shared");
+    const result = await SafetyService.sharePlan(
+      req.user._id.toString(),
+      req.params.matchId,
+      req.body,
+    );
+
+    return createdResponse(res, result, "Date plans shared with your trusted contacts");
   });
 
-  resetLocation = asyncHandler(async (req, res) => {
-    return successResponse(res, null, "Location reset");
+  /**
+   * Stop sharing date plans
+   * @route DELETE /api/matches/:matchId/safety
+   */
+  revokeSafetyPlan = asyncHandler(async (req, res) => {
+    const result = await SafetyService.revokePlan(
+      req.user._id.toString(),
+      req.params.matchId,
+    );
+
+    return successResponse(res, result, "Date plans no longer shared");
   });
 
-  updateActivityStreak = asyncHandler(async (req, res) => {
-    return successResponse(res, null, "Streak updated");
+  /**
+   * Share or update live location on the safety plan
+   * @route POST /api/matches/:matchId/safety/share-location
+   */
+  shareLocation = asyncHandler(async (req, res) => {
+    const plan = await SafetyService.shareLocation(
+      req.user._id.toString(),
+      req.params.matchId,
+      req.body,
+    );
+
+    return successResponse(res, { plan }, "Location shared");
   });
 
-  setExploreFilters = asyncHandler(async (req, res) => {
-    return successResponse(res, null, "Filters set");
+  /**
+   * Start or reset the check-in timer
+   * @route POST /api/matches/:matchId/safety/check-in
+   */
+  startSafetyCheckIn = asyncHandler(async (req, res) => {
+    const plan = await SafetyService.startCheckIn(
+      req.user._id.toString(),
+      req.params.matchId,
+      req.body.minutes,
+    );
+
+    return successResponse(res, { plan }, "Check-in timer started");
   });
 
-  getSpotlightStatus = asyncHandler(async (req, res) => {
-    return successResponse(res, { active: false }, "Status retrieved");
+  /**
+   * Confirm the user is safe
+   * @route POST /api/matches/:matchId/safety/check-in/confirm
+   */
+  confirmSafetyCheckIn = asyncHandler(async (req, res) => {
+    const plan = await SafetyService.confirmSafe(
+      req.user._id.toString(),
+      req.params.matchId,
+    );
+
+    return successResponse(res, { plan }, "Glad you're safe");
+  });
+
+  /**
+   * Apply swipes queued while offline
+   * @route POST /api/matches/swipe/batch
+   */
+  batchSwipe = asyncHandler(async (req, res) => {
+    const result = await this.processBatch(req, req.body.swipes);
+
+    return successResponse(res, result, "Swipe batch processed");
   });
 
+  /**
+   * Like several profiles at once
+   * @route POST /api/matches/batch/like
+   */
   batchLike = asyncHandler(async (req, res) => {
-    return successResponse(res, null, "Batch like completed");
+    const swipes = req.body.swipes.map((swipe) => ({ ...swipe, action: SWIPE_ACTIONS.LIKE }));
+    const result = await this.processBatch(req, swipes);
+
+    return successResponse(res, result, "Batch like completed");
   });
 
+  /**
+   * Pass on several profiles at once
+   * @route POST /api/matches/batch/pass
+   */
   batchPass = asyncHandler(async (req, res) => {
-    return successResponse(res, null, "Batch pass completed");
+    const swipes = req.body.swipes.map((swipe) => ({ ...swipe, action: SWIPE_ACTIONS.NOPE }));
+    const result = await this.processBatch(req, swipes);
+
+    return successResponse(res, result, "Batch pass completed");
   });
 
+  processBatch(req, swipes) {
+    return MatchService.processSwipeBatch(req.user._id.toString(), swipes, {
+      source: req.query.source || "recommendations",
+      platform: req.headers["x-platform"] || "web",
+      appVersion: req.headers["x-app-version"],
+      deviceId: req.headers["x-device-id"],
+    });
+  }
+
   provideFeedback = asyncHandler(async (req, res) => {
     return successResponse(res, null, "Feedback recorded");
   });
@@ -1,6 +1,6 @@
 // src/modules/match/match.model.js
 import mongoose from 'mongoose';
-import { MATCH_STATUS, NOTIFICATION_TYPES } from '../../config/constants.js';
+import { MATCH_STATUS, NOTIFICATION_TYPES, CHAT_EXPORT_CONSTANTS } from '../../config/constants.js';
 
 const { Schema } = mongoose;
 
@@ -159,6 +159,51 @@ const matchSchema = new Schema(
        user1: Date,
        user2: Date,
      },
+     // End-to-end encryption; once on it stays on for the match
+     encryption: {
+       enabled: {
+         type: Boolean,
+         default: false,
+       },
+       enabledAt: Date,
+       enabledBy: {
+         type: Schema.Types.ObjectId,
+         ref: 'User',
+       },
+     },
+     // Audit trail of chat exports, newest last
+     exports: [
+       {
+         requestedBy: {
+           type: Schema.Types.ObjectId,
+           ref: 'User',
+           required: true,
+         },
+         format: {
+           type: String,
+           enum: CHAT_EXPORT_CONSTANTS.FORMATS,
+           required: true,
+         },
+         status: {
+           type: String,
+           enum: Object.values(CHAT_EXPORT_CONSTANTS.STATUS),
+           default: CHAT_EXPORT_CONSTANTS.STATUS.QUEUED,
+         },
+         requestedAt: {
+           type: Date,
+           default: Date.now,
+         },
+         completedAt: Date,
+         expiresAt: Date, // When the download link and file expire
+         messageCount: Number,
+         encryptedCount: Number,
+         unsupportedCount: Number, // Messages with characters the format can't display
+         bytes: Number,
+         storageKey: String,
+         storageProvider: String,
+         error: String,
+       },
+     ],
    },
 
    // Media sharing
@@ -198,6 +243,13 @@ const matchSchema = new Schema(
        type: Boolean,
        default: true,
      },
+     // Users who agreed to video calls; both must opt in
+     optedIn: [
+       {
+         type: Schema.Types.ObjectId,
+         ref: 'User',
+       },
+     ],
      totalCalls: {
        type: Number,
        default: 0,
@@ -314,7 +366,20 @@ const matchSchema = new Schema(
          type: Number,
          default: 0,
        },
+       // UTC day (midnight) the streak was last extended
        lastStreakDate: Date,
+       // UTC day being tracked and who has messaged on it so far
+       currentDay: Date,
+       currentDaySenders: [
+         {
+           type: Schema.Types.ObjectId,
+           ref: 'User',
+         },
+       ],
+       // lastStreakDate the at-risk reminder was sent for
+       reminderSentFor: Date,
+       // Milestones already rewarded for this match
+       rewardedMilestones: [Number],
      },
      sentiment: {
        type: String,
@@ -466,8 +531,11 @@ matchSchema.index({ users: 1, matchedAt: -1 });
 matchSchema.index({ users: 1, 'interaction.lastMessageAt': -1 });
 matchSchema.index({ 'status.isActive': 1, matchedAt: -1 });
 matchSchema.index({ 'engagement.lastActivityAt': -1 });
+matchSchema.index({ 'engagement.activityStreak.lastStreakDate': 1, 'engagement.activityStreak.current': 1 });
 matchSchema.index({ 'chat.isPinned.user1': 1, 'chat.isPinned.user2': 1 });
 matchSchema.index({ 'interaction.unreadCount.user1': 1, 'interaction.unreadCount.user2': 1 });
+// Finding chat export files to delete once their link expires
+matchSchema.index({ 'chat.exports.status': 1, 'chat.exports.expiresAt': 1 }, { sparse: true });
 
 // Text index for search
 matchSchema.index({ 'metadata.location.user1.city': 'text', 'metadata.location.user2.city': 'text' });
@@ -26,7 +26,7 @@ import {
  validateObjectId,
  validate
 } from '../../shared/middleware/validation.middleware.js';
-import { swipeValidators, matchValidators } from '../../shared/utils/validators.js';
+import { swipeValidators, matchValidators, dateValidators, giftValidators, icebreakerValidators, passportValidators, exploreValidators, activityValidators, safetyValidators } from '../../shared/utils/validators.js';
 import { asyncHandler } from '../../shared/utils/asyncHandler.js';
 
 const router = Router();
@@ -36,7 +36,22 @@ const router = Router();
 * @desc    Match and swipe management routes
 */
 
-// Apply authentication to all routes
+// ============================
+// Public Routes (No authentication)
+// ============================
+
+/**
+* @route   GET /api/matches/safety/shared/:token
+* @desc    Date plan shared with a trusted contact
+* @access  Public (token in the link)
+*/
+router.get(
+ '/safety/shared/:token',
+ customRateLimiter({ limit: 30, window: 60 }),
+ MatchController.getSharedSafetyPlan
+);
+
+// Apply authentication to all other routes
 router.use(authenticate);
 
 // ============================
@@ -59,6 +74,22 @@ router.post(
  MatchController.swipe
 );
 
+/**
+* @route   POST /api/matches/swipe/batch
+* @desc    Apply swipes queued while offline, in order
+* @access  Private
+*/
+router.post(
+ '/swipe/batch',
+ requireCompleteProfile,
+ customRateLimiter({ limit: 30, window: 3600 }),
+ sanitizeRequest,
+ swipeValidators.batch,
+ validate,
+ clearCache(['recommendations:*', 'swipe-patterns:*']),
+ MatchController.batchSwipe
+);
+
 /**
 * @route   POST /api/matches/swipe/undo
 * @desc    Undo last swipe
@@ -151,7 +182,8 @@ router.get(
 * @access  Private
 */
 router.get(
- '/:matchId',
+ // Only match IDs, so static paths like /gifts/available registered below still resolve
+ '/:matchId([0-9a-fA-F]{24})',
  validateObjectId('matchId'),
  cacheMiddleware({ ttl: 300, includeUser: true }),
  MatchController.getMatch
@@ -350,35 +382,93 @@ router.post(
  requirePremium('plus'),
  validateObjectId('matchId'),
  sanitizeRequest,
+ dateValidators.proposeDate,
+ validate,
  MatchController.proposeDate
 );
 
+/**
+* @route   GET /api/matches/:matchId/dates
+* @desc    List dates planned for a match
+* @access  Private
+*/
+router.get(
+ '/:matchId/dates',
+ validateObjectId('matchId'),
+ MatchController.getDates
+);
+
+/**
+* @route   GET /api/matches/:matchId/date/:dateId
+* @desc    Get a date
+* @access  Private
+*/
+router.get(
+ '/:matchId/date/:dateId',
+ validateObjectId('matchId'),
+ validateObjectId('dateId'),
+ MatchController.getDate
+);
+
 /**
 * @route   PUT /api/matches/:matchId/date/:dateId
-* @desc    Update date proposal
+* @desc    Update date proposal (or cancel with status "cancelled")
 * @access  Private (Premium)
 */
 router.put(
  '/:matchId/date/:dateId',
  requirePremium('plus'),
  validateObjectId('matchId'),
+ validateObjectId('dateId'),
  sanitizeRequest,
+ dateValidators.updateDate,
+ validate,
  MatchController.updateDate
 );
 
 /**
 * @route   POST /api/matches/:matchId/date/:dateId/respond
-* @desc    Respond to date proposal
+* @desc    Respond to date proposal (accept, decline or counter)
 * @access  Private (Premium)
 */
 router.post(
  '/:matchId/date/:dateId/respond',
  requirePremium('plus'),
  validateObjectId('matchId'),
+ validateObjectId('dateId'),
  sanitizeRequest,
+ dateValidators.respondToDate,
+ validate,
  MatchController.respondToDate
 );
 
+/**
+* @route   POST /api/matches/:matchId/date/:dateId/check-in
+* @desc    Tell us how the date went
+* @access  Private
+*/
+router.post(
+ '/:matchId/date/:dateId/check-in',
+ validateObjectId('matchId'),
+ validateObjectId('dateId'),
+ sanitizeRequest,
+ dateValidators.checkIn,
+ validate,
+ MatchController.checkInDate
+);
+
+/**
+* @route   GET /api/matches/:matchId/date/:dateId/calendar.ics
+* @desc    Download a scheduled date as an iCalendar file
+* @access  Private
+*/
+router.get(
+ '/:matchId/date/:dateId/calendar.ics',
+ validateObjectId('matchId'),
+ validateObjectId('dateId'),
+ MatchController.exportDateCalendar
+);
+
 // ============================
 // Virtual Gifts Routes (Premium)
 // ============================
@@ -394,20 +484,33 @@ router.post(
  validateObjectId('matchId'),
  customRateLimiter({ limit: 10, window: 86400 }),
  sanitizeRequest,
+ giftValidators.sendGift,
+ validate,
  MatchController.sendVirtualGift
 );
 
 /**
 * @route   GET /api/matches/gifts/available
-* @desc    Get available virtual gifts
+* @desc    Get today's gift catalog with the user's coins and owned gifts
 * @access  Private
 */
 router.get(
  '/gifts/available',
- cacheMiddleware({ ttl: 3600 }),
  MatchController.getAvailableGifts
 );
 
+/**
+* @route   GET /api/matches/gifts/history
+* @desc    Get the user's gift ledger (purchases, sent and received gifts)
+* @access  Private
+*/
+router.get(
+ '/gifts/history',
+ giftValidators.getHistory,
+ validate,
+ MatchController.getGiftHistory
+);
+
 // ============================
 // Icebreaker Routes
 // ============================
@@ -422,17 +525,20 @@ router.post(
  validateObjectId('matchId'),
  customRateLimiter({ limit: 3, window: 86400 }),
  sanitizeRequest,
+ icebreakerValidators.sendIcebreaker,
+ validate,
  MatchController.sendIcebreaker
 );
 
 /**
-* @route   GET /api/matches/icebreakers/suggestions
-* @desc    Get icebreaker suggestions
+* @route   GET /api/matches/icebreakers/suggestions?matchId=
+* @desc    Get icebreaker suggestions for a match
 * @access  Private
 */
 router.get(
  '/icebreakers/suggestions',
- cacheMiddleware({ ttl: 3600 }),
+ icebreakerValidators.getSuggestions,
+ validate,
  MatchController.getIcebreakerSuggestions
 );
 
@@ -525,9 +631,20 @@ router.post(
 // Video Chat Routes
 // ============================
 
+/**
+* @route   GET /api/matches/:matchId/video
+* @desc    Get video chat consent for a match
+* @access  Private
+*/
+router.get(
+ '/:matchId/video',
+ validateObjectId('matchId'),
+ MatchController.getVideoChatStatus
+);
+
 /**
 * @route   POST /api/matches/:matchId/video/request
-* @desc    Request video chat
+* @desc    Opt in to video chat (both users must opt in)
 * @access  Private
 */
 router.post(
@@ -538,9 +655,20 @@ router.post(
  MatchController.requestVideoChat
 );
 
+/**
+* @route   DELETE /api/matches/:matchId/video/request
+* @desc    Withdraw video chat consent
+* @access  Private
+*/
+router.delete(
+ '/:matchId/video/request',
+ validateObjectId('matchId'),
+ MatchController.withdrawVideoChat
+);
+
 /**
 * @route   POST /api/matches/:matchId/video/end
-* @desc    End video chat
+* @desc    End the call in progress
 * @access  Private
 */
 router.post(
@@ -554,42 +682,139 @@ router.post(
 // ============================
 
 /**
-* @route   POST /api/matches/:matchId/safety/share-location
-* @desc    Share location with match
+* @route   GET /api/matches/safety/contacts
+* @desc    List trusted contacts
+* @access  Private
+*/
+router.get(
+ '/safety/contacts',
+ MatchController.getTrustedContacts
+);
+
+/**
+* @route   POST /api/matches/safety/contacts
+* @desc    Add a trusted contact
 * @access  Private
 */
 router.post(
- '/:matchId/safety/share-location',
- validateObjectId('matchId'),
+ '/safety/contacts',
  sanitizeRequest,
- MatchController.shareLocation
+ safetyValidators.addContact,
+ validate,
+ MatchController.addTrustedContact
+);
+
+/**
+* @route   DELETE /api/matches/safety/contacts/:contactId
+* @desc    Remove a trusted contact
+* @access  Private
+*/
+router.delete(
+ '/safety/contacts/:contactId',
+ safetyValidators.contactId,
+ validate,
+ MatchController.removeTrustedContact
+);
+
+/**
+* @route   GET /api/matches/:matchId/safety
+* @desc    Current safety plan for a date with this match
+* @access  Private
+*/
+router.get(
+ '/:matchId/safety',
+ validateObjectId('matchId'),
+ MatchController.getSafetyPlan
+);
+
+/**
+* @route   DELETE /api/matches/:matchId/safety
+* @desc    Stop sharing date plans and cancel the check-in timer
+* @access  Private
+*/
+router.delete(
+ '/:matchId/safety',
+ validateObjectId('matchId'),
+ MatchController.revokeSafetyPlan
 );
 
 /**
 * @route   POST /api/matches/:matchId/safety/emergency-contact
-* @desc    Share emergency contact
+* @desc    Share date plans with trusted contacts through an expiring link
 * @access  Private
 */
 router.post(
  '/:matchId/safety/emergency-contact',
  validateObjectId('matchId'),
  sanitizeRequest,
+ safetyValidators.sharePlan,
+ validate,
  MatchController.shareEmergencyContact
 );
 
+/**
+* @route   POST /api/matches/:matchId/safety/share-location
+* @desc    Share or update live location on the shared date plans
+* @access  Private
+*/
+router.post(
+ '/:matchId/safety/share-location',
+ validateObjectId('matchId'),
+ sanitizeRequest,
+ safetyValidators.shareLocation,
+ validate,
+ MatchController.shareLocation
+);
+
+/**
+* @route   POST /api/matches/:matchId/safety/check-in
+* @desc    Start or reset the check-in timer
+* @access  Private
+*/
+router.post(
+ '/:matchId/safety/check-in',
+ validateObjectId('matchId'),
+ safetyValidators.startCheckIn,
+ validate,
+ MatchController.startSafetyCheckIn
+);
+
+/**
+* @route   POST /api/matches/:matchId/safety/check-in/confirm
+* @desc    Confirm you're safe
+* @access  Private
+*/
+router.post(
+ '/:matchId/safety/check-in/confirm',
+ validateObjectId('matchId'),
+ MatchController.confirmSafetyCheckIn
+);
+
 // ============================
 // Passport Routes (Location Change)
 // ============================
 
+/**
+* @route   GET /api/matches/passport
+* @desc    Get passport status and recent destinations
+* @access  Private
+*/
+router.get(
+ '/passport',
+ MatchController.getPassportStatus
+);
+
 /**
 * @route   POST /api/matches/passport
 * @desc    Change location (Premium feature)
-* @access  Private (Gold+)
+* @access  Private (subscriptions that include Passport)
 */
 router.post(
  '/passport',
  requirePremium('gold'),
  sanitizeRequest,
+ passportValidators.changeLocation,
+ validate,
  clearCache(['recommendations:*', 'nearby:*']),
  MatchController.changeLocation
 );
@@ -597,11 +822,10 @@ router.post(
 /**
 * @route   DELETE /api/matches/passport
 * @desc    Reset to actual location
-* @access  Private (Gold+)
+* @access  Private (also after the subscription lapses)
 */
 router.delete(
  '/passport',
- requirePremium('gold'),
  clearCache(['recommendations:*', 'nearby:*']),
  MatchController.resetLocation
 );
@@ -612,25 +836,25 @@ router.delete(
 
 /**
 * @route   GET /api/matches/activity
-* @desc    Get match activity feed
+* @desc    Get match activity feed (cursor paginated)
 * @access  Private
 */
 router.get(
  '/activity',
- validatePagination,
- cacheMiddleware({ ttl: 300, includeUser: true }),
+ activityValidators.getFeed,
+ validate,
  MatchController.getActivityFeed
 );
 
 /**
-* @route   POST /api/matches/:matchId/activity/streak
-* @desc    Update activity streak
+* @route   GET /api/matches/:matchId/activity/streak
+* @desc    Get the conversation streak for a match (streaks advance as both people message)
 * @access  Private
 */
-router.post(
+router.get(
  '/:matchId/activity/streak',
  validateObjectId('matchId'),
- MatchController.updateActivityStreak
+ MatchController.getActivityStreak
 );
 
 // ============================
@@ -639,18 +863,13 @@ router.post(
 
 /**
 * @route   GET /api/matches/explore
-* @desc    Browse profiles in explore mode (Premium)
+* @desc    List explore categories and the user's memberships (Premium)
 * @access  Private (Premium)
 */
 router.get(
  '/explore',
  requirePremium('plus'),
- validatePagination,
- conditionalCache(
-   (req) => !req.query.filters,
-   { ttl: 600 }
- ),
- MatchController.exploreMode
+ MatchController.getExploreCategories
 );
 
 /**
@@ -662,10 +881,53 @@ router.post(
  '/explore/filters',
  requirePremium('plus'),
  sanitizeRequest,
+ exploreValidators.setFilters,
+ validate,
  clearCache(['explore:*']),
  MatchController.setExploreFilters
 );
 
+/**
+* @route   GET /api/matches/explore/:category
+* @desc    Browse profiles in an explore category (Premium)
+* @access  Private (Premium)
+*/
+router.get(
+ '/explore/:category',
+ requirePremium('plus'),
+ exploreValidators.category,
+ validatePagination,
+ validate,
+ cacheMiddleware({ ttl: 300, includeUser: true }),
+ MatchController.getExplorePool
+);
+
+/**
+* @route   POST /api/matches/explore/:category/join
+* @desc    Join an explore category so it shows on your card
+* @access  Private
+*/
+router.post(
+ '/explore/:category/join',
+ exploreValidators.category,
+ validate,
+ clearCache(['explore:*']),
+ MatchController.joinExploreCategory
+);
+
+/**
+* @route   DELETE /api/matches/explore/:category/join
+* @desc    Leave an explore category
+* @access  Private
+*/
+router.delete(
+ '/explore/:category/join',
+ exploreValidators.category,
+ validate,
+ clearCache(['explore:*']),
+ MatchController.leaveExploreCategory
+);
+
 // ============================
 // Spotlight Routes
 // ============================
@@ -708,6 +970,8 @@ router.post(
  requirePremium('platinum'),
  customRateLimiter({ limit: 1, window: 3600 }),
  sanitizeRequest,
+ swipeValidators.batchAction,
+ validate,
  clearCache(['recommendations:*']),
  MatchController.batchLike
 );
@@ -721,6 +985,8 @@ router.post(
  '/batch/pass',
  customRateLimiter({ limit: 5, window: 3600 }),
  sanitizeRequest,
+ swipeValidators.batchAction,
+ validate,
  clearCache(['recommendations:*']),
  MatchController.batchPass
 );
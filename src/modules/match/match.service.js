@@ -1,4 +1,5 @@
 // src/modules/match/match.service.js
+import mongoose from 'mongoose';
 import Match from './match.model.js';
 import Swipe from './swipe.model.js';
 import User from '../user/user.model.js';
@@ -22,6 +23,8 @@ import {
  HTTP_STATUS,
  SOCKET_EVENTS,
  SUBSCRIPTION_FEATURES,
+ SWIPE_BATCH_STATUS,
+ SWIPE_BATCH_CONSTANTS,
 } from '../../config/constants.js';
 
 class MatchService {
@@ -74,6 +77,10 @@ class MatchService {
        this.getUserSwipeData(toUserId),
      ]);
 
+     if (!toUserData) {
+       throw new AppError('User not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.USER_NOT_FOUND);
+     }
+
      // Calculate compatibility
      const compatibility = await this.calculateCompatibility(fromUserData, toUserData);
 
@@ -98,6 +105,7 @@ class MatchService {
          appVersion: context.appVersion,
          deviceId: context.deviceId,
        },
+       sync: context.sync,
        location: {
          from: fromUserData.profile?.location,
          to: toUserData.profile?.location,
@@ -194,6 +202,145 @@ class MatchService {
    }
  }
 
+ /**
+  * Apply swipes queued by a client while offline, in the order given. Each
+  * swipe goes through processSwipe, so daily limits and super like quotas
+  * count the swipes applied before it, and a rejected swipe doesn't stop
+  * the rest. Idempotency keys make a retried batch safe to replay.
+  * @param {string} fromUserId - User who swiped
+  * @param {Array} swipes - [{ targetUserId, action, clientTimestamp, idempotencyKey, ... }]
+  * @param {Object} context - Device data shared by the whole batch
+  */
+ async processSwipeBatch(fromUserId, swipes, context = {}) {
+   if (swipes.length > SWIPE_BATCH_CONSTANTS.MAX_BATCH_SIZE) {
+     throw new AppError(
+       `A batch can contain at most ${SWIPE_BATCH_CONSTANTS.MAX_BATCH_SIZE} swipes`,
+       HTTP_STATUS.BAD_REQUEST,
+       ERROR_CODES.VALIDATION_ERROR
+     );
+   }
+
+   const batchId = new mongoose.Types.ObjectId().toString();
+   const results = [];
+
+   for (const [index, item] of swipes.entries()) {
+     results.push(await this.applyBatchSwipe(fromUserId, item, { ...context, batchId, batchIndex: index }));
+   }
+
+   const summary = Object.values(SWIPE_BATCH_STATUS).reduce((acc, status) => {
+     acc[status] = results.filter(result => result.status === status).length;
+     return acc;
+   }, {});
+   summary.matches = results.filter(result => result.status === SWIPE_BATCH_STATUS.APPLIED && result.match).length;
+
+   const fromUser = await User.findById(fromUserId).select('subscription').lean();
+   const limits = await Swipe.checkDailyLimits(fromUserId, fromUser?.subscription?.type || 'free');
+
+   MetricsService.incrementCounter('swipes.batch', swipes.length);
+
+   return {
+     batchId,
+     results,
+     summary,
+     limits: {
+       likesRemaining: limits.remaining.likes,
+       superLikesRemaining: limits.remaining.superLikes,
+     },
+   };
+ }
+
+ /**
+  * Apply one queued swipe and describe the outcome instead of throwing
+  */
+ async applyBatchSwipe(fromUserId, item, context) {
+   const { batchId, batchIndex, ...swipeContext } = context;
+   const result = {
+     index: batchIndex,
+     idempotencyKey: item.idempotencyKey,
+     targetUserId: item.targetUserId,
+     action: item.action,
+   };
+
+   const replayed = await this.findReplayedSwipe(fromUserId, item.idempotencyKey);
+   if (replayed) {
+     return { ...result, ...replayed };
+   }
+
+   const clientTimestamp = new Date(item.clientTimestamp);
+   const age = Date.now() - clientTimestamp.getTime();
+   if (Number.isNaN(age) || age < -SWIPE_BATCH_CONSTANTS.MAX_CLOCK_SKEW_MINUTES * 60 * 1000) {
+     return this.rejectBatchSwipe(result, ERROR_CODES.VALIDATION_ERROR, 'Swipe time is in the future');
+   }
+   if (age > SWIPE_BATCH_CONSTANTS.MAX_CLIENT_AGE_HOURS * 60 * 60 * 1000) {
+     return this.rejectBatchSwipe(result, ERROR_CODES.VALIDATION_ERROR, 'Swipe was queued too long ago');
+   }
+
+   try {
+     const swipe = await this.processSwipe(fromUserId, item.targetUserId, item.action, {
+       ...swipeContext,
+       source: item.source || swipeContext.source,
+       photoIndex: item.photoIndex,
+       viewDuration: item.viewDuration,
+       photosViewed: item.photosViewed,
+       bioViewed: item.bioViewed,
+       message: item.message,
+       sync: {
+         idempotencyKey: item.idempotencyKey,
+         clientTimestamp,
+         batchId,
+         batchIndex,
+       },
+     });
+
+     return {
+       ...result,
+       status: SWIPE_BATCH_STATUS.APPLIED,
+       swipe: swipe.swipe,
+       match: swipe.match,
+     };
+   } catch (error) {
+     // A retry of the same batch raced this one and saved the swipe first
+     if (error.code === 11000) {
+       const raced = await this.findReplayedSwipe(fromUserId, item.idempotencyKey);
+       if (raced) return { ...result, ...raced };
+       return this.rejectBatchSwipe(result, ERROR_CODES.ALREADY_EXISTS, 'Already swiped on this user', SWIPE_BATCH_STATUS.DUPLICATE);
+     }
+
+     if (!(error instanceof AppError)) throw error;
+
+     const status = error.errorCode === ERROR_CODES.ALREADY_EXISTS
+       ? SWIPE_BATCH_STATUS.DUPLICATE
+       : SWIPE_BATCH_STATUS.REJECTED;
+     return this.rejectBatchSwipe(result, error.errorCode, error.message, status);
+   }
+ }
+
+ /**
+  * Outcome of a swipe already applied under this idempotency key
+  */
+ async findReplayedSwipe(fromUserId, idempotencyKey) {
+   const swipe = await Swipe.findOne({ from: fromUserId, 'sync.idempotencyKey': idempotencyKey });
+   if (!swipe) return null;
+
+   return {
+     status: SWIPE_BATCH_STATUS.REPLAYED,
+     swipe: {
+       id: swipe._id,
+       action: swipe.action,
+       canUndo: swipe.canUndo,
+     },
+     match: swipe.match?.isMatch ? { id: swipe.match.matchId } : null,
+   };
+ }
+
+ rejectBatchSwipe(result, code, message, status = SWIPE_BATCH_STATUS.REJECTED) {
+   return {
+     ...result,
+     status,
+     error: { code, message },
+   };
+ }
+
  /**
   * Check for match and create if exists
   */
@@ -218,32 +365,67 @@ class MatchService {
        ? 'superlike_match'
        : 'regular';
 
+     // Both swipes of a pair can land at the same moment (e.g. two offline
+     // queues replaying together). Whoever claims the swipe sent by the
+     // lower user id creates the match; the other caller sees no new match.
+     const matchId = new mongoose.Types.ObjectId();
+     const [lockSwipe, otherSwipe] = [swipe, reciprocalSwipe]
+       .sort((a, b) => a.from.toString().localeCompare(b.from.toString()));
+     const matchInfo = {
+       'match.isMatch': true,
+       'match.matchId': matchId,
+       'match.matchedAt': new Date(),
+       'match.matchType': matchType,
+     };
+
+     const claimed = await Swipe.findOneAndUpdate(
+       { _id: lockSwipe._id, isActive: true, 'match.isMatch': false },
+       { $set: matchInfo }
+     );
+     if (!claimed) {
+       return { isMatch: false };
+     }
+
      // Create match document
-     const match = await Match.create({
-       users: [swipe.from, swipe.to].sort(),
-       initiatedBy: swipe.from,
-       quality: {
-         compatibilityScore: swipe.compatibility.overallScore,
-         commonInterests: swipe.compatibility.commonInterests,
-         distance: swipe.location.calculatedDistance,
-         matchType,
-         wasRecommended: swipe.context.source === 'recommendations',
-         recommendationScore: swipe.context.recommendation?.score,
-       },
-       metadata: {
-         source: swipe.context.source,
-         platform: {
-           user1: reciprocalSwipe.device?.platform,
-           user2: swipe.device?.platform,
+     let match;
+     try {
+       match = await Match.create({
+         _id: matchId,
+         users: [swipe.from, swipe.to].sort(),
+         initiatedBy: swipe.from,
+         quality: {
+           compatibilityScore: swipe.compatibility.overallScore,
+           commonInterests: swipe.compatibility.commonInterests,
+           distance: swipe.location.calculatedDistance,
+           matchType,
+           wasRecommended: swipe.context.source === 'recommendations',
+           recommendationScore: swipe.context.recommendation?.score,
          },
-       },
-     });
+         metadata: {
+           source: swipe.context.source,
+           platform: {
+             user1: reciprocalSwipe.device?.platform,
+             user2: swipe.device?.platform,
+           },
+         },
+       });
+     } catch (error) {
+       // Release the claim so a later swipe can still create the match
+       await Swipe.updateOne(
+         { _id: lockSwipe._id, 'match.matchId': matchId },
+         { $set: { 'match.isMatch': false }, $unset: { 'match.matchId': 1, 'match.matchedAt': 1, 'match.matchType': 1 } }
+       );
+       throw error;
+     }
 
-     // Update both swipes with match info
-     await Promise.all([
-       swipe.markAsMatch(match._id, matchType),
-       reciprocalSwipe.markAsMatch(match._id, matchType),
-     ]);
+     // Update the other swipe with match info
+     await Swipe.updateOne({ _id: otherSwipe._id }, { $set: matchInfo });
+     Object.assign(swipe.match, {
+       isMatch: true,
+       matchId,
+       matchedAt: matchInfo['match.matchedAt'],
+       matchType,
+     });
 
      // Send match notifications
      await this.sendMatchNotifications(match);
@@ -294,23 +476,14 @@ class MatchService {
        throw new AppError('Cannot undo this swipe', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.VALIDATION_ERROR);
      }
 
-     // Check undo limit for free users
-     const user = await User.findById(userId).select('subscription limits');
-     if (user.subscription?.type === 'free') {
-       const today = new Date().toISOString().split('T')[0];
-       const undoKey = `undos:${userId}:${today}`;
-       const undoCount = await redis.get(undoKey) || 0;
-
-       if (undoCount >= 1) {
-         throw new AppError(
-           'Daily undo limit reached. Upgrade to Premium for unlimited undos',
-           HTTP_STATUS.FORBIDDEN,
-           ERROR_CODES.LIMIT_EXCEEDED
-         );
-       }
-
-       await redis.incr(undoKey);
-       await redis.expire(undoKey, 86400);
+     // Check daily rewind allowance
+     const user = await User.findById(userId).select('subscription limits metadata');
+     if (!await user.consumeRewind()) {
+       throw new AppError(
+         'Daily undo limit reached. Upgrade to Premium for unlimited undos',
+         HTTP_STATUS.FORBIDDEN,
+         ERROR_CODES.LIMIT_EXCEEDED
+       );
      }
 
      // Undo the swipe
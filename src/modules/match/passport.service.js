@@ -0,0 +1,355 @@
+// src/modules/match/passport.service.js
+import User from '../user/user.model.js';
+import redis from '../../config/redis.js';
+import logger from '../../shared/utils/logger.js';
+import MetricsService from '../../shared/services/metrics.service.js';
+import AppError from '../../shared/errors/AppError.js';
+import { calculateDistance } from '../../shared/utils/helpers.js';
+import {
+ PASSPORT_CONSTANTS,
+ SUBSCRIPTION_FEATURES,
+ ERROR_CODES,
+ HTTP_STATUS,
+} from '../../config/constants.js';
+
+const HOUR_SECONDS = 60 * 60;
+const DAY_SECONDS = 24 * HOUR_SECONDS;
+
+const PASSPORT_FIELDS = 'subscription passport profile.location';
+
+/**
+* Passport Service
+* Lets entitled users swipe from a virtual location. The virtual location is
+* stored under `passport` and never overwrites profile.location, so turning
+* passport off (or the subscription lapsing) falls straight back to the real one.
+*/
+class PassportService {
+ // ========================
+ // STATUS
+ // ========================
+
+ /**
+  * Get the user's passport status and recent destinations
+  */
+ async getStatus(userId) {
+   const user = await this.loadUser(userId);
+   return this.formatStatus(user);
+ }
+
+ formatStatus(user) {
+   const traveling = this.isTraveling(user);
+
+   return {
+     isTraveling: traveling,
+     entitled: this.isEntitled(user),
+     location: traveling ? this.formatPoint(user.passport.location) : null,
+     city: traveling ? user.passport.city || null : null,
+     country: traveling ? user.passport.country || null : null,
+     activatedAt: traveling ? user.passport.activatedAt : null,
+     recentDestinations: (user.passport?.recentDestinations || []).map(destination => ({
+       location: this.formatPoint(destination.location),
+       city: destination.city || null,
+       country: destination.country || null,
+       lastVisitedAt: destination.lastVisitedAt,
+     })),
+   };
+ }
+
+ // ========================
+ // CHANGE / RESET
+ // ========================
+
+ /**
+  * Move the user's virtual location
+  * @param {Object} destination - { latitude, longitude, city, country }
+  */
+ async setLocation(userId, { latitude, longitude, city, country } = {}) {
+   try {
+     const lat = Number(latitude);
+     const lng = Number(longitude);
+
+     if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+       throw new AppError('Invalid passport location', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.INVALID_LOCATION);
+     }
+
+     const user = await this.loadUser(userId);
+
+     if (!this.isEntitled(user)) {
+       throw new AppError(
+         'Your subscription does not include Passport',
+         HTTP_STATUS.FORBIDDEN,
+         ERROR_CODES.SUBSCRIPTION_REQUIRED
+       );
+     }
+
+     const point = { type: 'Point', coordinates: [lng, lat] };
+
+     // Re-selecting the current destination is not a jump
+     if (this.isTraveling(user) && this.isSameDestination(user.passport.location, point)) {
+       return this.formatStatus(user);
+     }
+
+     const now = new Date();
+     await this.reserveJump(userId);
+
+     // Conditional on lastJumpAt so two concurrent jumps cannot both pass
+     // the minimum interval
+     const earliestPrevious = new Date(now.getTime() - PASSPORT_CONSTANTS.MIN_JUMP_INTERVAL_SECONDS * 1000);
+     const updated = await User.findOneAndUpdate(
+       {
+         _id: userId,
+         $or: [
+           { 'passport.lastJumpAt': { $exists: false } },
+           { 'passport.lastJumpAt': { $lte: earliestPrevious } },
+         ],
+       },
+       {
+         $set: {
+           'passport.active': true,
+           'passport.location': point,
+           'passport.city': city,
+           'passport.country': country,
+           'passport.activatedAt': now,
+           'passport.lastJumpAt': now,
+           'passport.recentDestinations': this.addRecentDestination(
+             user.passport?.recentDestinations,
+             { location: point, city, country, lastVisitedAt: now }
+           ),
+         },
+       },
+       { new: true, select: PASSPORT_FIELDS }
+     );
+
+     if (!updated) {
+       await this.releaseJump(userId);
+       throw this.jumpLimitError(
+         this.secondsUntil(user.passport?.lastJumpAt, PASSPORT_CONSTANTS.MIN_JUMP_INTERVAL_SECONDS) || 1
+       );
+     }
+
+     MetricsService.incrementCounter('passport.jumps');
+     logger.info(`User ${userId} moved passport to ${city || `${lat},${lng}`}`);
+
+     return this.formatStatus(updated);
+   } catch (error) {
+     logger.error(`Error changing passport location for ${userId}:`, error);
+     throw error;
+   }
+ }
+
+ /**
+  * Go back to the real location. Always allowed, even after the
+  * subscription has lapsed. Recent destinations are kept.
+  */
+ async resetLocation(userId) {
+   try {
+     const updated = await User.findByIdAndUpdate(
+       userId,
+       {
+         $set: { 'passport.active': false },
+         $unset: {
+           'passport.location': 1,
+           'passport.city': 1,
+           'passport.country': 1,
+           'passport.activatedAt': 1,
+         },
+       },
+       { new: true, select: PASSPORT_FIELDS }
+     );
+
+     if (!updated) {
+       throw new AppError('User not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.USER_NOT_FOUND);
+     }
+
+     return this.formatStatus(updated);
+   } catch (error) {
+     logger.error(`Error resetting passport location for ${userId}:`, error);
+     throw error;
+   }
+ }
+
+ // ========================
+ // JUMP LIMITS
+ // ========================
+
+ /**
+  * Count a jump against the hourly and daily windows, giving the slot back
+  * when either window is full
+  */
+ async reserveJump(userId) {
+   const windows = [
+     { key: `passport:jumps:hour:${userId}`, ttl: HOUR_SECONDS, max: PASSPORT_CONSTANTS.MAX_JUMPS_PER_HOUR },
+     { key: `passport:jumps:day:${userId}`, ttl: DAY_SECONDS, max: PASSPORT_CONSTANTS.MAX_JUMPS_PER_DAY },
+   ];
+   const reserved = [];
+
+   for (const window of windows) {
+     const count = await redis.incr(window.key);
+     if (count === 1) {
+       await redis.expire(window.key, window.ttl);
+     }
+     reserved.push(window.key);
+
+     if (count > window.max) {
+       await Promise.all(reserved.map(key => redis.incrby(key, -1)));
+       const ttl = await redis.ttl(window.key);
+       throw this.jumpLimitError(ttl > 0 ? ttl : window.ttl);
+     }
+   }
+ }
+
+ async releaseJump(userId) {
+   await Promise.all([
+     redis.incrby(`passport:jumps:hour:${userId}`, -1),
+     redis.incrby(`passport:jumps:day:${userId}`, -1),
+   ]);
+ }
+
+ jumpLimitError(retryAfter) {
+   return new AppError(
+     'Too many passport location changes. Please try again later',
+     HTTP_STATUS.TOO_MANY_REQUESTS,
+     ERROR_CODES.RATE_LIMIT_EXCEEDED,
+     { details: { retryAfter } }
+   );
+ }
+
+ secondsUntil(since, intervalSeconds) {
+   if (!since) return 0;
+   const elapsed = (Date.now() - new Date(since).getTime()) / 1000;
+   return Math.max(0, Math.ceil(intervalSeconds - elapsed));
+ }
+
+ // ========================
+ // RECENT DESTINATIONS
+ // ========================
+
+ /**
+  * Put a destination at the top of the list, replacing any earlier visit to
+  * the same place
+  */
+ addRecentDestination(destinations = [], destination) {
+   const others = destinations.filter(
+     existing => !this.isSameDestination(existing.location, destination.location)
+   );
+
+   return [destination, ...others]
+     .slice(0, PASSPORT_CONSTANTS.MAX_RECENT_DESTINATIONS)
+     .map(({ location, city, country, lastVisitedAt }) => ({ location, city, country, lastVisitedAt }));
+ }
+
+ isSameDestination(a, b) {
+   if (!a?.coordinates?.length || !b?.coordinates?.length) return false;
+
+   const [lngA, latA] = a.coordinates;
+   const [lngB, latB] = b.coordinates;
+   return calculateDistance(latA, lngA, latB, lngB) <= PASSPORT_CONSTANTS.SAME_DESTINATION_RADIUS_KM;
+ }
+
+ // ========================
+ // DISCOVERY
+ // ========================
+
+ /**
+  * Whether the subscription includes Passport. Works on documents and on
+  * lean/aggregated users.
+  */
+ isEntitled(user) {
+   const subscription = user?.subscription;
+   if (!subscription?.validUntil || new Date(subscription.validUntil) <= new Date()) return false;
+   return Boolean(SUBSCRIPTION_FEATURES[subscription.type]?.passport);
+ }
+
+ isTraveling(user) {
+   return Boolean(user?.passport?.active && user.passport.location?.coordinates?.length && this.isEntitled(user));
+ }
+
+ /**
+  * The location discovery should search from: the passport location while
+  * traveling, the real location otherwise
+  */
+ getEffectiveLocation(user) {
+   if (this.isTraveling(user)) {
+     return user.passport.location;
+   }
+   return user?.profile?.location?.coordinates?.length ? user.profile.location : null;
+ }
+
+ /**
+  * Query matching users whose passport currently places them elsewhere
+  */
+ buildTravelingQuery(now = new Date()) {
+   return {
+     'passport.active': true,
+     'subscription.type': {
+       $in: Object.keys(SUBSCRIPTION_FEATURES).filter(tier => SUBSCRIPTION_FEATURES[tier].passport),
+     },
+     'subscription.validUntil': { $gt: now },
+   };
+ }
+
+ /**
+  * Aggregation stages that find users near a point by their effective
+  * location: locals by profile.location, travelers by passport.location.
+  * Must be the first stages of the pipeline ($geoNear requirement), so
+  * filters go in `query`. Adds `isTraveling` to every result.
+  * @param {Object} near - GeoJSON point
+  * @param {number} maxDistance - meters
+  * @param {Object} options - { query, distanceField }
+  */
+ buildGeoNearStages(near, maxDistance, { query = {}, distanceField = 'distance' } = {}) {
+   const travelingQuery = this.buildTravelingQuery();
+
+   return [
+     {
+       $geoNear: {
+         near,
+         key: 'profile.location',
+         distanceField,
+         maxDistance,
+         spherical: true,
+         query: { ...query, $nor: [travelingQuery] },
+       },
+     },
+     { $addFields: { isTraveling: false } },
+     {
+       $unionWith: {
+         coll: User.collection.name,
+         pipeline: [
+           {
+             $geoNear: {
+               near,
+               key: 'passport.location',
+               distanceField,
+               maxDistance,
+               spherical: true,
+               query: { ...query, ...travelingQuery },
+             },
+           },
+           { $addFields: { isTraveling: true } },
+         ],
+       },
+     },
+   ];
+ }
+
+ // ========================
+ // HELPERS
+ // ========================
+
+ async loadUser(userId) {
+   const user = await User.findById(userId).select(PASSPORT_FIELDS);
+   if (!user) {
+     throw new AppError('User not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.USER_NOT_FOUND);
+   }
+   return user;
+ }
+
+ formatPoint(point) {
+   if (!point?.coordinates?.length) return null;
+   const [longitude, latitude] = point.coordinates;
+   return { latitude, longitude };
+ }
+}
+
+export default new PassportService();
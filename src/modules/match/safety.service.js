@@ -0,0 +1,696 @@
+// src/modules/match/safety.service.js
+import crypto from 'crypto';
+import SafetyPlan from './safetyPlan.model.js';
+import DateService from './date.service.js';
+import User from '../user/user.model.js';
+import Message from '../chat/message.model.js';
+import ChatService from '../chat/chat.service.js';
+import redis from '../../config/redis.js';
+import emailConfig from '../../config/email.js';
+import logger from '../../shared/utils/logger.js';
+import NotificationService from '../../shared/services/notification.service.js';
+import MetricsService from '../../shared/services/metrics.service.js';
+import AppError from '../../shared/errors/AppError.js';
+import { EMAIL_TEMPLATE_NAMES } from '../notification/email.templates.js';
+import { isValidTimezone } from '../../shared/utils/helpers.js';
+import {
+ DATE_STATUS,
+ MESSAGE_TYPES,
+ NOTIFICATION_TYPES,
+ SAFETY_CHECK_IN_STATUS,
+ SAFETY_CONSTANTS,
+ ERROR_CODES,
+ HTTP_STATUS,
+} from '../../config/constants.js';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const OWNER_FIELDS = 'profile.firstName profile.displayName safety.trustedContacts metadata.locale metadata.timezone';
+
+/**
+* Safety Service
+* Trusted contacts, date plans shared with them through expiring links, live
+* location for the shared page and the check-in timer that alerts the
+* contacts when the user doesn't confirm they're safe.
+*/
+class SafetyService {
+ // ========================
+ // TRUSTED CONTACTS
+ // ========================
+
+ /**
+  * List the user's trusted contacts
+  */
+ async getTrustedContacts(userId) {
+   const user = await User.findById(userId).select('safety.trustedContacts');
+
+   if (!user) {
+     throw new AppError('User not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.USER_NOT_FOUND);
+   }
+
+   return (user.safety?.trustedContacts || []).map(c => this.formatContact(c));
+ }
+
+ /**
+  * Add a trusted contact. The limit is enforced in the update itself so two
+  * concurrent requests can't go past it.
+  * @param {Object} data - { name, phone, email, relationship }
+  */
+ async addTrustedContact(userId, { name, phone, email, relationship }) {
+   if (!phone && !email) {
+     throw new AppError('A phone number or email is required', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.VALIDATION_ERROR);
+   }
+
+   const contact = { name, phone, email, relationship, addedAt: new Date() };
+   const user = await User.findOneAndUpdate(
+     {
+       _id: userId,
+       [`safety.trustedContacts.${SAFETY_CONSTANTS.MAX_TRUSTED_CONTACTS - 1}`]: { $exists: false },
+     },
+     { $push: { 'safety.trustedContacts': contact } },
+     { new: true, runValidators: true }
+   ).select('safety.trustedContacts');
+
+   if (!user) {
+     if (!(await User.exists({ _id: userId }))) {
+       throw new AppError('User not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.USER_NOT_FOUND);
+     }
+     throw new AppError(
+       `You can have up to ${SAFETY_CONSTANTS.MAX_TRUSTED_CONTACTS} trusted contacts`,
+       HTTP_STATUS.BAD_REQUEST,
+       ERROR_CODES.TRUSTED_CONTACT_LIMIT
+     );
+   }
+
+   await MetricsService.incrementCounter('safety.contacts.added');
+
+   return this.formatContact(user.safety.trustedContacts.at(-1));
+ }
+
+ /**
+  * Remove a trusted contact. Plans already shared stop alerting them.
+  */
+ async removeTrustedContact(userId, contactId) {
+   const result = await User.updateOne(
+     { _id: userId, 'safety.trustedContacts._id': contactId },
+     { $pull: { 'safety.trustedContacts': { _id: contactId } } }
+   );
+
+   if (result.modifiedCount === 0) {
+     throw new AppError('Trusted contact not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.NOT_FOUND);
+   }
+
+   return { removed: true };
+ }
+
+ // ========================
+ // SHARED DATE PLANS
+ // ========================
+
+ /**
+  * Share a date plan with trusted contacts. Details come from a scheduled
+  * date when dateId is given, otherwise from the request. Sharing again
+  * replaces the user's previous plan for the match.
+  * @param {Object} data - { dateId, venue, startsAt, endsAt, note, contactIds, expiresInHours, checkInMinutes }
+  * @returns {Promise<Object>} - { plan, shareUrl }
+  */
+ async sharePlan(userId, matchId, data, now = new Date()) {
+   const match = await DateService.getMatchForUser(matchId, userId);
+   const owner = await User.findById(userId).select(OWNER_FIELDS);
+
+   const contacts = this.selectContacts(owner, data.contactIds);
+   if (contacts.length === 0) {
+     throw new AppError('Add a trusted contact before sharing your plans', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.NO_TRUSTED_CONTACTS);
+   }
+
+   const otherUser = await User.findById(match.getOtherUser(userId)).select('profile.firstName profile.photos');
+   const { date, details, timezone } = await this.resolveDetails(matchId, userId, data);
+
+   const photos = otherUser?.profile?.photos || [];
+   details.matchName = otherUser?.profile?.firstName || 'your match';
+   details.matchPhoto = (photos.find(p => p.isMain) || photos[0])?.url;
+   details.note = data.note;
+
+   const hours = data.expiresInHours || SAFETY_CONSTANTS.DEFAULT_SHARE_HOURS;
+   const expiresAt = new Date(Math.max(details.startsAt.getTime(), now.getTime()) + hours * HOUR_MS);
+
+   await this.revokeActivePlans(userId, matchId, now);
+
+   const token = this.generateToken();
+   const plan = await SafetyPlan.create({
+     user: userId,
+     match: matchId,
+     date: date?._id,
+     tokenHashes: [SafetyPlan.hashToken(token)],
+     contacts: contacts.map(c => c._id),
+     details,
+     checkIn: data.checkInMinutes
+       ? { status: SAFETY_CHECK_IN_STATUS.PENDING, dueAt: new Date(now.getTime() + data.checkInMinutes * MINUTE_MS) }
+       : undefined,
+     expiresAt,
+   });
+
+   const shareUrl = this.buildShareUrl(token);
+   const fields = this.describePlan(plan, owner, timezone);
+
+   await this.notifyContacts(contacts, {
+     sms: `${fields.userName} added you as a trusted contact and is meeting ${fields.matchName} at ${fields.venue} on ${fields.time}. Date details: ${shareUrl}`,
+     email: {
+       template: EMAIL_TEMPLATE_NAMES.SAFETY_PLAN_SHARED,
+       locale: owner.metadata?.locale,
+       data: { ...fields, planUrl: shareUrl },
+     },
+   });
+
+   await MetricsService.incrementCounter('safety.plans.shared', 1, {
+     fromDate: Boolean(date),
+     checkIn: Boolean(data.checkInMinutes),
+   });
+
+   logger.info(`Safety plan ${plan._id} shared by ${userId} with ${contacts.length} contacts`);
+
+   return { plan: this.formatPlan(plan, now), shareUrl };
+ }
+
+ /**
+  * The user's current plan for a match, or null
+  */
+ async getPlan(userId, matchId, now = new Date()) {
+   await DateService.getMatchForUser(matchId, userId);
+
+   const plan = await SafetyPlan.findActive(userId, matchId, now);
+   return plan ? this.formatPlan(plan, now) : null;
+ }
+
+ /**
+  * Stop sharing: the link stops working and any check-in timer is cancelled
+  */
+ async revokePlan(userId, matchId, now = new Date()) {
+   const revoked = await this.revokeActivePlans(userId, matchId, now);
+
+   if (revoked === 0) {
+     throw new AppError('No shared plan for this match', HTTP_STATUS.NOT_FOUND, ERROR_CODES.SAFETY_PLAN_NOT_FOUND);
+   }
+
+   return { revoked: true };
+ }
+
+ /**
+  * What a trusted contact sees when they open the link
+  * @param {string} token - Token from the share link
+  */
+ async getSharedPlan(token, now = new Date()) {
+   const plan = await SafetyPlan.findOneAndUpdate(
+     { tokenHashes: SafetyPlan.hashToken(token || '') },
+     { $inc: { views: 1 }, $set: { lastViewedAt: now } },
+     { new: true }
+   );
+
+   if (!plan) {
+     throw new AppError('Shared plan not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.SAFETY_PLAN_NOT_FOUND);
+   }
+
+   if (!plan.isActive(now)) {
+     throw new AppError('This link has expired', HTTP_STATUS.GONE, ERROR_CODES.SAFETY_LINK_EXPIRED);
+   }
+
+   const owner = await User.findById(plan.user).select('profile.firstName profile.displayName');
+   const { venue, matchName, matchPhoto, startsAt, endsAt, note } = plan.details;
+
+   return {
+     sharedBy: this.displayName(owner),
+     date: {
+       matchName,
+       matchPhoto,
+       venue: {
+         name: venue?.name,
+         address: venue?.address,
+         coordinates: venue?.location?.coordinates?.length ? venue.location.coordinates : undefined,
+       },
+       startsAt,
+       endsAt,
+       note,
+     },
+     location: await this.getLiveLocation(plan, now),
+     checkIn: plan.checkIn?.status
+       ? { status: plan.checkIn.status, dueAt: plan.checkIn.dueAt, confirmedAt: plan.checkIn.confirmedAt }
+       : null,
+     expiresAt: plan.expiresAt,
+   };
+ }
+
+ // ========================
+ // LIVE LOCATION
+ // ========================
+
+ /**
+  * Share live location on the current plan. The first call sends a live
+  * location message to the match, which ChatService tracks; later calls
+  * append to that message's history while it is live.
+  * @param {Object} data - { latitude, longitude, accuracy, durationMinutes }
+  */
+ async shareLocation(userId, matchId, { latitude, longitude, accuracy, durationMinutes }, now = new Date()) {
+   const plan = await this.getActivePlan(userId, matchId, now);
+   const point = { latitude, longitude, accuracy, timestamp: now };
+
+   if (plan.liveLocation?.message && plan.liveLocation.expiresAt > now) {
+     const updated = await Message.updateOne(
+       { _id: plan.liveLocation.message, 'locationTracking.isLive': true },
+       {
+         $set: {
+           'content.location.latitude': latitude,
+           'content.location.longitude': longitude,
+           'locationTracking.lastUpdated': now,
+         },
+         $push: { 'locationTracking.history': point },
+       }
+     );
+
+     if (updated.matchedCount > 0) {
+       return this.formatPlan(plan, now);
+     }
+   }
+
+   const minutes = durationMinutes || SAFETY_CONSTANTS.DEFAULT_LIVE_LOCATION_MINUTES;
+   const expiresAt = new Date(Math.min(now.getTime() + minutes * MINUTE_MS, plan.expiresAt.getTime()));
+
+   const { message } = await ChatService.sendMessage(userId, matchId, {
+     type: MESSAGE_TYPES.LOCATION,
+     content: { location: { latitude, longitude } },
+     locationTracking: {
+       isLive: true,
+       expiresAt,
+       updateInterval: SAFETY_CONSTANTS.LIVE_LOCATION_UPDATE_SECONDS,
+       lastUpdated: now,
+       history: [point],
+     },
+   });
+
+   plan.liveLocation = { message: message.id, startedAt: now, expiresAt };
+   await plan.save();
+
+   await MetricsService.incrementCounter('safety.location.shared');
+
+   return this.formatPlan(plan, now);
+ }
+
+ /**
+  * Latest position from the plan's live location message, while it is live
+  * @private
+  */
+ async getLiveLocation(plan, now) {
+   const { message: messageId, expiresAt } = plan.liveLocation || {};
+   if (!messageId || expiresAt <= now) return null;
+
+   const message = await Message.findById(messageId).select('content.location locationTracking');
+   if (!message?.locationTracking?.isLive) return null;
+
+   const latest = message.locationTracking.history?.at(-1);
+   const tracking = await redis.get(`location:tracking:${messageId}`);
+
+   return {
+     latitude: latest?.latitude ?? message.content.location?.latitude,
+     longitude: latest?.longitude ?? message.content.location?.longitude,
+     accuracy: latest?.accuracy,
+     updatedAt: message.locationTracking.lastUpdated || latest?.timestamp,
+     live: Boolean(tracking),
+     expiresAt,
+   };
+ }
+
+ // ========================
+ // CHECK-IN TIMER
+ // ========================
+
+ /**
+  * Start or reset the check-in timer on the current plan
+  */
+ async startCheckIn(userId, matchId, minutes, now = new Date()) {
+   const plan = await this.getActivePlan(userId, matchId, now);
+
+   plan.checkIn = {
+     status: SAFETY_CHECK_IN_STATUS.PENDING,
+     dueAt: new Date(now.getTime() + minutes * MINUTE_MS),
+   };
+   await plan.save();
+
+   return this.formatPlan(plan, now);
+ }
+
+ /**
+  * Confirm the user is safe. Contacts who were already alerted hear that
+  * they can stand down.
+  */
+ async confirmSafe(userId, matchId, now = new Date()) {
+   const plan = await SafetyPlan.findOneAndUpdate(
+     {
+       user: userId,
+       match: matchId,
+       'checkIn.status': { $in: [SAFETY_CHECK_IN_STATUS.PENDING, SAFETY_CHECK_IN_STATUS.ESCALATED] },
+     },
+     { $set: { 'checkIn.status': SAFETY_CHECK_IN_STATUS.CONFIRMED, 'checkIn.confirmedAt': now } },
+     { sort: { createdAt: -1 } }
+   );
+
+   if (!plan) {
+     throw new AppError('No check-in is waiting for you', HTTP_STATUS.NOT_FOUND, ERROR_CODES.SAFETY_PLAN_NOT_FOUND);
+   }
+
+   if (plan.checkIn.status === SAFETY_CHECK_IN_STATUS.ESCALATED) {
+     const owner = await User.findById(userId).select(OWNER_FIELDS);
+     const userName = this.displayName(owner);
+
+     await this.notifyContacts(this.selectContacts(owner, plan.contacts), {
+       sms: `${userName} has checked in and is safe.`,
+       email: {
+         template: EMAIL_TEMPLATE_NAMES.SAFETY_CHECK_IN_CONFIRMED,
+         locale: owner.metadata?.locale,
+         data: { userName },
+       },
+     });
+   }
+
+   await MetricsService.incrementCounter('safety.check_in.confirmed', 1, {
+     afterEscalation: plan.checkIn.status === SAFETY_CHECK_IN_STATUS.ESCALATED,
+   });
+
+   plan.checkIn.status = SAFETY_CHECK_IN_STATUS.CONFIRMED;
+   plan.checkIn.confirmedAt = now;
+   return this.formatPlan(plan, now);
+ }
+
+ /**
+  * Nudge users whose timer ran out and alert the contacts of those still
+  * silent after the grace period (cron)
+  * @returns {Promise<Object>} - { reminded, escalated }
+  */
+ async processDueCheckIns(now = new Date()) {
+   const graceCutoff = new Date(now.getTime() - SAFETY_CONSTANTS.CHECK_IN_GRACE_MINUTES * MINUTE_MS);
+   let reminded = 0;
+   let escalated = 0;
+
+   const overdue = await SafetyPlan.find({
+     'checkIn.status': SAFETY_CHECK_IN_STATUS.PENDING,
+     'checkIn.dueAt': { $lte: graceCutoff },
+   })
+     .select('_id')
+     .limit(500);
+
+   for (const { _id } of overdue) {
+     if (await this.escalateCheckIn(_id, now)) escalated += 1;
+   }
+
+   const due = await SafetyPlan.find({
+     'checkIn.status': SAFETY_CHECK_IN_STATUS.PENDING,
+     'checkIn.dueAt': { $lte: now },
+     'checkIn.remindedAt': null,
+   })
+     .select('_id')
+     .limit(500);
+
+   for (const { _id } of due) {
+     if (await this.remindCheckIn(_id, now)) reminded += 1;
+   }
+
+   return { reminded, escalated };
+ }
+
+ /**
+  * Ask the user to confirm they're safe before their contacts are alerted
+  * @returns {boolean} - false when another worker got there first
+  */
+ async remindCheckIn(planId, now = new Date()) {
+   const plan = await SafetyPlan.findOneAndUpdate(
+     { _id: planId, 'checkIn.status': SAFETY_CHECK_IN_STATUS.PENDING, 'checkIn.remindedAt': null },
+     { $set: { 'checkIn.remindedAt': now } },
+     { new: true }
+   );
+   if (!plan) return false;
+
+   await NotificationService.sendNotification(plan.user.toString(), {
+     type: NOTIFICATION_TYPES.SAFETY_CHECK_IN,
+     title: 'Are you safe?',
+     body: `Check in within ${SAFETY_CONSTANTS.CHECK_IN_GRACE_MINUTES} minutes or we'll alert your trusted contacts.`,
+     data: { matchId: plan.match.toString(), planId: plan._id.toString() },
+     priority: 'high',
+   });
+
+   return true;
+ }
+
+ /**
+  * Alert the trusted contacts of a check-in that was never confirmed. Each
+  * alert carries a fresh link and keeps the plan viewable for a while.
+  * @returns {boolean} - false when the check-in was confirmed or cancelled meanwhile
+  */
+ async escalateCheckIn(planId, now = new Date()) {
+   const token = this.generateToken();
+   const plan = await SafetyPlan.findOneAndUpdate(
+     { _id: planId, 'checkIn.status': SAFETY_CHECK_IN_STATUS.PENDING, revokedAt: null },
+     {
+       $set: { 'checkIn.status': SAFETY_CHECK_IN_STATUS.ESCALATED, 'checkIn.escalatedAt': now },
+       $max: { expiresAt: new Date(now.getTime() + SAFETY_CONSTANTS.DEFAULT_SHARE_HOURS * HOUR_MS) },
+       $push: { tokenHashes: SafetyPlan.hashToken(token) },
+     },
+     { new: true }
+   );
+   if (!plan) return false;
+
+   const owner = await User.findById(plan.user).select(OWNER_FIELDS);
+   const contacts = this.selectContacts(owner, plan.contacts);
+   const shareUrl = this.buildShareUrl(token);
+   const fields = this.describePlan(plan, owner, owner?.metadata?.timezone);
+
+   await this.notifyContacts(contacts, {
+     sms: `${fields.userName} hasn't checked in after meeting ${fields.matchName} at ${fields.venue} (due ${fields.dueAt}). Please try to reach them. If you think they're in danger, call local emergency services. Details: ${shareUrl}`,
+     email: {
+       template: EMAIL_TEMPLATE_NAMES.SAFETY_CHECK_IN_MISSED,
+       locale: owner?.metadata?.locale,
+       data: { ...fields, planUrl: shareUrl },
+     },
+   });
+
+   await NotificationService.sendNotification(plan.user.toString(), {
+     type: NOTIFICATION_TYPES.SAFETY_ALERT_SENT,
+     title: 'We alerted your trusted contacts',
+     body: 'You didn\'t check in, so we let your trusted contacts know. Check in to tell them you\'re safe.',
+     data: { matchId: plan.match.toString(), planId: plan._id.toString() },
+     priority: 'high',
+   });
+
+   await MetricsService.incrementCounter('safety.check_in.escalated', 1, { contacts: contacts.length });
+
+   logger.warn(`Safety check-in for plan ${plan._id} escalated to ${contacts.length} contacts`);
+
+   return true;
+ }
+
+ // ========================
+ // HELPERS
+ // ========================
+
+ /**
+  * Load the user's current plan for a match or throw
+  * @private
+  */
+ async getActivePlan(userId, matchId, now) {
+   await DateService.getMatchForUser(matchId, userId);
+
+   const plan = await SafetyPlan.findActive(userId, matchId, now);
+   if (!plan) {
+     throw new AppError('Share your date plans first', HTTP_STATUS.NOT_FOUND, ERROR_CODES.SAFETY_PLAN_NOT_FOUND);
+   }
+
+   return plan;
+ }
+
+ /**
+  * Revoke the user's active plans for a match and cancel their timers
+  * @private
+  * @returns {number} - plans revoked
+  */
+ async revokeActivePlans(userId, matchId, now) {
+   const filter = { user: userId, match: matchId, revokedAt: null, expiresAt: { $gt: now } };
+
+   await SafetyPlan.updateMany(
+     { ...filter, 'checkIn.status': SAFETY_CHECK_IN_STATUS.PENDING },
+     { $set: { 'checkIn.status': SAFETY_CHECK_IN_STATUS.CANCELLED } }
+   );
+   const result = await SafetyPlan.updateMany(filter, { $set: { revokedAt: now } });
+
+   return result.modifiedCount;
+ }
+
+ /**
+  * Venue and time for a new plan, from a scheduled date or the request
+  * @private
+  */
+ async resolveDetails(matchId, userId, { dateId, venue, startsAt, endsAt }) {
+   if (dateId) {
+     const date = await DateService.getDateForUser(matchId, dateId, userId);
+
+     if (date.status !== DATE_STATUS.ACCEPTED || !date.scheduledSlot?.startsAt) {
+       throw new AppError('Only scheduled dates can be shared', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.VALIDATION_ERROR);
+     }
+
+     return {
+       date,
+       timezone: date.timezone,
+       details: {
+         venue: date.venue ? {
+           name: date.venue.name,
+           address: date.venue.address,
+           location: date.venue.location?.coordinates?.length ? date.venue.location : undefined,
+         } : undefined,
+         startsAt: date.scheduledSlot.startsAt,
+         endsAt: date.scheduledSlot.endsAt,
+       },
+     };
+   }
+
+   if (!startsAt || !venue?.name) {
+     throw new AppError('Venue and start time are required', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.VALIDATION_ERROR);
+   }
+
+   return {
+     date: null,
+     details: {
+       venue: {
+         name: venue.name,
+         address: venue.address,
+         location: venue.coordinates ? { type: 'Point', coordinates: venue.coordinates } : undefined,
+       },
+       startsAt: new Date(startsAt),
+       endsAt: endsAt ? new Date(endsAt) : undefined,
+     },
+   };
+ }
+
+ /**
+  * Trusted contacts by id, or all of them when no ids are given
+  * @private
+  */
+ selectContacts(owner, contactIds) {
+   const contacts = owner?.safety?.trustedContacts || [];
+   if (!contactIds?.length) return contacts;
+
+   const wanted = new Set(contactIds.map(id => id.toString()));
+   return contacts.filter(c => wanted.has(c._id.toString()));
+ }
+
+ /**
+  * Queue one message per contact; a failure never blocks the others
+  * @private
+  */
+ async notifyContacts(contacts, message) {
+   for (const contact of contacts) {
+     try {
+       await NotificationService.notifyContact(contact, message);
+     } catch (error) {
+       logger.error(`Failed to queue safety message for contact ${contact._id}:`, error);
+     }
+   }
+ }
+
+ /**
+  * Placeholder values shared by the SMS and email messages
+  * @private
+  */
+ describePlan(plan, owner, timezone) {
+   const { venue, matchName, startsAt } = plan.details;
+   const zone = isValidTimezone(timezone) ? timezone : owner?.metadata?.timezone;
+
+   return {
+     userName: this.displayName(owner),
+     matchName,
+     venue: [venue?.name, venue?.address].filter(Boolean).join(', ') || 'an unknown venue',
+     time: this.formatTime(startsAt, zone),
+     dueAt: plan.checkIn?.dueAt ? this.formatTime(plan.checkIn.dueAt, zone) : '',
+   };
+ }
+
+ /**
+  * @private
+  */
+ formatTime(date, timezone) {
+   return new Date(date).toLocaleString('en-US', {
+     weekday: 'short',
+     month: 'short',
+     day: 'numeric',
+     hour: 'numeric',
+     minute: '2-digit',
+     timeZone: isValidTimezone(timezone) ? timezone : 'UTC',
+     timeZoneName: 'short',
+   });
+ }
+
+ /**
+  * @private
+  */
+ generateToken() {
+   return crypto.randomBytes(32).toString('base64url');
+ }
+
+ /**
+  * @private
+  */
+ buildShareUrl(token) {
+   return `${emailConfig.appUrl}/safety/${token}`;
+ }
+
+ /**
+  * @private
+  */
+ displayName(user) {
+   return user?.profile?.displayName || user?.profile?.firstName || 'Your friend';
+ }
+
+ /**
+  * @private
+  */
+ formatContact(contact) {
+   return {
+     id: contact._id,
+     name: contact.name,
+     phone: contact.phone,
+     email: contact.email,
+     relationship: contact.relationship,
+     addedAt: contact.addedAt,
+   };
+ }
+
+ /**
+  * The owner's view of a plan
+  * @private
+  */
+ formatPlan(plan, now = new Date()) {
+   const { liveLocation, checkIn } = plan;
+
+   return {
+     id: plan._id,
+     matchId: plan.match,
+     dateId: plan.date,
+     details: plan.details,
+     contacts: plan.contacts,
+     liveLocation: liveLocation?.message ? {
+       messageId: liveLocation.message,
+       startedAt: liveLocation.startedAt,
+       expiresAt: liveLocation.expiresAt,
+       active: liveLocation.expiresAt > now,
+     } : null,
+     checkIn: checkIn?.status ? {
+       status: checkIn.status,
+       dueAt: checkIn.dueAt,
+       remindedAt: checkIn.remindedAt,
+       confirmedAt: checkIn.confirmedAt,
+       escalatedAt: checkIn.escalatedAt,
+     } : null,
+     views: plan.views,
+     expiresAt: plan.expiresAt,
+     active: plan.isActive(now),
+   };
+ }
+}
+
+export default new SafetyService();
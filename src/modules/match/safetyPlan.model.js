@@ -0,0 +1,143 @@
+// src/modules/match/safetyPlan.model.js
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { SAFETY_CHECK_IN_STATUS, SAFETY_CONSTANTS } from '../../config/constants.js';
+
+const { Schema } = mongoose;
+
+/**
+* SafetyPlan Schema - A user's date details shared with their trusted
+* contacts through an expiring link, plus an optional check-in timer.
+* Only hashes of link tokens are stored. Every message to the contacts
+* carries a fresh token, so a link can be put in an alert without keeping
+* the earlier ones around.
+*/
+const safetyPlanSchema = new Schema(
+ {
+   user: {
+     type: Schema.Types.ObjectId,
+     ref: 'User',
+     required: true,
+   },
+
+   match: {
+     type: Schema.Types.ObjectId,
+     ref: 'Match',
+     required: true,
+   },
+
+   // Planned date the details were taken from, if any
+   date: {
+     type: Schema.Types.ObjectId,
+     ref: 'DateProposal',
+   },
+
+   tokenHashes: [String],
+
+   // Trusted contact ids (user.safety.trustedContacts); resolved when sending
+   // so a contact removed later no longer gets alerts
+   contacts: [Schema.Types.ObjectId],
+
+   // Snapshot shown on the shared page
+   details: {
+     matchName: String,
+     matchPhoto: String,
+     venue: {
+       name: String,
+       address: String,
+       location: {
+         type: { type: String, enum: ['Point'] },
+         coordinates: [Number], // [longitude, latitude]
+       },
+     },
+     startsAt: Date,
+     endsAt: Date,
+     note: {
+       type: String,
+       maxlength: SAFETY_CONSTANTS.MAX_NOTE_LENGTH,
+     },
+   },
+
+   // Live location message in the match chat, tracked by ChatService
+   liveLocation: {
+     message: {
+       type: Schema.Types.ObjectId,
+       ref: 'Message',
+     },
+     startedAt: Date,
+     expiresAt: Date,
+   },
+
+   checkIn: {
+     status: {
+       type: String,
+       enum: Object.values(SAFETY_CHECK_IN_STATUS),
+     },
+     dueAt: Date,
+     remindedAt: Date,
+     confirmedAt: Date,
+     escalatedAt: Date,
+   },
+
+   expiresAt: {
+     type: Date,
+     required: true,
+   },
+   revokedAt: Date,
+
+   views: {
+     type: Number,
+     default: 0,
+   },
+   lastViewedAt: Date,
+ },
+ {
+   timestamps: true,
+ }
+);
+
+// ============================
+// Indexes
+// ============================
+
+safetyPlanSchema.index({ tokenHashes: 1 }, { unique: true });
+safetyPlanSchema.index({ user: 1, match: 1, createdAt: -1 });
+safetyPlanSchema.index({ 'checkIn.status': 1, 'checkIn.dueAt': 1 });
+
+// ============================
+// Methods
+// ============================
+
+/**
+* True until the plan is revoked or its link expires
+*/
+safetyPlanSchema.methods.isActive = function (now = new Date()) {
+ return !this.revokedAt && this.expiresAt > now;
+};
+
+// ============================
+// Statics
+// ============================
+
+/**
+* Hash of a share link token, as stored in tokenHashes
+*/
+safetyPlanSchema.statics.hashToken = function (token) {
+ return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+* The user's current plan for a match, if any
+*/
+safetyPlanSchema.statics.findActive = function (userId, matchId, now = new Date()) {
+ return this.findOne({
+   user: userId,
+   match: matchId,
+   revokedAt: null,
+   expiresAt: { $gt: now },
+ }).sort({ createdAt: -1 });
+};
+
+const SafetyPlan = mongoose.model('SafetyPlan', safetyPlanSchema);
+
+export default SafetyPlan;
@@ -162,6 +162,14 @@ const swipeSchema = new Schema(
      browserVersion: String,
    },
 
+   // Offline queue reconciliation (swipes replayed through the batch API)
+   sync: {
+     idempotencyKey: String,
+     clientTimestamp: Date,
+     batchId: String,
+     batchIndex: Number,
+   },
+
    // Location at time of swipe
    location: {
      from: {
@@ -377,6 +385,10 @@ swipeSchema.index({ to: 1, swipedAt: -1 });
 swipeSchema.index({ from: 1, isActive: 1, swipedAt: -1 });
 swipeSchema.index({ to: 1, action: 1, isActive: 1 });
 swipeSchema.index({ from: 1, to: 1, isActive: 1 });
+swipeSchema.index(
+ { from: 1, 'sync.idempotencyKey': 1 },
+ { unique: true, partialFilterExpression: { 'sync.idempotencyKey': { $exists: true } } }
+); // Replayed offline swipes
 swipeSchema.index({ 'match.isMatch': 1, swipedAt: -1 });
 swipeSchema.index({ from: 1, action: 1, swipedAt: -1 });
 swipeSchema.index({ 'context.source': 1, swipedAt: -1 });
@@ -649,7 +661,7 @@ swipeSchema.statics.getTodaySwipeCount = async function (userId) {
  const counts = await this.aggregate([
    {
      $match: {
-       from: mongoose.Types.ObjectId(userId),
+       from: new mongoose.Types.ObjectId(userId),
        swipedAt: { $gte: startOfDay },
        isActive: true,
      },
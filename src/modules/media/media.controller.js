@@ -1,5 +1,6 @@
 // src/modules/media/media.controller.js
 import MediaService from './media.service.js';
+import StorageService from './storage.service.js';
 import { asyncHandler } from '../../shared/utils/asyncHandler.js';
 import {
   successResponse,
@@ -16,10 +17,10 @@ import {
 import logger from '../../shared/utils/logger.js';
 import MetricsService from '../../shared/services/metrics.service.js';
 import CacheService from '../../shared/services/cache.service.js';
+import { FILE_LIMITS } from './upload.middleware.js';
 import { 
   HTTP_STATUS, 
-  ERROR_CODES,
-  MEDIA_CONSTANTS
+  ERROR_CODES
 } from '../../config/constants.js';
 
 class MediaController {
@@ -44,7 +45,8 @@ class MediaController {
       maxWidth: parseInt(req.body.maxWidth) || undefined,
       maxHeight: parseInt(req.body.maxHeight) || undefined,
       cloudinaryOptions: req.body.cloudinaryOptions ? 
-        JSON.parse(req.body.cloudinaryOptions) : {}
+        JSON.parse(req.body.cloudinaryOptions) : {},
+      skipLimitCheck: req.uploadQuotaChecked === true
     };
 
     // Add context for tracking
@@ -130,7 +132,7 @@ class MediaController {
     // Remove sensitive metadata for non-owners
     if (media.userId !== userId && !include_metadata) {
       delete media.metadata;
-      delete media.cloudinaryData;
+      delete media.storageData;
     }
 
     // Track media access
@@ -232,6 +234,22 @@ class MediaController {
     return successResponse(res, analytics, 'Media analytics retrieved');
   });
 
+  /**
+   * Serve a private file from the local storage driver
+   * @route GET /api/media/files/*
+   */
+  downloadFile = asyncHandler(async (req, res) => {
+    const { filename, expires, signature } = req.query;
+    const filePath = StorageService.resolveSignedDownload(req.params[0], { filename, expires, signature });
+
+    if (!filePath) {
+      return forbiddenResponse(res, 'Invalid or expired download link');
+    }
+
+    res.setHeader('Cache-Control', 'private, no-store');
+    return res.download(filePath, filename || undefined);
+  });
+
   /**
    * Generate signed upload URL for direct uploads
    * @route POST /api/media/signed-url
@@ -241,17 +259,19 @@ class MediaController {
     const userId = req.user._id.toString();
     const {
       resource_type = 'auto',
-      folder,
       allowed_formats,
-      max_file_size,
       transformation
     } = req.body;
 
+    // Folder and size cap are signed into the URL, so they never come from the client
+    const subscriptionType = req.user.subscription?.type || 'free';
+    const sizeLimits = resource_type === 'image' ? FILE_LIMITS.image : FILE_LIMITS.video;
+
     const uploadParams = {
       resourceType: resource_type,
-      folder: folder || `temp/${userId}`,
+      folder: `temp/${userId}`,
       allowedFormats: allowed_formats || ['jpg', 'png', 'webp', 'mp4', 'mov'],
-      maxFileSize: max_file_size || 50000000, // 50MB default
+      maxFileSize: sizeLimits[subscriptionType] || sizeLimits.free,
       transformation
     };
 
@@ -263,6 +283,44 @@ class MediaController {
     return successResponse(res, signedUrl, 'Signed upload URL generated');
   });
 
+  /**
+   * Receive a direct upload signed by the local storage driver
+   * @route POST /api/media/direct-upload
+   * @access Public (with signed parameters)
+   */
+  directUpload = asyncHandler(async (req, res) => {
+    const { folder, resource_type, max_file_size, expires, signature } = req.body;
+
+    const isValid = StorageService.verifySignedUpload({
+      folder,
+      resource_type,
+      max_file_size,
+      expires,
+      signature
+    });
+
+    if (!isValid) {
+      return forbiddenResponse(res, 'Invalid or expired upload signature');
+    }
+
+    if (!req.file) {
+      return badRequestResponse(res, 'No file provided');
+    }
+
+    if (max_file_size && req.file.size > parseInt(max_file_size)) {
+      return badRequestResponse(res, 'File exceeds the signed size limit');
+    }
+
+    const result = await StorageService.upload(req.file.buffer, {
+      folder,
+      resourceType: resource_type,
+      contentType: req.file.mimetype,
+      filename: req.file.originalname
+    });
+
+    return createdResponse(res, result, 'Media uploaded successfully');
+  });
+
   /**
    * Search user media
    * @route GET /api/media/search
@@ -560,13 +618,17 @@ class MediaController {
     try {
       // Check Redis connection
       await CacheService.ping();
-      
-      // Check Cloudinary connection
-      // await cloudinary.api.ping();
-      
     } catch (error) {
       healthStatus.status = 'degraded';
-      healthStatus.checks.storage = 'unhealthy';
+      healthStatus.checks.cache = 'unhealthy';
+    }
+
+    // Check the storage driver
+    const storage = await StorageService.healthCheck();
+    healthStatus.checks.storage = storage.status;
+    healthStatus.checks.storageProvider = storage.provider;
+    if (storage.status !== 'healthy') {
+      healthStatus.status = 'degraded';
     }
 
     const statusCode = healthStatus.status === 'healthy' ? 
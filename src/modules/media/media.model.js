@@ -1,6 +1,5 @@
 // src/modules/media/media.model.js
 import mongoose from 'mongoose';
-import { MEDIA_CONSTANTS } from '../../config/constants.js';
 
 const { Schema } = mongoose;
 
@@ -56,7 +55,7 @@ const mediaSchema = new Schema({
     min: 0
   },
   
-  // Cloudinary Information
+  // Storage Information (field names predate the pluggable storage drivers)
   cloudinaryId: {
     type: String,
     required: true,
@@ -69,6 +68,12 @@ const mediaSchema = new Schema({
     required: true
   },
   
+  storageProvider: {
+    type: String,
+    enum: ['cloudinary', 's3', 'local'],
+    default: 'cloudinary'
+  },
+  
   // File Variants (thumbnails, different sizes)
   variants: {
     thumbnail: {
@@ -0,0 +1,294 @@
+// src/modules/media/media.routes.js
+import { Router } from 'express';
+import MediaController from './media.controller.js';
+import {
+ authenticate,
+ authorize
+} from '../../shared/middleware/auth.middleware.js';
+import {
+ customRateLimiter,
+ uploadLimiter
+} from '../../shared/middleware/rateLimiter.middleware.js';
+import {
+ sanitizeRequest,
+ validatePagination
+} from '../../shared/middleware/validation.middleware.js';
+import {
+ upload,
+ uploadMultiple,
+ validateFileUpload,
+ enforceUploadQuota,
+ handleMulterError
+} from './upload.middleware.js';
+import { ROLES } from '../../config/constants.js';
+
+const router = Router();
+
+/**
+* @route   /api/media
+* @desc    Media upload and management routes
+*/
+
+// ============================
+// Public Routes
+// ============================
+
+/**
+* @route   GET /api/media/health
+* @desc    Media service health check
+* @access  Public
+*/
+router.get('/health', MediaController.healthCheck);
+
+/**
+* @route   POST /api/media/process-webhook
+* @desc    Storage provider processing webhook
+* @access  Public (with signature verification)
+*/
+router.post(
+ '/process-webhook',
+ customRateLimiter({ limit: 300, window: 60 }),
+ MediaController.processWebhook
+);
+
+/**
+* @route   POST /api/media/direct-upload
+* @desc    Direct upload target for the local storage driver
+* @access  Public (with signed parameters)
+*/
+router.post(
+ '/direct-upload',
+ uploadLimiter,
+ upload.single('file'),
+ handleMulterError,
+ MediaController.directUpload
+);
+
+/**
+* @route   GET /api/media/files/*
+* @desc    Private files from the local storage driver
+* @access  Public (with signed parameters)
+*/
+router.get('/files/*', MediaController.downloadFile);
+
+// ============================
+// Authenticated Routes
+// ============================
+
+router.use(authenticate);
+
+/**
+* @route   POST /api/media/upload
+* @desc    Upload a single media file (field: file)
+* @access  Private
+*/
+router.post(
+ '/upload',
+ uploadLimiter,
+ upload.single('file'),
+ handleMulterError,
+ validateFileUpload,
+ enforceUploadQuota,
+ MediaController.uploadMedia
+);
+
+/**
+* @route   POST /api/media/batch-upload
+* @desc    Upload multiple media files (field: files)
+* @access  Private
+*/
+router.post(
+ '/batch-upload',
+ uploadLimiter,
+ uploadMultiple.array('files', 10),
+ handleMulterError,
+ validateFileUpload,
+ enforceUploadQuota,
+ MediaController.batchUploadMedia
+);
+
+/**
+* @route   POST /api/media/signed-url
+* @desc    Generate signed URL for direct uploads
+* @access  Private
+*/
+router.post(
+ '/signed-url',
+ uploadLimiter,
+ sanitizeRequest,
+ MediaController.generateSignedUploadUrl
+);
+
+// ============================
+// Stats & Search Routes
+// ============================
+
+/**
+* @route   GET /api/media/stats
+* @desc    Get user media statistics
+* @access  Private
+*/
+router.get('/stats', MediaController.getUserMediaStats);
+
+/**
+* @route   GET /api/media/analytics
+* @desc    Get user media analytics
+* @access  Private
+*/
+router.get('/analytics', MediaController.getMediaAnalytics);
+
+/**
+* @route   GET /api/media/usage-report
+* @desc    Get media usage report (json or csv)
+* @access  Private
+*/
+router.get(
+ '/usage-report',
+ customRateLimiter({ limit: 10, window: 3600 }),
+ MediaController.getUsageReport
+);
+
+/**
+* @route   GET /api/media/search
+* @desc    Search user media
+* @access  Private
+*/
+router.get(
+ '/search',
+ validatePagination,
+ MediaController.searchMedia
+);
+
+/**
+* @route   GET /api/media/folders
+* @desc    Get user folders
+* @access  Private
+*/
+router.get('/folders', MediaController.getUserFolders);
+
+/**
+* @route   GET /api/media/context/:context
+* @desc    Get user media by context
+* @access  Private
+*/
+router.get(
+ '/context/:context',
+ validatePagination,
+ MediaController.getMediaByContext
+);
+
+/**
+* @route   GET /api/media/queue/status
+* @desc    Get media processing queue status
+* @access  Private
+*/
+router.get('/queue/status', MediaController.getQueueStatus);
+
+// ============================
+// Bulk Operations
+// ============================
+
+/**
+* @route   DELETE /api/media/bulk-delete
+* @desc    Delete up to 50 media items
+* @access  Private
+*/
+router.delete(
+ '/bulk-delete',
+ customRateLimiter({ limit: 10, window: 3600 }),
+ sanitizeRequest,
+ MediaController.bulkDeleteMedia
+);
+
+/**
+* @route   POST /api/media/detect-duplicates
+* @desc    Detect duplicate media
+* @access  Private
+*/
+router.post(
+ '/detect-duplicates',
+ customRateLimiter({ limit: 5, window: 3600 }),
+ MediaController.detectDuplicates
+);
+
+// ============================
+// Admin Routes
+// ============================
+
+/**
+* @route   POST /api/media/admin/cleanup
+* @desc    Clean up expired media
+* @access  Admin
+*/
+router.post(
+ '/admin/cleanup',
+ authorize(ROLES.ADMIN),
+ sanitizeRequest,
+ MediaController.cleanupExpiredMedia
+);
+
+// ============================
+// Single Media Routes
+// ============================
+
+/**
+* @route   GET /api/media/:mediaId
+* @desc    Get media information
+* @access  Private
+*/
+router.get('/:mediaId', MediaController.getMedia);
+
+/**
+* @route   DELETE /api/media/:mediaId
+* @desc    Delete media
+* @access  Private
+*/
+router.delete('/:mediaId', MediaController.deleteMedia);
+
+/**
+* @route   POST /api/media/:mediaId/optimize
+* @desc    Optimize media for a use case
+* @access  Private
+*/
+router.post(
+ '/:mediaId/optimize',
+ customRateLimiter({ limit: 30, window: 3600 }),
+ MediaController.optimizeMedia
+);
+
+/**
+* @route   PUT /api/media/:mediaId/metadata
+* @desc    Update media metadata
+* @access  Private
+*/
+router.put(
+ '/:mediaId/metadata',
+ sanitizeRequest,
+ MediaController.updateMediaMetadata
+);
+
+/**
+* @route   GET /api/media/:mediaId/download
+* @desc    Get media download URL
+* @access  Private
+*/
+router.get('/:mediaId/download', MediaController.getDownloadUrl);
+
+// ============================
+// Error Handling
+// ============================
+
+// Handle 404 for media routes
+router.use((req, res) => {
+ res.status(404).json({
+   success: false,
+   error: {
+     message: 'Media endpoint not found',
+     code: 'NOT_FOUND',
+     path: req.originalUrl,
+   },
+ });
+});
+
+// Export router
+export default router;
@@ -4,16 +4,15 @@ import path from 'path';
 import sharp from 'sharp';
 import ffmpeg from 'fluent-ffmpeg';
 import redis from '../../config/redis.js';
-import cloudinary from '../../config/cloudinary.js';
 import logger from '../../shared/utils/logger.js';
 import CacheService from '../../shared/services/cache.service.js';
 import MetricsService from '../../shared/services/metrics.service.js';
 import QueueService from '../../shared/services/queue.service.js';
+import StorageService from './storage.service.js';
 import AppError from '../../shared/errors/AppError.js';
 import {
   HTTP_STATUS,
   ERROR_CODES,
-  MEDIA_CONSTANTS,
   SUBSCRIPTION_FEATURES,
 } from '../../config/constants.js';
 
@@ -95,8 +94,10 @@ class MediaService {
         throw new AppError(validation.error, HTTP_STATUS.BAD_REQUEST, ERROR_CODES.VALIDATION_ERROR);
       }
 
-      // Check user limits
-      await this.checkUserLimits(userId, file);
+      // Check user limits (skipped when the route quota middleware already did)
+      if (!options.skipLimitCheck) {
+        await this.checkUserLimits(userId, file);
+      }
 
       // Determine media type
       const mediaType = this.getMediaType(file.mimetype);
@@ -122,8 +123,8 @@ class MediaService {
           throw new AppError('Unsupported media type', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.INVALID_FILE_TYPE);
       }
 
-      // Upload to Cloudinary
-      const uploadResult = await this.uploadToCloudinary(processedFile, userId, mediaType, options);
+      // Upload to the configured storage driver
+      const uploadResult = await this.uploadToStorage(processedFile, userId, mediaType, options);
 
       // Generate additional sizes/formats if needed
       const variants = await this.generateMediaVariants(uploadResult, mediaType, options);
@@ -144,7 +145,8 @@ class MediaService {
         variants,
         metadata,
         moderation: moderationResult,
-        cloudinaryData: uploadResult,
+        storageProvider: uploadResult.provider,
+        storageData: uploadResult,
         uploadedAt: new Date(),
         processingTime: Date.now() - startTime
       };
@@ -380,67 +382,40 @@ class MediaService {
   }
 
   /**
-   * Upload to Cloudinary
+   * Upload to the configured storage driver
    * @param {Object} processedFile - Processed file
    * @param {string} userId - User ID
    * @param {string} mediaType - Media type
    * @param {Object} options - Upload options
    */
-  async uploadToCloudinary(processedFile, userId, mediaType, options = {}) {
-    try {
-      const folder = `${mediaType}s/${userId}/${new Date().getFullYear()}/${new Date().getMonth() + 1}`;
-      
-      const uploadOptions = {
-        folder,
-        resource_type: mediaType === 'video' ? 'video' : mediaType === 'audio' ? 'video' : 'image',
-        public_id: `${userId}_${Date.now()}`,
-        unique_filename: true,
-        overwrite: false,
-        invalidate: true,
-        ...options.cloudinaryOptions
-      };
-
-      // Type-specific options
-      if (mediaType === 'image') {
-        uploadOptions.transformation = [
-          { quality: 'auto:good' },
-          { fetch_format: 'auto' }
-        ];
-      } else if (mediaType === 'video') {
-        uploadOptions.video = {
-          quality: 'auto:good'
-        };
-      }
-
-      const result = await cloudinary.uploader.upload_stream(
-        uploadOptions,
-        (error, result) => {
-          if (error) throw error;
-          return result;
-        }
-      );
-
-      // Upload buffer
-      return new Promise((resolve, reject) => {
-        const uploadStream = cloudinary.uploader.upload_stream(
-          uploadOptions,
-          (error, result) => {
-            if (error) reject(error);
-            else resolve(result);
-          }
-        );
-        uploadStream.end(processedFile.buffer);
-      });
-
-    } catch (error) {
-      logger.error('Error uploading to Cloudinary:', error);
-      throw new AppError('Upload to cloud storage failed', HTTP_STATUS.INTERNAL_SERVER_ERROR, ERROR_CODES.UPLOAD_FAILED);
+  async uploadToStorage(processedFile, userId, mediaType, options = {}) {
+    const folder = options.folder || `${mediaType}s/${userId}/${new Date().getFullYear()}/${new Date().getMonth() + 1}`;
+
+    // Type-specific options (applied by drivers that transform on upload)
+    let transformation;
+    if (mediaType === 'image') {
+      transformation = [
+        { quality: 'auto:good' },
+        { fetch_format: 'auto' }
+      ];
+    } else if (mediaType === 'video') {
+      transformation = [{ quality: 'auto:good' }];
     }
+
+    return StorageService.upload(processedFile.buffer, {
+      folder,
+      publicId: `${userId}_${Date.now()}`,
+      resourceType: mediaType === 'image' ? 'image' : 'video',
+      contentType: processedFile.mimetype,
+      filename: processedFile.originalname,
+      transformation,
+      providerOptions: options.cloudinaryOptions
+    });
   }
 
   /**
    * Generate media variants (thumbnails, different sizes)
-   * @param {Object} uploadResult - Cloudinary upload result
+   * @param {Object} uploadResult - Storage upload result
    * @param {string} mediaType - Media type
    * @param {Object} options - Generation options
    */
@@ -451,7 +426,7 @@ class MediaService {
       if (mediaType === 'image') {
         // Generate thumbnail
         variants.thumbnail = {
-          secure_url: cloudinary.url(uploadResult.public_id, {
+          secure_url: StorageService.url(uploadResult.public_id, {
             width: 200,
             height: 200,
             crop: 'fill',
@@ -462,7 +437,7 @@ class MediaService {
 
         // Generate medium size
         variants.medium = {
-          secure_url: cloudinary.url(uploadResult.public_id, {
+          secure_url: StorageService.url(uploadResult.public_id, {
             width: 600,
             height: 600,
             crop: 'limit',
@@ -474,7 +449,7 @@ class MediaService {
       } else if (mediaType === 'video') {
         // Generate video thumbnail
         variants.thumbnail = {
-          secure_url: cloudinary.url(uploadResult.public_id, {
+          secure_url: StorageService.url(uploadResult.public_id, {
             resource_type: 'video',
             format: 'jpg',
             width: 300,
@@ -486,7 +461,7 @@ class MediaService {
 
         // Generate preview GIF
         variants.preview = {
-          secure_url: cloudinary.url(uploadResult.public_id, {
+          secure_url: StorageService.url(uploadResult.public_id, {
             resource_type: 'video',
             format: 'gif',
             width: 200,
@@ -632,10 +607,10 @@ class MediaService {
         }
 
         // Increment counter
-        await redis.multi()
-          .incr(dailyKey)
-          .expire(dailyKey, 86400) // 24 hours
-          .exec();
+        const count = await redis.incr(dailyKey);
+        if (count === 1) {
+          await redis.expire(dailyKey, 86400); // 24 hours
+        }
       }
 
       // Check monthly storage limit
@@ -653,7 +628,7 @@ class MediaService {
       }
 
       // Check video duration limits for videos
-      if (file.mimetype.startsWith('video/')) {
+      if (file.mimetype?.startsWith('video/')) {
         const metadata = await this.extractVideoMetadata(file);
         if (metadata.duration > limits.maxVideoLength) {
           throw new AppError(
@@ -694,7 +669,7 @@ class MediaService {
 
   /**
    * Delete media
-   * @param {string} mediaId - Media ID (Cloudinary public_id)
+   * @param {string} mediaId - Media ID (storage public_id)
    * @param {string} userId - User ID
    */
   async deleteMedia(mediaId, userId) {
@@ -713,10 +688,10 @@ class MediaService {
         throw new AppError('Unauthorized to delete this media', HTTP_STATUS.FORBIDDEN, ERROR_CODES.FORBIDDEN);
       }
 
-      // Delete from Cloudinary
-      const deletionResult = await cloudinary.uploader.destroy(mediaId, {
-        resource_type: 'auto',
-        invalidate: true
+      // Delete from the storage driver that holds it
+      const deletionResult = await StorageService.delete(mediaId, {
+        resourceType: mediaRecord.type === 'image' ? 'image' : 'video',
+        provider: mediaRecord.storageProvider
       });
 
       if (deletionResult.result !== 'ok') {
@@ -772,7 +747,7 @@ class MediaService {
       // Basic access control - can be extended
       if (mediaRecord.userId !== userId) {
         // Remove sensitive information for non-owners
-        delete mediaRecord.cloudinaryData;
+        delete mediaRecord.storageData;
         delete mediaRecord.metadata.exif;
       }
 
@@ -1046,7 +1021,7 @@ class MediaService {
         }
       }
 
-      optimizedUrl = cloudinary.url(mediaRecord.id, transformOptions);
+      optimizedUrl = StorageService.url(mediaRecord.id, transformOptions, mediaRecord.storageProvider);
 
       // Cache the optimized URL
       await CacheService.setWithTTL(optimizationKey, optimizedUrl, 3600 * 24); // 24 hours
@@ -1382,30 +1357,15 @@ class MediaService {
       // Check user permissions
       await this.checkUserLimits(userId, { size: maxFileSize });
 
-      const timestamp = Math.round(Date.now() / 1000);
-      const params = {
-        timestamp,
+      return StorageService.getSignedUploadUrl({
         folder,
-        resource_type: resourceType,
-        allowed_formats: allowedFormats.join(','),
-        max_file_size: maxFileSize,
-        ...(transformation && { transformation }),
+        resourceType,
+        allowedFormats,
+        maxFileSize,
+        transformation,
         // Add user identification
         context: `user_id=${userId}`
-      };
-
-      // Generate signature
-      const signature = cloudinary.utils.api_sign_request(params, cloudinary.config().api_secret);
-
-      return {
-        url: `https://api.cloudinary.com/v1_1/${cloudinary.config().cloud_name}/${resourceType}/upload`,
-        params: {
-          ...params,
-          api_key: cloudinary.config().api_key,
-          signature
-        },
-        expires_at: new Date((timestamp + 3600) * 1000) // 1 hour from now
-      };
+      });
 
     } catch (error) {
       if (error instanceof AppError) throw error;
@@ -0,0 +1,230 @@
+// src/modules/media/storage.service.js
+import path from 'path';
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { fileTypeFromBuffer } from 'file-type';
+import CloudinaryStorageStrategy from './strategies/cloudinary.strategy.js';
+import S3StorageStrategy from './strategies/s3.strategy.js';
+import LocalStorageStrategy from './strategies/local.strategy.js';
+import storageConfig, { STORAGE_DRIVERS } from '../../config/storage.js';
+import logger from '../../shared/utils/logger.js';
+import AppError from '../../shared/errors/AppError.js';
+import { HTTP_STATUS, ERROR_CODES } from '../../config/constants.js';
+
+const EXTENSIONS_BY_MIME = {
+  'image/jpeg': '.jpg',
+  'image/jpg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/gif': '.gif',
+  'video/mp4': '.mp4',
+  'video/quicktime': '.mov',
+  'video/webm': '.webm',
+  'audio/mpeg': '.mp3',
+  'audio/mp3': '.mp3',
+  'audio/wav': '.wav',
+  'audio/ogg': '.ogg',
+  'audio/webm': '.weba',
+  'audio/m4a': '.m4a',
+};
+
+/**
+ * Storage Service
+ * Single entry point for media storage. Delegates to the driver selected by
+ * STORAGE_DRIVER (cloudinary | s3 | local) so services never call a provider SDK directly.
+ *
+ * Every driver implements: upload, delete, url, publicIdFromUrl, getSignedUploadUrl,
+ * getSignedDownloadUrl, ping
+ * and returns Cloudinary-shaped upload results (public_id, secure_url, width, height, bytes...).
+ */
+class StorageService {
+  constructor() {
+    this.strategies = {
+      [STORAGE_DRIVERS.CLOUDINARY]: CloudinaryStorageStrategy,
+      [STORAGE_DRIVERS.S3]: S3StorageStrategy,
+      [STORAGE_DRIVERS.LOCAL]: LocalStorageStrategy,
+    };
+
+    this.driver = this.strategies[storageConfig.driver];
+
+    if (!this.driver) {
+      throw new Error(`Unknown STORAGE_DRIVER "${storageConfig.driver}"`);
+    }
+
+    logger.info(`Media storage driver: ${this.driver.name}`);
+  }
+
+  /**
+   * Name of the active driver - store it next to the public_id
+   */
+  get provider() {
+    return this.driver.name;
+  }
+
+  /**
+   * Upload a file
+   * @param {Buffer|string} input - File buffer or path on disk
+   * @param {Object} options - { folder, publicId, resourceType, contentType, filename,
+   *                             transformation, allowedFormats, providerOptions }
+   */
+  async upload(input, options = {}) {
+    try {
+      const resourceType = this.resolveResourceType(options.resourceType, options.contentType);
+      const key = this.driver.supportsTransformations
+        ? undefined
+        : `${options.folder}/${options.publicId || crypto.randomUUID()}${await this.resolveExtension(input, options)}`;
+
+      const result = await this.driver.upload(input, {
+        ...options,
+        resourceType,
+        key,
+      });
+
+      // Drivers without an image pipeline don't report dimensions
+      if (resourceType === 'image' && !result.width && Buffer.isBuffer(input)) {
+        const { width, height } = await sharp(input).metadata();
+        Object.assign(result, { width, height });
+      }
+
+      return { ...result, provider: this.driver.name };
+
+    } catch (error) {
+      logger.error(`Error uploading to ${this.driver.name} storage:`, error);
+      throw new AppError('Upload to storage failed', HTTP_STATUS.INTERNAL_SERVER_ERROR, ERROR_CODES.UPLOAD_FAILED);
+    }
+  }
+
+  /**
+   * Delete a stored file
+   * @param {string} publicId - Storage key / public_id
+   * @param {Object} options - { resourceType, provider } - provider defaults to the active driver
+   */
+  async delete(publicId, options = {}) {
+    try {
+      return await this.getDriver(options.provider).delete(publicId, options);
+    } catch (error) {
+      logger.error(`Error deleting ${publicId} from storage:`, error);
+      throw new AppError('Failed to delete media from storage', HTTP_STATUS.INTERNAL_SERVER_ERROR, ERROR_CODES.INTERNAL_ERROR);
+    }
+  }
+
+  /**
+   * Delivery URL, with transformations where the driver supports them
+   * @param {string} publicId - Storage key / public_id
+   * @param {Object} transform - Cloudinary-style transformation options
+   * @param {string} provider - Driver that stored the file
+   */
+  url(publicId, transform = {}, provider) {
+    return this.getDriver(provider).url(publicId, transform);
+  }
+
+  /**
+   * Recover the storage key from a delivery URL
+   */
+  publicIdFromUrl(url, provider) {
+    return this.getDriver(provider).publicIdFromUrl(url);
+  }
+
+  /**
+   * Signed parameters for a direct client upload
+   * @param {Object} params - { folder, resourceType, allowedFormats, maxFileSize, transformation, context }
+   */
+  async getSignedUploadUrl(params = {}) {
+    try {
+      return await this.driver.getSignedUploadUrl({
+        expiresIn: storageConfig.signedUrlTTL,
+        ...params,
+      });
+    } catch (error) {
+      logger.error('Error generating signed upload URL:', error);
+      throw new AppError('Failed to generate upload URL', HTTP_STATUS.INTERNAL_SERVER_ERROR, ERROR_CODES.INTERNAL_ERROR);
+    }
+  }
+
+  /**
+   * Expiring link to download a stored file, e.g. a private export
+   * @param {string} publicId - Storage key / public_id
+   * @param {Object} options - { expiresIn (seconds), filename, resourceType, format, type, provider }
+   * @returns {Promise<Object>} - { url, expires_at }
+   */
+  async getSignedDownloadUrl(publicId, options = {}) {
+    try {
+      return await this.getDriver(options.provider).getSignedDownloadUrl(publicId, {
+        expiresIn: storageConfig.signedUrlTTL,
+        ...options,
+      });
+    } catch (error) {
+      logger.error(`Error generating signed download URL for ${publicId}:`, error);
+      throw new AppError('Failed to generate download URL', HTTP_STATUS.INTERNAL_SERVER_ERROR, ERROR_CODES.INTERNAL_ERROR);
+    }
+  }
+
+  /**
+   * Verify a signed direct upload (drivers that receive uploads through the API)
+   */
+  verifySignedUpload(params) {
+    return typeof this.driver.verifySignedUpload === 'function' &&
+      this.driver.verifySignedUpload(params);
+  }
+
+  /**
+   * File behind a signed download link (drivers that serve downloads through the API)
+   * @param {string} publicId - Storage key
+   * @param {Object} params - Query of the signed link
+   * @returns {string|null} - Path on disk, or null when the link is invalid or expired
+   */
+  resolveSignedDownload(publicId, params) {
+    const driver = this.getDriver(STORAGE_DRIVERS.LOCAL);
+    return typeof driver.resolveSignedDownload === 'function'
+      ? driver.resolveSignedDownload(publicId, params)
+      : null;
+  }
+
+  /**
+   * Health check for the active driver
+   */
+  async healthCheck() {
+    try {
+      await this.driver.ping();
+      return { provider: this.driver.name, status: 'healthy' };
+    } catch (error) {
+      logger.error(`Storage health check failed (${this.driver.name}):`, error);
+      return { provider: this.driver.name, status: 'unhealthy', error: error.message };
+    }
+  }
+
+  // ========================
+  // Helpers
+  // ========================
+
+  getDriver(provider) {
+    return (provider && this.strategies[provider]) || this.driver;
+  }
+
+  resolveResourceType(resourceType, contentType = '') {
+    if (resourceType && resourceType !== 'auto') return resourceType;
+    if (contentType.startsWith('image/')) return 'image';
+    if (contentType.startsWith('video/') || contentType.startsWith('audio/')) return 'video';
+    return contentType ? 'raw' : 'auto';
+  }
+
+  /**
+   * File extension for drivers that key objects by filename.
+   * Content sniffing wins - processed images may no longer match the uploaded name.
+   */
+  async resolveExtension(input, { filename, contentType, format }) {
+    if (format) return `.${format}`;
+
+    if (Buffer.isBuffer(input)) {
+      const detected = await fileTypeFromBuffer(input);
+      if (detected) return `.${detected.ext}`;
+    }
+
+    const namedPath = filename || (typeof input === 'string' ? input : '');
+    if (path.extname(namedPath)) return path.extname(namedPath).toLowerCase();
+
+    return EXTENSIONS_BY_MIME[contentType] || '';
+  }
+}
+
+export default new StorageService();
@@ -0,0 +1,155 @@
+// src/modules/media/strategies/cloudinary.strategy.js
+import cloudinary from '../../../config/cloudinary.js';
+
+/**
+ * Cloudinary Storage Strategy
+ * Uploads through the Cloudinary SDK and builds transformation URLs on the fly
+ */
+class CloudinaryStorageStrategy {
+  constructor() {
+    this.name = 'cloudinary';
+    this.supportsTransformations = true;
+  }
+
+  /**
+   * Upload a buffer or a file path
+   * @param {Buffer|string} input - File buffer or path on disk
+   * @param {Object} options - Normalized upload options
+   */
+  async upload(input, options = {}) {
+    const uploadOptions = {
+      folder: options.folder,
+      resource_type: options.resourceType || 'auto',
+      unique_filename: true,
+      overwrite: false,
+      invalidate: true,
+      ...(options.publicId && { public_id: options.publicId }),
+      ...(options.transformation && { transformation: options.transformation }),
+      ...(options.allowedFormats && { allowed_formats: options.allowedFormats }),
+      ...options.providerOptions,
+    };
+
+    const result = typeof input === 'string'
+      ? await cloudinary.uploader.upload(input, uploadOptions)
+      : await new Promise((resolve, reject) => {
+        const uploadStream = cloudinary.uploader.upload_stream(
+          uploadOptions,
+          (error, uploaded) => {
+            if (error) reject(error);
+            else resolve(uploaded);
+          }
+        );
+        uploadStream.end(input);
+      });
+
+    return {
+      public_id: result.public_id,
+      secure_url: result.secure_url,
+      url: result.secure_url,
+      resource_type: result.resource_type,
+      format: result.format,
+      bytes: result.bytes,
+      width: result.width,
+      height: result.height,
+      duration: result.duration,
+    };
+  }
+
+  /**
+   * Delete a stored object
+   * @param {string} publicId - Cloudinary public_id
+   * @param {Object} options - { resourceType, type }
+   */
+  async delete(publicId, options = {}) {
+    const result = await cloudinary.uploader.destroy(publicId, {
+      resource_type: options.resourceType || 'image',
+      type: options.type || 'upload',
+      invalidate: true,
+    });
+
+    return { result: result.result };
+  }
+
+  /**
+   * Build a delivery URL, applying transformations
+   * @param {string} publicId - Cloudinary public_id
+   * @param {Object} transform - Cloudinary transformation options
+   */
+  url(publicId, transform = {}) {
+    return cloudinary.url(publicId, { secure: true, ...transform });
+  }
+
+  /**
+   * Recover the public_id from a delivery URL
+   * e.g. https://res.cloudinary.com/demo/image/upload/v123/chat/u1/2024/5/abc.jpg -> chat/u1/2024/5/abc
+   */
+  publicIdFromUrl(url) {
+    const match = url.split('?')[0].match(/\/upload\/(?:v\d+\/)?(.+?)(?:\.[a-z0-9]+)?$/i);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Signed parameters for a direct browser/app upload
+   * @param {Object} params - { folder, resourceType, allowedFormats, maxFileSize, transformation, context, expiresIn }
+   */
+  async getSignedUploadUrl(params) {
+    const { api_key: apiKey, api_secret: apiSecret, cloud_name: cloudName } = cloudinary.config();
+    const timestamp = Math.round(Date.now() / 1000);
+
+    const signedParams = {
+      timestamp,
+      folder: params.folder,
+      // Signed so the client can't lift its tier's size quota
+      ...(params.maxFileSize && { max_file_size: params.maxFileSize }),
+      ...(params.allowedFormats && { allowed_formats: params.allowedFormats.join(',') }),
+      ...(params.transformation && { transformation: params.transformation }),
+      ...(params.context && { context: params.context }),
+    };
+
+    const signature = cloudinary.utils.api_sign_request(signedParams, apiSecret);
+
+    return {
+      url: `https://api.cloudinary.com/v1_1/${cloudName}/${params.resourceType || 'auto'}/upload`,
+      method: 'POST',
+      params: {
+        ...signedParams,
+        api_key: apiKey,
+        signature,
+      },
+      maxFileSize: params.maxFileSize,
+      expires_at: new Date((timestamp + params.expiresIn) * 1000),
+    };
+  }
+
+  /**
+   * Signed, expiring download through the Cloudinary API. Works for
+   * `authenticated` and `private` uploads, which have no public URL.
+   * @param {string} publicId - Cloudinary public_id (raw files keep their extension)
+   * @param {Object} params - { expiresIn, resourceType, format, type }
+   */
+  async getSignedDownloadUrl(publicId, params) {
+    const expiresAt = Math.round(Date.now() / 1000) + params.expiresIn;
+
+    const url = cloudinary.utils.private_download_url(publicId, params.format || '', {
+      resource_type: params.resourceType || 'image',
+      type: params.type || 'upload',
+      expires_at: expiresAt,
+      attachment: true,
+    });
+
+    return {
+      url,
+      expires_at: new Date(expiresAt * 1000),
+    };
+  }
+
+  /**
+   * Provider connectivity check
+   */
+  async ping() {
+    await cloudinary.api.ping();
+    return true;
+  }
+}
+
+export default new CloudinaryStorageStrategy();
@@ -0,0 +1,227 @@
+// src/modules/media/strategies/local.strategy.js
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import storageConfig from '../../../config/storage.js';
+
+const UPLOAD_SIGNED_FIELDS = ['folder', 'resource_type', 'max_file_size', 'expires'];
+const DOWNLOAD_SIGNED_FIELDS = ['key', 'expires', 'filename'];
+
+/**
+ * Local Disk Storage Strategy
+ * Writes files under STORAGE_LOCAL_ROOT and serves them from /uploads.
+ * Private uploads go to STORAGE_LOCAL_PRIVATE_ROOT instead and are only served
+ * by GET /api/media/files/* with a valid signed link.
+ * Meant for development and CI - no transformations, variants resolve to the original.
+ */
+class LocalStorageStrategy {
+  constructor() {
+    this.name = 'local';
+    this.supportsTransformations = false;
+    this.config = storageConfig.local;
+  }
+
+  /**
+   * Upload a buffer or a file path
+   * @param {Buffer|string} input - File buffer or path on disk
+   * @param {Object} options - Normalized upload options (key is the full object key)
+   */
+  async upload(input, options = {}) {
+    const buffer = typeof input === 'string' ? await fs.readFile(input) : input;
+    const type = options.providerOptions?.type;
+    const filePath = this.resolvePath(options.key, type);
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+
+    // Private files have no public URL; hand out getSignedDownloadUrl links instead
+    const url = this.isPrivate(type) ? this.downloadUrl(options.key) : this.url(options.key);
+
+    return {
+      public_id: options.key,
+      secure_url: url,
+      url,
+      resource_type: options.resourceType,
+      format: path.extname(options.key).slice(1),
+      bytes: buffer.length,
+    };
+  }
+
+  /**
+   * Delete a stored object
+   * @param {string} publicId - Object key
+   * @param {Object} options - { type }
+   */
+  async delete(publicId, options = {}) {
+    try {
+      await fs.unlink(this.resolvePath(publicId, options.type));
+      return { result: 'ok' };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { result: 'not found' };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delivery URL (transformations are not supported locally)
+   * @param {string} publicId - Object key
+   */
+  url(publicId) {
+    return `${this.config.publicUrl}/${publicId}`;
+  }
+
+  /**
+   * Recover the object key from a delivery URL
+   */
+  publicIdFromUrl(url) {
+    const prefix = `${this.config.publicUrl}/`;
+    return url.startsWith(prefix) ? url.slice(prefix.length).split('?')[0] : null;
+  }
+
+  /**
+   * Signed token for POST /api/media/direct-upload
+   * @param {Object} params - { folder, resourceType, maxFileSize, expiresIn }
+   */
+  async getSignedUploadUrl(params) {
+    const expires = Math.round(Date.now() / 1000) + params.expiresIn;
+    const signedParams = {
+      folder: params.folder,
+      resource_type: params.resourceType || 'auto',
+      max_file_size: params.maxFileSize,
+      expires,
+    };
+
+    return {
+      url: `${this.config.apiUrl}/api/media/direct-upload`,
+      method: 'POST',
+      params: {
+        ...signedParams,
+        signature: this.sign(signedParams),
+      },
+      maxFileSize: params.maxFileSize,
+      expires_at: new Date(expires * 1000),
+    };
+  }
+
+  /**
+   * Verify parameters produced by getSignedUploadUrl
+   * @param {Object} params - Signed params echoed back by the client
+   */
+  verifySignedUpload(params = {}) {
+    const { signature, ...signedParams } = params;
+
+    if (!signature || Number(signedParams.expires) < Math.round(Date.now() / 1000)) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(signedParams));
+    const received = Buffer.from(String(signature));
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * Signed, expiring link to a private file, served by GET /api/media/files/*.
+   * Public files are already served from /uploads, so they get their plain URL.
+   * @param {string} publicId - Object key
+   * @param {Object} params - { expiresIn, filename, type }
+   */
+  async getSignedDownloadUrl(publicId, params) {
+    const expires = Math.round(Date.now() / 1000) + params.expiresIn;
+
+    if (!this.isPrivate(params.type)) {
+      return { url: this.url(publicId), expires_at: new Date(expires * 1000) };
+    }
+
+    const signedParams = {
+      expires,
+      ...(params.filename && { filename: params.filename }),
+    };
+    const query = new URLSearchParams({
+      ...signedParams,
+      signature: this.sign({ key: publicId, ...signedParams }, DOWNLOAD_SIGNED_FIELDS),
+    });
+
+    return {
+      url: `${this.downloadUrl(publicId)}?${query}`,
+      expires_at: new Date(expires * 1000),
+    };
+  }
+
+  /**
+   * Path of the private file behind a signed download link
+   * @param {string} publicId - Object key
+   * @param {Object} params - { expires, filename, signature } from the link's query
+   * @returns {string|null} - null when the signature is invalid or expired
+   */
+  resolveSignedDownload(publicId, params = {}) {
+    const { signature, expires, filename } = params;
+
+    if (!signature || !publicId || Number(expires) < Math.round(Date.now() / 1000)) {
+      return null;
+    }
+
+    const expected = Buffer.from(this.sign({ key: publicId, expires, filename }, DOWNLOAD_SIGNED_FIELDS));
+    const received = Buffer.from(String(signature));
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return null;
+    }
+
+    try {
+      return this.resolvePath(publicId, 'authenticated');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  downloadUrl(publicId) {
+    return `${this.config.apiUrl}/api/media/files/${publicId}`;
+  }
+
+  isPrivate(type) {
+    return type === 'authenticated' || type === 'private';
+  }
+
+  /**
+   * Storage root must be writable
+   */
+  async ping() {
+    await fs.mkdir(this.config.root, { recursive: true });
+    await fs.access(this.config.root, fs.constants.W_OK);
+    return true;
+  }
+
+  // ========================
+  // Helpers
+  // ========================
+
+  sign(params, fields = UPLOAD_SIGNED_FIELDS) {
+    const payload = fields
+      .map(field => `${field}=${params[field] ?? ''}`)
+      .join('&');
+
+    return crypto
+      .createHmac('sha256', this.config.signingSecret)
+      .update(payload)
+      .digest('hex');
+  }
+
+  /**
+   * Resolve a key inside the storage root, refusing path traversal
+   */
+  resolvePath(key, type) {
+    const root = this.isPrivate(type) ? this.config.privateRoot : this.config.root;
+    const filePath = path.resolve(root, key);
+
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  }
+}
+
+export default new LocalStorageStrategy();
@@ -0,0 +1,288 @@
+// src/modules/media/strategies/s3.strategy.js
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import storageConfig from '../../../config/storage.js';
+
+/**
+ * S3-Compatible Storage Strategy
+ * Talks to AWS S3 (or MinIO, R2, Spaces...) over plain HTTPS with SigV4 signing.
+ * No transformations - variants resolve to the original object.
+ */
+class S3StorageStrategy {
+  constructor() {
+    this.name = 's3';
+    this.supportsTransformations = false;
+    this.config = storageConfig.s3;
+  }
+
+  /**
+   * Upload a buffer or a file path
+   * @param {Buffer|string} input - File buffer or path on disk
+   * @param {Object} options - Normalized upload options (key is the full object key)
+   */
+  async upload(input, options = {}) {
+    const body = typeof input === 'string' ? await fs.readFile(input) : input;
+    const headers = {
+      'content-type': options.contentType || 'application/octet-stream',
+      'content-length': String(body.length),
+    };
+
+    const response = await this.request('PUT', options.key, { headers, body });
+
+    if (!response.ok) {
+      throw new Error(`S3 upload failed with status ${response.status}: ${await response.text()}`);
+    }
+
+    const url = this.url(options.key);
+
+    return {
+      public_id: options.key,
+      secure_url: url,
+      url,
+      resource_type: options.resourceType,
+      format: path.extname(options.key).slice(1),
+      bytes: body.length,
+    };
+  }
+
+  /**
+   * Delete a stored object
+   * @param {string} publicId - Object key
+   */
+  async delete(publicId) {
+    const response = await this.request('DELETE', publicId);
+
+    if (response.status === 404) {
+      return { result: 'not found' };
+    }
+    if (!response.ok) {
+      throw new Error(`S3 delete failed with status ${response.status}`);
+    }
+
+    return { result: 'ok' };
+  }
+
+  /**
+   * Public delivery URL (CDN base when configured)
+   * @param {string} publicId - Object key
+   */
+  url(publicId) {
+    const base = this.config.publicUrl || this.bucketUrl();
+    return `${base}/${this.encodeKey(publicId)}`;
+  }
+
+  /**
+   * Recover the object key from a delivery URL
+   */
+  publicIdFromUrl(url) {
+    const prefix = `${this.config.publicUrl || this.bucketUrl()}/`;
+    return url.startsWith(prefix)
+      ? decodeURIComponent(url.slice(prefix.length).split('?')[0])
+      : null;
+  }
+
+  /**
+   * Presigned PUT URL for a direct upload
+   * @param {Object} params - { folder, contentType, expiresIn }
+   */
+  async getSignedUploadUrl(params) {
+    const key = `${params.folder}/${crypto.randomUUID()}`;
+
+    return {
+      url: this.presign('PUT', key, params.expiresIn),
+      method: 'PUT',
+      params: { key },
+      maxFileSize: params.maxFileSize,
+      expires_at: new Date(Date.now() + params.expiresIn * 1000),
+    };
+  }
+
+  /**
+   * Presigned GET URL, served as an attachment when a filename is given
+   * @param {string} publicId - Object key
+   * @param {Object} params - { expiresIn, filename }
+   */
+  async getSignedDownloadUrl(publicId, params) {
+    const query = params.filename
+      ? { 'response-content-disposition': `attachment; filename="${params.filename}"` }
+      : {};
+
+    return {
+      url: this.presign('GET', publicId, params.expiresIn, query),
+      expires_at: new Date(Date.now() + params.expiresIn * 1000),
+    };
+  }
+
+  /**
+   * Bucket must be reachable with the configured credentials
+   */
+  async ping() {
+    const response = await this.request('HEAD', '');
+
+    if (!response.ok) {
+      throw new Error(`S3 bucket check failed with status ${response.status}`);
+    }
+    return true;
+  }
+
+  // ========================
+  // SigV4 signing
+  // ========================
+
+  /**
+   * Send a signed request for an object key
+   */
+  async request(method, key, { headers = {}, body } = {}) {
+    const url = new URL(`${this.bucketUrl()}/${this.encodeKey(key)}`);
+    const { amzDate, dateStamp } = this.timestamps();
+    const payloadHash = this.hash(body || '');
+
+    const signedHeaders = {
+      ...headers,
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate,
+    };
+
+    const authorization = this.authorizationHeader({
+      method,
+      url,
+      headers: signedHeaders,
+      payloadHash,
+      amzDate,
+      dateStamp,
+    });
+
+    // fetch sets host and content-length itself
+    const { host, 'content-length': contentLength, ...sendHeaders } = signedHeaders;
+
+    return fetch(url, {
+      method,
+      headers: { ...sendHeaders, authorization },
+      body,
+    });
+  }
+
+  /**
+   * Query-string signed URL
+   */
+  presign(method, key, expiresIn, query = {}) {
+    const url = new URL(`${this.bucketUrl()}/${this.encodeKey(key)}`);
+    const { amzDate, dateStamp } = this.timestamps();
+
+    Object.entries(query).forEach(([name, value]) => url.searchParams.set(name, value));
+
+    url.searchParams.set('X-Amz-Algorithm', 'AWS4-HMAC-SHA256');
+    url.searchParams.set('X-Amz-Credential', `${this.config.accessKeyId}/${this.scope(dateStamp)}`);
+    url.searchParams.set('X-Amz-Date', amzDate);
+    url.searchParams.set('X-Amz-Expires', String(expiresIn));
+    url.searchParams.set('X-Amz-SignedHeaders', 'host');
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      this.canonicalQuery(url.searchParams),
+      `host:${url.host}\n`,
+      'host',
+      'UNSIGNED-PAYLOAD',
+    ].join('\n');
+
+    url.searchParams.set('X-Amz-Signature', this.signature(canonicalRequest, amzDate, dateStamp));
+
+    return url.toString();
+  }
+
+  authorizationHeader({ method, url, headers, payloadHash, amzDate, dateStamp }) {
+    const names = Object.keys(headers).map(name => name.toLowerCase()).sort();
+    const canonicalHeaders = names
+      .map(name => `${name}:${String(headers[name]).trim()}\n`)
+      .join('');
+    const signedHeaders = names.join(';');
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      this.canonicalQuery(url.searchParams),
+      canonicalHeaders,
+      signedHeaders,
+      payloadHash,
+    ].join('\n');
+
+    const signature = this.signature(canonicalRequest, amzDate, dateStamp);
+
+    return `AWS4-HMAC-SHA256 Credential=${this.config.accessKeyId}/${this.scope(dateStamp)}, ` +
+      `SignedHeaders=${signedHeaders}, Signature=${signature}`;
+  }
+
+  signature(canonicalRequest, amzDate, dateStamp) {
+    const stringToSign = [
+      'AWS4-HMAC-SHA256',
+      amzDate,
+      this.scope(dateStamp),
+      this.hash(canonicalRequest),
+    ].join('\n');
+
+    const signingKey = ['s3', 'aws4_request'].reduce(
+      (key, part) => this.hmac(key, part),
+      this.hmac(this.hmac(`AWS4${this.config.secretAccessKey}`, dateStamp), this.config.region)
+    );
+
+    return crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+  }
+
+  // ========================
+  // Helpers
+  // ========================
+
+  bucketUrl() {
+    const { bucket, region, endpoint, forcePathStyle } = this.config;
+
+    if (!endpoint) {
+      return `https://${bucket}.s3.${region}.amazonaws.com`;
+    }
+
+    const base = endpoint.replace(/\/$/, '');
+    if (forcePathStyle) {
+      return `${base}/${bucket}`;
+    }
+
+    const { protocol, host } = new URL(base);
+    return `${protocol}//${bucket}.${host}`;
+  }
+
+  encodeKey(key) {
+    return key.split('/').map(segment => this.rfc3986(segment)).join('/');
+  }
+
+  canonicalQuery(searchParams) {
+    return [...searchParams.entries()]
+      .map(([name, value]) => [this.rfc3986(name), this.rfc3986(value)])
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+      .map(([name, value]) => `${name}=${value}`)
+      .join('&');
+  }
+
+  rfc3986(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  }
+
+  scope(dateStamp) {
+    return `${dateStamp}/${this.config.region}/s3/aws4_request`;
+  }
+
+  timestamps() {
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    return { amzDate, dateStamp: amzDate.slice(0, 8) };
+  }
+
+  hash(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+  }
+
+  hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+  }
+}
+
+export default new S3StorageStrategy();
@@ -9,10 +9,10 @@ import logger from '../../shared/utils/logger.js';
 import redis from '../../config/redis.js';
 import { 
   HTTP_STATUS, 
-  ERROR_CODES, 
-  MEDIA_CONSTANTS 
+  ERROR_CODES 
 } from '../../config/constants.js';
 import AppError from '../../shared/errors/AppError.js';
+import MediaService from './media.service.js';
 
 /**
  * File size limits based on subscription tiers
@@ -595,10 +595,10 @@ const checkUploadRateLimit = async (userId, subscriptionType) => {
     }
 
     // Increment counter
-    await redis.multi()
-      .incr(key)
-      .expire(key, limit.window)
-      .exec();
+    const count = await redis.incr(key);
+    if (count === 1) {
+      await redis.expire(key, limit.window);
+    }
 
     return { allowed: true };
 
@@ -619,6 +619,35 @@ const getMediaType = (mimeType) => {
   return 'unknown';
 };
 
+/**
+ * Enforce per-tier upload quotas (daily uploads, monthly storage, video length)
+ */
+export const enforceUploadQuota = async (req, res, next) => {
+  try {
+    const files = req.files || (req.file ? [req.file] : []);
+
+    if (files.length === 0) {
+      return next();
+    }
+
+    const userId = req.user._id.toString();
+
+    if (req.file) {
+      await MediaService.checkUserLimits(userId, req.file);
+      // Let the service know the quota was already counted for this upload
+      req.uploadQuotaChecked = true;
+    } else {
+      const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+      await MediaService.checkBatchLimits(userId, files.length, totalSize);
+    }
+
+    next();
+
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Error handling for multer
  */
@@ -658,24 +687,7 @@ export const handleMulterError = (error, req, res, next) => {
         break;
     }
 
-    return res.status(HTTP_STATUS.BAD_REQUEST).json({
-      success: false,
-      error: {
-        message,
-        code,
-        details: error.message
-      }
-    });
-  }
-
-  if (error instanceof AppError) {
-    return res.status(error.statusCode).json({
-      success: false,
-      error: {
-        message: error.message,
-        code: error.errorCode
-      }
-    });
+    return next(new AppError(message, HTTP_STATUS.BAD_REQUEST, code, { cause: error }));
   }
 
   next(error);
@@ -770,6 +782,7 @@ export default {
   uploadToDisk,
   fileFilter,
   validateFileUpload,
+  enforceUploadQuota,
   handleMulterError,
   createUploadMiddleware,
   limits: FILE_LIMITS,
@@ -0,0 +1,510 @@
+// src/modules/notification/email.service.js
+import EmailSuppression from './emailSuppression.model.js';
+import User from '../user/user.model.js';
+import SendGridEmailStrategy from './strategies/sendgrid.strategy.js';
+import SmtpEmailStrategy from './strategies/smtp.strategy.js';
+import OutboxEmailStrategy from './strategies/outbox.strategy.js';
+import {
+  EMAIL_TEMPLATES,
+  EMAIL_TEMPLATE_NAMES,
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+} from './email.templates.js';
+import emailConfig from '../../config/email.js';
+import logger from '../../shared/utils/logger.js';
+import AppError from '../../shared/errors/AppError.js';
+import QueueService from '../../shared/services/queue.service.js';
+import MetricsService from '../../shared/services/metrics.service.js';
+import { HTTP_STATUS, ERROR_CODES, NOTIFICATION_TYPES } from '../../config/constants.js';
+
+// Template names used by jobs queued before the templates were versioned
+const LEGACY_TEMPLATE_NAMES = {
+  'email-verification': EMAIL_TEMPLATE_NAMES.VERIFICATION,
+  'password-reset': EMAIL_TEMPLATE_NAMES.PASSWORD_RESET,
+  'new-login': EMAIL_TEMPLATE_NAMES.LOGIN_ALERT,
+  'password-changed': EMAIL_TEMPLATE_NAMES.PASSWORD_CHANGED,
+  'security-alert': EMAIL_TEMPLATE_NAMES.ACCOUNT_LOCKED,
+  'account-deleted': EMAIL_TEMPLATE_NAMES.ACCOUNT_DELETED,
+  'account-recovered': EMAIL_TEMPLATE_NAMES.ACCOUNT_RECOVERED,
+};
+
+// Call to action for notification emails, by notification type
+const NOTIFICATION_LINKS = {
+  [NOTIFICATION_TYPES.NEW_MATCH]: { label: 'View match', path: '/matches' },
+  [NOTIFICATION_TYPES.NEW_MESSAGE]: { label: 'Read message', path: '/chat' },
+  [NOTIFICATION_TYPES.SUPER_LIKE]: { label: 'See who', path: '/' },
+  [NOTIFICATION_TYPES.PROFILE_LIKED]: { label: 'See who', path: '/' },
+  [NOTIFICATION_TYPES.SUBSCRIPTION_EXPIRING]: { label: 'Manage subscription', path: '/settings/subscription' },
+};
+
+/**
+ * Email Service
+ * Renders versioned, localized templates and delivers them through an ordered
+ * list of transports (SendGrid -> SMTP by default), skipping suppressed addresses.
+ */
+class EmailService {
+  constructor() {
+    this.strategies = {
+      sendgrid: SendGridEmailStrategy,
+      smtp: SmtpEmailStrategy,
+      outbox: OutboxEmailStrategy,
+    };
+
+    this.transports = [];
+    this.initialized = false;
+  }
+
+  /**
+   * Resolve transports and register the email queue worker
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    this.transports = emailConfig.transports
+      .map(name => this.strategies[name])
+      .filter(strategy => {
+        if (!strategy) return false;
+        if (!strategy.isConfigured()) {
+          logger.warn(`Email transport "${strategy.name}" is not configured, skipping`);
+          return false;
+        }
+        return true;
+      });
+
+    if (this.transports.length === 0) {
+      logger.warn('No email transport configured, falling back to the outbox');
+      this.transports = [OutboxEmailStrategy];
+    }
+
+    QueueService.registerHandler('emails', this.processQueuedEmail.bind(this));
+
+    this.initialized = true;
+    logger.info(`✅ Email service initialized (${this.transports.map(t => t.name).join(' -> ')})`);
+  }
+
+  // ========================
+  // SENDING
+  // ========================
+
+  /**
+   * Render and send a template
+   * @param {Object} options - { to, template, data, locale, version, userId }
+   * @returns {Promise<Object>} - { sent, provider, messageId } or { sent: false, reason }
+   */
+  async send({ to, template, data = {}, locale, version, userId } = {}) {
+    template = LEGACY_TEMPLATE_NAMES[template] || template;
+
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    if (!to) {
+      throw new AppError('Recipient email is required', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.VALIDATION_ERROR);
+    }
+
+    if (await EmailSuppression.isSuppressed(to)) {
+      logger.info(`Email to suppressed address skipped`, { template, userId });
+      await MetricsService.incrementCounter('email.suppressed', 1, { template });
+      return { sent: false, reason: 'suppressed' };
+    }
+
+    const resolvedLocale = locale || (userId ? await this.getUserLocale(userId) : undefined);
+    const rendered = this.render(template, data, { locale: resolvedLocale, version });
+
+    const message = {
+      from: `${emailConfig.from.name} <${emailConfig.from.email}>`,
+      to,
+      subject: rendered.subject,
+      html: rendered.html,
+      text: rendered.text,
+      headers: {},
+      metadata: {
+        template,
+        version: rendered.version,
+        locale: rendered.locale,
+        userId,
+      },
+    };
+
+    const errors = [];
+
+    for (const transport of this.transports) {
+      try {
+        const result = await transport.send(message);
+
+        await MetricsService.incrementCounter('email.sent', 1, {
+          template,
+          provider: transport.name,
+        });
+
+        if (errors.length > 0) {
+          logger.warn(`Email delivered by fallback transport ${transport.name}`, { template, errors });
+        }
+
+        return {
+          sent: true,
+          provider: transport.name,
+          messageId: result.messageId,
+          template,
+          version: rendered.version,
+          locale: rendered.locale,
+        };
+      } catch (error) {
+        logger.error(`Email transport ${transport.name} failed:`, error);
+        await MetricsService.incrementCounter('email.transport_failed', 1, {
+          template,
+          provider: transport.name,
+        });
+        errors.push({ provider: transport.name, error: error.message });
+      }
+    }
+
+    throw new AppError(
+      'Email delivery failed on all transports',
+      HTTP_STATUS.BAD_GATEWAY,
+      ERROR_CODES.EMAIL_SEND_FAILED
+    );
+  }
+
+  /**
+   * Shorthand used by other services
+   * @param {string} to - Recipient
+   * @param {Object} options - { template, data, locale, version, userId }
+   */
+  async sendEmail(to, options = {}) {
+    return this.send({ to, ...options });
+  }
+
+  /**
+   * Queue an email for the background worker
+   * @param {Object} options - { to, template, data, locale, version, userId }
+   * @param {Object} queueOptions - QueueService options (priority, delay)
+   */
+  async queue(options, queueOptions = {}) {
+    // Validate now so bad template names fail at the call site, not in the worker
+    this.getTemplateVersion(LEGACY_TEMPLATE_NAMES[options.template] || options.template, options.version);
+    return QueueService.addJob('emails', options, queueOptions);
+  }
+
+  /**
+   * Mirror an in-app notification to email
+   * @param {Object} user - User document (email, profile.firstName, metadata.locale)
+   * @param {Object} notification - { type, title, body }
+   */
+  async sendNotificationEmail(user, notification) {
+    if (!user?.email) {
+      return { sent: false, reason: 'no_email' };
+    }
+
+    const link = NOTIFICATION_LINKS[notification.type] || { label: 'Open app', path: '/' };
+
+    return this.send({
+      to: user.email,
+      template: EMAIL_TEMPLATE_NAMES.NOTIFICATION,
+      userId: user._id,
+      locale: user.metadata?.locale,
+      data: {
+        name: user.profile?.firstName || user.name || '',
+        title: notification.title,
+        body: notification.body,
+        ctaLabel: link.label,
+        ctaUrl: `${emailConfig.appUrl}${link.path}`,
+      },
+    });
+  }
+
+  /**
+   * Queue worker for the "emails" queue
+   * @private
+   */
+  async processQueuedEmail(jobData) {
+    // Older notification jobs carry { userId, notification } instead of a template
+    if (jobData.notification && !jobData.template) {
+      const user = await User.findById(jobData.userId)
+        .select('email profile.firstName metadata.locale')
+        .lean();
+      return this.sendNotificationEmail(user, jobData.notification);
+    }
+
+    return this.send(jobData);
+  }
+
+  // ========================
+  // RENDERING
+  // ========================
+
+  /**
+   * Render a template to subject/html/text
+   * @param {string} template - Template name
+   * @param {Object} data - Placeholder values
+   * @param {Object} options - { locale, version }
+   */
+  render(template, data = {}, { locale, version } = {}) {
+    const { version: resolvedVersion, locales } = this.getTemplateVersion(template, version);
+    const resolvedLocale = this.resolveLocale(locale, locales);
+    const content = locales[resolvedLocale];
+
+    const values = { appUrl: emailConfig.appUrl, ...data };
+    const fill = (str, escape) => this.interpolate(str, values, escape);
+
+    const paragraphs = content.paragraphs || [];
+    const closing = content.closing || [];
+    const listItems = content.list ? (values[content.list.key] || []) : [];
+    const ctaUrl = content.cta ? values[content.cta.urlKey] : null;
+
+    // HTML
+    const htmlParts = [
+      content.heading ? `<h2 style="color: #FF4458;">${fill(content.heading, true)}</h2>` : '',
+      ...paragraphs.map(p => `<p>${fill(p, true)}</p>`),
+      listItems.length > 0
+        ? `<ul>${listItems.map(item => `<li>${this.interpolate(content.list.item, item, true)}</li>`).join('')}</ul>`
+        : '',
+      ...closing.map(p => `<p><strong>${fill(p, true)}</strong></p>`),
+      ctaUrl
+        ? `<p><a href="${this.escapeHtml(ctaUrl)}" style="display: inline-block; padding: 12px 24px; background-color: #FF4458; color: white; text-decoration: none; border-radius: 25px;">${fill(content.cta.label, true)}</a></p>`
+        : '',
+      content.footer ? `<p style="color: #888; font-size: 12px;">${fill(content.footer, true)}</p>` : '',
+    ];
+
+    const html = [
+      '<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">',
+      content.preheader ? `<span style="display: none;">${fill(content.preheader, true)}</span>` : '',
+      ...htmlParts.filter(Boolean),
+      '</div>',
+    ].filter(Boolean).join('\n');
+
+    // Plain text
+    const text = [
+      ...paragraphs.map(p => fill(p)),
+      ...listItems.map(item => `- ${this.interpolate(content.list.item, item)}`),
+      ...closing.map(p => fill(p)),
+      ctaUrl ? `${fill(content.cta.label)}: ${ctaUrl}` : '',
+      content.footer ? fill(content.footer) : '',
+    ].filter(Boolean).join('\n\n');
+
+    return {
+      subject: fill(content.subject),
+      html,
+      text,
+      template,
+      version: resolvedVersion,
+      locale: resolvedLocale,
+    };
+  }
+
+  /**
+   * Pick a template version (current by default)
+   * @private
+   */
+  getTemplateVersion(template, version) {
+    const definition = EMAIL_TEMPLATES[template];
+    if (!definition) {
+      throw new AppError(`Unknown email template: ${template}`, HTTP_STATUS.BAD_REQUEST, ERROR_CODES.VALIDATION_ERROR);
+    }
+
+    const resolvedVersion = version || definition.currentVersion;
+    const locales = definition.versions[resolvedVersion];
+    if (!locales) {
+      throw new AppError(
+        `Unknown version ${resolvedVersion} for email template ${template}`,
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.VALIDATION_ERROR
+      );
+    }
+
+    return { version: Number(resolvedVersion), locales };
+  }
+
+  /**
+   * Match "vi-VN" / "vi" against the template's locales, falling back to English
+   * @private
+   */
+  resolveLocale(locale, locales) {
+    const language = (locale || DEFAULT_LOCALE).toLowerCase().split(/[-_]/)[0];
+    return SUPPORTED_LOCALES.includes(language) && locales[language] ? language : DEFAULT_LOCALE;
+  }
+
+  /**
+   * Replace {{key}} / {{nested.key}} placeholders
+   * @private
+   */
+  interpolate(str, values, escape = false) {
+    return str.replace(/{{\s*([\w.]+)\s*}}/g, (match, key) => {
+      const value = key.split('.').reduce((obj, part) => obj?.[part], values);
+      if (value === undefined || value === null) return '';
+      return escape ? this.escapeHtml(String(value)) : String(value);
+    });
+  }
+
+  escapeHtml(str) {
+    return str
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * @private
+   */
+  async getUserLocale(userId) {
+    const user = await User.findById(userId).select('metadata.locale').lean();
+    return user?.metadata?.locale;
+  }
+
+  // ========================
+  // BOUNCES & COMPLAINTS
+  // ========================
+
+  /**
+   * Record a bounce; hard bounces suppress immediately, soft bounces after a limit
+   * @param {string} email - Recipient address
+   * @param {Object} details - { type: 'hard'|'soft', reason, provider, messageId }
+   */
+  async recordBounce(email, { type = 'hard', reason, provider, messageId } = {}) {
+    try {
+      const record = await this.getSuppressionRecord(email);
+      const eventType = type === 'soft' ? 'soft_bounce' : 'hard_bounce';
+
+      record.addEvent({ type: eventType, reason, provider, messageId });
+
+      if (eventType === 'hard_bounce') {
+        record.suppress('hard_bounce');
+      } else {
+        record.softBounceCount += 1;
+        if (record.softBounceCount >= emailConfig.softBounceLimit) {
+          record.suppress('soft_bounce');
+        }
+      }
+
+      await record.save();
+      await MetricsService.incrementCounter('email.bounced', 1, { type, provider });
+
+      logger.warn(`Email bounce recorded (${type})`, { provider, reason, suppressed: record.isSuppressed });
+
+      return record;
+    } catch (error) {
+      logger.error('Error recording email bounce:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a spam complaint - always suppresses
+   * @param {string} email - Recipient address
+   * @param {Object} details - { reason, provider, messageId }
+   */
+  async recordComplaint(email, { reason, provider, messageId } = {}) {
+    try {
+      const record = await this.getSuppressionRecord(email);
+
+      record.addEvent({ type: 'complaint', reason, provider, messageId });
+      record.complaintCount += 1;
+      record.suppress('complaint');
+      await record.save();
+
+      // Complaints also opt the user out of marketing email
+      await User.updateOne(
+        { email: email.toLowerCase() },
+        { $set: { 'notifications.email.marketing': false } }
+      );
+
+      await MetricsService.incrementCounter('email.complaint', 1, { provider });
+
+      logger.warn('Email complaint recorded', { provider });
+
+      return record;
+    } catch (error) {
+      logger.error('Error recording email complaint:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lift a suppression (e.g. user fixed their mailbox)
+   * @param {string} email - Recipient address
+   */
+  async removeSuppression(email) {
+    const record = await EmailSuppression.findOneAndUpdate(
+      { email: email.toLowerCase() },
+      {
+        $set: { isSuppressed: false, softBounceCount: 0 },
+        $unset: { reason: 1, suppressedAt: 1 },
+      },
+      { new: true }
+    );
+
+    return { removed: Boolean(record) };
+  }
+
+  async isSuppressed(email) {
+    return EmailSuppression.isSuppressed(email);
+  }
+
+  /**
+   * Apply a batch of SendGrid event-webhook events
+   * @param {Array} events - Raw SendGrid events
+   */
+  async handleSendGridEvents(events = []) {
+    const summary = { bounces: 0, complaints: 0, ignored: 0 };
+
+    for (const event of events) {
+      const messageId = event.sg_message_id?.split('.')[0];
+
+      if (event.event === 'bounce' || event.event === 'dropped') {
+        // SendGrid marks temporary failures as "blocked"
+        const type = event.type === 'blocked' ? 'soft' : 'hard';
+        await this.recordBounce(event.email, {
+          type,
+          reason: event.reason,
+          provider: 'sendgrid',
+          messageId,
+        });
+        summary.bounces++;
+      } else if (event.event === 'deferred') {
+        await this.recordBounce(event.email, {
+          type: 'soft',
+          reason: event.response,
+          provider: 'sendgrid',
+          messageId,
+        });
+        summary.bounces++;
+      } else if (event.event === 'spamreport') {
+        await this.recordComplaint(event.email, { provider: 'sendgrid', messageId });
+        summary.complaints++;
+      } else {
+        summary.ignored++;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * @private
+   */
+  async getSuppressionRecord(email) {
+    const normalized = email.toLowerCase().trim();
+    return (await EmailSuppression.findOne({ email: normalized })) ||
+      new EmailSuppression({ email: normalized });
+  }
+
+  // ========================
+  // OUTBOX (dev / tests)
+  // ========================
+
+  /**
+   * Emails written by the outbox transport
+   * @param {Object} filter - { to, template }
+   */
+  async getOutbox(filter = {}) {
+    return OutboxEmailStrategy.list(filter);
+  }
+
+  async clearOutbox() {
+    return OutboxEmailStrategy.clear();
+  }
+}
+
+export default new EmailService();
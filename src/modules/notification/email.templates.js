@@ -0,0 +1,461 @@
+// src/modules/notification/email.templates.js
+
+/**
+ * Transactional email templates
+ *
+ * Each template keeps every published version so queued jobs and audits can
+ * re-render exactly what was sent. A version holds one entry per locale:
+ *   subject, preheader, heading, paragraphs[], cta { label, urlKey },
+ *   list { key, item } (renders data[key] as a bulleted list), footer
+ * Strings use {{placeholders}} resolved against the send data.
+ */
+
+export const DEFAULT_LOCALE = 'en';
+
+export const SUPPORTED_LOCALES = ['en', 'vi'];
+
+export const EMAIL_TEMPLATE_NAMES = {
+  VERIFICATION: 'verification',
+  WELCOME: 'welcome',
+  PASSWORD_RESET: 'password_reset',
+  LOGIN_ALERT: 'login_alert',
+  MATCH_DIGEST: 'match_digest',
+  RECEIPT: 'receipt',
+  REFUND_PROCESSED: 'refund_processed',
+  PASSWORD_CHANGED: 'password_changed',
+  ACCOUNT_LOCKED: 'account_locked',
+  ACCOUNT_DELETED: 'account_deleted',
+  ACCOUNT_RECOVERED: 'account_recovered',
+  SUBSCRIPTION_CREATED: 'subscription_created',
+  SUBSCRIPTION_CANCELLED: 'subscription_cancelled',
+  SUBSCRIPTION_PAUSED: 'subscription_paused',
+  SUBSCRIPTION_RESUMED: 'subscription_resumed',
+  SUBSCRIPTION_UPGRADED: 'subscription_upgraded',
+  SUBSCRIPTION_DOWNGRADED: 'subscription_downgraded',
+  SAFETY_PLAN_SHARED: 'safety_plan_shared',
+  SAFETY_CHECK_IN_MISSED: 'safety_check_in_missed',
+  SAFETY_CHECK_IN_CONFIRMED: 'safety_check_in_confirmed',
+  NOTIFICATION: 'notification',
+};
+
+/**
+ * Single-version template with a heading, one message and an optional button
+ * @private
+ */
+const simpleTemplate = ({ en, vi }) => ({
+  currentVersion: 1,
+  versions: {
+    1: {
+      en: {
+        subject: en.subject,
+        heading: en.subject,
+        paragraphs: ['Hi {{name}},', ...en.paragraphs],
+        ...(en.cta && { cta: en.cta }),
+      },
+      vi: {
+        subject: vi.subject,
+        heading: vi.subject,
+        paragraphs: ['Chào {{name}},', ...vi.paragraphs],
+        ...(vi.cta && { cta: vi.cta }),
+      },
+    },
+  },
+});
+
+export const EMAIL_TEMPLATES = {
+  [EMAIL_TEMPLATE_NAMES.VERIFICATION]: {
+    currentVersion: 2,
+    versions: {
+      1: {
+        en: {
+          subject: 'Verify your email address',
+          heading: 'Confirm your email',
+          paragraphs: [
+            'Hi {{name}},',
+            'Tap the button below to verify your email address.',
+          ],
+          cta: { label: 'Verify email', urlKey: 'verificationUrl' },
+        },
+        vi: {
+          subject: 'Xác minh địa chỉ email của bạn',
+          heading: 'Xác nhận email',
+          paragraphs: [
+            'Chào {{name}},',
+            'Nhấn vào nút bên dưới để xác minh địa chỉ email của bạn.',
+          ],
+          cta: { label: 'Xác minh email', urlKey: 'verificationUrl' },
+        },
+      },
+      // v2: adds link expiry and "not you" guidance
+      2: {
+        en: {
+          subject: 'Verify your email address',
+          preheader: 'One tap and you are ready to start matching.',
+          heading: 'Confirm your email',
+          paragraphs: [
+            'Hi {{name}},',
+            'Tap the button below to verify your email address. The link expires in 24 hours.',
+          ],
+          cta: { label: 'Verify email', urlKey: 'verificationUrl' },
+          footer: 'If you did not create an account, you can ignore this email.',
+        },
+        vi: {
+          subject: 'Xác minh địa chỉ email của bạn',
+          preheader: 'Chỉ một lần nhấn là bạn có thể bắt đầu ghép đôi.',
+          heading: 'Xác nhận email',
+          paragraphs: [
+            'Chào {{name}},',
+            'Nhấn vào nút bên dưới để xác minh địa chỉ email. Liên kết hết hạn sau 24 giờ.',
+          ],
+          cta: { label: 'Xác minh email', urlKey: 'verificationUrl' },
+          footer: 'Nếu bạn không tạo tài khoản, hãy bỏ qua email này.',
+        },
+      },
+    },
+  },
+
+  [EMAIL_TEMPLATE_NAMES.WELCOME]: {
+    currentVersion: 1,
+    versions: {
+      1: {
+        en: {
+          subject: 'Welcome aboard, {{name}}!',
+          heading: 'You are all set',
+          paragraphs: [
+            'Hi {{name}},',
+            'Your email is verified. Add a few photos and start swiping.',
+          ],
+          cta: { label: 'Open the app', urlKey: 'appUrl' },
+        },
+        vi: {
+          subject: 'Chào mừng {{name}}!',
+          heading: 'Mọi thứ đã sẵn sàng',
+          paragraphs: [
+            'Chào {{name}},',
+            'Email của bạn đã được xác minh. Thêm vài bức ảnh và bắt đầu quẹt nhé.',
+          ],
+          cta: { label: 'Mở ứng dụng', urlKey: 'appUrl' },
+        },
+      },
+    },
+  },
+
+  [EMAIL_TEMPLATE_NAMES.PASSWORD_RESET]: {
+    currentVersion: 1,
+    versions: {
+      1: {
+        en: {
+          subject: 'Reset your password',
+          heading: 'Password reset requested',
+          paragraphs: [
+            'Hi {{name}},',
+            'We received a request to reset your password. The link expires in 1 hour.',
+          ],
+          cta: { label: 'Reset password', urlKey: 'resetUrl' },
+          footer: 'If you did not request this, your password stays the same and you can ignore this email.',
+        },
+        vi: {
+          subject: 'Đặt lại mật khẩu',
+          heading: 'Yêu cầu đặt lại mật khẩu',
+          paragraphs: [
+            'Chào {{name}},',
+            'Chúng tôi đã nhận được yêu cầu đặt lại mật khẩu của bạn. Liên kết hết hạn sau 1 giờ.',
+          ],
+          cta: { label: 'Đặt lại mật khẩu', urlKey: 'resetUrl' },
+          footer: 'Nếu bạn không yêu cầu, mật khẩu vẫn giữ nguyên và bạn có thể bỏ qua email này.',
+        },
+      },
+    },
+  },
+
+  [EMAIL_TEMPLATE_NAMES.LOGIN_ALERT]: {
+    currentVersion: 1,
+    versions: {
+      1: {
+        en: {
+          subject: 'New sign-in to your account',
+          heading: 'New sign-in detected',
+          paragraphs: [
+            'Hi {{name}},',
+            'Your account was just used to sign in on {{device}} ({{location}}) at {{time}}.',
+            'If this was you, there is nothing else to do.',
+          ],
+          cta: { label: 'Review sessions', urlKey: 'securityUrl' },
+          footer: 'If you do not recognise this sign-in, reset your password right away.',
+        },
+        vi: {
+          subject: 'Đăng nhập mới vào tài khoản của bạn',
+          heading: 'Phát hiện đăng nhập mới',
+          paragraphs: [
+            'Chào {{name}},',
+            'Tài khoản của bạn vừa được đăng nhập trên {{device}} ({{location}}) lúc {{time}}.',
+            'Nếu đó là bạn, bạn không cần làm gì thêm.',
+          ],
+          cta: { label: 'Xem phiên đăng nhập', urlKey: 'securityUrl' },
+          footer: 'Nếu bạn không nhận ra lần đăng nhập này, hãy đặt lại mật khẩu ngay.',
+        },
+      },
+    },
+  },
+
+  [EMAIL_TEMPLATE_NAMES.MATCH_DIGEST]: {
+    currentVersion: 1,
+    versions: {
+      1: {
+        en: {
+          subject: 'You have {{count}} new matches',
+          preheader: 'See who liked you back.',
+          heading: 'Your matches this {{period}}',
+          paragraphs: [
+            'Hi {{name}},',
+            'You matched with {{count}} people. Say hi before they get away:',
+          ],
+          list: { key: 'matches', item: '{{name}}, {{age}}' },
+          cta: { label: 'View matches', urlKey: 'matchesUrl' },
+          footer: 'You receive this digest because of your email frequency setting.',
+        },
+        vi: {
+          subject: 'Bạn có {{count}} lượt ghép đôi mới',
+          preheader: 'Xem ai đã thích lại bạn.',
+          heading: 'Các lượt ghép đôi trong {{period}} này',
+          paragraphs: [
+            'Chào {{name}},',
+            'Bạn đã ghép đôi với {{count}} người. Hãy gửi lời chào nhé:',
+          ],
+          list: { key: 'matches', item: '{{name}}, {{age}}' },
+          cta: { label: 'Xem ghép đôi', urlKey: 'matchesUrl' },
+          footer: 'Bạn nhận bản tóm tắt này theo cài đặt tần suất email của bạn.',
+        },
+      },
+    },
+  },
+
+  [EMAIL_TEMPLATE_NAMES.RECEIPT]: {
+    currentVersion: 1,
+    versions: {
+      1: {
+        en: {
+          subject: 'Your receipt for {{description}}',
+          heading: 'Thanks for your purchase',
+          paragraphs: [
+            'Hi {{name}},',
+            'Here is your receipt for order {{orderId}} on {{date}}.',
+          ],
+          list: { key: 'lineItems', item: '{{description}}: {{amount}}' },
+          closing: ['Total: {{total}} ({{paymentMethod}})'],
+          footer: 'Manage your subscription from your device app store settings.',
+        },
+        vi: {
+          subject: 'Biên lai cho {{description}}',
+          heading: 'Cảm ơn bạn đã mua hàng',
+          paragraphs: [
+            'Chào {{name}},',
+            'Đây là biên lai cho đơn hàng {{orderId}} ngày {{date}}.',
+          ],
+          list: { key: 'lineItems', item: '{{description}}: {{amount}}' },
+          closing: ['Tổng cộng: {{total}} ({{paymentMethod}})'],
+          footer: 'Quản lý gói đăng ký trong cài đặt cửa hàng ứng dụng trên thiết bị của bạn.',
+        },
+      },
+    },
+  },
+
+  [EMAIL_TEMPLATE_NAMES.REFUND_PROCESSED]: simpleTemplate({
+    en: {
+      subject: 'Your refund has been processed',
+      paragraphs: ['We refunded {{amount}} for transaction {{transactionId}}. It can take 5-10 days to appear on your statement.'],
+    },
+    vi: {
+      subject: 'Yêu cầu hoàn tiền đã được xử lý',
+      paragraphs: ['Chúng tôi đã hoàn {{amount}} cho giao dịch {{transactionId}}. Có thể mất 5-10 ngày để hiển thị trên sao kê của bạn.'],
+    },
+  }),
+
+  [EMAIL_TEMPLATE_NAMES.PASSWORD_CHANGED]: simpleTemplate({
+    en: {
+      subject: 'Your password was changed',
+      paragraphs: ['Your password was just changed. If this was not you, contact support right away.'],
+    },
+    vi: {
+      subject: 'Mật khẩu của bạn đã được thay đổi',
+      paragraphs: ['Mật khẩu của bạn vừa được thay đổi. Nếu không phải bạn, hãy liên hệ bộ phận hỗ trợ ngay.'],
+    },
+  }),
+
+  [EMAIL_TEMPLATE_NAMES.ACCOUNT_LOCKED]: simpleTemplate({
+    en: {
+      subject: 'Your account has been locked',
+      paragraphs: ['We locked your account after several failed sign-in attempts. Reset your password to unlock it.'],
+      cta: { label: 'Reset password', urlKey: 'resetUrl' },
+    },
+    vi: {
+      subject: 'Tài khoản của bạn đã bị khóa',
+      paragraphs: ['Chúng tôi đã khóa tài khoản của bạn sau nhiều lần đăng nhập thất bại. Hãy đặt lại mật khẩu để mở khóa.'],
+      cta: { label: 'Đặt lại mật khẩu', urlKey: 'resetUrl' },
+    },
+  }),
+
+  [EMAIL_TEMPLATE_NAMES.ACCOUNT_DELETED]: simpleTemplate({
+    en: {
+      subject: 'Your account has been deleted',
+      paragraphs: ['Your account is scheduled for deletion. Sign in within {{recoveryDays}} days to recover it.'],
+    },
+    vi: {
+      subject: 'Tài khoản của bạn đã bị xóa',
+      paragraphs: ['Tài khoản của bạn sẽ bị xóa. Đăng nhập trong vòng {{recoveryDays}} ngày để khôi phục.'],
+    },
+  }),
+
+  [EMAIL_TEMPLATE_NAMES.ACCOUNT_RECOVERED]: simpleTemplate({
+    en: {
+      subject: 'Welcome back!',
+      paragraphs: ['Your account has been recovered and is active again.'],
+      cta: { label: 'Open the app', urlKey: 'appUrl' },
+    },
+    vi: {
+      subject: 'Chào mừng bạn trở lại!',
+      paragraphs: ['Tài khoản của bạn đã được khôi phục và hoạt động trở lại.'],
+      cta: { label: 'Mở ứng dụng', urlKey: 'appUrl' },
+    },
+  }),
+
+  [EMAIL_TEMPLATE_NAMES.SUBSCRIPTION_CREATED]: simpleTemplate({
+    en: {
+      subject: 'Your {{planType}} subscription is active',
+      paragraphs: ['Thanks for subscribing! Your {{billingCycle}} plan renews on {{nextBillingDate}}.'],
+    },
+    vi: {
+      subject: 'Gói {{planType}} của bạn đã được kích hoạt',
+      paragraphs: ['Cảm ơn bạn đã đăng ký! Gói {{billingCycle}} sẽ gia hạn vào {{nextBillingDate}}.'],
+    },
+  }),
+
+  [EMAIL_TEMPLATE_NAMES.SUBSCRIPTION_CANCELLED]: simpleTemplate({
+    en: {
+      subject: 'Your {{planType}} subscription was cancelled',
+      paragraphs: ['You keep your benefits until {{nextBillingDate}}.'],
+    },
+    vi: {
+      subject: 'Gói {{planType}} của bạn đã bị hủy',
+      paragraphs: ['Bạn vẫn giữ quyền lợi đến {{nextBillingDate}}.'],
+    },
+  }),
+
+  [EMAIL_TEMPLATE_NAMES.SUBSCRIPTION_PAUSED]: simpleTemplate({
+    en: {
+      subject: 'Your {{planType}} subscription is paused',
+      paragraphs: ['Billing is paused. Resume any time from Settings.'],
+    },
+    vi: {
+      subject: 'Gói {{planType}} của bạn đã tạm dừng',
+      paragraphs: ['Việc thanh toán đã tạm dừng. Bạn có thể tiếp tục bất cứ lúc nào trong phần Cài đặt.'],
+    },
+  }),
+
+  [EMAIL_TEMPLATE_NAMES.SUBSCRIPTION_RESUMED]: simpleTemplate({
+    en: {
+      subject: 'Your {{planType}} subscription is back on',
+      paragraphs: ['Your plan is active again and renews on {{nextBillingDate}}.'],
+    },
+    vi: {
+      subject: 'Gói {{planType}} của bạn đã hoạt động trở lại',
+      paragraphs: ['Gói của bạn đã hoạt động trở lại và sẽ gia hạn vào {{nextBillingDate}}.'],
+    },
+  }),
+
+  [EMAIL_TEMPLATE_NAMES.SUBSCRIPTION_UPGRADED]: simpleTemplate({
+    en: {
+      subject: 'You upgraded to {{planType}}',
+      paragraphs: ['Your new benefits are available now. Next billing date: {{nextBillingDate}}.'],
+    },
+    vi: {
+      subject: 'Bạn đã nâng cấp lên {{planType}}',
+      paragraphs: ['Quyền lợi mới đã có hiệu lực. Ngày thanh toán tiếp theo: {{nextBillingDate}}.'],
+    },
+  }),
+
+  [EMAIL_TEMPLATE_NAMES.SUBSCRIPTION_DOWNGRADED]: simpleTemplate({
+    en: {
+      subject: 'Your plan changes to {{planType}}',
+      paragraphs: ['The change takes effect on {{nextBillingDate}}.'],
+    },
+    vi: {
+      subject: 'Gói của bạn sẽ chuyển sang {{planType}}',
+      paragraphs: ['Thay đổi có hiệu lực từ {{nextBillingDate}}.'],
+    },
+  }),
+
+  // Generic wrapper for in-app notifications mirrored to email
+  [EMAIL_TEMPLATE_NAMES.SAFETY_PLAN_SHARED]: simpleTemplate({
+    en: {
+      subject: '{{userName}} shared their date plans with you',
+      paragraphs: [
+        '{{userName}} added you as a trusted contact and is meeting {{matchName}} at {{venue}} on {{time}}.',
+        'The link below shows the details and, if they share it, their live location. It stops working after the date.',
+      ],
+      cta: { label: 'View date plans', urlKey: 'planUrl' },
+    },
+    vi: {
+      subject: '{{userName}} đã chia sẻ kế hoạch hẹn hò với bạn',
+      paragraphs: [
+        '{{userName}} đã thêm bạn làm người liên hệ tin cậy và sẽ gặp {{matchName}} tại {{venue}} vào {{time}}.',
+        'Liên kết bên dưới hiển thị chi tiết và vị trí trực tiếp nếu họ chia sẻ. Liên kết sẽ hết hạn sau buổi hẹn.',
+      ],
+      cta: { label: 'Xem kế hoạch hẹn hò', urlKey: 'planUrl' },
+    },
+  }),
+
+  [EMAIL_TEMPLATE_NAMES.SAFETY_CHECK_IN_MISSED]: simpleTemplate({
+    en: {
+      subject: '{{userName}} hasn\'t checked in from their date',
+      paragraphs: [
+        '{{userName}} planned to confirm they were safe by {{dueAt}} after meeting {{matchName}} at {{venue}}, and hasn\'t yet.',
+        'Please try to reach them. If you believe they are in danger, contact local emergency services.',
+      ],
+      cta: { label: 'View date plans', urlKey: 'planUrl' },
+    },
+    vi: {
+      subject: '{{userName}} chưa xác nhận an toàn sau buổi hẹn',
+      paragraphs: [
+        '{{userName}} dự định xác nhận an toàn trước {{dueAt}} sau khi gặp {{matchName}} tại {{venue}}, nhưng vẫn chưa làm vậy.',
+        'Hãy thử liên lạc với họ. Nếu bạn nghĩ họ đang gặp nguy hiểm, hãy gọi dịch vụ khẩn cấp tại địa phương.',
+      ],
+      cta: { label: 'Xem kế hoạch hẹn hò', urlKey: 'planUrl' },
+    },
+  }),
+
+  [EMAIL_TEMPLATE_NAMES.SAFETY_CHECK_IN_CONFIRMED]: simpleTemplate({
+    en: {
+      subject: '{{userName}} checked in safely',
+      paragraphs: ['Good news: {{userName}} has confirmed they are safe. Thanks for looking out for them.'],
+    },
+    vi: {
+      subject: '{{userName}} đã xác nhận an toàn',
+      paragraphs: ['Tin tốt: {{userName}} đã xác nhận họ an toàn. Cảm ơn bạn đã quan tâm đến họ.'],
+    },
+  }),
+
+  [EMAIL_TEMPLATE_NAMES.NOTIFICATION]: {
+    currentVersion: 1,
+    versions: {
+      1: {
+        en: {
+          subject: '{{title}}',
+          heading: '{{title}}',
+          paragraphs: ['Hi {{name}},', '{{body}}'],
+          cta: { label: '{{ctaLabel}}', urlKey: 'ctaUrl' },
+          footer: 'Manage email notifications in Settings.',
+        },
+        vi: {
+          subject: '{{title}}',
+          heading: '{{title}}',
+          paragraphs: ['Chào {{name}},', '{{body}}'],
+          cta: { label: '{{ctaLabel}}', urlKey: 'ctaUrl' },
+          footer: 'Quản lý thông báo email trong phần Cài đặt.',
+        },
+      },
+    },
+  },
+};
+
+export default EMAIL_TEMPLATES;
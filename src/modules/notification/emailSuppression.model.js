@@ -0,0 +1,119 @@
+// src/modules/notification/emailSuppression.model.js
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+/**
+* Delivery Event Sub-Schema - bounce/complaint reported by a provider
+*/
+const DeliveryEventSchema = new Schema(
+ {
+   type: {
+     type: String,
+     enum: ['hard_bounce', 'soft_bounce', 'complaint', 'manual'],
+     required: true,
+   },
+   reason: String,
+   provider: String,
+   messageId: String,
+   occurredAt: {
+     type: Date,
+     default: Date.now,
+   },
+ },
+ { _id: false }
+);
+
+/**
+* Email Suppression Schema - addresses we must not (or should not) send to
+*/
+const emailSuppressionSchema = new Schema(
+ {
+   email: {
+     type: String,
+     required: true,
+     unique: true,
+     lowercase: true,
+     trim: true,
+   },
+
+   isSuppressed: {
+     type: Boolean,
+     default: false,
+     index: true,
+   },
+
+   // Why the address is currently suppressed
+   reason: {
+     type: String,
+     enum: ['hard_bounce', 'soft_bounce', 'complaint', 'manual'],
+   },
+
+   suppressedAt: Date,
+
+   softBounceCount: {
+     type: Number,
+     default: 0,
+   },
+
+   complaintCount: {
+     type: Number,
+     default: 0,
+   },
+
+   // Most recent provider events (capped)
+   events: [DeliveryEventSchema],
+ },
+ {
+   timestamps: true,
+ }
+);
+
+// ============================
+// Instance Methods
+// ============================
+
+/**
+* Record a provider event, keeping the last 20
+*/
+emailSuppressionSchema.methods.addEvent = function (event) {
+ this.events.push(event);
+ if (this.events.length > 20) {
+   this.events = this.events.slice(-20);
+ }
+ return this;
+};
+
+/**
+* Suppress the address
+*/
+emailSuppressionSchema.methods.suppress = function (reason) {
+ if (!this.isSuppressed) {
+   this.isSuppressed = true;
+   this.reason = reason;
+   this.suppressedAt = new Date();
+ }
+ return this;
+};
+
+// ============================
+// Static Methods
+// ============================
+
+/**
+* Whether an address is suppressed
+*/
+emailSuppressionSchema.statics.isSuppressed = async function (email) {
+ const record = await this.findOne({ email: email.toLowerCase(), isSuppressed: true })
+   .select('_id')
+   .lean();
+ return Boolean(record);
+};
+
+// ============================
+// Model Export
+// ============================
+
+const EmailSuppression = mongoose.model('EmailSuppression', emailSuppressionSchema);
+
+export default EmailSuppression;
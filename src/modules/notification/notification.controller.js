@@ -0,0 +1,69 @@
+// src/modules/notification/notification.controller.js
+import EmailService from './email.service.js';
+import SendGridEmailStrategy from './strategies/sendgrid.strategy.js';
+import { asyncHandler } from '../../shared/utils/asyncHandler.js';
+import {
+  successResponse,
+  unauthorizedResponse,
+  badRequestResponse,
+  notFoundResponse,
+} from '../../shared/utils/response.js';
+import logger from '../../shared/utils/logger.js';
+
+class NotificationController {
+  /**
+   * SendGrid event webhook (bounces, drops, spam reports)
+   * @route POST /api/notifications/webhooks/sendgrid
+   * @access Public (verified by signature)
+   */
+  sendGridEvents = asyncHandler(async (req, res) => {
+    const verified = SendGridEmailStrategy.verifyWebhook(
+      req.rawBody,
+      req.headers['x-twilio-email-event-webhook-signature'],
+      req.headers['x-twilio-email-event-webhook-timestamp']
+    );
+
+    if (!verified) {
+      logger.warn('Rejected SendGrid event webhook with invalid signature', { ip: req.ip });
+      return unauthorizedResponse(res, 'Invalid webhook signature');
+    }
+
+    if (!Array.isArray(req.body)) {
+      return badRequestResponse(res, 'Expected an array of events');
+    }
+
+    const summary = await EmailService.handleSendGridEvents(req.body);
+
+    return successResponse(res, summary, 'Events processed');
+  });
+
+  /**
+   * Check whether an address is suppressed
+   * @route GET /api/notifications/email/suppressions/:email
+   * @access Admin
+   */
+  getEmailSuppression = asyncHandler(async (req, res) => {
+    const suppressed = await EmailService.isSuppressed(req.params.email);
+
+    return successResponse(res, { email: req.params.email, suppressed }, 'Suppression status retrieved');
+  });
+
+  /**
+   * Lift an email suppression
+   * @route DELETE /api/notifications/email/suppressions/:email
+   * @access Admin
+   */
+  removeEmailSuppression = asyncHandler(async (req, res) => {
+    const { removed } = await EmailService.removeSuppression(req.params.email);
+
+    if (!removed) {
+      return notFoundResponse(res, 'No suppression found for this address');
+    }
+
+    logger.info('Email suppression removed', { adminId: req.user._id });
+
+    return successResponse(res, { email: req.params.email }, 'Suppression removed');
+  });
+}
+
+export default new NotificationController();
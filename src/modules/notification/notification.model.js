@@ -152,7 +152,7 @@ const notificationSchema = new mongoose.Schema(
    // Priority & Scheduling
    priority: {
      type: String,
-     enum: Object.values(NOTIFICATION_PRIORITIES || ['low', 'normal', 'high', 'urgent']),
+     enum: Object.values(NOTIFICATION_PRIORITIES),
      default: 'normal',
      index: true,
    },
@@ -469,9 +469,6 @@ notificationSchema.post('save', async function (doc) {
  }
 });
 
-// Plugins
-notificationSchema.plugin(mongooseLeanVirtuals);
-
 const Notification = mongoose.model('Notification', notificationSchema);
 
 export default Notification;
\ No newline at end of file
@@ -0,0 +1,73 @@
+// src/modules/notification/notification.routes.js
+import { Router } from 'express';
+import NotificationController from './notification.controller.js';
+import {
+ authenticate,
+ authorize
+} from '../../shared/middleware/auth.middleware.js';
+import { ROLES } from '../../config/constants.js';
+
+const router = Router();
+
+/**
+* @route   /api/notifications
+* @desc    Notification delivery routes
+*/
+
+// ============================
+// Webhook Routes (No authentication)
+// ============================
+
+/**
+* @route   POST /api/notifications/webhooks/sendgrid
+* @desc    SendGrid event webhook - bounces and spam complaints
+* @access  Public (verified by signature)
+*/
+router.post('/webhooks/sendgrid', NotificationController.sendGridEvents);
+
+// ============================
+// Admin Routes
+// ============================
+
+router.use(authenticate);
+
+/**
+* @route   GET /api/notifications/email/suppressions/:email
+* @desc    Check whether an address is suppressed
+* @access  Admin
+*/
+router.get(
+ '/email/suppressions/:email',
+ authorize(ROLES.ADMIN),
+ NotificationController.getEmailSuppression
+);
+
+/**
+* @route   DELETE /api/notifications/email/suppressions/:email
+* @desc    Lift an email suppression
+* @access  Admin
+*/
+router.delete(
+ '/email/suppressions/:email',
+ authorize(ROLES.ADMIN),
+ NotificationController.removeEmailSuppression
+);
+
+// ============================
+// Error Handling
+// ============================
+
+// Handle 404 for notification routes
+router.use((req, res) => {
+ res.status(404).json({
+   success: false,
+   error: {
+     message: 'Notification endpoint not found',
+     code: 'NOT_FOUND',
+     path: req.originalUrl,
+   },
+ });
+});
+
+// Export router
+export default router;
@@ -1,7 +1,5 @@
 // src/modules/notification/notification.service.js
 import mongoose from 'mongoose';
-import admin from 'firebase-admin';
-import nodemailer from 'nodemailer';
 import twilio from 'twilio';
 import Notification from './notification.model.js';
 import User from '../user/user.model.js';
@@ -14,12 +12,11 @@ import { NOTIFICATION_TYPES, NOTIFICATION_PRIORITIES } from '../../config/consta
 import CacheService from '../../shared/services/cache.service.js';
 import QueueService from '../../shared/services/queue.service.js';
 import MetricsService from '../../shared/services/metrics.service.js';
-import { emailTemplates } from '../../config/emailTemplates.js';
+import EmailService from './email.service.js';
+import PushService from './push.service.js';
 
 class NotificationService {
  constructor() {
-   this.firebaseApp = null;
-   this.emailTransporter = null;
    this.twilioClient = null;
    this.initialized = false;
    this.templates = new Map();
@@ -30,44 +27,11 @@ class NotificationService {
   */
  async initialize() {
    try {
-     // Initialize Firebase Admin SDK for push notifications
-     if (process.env.FIREBASE_PROJECT_ID) {
-       this.firebaseApp = admin.initializeApp({
-         credential: admin.credential.cert({
-           projectId: process.env.FIREBASE_PROJECT_ID,
-           clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
-           privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
-         }),
-       });
-       logger.info('✅ Firebase Admin SDK initialized');
-     } else {
-       logger.warn('Firebase credentials not configured. Push notifications disabled.');
-     }
+     // Push delivery (device registry, FCM or mock transport)
+     PushService.initialize();
 
-     // Initialize email transporter
-     if (process.env.SMTP_HOST) {
-       this.emailTransporter = nodemailer.createTransport({
-         host: process.env.SMTP_HOST,
-         port: parseInt(process.env.SMTP_PORT) || 587,
-         secure: process.env.SMTP_SECURE === 'true',
-         auth: {
-           user: process.env.SMTP_USER,
-           pass: process.env.SMTP_PASSWORD,
-         },
-       });
-
-       // Verify email configuration
-       await this.emailTransporter.verify();
-       logger.info('✅ Email transporter configured');
-     } else if (process.env.SENDGRID_API_KEY) {
-       // Alternative: Use SendGrid
-       const sgMail = await import('@sendgrid/mail');
-       sgMail.default.setApiKey(process.env.SENDGRID_API_KEY);
-       this.emailTransporter = sgMail.default;
-       logger.info('✅ SendGrid configured for email');
-     } else {
-       logger.warn('Email configuration not found. Email notifications disabled.');
-     }
+     // Email delivery (templates, failover, suppression)
+     await EmailService.initialize();
 
      // Initialize Twilio for SMS
      if (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN) {
@@ -134,7 +98,7 @@ class NotificationService {
    try {
      // Validate user and get preferences
      const user = await User.findById(userId)
-       .select('deviceTokens email phone notificationPreferences profile')
+       .select('email phone notificationPreferences profile')
        .session(session);
 
      if (!user) {
@@ -281,12 +245,12 @@ class NotificationService {
      }
 
      const user = await User.findById(userId)
-       .select('deviceTokens email phone profile');
+       .select('email phone profile metadata.locale');
 
      const deliveryResults = {};
 
      // Send to each channel
-     if (channels.push && user.deviceTokens?.length > 0) {
+     if (channels.push) {
        deliveryResults.push = await this.sendPushNotification(user, notification);
      }
 
@@ -323,73 +287,24 @@ class NotificationService {
  }
 
  /**
-  * Send push notification via FCM
+  * Send push notification
   * @param {Object} user - User object
   * @param {Object} notification - Notification object
   */
  async sendPushNotification(user, notification) {
-   if (!this.firebaseApp || !user.deviceTokens?.length) {
-     return { sent: false, error: 'No device tokens or FCM not configured' };
-   }
-
    try {
-     const message = {
-       notification: {
-         title: notification.title,
-         body: notification.body,
-         ...(notification.media?.imageUrl && { imageUrl: notification.media.imageUrl }),
-       },
-       data: {
-         notificationId: notification._id.toString(),
-         type: notification.type,
-         ...(notification.action?.target && { action: notification.action.target }),
-         ...notification.data,
-       },
-       android: {
-         priority: this.getFCMPriority(notification.priority),
-         notification: {
-           sound: 'default',
-           clickAction: 'FLUTTER_NOTIFICATION_CLICK',
-           ...(notification.media?.icon && { icon: notification.media.icon }),
-         },
-       },
-       apns: {
-         payload: {
-           aps: {
-             sound: 'default',
-             badge: await this.getUnreadCount(user._id),
-             contentAvailable: true,
-           },
-         },
-       },
-       tokens: user.deviceTokens,
-     };
+     const result = await PushService.sendToUser(user._id, notification, {
+       badge: await this.getUnreadCount(user._id),
+       collapseKey: notification.groupId,
+     });
 
-     const response = await admin.messaging().sendMulticast(message);
-
-     // Handle failed tokens
-     if (response.failureCount > 0) {
-       const failedTokens = [];
-       response.responses.forEach((resp, idx) => {
-         if (!resp.success) {
-           failedTokens.push(user.deviceTokens[idx]);
-           logger.warn(`Failed to send to token: ${resp.error?.message}`);
-         }
-       });
-
-       // Remove invalid tokens
-       if (failedTokens.length > 0) {
-         await this.removeInvalidTokens(user._id, failedTokens);
-       }
+     if (result.sent) {
+       await notification.markAsDelivered('push');
      }
 
-     await notification.markAsDelivered('push');
-
      return {
-       sent: true,
-       successCount: response.successCount,
-       failureCount: response.failureCount,
-       messageId: response.responses[0]?.messageId,
+       ...result,
+       messageId: result.messageIds?.[0],
      };
    } catch (error) {
      logger.error('Push notification error:', error);
@@ -403,42 +318,18 @@ class NotificationService {
   * @param {Object} notification - Notification object
   */
  async sendEmailNotification(user, notification) {
-   if (!this.emailTransporter || !user.email) {
-     return { sent: false, error: 'Email not configured or user has no email' };
+   if (!user.email) {
+     return { sent: false, error: 'User has no email' };
    }
 
    try {
-     // Get email template
-     const template = await this.getEmailTemplate(notification.type);
-     const html = this.renderEmailTemplate(template, {
-       user,
-       notification,
-       unsubscribeUrl: `${process.env.APP_URL}/unsubscribe?token=${user._id}`,
-     });
+     const result = await EmailService.sendNotificationEmail(user, notification);
 
-     const mailOptions = {
-       from: process.env.EMAIL_FROM || 'noreply@datingapp.com',
-       to: user.email,
-       subject: notification.title,
-       html,
-       text: notification.body,
-     };
-
-     let result;
-     if (this.emailTransporter.send) {
-       // SendGrid
-       result = await this.emailTransporter.send(mailOptions);
-     } else {
-       // Nodemailer
-       result = await this.emailTransporter.sendMail(mailOptions);
+     if (result.sent) {
+       await notification.markAsDelivered('email');
      }
 
-     await notification.markAsDelivered('email');
-
-     return {
-       sent: true,
-       messageId: result.messageId || result[0]?.messageId,
-     };
+     return result;
    } catch (error) {
      logger.error('Email notification error:', error);
      return { sent: false, error: error.message };
@@ -731,34 +622,8 @@ class NotificationService {
   * @param {string} platform - Platform (ios/android)
   */
  async registerDeviceToken(userId, token, platform) {
-   try {
-     const user = await User.findById(userId);
-     
-     if (!user) {
-       throw new AppError('User not found', 404, ERROR_CODES.USER_NOT_FOUND);
-     }
-
-     // Add token if not exists
-     if (!user.deviceTokens.includes(token)) {
-       user.deviceTokens.push(token);
-       
-       // Keep only last 5 tokens
-       if (user.deviceTokens.length > 5) {
-         user.deviceTokens = user.deviceTokens.slice(-5);
-       }
-
-       await user.save();
-     }
-
-     // Track metrics
-     await MetricsService.incrementCounter(`device_tokens.registered.${platform}`);
-
-     logger.info(`Device token registered for user ${userId}`);
-     return { success: true };
-   } catch (error) {
-     logger.error(`Error registering device token for user ${userId}:`, error);
-     throw error;
-   }
+   await PushService.registerDevice(userId, { token, platform });
+   return { success: true };
  }
 
  /**
@@ -767,17 +632,8 @@ class NotificationService {
   * @param {string} token - Device token to remove
   */
  async removeDeviceToken(userId, token) {
-   try {
-     await User.findByIdAndUpdate(userId, {
-       $pull: { deviceTokens: token },
-     });
-
-     logger.info(`Device token removed for user ${userId}`);
-     return { success: true };
-   } catch (error) {
-     logger.error(`Error removing device token for user ${userId}:`, error);
-     throw error;
-   }
+   await PushService.unregisterDevice(userId, token);
+   return { success: true };
  }
 
  // Helper Methods
@@ -822,13 +678,6 @@ class NotificationService {
    return priorities[priority] || 3;
  }
 
- /**
-  * Get FCM priority
-  */
- getFCMPriority(priority) {
-   return priority === 'urgent' || priority === 'high' ? 'high' : 'normal';
- }
-
  /**
   * Update notification cache for user
   */
@@ -858,49 +707,6 @@ class NotificationService {
    );
  }
 
- /**
-  * Remove invalid FCM tokens
-  */
- async removeInvalidTokens(userId, tokens) {
-   await User.findByIdAndUpdate(userId, {
-     $pullAll: { deviceTokens: tokens },
-   });
-   
-   logger.info(`Removed ${tokens.length} invalid tokens for user ${userId}`);
- }
-
- /**
-  * Get email template
-  */
- async getEmailTemplate(type) {
-   // This could be extended to fetch from database or CMS
-   return emailTemplates[type] || emailTemplates.default;
- }
-
- /**
-  * Render email template
-  */
- renderEmailTemplate(template, data) {
-   let html = template;
-   
-   // Simple template replacement
-   Object.keys(data).forEach(key => {
-     const value = data[key];
-     if (typeof value === 'object') {
-       Object.keys(value).forEach(subKey => {
-         html = html.replace(
-           new RegExp(`{{${key}.${subKey}}}`, 'g'),
-           value[subKey]
-         );
-       });
-     } else {
-       html = html.replace(new RegExp(`{{${key}}}`, 'g'), value);
-     }
-   });
-
-   return html;
- }
-
  /**
   * Group notifications by priority
   */
@@ -0,0 +1,525 @@
+// src/modules/notification/push.service.js
+import PushDevice from './pushDevice.model.js';
+import User from '../user/user.model.js';
+import FcmPushStrategy from './strategies/fcm.strategy.js';
+import MockPushStrategy from './strategies/mockPush.strategy.js';
+import pushConfig from '../../config/push.js';
+import redis from '../../config/redis.js';
+import logger from '../../shared/utils/logger.js';
+import AppError from '../../shared/errors/AppError.js';
+import MetricsService from '../../shared/services/metrics.service.js';
+import { HTTP_STATUS, ERROR_CODES } from '../../config/constants.js';
+
+// FCM errors meaning the token will never work again
+const INVALID_TOKEN_ERRORS = new Set([
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token',
+  'messaging/mismatched-credential',
+]);
+
+/**
+ * Push Service
+ * Owns the device registry and every push delivery: to users, topics and
+ * segments. Invalid tokens are pruned as soon as the transport reports them.
+ */
+class PushService {
+  constructor() {
+    this.strategies = {
+      fcm: FcmPushStrategy,
+      mock: MockPushStrategy,
+    };
+
+    this.transport = null;
+  }
+
+  /**
+   * Select the transport
+   */
+  initialize() {
+    if (this.transport) return;
+
+    const strategy = this.strategies[pushConfig.transport];
+
+    if (!strategy) {
+      throw new Error(`Unknown PUSH_TRANSPORT "${pushConfig.transport}"`);
+    }
+
+    if (!strategy.isConfigured()) {
+      logger.warn(`Push transport "${strategy.name}" is not configured. Using the mock transport.`);
+      this.transport = MockPushStrategy;
+    } else {
+      this.transport = strategy;
+    }
+
+    logger.info(`✅ Push service initialized (${this.transport.name})`);
+  }
+
+  // ========================
+  // DEVICE REGISTRY
+  // ========================
+
+  /**
+   * Register a device token, or refresh it when it is already known.
+   * Apps call this on every launch, which keeps lastSeenAt current.
+   * @param {string} userId - Owner
+   * @param {Object} device - { token, platform, appVersion, deviceId, locale }
+   */
+  async registerDevice(userId, { token, platform, appVersion, deviceId, locale }) {
+    try {
+      this.initialize();
+
+      // A reinstall gets a new token for the same deviceId - replace the old one
+      if (deviceId) {
+        await PushDevice.deleteMany({ user: userId, deviceId, token: { $ne: token } });
+      }
+
+      // Tokens can move between accounts on a shared device
+      const device = (await PushDevice.findOne({ token })) || new PushDevice({ token });
+      const isNew = device.isNew || device.user?.toString() !== userId.toString();
+
+      if (isNew && !device.isNew) {
+        await this.unsubscribeTokens([token], device.topics);
+      }
+
+      Object.assign(device, {
+        user: userId,
+        platform,
+        lastSeenAt: new Date(),
+        failureCount: 0,
+        ...(appVersion && { appVersion }),
+        ...(deviceId && { deviceId }),
+        ...(locale && { locale }),
+      });
+
+      // New devices join the topics the user already follows
+      if (isNew) {
+        device.topics = await PushDevice.distinct('topics', { user: userId, token: { $ne: token } });
+        for (const topic of device.topics) {
+          await this.transport.subscribeToTopic([token], topic);
+        }
+      }
+
+      await device.save();
+      await this.enforceDeviceLimit(userId);
+
+      if (isNew) {
+        await MetricsService.incrementCounter('push.devices.registered', 1, { platform });
+        logger.info(`Push device registered for user ${userId}`, { platform, appVersion });
+      }
+
+      return device;
+    } catch (error) {
+      logger.error(`Error registering push device for user ${userId}:`, error);
+      throw new AppError('Failed to register device', HTTP_STATUS.INTERNAL_SERVER_ERROR, ERROR_CODES.INTERNAL_ERROR);
+    }
+  }
+
+  /**
+   * Remove a device (logout, token refresh)
+   * @param {string} userId - Owner
+   * @param {string} token - Device token
+   */
+  async unregisterDevice(userId, token) {
+    this.initialize();
+
+    const device = await PushDevice.findOneAndDelete({ user: userId, token });
+
+    if (device) {
+      await this.unsubscribeTokens([token], device.topics);
+    }
+
+    return { removed: Boolean(device) };
+  }
+
+  /**
+   * Remove every device of a user (account deletion, ban)
+   */
+  async removeUserDevices(userId) {
+    const result = await PushDevice.deleteMany({ user: userId });
+    return { removed: result.deletedCount };
+  }
+
+  /**
+   * Devices registered for a user, most recently seen first
+   */
+  async getUserDevices(userId) {
+    return PushDevice.find({ user: userId })
+      .select('platform appVersion deviceId locale topics lastSeenAt createdAt')
+      .sort({ lastSeenAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Drop devices that have not checked in for a while
+   * @param {number} days - Inactivity threshold
+   */
+  async pruneStaleDevices(days = pushConfig.staleDeviceDays) {
+    const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const result = await PushDevice.deleteMany({ lastSeenAt: { $lt: cutoff } });
+
+    if (result.deletedCount > 0) {
+      await MetricsService.incrementCounter('push.devices.pruned', result.deletedCount, { reason: 'stale' });
+      logger.info(`Pruned ${result.deletedCount} stale push devices`);
+    }
+
+    return { removed: result.deletedCount };
+  }
+
+  // ========================
+  // TOPICS
+  // ========================
+
+  /**
+   * Subscribe all of a user's devices to a topic
+   */
+  async subscribeToTopic(userId, topic) {
+    this.initialize();
+
+    const devices = await PushDevice.find({ user: userId }).select('token').lean();
+    if (devices.length === 0) return { subscribed: 0 };
+
+    await this.transport.subscribeToTopic(devices.map(d => d.token), topic);
+    await PushDevice.updateMany({ user: userId }, { $addToSet: { topics: topic } });
+
+    return { subscribed: devices.length };
+  }
+
+  /**
+   * Unsubscribe all of a user's devices from a topic
+   */
+  async unsubscribeFromTopic(userId, topic) {
+    this.initialize();
+
+    const devices = await PushDevice.find({ user: userId, topics: topic }).select('token').lean();
+    if (devices.length === 0) return { unsubscribed: 0 };
+
+    await this.transport.unsubscribeFromTopic(devices.map(d => d.token), topic);
+    await PushDevice.updateMany({ user: userId }, { $pull: { topics: topic } });
+
+    return { unsubscribed: devices.length };
+  }
+
+  // ========================
+  // SENDING
+  // ========================
+
+  /**
+   * Push to one user's devices
+   * @param {string} userId - Recipient
+   * @param {Object} notification - { title, body, type, data, imageUrl, priority, _id }
+   * @param {Object} options - { collapseKey, collapsedBody, badge, ttl }
+   */
+  async sendToUser(userId, notification, options = {}) {
+    return this.sendToUsers([userId], notification, options);
+  }
+
+  /**
+   * Push to several users, skipping anyone who turned push off
+   * @param {Array<string>} userIds - Recipients
+   * @param {Object} notification - Notification payload
+   * @param {Object} options - { collapseKey, collapsedBody, badge, ttl }
+   */
+  async sendToUsers(userIds, notification, options = {}) {
+    this.initialize();
+
+    const optedOut = await User.find({
+      _id: { $in: userIds },
+      'notifications.push.enabled': false,
+    }).distinct('_id');
+
+    const optedOutIds = new Set(optedOut.map(id => id.toString()));
+    const recipients = userIds.filter(id => !optedOutIds.has(id.toString()));
+
+    if (recipients.length === 0) {
+      return { sent: false, reason: 'push_disabled', successCount: 0, failureCount: 0 };
+    }
+
+    const devices = await PushDevice.find({ user: { $in: recipients } })
+      .select('user token platform')
+      .lean();
+
+    if (devices.length === 0) {
+      return { sent: false, reason: 'no_devices', successCount: 0, failureCount: 0 };
+    }
+
+    // Collapse is tracked per recipient, so it only applies to single-user sends
+    const payload = options.collapseKey && recipients.length === 1
+      ? await this.applyCollapse(recipients[0], notification, options)
+      : notification;
+
+    return this.deliver(devices, this.buildMessage(payload, options), notification.type);
+  }
+
+  /**
+   * Push to a topic
+   * @param {string} topic - Topic name
+   * @param {Object} notification - Notification payload
+   * @param {Object} options - { collapseKey, ttl }
+   */
+  async sendToTopic(topic, notification, options = {}) {
+    this.initialize();
+
+    try {
+      const { messageId } = await this.transport.sendToTopic(topic, this.buildMessage(notification, options));
+
+      await MetricsService.incrementCounter('push.topic.sent', 1, { topic });
+
+      return { sent: true, messageId };
+    } catch (error) {
+      logger.error(`Error sending push to topic ${topic}:`, error);
+      throw new AppError('Failed to send push notification', HTTP_STATUS.BAD_GATEWAY, ERROR_CODES.INTERNAL_ERROR);
+    }
+  }
+
+  /**
+   * Push to every device matching a segment
+   * @param {Object} segment - { platform, minAppVersion, maxAppVersion, activeWithinDays, locale, userFilter }
+   *                           userFilter is a User query (e.g. { 'subscription.type': 'gold' })
+   * @param {Object} notification - Notification payload
+   * @param {Object} options - { collapseKey, ttl }
+   */
+  async sendToSegment(segment, notification, options = {}) {
+    this.initialize();
+
+    const query = await this.buildSegmentQuery(segment);
+    const message = this.buildMessage(notification, options);
+    const totals = { sent: false, devices: 0, successCount: 0, failureCount: 0, pruned: 0 };
+
+    // Stream devices in transport-sized batches
+    const cursor = PushDevice.find(query).select('user token platform').lean().cursor();
+    let batch = [];
+
+    const flush = async () => {
+      const result = await this.deliver(batch, message, notification.type);
+      totals.devices += batch.length;
+      totals.successCount += result.successCount;
+      totals.failureCount += result.failureCount;
+      totals.pruned += result.pruned;
+      batch = [];
+    };
+
+    for await (const device of cursor) {
+      batch.push(device);
+      if (batch.length >= pushConfig.batchSize) {
+        await flush();
+      }
+    }
+    if (batch.length > 0) {
+      await flush();
+    }
+
+    totals.sent = totals.successCount > 0;
+
+    logger.info('Segment push sent', { segment, ...totals });
+
+    return totals;
+  }
+
+  /**
+   * Translate a segment definition into a PushDevice query
+   * @private
+   */
+  async buildSegmentQuery({ platform, minAppVersion, maxAppVersion, activeWithinDays, locale, userFilter } = {}) {
+    const query = {};
+
+    if (platform) {
+      query.platform = Array.isArray(platform) ? { $in: platform } : platform;
+    }
+
+    if (minAppVersion || maxAppVersion) {
+      query.appVersionCode = {
+        ...(minAppVersion && { $gte: PushDevice.versionCode(minAppVersion) }),
+        ...(maxAppVersion && { $lte: PushDevice.versionCode(maxAppVersion) }),
+      };
+    }
+
+    if (activeWithinDays) {
+      query.lastSeenAt = { $gte: new Date(Date.now() - activeWithinDays * 24 * 60 * 60 * 1000) };
+    }
+
+    if (locale) {
+      query.locale = locale;
+    }
+
+    if (userFilter) {
+      const userIds = await User.find({
+        ...userFilter,
+        'notifications.push.enabled': { $ne: false },
+      }).distinct('_id');
+      query.user = { $in: userIds };
+    }
+
+    return query;
+  }
+
+  /**
+   * Send one message to a list of devices, pruning dead tokens
+   * @private
+   */
+  async deliver(devices, message, type = 'unknown') {
+    const result = { sent: false, successCount: 0, failureCount: 0, pruned: 0, messageIds: [] };
+    const invalidTokens = [];
+    const failedTokens = [];
+
+    for (let i = 0; i < devices.length; i += pushConfig.batchSize) {
+      const tokens = devices.slice(i, i + pushConfig.batchSize).map(device => device.token);
+
+      try {
+        const response = await this.transport.sendMulticast(tokens, message);
+
+        result.successCount += response.successCount;
+        result.failureCount += response.failureCount;
+
+        response.responses.forEach((outcome, idx) => {
+          if (outcome.success) {
+            result.messageIds.push(outcome.messageId);
+          } else if (INVALID_TOKEN_ERRORS.has(outcome.errorCode)) {
+            invalidTokens.push(tokens[idx]);
+          } else {
+            failedTokens.push(tokens[idx]);
+            logger.warn(`Push delivery failed: ${outcome.errorCode || outcome.error}`);
+          }
+        });
+      } catch (error) {
+        logger.error('Push transport error:', error);
+        result.failureCount += tokens.length;
+        failedTokens.push(...tokens);
+      }
+    }
+
+    if (invalidTokens.length > 0) {
+      await PushDevice.deleteMany({ token: { $in: invalidTokens } });
+      result.pruned = invalidTokens.length;
+      await MetricsService.incrementCounter('push.devices.pruned', invalidTokens.length, { reason: 'invalid' });
+      logger.info(`Pruned ${invalidTokens.length} invalid push tokens`);
+    }
+
+    if (failedTokens.length > 0) {
+      await PushDevice.updateMany(
+        { token: { $in: failedTokens } },
+        { $inc: { failureCount: 1 }, $set: { lastFailureAt: new Date() } }
+      );
+    }
+
+    await MetricsService.incrementCounter('push.sent', result.successCount, { type });
+    if (result.failureCount > 0) {
+      await MetricsService.incrementCounter('push.failed', result.failureCount, { type });
+    }
+
+    result.sent = result.successCount > 0;
+    return result;
+  }
+
+  /**
+   * Count pushes sharing a collapse key; after the first one in the window the
+   * body switches to the summary ("3 new messages") and replaces the previous
+   * notification on the device.
+   * @private
+   */
+  async applyCollapse(userId, notification, { collapseKey, collapsedBody }) {
+    const key = `push:collapse:${userId}:${collapseKey}`;
+    const count = await redis.incr(key);
+
+    if (count === 1) {
+      await redis.expire(key, pushConfig.collapseWindow);
+      return notification;
+    }
+
+    return {
+      ...notification,
+      ...(collapsedBody && { body: collapsedBody.replace('{{count}}', count) }),
+      data: { ...notification.data, collapseCount: count },
+    };
+  }
+
+  /**
+   * Build a transport message from a notification
+   * @private
+   */
+  buildMessage(notification, { collapseKey, badge, ttl } = {}) {
+    const data = {
+      ...notification.data,
+      type: notification.type,
+      ...(notification._id && { notificationId: notification._id.toString() }),
+      ...(notification.action?.target && { action: notification.action.target }),
+    };
+
+    // FCM data values must be strings
+    const stringData = Object.fromEntries(
+      Object.entries(data)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => [key, typeof value === 'string' ? value : JSON.stringify(value)])
+    );
+
+    const imageUrl = notification.imageUrl || notification.media?.imageUrl;
+    const highPriority = notification.priority === 'urgent' || notification.priority === 'high';
+
+    return {
+      notification: {
+        title: notification.title,
+        body: notification.body,
+        ...(imageUrl && { imageUrl }),
+      },
+      data: stringData,
+      android: {
+        priority: highPriority ? 'high' : 'normal',
+        ...(collapseKey && { collapseKey }),
+        ...(ttl && { ttl: ttl * 1000 }),
+        notification: {
+          sound: 'default',
+          clickAction: 'FLUTTER_NOTIFICATION_CLICK',
+          ...(collapseKey && { tag: collapseKey }),
+        },
+      },
+      apns: {
+        headers: {
+          'apns-priority': highPriority ? '10' : '5',
+          ...(collapseKey && { 'apns-collapse-id': collapseKey }),
+        },
+        payload: {
+          aps: {
+            sound: 'default',
+            ...(badge !== undefined && { badge }),
+            ...(collapseKey && { threadId: collapseKey }),
+          },
+        },
+      },
+      webpush: {
+        headers: {
+          ...(collapseKey && { Topic: collapseKey.replace(/[^A-Za-z0-9_-]/g, '_') }),
+        },
+      },
+    };
+  }
+
+  /**
+   * Keep only the most recently seen devices
+   * @private
+   */
+  async enforceDeviceLimit(userId) {
+    const extra = await PushDevice.find({ user: userId })
+      .sort({ lastSeenAt: -1 })
+      .skip(pushConfig.maxDevicesPerUser)
+      .select('_id')
+      .lean();
+
+    if (extra.length > 0) {
+      await PushDevice.deleteMany({ _id: { $in: extra.map(device => device._id) } });
+    }
+  }
+
+  /**
+   * @private
+   */
+  async unsubscribeTokens(tokens, topics = []) {
+    for (const topic of topics) {
+      try {
+        await this.transport.unsubscribeFromTopic(tokens, topic);
+      } catch (error) {
+        logger.warn(`Failed to unsubscribe from topic ${topic}: ${error.message}`);
+      }
+    }
+  }
+}
+
+export default new PushService();
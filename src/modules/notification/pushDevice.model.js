@@ -0,0 +1,108 @@
+// src/modules/notification/pushDevice.model.js
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+/**
+* Push Device Schema - one document per push token
+*/
+const pushDeviceSchema = new Schema(
+ {
+   user: {
+     type: Schema.Types.ObjectId,
+     ref: 'User',
+     required: true,
+     index: true,
+   },
+
+   token: {
+     type: String,
+     required: true,
+     unique: true,
+   },
+
+   platform: {
+     type: String,
+     enum: ['ios', 'android', 'web'],
+     required: true,
+     index: true,
+   },
+
+   // Client-side identifier, lets a reinstall replace its old token
+   deviceId: String,
+
+   appVersion: String,
+
+   // Numeric form of appVersion ("2.10.1" -> 21001) for range queries
+   appVersionCode: {
+     type: Number,
+     index: true,
+   },
+
+   locale: String,
+
+   // Topics this token is subscribed to
+   topics: {
+     type: [String],
+     index: true,
+   },
+
+   lastSeenAt: {
+     type: Date,
+     default: Date.now,
+     index: true,
+   },
+
+   failureCount: {
+     type: Number,
+     default: 0,
+   },
+
+   lastFailureAt: Date,
+ },
+ {
+   timestamps: true,
+ }
+);
+
+// ============================
+// Indexes
+// ============================
+
+pushDeviceSchema.index({ user: 1, deviceId: 1 });
+
+// ============================
+// Static Methods
+// ============================
+
+/**
+* Convert "major.minor.patch" to a sortable number
+*/
+pushDeviceSchema.statics.versionCode = function (version) {
+ if (!version) return undefined;
+
+ const [major = 0, minor = 0, patch = 0] = String(version)
+   .split('.')
+   .map(part => parseInt(part) || 0);
+
+ return major * 10000 + minor * 100 + patch;
+};
+
+// ============================
+// Middleware
+// ============================
+
+pushDeviceSchema.pre('save', function (next) {
+ if (this.isModified('appVersion')) {
+   this.appVersionCode = this.constructor.versionCode(this.appVersion);
+ }
+ next();
+});
+
+// ============================
+// Model Export
+// ============================
+
+const PushDevice = mongoose.model('PushDevice', pushDeviceSchema);
+
+export default PushDevice;
@@ -0,0 +1,77 @@
+// src/modules/notification/sms.service.js
+import TwilioSmsStrategy from './strategies/twilio.strategy.js';
+import MockSmsStrategy from './strategies/mockSms.strategy.js';
+import smsConfig from '../../config/sms.js';
+import logger from '../../shared/utils/logger.js';
+import MetricsService from '../../shared/services/metrics.service.js';
+import { REGEX_PATTERNS } from '../../config/constants.js';
+
+/**
+ * SMS Service
+ * Text message delivery for verification codes and for alerts to people
+ * without an account (trusted contacts).
+ */
+class SmsService {
+  constructor() {
+    this.strategies = {
+      twilio: TwilioSmsStrategy,
+      mock: MockSmsStrategy,
+    };
+
+    this.transport = null;
+  }
+
+  /**
+   * Select the transport
+   */
+  initialize() {
+    if (this.transport) return;
+
+    const strategy = this.strategies[smsConfig.transport];
+
+    if (!strategy) {
+      throw new Error(`Unknown SMS_TRANSPORT "${smsConfig.transport}"`);
+    }
+
+    if (!strategy.isConfigured()) {
+      logger.warn(`SMS transport "${strategy.name}" is not configured. Using the mock transport.`);
+      this.transport = MockSmsStrategy;
+    } else {
+      this.transport = strategy;
+    }
+
+    logger.info(`✅ SMS service initialized (${this.transport.name})`);
+  }
+
+  /**
+   * Send a text message
+   * @param {string} to - E.164 phone number
+   * @param {string} body - Message text
+   * @returns {Promise<Object>} - { sent, messageId } or { sent: false, reason }
+   */
+  async send(to, body) {
+    this.initialize();
+
+    const number = to?.replace(/[\s()-]/g, '');
+    if (!number || !REGEX_PATTERNS.PHONE.test(number)) {
+      return { sent: false, reason: 'invalid_number' };
+    }
+
+    try {
+      const { messageId } = await this.transport.send({
+        to: number,
+        body: body.slice(0, smsConfig.maxLength),
+      });
+
+      await MetricsService.incrementCounter('sms.sent', 1, { transport: this.transport.name });
+
+      return { sent: true, messageId };
+    } catch (error) {
+      logger.error(`SMS to ${number} failed:`, error.message);
+      await MetricsService.incrementCounter('sms.failed', 1, { transport: this.transport.name });
+      throw error;
+    }
+  }
+}
+
+export default new SmsService();
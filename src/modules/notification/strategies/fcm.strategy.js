@@ -0,0 +1,74 @@
+// src/modules/notification/strategies/fcm.strategy.js
+import admin from 'firebase-admin';
+import pushConfig from '../../../config/push.js';
+
+/**
+ * Firebase Cloud Messaging Push Strategy
+ */
+class FcmPushStrategy {
+  constructor() {
+    this.name = 'fcm';
+    this.messaging = null;
+  }
+
+  isConfigured() {
+    return Boolean(pushConfig.fcm.projectId && pushConfig.fcm.privateKey);
+  }
+
+  /**
+   * Lazily initialize the Firebase app (reusing one created elsewhere)
+   * @private
+   */
+  getMessaging() {
+    if (!this.messaging) {
+      const app = admin.apps.length > 0
+        ? admin.app()
+        : admin.initializeApp({
+          credential: admin.credential.cert(pushConfig.fcm),
+        });
+
+      this.messaging = admin.messaging(app);
+    }
+
+    return this.messaging;
+  }
+
+  /**
+   * Send one message to many tokens
+   * @param {Array<string>} tokens - Device tokens (max 500)
+   * @param {Object} message - FCM message without a target
+   * @returns {Promise<Object>} - { successCount, failureCount, responses: [{ success, messageId, errorCode }] }
+   */
+  async sendMulticast(tokens, message) {
+    const response = await this.getMessaging().sendEachForMulticast({ ...message, tokens });
+
+    return {
+      successCount: response.successCount,
+      failureCount: response.failureCount,
+      responses: response.responses.map(result => ({
+        success: result.success,
+        messageId: result.messageId,
+        errorCode: result.error?.code,
+        error: result.error?.message,
+      })),
+    };
+  }
+
+  /**
+   * Send to every token subscribed to a topic
+   */
+  async sendToTopic(topic, message) {
+    const messageId = await this.getMessaging().send({ ...message, topic });
+    return { messageId };
+  }
+
+  async subscribeToTopic(tokens, topic) {
+    return this.getMessaging().subscribeToTopic(tokens, topic);
+  }
+
+  async unsubscribeFromTopic(tokens, topic) {
+    return this.getMessaging().unsubscribeFromTopic(tokens, topic);
+  }
+}
+
+export default new FcmPushStrategy();
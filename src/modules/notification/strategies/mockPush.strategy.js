@@ -0,0 +1,98 @@
+// src/modules/notification/strategies/mockPush.strategy.js
+import crypto from 'crypto';
+
+// Error code FCM returns for uninstalled apps / expired tokens
+const UNREGISTERED = 'messaging/registration-token-not-registered';
+
+/**
+ * Mock Push Strategy
+ * Keeps every message in memory instead of calling FCM. Used offline and in
+ * tests - read deliveries back with getSent() and simulate dead tokens with
+ * markUnregistered().
+ */
+class MockPushStrategy {
+  constructor() {
+    this.name = 'mock';
+    this.sent = [];
+    this.topics = new Map();
+    this.unregistered = new Set();
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async sendMulticast(tokens, message) {
+    const responses = tokens.map(token => {
+      if (this.unregistered.has(token)) {
+        return { success: false, errorCode: UNREGISTERED, error: 'Requested entity was not found.' };
+      }
+
+      const messageId = `mock-${crypto.randomUUID()}`;
+      this.sent.push({ messageId, token, message, sentAt: new Date() });
+      return { success: true, messageId };
+    });
+
+    const successCount = responses.filter(response => response.success).length;
+
+    return {
+      successCount,
+      failureCount: responses.length - successCount,
+      responses,
+    };
+  }
+
+  async sendToTopic(topic, message) {
+    const messageId = `mock-${crypto.randomUUID()}`;
+    this.sent.push({ messageId, topic, message, sentAt: new Date() });
+    return { messageId };
+  }
+
+  async subscribeToTopic(tokens, topic) {
+    const members = this.topics.get(topic) || new Set();
+    tokens.forEach(token => members.add(token));
+    this.topics.set(topic, members);
+    return { successCount: tokens.length, failureCount: 0 };
+  }
+
+  async unsubscribeFromTopic(tokens, topic) {
+    const members = this.topics.get(topic);
+    tokens.forEach(token => members?.delete(token));
+    return { successCount: tokens.length, failureCount: 0 };
+  }
+
+  // ========================
+  // Test helpers
+  // ========================
+
+  /**
+   * Delivered messages, oldest first
+   * @param {Object} filter - { token, topic, type }
+   */
+  getSent(filter = {}) {
+    return this.sent.filter(entry =>
+      (!filter.token || entry.token === filter.token) &&
+      (!filter.topic || entry.topic === filter.topic) &&
+      (!filter.type || entry.message.data?.type === filter.type)
+    );
+  }
+
+  getTopicMembers(topic) {
+    return [...(this.topics.get(topic) || [])];
+  }
+
+  /**
+   * Make future sends to a token fail as if the app was uninstalled
+   */
+  markUnregistered(token) {
+    this.unregistered.add(token);
+  }
+
+  reset() {
+    this.sent = [];
+    this.topics.clear();
+    this.unregistered.clear();
+  }
+}
+
+export default new MockPushStrategy();
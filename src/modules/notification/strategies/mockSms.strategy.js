@@ -0,0 +1,42 @@
+// src/modules/notification/strategies/mockSms.strategy.js
+import crypto from 'crypto';
+
+/**
+ * Mock SMS Strategy
+ * Keeps every message in memory instead of sending it. Used offline and in
+ * tests - read deliveries back with getSent().
+ */
+class MockSmsStrategy {
+  constructor() {
+    this.name = 'mock';
+    this.sent = [];
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async send({ to, body }) {
+    const messageId = `mock-${crypto.randomUUID()}`;
+    this.sent.push({ messageId, to, body, sentAt: new Date() });
+    return { messageId };
+  }
+
+  // ========================
+  // Test helpers
+  // ========================
+
+  /**
+   * Delivered messages, oldest first
+   * @param {Object} filter - { to }
+   */
+  getSent(filter = {}) {
+    return this.sent.filter(entry => !filter.to || entry.to === filter.to);
+  }
+
+  reset() {
+    this.sent = [];
+  }
+}
+
+export default new MockSmsStrategy();
@@ -0,0 +1,70 @@
+// src/modules/notification/strategies/outbox.strategy.js
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import emailConfig from '../../../config/email.js';
+
+/**
+ * Outbox Email Strategy
+ * Writes every message as JSON to EMAIL_OUTBOX_DIR instead of delivering it.
+ * Used in development and tests - read it back with list().
+ */
+class OutboxEmailStrategy {
+  constructor() {
+    this.name = 'outbox';
+    this.dir = emailConfig.outbox.dir;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Store a rendered message
+   * @param {Object} message - { from, to, subject, html, text, headers, metadata }
+   */
+  async send(message) {
+    const messageId = `outbox-${crypto.randomUUID()}`;
+    const sentAt = new Date();
+
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(
+      path.join(this.dir, `${sentAt.getTime()}-${messageId}.json`),
+      JSON.stringify({ messageId, sentAt, ...message }, null, 2)
+    );
+
+    return { messageId };
+  }
+
+  /**
+   * Messages in the outbox, oldest first
+   * @param {Object} filter - { to, template }
+   */
+  async list(filter = {}) {
+    let files;
+    try {
+      files = (await fs.readdir(this.dir)).filter(file => file.endsWith('.json')).sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const messages = await Promise.all(
+      files.map(async file => JSON.parse(await fs.readFile(path.join(this.dir, file), 'utf8')))
+    );
+
+    return messages.filter(message =>
+      (!filter.to || message.to === filter.to) &&
+      (!filter.template || message.metadata?.template === filter.template)
+    );
+  }
+
+  /**
+   * Empty the outbox
+   */
+  async clear() {
+    await fs.rm(this.dir, { recursive: true, force: true });
+  }
+}
+
+export default new OutboxEmailStrategy();
@@ -0,0 +1,76 @@
+// src/modules/notification/strategies/sendgrid.strategy.js
+import crypto from 'crypto';
+import sgMail from '@sendgrid/mail';
+import emailConfig from '../../../config/email.js';
+
+/**
+ * SendGrid Email Strategy
+ * Primary provider; bounce/complaint events come back through the event webhook
+ */
+class SendGridEmailStrategy {
+  constructor() {
+    this.name = 'sendgrid';
+    this.initialized = false;
+  }
+
+  isConfigured() {
+    return Boolean(emailConfig.sendgrid.apiKey);
+  }
+
+  /**
+   * Send a rendered message
+   * @param {Object} message - { from, to, subject, html, text, headers, metadata }
+   */
+  async send(message) {
+    if (!this.initialized) {
+      sgMail.setApiKey(emailConfig.sendgrid.apiKey);
+      this.initialized = true;
+    }
+
+    const [response] = await sgMail.send({
+      to: message.to,
+      from: message.from,
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+      headers: message.headers,
+      categories: [message.metadata.template],
+      // Echoed back on webhook events
+      customArgs: {
+        template: message.metadata.template,
+        templateVersion: String(message.metadata.version),
+        ...(message.metadata.userId && { userId: String(message.metadata.userId) }),
+      },
+    });
+
+    return { messageId: response?.headers?.['x-message-id'] };
+  }
+
+  /**
+   * Verify a signed event webhook (ECDSA over timestamp + raw body).
+   * Without a verification key, unsigned events are only accepted in development and test.
+   * @param {string} rawBody - Unparsed request body
+   * @param {string} signature - X-Twilio-Email-Event-Webhook-Signature header
+   * @param {string} timestamp - X-Twilio-Email-Event-Webhook-Timestamp header
+   */
+  verifyWebhook(rawBody, signature, timestamp) {
+    const publicKey = emailConfig.sendgrid.webhookPublicKey;
+    if (!publicKey) {
+      return ['development', 'test'].includes(process.env.NODE_ENV);
+    }
+    if (!rawBody || !signature || !timestamp) return false;
+
+    try {
+      return crypto.verify(
+        'sha256',
+        Buffer.from(timestamp + rawBody),
+        `-----BEGIN PUBLIC KEY-----\n${publicKey}\n-----END PUBLIC KEY-----`,
+        Buffer.from(signature, 'base64')
+      );
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+export default new SendGridEmailStrategy();
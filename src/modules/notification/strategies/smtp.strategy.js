@@ -0,0 +1,59 @@
+// src/modules/notification/strategies/smtp.strategy.js
+import nodemailer from 'nodemailer';
+import emailConfig from '../../../config/email.js';
+
+/**
+ * SMTP Email Strategy
+ * Fallback provider through nodemailer
+ */
+class SmtpEmailStrategy {
+  constructor() {
+    this.name = 'smtp';
+    this.transporter = null;
+  }
+
+  isConfigured() {
+    return Boolean(emailConfig.smtp.host);
+  }
+
+  getTransporter() {
+    if (!this.transporter) {
+      const { host, port, secure, user, password } = emailConfig.smtp;
+
+      this.transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        ...(user && { auth: { user, pass: password } }),
+      });
+    }
+
+    return this.transporter;
+  }
+
+  /**
+   * Send a rendered message
+   * @param {Object} message - { from, to, subject, html, text, headers, metadata }
+   */
+  async send(message) {
+    const info = await this.getTransporter().sendMail({
+      from: message.from,
+      to: message.to,
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+      headers: {
+        ...message.headers,
+        'X-Template': `${message.metadata.template}@${message.metadata.version}`,
+      },
+    });
+
+    return { messageId: info.messageId };
+  }
+
+  async verify() {
+    return this.getTransporter().verify();
+  }
+}
+
+export default new SmtpEmailStrategy();
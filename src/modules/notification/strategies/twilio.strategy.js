@@ -0,0 +1,43 @@
+// src/modules/notification/strategies/twilio.strategy.js
+import axios from 'axios';
+import smsConfig from '../../../config/sms.js';
+
+const API_URL = 'https://api.twilio.com/2010-04-01';
+
+/**
+ * Twilio SMS Strategy
+ * Talks to the Messages REST endpoint directly instead of pulling in the SDK.
+ */
+class TwilioSmsStrategy {
+  constructor() {
+    this.name = 'twilio';
+  }
+
+  isConfigured() {
+    const { accountSid, authToken, from } = smsConfig.twilio;
+    return Boolean(accountSid && authToken && from);
+  }
+
+  /**
+   * Send one text message
+   * @param {Object} message - { to, body }
+   * @returns {Promise<Object>} - { messageId }
+   */
+  async send({ to, body }) {
+    const { accountSid, authToken, from } = smsConfig.twilio;
+
+    const response = await axios.post(
+      `${API_URL}/Accounts/${accountSid}/Messages.json`,
+      new URLSearchParams({ To: to, From: from, Body: body }).toString(),
+      {
+        auth: { username: accountSid, password: authToken },
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: 10000,
+      }
+    );
+
+    return { messageId: response.data.sid };
+  }
+}
+
+export default new TwilioSmsStrategy();
@@ -304,6 +304,49 @@ export const ONE_TIME_PURCHASES = {
       savings: 25,
     },
   },
+  // Coins are spent on virtual gifts
+  coins: {
+    pack100: {
+      amount: 199, // $1.99
+      quantity: 100,
+    },
+    pack550: {
+      amount: 999, // $9.99
+      quantity: 550,
+      savings: 10,
+    },
+    pack1200: {
+      amount: 1999, // $19.99
+      quantity: 1200,
+      savings: 17,
+    },
+  },
+  // Premium gifts sold directly, keyed by gift catalog ID
+  gifts: {
+    bouquet: {
+      amount: 299, // $2.99
+      quantity: 1,
+    },
+    diamond_ring: {
+      amount: 999, // $9.99
+      quantity: 1,
+    },
+  },
+  // Sticker packs sold directly, keyed by product; StickerPack.product points here
+  stickerPacks: {
+    love_bugs: {
+      amount: 199, // $1.99
+      quantity: 1,
+    },
+    party_animals: {
+      amount: 199, // $1.99
+      quantity: 1,
+    },
+    cozy_nights: {
+      amount: 299, // $2.99
+      quantity: 1,
+    },
+  },
 };
 
 // ========================
@@ -329,6 +372,14 @@ export const GOOGLE_PLAY_CONFIG = {
     BOOST_1: 'boost_1',
     BOOST_5: 'boost_5',
     BOOST_10: 'boost_10',
+    COIN_100: 'coins_100',
+    COIN_550: 'coins_550',
+    COIN_1200: 'coins_1200',
+    GIFT_BOUQUET: 'gift_bouquet',
+    GIFT_DIAMOND_RING: 'gift_diamond_ring',
+    STICKERS_LOVE_BUGS: 'stickers_love_bugs',
+    STICKERS_PARTY_ANIMALS: 'stickers_party_animals',
+    STICKERS_COZY_NIGHTS: 'stickers_cozy_nights',
   },
   
   // Notification types
@@ -380,6 +431,14 @@ export const APPLE_IAP_CONFIG = {
     BOOST_1: 'com.tinder.boost.1',
     BOOST_5: 'com.tinder.boost.5',
     BOOST_10: 'com.tinder.boost.10',
+    COIN_100: 'com.tinder.coins.100',
+    COIN_550: 'com.tinder.coins.550',
+    COIN_1200: 'com.tinder.coins.1200',
+    GIFT_BOUQUET: 'com.tinder.gift.bouquet',
+    GIFT_DIAMOND_RING: 'com.tinder.gift.diamond_ring',
+    STICKERS_LOVE_BUGS: 'com.tinder.stickers.love_bugs',
+    STICKERS_PARTY_ANIMALS: 'com.tinder.stickers.party_animals',
+    STICKERS_COZY_NIGHTS: 'com.tinder.stickers.cozy_nights',
   },
   
   // Notification types (v2)
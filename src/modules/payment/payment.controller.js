@@ -328,6 +328,19 @@ removePaymentMethod = asyncHandler(async (req, res) => {
         ...value,
         perUnit: (value.amount / value.quantity / 100).toFixed(2),
       })),
+      coins: Object.entries(ONE_TIME_PURCHASES.coins).map(([key, value]) => ({
+        id: key,
+        ...value,
+        perUnit: (value.amount / value.quantity / 100).toFixed(3),
+      })),
+      gifts: Object.entries(ONE_TIME_PURCHASES.gifts).map(([key, value]) => ({
+        id: key,
+        ...value,
+      })),
+      stickerPacks: Object.entries(ONE_TIME_PURCHASES.stickerPacks).map(([key, value]) => ({
+        id: key,
+        ...value,
+      })),
     };
 
     return successResponse(res, options);
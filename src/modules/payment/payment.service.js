@@ -33,6 +33,8 @@ import NotificationService from '../notification/notification.service.js';
 import EmailService from '../notification/email.service.js';
 import MetricsService from '../../shared/services/metrics.service.js';
 import CacheService from '../../shared/services/cache.service.js';
+import GiftService from '../gift/gift.service.js';
+import StickerService from '../sticker/sticker.service.js';
 
 /**
  * Payment Service
@@ -621,8 +623,20 @@ async purchaseItems(userId, { provider, purchaseToken, receiptData, productId })
   /**
    * Update user inventory after purchase
    */
-  async updateUserInventory(userId, itemType, quantity) {
+  async updateUserInventory(userId, itemType, quantity, { giftId, product, transactionId } = {}) {
     try {
+      // Sticker packs are unlocked in the user's sticker library
+      if (itemType === 'stickerPacks') {
+        await StickerService.creditPurchase(userId, { product, transactionId });
+        return;
+      }
+
+      // Coins, gifts and boosts live in the gift inventory, with a ledger entry per purchase
+      if (itemType === 'coins' || itemType === 'gifts' || itemType === 'boosts') {
+        await GiftService.creditPurchase(userId, { itemType, quantity, giftId, transactionId });
+        return;
+      }
+
       const user = await User.findById(userId);
       
       switch (itemType) {
@@ -630,10 +644,6 @@ async purchaseItems(userId, { provider, purchaseToken, receiptData, productId })
           user.inventory.superLikes = (user.inventory.superLikes || 0) + quantity;
           break;
         
-        case 'boosts':
-          user.boosts.available = (user.boosts.available || 0) + quantity;
-          break;
-        
         case 'readReceipts':
           user.inventory.readReceipts = (user.inventory.readReceipts || 0) + quantity;
           break;
@@ -720,32 +730,45 @@ async purchaseItems(userId, { provider, purchaseToken, receiptData, productId })
          validUntil: expiresAt,
        });
 
-     } else {
-       // Process one-time purchase
-       await this.updateUserInventory(
-         userId,
-         mappedProduct.itemType,
-         mappedProduct.quantity
-       );
      }
 
-     // Create transaction
-     await this.createTransaction({
+     // Create transaction. For one-time purchases this happens before the
+     // items are granted, so a replayed order ID fails on the unique
+     // providerTransactionId instead of granting the items twice.
+     const transaction = await this.createTransaction({
        userId,
        type: mappedProduct.type === 'subscription' 
          ? TRANSACTION_TYPES.SUBSCRIPTION 
          : TRANSACTION_TYPES.PURCHASE,
        amount: mappedProduct.amount,
+       finalAmount: mappedProduct.amount,
+       amountInUSD: mappedProduct.amount,
        currency: 'USD',
        status: TRANSACTION_STATUS.SUCCESS,
        provider,
        providerTransactionId: orderId,
+       providerProductId: productId,
        items: mappedProduct.type !== 'subscription' ? [{
          type: mappedProduct.itemType,
          quantity: mappedProduct.quantity,
+         unitPrice: Math.round(mappedProduct.amount / mappedProduct.quantity),
+         totalPrice: mappedProduct.amount,
+         metadata: mappedProduct.giftId || mappedProduct.product
+           ? { giftId: mappedProduct.giftId, product: mappedProduct.product }
+           : undefined,
        }] : null,
      });
 
+     if (mappedProduct.type !== 'subscription') {
+       // Process one-time purchase
+       await this.updateUserInventory(
+         userId,
+         mappedProduct.itemType,
+         mappedProduct.quantity,
+         { giftId: mappedProduct.giftId, product: mappedProduct.product, transactionId: transaction._id }
+       );
+     }
+
      return {
        success: true,
        message: 'Purchase verified and processed',
@@ -787,6 +810,30 @@ async purchaseItems(userId, { provider, purchaseToken, receiptData, productId })
            billingCycle,
            amount: pricing.amount,
          };
+       } else if (parts[0] === 'gift') {
+         // Premium gift, keyed by gift catalog ID
+         const giftId = parts.slice(1).join('_');
+         const pricing = ONE_TIME_PURCHASES.gifts[giftId];
+
+         return {
+           type: 'purchase',
+           itemType: 'gifts',
+           giftId,
+           quantity: pricing?.quantity || 1,
+           amount: pricing?.amount || 0,
+         };
+       } else if (parts[0] === 'stickers') {
+         // Sticker pack, keyed by sticker product
+         const product = parts.slice(1).join('_');
+         const pricing = ONE_TIME_PURCHASES.stickerPacks[product];
+
+         return {
+           type: 'purchase',
+           itemType: 'stickerPacks',
+           product,
+           quantity: 1,
+           amount: pricing?.amount || 0,
+         };
        } else {
          // One-time purchase
          const itemType = parts[0] + (parts[1] === 'likes' ? 'Likes' : 's');
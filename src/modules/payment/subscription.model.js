@@ -3,12 +3,14 @@
 import mongoose from 'mongoose';
 import { 
   SUBSCRIPTION_TYPES, 
-  SUBSCRIPTION_STATUS,
-  BILLING_CYCLES,
-  PAYMENT_PROVIDERS,
   SUBSCRIPTION_FEATURES,
   SUBSCRIPTION_PRICING 
 } from '../../config/constants.js';
+import {
+  SUBSCRIPTION_STATUS,
+  BILLING_CYCLES,
+  PAYMENT_PROVIDERS,
+} from './payment.constants.js';
 
 const { Schema } = mongoose;
 
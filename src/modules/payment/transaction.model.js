@@ -18,7 +18,7 @@ const transactionItemSchema = new Schema({
   type: {
     type: String,
     required: true,
-    enum: ['superLikes', 'boosts', 'readReceipts', 'subscription'],
+    enum: ['superLikes', 'boosts', 'readReceipts', 'coins', 'gifts', 'stickerPacks', 'subscription'],
   },
   
   quantity: {
@@ -0,0 +1,75 @@
+// src/modules/promotion/promotion.constants.js
+
+// ========================
+// PROMOTION TYPES
+// ========================
+export const PROMOTION_TYPES = {
+  BOOST: 'boost',
+  SPOTLIGHT: 'spotlight',
+};
+
+export const PROMOTION_STATUS = {
+  QUEUED: 'queued', // Waiting for a free slot in the region
+  ACTIVE: 'active',
+  COMPLETED: 'completed',
+  REFUNDED: 'refunded', // Ran during too little traffic and was given back
+};
+
+// How the promotion was paid for, so a refund goes back to the same place
+export const PROMOTION_FUNDING = {
+  ALLOWANCE: 'allowance', // Monthly boosts included in the subscription
+  PURCHASED: 'purchased', // Boosts bought as in-app products
+  COINS: 'coins',
+};
+
+// ========================
+// SCHEDULING
+// ========================
+// Each region (a geohash cell) runs a fixed number of promotions of each type
+// at once; the rest wait in a FIFO queue. Inside a deck, the spotlight takes
+// the first card and boosts take `deckPositions`, so promoted profiles never
+// compete with each other through score multipliers.
+//
+// `guaranteedImpressions` is how many distinct people should be shown the
+// profile. A promotion that falls short is extended in `extensionMinutes`
+// steps, up to `maxExtensionMinutes`, as long as the region has traffic.
+export const PROMOTION_CONFIG = {
+  [PROMOTION_TYPES.BOOST]: {
+    durationMinutes: 30,
+    slotsPerRegion: 6,
+    deckPositions: [2, 5, 8, 11, 14, 17],
+    guaranteedImpressions: 60,
+    extensionMinutes: 10,
+    maxExtensionMinutes: 30,
+  },
+  [PROMOTION_TYPES.SPOTLIGHT]: {
+    durationMinutes: 30,
+    slotsPerRegion: 1,
+    deckPositions: [0],
+    guaranteedImpressions: 150,
+    extensionMinutes: 10,
+    maxExtensionMinutes: 30,
+    coins: 300,
+  },
+};
+
+export const PROMOTION_CONSTANTS = {
+  GEOHASH_PRECISION: 4, // Roughly 39km x 20km cells
+  // Fewer distinct people than this loading a deck in the region while the
+  // promotion ran means it had no real chance, so it is refunded
+  LOW_TRAFFIC_MIN_VIEWERS: 20,
+  // The "N× more views" report compares likes and passes received during the
+  // promotion against the user's hourly average over this many days
+  BASELINE_DAYS: 14,
+  MIN_BASELINE_VIEWS_PER_HOUR: 0.5,
+  ACTIVE_CACHE_TTL: 30, // seconds
+  VIEWER_SET_TTL: 6 * 60 * 60, // seconds
+};
+
+export default {
+  PROMOTION_TYPES,
+  PROMOTION_STATUS,
+  PROMOTION_FUNDING,
+  PROMOTION_CONFIG,
+  PROMOTION_CONSTANTS,
+};
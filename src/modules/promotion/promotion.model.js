@@ -0,0 +1,133 @@
+// src/modules/promotion/promotion.model.js
+import mongoose from 'mongoose';
+import {
+ PROMOTION_TYPES,
+ PROMOTION_STATUS,
+ PROMOTION_FUNDING,
+} from './promotion.constants.js';
+
+const { Schema } = mongoose;
+
+/**
+* Promotion Schema - One boost or spotlight, from purchase through queueing,
+* delivery and the final report. Slots are claimed through the unique
+* { region, type, slot } index on active promotions, so two schedulers can
+* never put more promotions live in a region than it has slots.
+*/
+const promotionSchema = new Schema(
+ {
+   user: {
+     type: Schema.Types.ObjectId,
+     ref: 'User',
+     required: true,
+   },
+
+   type: {
+     type: String,
+     enum: Object.values(PROMOTION_TYPES),
+     required: true,
+   },
+
+   status: {
+     type: String,
+     enum: Object.values(PROMOTION_STATUS),
+     default: PROMOTION_STATUS.QUEUED,
+   },
+
+   // Set while queued or active; one open promotion per user and type
+   isOpen: {
+     type: Boolean,
+     default: true,
+   },
+
+   // Geohash cell the promotion runs in
+   region: {
+     type: String,
+     required: true,
+   },
+
+   // Index of the region slot held while active
+   slot: Number,
+
+   // Set once the charge succeeds; unfunded promotions are never started
+   funding: {
+     source: {
+       type: String,
+       enum: Object.values(PROMOTION_FUNDING),
+     },
+     coins: {
+       type: Number,
+       default: 0,
+     },
+   },
+
+   durationMinutes: {
+     type: Number,
+     required: true,
+   },
+   extendedMinutes: {
+     type: Number,
+     default: 0,
+   },
+
+   requestedAt: {
+     type: Date,
+     default: Date.now,
+   },
+   startedAt: Date,
+   endsAt: Date,
+   finishedAt: Date,
+
+   // Delivery
+   guaranteedImpressions: {
+     type: Number,
+     required: true,
+   },
+   // Distinct people the profile was placed in front of
+   impressions: {
+     type: Number,
+     default: 0,
+   },
+   // Distinct people who loaded a deck in the region while it was active
+   reach: {
+     type: Number,
+     default: 0,
+   },
+
+   // Filled in when the promotion finishes
+   report: {
+     views: Number,
+     likes: Number,
+     baselineViewsPerHour: Number,
+     viewsMultiplier: Number,
+   },
+
+   refund: {
+     reason: String,
+     refundedAt: Date,
+   },
+ },
+ {
+   timestamps: true,
+ }
+);
+
+// ============================
+// Indexes
+// ============================
+
+promotionSchema.index({ user: 1, createdAt: -1 });
+promotionSchema.index({ status: 1, region: 1, type: 1, requestedAt: 1 });
+promotionSchema.index({ status: 1, endsAt: 1 });
+promotionSchema.index(
+ { user: 1, type: 1 },
+ { unique: true, partialFilterExpression: { isOpen: true } }
+);
+promotionSchema.index(
+ { region: 1, type: 1, slot: 1 },
+ { unique: true, partialFilterExpression: { status: PROMOTION_STATUS.ACTIVE } }
+);
+
+const Promotion = mongoose.model('Promotion', promotionSchema);
+
+export default Promotion;
@@ -0,0 +1,702 @@
+// src/modules/promotion/promotion.service.js
+import mongoose from 'mongoose';
+import Promotion from './promotion.model.js';
+import User from '../user/user.model.js';
+import Swipe from '../match/swipe.model.js';
+import Inventory from '../gift/inventory.model.js';
+import GiftLedger from '../gift/giftLedger.model.js';
+import PassportService from '../match/passport.service.js';
+import redis from '../../config/redis.js';
+import logger from '../../shared/utils/logger.js';
+import AppError from '../../shared/errors/AppError.js';
+import CacheService from '../../shared/services/cache.service.js';
+import MetricsService from '../../shared/services/metrics.service.js';
+import NotificationService from '../../shared/services/notification.service.js';
+import { encodeGeohash } from '../../shared/utils/helpers.js';
+import {
+ PROMOTION_TYPES,
+ PROMOTION_STATUS,
+ PROMOTION_FUNDING,
+ PROMOTION_CONFIG,
+ PROMOTION_CONSTANTS,
+} from './promotion.constants.js';
+import { GIFT_LEDGER_TYPES } from '../gift/gift.constants.js';
+import {
+ ERROR_CODES,
+ HTTP_STATUS,
+ NOTIFICATION_TYPES,
+ SWIPE_ACTIONS,
+} from '../../config/constants.js';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+const LABELS = {
+ [PROMOTION_TYPES.BOOST]: 'Boost',
+ [PROMOTION_TYPES.SPOTLIGHT]: 'Spotlight',
+};
+
+/**
+* Promotion Service
+* Schedules boosts and spotlights per region instead of multiplying scores.
+* Every region has a fixed number of slots per type; extra requests queue.
+* Live promotions get reserved positions in the decks of people in the same
+* region, least-served first, until they reach their guaranteed impressions.
+* When a promotion ends its owner gets an "N× more views" report, or a refund
+* if hardly anyone was swiping in the region while it ran.
+*/
+class PromotionService {
+ // ========================
+ // ACTIVATION
+ // ========================
+
+ /**
+  * Buy a boost or spotlight. It starts right away when the region has a free
+  * slot and queues otherwise.
+  */
+ async activate(userId, type) {
+   const config = PROMOTION_CONFIG[type];
+   if (!config) {
+     throw new AppError('Invalid promotion type', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.VALIDATION_ERROR);
+   }
+
+   try {
+     const user = await User.findById(userId);
+     if (!user) {
+       throw new AppError('User not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.USER_NOT_FOUND);
+     }
+
+     const region = this.getRegion(user);
+     if (!region) {
+       throw new AppError(
+         'Set your location before promoting your profile',
+         HTTP_STATUS.BAD_REQUEST,
+         ERROR_CODES.INVALID_LOCATION
+       );
+     }
+
+     // Created before charging: the unique open-promotion index is what stops
+     // two concurrent requests from both paying
+     let promotion;
+     try {
+       promotion = await Promotion.create({
+         user: userId,
+         type,
+         region,
+         funding: {},
+         durationMinutes: config.durationMinutes,
+         guaranteedImpressions: config.guaranteedImpressions,
+       });
+     } catch (error) {
+       if (error.code === 11000) {
+         throw new AppError(
+           `You already have a ${LABELS[type]} running or waiting to start`,
+           HTTP_STATUS.CONFLICT,
+           ERROR_CODES.ALREADY_EXISTS
+         );
+       }
+       throw error;
+     }
+
+     try {
+       promotion.funding = await this.charge(user, promotion);
+       await promotion.save();
+     } catch (error) {
+       await Promotion.deleteOne({ _id: promotion._id });
+       throw error;
+     }
+
+     await this.fillSlots(region, type);
+
+     MetricsService.incrementCounter(`promotions.${type}.purchased`);
+     logger.info(`${LABELS[type]} ${promotion._id} requested by user ${userId} in ${region}`);
+
+     return this.getStatus(userId, type);
+   } catch (error) {
+     logger.error(`Error activating ${type} for user ${userId}:`, error);
+     throw error;
+   }
+ }
+
+ /**
+  * Pay for a promotion. Boosts use the monthly allowance first, then
+  * purchased boosts; spotlights cost coins.
+  * @returns {Object} - funding to store on the promotion
+  */
+ async charge(user, promotion) {
+   if (promotion.type === PROMOTION_TYPES.BOOST) {
+     if (await user.consumeBoost()) {
+       return { source: PROMOTION_FUNDING.ALLOWANCE };
+     }
+     if (await Inventory.spendBoost(user._id)) {
+       return { source: PROMOTION_FUNDING.PURCHASED };
+     }
+
+     throw new AppError(
+       'No boosts left. Buy boosts or upgrade to get more',
+       HTTP_STATUS.PAYMENT_REQUIRED,
+       ERROR_CODES.INSUFFICIENT_CREDITS
+     );
+   }
+
+   const coins = PROMOTION_CONFIG[promotion.type].coins;
+   const inventory = await Inventory.spendCoins(user._id, coins, { gift: false });
+   if (!inventory) {
+     throw new AppError(
+       `Not enough coins. ${LABELS[promotion.type]} costs ${coins} coins`,
+       HTTP_STATUS.PAYMENT_REQUIRED,
+       ERROR_CODES.INSUFFICIENT_CREDITS,
+       { details: { required: coins } }
+     );
+   }
+
+   await GiftLedger.create({
+     user: user._id,
+     type: GIFT_LEDGER_TYPES.PROMOTION_SPENT,
+     coins: -coins,
+     balanceAfter: inventory.coins,
+     promotion: promotion._id,
+   });
+
+   return { source: PROMOTION_FUNDING.COINS, coins };
+ }
+
+ /**
+  * Give a promotion's cost back to where it came from
+  */
+ async refundFunding(promotion) {
+   const { source, coins } = promotion.funding || {};
+
+   if (source === PROMOTION_FUNDING.ALLOWANCE) {
+     const user = await User.findById(promotion.user);
+     await user?.refundBoost();
+   } else if (source === PROMOTION_FUNDING.PURCHASED) {
+     await Inventory.creditBoosts(promotion.user, 1);
+   } else if (source === PROMOTION_FUNDING.COINS) {
+     // The ledger entry goes first; its unique index makes the refund one-off
+     let entry;
+     try {
+       entry = await GiftLedger.create({
+         user: promotion.user,
+         type: GIFT_LEDGER_TYPES.PROMOTION_REFUNDED,
+         coins,
+         promotion: promotion._id,
+       });
+     } catch (error) {
+       if (error.code === 11000) return;
+       throw error;
+     }
+
+     const inventory = await Inventory.refundCoins(promotion.user, coins);
+     entry.balanceAfter = inventory?.coins;
+     await entry.save();
+   }
+ }
+
+ // ========================
+ // SCHEDULING
+ // ========================
+
+ /**
+  * Start queued promotions, oldest first, while the region has free slots
+  * @returns {number} - promotions started
+  */
+ async fillSlots(region, type, now = new Date()) {
+   const { slotsPerRegion } = PROMOTION_CONFIG[type];
+   let started = 0;
+
+   // Bounded so a burst of lost races can't spin forever
+   for (let attempt = 0; attempt < slotsPerRegion * 2; attempt++) {
+     const active = await Promotion.find({ region, type, status: PROMOTION_STATUS.ACTIVE }).select('slot').lean();
+     const used = new Set(active.map(p => p.slot));
+     const freeSlots = [...Array(slotsPerRegion).keys()].filter(slot => !used.has(slot));
+     if (freeSlots.length === 0) break;
+
+     const next = await Promotion.findOne({
+       region,
+       type,
+       status: PROMOTION_STATUS.QUEUED,
+       'funding.source': { $exists: true },
+     }).sort({ requestedAt: 1 });
+     if (!next) break;
+
+     if (await this.start(next, freeSlots, now)) {
+       started += 1;
+     }
+   }
+
+   return started;
+ }
+
+ /**
+  * Move a queued promotion into the first free slot it can claim. A slot
+  * another scheduler took in the meantime fails on the unique slot index.
+  */
+ async start(promotion, freeSlots, now = new Date()) {
+   for (const slot of freeSlots) {
+     try {
+       const started = await Promotion.findOneAndUpdate(
+         { _id: promotion._id, status: PROMOTION_STATUS.QUEUED },
+         {
+           $set: {
+             status: PROMOTION_STATUS.ACTIVE,
+             slot,
+             startedAt: now,
+             endsAt: new Date(now.getTime() + promotion.durationMinutes * MINUTE_MS),
+           },
+         },
+         { new: true }
+       );
+       if (!started) return null;
+
+       await this.onStarted(started);
+       return started;
+     } catch (error) {
+       if (error.code === 11000) continue;
+       throw error;
+     }
+   }
+
+   return null;
+ }
+
+ async onStarted(promotion) {
+   await this.syncUserPromotion(promotion);
+   await redis.del(this.activeCacheKey(promotion.region));
+   await CacheService.invalidatePattern('recommendations:*');
+
+   await NotificationService.sendNotification(promotion.user.toString(), {
+     type: NOTIFICATION_TYPES.BOOST_ACTIVATED,
+     title: `${LABELS[promotion.type]} Activated! 🚀`,
+     body: `Your profile is being shown to more people nearby for ${promotion.durationMinutes} minutes`,
+     data: { promotionId: promotion._id.toString(), type: promotion.type, endsAt: promotion.endsAt },
+   });
+
+   MetricsService.incrementCounter(`promotions.${promotion.type}.started`);
+ }
+
+ /**
+  * Finish or extend every promotion whose time is up, then start queued ones
+  */
+ async processDue(now = new Date()) {
+   const result = { completed: 0, refunded: 0, extended: 0, started: 0 };
+
+   const due = await Promotion.find({
+     status: PROMOTION_STATUS.ACTIVE,
+     endsAt: { $lte: now },
+   }).limit(500);
+
+   for (const promotion of due) {
+     try {
+       const outcome = await this.finishOrExtend(promotion, now);
+       if (outcome) result[outcome] += 1;
+     } catch (error) {
+       logger.error(`Error finishing promotion ${promotion._id}:`, error);
+     }
+   }
+
+   const waiting = await Promotion.aggregate([
+     { $match: { status: PROMOTION_STATUS.QUEUED } },
+     { $group: { _id: { region: '$region', type: '$type' } } },
+   ]);
+
+   for (const { _id } of waiting) {
+     result.started += await this.fillSlots(_id.region, _id.type, now);
+   }
+
+   return result;
+ }
+
+ /**
+  * Extend a promotion that is short of its guaranteed impressions while the
+  * region still has traffic; otherwise finish it
+  * @returns {string|null} - 'extended', 'completed', 'refunded' or null if another scheduler got there first
+  */
+ async finishOrExtend(promotion, now = new Date()) {
+   const config = PROMOTION_CONFIG[promotion.type];
+   const lowTraffic = promotion.reach < PROMOTION_CONSTANTS.LOW_TRAFFIC_MIN_VIEWERS;
+
+   if (
+     !lowTraffic &&
+     promotion.impressions < promotion.guaranteedImpressions &&
+     promotion.extendedMinutes < config.maxExtensionMinutes
+   ) {
+     const minutes = Math.min(config.extensionMinutes, config.maxExtensionMinutes - promotion.extendedMinutes);
+     const extended = await Promotion.findOneAndUpdate(
+       { _id: promotion._id, status: PROMOTION_STATUS.ACTIVE, endsAt: promotion.endsAt },
+       {
+         $set: { endsAt: new Date(promotion.endsAt.getTime() + minutes * MINUTE_MS) },
+         $inc: { extendedMinutes: minutes },
+       },
+       { new: true }
+     );
+     if (!extended) return null;
+
+     await this.syncUserPromotion(extended);
+     return 'extended';
+   }
+
+   const finished = await this.finish(promotion, now, { refund: lowTraffic });
+   if (!finished) return null;
+
+   return finished.status === PROMOTION_STATUS.REFUNDED ? 'refunded' : 'completed';
+ }
+
+ async finish(promotion, now = new Date(), { refund = false } = {}) {
+   const report = await this.buildReport(promotion, now);
+
+   const update = {
+     status: refund ? PROMOTION_STATUS.REFUNDED : PROMOTION_STATUS.COMPLETED,
+     isOpen: false,
+     finishedAt: now,
+     report,
+   };
+   if (refund) {
+     update.refund = { reason: 'low_traffic', refundedAt: now };
+   }
+
+   const finished = await Promotion.findOneAndUpdate(
+     { _id: promotion._id, status: PROMOTION_STATUS.ACTIVE },
+     { $set: update },
+     { new: true }
+   );
+   if (!finished) return null;
+
+   if (refund) {
+     await this.refundFunding(finished);
+   }
+
+   await this.syncUserPromotion(finished);
+   await redis.del(this.activeCacheKey(finished.region));
+   await this.notifyFinished(finished);
+
+   MetricsService.incrementCounter(`promotions.${finished.type}.${refund ? 'refunded' : 'completed'}`);
+
+   return finished;
+ }
+
+ /**
+  * Compare views (likes and passes received) during the promotion with the
+  * user's usual hourly rate
+  */
+ async buildReport(promotion, now = new Date()) {
+   const startedAt = promotion.startedAt;
+   const endedAt = new Date(Math.min(now.getTime(), promotion.endsAt.getTime()));
+   const hours = Math.max((endedAt - startedAt) / HOUR_MS, 1 / 60);
+   const userId = new mongoose.Types.ObjectId(promotion.user);
+
+   const [baselineViews, [during]] = await Promise.all([
+     Swipe.countDocuments({
+       to: userId,
+       swipedAt: { $gte: new Date(startedAt.getTime() - PROMOTION_CONSTANTS.BASELINE_DAYS * DAY_MS), $lt: startedAt },
+     }),
+     Swipe.aggregate([
+       { $match: { to: userId, swipedAt: { $gte: startedAt, $lt: endedAt } } },
+       {
+         $group: {
+           _id: null,
+           views: { $sum: 1 },
+           likes: {
+             $sum: { $cond: [{ $in: ['$action', [SWIPE_ACTIONS.LIKE, SWIPE_ACTIONS.SUPER_LIKE]] }, 1, 0] },
+           },
+         },
+       },
+     ]),
+   ]);
+
+   const baselineViewsPerHour = Math.max(
+     baselineViews / (PROMOTION_CONSTANTS.BASELINE_DAYS * 24),
+     PROMOTION_CONSTANTS.MIN_BASELINE_VIEWS_PER_HOUR
+   );
+   const views = during?.views || 0;
+
+   return {
+     views,
+     likes: during?.likes || 0,
+     baselineViewsPerHour: Math.round(baselineViewsPerHour * 100) / 100,
+     viewsMultiplier: Math.round((views / (baselineViewsPerHour * hours)) * 10) / 10,
+   };
+ }
+
+ async notifyFinished(promotion) {
+   const label = LABELS[promotion.type];
+   const notification = promotion.status === PROMOTION_STATUS.REFUNDED
+     ? {
+       type: NOTIFICATION_TYPES.BOOST_REFUNDED,
+       title: `${label} refunded`,
+       body: `Very few people were swiping nearby during your ${label}, so we gave it back to you`,
+     }
+     : {
+       type: NOTIFICATION_TYPES.BOOST_REPORT,
+       title: `Your ${label} results 📈`,
+       body: promotion.report.viewsMultiplier > 1
+         ? `Your profile got ${promotion.report.viewsMultiplier}× more views than usual`
+         : `Your profile was shown to ${promotion.impressions} people nearby`,
+     };
+
+   try {
+     await NotificationService.sendNotification(promotion.user.toString(), {
+       ...notification,
+       data: {
+         promotionId: promotion._id.toString(),
+         type: promotion.type,
+         impressions: promotion.impressions,
+         ...promotion.report,
+       },
+     });
+   } catch (error) {
+     logger.warn(`Could not notify user ${promotion.user} about promotion ${promotion._id}:`, error);
+   }
+ }
+
+ /**
+  * Mirror the promotion window into user.boosts / user.spotlights, which
+  * search and older clients read
+  */
+ async syncUserPromotion(promotion) {
+   const field = promotion.type === PROMOTION_TYPES.BOOST ? 'boosts' : 'spotlights';
+   const expiresAt = promotion.finishedAt || promotion.endsAt;
+
+   const updated = await User.updateOne(
+     { _id: promotion.user },
+     { $set: { [`${field}.$[entry].expiresAt`]: expiresAt } },
+     { arrayFilters: [{ 'entry.startedAt': promotion.startedAt }] }
+   );
+
+   if (updated.modifiedCount === 0 && promotion.status === PROMOTION_STATUS.ACTIVE) {
+     const entry = promotion.type === PROMOTION_TYPES.BOOST
+       ? { startedAt: promotion.startedAt, expiresAt, type: 'regular' }
+       : { startedAt: promotion.startedAt, expiresAt, views: 0 };
+
+     await User.updateOne(
+       { _id: promotion.user, [`${field}.startedAt`]: { $ne: promotion.startedAt } },
+       { $push: { [field]: { $each: [entry], $slice: -20 } } }
+     );
+   }
+
+   if (promotion.type === PROMOTION_TYPES.SPOTLIGHT && promotion.status !== PROMOTION_STATUS.ACTIVE) {
+     await User.updateOne(
+       { _id: promotion.user },
+       { $set: { 'spotlights.$[entry].views': promotion.impressions } },
+       { arrayFilters: [{ 'entry.startedAt': promotion.startedAt }] }
+     );
+   }
+ }
+
+ // ========================
+ // DELIVERY
+ // ========================
+
+ /**
+  * Region (geohash cell) of the user's effective location
+  */
+ getRegion(user) {
+   const location = PassportService.getEffectiveLocation(user);
+   if (!location?.coordinates?.length) return null;
+
+   const [longitude, latitude] = location.coordinates;
+   return encodeGeohash(latitude, longitude, PROMOTION_CONSTANTS.GEOHASH_PRECISION);
+ }
+
+ /**
+  * Live promotions in a region (briefly cached, every deck load reads it)
+  */
+ async getActivePromotions(region) {
+   if (!region) return [];
+
+   const cacheKey = this.activeCacheKey(region);
+   const cached = await redis.get(cacheKey);
+   if (cached) {
+     return JSON.parse(cached);
+   }
+
+   const promotions = await Promotion.find({ region, status: PROMOTION_STATUS.ACTIVE })
+     .select('user type impressions guaranteedImpressions')
+     .lean();
+
+   const active = promotions.map(p => ({
+     id: p._id.toString(),
+     user: p.user.toString(),
+     type: p.type,
+     impressions: p.impressions,
+     guaranteedImpressions: p.guaranteedImpressions,
+   }));
+
+   await redis.set(cacheKey, JSON.stringify(active), PROMOTION_CONSTANTS.ACTIVE_CACHE_TTL);
+   return active;
+ }
+
+ /**
+  * Put promoted profiles into their reserved deck positions. The spotlight
+  * takes the first card, boosts the boost positions, least-served first.
+  * Only profiles already in the viewer's candidates are placed, so the
+  * viewer's own filters still apply. Records reach and impressions.
+  * @param {Array} recommendations - ranked candidates
+  * @param {Array} promotions - from getActivePromotions
+  */
+ async arrangeDeck(viewerId, recommendations, promotions = []) {
+   const viewer = viewerId.toString();
+   const others = promotions.filter(p => p.user !== viewer);
+   if (others.length === 0) return recommendations;
+
+   try {
+     await this.recordViewers(others, viewer, 'reach');
+
+     const byUser = new Map(recommendations.map(rec => [rec._id.toString(), rec]));
+     const placements = [];
+
+     for (const type of [PROMOTION_TYPES.SPOTLIGHT, PROMOTION_TYPES.BOOST]) {
+       const candidates = others
+         .filter(p => p.type === type && byUser.has(p.user))
+         .sort((a, b) => this.deliveryRatio(a) - this.deliveryRatio(b) || Math.random() - 0.5);
+
+       PROMOTION_CONFIG[type].deckPositions
+         .slice(0, candidates.length)
+         .forEach((position, index) => placements.push({ position, promotion: candidates[index] }));
+     }
+
+     if (placements.length === 0) return recommendations;
+
+     const placedUsers = new Set(placements.map(({ promotion }) => promotion.user));
+     const deck = recommendations.filter(rec => !placedUsers.has(rec._id.toString()));
+
+     placements
+       .sort((a, b) => a.position - b.position)
+       .forEach(({ position, promotion }) => {
+         const rec = byUser.get(promotion.user);
+         rec.isBoosted = promotion.type === PROMOTION_TYPES.BOOST;
+         rec.isSpotlight = promotion.type === PROMOTION_TYPES.SPOTLIGHT;
+         deck.splice(Math.min(position, deck.length), 0, rec);
+       });
+
+     await this.recordViewers(placements.map(p => p.promotion), viewer, 'impressions');
+
+     return deck;
+   } catch (error) {
+     logger.error('Error arranging promoted profiles:', error);
+     return recommendations;
+   }
+ }
+
+ deliveryRatio(promotion) {
+   return promotion.impressions / Math.max(promotion.guaranteedImpressions, 1);
+ }
+
+ /**
+  * Count each viewer once per promotion
+  * @param {string} counter - 'reach' or 'impressions'
+  */
+ async recordViewers(promotions, viewerId, counter) {
+   const firstTime = [];
+
+   for (const promotion of promotions) {
+     const key = `promotion:${counter}:${promotion.id}`;
+     const added = await redis.sadd(key, viewerId);
+     if (added > 0) {
+       firstTime.push(promotion.id);
+       await redis.expire(key, PROMOTION_CONSTANTS.VIEWER_SET_TTL);
+     }
+   }
+
+   if (firstTime.length > 0) {
+     await Promotion.updateMany(
+       { _id: { $in: firstTime }, status: PROMOTION_STATUS.ACTIVE },
+       { $inc: { [counter]: 1 } }
+     );
+   }
+ }
+
+ activeCacheKey(region) {
+   return `promotions:active:${region}`;
+ }
+
+ // ========================
+ // STATUS
+ // ========================
+
+ /**
+  * Current (queued or live) promotion of a type, the last finished one and
+  * what the user has left to spend
+  */
+ async getStatus(userId, type) {
+   if (!PROMOTION_CONFIG[type]) {
+     throw new AppError('Invalid promotion type', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.VALIDATION_ERROR);
+   }
+
+   const [user, inventory, current, last] = await Promise.all([
+     User.findById(userId).select('subscription limits'),
+     Inventory.findOne({ user: userId }).select('coins boosts').lean(),
+     Promotion.findOne({ user: userId, type, isOpen: true }),
+     Promotion.findOne({ user: userId, type, isOpen: false }).sort({ finishedAt: -1 }),
+   ]);
+
+   if (!user) {
+     throw new AppError('User not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.USER_NOT_FOUND);
+   }
+
+   const available = type === PROMOTION_TYPES.BOOST
+     ? {
+       allowance: user.getRemainingAllowance('monthlyBoosts'),
+       purchased: inventory?.boosts || 0,
+     }
+     : {
+       coins: inventory?.coins || 0,
+       cost: PROMOTION_CONFIG[type].coins,
+     };
+
+   return {
+     type,
+     current: current ? { ...this.formatPromotion(current), ...(await this.getQueueInfo(current)) } : null,
+     last: last ? this.formatPromotion(last) : null,
+     available,
+   };
+ }
+
+ /**
+  * Queue position and a rough start time for a waiting promotion
+  */
+ async getQueueInfo(promotion) {
+   if (promotion.status !== PROMOTION_STATUS.QUEUED) return {};
+
+   const [ahead, active] = await Promise.all([
+     Promotion.countDocuments({
+       region: promotion.region,
+       type: promotion.type,
+       status: PROMOTION_STATUS.QUEUED,
+       requestedAt: { $lt: promotion.requestedAt },
+     }),
+     Promotion.find({ region: promotion.region, type: promotion.type, status: PROMOTION_STATUS.ACTIVE })
+       .select('endsAt')
+       .sort({ endsAt: 1 })
+       .lean(),
+   ]);
+
+   return {
+     queuePosition: ahead + 1,
+     estimatedStartAt: active[ahead]?.endsAt || null,
+   };
+ }
+
+ formatPromotion(promotion) {
+   const remaining = promotion.status === PROMOTION_STATUS.ACTIVE
+     ? Math.max(0, Math.round((promotion.endsAt - Date.now()) / 1000))
+     : null;
+
+   return {
+     id: promotion._id,
+     type: promotion.type,
+     status: promotion.status,
+     requestedAt: promotion.requestedAt,
+     startedAt: promotion.startedAt || null,
+     endsAt: promotion.endsAt || null,
+     remainingSeconds: remaining,
+     impressions: promotion.impressions,
+     guaranteedImpressions: promotion.guaranteedImpressions,
+     report: promotion.report?.viewsMultiplier !== undefined ? promotion.report : null,
+     refund: promotion.refund?.refundedAt ? promotion.refund : null,
+   };
+ }
+}
+
+export default new PromotionService();
@@ -0,0 +1,69 @@
+// src/modules/sticker/sticker.model.js
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+/**
+* Sticker Schema - One image in a sticker pack. Removed stickers are kept
+* (inactive) so old messages still render and clients can sync the removal.
+*/
+const stickerSchema = new Schema(
+ {
+   pack: {
+     type: Schema.Types.ObjectId,
+     ref: 'StickerPack',
+     required: true,
+   },
+
+   name: {
+     type: String,
+     trim: true,
+     maxlength: 50,
+   },
+
+   // Emoji the sticker stands for, used for suggestions and search
+   emoji: [String],
+
+   url: {
+     type: String,
+     required: true,
+   },
+   thumbnailUrl: String,
+   publicId: String,
+   storageProvider: String,
+   width: Number,
+   height: Number,
+
+   sortOrder: {
+     type: Number,
+     default: 0,
+   },
+
+   active: {
+     type: Boolean,
+     default: true,
+   },
+
+   // Pack versions this sticker was added and removed in
+   addedInVersion: {
+     type: Number,
+     required: true,
+   },
+   removedInVersion: Number,
+ },
+ {
+   timestamps: true,
+ }
+);
+
+// ============================
+// Indexes
+// ============================
+
+stickerSchema.index({ pack: 1, active: 1, sortOrder: 1 });
+stickerSchema.index({ pack: 1, addedInVersion: 1 });
+stickerSchema.index({ pack: 1, removedInVersion: 1 });
+
+const Sticker = mongoose.model('Sticker', stickerSchema);
+
+export default Sticker;
@@ -0,0 +1,456 @@
+// src/modules/sticker/sticker.service.js
+import mongoose from 'mongoose';
+import StickerPack from './stickerPack.model.js';
+import Sticker from './sticker.model.js';
+import StickerLibrary from './stickerLibrary.model.js';
+import User from '../user/user.model.js';
+import MediaService from '../media/media.service.js';
+import logger from '../../shared/utils/logger.js';
+import MetricsService from '../../shared/services/metrics.service.js';
+import AppError from '../../shared/errors/AppError.js';
+import { ONE_TIME_PURCHASES } from '../payment/payment.constants.js';
+import {
+ STICKER_PACK_STATUS,
+ STICKER_CONSTANTS,
+ SUBSCRIPTION_TYPES,
+ ERROR_CODES,
+ HTTP_STATUS,
+} from '../../config/constants.js';
+
+const TIER_RANK = {
+ [SUBSCRIPTION_TYPES.FREE]: 0,
+ [SUBSCRIPTION_TYPES.PLUS]: 1,
+ [SUBSCRIPTION_TYPES.GOLD]: 2,
+ [SUBSCRIPTION_TYPES.PLATINUM]: 3,
+};
+
+const EDITABLE_PACK_FIELDS = ['name', 'description', 'artist', 'minTier', 'product', 'sortOrder'];
+
+/**
+* Sticker Service
+* Sticker pack catalog, who can use which pack (free, subscription tier or
+* purchase), recently used stickers and admin pack management. Sticker
+* images go through the media pipeline like any other upload.
+*/
+class StickerService {
+ // ========================
+ // CATALOG
+ // ========================
+
+ /**
+  * Published packs, plus retired ones the user owns, with what's unlocked
+  */
+ async getPacks(userId) {
+   const { tier, library } = await this.loadEntitlements(userId);
+   const owned = library?.packs.map((p) => p.pack) || [];
+
+   const packs = await StickerPack.find({
+     $or: [
+       { status: STICKER_PACK_STATUS.PUBLISHED },
+       { status: STICKER_PACK_STATUS.RETIRED, _id: { $in: owned } },
+     ],
+   }).sort({ sortOrder: 1, createdAt: 1 });
+
+   return packs.map((pack) => this.formatPack(pack, this.getAccess(pack, { tier, library })));
+ }
+
+ /**
+  * A pack with its stickers. With `since` (a pack version the client has
+  * cached) only the stickers added or removed after it are returned.
+  */
+ async getPack(userId, packId, { since } = {}) {
+   const { tier, library } = await this.loadEntitlements(userId);
+   const pack = await this.findVisiblePack(packId, library);
+   const formatted = this.formatPack(pack, this.getAccess(pack, { tier, library }));
+
+   if (since !== undefined && since >= pack.version) {
+     return { pack: formatted, unchanged: true, stickers: [], removed: [] };
+   }
+
+   if (since !== undefined && since > 0) {
+     const [added, removed] = await Promise.all([
+       Sticker.find({ pack: pack._id, active: true, addedInVersion: { $gt: since } }).sort({ sortOrder: 1 }),
+       Sticker.find({ pack: pack._id, removedInVersion: { $gt: since }, addedInVersion: { $lte: since } }).select('_id'),
+     ]);
+
+     return {
+       pack: formatted,
+       unchanged: false,
+       stickers: added.map((s) => this.formatSticker(s)),
+       removed: removed.map((s) => s._id),
+     };
+   }
+
+   const stickers = await Sticker.find({ pack: pack._id, active: true }).sort({ sortOrder: 1 });
+   return { pack: formatted, unchanged: false, stickers: stickers.map((s) => this.formatSticker(s)), removed: [] };
+ }
+
+ /**
+  * Recently used stickers the user can still send, newest first
+  */
+ async getRecentStickers(userId) {
+   const { tier, library } = await this.loadEntitlements(userId);
+   if (!library?.recent.length) return [];
+
+   const stickers = await Sticker.find({ _id: { $in: library.recent.map((r) => r.sticker) }, active: true })
+     .populate('pack');
+   const byId = new Map(stickers.map((s) => [s._id.toString(), s]));
+
+   return library.recent
+     .map((r) => byId.get(r.sticker.toString()))
+     .filter((s) => s?.pack && this.getAccess(s.pack, { tier, library }).unlocked)
+     .map((s) => this.formatSticker(s));
+ }
+
+ // ========================
+ // SENDING
+ // ========================
+
+ /**
+  * Look up a sticker the user is allowed to send
+  */
+ async resolveSticker(userId, stickerId) {
+   const sticker = mongoose.isValidObjectId(stickerId)
+     ? await Sticker.findOne({ _id: stickerId, active: true }).populate('pack')
+     : null;
+
+   if (!sticker?.pack || sticker.pack.status === STICKER_PACK_STATUS.DRAFT) {
+     throw new AppError('Sticker not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.STICKER_NOT_FOUND);
+   }
+
+   const { tier, library } = await this.loadEntitlements(userId);
+   if (!this.getAccess(sticker.pack, { tier, library }).unlocked) {
+     throw new AppError(this.describeLock(sticker.pack), HTTP_STATUS.FORBIDDEN, ERROR_CODES.STICKER_PACK_LOCKED);
+   }
+
+   return sticker;
+ }
+
+ /**
+  * Content for a sticker message, from the catalog rather than the client
+  */
+ async prepareMessageContent(userId, stickerId) {
+   const sticker = await this.resolveSticker(userId, stickerId);
+
+   return {
+     stickerId: sticker._id.toString(),
+     stickerPack: sticker.pack._id.toString(),
+     stickerUrl: sticker.url,
+   };
+ }
+
+ async recordUse(userId, stickerId) {
+   try {
+     await StickerLibrary.recordUse(userId, stickerId);
+   } catch (error) {
+     logger.warn(`Could not record sticker ${stickerId} use for user ${userId}:`, error);
+   }
+ }
+
+ // ========================
+ // PURCHASES
+ // ========================
+
+ /**
+  * Unlock the pack sold as `product` after a verified purchase. Crediting
+  * the same purchase twice is harmless.
+  */
+ async creditPurchase(userId, { product, transactionId }) {
+   const pack = product ? await StickerPack.findOne({ product }) : null;
+   if (!pack) {
+     throw new AppError('Sticker pack not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.STICKER_PACK_NOT_FOUND);
+   }
+
+   const added = await StickerLibrary.addPack(userId, pack._id, { source: 'purchase', transaction: transactionId });
+   if (added) {
+     MetricsService.incrementCounter('stickers.pack_purchased', 1, { pack: pack.slug });
+   } else {
+     logger.warn(`User ${userId} already owns sticker pack ${pack.slug}`);
+   }
+
+   return this.formatPack(pack, { unlocked: true, via: 'purchase' });
+ }
+
+ // ========================
+ // ADMIN
+ // ========================
+
+ /**
+  * Every pack, drafts included
+  */
+ async listAllPacks() {
+   const packs = await StickerPack.find({}).sort({ status: 1, sortOrder: 1, createdAt: 1 });
+   return packs.map((pack) => this.formatPack(pack));
+ }
+
+ async createPack(adminId, data) {
+   this.assertProduct(data.product);
+
+   try {
+     const pack = await StickerPack.create({
+       slug: data.slug || this.slugify(data.name),
+       name: data.name,
+       description: data.description,
+       artist: data.artist,
+       minTier: data.minTier || null,
+       product: data.product || null,
+       sortOrder: data.sortOrder,
+       createdBy: adminId,
+     });
+
+     return this.formatPack(pack);
+   } catch (error) {
+     throw this.duplicateError(error);
+   }
+ }
+
+ /**
+  * Edit pack details. Bumps the version so clients refresh the pack.
+  */
+ async updatePack(packId, data) {
+   this.assertProduct(data.product);
+
+   const $set = {};
+   for (const field of EDITABLE_PACK_FIELDS) {
+     if (data[field] !== undefined) {
+       $set[field] = data[field] === '' ? null : data[field];
+     }
+   }
+
+   try {
+     const pack = await StickerPack.findByIdAndUpdate(packId, { $set, $inc: { version: 1 } }, { new: true, runValidators: true });
+     if (!pack) {
+       throw new AppError('Sticker pack not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.STICKER_PACK_NOT_FOUND);
+     }
+
+     return this.formatPack(pack);
+   } catch (error) {
+     throw this.duplicateError(error);
+   }
+ }
+
+ /**
+  * Publish, retire or unpublish a pack. Only packs with stickers go live.
+  */
+ async setPackStatus(packId, status) {
+   const filter = { _id: packId };
+   const $set = { status };
+
+   if (status === STICKER_PACK_STATUS.PUBLISHED) {
+     filter.stickerCount = { $gt: 0 };
+     $set.publishedAt = new Date();
+   }
+
+   const pack = await StickerPack.findOneAndUpdate(filter, { $set, $inc: { version: 1 } }, { new: true });
+   if (!pack) {
+     const exists = await StickerPack.exists({ _id: packId });
+     if (!exists) {
+       throw new AppError('Sticker pack not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.STICKER_PACK_NOT_FOUND);
+     }
+     throw new AppError('Add stickers before publishing the pack', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.VALIDATION_ERROR);
+   }
+
+   return this.formatPack(pack);
+ }
+
+ /**
+  * Upload a sticker image into a pack through the media pipeline
+  */
+ async addSticker(adminId, packId, file, { name, emoji = [], sortOrder } = {}) {
+   const pack = await StickerPack.findById(packId);
+   if (!pack) {
+     throw new AppError('Sticker pack not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.STICKER_PACK_NOT_FOUND);
+   }
+   if (pack.stickerCount >= STICKER_CONSTANTS.MAX_STICKERS_PER_PACK) {
+     throw new AppError(
+       `A pack can hold at most ${STICKER_CONSTANTS.MAX_STICKERS_PER_PACK} stickers`,
+       HTTP_STATUS.BAD_REQUEST,
+       ERROR_CODES.VALIDATION_ERROR
+     );
+   }
+
+   const media = await MediaService.uploadMedia(file, adminId.toString(), {
+     format: 'webp',
+     maxWidth: STICKER_CONSTANTS.IMAGE_SIZE,
+     maxHeight: STICKER_CONSTANTS.IMAGE_SIZE,
+     folder: `stickers/${pack.slug}`,
+     skipLimitCheck: true,
+   });
+   if (media.type !== 'image') {
+     throw new AppError('Stickers must be images', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.INVALID_FILE_TYPE);
+   }
+
+   // The count check is repeated atomically in case of concurrent uploads
+   const updated = await StickerPack.findOneAndUpdate(
+     { _id: pack._id, stickerCount: { $lt: STICKER_CONSTANTS.MAX_STICKERS_PER_PACK } },
+     { $inc: { version: 1, stickerCount: 1 } },
+     { new: true }
+   );
+   if (!updated) {
+     throw new AppError(
+       `A pack can hold at most ${STICKER_CONSTANTS.MAX_STICKERS_PER_PACK} stickers`,
+       HTTP_STATUS.BAD_REQUEST,
+       ERROR_CODES.VALIDATION_ERROR
+     );
+   }
+
+   const scale = Math.min(1, STICKER_CONSTANTS.IMAGE_SIZE / Math.max(media.metadata?.width || 1, media.metadata?.height || 1));
+   const sticker = await Sticker.create({
+     pack: pack._id,
+     name,
+     emoji,
+     url: media.url,
+     thumbnailUrl: media.thumbnailUrl,
+     publicId: media.id,
+     storageProvider: media.storageProvider,
+     width: media.metadata?.width ? Math.round(media.metadata.width * scale) : undefined,
+     height: media.metadata?.height ? Math.round(media.metadata.height * scale) : undefined,
+     sortOrder: sortOrder ?? updated.stickerCount,
+     addedInVersion: updated.version,
+   });
+
+   if (!updated.previewUrl) {
+     await StickerPack.updateOne({ _id: pack._id, previewUrl: { $exists: false } }, { $set: { previewUrl: sticker.url } });
+   }
+
+   return this.formatSticker(sticker);
+ }
+
+ /**
+  * Take a sticker out of a pack. Messages that already use it keep working.
+  */
+ async removeSticker(packId, stickerId) {
+   const sticker = mongoose.isValidObjectId(stickerId)
+     ? await Sticker.findOneAndUpdate({ _id: stickerId, pack: packId, active: true }, { $set: { active: false } }, { new: true })
+     : null;
+   if (!sticker) {
+     throw new AppError('Sticker not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.STICKER_NOT_FOUND);
+   }
+
+   const pack = await StickerPack.findByIdAndUpdate(
+     packId,
+     { $inc: { version: 1, stickerCount: -1 } },
+     { new: true }
+   );
+   await Sticker.updateOne({ _id: sticker._id }, { $set: { removedInVersion: pack.version } });
+
+   return this.formatPack(pack);
+ }
+
+ // ========================
+ // HELPERS
+ // ========================
+
+ /**
+  * How a pack is unlocked for a user, if at all. Retired packs stay
+  * usable only for people who bought them.
+  */
+ getAccess(pack, { tier, library }) {
+   if (library?.ownsPack(pack._id)) {
+     return { unlocked: true, via: 'purchase' };
+   }
+   if (pack.status === STICKER_PACK_STATUS.RETIRED) {
+     return { unlocked: false, via: null };
+   }
+   if (pack.isFree()) {
+     return { unlocked: true, via: 'free' };
+   }
+   if (pack.minTier && TIER_RANK[tier] >= TIER_RANK[pack.minTier]) {
+     return { unlocked: true, via: 'subscription' };
+   }
+   return { unlocked: false, via: null };
+ }
+
+ describeLock(pack) {
+   if (pack.minTier && pack.product) {
+     return `Buy this sticker pack or upgrade to ${pack.minTier} to use it`;
+   }
+   if (pack.minTier) {
+     return `Upgrade to ${pack.minTier} to use this sticker pack`;
+   }
+   return 'Buy this sticker pack to use it';
+ }
+
+ async loadEntitlements(userId) {
+   const [user, library] = await Promise.all([
+     User.findById(userId).select('subscription'),
+     StickerLibrary.findOne({ user: userId }),
+   ]);
+
+   return { tier: user?.getLimitTier() || SUBSCRIPTION_TYPES.FREE, library };
+ }
+
+ /**
+  * Packs users can open: published ones, and retired ones they own
+  */
+ async findVisiblePack(packId, library) {
+   const pack = mongoose.isValidObjectId(packId) ? await StickerPack.findById(packId) : null;
+   const visible = pack && (
+     pack.status === STICKER_PACK_STATUS.PUBLISHED ||
+     (pack.status === STICKER_PACK_STATUS.RETIRED && library?.ownsPack(pack._id))
+   );
+
+   if (!visible) {
+     throw new AppError('Sticker pack not found', HTTP_STATUS.NOT_FOUND, ERROR_CODES.STICKER_PACK_NOT_FOUND);
+   }
+
+   return pack;
+ }
+
+ assertProduct(product) {
+   if (product && !Object.prototype.hasOwnProperty.call(ONE_TIME_PURCHASES.stickerPacks, product)) {
+     throw new AppError('Unknown sticker pack product', HTTP_STATUS.BAD_REQUEST, ERROR_CODES.VALIDATION_ERROR);
+   }
+ }
+
+ duplicateError(error) {
+   if (error.code === 11000) {
+     const field = Object.keys(error.keyPattern || {})[0] || 'slug';
+     return new AppError(`A sticker pack with this ${field} already exists`, HTTP_STATUS.CONFLICT, ERROR_CODES.ALREADY_EXISTS);
+   }
+   return error;
+ }
+
+ slugify(name = '') {
+   return name
+     .toLowerCase()
+     .normalize('NFD')
+     .replace(/[̀-ͯ]/g, '')
+     .replace(/[^a-z0-9]+/g, '-')
+     .replace(/^-+|-+$/g, '');
+ }
+
+ formatPack(pack, access) {
+   const price = pack.product ? ONE_TIME_PURCHASES.stickerPacks[pack.product] : null;
+
+   return {
+     id: pack._id,
+     slug: pack.slug,
+     name: pack.name,
+     description: pack.description,
+     artist: pack.artist,
+     status: pack.status,
+     version: pack.version,
+     stickerCount: pack.stickerCount,
+     previewUrl: pack.previewUrl,
+     minTier: pack.minTier,
+     price: price ? { product: pack.product, amount: price.amount, currency: 'USD' } : null,
+     ...(access && { unlocked: access.unlocked, unlockedVia: access.via }),
+   };
+ }
+
+ formatSticker(sticker) {
+   return {
+     id: sticker._id,
+     packId: sticker.pack?._id || sticker.pack,
+     name: sticker.name,
+     emoji: sticker.emoji,
+     url: sticker.url,
+     thumbnailUrl: sticker.thumbnailUrl,
+     width: sticker.width,
+     height: sticker.height,
+   };
+ }
+}
+
+export default new StickerService();
@@ -0,0 +1,123 @@
+// src/modules/sticker/stickerLibrary.model.js
+import mongoose from 'mongoose';
+import { STICKER_CONSTANTS } from '../../config/constants.js';
+
+const { Schema } = mongoose;
+
+/**
+* Sticker Library Schema - The sticker packs a user owns and the stickers
+* they used most recently. Packs unlocked by a subscription are not stored;
+* they are worked out from the user's tier when needed.
+*/
+const stickerLibrarySchema = new Schema(
+ {
+   user: {
+     type: Schema.Types.ObjectId,
+     ref: 'User',
+     required: true,
+     unique: true,
+   },
+
+   packs: [
+     {
+       _id: false,
+       pack: {
+         type: Schema.Types.ObjectId,
+         ref: 'StickerPack',
+         required: true,
+       },
+       source: {
+         type: String,
+         enum: ['purchase', 'grant'],
+         default: 'purchase',
+       },
+       transaction: {
+         type: Schema.Types.ObjectId,
+         ref: 'Transaction',
+       },
+       acquiredAt: {
+         type: Date,
+         default: Date.now,
+       },
+     },
+   ],
+
+   // Newest first, capped at STICKER_CONSTANTS.MAX_RECENT
+   recent: [
+     {
+       _id: false,
+       sticker: {
+         type: Schema.Types.ObjectId,
+         ref: 'Sticker',
+         required: true,
+       },
+       usedAt: {
+         type: Date,
+         default: Date.now,
+       },
+     },
+   ],
+ },
+ {
+   timestamps: true,
+ }
+);
+
+// ============================
+// Methods
+// ============================
+
+stickerLibrarySchema.methods.ownsPack = function (packId) {
+ return this.packs.some((p) => p.pack.toString() === packId.toString());
+};
+
+// ============================
+// Statics
+// ============================
+
+/**
+* Add a pack to the user's library. Owning a pack twice is a no-op.
+* @returns {Promise<boolean>} - whether the pack was newly added
+*/
+stickerLibrarySchema.statics.addPack = async function (userId, packId, { source = 'purchase', transaction } = {}) {
+ await this.updateOne(
+   { user: userId },
+   { $setOnInsert: { user: userId } },
+   { upsert: true }
+ );
+
+ const result = await this.updateOne(
+   { user: userId, 'packs.pack': { $ne: packId } },
+   { $push: { packs: { pack: packId, source, transaction, acquiredAt: new Date() } } }
+ );
+
+ return result.modifiedCount > 0;
+};
+
+/**
+* Move a sticker to the front of the recently-used list
+*/
+stickerLibrarySchema.statics.recordUse = async function (userId, stickerId, usedAt = new Date()) {
+ await this.updateOne(
+   { user: userId },
+   { $pull: { recent: { sticker: stickerId } } },
+   { upsert: true }
+ );
+
+ return this.updateOne(
+   { user: userId },
+   {
+     $push: {
+       recent: {
+         $each: [{ sticker: stickerId, usedAt }],
+         $position: 0,
+         $slice: STICKER_CONSTANTS.MAX_RECENT,
+       },
+     },
+   }
+ );
+};
+
+const StickerLibrary = mongoose.model('StickerLibrary', stickerLibrarySchema);
+
+export default StickerLibrary;
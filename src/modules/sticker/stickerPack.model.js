@@ -0,0 +1,112 @@
+// src/modules/sticker/stickerPack.model.js
+import mongoose from 'mongoose';
+import { STICKER_PACK_STATUS, SUBSCRIPTION_TYPES } from '../../config/constants.js';
+
+const { Schema } = mongoose;
+
+/**
+* Sticker Pack Schema - A set of stickers managed by admins.
+* `version` is bumped on every change to the pack or its stickers; stickers
+* record the version they were added (and removed) in so clients can sync
+* only what changed.
+*/
+const stickerPackSchema = new Schema(
+ {
+   slug: {
+     type: String,
+     required: true,
+     unique: true,
+     lowercase: true,
+     trim: true,
+   },
+
+   name: {
+     type: String,
+     required: true,
+     trim: true,
+     maxlength: 50,
+   },
+
+   description: {
+     type: String,
+     trim: true,
+     maxlength: 200,
+   },
+
+   artist: {
+     type: String,
+     trim: true,
+     maxlength: 50,
+   },
+
+   status: {
+     type: String,
+     enum: Object.values(STICKER_PACK_STATUS),
+     default: STICKER_PACK_STATUS.DRAFT,
+   },
+
+   // Lowest subscription tier that unlocks the pack (null: not a perk)
+   minTier: {
+     type: String,
+     enum: [...Object.values(SUBSCRIPTION_TYPES).filter((t) => t !== SUBSCRIPTION_TYPES.FREE), null],
+     default: null,
+   },
+
+   // Key of ONE_TIME_PURCHASES.stickerPacks (null: not for sale)
+   product: {
+     type: String,
+     default: null,
+   },
+
+   version: {
+     type: Number,
+     default: 1,
+   },
+
+   stickerCount: {
+     type: Number,
+     default: 0,
+     min: 0,
+   },
+
+   previewUrl: String,
+
+   sortOrder: {
+     type: Number,
+     default: 0,
+   },
+
+   publishedAt: Date,
+
+   createdBy: {
+     type: Schema.Types.ObjectId,
+     ref: 'User',
+   },
+ },
+ {
+   timestamps: true,
+ }
+);
+
+// ============================
+// Indexes
+// ============================
+
+stickerPackSchema.index({ status: 1, sortOrder: 1 });
+// One pack per product, so a purchase always unlocks exactly one pack
+stickerPackSchema.index({ product: 1 }, { unique: true, partialFilterExpression: { product: { $type: 'string' } } });
+
+// ============================
+// Methods
+// ============================
+
+/**
+* Free packs need neither a subscription nor a purchase
+*/
+stickerPackSchema.methods.isFree = function () {
+ return !this.minTier && !this.product;
+};
+
+const StickerPack = mongoose.model('StickerPack', stickerPackSchema);
+
+export default StickerPack;
@@ -1,5 +1,6 @@
 // src/modules/user/user.controller.js
 import UserService from './user.service.js';
+import PushService from '../notification/push.service.js';
 import { asyncHandler } from '../../shared/utils/asyncHandler.js';
 import {
  successResponse,
@@ -164,12 +165,13 @@ class UserController {
   */
  updateLocation = asyncHandler(async (req, res) => {
    const userId = req.user._id.toString();
-   const { latitude, longitude, address } = req.body;
+   const { latitude, longitude, address, timezone } = req.body;
 
    const location = await UserService.updateLocation(userId, {
      latitude,
      longitude,
      address,
+     timezone,
    });
 
    return successResponse(res, location, 'Location updated successfully');
@@ -408,27 +410,25 @@ class UserController {
   */
  registerPushToken = asyncHandler(async (req, res) => {
    const userId = req.user._id.toString();
-   const { token, platform } = req.body;
-
-   // Add token to user's push tokens
-   const updates = {
-     $addToSet: {
-       'notifications.push.tokens': {
-         token,
-         platform,
-         addedAt: new Date(),
-       },
-     },
-   };
+   const { token, platform, appVersion, deviceId, locale } = req.body;
 
-   await User.findByIdAndUpdate(userId, updates);
-
-   // Register with notification service
-   await NotificationService.registerFCMToken(userId, token, { platform });
+   await PushService.registerDevice(userId, { token, platform, appVersion, deviceId, locale });
 
    return successResponse(res, null, 'Push token registered successfully');
  });
 
+ /**
+  * Unregister push token (logout)
+  * @route DELETE /api/users/push-token
+  */
+ unregisterPushToken = asyncHandler(async (req, res) => {
+   const userId = req.user._id.toString();
+
+   await PushService.unregisterDevice(userId, req.body.token);
+
+   return successResponse(res, null, 'Push token removed successfully');
+ });
+
  /**
   * Pause/unpause account
   * @route PUT /api/users/pause
@@ -464,18 +464,7 @@ class UserController {
   */
  applyBoost = asyncHandler(async (req, res) => {
    const userId = req.user._id.toString();
-   const { type = 'regular', duration = 30 } = req.body;
-
-   // Check if user has boosts available
-   const user = req.user;
-   if (!user.isPremium) {
-     const monthlyLimit = 1;
-     if (user.limits?.monthlyBoosts?.count >= monthlyLimit) {
-       return forbiddenResponse(res, 'No boosts available. Upgrade to premium for more boosts');
-     }
-   }
-
-   const result = await UserService.applyBoost(userId, type, duration);
+   const result = await UserService.applyBoost(userId);
 
    return successResponse(res, result, result.message);
  });
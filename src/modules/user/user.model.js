@@ -9,8 +9,16 @@ import {
   EDUCATION_LEVELS,
   RELATIONSHIP_GOALS,
   SUBSCRIPTION_TYPES,
+  SUBSCRIPTION_FEATURES,
   USER_CONSTANTS,
+  EXPLORE_CATEGORIES,
+  ACTIVITY_CONSTANTS,
+  TRANSLATION_LANGUAGES,
 } from "../../config/constants.js";
+import {
+  getNextLocalMidnight,
+  getNextLocalMonthStart,
+} from "../../shared/utils/helpers.js";
 
 const { Schema } = mongoose;
 
@@ -26,10 +34,16 @@ const PhotoSchema = new Schema({
     type: String,
     required: true,
   },
+  // Storage key (public_id) - named for the original Cloudinary-only setup
   cloudinaryId: {
     type: String,
     required: true,
   },
+  storageProvider: {
+    type: String,
+    enum: ['cloudinary', 's3', 'local'],
+    default: 'cloudinary',
+  },
   order: {
     type: Number,
     required: true,
@@ -88,6 +102,100 @@ const LocationSchema = new Schema({
   },
 });
 
+/**
+ * Passport Point Sub-Schema (GeoJSON)
+ * Kept separate from LocationSchema so the virtual location never carries
+ * the real address or picks up a second coordinates index.
+ */
+const PassportPointSchema = new Schema(
+  {
+    type: {
+      type: String,
+      enum: ["Point"],
+      required: true,
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      required: true,
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * Passport Destination Sub-Schema
+ */
+const PassportDestinationSchema = new Schema(
+  {
+    location: {
+      type: PassportPointSchema,
+      required: true,
+    },
+    city: String,
+    country: String,
+    lastVisitedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * Explore Membership Sub-Schema
+ * A category the user joined, shown as a badge on their card
+ */
+const ExploreMembershipSchema = new Schema(
+  {
+    category: {
+      type: String,
+      enum: Object.values(EXPLORE_CATEGORIES),
+      required: true,
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Only set for time-limited categories
+    expiresAt: Date,
+  },
+  { _id: false },
+);
+
+/**
+ * Trusted Contact Sub-Schema
+ * Someone outside the app who receives the user's date plans and check-in
+ * alerts by SMS and/or email
+ */
+const TrustedContactSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 50,
+    },
+    phone: {
+      type: String,
+      trim: true,
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+    relationship: {
+      type: String,
+      trim: true,
+      maxlength: 30,
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+);
+
 /**
  * Main User Schema
  */
@@ -402,6 +510,18 @@ const UserSchema = new Schema(
         enum: ["km", "mi"],
         default: "km",
       },
+
+      // Chat language; unset means metadata.locale
+      language: {
+        type: String,
+        enum: TRANSLATION_LANGUAGES,
+      },
+
+      // Translate incoming messages into the chat language
+      autoTranslate: {
+        type: Boolean,
+        default: false,
+      },
     },
 
     // ========================
@@ -473,8 +593,71 @@ const UserSchema = new Schema(
       },
     },
 
+    // ========================
+    // PASSPORT (virtual location)
+    // profile.location always stays the real location
+    // ========================
+    passport: {
+      active: {
+        type: Boolean,
+        default: false,
+      },
+
+      location: PassportPointSchema,
+
+      city: String,
+
+      country: String,
+
+      activatedAt: Date,
+
+      lastJumpAt: Date,
+
+      recentDestinations: [PassportDestinationSchema],
+    },
+
+    // ========================
+    // EXPLORE
+    // ========================
+    explore: {
+      categories: [ExploreMembershipSchema],
+
+      // Saved overrides applied to every explore pool
+      filters: {
+        maxDistance: {
+          type: Number,
+          min: USER_CONSTANTS.MIN_SEARCH_RADIUS,
+          max: USER_CONSTANTS.MAX_SEARCH_RADIUS,
+        },
+        ageRange: {
+          min: {
+            type: Number,
+            min: USER_CONSTANTS.MIN_AGE,
+          },
+          max: {
+            type: Number,
+            max: USER_CONSTANTS.MAX_AGE,
+          },
+        },
+      },
+    },
+
+    // ========================
+    // SAFETY
+    // ========================
+    safety: {
+      trustedContacts: [TrustedContactSchema],
+    },
+
+    // Last profile change matches hear about in their activity feed
+    profileUpdate: {
+      at: Date,
+      changes: [String],
+    },
+
     // ========================
     // LIMITS & QUOTAS
+    // Reset at local midnight by the limits job (src/jobs/limitsJob.js)
     // ========================
     limits: {
       dailyLikes: {
@@ -748,6 +931,13 @@ const UserSchema = new Schema(
 
       bannedUntil: Date,
 
+      isShadowBanned: {
+        type: Boolean,
+        default: false,
+      },
+
+      shadowBannedAt: Date,
+
       deletedAt: Date,
 
       deletionReason: String,
@@ -771,16 +961,7 @@ const UserSchema = new Schema(
           type: Boolean,
           default: true,
         },
-        tokens: [
-          {
-            token: String,
-            platform: {
-              type: String,
-              enum: ["ios", "android", "web"],
-            },
-            addedAt: Date,
-          },
-        ],
+        // Device tokens live in the PushDevice collection (see PushService)
       },
 
       email: {
@@ -910,6 +1091,18 @@ const UserSchema = new Schema(
 
       registrationVersion: String,
 
+      // Preferred language for emails and notifications (e.g. "en", "vi")
+      locale: {
+        type: String,
+        default: "en",
+      },
+
+      // IANA timezone used for local-midnight limit resets
+      timezone: {
+        type: String,
+        default: "UTC",
+      },
+
       referralCode: String,
 
       referredBy: {
@@ -1001,12 +1194,16 @@ const UserSchema = new Schema(
 UserSchema.index({ email: 1 });
 UserSchema.index({ phoneNumber: 1 });
 UserSchema.index({ "profile.location": "2dsphere" });
+UserSchema.index({ "passport.location": "2dsphere" });
+UserSchema.index({ "explore.categories.category": 1, "explore.categories.expiresAt": 1 });
 UserSchema.index({ "scoring.eloScore": -1 });
 UserSchema.index({ "status.isActive": 1, "preferences.showMe": 1 });
 UserSchema.index({ "profile.gender": 1, "preferences.genderPreference": 1 });
 UserSchema.index({ createdAt: -1 });
 UserSchema.index({ "status.lastActive": -1 });
 UserSchema.index({ "subscription.type": 1 });
+UserSchema.index({ "limits.dailyLikes.resetAt": 1 });
+UserSchema.index({ "limits.monthlyBoosts.resetAt": 1 });
 UserSchema.index({ "metadata.referralCode": 1 });
 
 // ========================
@@ -1028,6 +1225,22 @@ UserSchema.virtual("isPremium").get(function () {
   );
 });
 
+// Passport only counts while the subscription still includes it
+UserSchema.virtual("isTraveling").get(function () {
+  return Boolean(
+    this.passport?.active &&
+      this.isPremium &&
+      SUBSCRIPTION_FEATURES[this.subscription.type]?.passport,
+  );
+});
+
+UserSchema.virtual("activeExploreCategories").get(function () {
+  const now = new Date();
+  return (this.explore?.categories || [])
+    .filter((membership) => !membership.expiresAt || membership.expiresAt > now)
+    .map((membership) => membership.category);
+});
+
 UserSchema.virtual("mainPhoto").get(function () {
   return (
     this.profile?.photos?.find((photo) => photo.isMain) ||
@@ -1152,16 +1365,7 @@ UserSchema.methods.resetLoginAttempts = function () {
 };
 
 UserSchema.methods.canSwipe = function () {
-  if (this.isPremium) return true;
-
-  const dailyLimit = USER_CONSTANTS.DAILY_LIKE_LIMIT;
-  const resetTime = this.limits.dailyLikes.resetAt;
-
-  if (!resetTime || resetTime < Date.now()) {
-    return true;
-  }
-
-  return this.limits.dailyLikes.count < dailyLimit;
+  return this.getRemainingAllowance("dailyLikes") > 0;
 };
 
 UserSchema.methods.toPublicProfile = function () {
@@ -1194,6 +1398,12 @@ UserSchema.methods.toMatchProfile = function () {
       education: this.profile.education,
       career: this.profile.career,
     },
+    travel: {
+      isTraveling: this.isTraveling,
+      city: this.isTraveling ? this.passport.city : null,
+      country: this.isTraveling ? this.passport.country : null,
+    },
+    exploreCategories: this.activeExploreCategories,
     verification: {
       photo: this.verification.photo.verified,
     },
@@ -1269,6 +1479,16 @@ UserSchema.pre("save", async function (next) {
     this.scoring.profileCompleteness = this.calculateProfileCompleteness();
   }
 
+  // Record changes worth showing in matches' activity feeds
+  if (!this.isNew) {
+    const changes = ACTIVITY_CONSTANTS.FEED_PROFILE_FIELDS.filter((field) =>
+      this.isModified(`profile.${field}`),
+    );
+    if (changes.length > 0) {
+      this.profileUpdate = { at: new Date(), changes };
+    }
+  }
+
   // Set display name if not set
   if (!this.profile.displayName && this.profile.firstName) {
     this.profile.displayName = this.profile.firstName;
@@ -1459,37 +1679,67 @@ UserSchema.methods.addDevice = async function(deviceInfo) {
  return this.save();
 };
 
-UserSchema.methods.resetDailyLimits = async function() {
- const now = new Date();
- const tomorrow = new Date(now);
- tomorrow.setDate(tomorrow.getDate() + 1);
- tomorrow.setHours(0, 0, 0, 0);
+UserSchema.statics.getLimitEntitlements = function(tier = SUBSCRIPTION_TYPES.FREE) {
+ const features = SUBSCRIPTION_FEATURES[tier] || SUBSCRIPTION_FEATURES.free;
  
- this.limits.dailyLikes = {
-   count: 0,
-   resetAt: tomorrow,
+ return {
+   dailyLikes: features.unlimitedLikes ? -1 : USER_CONSTANTS.DAILY_LIKE_LIMIT,
+   dailySuperLikes: features.superLikesPerDay,
+   monthlyBoosts: features.boostsPerMonth,
+   rewinds: features.unlimitedRewinds ? -1 : USER_CONSTANTS.DAILY_REWIND_LIMIT,
  };
+};
+
+UserSchema.methods.getLimitTier = function() {
+ return this.isPremium ? this.subscription.type : SUBSCRIPTION_TYPES.FREE;
+};
+
+/**
+ * Allowances are derived from the current tier rather than stored, so a
+ * mid-cycle upgrade grants the difference right away and a downgrade only
+ * lowers what is left (never below zero)
+ */
+UserSchema.methods.getRemainingAllowance = function(key) {
+ const limit = this.limits?.[key];
+ const allowance = this.constructor.getLimitEntitlements(this.getLimitTier())[key];
  
- this.limits.dailySuperLikes = {
-   count: 0,
-   resetAt: tomorrow,
- };
+ if (allowance === -1) return Infinity;
  
- this.limits.rewinds = {
-   count: 0,
-   resetAt: tomorrow,
- };
+ // A cycle the limits job has not reset yet counts as fresh
+ const used = !limit?.resetAt || limit.resetAt < Date.now() ? 0 : limit.count;
+ return Math.max(0, allowance - used);
+};
+
+UserSchema.methods.updateSubscription = async function({ type, validUntil, paymentMethod, stripeSubscriptionId }) {
+ const previousTier = this.getLimitTier();
+ 
+ this.subscription.type = type;
+ this.subscription.validUntil = validUntil;
+ this.subscription.features = SUBSCRIPTION_FEATURES[type] || SUBSCRIPTION_FEATURES.free;
+ 
+ if (type !== SUBSCRIPTION_TYPES.FREE && previousTier !== type) {
+   this.subscription.startedAt = new Date();
+ }
+ if (paymentMethod) this.subscription.paymentMethod = paymentMethod;
+ if (stripeSubscriptionId) this.subscription.stripeSubscriptionId = stripeSubscriptionId;
  
  return this.save();
 };
 
-UserSchema.methods.resetMonthlyLimits = async function() {
- const now = new Date();
- const nextMonth = new Date(now.getFullYear(), now.getMonth() + 1, 1);
+UserSchema.methods.resetDailyLimits = async function() {
+ const resetAt = getNextLocalMidnight(this.metadata?.timezone);
+ 
+ for (const key of ["dailyLikes", "dailySuperLikes", "rewinds"]) {
+   this.limits[key] = { count: 0, resetAt };
+ }
  
+ return this.save();
+};
+
+UserSchema.methods.resetMonthlyLimits = async function() {
  this.limits.monthlyBoosts = {
    count: 0,
-   resetAt: nextMonth,
+   resetAt: getNextLocalMonthStart(this.metadata?.timezone),
  };
  
  return this.save();
@@ -1523,22 +1773,48 @@ UserSchema.methods.incrementSuperLikeCount = async function() {
  return this.save();
 };
 
-UserSchema.methods.canSuperLike = function() {
- if (this.isPremium) {
-   const limits = {
-     plus: 5,
-     gold: 5,
-     platinum: -1, // Unlimited
-   };
-   
-   const limit = limits[this.subscription.type];
-   if (limit === -1) return true;
-   
-   return this.limits.dailySuperLikes.count < limit;
+UserSchema.methods.consumeRewind = async function() {
+ if (this.getRemainingAllowance("rewinds") <= 0) {
+   return false;
+ }
+ 
+ if (!this.limits.rewinds.resetAt || this.limits.rewinds.resetAt < new Date()) {
+   await this.resetDailyLimits();
  }
  
- // Free users get 1 super like per day
- return this.limits.dailySuperLikes.count < 1;
+ this.limits.rewinds.count++;
+ await this.save();
+ 
+ return true;
+};
+
+UserSchema.methods.consumeBoost = async function() {
+ if (this.getRemainingAllowance("monthlyBoosts") <= 0) {
+   return false;
+ }
+ 
+ if (!this.limits.monthlyBoosts.resetAt || this.limits.monthlyBoosts.resetAt < new Date()) {
+   await this.resetMonthlyLimits();
+ }
+ 
+ this.limits.monthlyBoosts.count++;
+ await this.save();
+ 
+ return true;
+};
+
+UserSchema.methods.refundBoost = async function() {
+ // A boost from a cycle that has since reset is already replenished
+ if (this.limits.monthlyBoosts.count > 0 && this.limits.monthlyBoosts.resetAt > new Date()) {
+   this.limits.monthlyBoosts.count--;
+   await this.save();
+ }
+ 
+ return this;
+};
+
+UserSchema.methods.canSuperLike = function() {
+ return this.getRemainingAllowance("dailySuperLikes") > 0;
 };
 
 UserSchema.methods.updateEloScore = function(won, opponentElo) {
@@ -1619,9 +1895,10 @@ UserSchema.methods.ban = async function(reason, duration = null) {
  this.status.bannedAt = new Date();
  this.status.bannedReason = reason;
  
- if (duration) {
-   this.status.bannedUntil = new Date(Date.now() + duration * 24 * 60 * 60 * 1000);
- }
+ // A permanent ban must not inherit the end date of an earlier temporary one
+ this.status.bannedUntil = duration
+   ? new Date(Date.now() + duration * 24 * 60 * 60 * 1000)
+   : null;
  
  this.status.isActive = false;
  this.preferences.showMe = false;
@@ -1639,6 +1916,14 @@ UserSchema.methods.unban = async function() {
  return this.save();
 };
 
+UserSchema.methods.shadowBan = async function(reason) {
+ this.status.isShadowBanned = true;
+ this.status.shadowBannedAt = new Date();
+ this.status.bannedReason = reason;
+ 
+ return this.save();
+};
+
 UserSchema.methods.addAdminNote = async function(note, adminId) {
  this.adminNotes.push({
    note,
@@ -278,6 +278,18 @@ router.post(
  UserController.registerPushToken
 );
 
+/**
+* @route   DELETE /api/users/push-token
+* @desc    Unregister push notification token
+* @access  Private
+*/
+router.delete(
+ '/push-token',
+ sanitizeRequest,
+ userValidators.validateRequest(userValidators.notification.unregisterPushToken),
+ UserController.unregisterPushToken
+);
+
 // ============================
 // Discovery & Recommendations
 // ============================
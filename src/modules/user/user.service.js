@@ -2,19 +2,23 @@
 import User from './user.model.js';
 import Swipe from '../match/swipe.model.js';
 import Match from '../match/match.model.js';
+import Report from '../admin/report.model.js';
 import redis from '../../config/redis.js';
-import cloudinary from '../../config/cloudinary.js';
+import StorageService from '../media/storage.service.js';
 import logger from '../../shared/utils/logger.js';
 import AppError from '../../shared/errors/AppError.js';
 import CacheService from '../../shared/services/cache.service.js';
 import QueueService from '../../shared/services/queue.service.js';
 import MetricsService from '../../shared/services/metrics.service.js';
 import NotificationService from '../../shared/services/notification.service.js';
+import PassportService from '../match/passport.service.js';
+import PromotionService from '../promotion/promotion.service.js';
+import { PROMOTION_TYPES, PROMOTION_STATUS } from '../promotion/promotion.constants.js';
+import { calculateAge } from '../../shared/utils/helpers.js';
 import { 
  ERROR_CODES, 
  NOTIFICATION_TYPES,
- USER_CONSTANTS,
- SUBSCRIPTION_FEATURES 
+ USER_CONSTANTS
 } from '../../config/constants.js';
 import mongoose from 'mongoose';
 
@@ -196,20 +200,20 @@ class UserService {
        );
      }
 
-     // Upload to Cloudinary
-     const uploadResult = await cloudinary.uploader.upload(file.path || file.buffer, {
+     // Upload to storage
+     const uploadResult = await StorageService.upload(file.path || file.buffer, {
        folder: `users/${userId}/photos`,
        transformation: [
          { width: 800, height: 800, crop: 'limit', quality: 'auto' },
        ],
-       allowed_formats: ['jpg', 'jpeg', 'png', 'webp'],
-       resource_type: 'image',
-       type: 'upload',
-       invalidate: true,
+       allowedFormats: ['jpg', 'jpeg', 'png', 'webp'],
+       resourceType: 'image',
+       contentType: file.mimetype,
+       filename: file.originalname,
      });
 
      // Generate thumbnail
-     const thumbnailUrl = cloudinary.url(uploadResult.public_id, {
+     const thumbnailUrl = StorageService.url(uploadResult.public_id, {
        width: 200,
        height: 200,
        crop: 'fill',
@@ -222,6 +226,7 @@ class UserService {
        url: uploadResult.secure_url,
        thumbnailUrl,
        cloudinaryId: uploadResult.public_id,
+       storageProvider: uploadResult.provider,
        order: options.order ?? user.profile.photos.length,
        isMain: options.isMain || user.profile.photos.length === 0,
        isVerified: false,
@@ -306,9 +311,12 @@ class UserService {
        );
      }
 
-     // Delete from Cloudinary
+     // Delete from storage
      if (photo.cloudinaryId) {
-       await cloudinary.uploader.destroy(photo.cloudinaryId);
+       await StorageService.delete(photo.cloudinaryId, {
+         resourceType: 'image',
+         provider: photo.storageProvider,
+       });
      }
 
      // Remove photo from array
@@ -441,7 +449,7 @@ class UserService {
   */
  async updateLocation(userId, location) {
    try {
-     const { latitude, longitude, address } = location;
+     const { latitude, longitude, address, timezone } = location;
 
      // Validate coordinates
      if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
@@ -460,6 +468,11 @@ class UserService {
        updateData['profile.location.address'] = address;
      }
 
+     // Device timezone drives local-midnight limit resets (picked up at the next reset)
+     if (timezone) {
+       updateData['metadata.timezone'] = timezone;
+     }
+
      const user = await User.findByIdAndUpdate(
        userId,
        { $set: updateData },
@@ -851,36 +864,50 @@ class UserService {
        throw new AppError('User not found', 404, ERROR_CODES.USER_NOT_FOUND);
      }
 
-     if (!user.profile.location?.coordinates) {
+     // Search from the passport location while traveling
+     const searchLocation = PassportService.getEffectiveLocation(user);
+     if (!searchLocation) {
        throw new AppError('Location not set', 400, ERROR_CODES.VALIDATION_ERROR);
      }
 
-     const nearbyUsers = await User.findNearby(
-       user.profile.location.coordinates,
-       radius
+     const nearbyUsers = await User.aggregate(
+       PassportService.buildGeoNearStages(searchLocation, radius * 1000, {
+         query: {
+           _id: { $ne: user._id },
+           'status.isActive': true,
+           'preferences.showMe': true,
+         },
+       })
      );
 
-     // Filter out self and blocked users
+     // Filter out blocked users in either direction
+     const blockedByMe = new Set((user.privacy?.blockedUsers || []).map(id => id.toString()));
      const filtered = nearbyUsers.filter(
-       u => 
-         u._id.toString() !== userId &&
-         !user.privacy.blockedUsers.includes(u._id) &&
-         !u.privacy.blockedUsers.includes(userId)
+       u =>
+         !blockedByMe.has(u._id.toString()) &&
+         !(u.privacy?.blockedUsers || []).some(id => id.toString() === userId.toString())
      );
 
-     return filtered.map(u => ({
-       _id: u._id,
-       profile: {
-         firstName: u.profile.firstName,
-         displayName: u.profile.displayName,
-         photos: u.profile.photos.filter(p => p.isMain),
-         age: u.age,
-       },
-       distance: u.distance,
-       verification: {
-         photo: u.verification.photo.verified,
-       },
-     }));
+     return filtered
+       .sort((a, b) => a.distance - b.distance)
+       .map(u => ({
+         _id: u._id,
+         profile: {
+           firstName: u.profile.firstName,
+           displayName: u.profile.displayName,
+           photos: (u.profile.photos || []).filter(p => p.isMain),
+           age: calculateAge(u.profile.dateOfBirth),
+         },
+         distance: u.privacy?.hideDistance ? null : Math.round(u.distance / 100) / 10, // km
+         travel: {
+           isTraveling: u.isTraveling,
+           city: u.isTraveling ? u.passport.city || null : null,
+           country: u.isTraveling ? u.passport.country || null : null,
+         },
+         verification: {
+           photo: u.verification?.photo?.verified,
+         },
+       }));
    } catch (error) {
      logger.error(`Error finding nearby users for ${userId}:`, error);
      throw error;
@@ -1058,16 +1085,14 @@ class UserService {
 
      const { reason, description, evidence = [] } = reportData;
 
-     // Create report (assuming Report model exists)
-     const Report = mongoose.model('Report');
      const report = await Report.create({
-       reporter: reporterId,
+       reportedBy: reporterId,
        reportedUser: reportedUserId,
        reason,
        description,
        evidence,
-       status: 'pending',
-       createdAt: new Date(),
+       type: 'user',
+       priority: reason === 'inappropriate_content' ? 8 : 5,
      });
 
      // Block user automatically
@@ -1287,63 +1312,22 @@ class UserService {
  }
 
  /**
-  * Apply boost to user profile
+  * Apply boost to user profile. Boosts run through the promotion scheduler,
+  * which sets the duration and may queue the boost behind others nearby.
   * @param {string} userId - User ID
-  * @param {string} boostType - Type of boost
-  * @param {number} duration - Duration in minutes
   */
- async applyBoost(userId, boostType = 'regular', duration = 30) {
-   try {
-     const user = await User.findById(userId);
-     if (!user) {
-       throw new AppError('User not found', 404, ERROR_CODES.USER_NOT_FOUND);
-     }
-
-     // Check if user has boosts available
-     if (!user.isPremium && user.limits.monthlyBoosts.count >= 1) {
-       throw new AppError('No boosts available', 400, ERROR_CODES.LIMIT_EXCEEDED);
-     }
-
-     // Check for active boost
-     if (user.hasActiveBoost()) {
-       throw new AppError('You already have an active boost', 400, ERROR_CODES.ALREADY_EXISTS);
-     }
-
-     // Apply boost
-     await user.applyBoost(boostType, duration);
-
-     // Increment boost count
-     user.limits.monthlyBoosts.count++;
-     await user.save();
-
-     // Clear recommendation caches globally to show boosted profile
-     await CacheService.invalidatePattern('recommendations:*');
-
-     // Send notification
-     await NotificationService.sendNotification(userId, {
-       type: NOTIFICATION_TYPES.SYSTEM,
-       title: 'Boost Activated! 🚀',
-       body: `Your profile is now boosted for ${duration} minutes`,
-       data: { boostType, duration },
-     });
-
-     // Track metrics
-     await MetricsService.trackUserAction(userId, 'boost_activated', {
-       type: boostType,
-       duration,
-     });
-
-     logger.info(`Boost applied for user ${userId}`);
-
-     return {
-       success: true,
-       message: 'Boost activated successfully',
-       expiresAt: new Date(Date.now() + duration * 60000),
-     };
-   } catch (error) {
-     logger.error(`Error applying boost for user ${userId}:`, error);
-     throw error;
-   }
+ async applyBoost(userId) {
+   const status = await PromotionService.activate(userId, PROMOTION_TYPES.BOOST);
+   const { current } = status;
+
+   return {
+     success: true,
+     message: current.status === PROMOTION_STATUS.ACTIVE
+       ? 'Boost activated successfully'
+       : 'Boost queued and will start shortly',
+     expiresAt: current.endsAt,
+     ...status,
+   };
  }
 
  /**
@@ -1432,11 +1416,14 @@ class UserService {
      }
 
      // Upload verification photo
-     const uploadResult = await cloudinary.uploader.upload(verificationPhoto.path || verificationPhoto.buffer, {
+     const uploadResult = await StorageService.upload(verificationPhoto.path || verificationPhoto.buffer, {
        folder: `users/${userId}/verification`,
        transformation: [
          { width: 800, height: 800, crop: 'limit', quality: 'auto' },
        ],
+       resourceType: 'image',
+       contentType: verificationPhoto.mimetype,
+       filename: verificationPhoto.originalname,
      });
 
      // Queue for manual verification
@@ -1479,24 +1466,13 @@ class UserService {
        throw new AppError('User not found', 404, ERROR_CODES.USER_NOT_FOUND);
      }
 
-     // Update subscription
-     user.subscription.type = type;
-     user.subscription.validUntil = validUntil;
-     user.subscription.startedAt = new Date();
-     user.subscription.paymentMethod = paymentMethod;
-     user.subscription.stripeSubscriptionId = stripeSubscriptionId;
-
-     // Apply subscription features
-     user.subscription.features = SUBSCRIPTION_FEATURES[type];
-
-     // Reset limits for premium features
-     if (type !== 'free') {
-       user.limits.dailyLikes.count = 0;
-       user.limits.dailySuperLikes.count = 0;
-       user.limits.monthlyBoosts.count = 0;
-     }
-
-     await user.save();
+     // Update subscription (limit allowances follow the new tier)
+     await user.updateSubscription({
+       type,
+       validUntil,
+       paymentMethod,
+       stripeSubscriptionId,
+     });
 
      // Clear caches
      await CacheService.invalidateUser(userId);
@@ -1,6 +1,7 @@
 // src/modules/user/user.validation.js
 import { body, param, query, check } from "express-validator";
 import mongoose from "mongoose";
+import { isValidTimezone } from "../../shared/utils/helpers.js";
 import {
   GENDER_OPTIONS,
   SEXUAL_ORIENTATION,
@@ -50,6 +51,16 @@ const customValidators = {
     return true;
   },
 
+  /**
+   * Validate IANA timezone
+   */
+  isValidTimezone: (value) => {
+    if (!isValidTimezone(value)) {
+      throw new Error("Invalid timezone");
+    }
+    return true;
+  },
+
   /**
    * Validate photo array
    */
@@ -460,6 +471,10 @@ export const locationValidators = {
       .trim()
       .matches(/^[A-Z0-9\s-]+$/i)
       .withMessage("Invalid postal code format"),
+
+    body("timezone")
+      .optional()
+      .custom(customValidators.isValidTimezone),
   ],
 
   /**
@@ -785,6 +800,26 @@ export const notificationValidators = {
       .notEmpty()
       .isIn(["ios", "android", "web"])
       .withMessage("Invalid platform"),
+
+    body("appVersion")
+      .optional()
+      .matches(/^\d+(\.\d+){0,2}$/)
+      .withMessage("App version must look like 1.2.3"),
+
+    body("deviceId")
+      .optional()
+      .isString()
+      .isLength({ max: 200 })
+      .withMessage("Invalid device ID"),
+
+    body("locale")
+      .optional()
+      .isLength({ min: 2, max: 10 })
+      .withMessage("Invalid locale"),
+  ],
+
+  unregisterPushToken: [
+    body("token").notEmpty().trim().withMessage("Push token is required"),
   ],
 };
 
@@ -0,0 +1,82 @@
+// src/scripts/analyticsBackfill.js
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Load environment variables
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.join(__dirname, '../../.env') });
+
+const { default: Database } = await import('../config/database.js');
+const { default: AnalyticsJob } = await import('../jobs/analyticsJob.js');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const usage = () => {
+  console.log('Usage: npm run analytics:backfill -- --from YYYY-MM-DD [--to YYYY-MM-DD] [--skip-existing]');
+  console.log('');
+  console.log('  --from           First day to compute (UTC)');
+  console.log('  --to             Last day to compute (UTC), defaults to yesterday');
+  console.log('  --skip-existing  Keep snapshots already computed with the current version');
+};
+
+const getArg = (name) => {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+};
+
+const yesterday = () => {
+  const date = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  return date.toISOString().slice(0, 10);
+};
+
+async function main() {
+  if (process.argv.includes('--help') || process.argv.includes('-h')) {
+    usage();
+    process.exit(0);
+  }
+
+  const from = getArg('--from');
+  const to = getArg('--to') || yesterday();
+  const skipExisting = process.argv.includes('--skip-existing');
+
+  if (!DATE_PATTERN.test(from || '') || !DATE_PATTERN.test(to)) {
+    usage();
+    process.exit(1);
+  }
+
+  let exitCode = 0;
+
+  try {
+    await Database.connect();
+
+    console.log(`📈 Backfilling analytics snapshots from ${from} to ${to}...`);
+
+    const summary = await AnalyticsJob.backfill(`${from}T00:00:00Z`, `${to}T00:00:00Z`, {
+      skipExisting,
+      onProgress: (date, index, total) => {
+        console.log(`  [${index}/${total}] ${date.toISOString().slice(0, 10)}`);
+      },
+    });
+
+    console.log('\n📊 Backfill Summary:');
+    console.log(`- Computed: ${summary.computed}`);
+    console.log(`- Skipped: ${summary.skipped}`);
+    console.log(`- Failed: ${summary.failed.length}`);
+
+    if (summary.failed.length > 0) {
+      console.log(`  ${summary.failed.join(', ')}`);
+      exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Backfill failed:', error.message);
+    exitCode = 1;
+  } finally {
+    await Database.disconnect().catch(() => {});
+    process.exit(exitCode);
+  }
+}
+
+// Run the backfill
+main();
@@ -0,0 +1,163 @@
+// src/scripts/migrate.js
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Load environment variables
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.join(__dirname, '../../.env') });
+
+const { default: Database } = await import('../config/database.js');
+const { default: MigrationService } = await import('../shared/services/migration.service.js');
+
+const VERSION_PATTERN = /^\d{14}$/;
+
+const usage = () => {
+  console.log('Usage: npm run migrate -- <command> [options]');
+  console.log('');
+  console.log('  up [--to VERSION] [--dry-run]             Apply pending migrations');
+  console.log('  down [--steps N | --to VERSION] [--dry-run]');
+  console.log('                                            Roll back the last batch (alias: rollback)');
+  console.log('  status                                    List applied and pending migrations');
+  console.log('  create <name>                             Create an empty migration');
+  console.log('  generate:indexes                          Create an index-sync migration from the schemas');
+  console.log('  unlock                                    Clear a lock left by a crashed run');
+};
+
+const getArg = (name) => {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+};
+
+const getVersion = (name) => {
+  const version = getArg(name);
+  if (version !== undefined && !VERSION_PATTERN.test(version)) {
+    throw new Error(`${name} expects a 14 digit version, got "${version}"`);
+  }
+  return version;
+};
+
+const printPlan = ({ plan }) => {
+  if (plan.length === 0) {
+    console.log('Nothing to do');
+    return;
+  }
+
+  for (const { file, steps } of plan) {
+    console.log(`  ${file}`);
+    steps.forEach(step => console.log(`    - ${step}`));
+  }
+};
+
+const commands = {
+  async up() {
+    const result = await MigrationService.up({ to: getVersion('--to'), dryRun: process.argv.includes('--dry-run') });
+
+    if (result.dryRun) {
+      console.log('🔍 Dry run, would apply:');
+      printPlan(result);
+    } else if (result.applied.length === 0) {
+      console.log('✅ Already up to date');
+    } else {
+      console.log(`✅ Applied ${result.applied.length} migrations in batch ${result.batch}`);
+    }
+  },
+
+  async down() {
+    const steps = getArg('--steps');
+    if (steps !== undefined && !(parseInt(steps) > 0)) {
+      throw new Error('--steps expects a positive number');
+    }
+
+    const result = await MigrationService.down({
+      steps: steps ? parseInt(steps) : null,
+      to: getVersion('--to'),
+      dryRun: process.argv.includes('--dry-run'),
+    });
+
+    if (result.dryRun) {
+      console.log('🔍 Dry run, would roll back:');
+      printPlan(result);
+    } else if (result.reverted.length === 0) {
+      console.log('Nothing to roll back');
+    } else {
+      console.log(`✅ Rolled back ${result.reverted.length} migrations`);
+    }
+  },
+
+  async status() {
+    const migrations = await MigrationService.status();
+
+    if (migrations.length === 0) {
+      console.log('No migrations found');
+      return;
+    }
+
+    for (const migration of migrations) {
+      const applied = migration.appliedAt ? ` batch ${migration.batch}, ${migration.appliedAt.toISOString()}` : '';
+      const warning = migration.modified ? ' ⚠️  modified since applied' : '';
+      console.log(`  [${migration.state.padEnd(7)}] ${migration.version}-${migration.name}${applied}${warning}`);
+    }
+
+    const pending = migrations.filter(migration => migration.state === 'pending').length;
+    console.log('');
+    console.log(`${pending} pending`);
+  },
+
+  async create() {
+    const file = await MigrationService.create(process.argv.slice(3).filter(arg => !arg.startsWith('--')).join(' '));
+    console.log(`✅ Created ${path.relative(process.cwd(), file)}`);
+  },
+
+  async 'generate:indexes'() {
+    const { file, collections } = await MigrationService.generateIndexMigration();
+
+    if (!file) {
+      console.log('✅ Indexes already match the latest sync migration');
+    } else {
+      console.log(`✅ Created ${path.relative(process.cwd(), file)} for ${collections.join(', ')}`);
+    }
+  },
+
+  async unlock() {
+    const released = await MigrationService.forceUnlock();
+    console.log(released ? '🔓 Migration lock cleared' : 'No migration lock held');
+  },
+};
+
+commands.rollback = commands.down;
+
+// Commands that only touch files
+const OFFLINE_COMMANDS = ['create', 'generate:indexes'];
+
+async function main() {
+  const command = process.argv[2];
+
+  if (!commands[command] || process.argv.includes('--help')) {
+    usage();
+    process.exit(command && !process.argv.includes('--help') ? 1 : 0);
+  }
+
+  let exitCode = 0;
+  const needsDatabase = !OFFLINE_COMMANDS.includes(command);
+
+  try {
+    if (needsDatabase) {
+      await Database.connect();
+    }
+
+    await commands[command]();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    exitCode = 1;
+  } finally {
+    if (needsDatabase) {
+      await Database.disconnect();
+    }
+  }
+
+  process.exit(exitCode);
+}
+
+main();
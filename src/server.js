@@ -7,7 +7,8 @@ import redis from './config/redis.js';
 import { setupMiddleware } from './app.js';
 // import { setupRoutes } from './routes.js';
 import { setupSocketHandlers } from './modules/chat/chat.socket.js';
-import { startBackgroundJobs } from './jobs/index.js';
+import { startBackgroundJobs, stopBackgroundJobs, getJobsHealth } from './jobs/index.js';
+import { notFound, errorHandler } from './shared/middleware/error.middleware.js';
 import logger from './shared/utils/logger.js';
 
 class TinderServer {
@@ -37,8 +38,14 @@ class TinderServer {
       // Setup WebSocket
       setupSocketHandlers(this.io);
       
-      // Start background jobs
-      startBackgroundJobs();
+      // Start background jobs for this process's roles (PROCESS_ROLES)
+      await startBackgroundJobs();
+      
+      // Background job health (roles, scheduler leader, queues)
+      this.app.get('/health/jobs', async (req, res) => {
+        const health = await getJobsHealth();
+        res.status(health.status === 'unhealthy' ? 503 : 200).json(health);
+      });
       
       // Error handling
       this.setupErrorHandling();
@@ -70,17 +77,10 @@ class TinderServer {
 
   setupErrorHandling() {
     // 404 handler
-    this.app.use((req, res) => {
-      res.status(404).json({ error: 'Route not found' });
-    });
+    this.app.use(notFound);
     
-    // Global error handler
-    this.app.use((err, req, res, next) => {
-      logger.error(err);
-      res.status(err.statusCode || 500).json({
-        error: err.message || 'Internal server error'
-      });
-    });
+    // Global error handler (codes, localized messages)
+    this.app.use(errorHandler);
     
     // Graceful shutdown
     process.on('SIGTERM', this.gracefulShutdown.bind(this));
@@ -94,6 +94,9 @@ class TinderServer {
       logger.info('HTTP server closed');
     });
     
+    // Hand over the scheduler lock and let in-flight queue jobs finish
+    await stopBackgroundJobs();
+    
     await mongoose.connection.close();
     await redis.client.quit();
     
@@ -0,0 +1,115 @@
+// src/shared/errors/AppError.js
+import { HTTP_STATUS, ERROR_CODES } from '../../config/constants.js';
+
+/**
+ * Application error
+ * Base class for every error the API reports on purpose. Carries:
+ *   statusCode  - HTTP status
+ *   errorCode   - stable code from ERROR_CODES that clients can branch on
+ *                 (also exposed as `code`)
+ *   details     - safe, client-facing data (e.g. field errors); never internals
+ *   cause       - the underlying error, logged but not sent to clients
+ *   messageKey  - optional catalog key (errorMessages.js) for a more specific
+ *                 localized message than the code's, interpolated with `params`
+ *
+ *   throw new AppError('User not found', 404, ERROR_CODES.USER_NOT_FOUND);
+ *   throw new AppError('Validation failed', 400, ERROR_CODES.VALIDATION_ERROR, fieldErrors);
+ *   throw new AppError('Upload failed', 500, ERROR_CODES.UPLOAD_FAILED, { cause: error });
+ *
+ * The fourth argument is either the details (an array of field errors is
+ * kept as `errors` for existing clients) or an options object
+ * { details, cause, messageKey, params, expose }.
+ */
+export class AppError extends Error {
+  constructor(message, statusCode = HTTP_STATUS.INTERNAL_SERVER_ERROR, errorCode = ERROR_CODES.INTERNAL_ERROR, options = {}) {
+    const { details, cause, messageKey, params, expose } = AppError.normalizeOptions(options);
+
+    super(message, cause ? { cause } : undefined);
+
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.errorCode = errorCode;
+    this.code = errorCode;
+    this.details = details ?? null;
+    this.messageKey = messageKey || null;
+    this.params = params || {};
+    // Client errors are safe to show as-is; server errors only when marked
+    this.expose = expose ?? statusCode < 500;
+    this.isOperational = true;
+
+    if (Array.isArray(details)) {
+      this.errors = details;
+    }
+
+    Error.captureStackTrace?.(this, this.constructor);
+  }
+
+  static normalizeOptions(options) {
+    if (Array.isArray(options)) {
+      return { details: options };
+    }
+    if (!options || typeof options !== 'object') {
+      return {};
+    }
+
+    const known = ['details', 'cause', 'messageKey', 'params', 'expose'];
+    // A plain details object passed positionally, e.g. { retryAfter: 60 }
+    if (Object.keys(options).length > 0 && !Object.keys(options).some(key => known.includes(key))) {
+      return { details: options };
+    }
+
+    return options;
+  }
+
+  get status() {
+    return this.statusCode < 500 ? 'fail' : 'error';
+  }
+
+  /**
+   * Causes from this error down, for logging
+   * @returns {Array} - [{ name, message, code }]
+   */
+  getCauseChain() {
+    const chain = [];
+    const seen = new Set();
+    let current = this.cause;
+
+    while (current && !seen.has(current) && chain.length < 10) {
+      seen.add(current);
+      chain.push({
+        name: current.name,
+        message: current.message,
+        code: current.errorCode || current.code,
+      });
+      current = current.cause;
+    }
+
+    return chain;
+  }
+
+  /**
+   * Client-facing shape (message not localized)
+   */
+  toJSON() {
+    return {
+      code: this.errorCode,
+      message: this.message,
+      ...(this.details !== null && !Array.isArray(this.details) && { details: this.details }),
+      ...(this.errors && { errors: this.errors }),
+    };
+  }
+
+  /**
+   * Wrap any thrown value, keeping AppErrors as they are
+   * @param {*} error - Thrown value
+   * @param {string} message - Message for the wrapper
+   * @param {string} errorCode - Code for the wrapper
+   */
+  static from(error, message = 'Internal server error', errorCode = ERROR_CODES.INTERNAL_ERROR) {
+    if (error instanceof AppError) return error;
+
+    return new AppError(message, HTTP_STATUS.INTERNAL_SERVER_ERROR, errorCode, { cause: error });
+  }
+}
+
+export default AppError;
@@ -0,0 +1,334 @@
+// src/shared/errors/errorMessages.js
+
+/**
+ * Localized error messages
+ *
+ * Keyed by ERROR_CODES, plus extra keys that errors can opt into through
+ * `messageKey` for a more specific message (with {{params}}). English is the
+ * fallback for every other locale. In English, errors keep the message they
+ * were thrown with, which is usually more specific than the code's entry;
+ * the English catalog is used for `messageKey`s and for errors whose message
+ * must not be shown (unexpected server errors).
+ */
+
+export const DEFAULT_LOCALE = 'en';
+
+const MESSAGES = {
+  en: {
+    // General
+    INTERNAL_ERROR: 'Something went wrong. Please try again later.',
+    VALIDATION_ERROR: 'Some of the information provided is invalid.',
+    NOT_FOUND: 'The requested resource was not found.',
+    ALREADY_EXISTS: 'This already exists.',
+    ALREADY_EXISTS_FIELD: '{{field}} already exists.',
+    FORBIDDEN: 'You do not have permission to do this.',
+    UNAUTHORIZED: 'Please sign in to continue.',
+    BAD_REQUEST: 'The request could not be processed.',
+    CONFLICT: 'This conflicts with the current state. Please refresh and try again.',
+    EXPIRED: 'This has expired.',
+    TIMEOUT: 'The request took too long. Please try again.',
+    DATABASE_ERROR: 'The service is temporarily unavailable. Please try again later.',
+    INVALID_FORMAT: 'The request format is invalid.',
+    PAYLOAD_TOO_LARGE: 'The request is too large.',
+    PROVIDER_ERROR: 'An external service is unavailable. Please try again later.',
+    SERVICE_UNAVAILABLE: 'The service is temporarily unavailable. Please try again later.',
+
+    // Authentication
+    INVALID_CREDENTIALS: 'Incorrect email or password.',
+    TOKEN_INVALID: 'Your session is invalid. Please sign in again.',
+    TOKEN_EXPIRED: 'Your session has expired. Please sign in again.',
+    SESSION_EXPIRED: 'Your session has expired. Please sign in again.',
+    ACCOUNT_LOCKED: 'Your account is temporarily locked. Please try again later.',
+    EMAIL_NOT_VERIFIED: 'Please verify your email address first.',
+    PHONE_NOT_VERIFIED: 'Please verify your phone number first.',
+    INVALID_OTP: 'The verification code is incorrect or has expired.',
+    TWO_FACTOR_NOT_ENABLED: 'Two-factor authentication is not enabled.',
+
+    // User
+    USER_NOT_FOUND: 'User not found.',
+    USER_ALREADY_EXISTS: 'An account with these details already exists.',
+    USER_BANNED: 'This account has been banned.',
+    USER_INACTIVE: 'This account is not active.',
+    PROFILE_INCOMPLETE: 'Please complete your profile first.',
+    INVALID_LOCATION: 'The location is invalid.',
+    INVALID_TIME: 'The time is invalid.',
+
+    // Limits
+    RATE_LIMIT_EXCEEDED: 'Too many requests. Please try again later.',
+    LIMIT_EXCEEDED: 'You have reached your limit.',
+    DAILY_LIMIT_REACHED: 'You have reached your daily limit. Come back tomorrow!',
+
+    // Subscription
+    SUBSCRIPTION_REQUIRED: 'This feature requires a subscription.',
+    PAYMENT_FAILED: 'The payment could not be completed.',
+    INSUFFICIENT_CREDITS: 'You do not have enough credits.',
+
+    // Gifts
+    GIFT_NOT_FOUND: 'Gift not found.',
+    GIFT_UNAVAILABLE: 'This gift is not available right now.',
+
+    // Media
+    FILE_TOO_LARGE: 'The file is too large.',
+    INVALID_FILE_TYPE: 'This file type is not supported.',
+    UPLOAD_FAILED: 'The upload failed. Please try again.',
+    INVALID_FILE: 'The file is invalid.',
+    INVALID_MEDIA: 'The media is invalid.',
+    INAPPROPRIATE_CONTENT: 'This content violates our community guidelines.',
+
+    // Match
+    ALREADY_SWIPED: 'You have already swiped on this profile.',
+    MATCH_NOT_FOUND: 'Match not found.',
+    NOT_MATCHED: 'You are not matched with this user.',
+    MATCH_INACTIVE: 'This match is no longer active.',
+    DATE_NOT_FOUND: 'Date not found.',
+    INVALID_DATE_TRANSITION: 'This date can no longer be changed that way.',
+
+    // Safety
+    SAFETY_PLAN_NOT_FOUND: 'Safety plan not found.',
+    SAFETY_LINK_EXPIRED: 'This safety link has expired.',
+    TRUSTED_CONTACT_LIMIT: 'You have reached the maximum number of trusted contacts.',
+    NO_TRUSTED_CONTACTS: 'Add a trusted contact first.',
+
+    // Chat
+    MESSAGE_NOT_FOUND: 'Message not found.',
+    CANNOT_MESSAGE: 'You cannot message this user.',
+    MESSAGE_TOO_LONG: 'The message is too long.',
+    CHAT_DISABLED: 'Chat is disabled for this conversation.',
+    SPAM_DETECTED: 'This message looks like spam and was not sent.',
+    EDIT_TIME_EXPIRED: 'This message can no longer be edited.',
+    MESSAGE_SEND_FAILED: 'The message could not be sent.',
+    MESSAGE_EDIT_FAILED: 'The message could not be edited.',
+    MESSAGE_DELETE_FAILED: 'The message could not be deleted.',
+    VOICE_SEND_FAILED: 'The voice message could not be sent.',
+    LOCATION_SHARE_FAILED: 'Your location could not be shared.',
+    REACTION_FAILED: 'The reaction could not be added.',
+    SEARCH_FAILED: 'The search failed. Please try again.',
+    HISTORY_LOAD_FAILED: 'The conversation could not be loaded.',
+    EXPORT_FAILED: 'The conversation could not be exported.',
+    EXPORT_IN_PROGRESS: 'An export of this conversation is already being prepared.',
+    EXPORT_NOT_FOUND: 'Export not found.',
+    CLEAR_FAILED: 'The conversation could not be cleared.',
+
+    // Calls
+    CALL_NOT_FOUND: 'Call not found.',
+    CALL_FAILED: 'The call could not be started.',
+    CALL_ACCEPT_FAILED: 'The call could not be answered.',
+    CALL_BUSY: 'There is already a call in progress.',
+    VIDEO_CONSENT_REQUIRED: 'You both need to turn on video calls first.',
+
+    // Games
+    GAME_NOT_FOUND: 'Game not found.',
+    INVALID_GAME_DATA: 'The game settings are invalid.',
+    GAME_INVITE_FAILED: 'The game invite could not be sent.',
+    GAME_ACCEPT_FAILED: 'The game could not be started.',
+    GAME_MOVE_FAILED: 'The move could not be played.',
+    INVALID_GAME_MOVE: 'That move is not allowed.',
+    NOT_YOUR_TURN: 'It is not your turn.',
+    GAME_IN_PROGRESS: 'Finish the current game first.',
+
+    // Stickers
+    STICKER_NOT_FOUND: 'Sticker not found.',
+    STICKER_PACK_NOT_FOUND: 'Sticker pack not found.',
+    STICKER_PACK_LOCKED: 'Unlock this sticker pack to use it.',
+
+    // End-to-end encryption
+    KEY_BUNDLE_NOT_FOUND: 'Encryption keys have not been set up.',
+    E2EE_REQUIRED: 'This chat is end-to-end encrypted. Only encrypted messages can be sent.',
+    E2EE_NOT_ENABLED: 'End-to-end encryption is not turned on for this chat.',
+    MESSAGE_ENCRYPTED: 'This message is end-to-end encrypted and cannot be processed.',
+
+    // Translation
+    TRANSLATION_UNAVAILABLE: 'This message could not be translated right now.',
+
+    // Email
+    EMAIL_SEND_FAILED: 'The email could not be sent.',
+    EMAIL_SUPPRESSED: 'Emails to this address are currently blocked.',
+  },
+
+  vi: {
+    // General
+    INTERNAL_ERROR: 'Đã xảy ra lỗi. Vui lòng thử lại sau.',
+    VALIDATION_ERROR: 'Một số thông tin không hợp lệ.',
+    NOT_FOUND: 'Không tìm thấy dữ liệu yêu cầu.',
+    ALREADY_EXISTS: 'Dữ liệu này đã tồn tại.',
+    ALREADY_EXISTS_FIELD: '{{field}} đã tồn tại.',
+    FORBIDDEN: 'Bạn không có quyền thực hiện thao tác này.',
+    UNAUTHORIZED: 'Vui lòng đăng nhập để tiếp tục.',
+    BAD_REQUEST: 'Không thể xử lý yêu cầu.',
+    CONFLICT: 'Dữ liệu đã thay đổi. Vui lòng tải lại và thử lại.',
+    EXPIRED: 'Nội dung này đã hết hạn.',
+    TIMEOUT: 'Yêu cầu mất quá nhiều thời gian. Vui lòng thử lại.',
+    DATABASE_ERROR: 'Dịch vụ tạm thời không khả dụng. Vui lòng thử lại sau.',
+    INVALID_FORMAT: 'Định dạng yêu cầu không hợp lệ.',
+    PAYLOAD_TOO_LARGE: 'Yêu cầu quá lớn.',
+    PROVIDER_ERROR: 'Dịch vụ bên ngoài không khả dụng. Vui lòng thử lại sau.',
+    SERVICE_UNAVAILABLE: 'Dịch vụ tạm thời không khả dụng. Vui lòng thử lại sau.',
+
+    // Authentication
+    INVALID_CREDENTIALS: 'Email hoặc mật khẩu không đúng.',
+    TOKEN_INVALID: 'Phiên đăng nhập không hợp lệ. Vui lòng đăng nhập lại.',
+    TOKEN_EXPIRED: 'Phiên đăng nhập đã hết hạn. Vui lòng đăng nhập lại.',
+    SESSION_EXPIRED: 'Phiên đăng nhập đã hết hạn. Vui lòng đăng nhập lại.',
+    ACCOUNT_LOCKED: 'Tài khoản của bạn tạm thời bị khóa. Vui lòng thử lại sau.',
+    EMAIL_NOT_VERIFIED: 'Vui lòng xác minh địa chỉ email trước.',
+    PHONE_NOT_VERIFIED: 'Vui lòng xác minh số điện thoại trước.',
+    INVALID_OTP: 'Mã xác minh không đúng hoặc đã hết hạn.',
+    TWO_FACTOR_NOT_ENABLED: 'Xác thực hai lớp chưa được bật.',
+
+    // User
+    USER_NOT_FOUND: 'Không tìm thấy người dùng.',
+    USER_ALREADY_EXISTS: 'Đã có tài khoản với thông tin này.',
+    USER_BANNED: 'Tài khoản này đã bị cấm.',
+    USER_INACTIVE: 'Tài khoản này không hoạt động.',
+    PROFILE_INCOMPLETE: 'Vui lòng hoàn thiện hồ sơ trước.',
+    INVALID_LOCATION: 'Vị trí không hợp lệ.',
+    INVALID_TIME: 'Thời gian không hợp lệ.',
+
+    // Limits
+    RATE_LIMIT_EXCEEDED: 'Quá nhiều yêu cầu. Vui lòng thử lại sau.',
+    LIMIT_EXCEEDED: 'Bạn đã đạt giới hạn.',
+    DAILY_LIMIT_REACHED: 'Bạn đã đạt giới hạn hôm nay. Hãy quay lại vào ngày mai!',
+
+    // Subscription
+    SUBSCRIPTION_REQUIRED: 'Tính năng này yêu cầu gói đăng ký.',
+    PAYMENT_FAILED: 'Không thể hoàn tất thanh toán.',
+    INSUFFICIENT_CREDITS: 'Bạn không đủ tín dụng.',
+
+    // Gifts
+    GIFT_NOT_FOUND: 'Không tìm thấy quà tặng.',
+    GIFT_UNAVAILABLE: 'Quà tặng này hiện không khả dụng.',
+
+    // Media
+    FILE_TOO_LARGE: 'Tệp quá lớn.',
+    INVALID_FILE_TYPE: 'Loại tệp này không được hỗ trợ.',
+    UPLOAD_FAILED: 'Tải lên thất bại. Vui lòng thử lại.',
+    INVALID_FILE: 'Tệp không hợp lệ.',
+    INVALID_MEDIA: 'Nội dung đa phương tiện không hợp lệ.',
+    INAPPROPRIATE_CONTENT: 'Nội dung này vi phạm tiêu chuẩn cộng đồng.',
+
+    // Match
+    ALREADY_SWIPED: 'Bạn đã quẹt hồ sơ này rồi.',
+    MATCH_NOT_FOUND: 'Không tìm thấy lượt tương hợp.',
+    NOT_MATCHED: 'Bạn chưa tương hợp với người dùng này.',
+    MATCH_INACTIVE: 'Lượt tương hợp này không còn hoạt động.',
+    DATE_NOT_FOUND: 'Không tìm thấy buổi hẹn.',
+    INVALID_DATE_TRANSITION: 'Không thể thay đổi buổi hẹn theo cách này nữa.',
+
+    // Safety
+    SAFETY_PLAN_NOT_FOUND: 'Không tìm thấy kế hoạch an toàn.',
+    SAFETY_LINK_EXPIRED: 'Liên kết an toàn này đã hết hạn.',
+    TRUSTED_CONTACT_LIMIT: 'Bạn đã đạt số lượng liên hệ tin cậy tối đa.',
+    NO_TRUSTED_CONTACTS: 'Hãy thêm một liên hệ tin cậy trước.',
+
+    // Chat
+    MESSAGE_NOT_FOUND: 'Không tìm thấy tin nhắn.',
+    CANNOT_MESSAGE: 'Bạn không thể nhắn tin cho người dùng này.',
+    MESSAGE_TOO_LONG: 'Tin nhắn quá dài.',
+    CHAT_DISABLED: 'Cuộc trò chuyện này đã bị tắt.',
+    SPAM_DETECTED: 'Tin nhắn có dấu hiệu spam và chưa được gửi.',
+    EDIT_TIME_EXPIRED: 'Tin nhắn này không thể chỉnh sửa nữa.',
+    MESSAGE_SEND_FAILED: 'Không thể gửi tin nhắn.',
+    MESSAGE_EDIT_FAILED: 'Không thể chỉnh sửa tin nhắn.',
+    MESSAGE_DELETE_FAILED: 'Không thể xóa tin nhắn.',
+    VOICE_SEND_FAILED: 'Không thể gửi tin nhắn thoại.',
+    LOCATION_SHARE_FAILED: 'Không thể chia sẻ vị trí của bạn.',
+    REACTION_FAILED: 'Không thể thêm biểu cảm.',
+    SEARCH_FAILED: 'Tìm kiếm thất bại. Vui lòng thử lại.',
+    HISTORY_LOAD_FAILED: 'Không thể tải cuộc trò chuyện.',
+    EXPORT_FAILED: 'Không thể xuất cuộc trò chuyện.',
+    EXPORT_IN_PROGRESS: 'Bản xuất của cuộc trò chuyện này đang được chuẩn bị.',
+    EXPORT_NOT_FOUND: 'Không tìm thấy bản xuất.',
+    CLEAR_FAILED: 'Không thể xóa cuộc trò chuyện.',
+
+    // Calls
+    CALL_NOT_FOUND: 'Không tìm thấy cuộc gọi.',
+    CALL_FAILED: 'Không thể bắt đầu cuộc gọi.',
+    CALL_ACCEPT_FAILED: 'Không thể trả lời cuộc gọi.',
+    CALL_BUSY: 'Đang có một cuộc gọi khác.',
+    VIDEO_CONSENT_REQUIRED: 'Cả hai cần bật gọi video trước.',
+
+    // Games
+    GAME_NOT_FOUND: 'Không tìm thấy trò chơi.',
+    INVALID_GAME_DATA: 'Thiết lập trò chơi không hợp lệ.',
+    GAME_INVITE_FAILED: 'Không thể gửi lời mời chơi.',
+    GAME_ACCEPT_FAILED: 'Không thể bắt đầu trò chơi.',
+    GAME_MOVE_FAILED: 'Không thể thực hiện nước đi.',
+    INVALID_GAME_MOVE: 'Nước đi này không được phép.',
+    NOT_YOUR_TURN: 'Chưa đến lượt của bạn.',
+    GAME_IN_PROGRESS: 'Hãy hoàn thành trò chơi hiện tại trước.',
+
+    // Stickers
+    STICKER_NOT_FOUND: 'Không tìm thấy nhãn dán.',
+    STICKER_PACK_NOT_FOUND: 'Không tìm thấy bộ nhãn dán.',
+    STICKER_PACK_LOCKED: 'Hãy mở khóa bộ nhãn dán này để sử dụng.',
+
+    // End-to-end encryption
+    KEY_BUNDLE_NOT_FOUND: 'Khóa mã hóa chưa được thiết lập.',
+    E2EE_REQUIRED: 'Cuộc trò chuyện này được mã hóa đầu cuối. Chỉ có thể gửi tin nhắn đã mã hóa.',
+    E2EE_NOT_ENABLED: 'Mã hóa đầu cuối chưa được bật cho cuộc trò chuyện này.',
+    MESSAGE_ENCRYPTED: 'Tin nhắn này được mã hóa đầu cuối và không thể xử lý.',
+
+    // Translation
+    TRANSLATION_UNAVAILABLE: 'Hiện không thể dịch tin nhắn này.',
+
+    // Email
+    EMAIL_SEND_FAILED: 'Không thể gửi email.',
+    EMAIL_SUPPRESSED: 'Email đến địa chỉ này hiện đang bị chặn.',
+  },
+};
+
+export const SUPPORTED_LOCALES = Object.keys(MESSAGES);
+
+/**
+ * Pick the response locale: Accept-Language first, then the signed-in
+ * user's preference, then English
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+export const resolveRequestLocale = (req) => {
+  if (req?.headers?.['accept-language']) {
+    const accepted = req.acceptsLanguages(...SUPPORTED_LOCALES);
+    if (accepted) return accepted;
+  }
+
+  const preferred = req?.user?.metadata?.locale?.toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(preferred) ? preferred : DEFAULT_LOCALE;
+};
+
+/**
+ * Look up a catalog message
+ * @param {string} key - Error code or message key
+ * @param {string} locale - Locale
+ * @param {Object} params - {{placeholder}} values
+ * @returns {string|null}
+ */
+export const translate = (key, locale = DEFAULT_LOCALE, params = {}) => {
+  const message = MESSAGES[locale]?.[key] ?? MESSAGES[DEFAULT_LOCALE][key];
+  if (!message) return null;
+
+  return message.replace(/{{\s*(\w+)\s*}}/g, (match, name) => params[name] ?? '');
+};
+
+/**
+ * Client-facing message for an AppError
+ * @param {AppError} error - Normalized error
+ * @param {string} locale - Response locale
+ * @returns {string}
+ */
+export const localizeError = (error, locale = DEFAULT_LOCALE) => {
+  if (error.messageKey) {
+    const message = translate(error.messageKey, locale, error.params);
+    if (message) return message;
+  }
+
+  if (!error.expose) {
+    return translate(error.errorCode, locale) || translate('INTERNAL_ERROR', locale);
+  }
+
+  if (locale !== DEFAULT_LOCALE) {
+    const message = MESSAGES[locale][error.errorCode] && translate(error.errorCode, locale, error.params);
+    if (message) return message;
+  }
+
+  return error.message;
+};
@@ -0,0 +1,154 @@
+// src/shared/errors/errorTypes.js
+import AppError from './AppError.js';
+import { HTTP_STATUS, ERROR_CODES } from '../../config/constants.js';
+
+export { ERROR_CODES };
+
+/**
+ * Typed errors
+ * Each type fixes the HTTP status and a default code, so call sites only pick
+ * a more specific code when there is one:
+ *
+ *   throw new NotFoundError('User not found', ERROR_CODES.USER_NOT_FOUND);
+ *   throw new ValidationError('Validation failed', { details: fieldErrors });
+ *   throw new ProviderError('Push provider unavailable', { provider: 'fcm', cause: error });
+ *
+ * Arguments are (message, code?, options?) where options are AppError's
+ * { details, cause, messageKey, params, expose }.
+ */
+const typed = (statusCode, defaultCode, defaultMessage) => class extends AppError {
+  constructor(message = defaultMessage, code = defaultCode, options = {}) {
+    if (code && typeof code === 'object') {
+      options = code;
+      code = defaultCode;
+    }
+
+    super(message, statusCode, code || defaultCode, options);
+  }
+};
+
+export class ValidationError extends typed(HTTP_STATUS.BAD_REQUEST, ERROR_CODES.VALIDATION_ERROR, 'Validation failed') {}
+
+export class AuthError extends typed(HTTP_STATUS.UNAUTHORIZED, ERROR_CODES.UNAUTHORIZED, 'Authentication required') {}
+
+export class ForbiddenError extends typed(HTTP_STATUS.FORBIDDEN, ERROR_CODES.FORBIDDEN, 'Access denied') {}
+
+export class NotFoundError extends typed(HTTP_STATUS.NOT_FOUND, ERROR_CODES.NOT_FOUND, 'Resource not found') {}
+
+export class ConflictError extends typed(HTTP_STATUS.CONFLICT, ERROR_CODES.CONFLICT, 'Resource conflict') {}
+
+export class PaymentError extends typed(HTTP_STATUS.PAYMENT_REQUIRED, ERROR_CODES.PAYMENT_FAILED, 'Payment failed') {}
+
+/**
+ * Too many requests; `retryAfter` (seconds) is sent as the Retry-After header
+ */
+export class RateLimitError extends typed(HTTP_STATUS.TOO_MANY_REQUESTS, ERROR_CODES.RATE_LIMIT_EXCEEDED, 'Too many requests. Please try again later.') {
+  constructor(message, code, options = {}) {
+    super(message, code, options);
+
+    const { retryAfter } = (code && typeof code === 'object' ? code : options) || {};
+    this.retryAfter = retryAfter ?? this.details?.retryAfter ?? null;
+  }
+}
+
+/**
+ * A third-party service (payments, storage, push, email...) failed. The
+ * provider's own message stays in `cause` and the logs; clients only see
+ * which kind of service is unavailable.
+ */
+export class ProviderError extends typed(HTTP_STATUS.BAD_GATEWAY, ERROR_CODES.PROVIDER_ERROR, 'External service unavailable') {
+  constructor(message, code, options = {}) {
+    super(message, code, options);
+
+    const { provider } = (code && typeof code === 'object' ? code : options) || {};
+    this.provider = provider || null;
+  }
+}
+
+/**
+ * Turn errors thrown by libraries into AppErrors
+ * @param {Error} err - Any thrown value
+ * @returns {AppError}
+ */
+export const normalizeError = (err) => {
+  if (err instanceof AppError) return err;
+
+  // Mongoose bad ObjectId
+  if (err?.name === 'CastError') {
+    return new ValidationError('Invalid ID format', { details: { field: err.path }, cause: err });
+  }
+
+  // Mongo duplicate key
+  if (err?.code === 11000) {
+    const field = Object.keys(err.keyValue || err.keyPattern || {})[0];
+    return new ConflictError(`${field || 'Resource'} already exists`, ERROR_CODES.ALREADY_EXISTS, {
+      messageKey: 'ALREADY_EXISTS_FIELD',
+      params: { field },
+      details: { field },
+      cause: err,
+    });
+  }
+
+  // Mongoose validation error
+  if (err?.name === 'ValidationError' && err.errors) {
+    const errors = Object.values(err.errors).map(e => ({
+      field: e.path,
+      message: e.message,
+    }));
+    return new ValidationError('Validation failed', { details: errors, cause: err });
+  }
+
+  // JWT errors
+  if (err?.name === 'JsonWebTokenError') {
+    return new AuthError('Invalid token', ERROR_CODES.TOKEN_INVALID, { cause: err });
+  }
+
+  if (err?.name === 'TokenExpiredError') {
+    return new AuthError('Token expired', ERROR_CODES.TOKEN_EXPIRED, { cause: err });
+  }
+
+  // Multer errors
+  if (err?.name === 'MulterError') {
+    const multerMessages = {
+      LIMIT_FILE_SIZE: ['File too large', ERROR_CODES.FILE_TOO_LARGE],
+      LIMIT_FILE_COUNT: ['Too many files', ERROR_CODES.VALIDATION_ERROR],
+      LIMIT_UNEXPECTED_FILE: ['Unexpected file field', ERROR_CODES.VALIDATION_ERROR],
+    };
+    const [message, code] = multerMessages[err.code] || ['File upload error', ERROR_CODES.UPLOAD_FAILED];
+    return new ValidationError(message, code, { cause: err });
+  }
+
+  // Body parser errors
+  if (err?.type === 'entity.too.large') {
+    return new ValidationError('Request payload too large', ERROR_CODES.PAYLOAD_TOO_LARGE, { cause: err });
+  }
+
+  if (err instanceof SyntaxError && err.status === 400 && 'body' in err) {
+    return new ValidationError('Invalid JSON payload', ERROR_CODES.INVALID_FORMAT, { cause: err });
+  }
+
+  if (err?.message === 'Not allowed by CORS') {
+    return new ForbiddenError('CORS policy violation', { cause: err });
+  }
+
+  if (err?.name === 'MongooseServerSelectionError' || err?.name === 'MongoNetworkError') {
+    return new AppError('Database service temporarily unavailable', HTTP_STATUS.SERVICE_UNAVAILABLE, ERROR_CODES.DATABASE_ERROR, {
+      cause: err,
+      expose: true,
+    });
+  }
+
+  // express-rate-limit and other middleware that set a status
+  if (err?.statusCode === HTTP_STATUS.TOO_MANY_REQUESTS || err?.status === HTTP_STATUS.TOO_MANY_REQUESTS) {
+    return new RateLimitError(undefined, { cause: err });
+  }
+
+  const statusCode = err?.statusCode || err?.status;
+  if (statusCode >= 400 && statusCode < 500) {
+    return new AppError(err.message, statusCode, ERROR_CODES.BAD_REQUEST, { cause: err });
+  }
+
+  return AppError.from(err);
+};
+
+export { AppError };
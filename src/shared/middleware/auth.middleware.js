@@ -4,6 +4,7 @@ import redis from '../../config/redis.js';
 import logger from '../utils/logger.js';
 import { HTTP_STATUS, ERROR_CODES } from '../../config/constants.js';
 import AppError from '../errors/AppError.js';
+import { AuthError } from '../errors/errorTypes.js';
 
 /**
  * Verify JWT token and attach user to request
@@ -116,23 +117,11 @@ export const authenticate = async (req, res, next) => {
     next();
   } catch (error) {
     if (error instanceof AppError) {
-      return res.status(error.statusCode).json({
-        success: false,
-        error: {
-          message: error.message,
-          code: error.errorCode,
-        },
-      });
+      return next(error);
     }
 
     logger.error('Authentication error:', error);
-    return res.status(HTTP_STATUS.UNAUTHORIZED).json({
-      success: false,
-      error: {
-        message: 'Authentication failed',
-        code: ERROR_CODES.UNAUTHORIZED,
-      },
-    });
+    return next(new AuthError('Authentication failed', { cause: error }));
   }
 };
 
@@ -220,23 +209,11 @@ export const verifyRefreshToken = async (req, res, next) => {
     next();
   } catch (error) {
     if (error instanceof AppError) {
-      return res.status(error.statusCode).json({
-        success: false,
-        error: {
-          message: error.message,
-          code: error.errorCode,
-        },
-      });
+      return next(error);
     }
 
     logger.error('Refresh token verification error:', error);
-    return res.status(HTTP_STATUS.UNAUTHORIZED).json({
-      success: false,
-      error: {
-        message: 'Invalid refresh token',
-        code: ERROR_CODES.TOKEN_INVALID,
-      },
-    });
+    return next(new AuthError('Invalid refresh token', ERROR_CODES.TOKEN_INVALID, { cause: error }));
   }
 };
 
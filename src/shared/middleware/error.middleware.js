@@ -2,6 +2,8 @@
 import logger from '../utils/logger.js';
 import { HTTP_STATUS, ERROR_CODES } from '../../config/constants.js';
 import AppError from '../errors/AppError.js';
+import { NotFoundError, ValidationError, normalizeError } from '../errors/errorTypes.js';
+import { resolveRequestLocale, localizeError } from '../errors/errorMessages.js';
 import MetricsService from '../services/metrics.service.js';
 
 /**
@@ -17,28 +19,30 @@ export const asyncHandler = (fn) => {
  * Not found error handler
  */
 export const notFound = (req, res, next) => {
-  const error = new AppError(
-    `Route not found: ${req.originalUrl}`,
-    HTTP_STATUS.NOT_FOUND,
-    ERROR_CODES.NOT_FOUND
-  );
-  next(error);
+  next(new NotFoundError(`Route not found: ${req.originalUrl}`));
 };
 
 /**
  * Global error handler
+ * Every error leaves the API in one shape:
+ *   { success: false, error: { code, message, details?, errors? }, requestId }
+ * `code` is stable for clients to branch on; `message` is localized from the
+ * Accept-Language header (see errorMessages.js) and is never an internal
+ * message for unexpected errors.
  */
 export const errorHandler = async (err, req, res, next) => {
-  let error = { ...err };
-  error.message = err.message;
+  const error = normalizeError(err);
+  const locale = resolveRequestLocale(req);
 
   // Log error
-  logger.error({
+  const log = {
     error: {
-      message: err.message,
-      stack: err.stack,
-      code: err.errorCode || err.code,
-      statusCode: err.statusCode,
+      name: error.name,
+      message: error.message,
+      stack: err?.stack,
+      code: error.errorCode,
+      statusCode: error.statusCode,
+      causes: error.getCauseChain(),
     },
     request: {
       method: req.method,
@@ -48,82 +52,49 @@ export const errorHandler = async (err, req, res, next) => {
       requestId: req.id,
     },
     timestamp: new Date().toISOString(),
-  });
-
-  // Track error metrics
-  await MetricsService.incrementCounter('errors.total', 1, {
-    statusCode: err.statusCode || 500,
-    path: req.route?.path || 'unknown',
-  });
-
-  // Mongoose bad ObjectId
-  if (err.name === 'CastError') {
-    const message = 'Invalid ID format';
-    error = new AppError(message, HTTP_STATUS.BAD_REQUEST, ERROR_CODES.VALIDATION_ERROR);
-  }
-
-  // Mongoose duplicate key
-  if (err.code === 11000) {
-    const field = Object.keys(err.keyValue)[0];
-    const message = `${field} already exists`;
-    error = new AppError(message, HTTP_STATUS.CONFLICT, ERROR_CODES.ALREADY_EXISTS);
-  }
+  };
 
-  // Mongoose validation error
-  if (err.name === 'ValidationError') {
-    const errors = Object.values(err.errors).map(e => ({
-      field: e.path,
-      message: e.message,
-    }));
-    const message = 'Validation failed';
-    error = new AppError(message, HTTP_STATUS.BAD_REQUEST, ERROR_CODES.VALIDATION_ERROR);
-    error.errors = errors;
+  if (error.statusCode >= 500) {
+    logger.error(log);
+  } else {
+    logger.warn(log);
   }
 
-  // JWT errors
-  if (err.name === 'JsonWebTokenError') {
-    const message = 'Invalid token';
-    error = new AppError(message, HTTP_STATUS.UNAUTHORIZED, ERROR_CODES.TOKEN_INVALID);
+  // Track error metrics
+  try {
+    await MetricsService.incrementCounter('errors.total', 1, {
+      statusCode: error.statusCode,
+      code: error.errorCode,
+      path: req.route?.path || 'unknown',
+    });
+  } catch (metricsError) {
+    logger.debug('Failed to record error metric:', metricsError.message);
   }
 
-  if (err.name === 'TokenExpiredError') {
-    const message = 'Token expired';
-    error = new AppError(message, HTTP_STATUS.UNAUTHORIZED, ERROR_CODES.TOKEN_EXPIRED);
+  if (res.headersSent) {
+    return next(err);
   }
 
-  // Multer errors
-  if (err.name === 'MulterError') {
-    let message = 'File upload error';
-    if (err.code === 'LIMIT_FILE_SIZE') {
-      message = 'File too large';
-    } else if (err.code === 'LIMIT_FILE_COUNT') {
-      message = 'Too many files';
-    } else if (err.code === 'LIMIT_UNEXPECTED_FILE') {
-      message = 'Unexpected file field';
-    }
-    error = new AppError(message, HTTP_STATUS.BAD_REQUEST, ERROR_CODES.VALIDATION_ERROR);
+  if (error.retryAfter) {
+    res.setHeader('Retry-After', String(error.retryAfter));
   }
+  res.setHeader('Content-Language', locale);
 
-  // Rate limit error
-  if (err.statusCode === 429) {
-    error = new AppError(
-      'Too many requests. Please try again later.',
-      HTTP_STATUS.TOO_MANY_REQUESTS,
-      ERROR_CODES.RATE_LIMIT_EXCEEDED
-    );
-  }
+  const body = error.toJSON();
 
   // Send error response
-  res.status(error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+  res.status(error.statusCode).json({
     success: false,
     error: {
-      message: error.message || 'Server Error',
-      code: error.errorCode || ERROR_CODES.INTERNAL_ERROR,
+      ...body,
+      message: localizeError(error, locale),
       ...(process.env.NODE_ENV === 'development' && {
-        stack: err.stack,
-        details: err,
+        debug: {
+          message: error.message,
+          stack: err?.stack,
+          causes: error.getCauseChain(),
+        },
       }),
-      ...(error.errors && { errors: error.errors }),
     },
     requestId: req.id,
   });
@@ -140,49 +111,17 @@ export const validationErrorFormatter = (errors) => {
     location: error.location,
   }));
 
-  return new AppError(
-    'Validation failed',
-    HTTP_STATUS.BAD_REQUEST,
-    ERROR_CODES.VALIDATION_ERROR,
-    formattedErrors
-  );
+  return new ValidationError('Validation failed', { details: formattedErrors });
 };
 
 /**
  * MongoDB error handler
  */
 export const mongoErrorHandler = (error) => {
-  if (error.name === 'MongoServerError') {
-    if (error.code === 11000) {
-      const field = Object.keys(error.keyPattern)[0];
-      return new AppError(
-        `${field} already exists`,
-        HTTP_STATUS.CONFLICT,
-        ERROR_CODES.ALREADY_EXISTS
-      );
-    }
-  }
-
-  if (error.name === 'ValidationError') {
-    const errors = Object.values(error.errors).map(err => ({
-      field: err.path,
-      message: err.message,
-    }));
-    
-    return new AppError(
-      'Validation failed',
-      HTTP_STATUS.BAD_REQUEST,
-      ERROR_CODES.VALIDATION_ERROR,
-      errors
-    );
-  }
+  const isDuplicateKey = error.name === 'MongoServerError' && error.code === 11000;
 
-  if (error.name === 'CastError') {
-    return new AppError(
-      `Invalid ${error.path}: ${error.value}`,
-      HTTP_STATUS.BAD_REQUEST,
-      ERROR_CODES.VALIDATION_ERROR
-    );
+  if (isDuplicateKey || error.name === 'ValidationError' || error.name === 'CastError') {
+    return normalizeError(error);
   }
 
   return error;
@@ -192,34 +131,14 @@ export const mongoErrorHandler = (error) => {
  * Payload too large handler
  */
 export const payloadTooLarge = (err, req, res, next) => {
-  if (err.type === 'entity.too.large') {
-    return res.status(HTTP_STATUS.BAD_REQUEST).json({
-      success: false,
-      error: {
-        message: 'Request payload too large',
-        code: ERROR_CODES.VALIDATION_ERROR,
-        maxSize: '10MB',
-      },
-    });
-  }
-  next(err);
+  next(err.type === 'entity.too.large' ? normalizeError(err) : err);
 };
 
 /**
  * CORS error handler
  */
 export const corsErrorHandler = (err, req, res, next) => {
-  if (err && err.message === 'Not allowed by CORS') {
-    return res.status(HTTP_STATUS.FORBIDDEN).json({
-      success: false,
-      error: {
-        message: 'CORS policy violation',
-        code: ERROR_CODES.FORBIDDEN,
-        origin: req.headers.origin,
-      },
-    });
-  }
-  next(err);
+  next(err && err.message === 'Not allowed by CORS' ? normalizeError(err) : err);
 };
 
 /**
@@ -248,16 +167,7 @@ export const timeoutHandler = (timeout = 30000) => {
  * Syntax error handler (for JSON parsing errors)
  */
 export const syntaxErrorHandler = (err, req, res, next) => {
-  if (err instanceof SyntaxError && err.status === 400 && 'body' in err) {
-    return res.status(HTTP_STATUS.BAD_REQUEST).json({
-      success: false,
-      error: {
-        message: 'Invalid JSON payload',
-        code: ERROR_CODES.VALIDATION_ERROR,
-      },
-    });
-  }
-  next(err);
+  next(err instanceof SyntaxError && err.status === 400 && 'body' in err ? normalizeError(err) : err);
 };
 
 /**
@@ -267,14 +177,7 @@ export const dbConnectionErrorHandler = (err, req, res, next) => {
   if (err.name === 'MongooseServerSelectionError' || 
       err.name === 'MongoNetworkError') {
     logger.error('Database connection error:', err);
-    
-    return res.status(HTTP_STATUS.SERVICE_UNAVAILABLE).json({
-      success: false,
-      error: {
-        message: 'Database service temporarily unavailable',
-        code: ERROR_CODES.DATABASE_ERROR,
-      },
-    });
+    return next(normalizeError(err));
   }
   next(err);
 };
@@ -6,6 +6,22 @@ import logger from '../utils/logger.js';
 import { HTTP_STATUS, ERROR_CODES, RATE_LIMITS } from '../../config/constants.js';
 import MetricsService from '../services/metrics.service.js';
 
+/**
+ * Redis store for a limiter. Routers are built before Redis connects, so
+ * commands reach the client lazily and the store reloads its scripts on first use.
+ */
+const createRedisStore = (prefix) => {
+  const store = new RedisStore({
+    sendCommand: async (...args) => redis.client.sendCommand(args),
+    prefix,
+  });
+
+  store.incrementScriptSha.catch(() => {});
+  store.getScriptSha.catch(() => {});
+
+  return store;
+};
+
 /**
  * Create a rate limiter with Redis store
  */
@@ -20,10 +36,7 @@ const createRateLimiter = (options = {}) => {
   } = options;
 
   return rateLimit({
-    store: new RedisStore({
-      client: redis.client,
-      prefix: keyPrefix,
-    }),
+    store: createRedisStore(keyPrefix),
     windowMs,
     max,
     message: {
@@ -2,6 +2,7 @@
 import { validationResult } from 'express-validator';
 import { HTTP_STATUS, ERROR_CODES } from '../../config/constants.js';
 import AppError from '../errors/AppError.js';
+import { ValidationError } from '../errors/errorTypes.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -20,14 +21,7 @@ export const validate = (req, res, next) => {
 
     logger.debug('Validation errors:', formattedErrors);
 
-    return res.status(HTTP_STATUS.BAD_REQUEST).json({
-      success: false,
-      error: {
-        message: 'Validation failed',
-        code: ERROR_CODES.VALIDATION_ERROR,
-        errors: formattedErrors,
-      },
-    });
+    return next(new ValidationError('Validation failed', { details: formattedErrors }));
   }
 
   next();
@@ -249,30 +249,55 @@ class CacheService {
    * Lock mechanism for preventing race conditions
    * @param {string} resource - Resource identifier
    * @param {number} ttl - Lock timeout in seconds
+   * @param {string} owner - Token identifying the holder (needed to extend or safely release)
    * @returns {Promise<boolean>} - True if lock acquired
    */
-  async acquireLock(resource, ttl = 10) {
+  async acquireLock(resource, ttl = 10, owner = Date.now().toString()) {
     const lockKey = this.generateKey('lock', resource);
-    const lockId = Date.now().toString();
     
-    const result = await this.client.client.set(
-      lockKey,
-      lockId,
-      'NX', // Only set if not exists
-      'EX', // Expire time in seconds
-      ttl
-    );
+    const result = await this.client.client.set(lockKey, owner, {
+      NX: true, // Only set if not exists
+      EX: ttl, // Expire time in seconds
+    });
     
     return result === 'OK';
   }
 
+  /**
+   * Extend a lock, only if it is still held by the given owner
+   * @param {string} resource - Resource identifier
+   * @param {string} owner - Token passed to acquireLock
+   * @param {number} ttl - New timeout in seconds
+   * @returns {Promise<boolean>} - False if the lock expired or changed hands
+   */
+  async extendLock(resource, owner, ttl = 10) {
+    const lockKey = this.generateKey('lock', resource);
+    
+    const result = await this.client.client.eval(
+      'if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("expire", KEYS[1], ARGV[2]) else return 0 end',
+      { keys: [lockKey], arguments: [owner, String(ttl)] }
+    );
+    
+    return result === 1;
+  }
+
   /**
    * Release lock
    * @param {string} resource - Resource identifier
+   * @param {string} owner - Optional token; when given, only that holder's lock is released
    */
-  async releaseLock(resource) {
+  async releaseLock(resource, owner = null) {
     const lockKey = this.generateKey('lock', resource);
-    await this.client.del(lockKey);
+    
+    if (!owner) {
+      await this.client.del(lockKey);
+      return;
+    }
+    
+    await this.client.client.eval(
+      'if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("del", KEYS[1]) else return 0 end',
+      { keys: [lockKey], arguments: [owner] }
+    );
   }
 
   /**
@@ -167,6 +167,70 @@ class MetricsService {
     }
   }
 
+  // ========================
+  // Media metrics
+  // ========================
+
+  async trackMediaUpload(userId, type, size, metadata = {}) {
+    await this.incrementCounter('media.upload', 1, { type });
+    await this.incrementCounter('media.upload.bytes', size || 0, { type });
+  }
+
+  async trackBatchUpload(userId, successful, failed, metadata = {}) {
+    // Callers pass either counts or the result arrays
+    await this.incrementCounter('media.batch.success', successful?.length ?? successful ?? 0);
+    await this.incrementCounter('media.batch.failed', failed?.length ?? failed ?? 0);
+  }
+
+  async trackMediaAccess(userId, mediaId, type) {
+    await this.incrementCounter('media.access', 1, { type });
+  }
+
+  async trackMediaDeletion(userId, type) {
+    await this.incrementCounter('media.delete');
+  }
+
+  async trackBulkDeletion(userId, successCount, errorCount) {
+    await this.incrementCounter('media.delete', successCount || 0);
+    await this.incrementCounter('media.delete.failed', errorCount || 0);
+  }
+
+  async trackMediaOptimization(userId, mediaId, optimization) {
+    await this.incrementCounter('media.optimize');
+  }
+
+  async trackMediaDownload(userId, mediaId, quality) {
+    await this.incrementCounter('media.download', 1, { quality });
+  }
+
+  async trackMediaSearch(userId, query, type) {
+    await this.incrementCounter('media.search', 1, { type });
+  }
+
+  async trackSignedUrlGeneration(userId, resourceType) {
+    await this.incrementCounter('media.signed_url', 1, { resourceType });
+  }
+
+  async trackDuplicateDetection(userId) {
+    await this.incrementCounter('media.duplicate_scan');
+  }
+
+  async trackWebhookProcessed(source, publicId) {
+    await this.incrementCounter('media.webhook', 1, { source });
+  }
+
+  async trackAnalyticsAccess(userId, area, period) {
+    await this.incrementCounter('analytics.access', 1, { area, period });
+  }
+
+  async trackReportGeneration(userId, report, period) {
+    await this.incrementCounter('report.generated', 1, { report, period });
+  }
+
+  async trackAdminOperation(adminId, operation, metadata = {}) {
+    await this.incrementCounter('admin.operation', 1, { operation });
+  }
+
   /**
    * Update user activity score
    * @private
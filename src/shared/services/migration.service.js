@@ -0,0 +1,650 @@
+// src/shared/services/migration.service.js
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import logger from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MIGRATION_FILE = /^(\d{14})-([a-z0-9-]+)\.js$/;
+const INDEX_SYNC_SUFFIX = 'sync-indexes';
+const LOCK_ID = 'migrations';
+
+// Index options that change behaviour; anything else (background, v, ns) is ignored
+const INDEX_OPTIONS = [
+  'unique',
+  'sparse',
+  'expireAfterSeconds',
+  'partialFilterExpression',
+  'collation',
+  'weights',
+  'default_language',
+];
+const SERVER_DEFAULTED_OPTIONS = ['weights', 'default_language'];
+
+/**
+ * Migration Service
+ * Runs versioned migrations from src/migrations and records them in the
+ * `migrations` collection. A migration file is named
+ * `<YYYYMMDDHHmmss>-<name>.js` and exports:
+ *
+ *   description              - one line shown by `status`
+ *   up(ctx)                  - apply; may return meta that is stored with the record
+ *   down(ctx, meta)          - revert, receiving what up returned
+ *   plan(ctx)                - optional, returns lines describing what up would do
+ *
+ * ctx is { db, mongoose, log }. Migrations should use the raw driver (`db`)
+ * rather than the app's models, which keep changing after the migration is written.
+ * Each `up` run is a batch; `rollback` reverts the last batch.
+ */
+class MigrationService {
+  constructor() {
+    this.directory = path.join(__dirname, '../../migrations');
+    this.modulesDirectory = path.join(__dirname, '../../modules');
+    this.collectionName = 'migrations';
+    this.lockCollectionName = 'migration_locks';
+    this.lockTtl = 10 * 60 * 1000; // Renewed while running
+    this.owner = `${os.hostname()}:${process.pid}`;
+  }
+
+  get db() {
+    return mongoose.connection.db;
+  }
+
+  get collection() {
+    return this.db.collection(this.collectionName);
+  }
+
+  // ========================
+  // LOADING
+  // ========================
+
+  /**
+   * Load migration files in version order
+   * @returns {Promise<Array>} - [{ version, name, file, checksum, module }]
+   */
+  async loadMigrations() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const migrations = [];
+    for (const file of files.sort()) {
+      const match = file.match(MIGRATION_FILE);
+      if (!match) continue;
+
+      const filePath = path.join(this.directory, file);
+      const source = await fs.readFile(filePath);
+      const module = await import(pathToFileURL(filePath).href);
+
+      if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+
+      migrations.push({
+        version: match[1],
+        name: match[2],
+        file,
+        checksum: crypto.createHash('sha256').update(source).digest('hex'),
+        module,
+      });
+    }
+
+    return migrations;
+  }
+
+  /**
+   * Applied migration records in version order
+   */
+  async getApplied() {
+    return this.collection.find({}).sort({ version: 1 }).toArray();
+  }
+
+  /**
+   * Applied and pending migrations side by side
+   * @returns {Promise<Array>} - [{ version, name, state, batch, appliedAt, modified }]
+   */
+  async status() {
+    const [migrations, applied] = await Promise.all([this.loadMigrations(), this.getApplied()]);
+    const appliedByVersion = new Map(applied.map(record => [record.version, record]));
+    const versions = [...new Set([...migrations.map(m => m.version), ...appliedByVersion.keys()])].sort();
+
+    return versions.map((version) => {
+      const migration = migrations.find(m => m.version === version);
+      const record = appliedByVersion.get(version);
+
+      return {
+        version,
+        name: migration?.name || record.name,
+        description: migration?.module.description || record?.description,
+        // missing = applied but the file is gone, so it can't be rolled back
+        state: record ? (migration ? 'applied' : 'missing') : 'pending',
+        batch: record?.batch ?? null,
+        appliedAt: record?.appliedAt ?? null,
+        modified: Boolean(record && migration && record.checksum !== migration.checksum),
+      };
+    });
+  }
+
+  // ========================
+  // RUNNING
+  // ========================
+
+  /**
+   * Apply pending migrations
+   * @param {Object} options - { to: last version to apply, dryRun }
+   * @returns {Promise<Object>} - { batch, applied: [...] } or { dryRun: true, plan: [...] }
+   */
+  async up({ to = null, dryRun = false } = {}) {
+    const migrations = await this.loadMigrations();
+    const pending = this.selectPending(migrations, await this.getApplied(), to);
+
+    if (dryRun) {
+      return { dryRun: true, plan: await this.describe(pending, 'up') };
+    }
+    if (pending.length === 0) {
+      return { batch: null, applied: [] };
+    }
+
+    return this.withLock(async () => {
+      // Another runner may have applied some of them before we got the lock
+      const applied = await this.getApplied();
+      const locked = this.selectPending(migrations, applied, to);
+      if (locked.length === 0) {
+        return { batch: null, applied: [] };
+      }
+
+      await this.ensureRecordIndex();
+
+      const batch = Math.max(0, ...applied.map(record => record.batch || 0)) + 1;
+      const done = [];
+
+      for (const migration of locked) {
+        const startedAt = Date.now();
+        logger.info(`⬆️  Applying ${migration.file}`);
+
+        let meta;
+        try {
+          meta = await migration.module.up(this.context(migration));
+        } catch (error) {
+          error.message = `Migration ${migration.file} failed: ${error.message}`;
+          throw error;
+        }
+
+        await this.collection.insertOne({
+          version: migration.version,
+          name: migration.name,
+          description: migration.module.description || null,
+          checksum: migration.checksum,
+          batch,
+          meta: meta ?? null,
+          appliedAt: new Date(),
+          appliedBy: this.owner,
+          durationMs: Date.now() - startedAt,
+        });
+
+        done.push(migration.file);
+      }
+
+      return { batch, applied: done };
+    });
+  }
+
+  /**
+   * Revert applied migrations, newest first
+   * @param {Object} options - { steps, to: keep this version and older, dryRun }.
+   *                           Without steps or to, the last batch is reverted.
+   * @returns {Promise<Object>} - { reverted: [...] } or { dryRun: true, plan: [...] }
+   */
+  async down({ steps = null, to = null, dryRun = false } = {}) {
+    const migrations = await this.loadMigrations();
+    const plan = this.selectRollback(migrations, await this.getApplied(), { steps, to });
+
+    if (dryRun) {
+      return { dryRun: true, plan: plan.map(({ migration }) => ({ file: migration.file, steps: ['down'] })) };
+    }
+    if (plan.length === 0) {
+      return { reverted: [] };
+    }
+
+    return this.withLock(async () => {
+      // Re-read under the lock so the last batch is the current one
+      const locked = this.selectRollback(migrations, await this.getApplied(), { steps, to });
+      const reverted = [];
+
+      for (const { migration, record } of locked) {
+        logger.info(`⬇️  Reverting ${migration.file}`);
+
+        try {
+          await migration.module.down(this.context(migration), record.meta);
+        } catch (error) {
+          error.message = `Rollback of ${migration.file} failed: ${error.message}`;
+          throw error;
+        }
+
+        await this.collection.deleteOne({ version: record.version });
+        reverted.push(migration.file);
+      }
+
+      return { reverted };
+    });
+  }
+
+  /**
+   * Migrations not yet applied, up to and including `to`
+   */
+  selectPending(migrations, applied, to) {
+    const appliedVersions = new Set(applied.map(record => record.version));
+    return migrations.filter(m => !appliedVersions.has(m.version) && (!to || m.version <= to));
+  }
+
+  /**
+   * Applied records to revert, newest first, each with its migration file
+   * @param {Object} options - { steps, to }; neither means the last batch
+   */
+  selectRollback(migrations, applied, { steps, to }) {
+    const newestFirst = [...applied].reverse();
+
+    let targets;
+    if (to) {
+      targets = newestFirst.filter(record => record.version > to);
+    } else if (steps) {
+      targets = newestFirst.slice(0, steps);
+    } else {
+      const lastBatch = newestFirst[0]?.batch;
+      targets = newestFirst.filter(record => record.batch === lastBatch);
+    }
+
+    return targets.map((record) => {
+      const migration = migrations.find(m => m.version === record.version);
+      if (!migration) {
+        throw new Error(`Cannot roll back ${record.version}-${record.name}: migration file is missing`);
+      }
+      return { migration, record };
+    });
+  }
+
+  /**
+   * One record per version, so a migration can never be recorded twice
+   */
+  async ensureRecordIndex() {
+    await this.collection.createIndex({ version: 1 }, { unique: true, name: 'version_1' });
+  }
+
+  /**
+   * Build the dry-run plan for a list of migrations
+   */
+  async describe(migrations, direction) {
+    const plan = [];
+
+    for (const migration of migrations) {
+      const steps = typeof migration.module.plan === 'function'
+        ? await migration.module.plan(this.context(migration))
+        : [direction];
+
+      plan.push({ file: migration.file, steps });
+    }
+
+    return plan;
+  }
+
+  context(migration) {
+    return {
+      db: this.db,
+      mongoose,
+      log: (message) => logger.info(`[${migration.version}] ${message}`),
+    };
+  }
+
+  // ========================
+  // LOCKING
+  // ========================
+
+  /**
+   * Run fn while holding the migration lock. The lock is a single document
+   * inserted with a fixed _id, so a second runner hits a duplicate key until
+   * the holder releases it or stops renewing it.
+   */
+  async withLock(fn) {
+    const locks = this.db.collection(this.lockCollectionName);
+
+    if (!await this.acquireLock(locks)) {
+      const holder = await locks.findOne({ _id: LOCK_ID });
+      throw new Error(
+        `Migrations are locked by ${holder?.owner || 'another process'} since ${holder?.acquiredAt?.toISOString()}`
+      );
+    }
+
+    const heartbeat = setInterval(() => {
+      locks.updateOne(
+        { _id: LOCK_ID, owner: this.owner },
+        { $set: { expiresAt: new Date(Date.now() + this.lockTtl) } }
+      ).catch(error => logger.error('Failed to renew migration lock:', error));
+    }, this.lockTtl / 3);
+
+    try {
+      return await fn();
+    } finally {
+      clearInterval(heartbeat);
+      await locks.deleteOne({ _id: LOCK_ID, owner: this.owner });
+    }
+  }
+
+  async acquireLock(locks) {
+    const now = new Date();
+
+    try {
+      // Matches only an expired lock; otherwise the upsert collides with the live one
+      await locks.updateOne(
+        { _id: LOCK_ID, expiresAt: { $lt: now } },
+        { $set: { owner: this.owner, acquiredAt: now, expiresAt: new Date(now.getTime() + this.lockTtl) } },
+        { upsert: true }
+      );
+      return true;
+    } catch (error) {
+      if (error.code === 11000) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Clear a lock left by a crashed runner
+   */
+  async forceUnlock() {
+    const result = await this.db.collection(this.lockCollectionName).deleteOne({ _id: LOCK_ID });
+    return result.deletedCount > 0;
+  }
+
+  // ========================
+  // AUTHORING
+  // ========================
+
+  timestamp(date = new Date()) {
+    return date.toISOString().replace(/\D/g, '').slice(0, 14);
+  }
+
+  slugify(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  }
+
+  /**
+   * Create an empty migration file
+   * @param {string} name - Short description, e.g. "backfill user timezone"
+   * @returns {Promise<string>} - Created file path
+   */
+  async create(name) {
+    const slug = this.slugify(name || '');
+    if (!slug) {
+      throw new Error('Migration name is required');
+    }
+
+    const file = path.join(this.directory, `${this.timestamp()}-${slug}.js`);
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(file, `// src/migrations/${path.basename(file)}
+
+export const description = '${name.replace(/'/g, '\\\'')}';
+
+export async function up({ db, log }) {
+  // const result = await db.collection('users').updateMany({ ... }, { $set: { ... } });
+  // log(\`Updated \${result.modifiedCount} users\`);
+}
+
+export async function down({ db, log }) {
+}
+`);
+
+    return file;
+  }
+
+  /**
+   * Write an index-sync migration from the indexes the schemas declare,
+   * containing only collections that changed since the last one
+   * @returns {Promise<Object>} - { file, collections } or { file: null } when up to date
+   */
+  async generateIndexMigration() {
+    const declared = await this.collectDeclaredIndexes();
+    const previous = await this.loadPreviousIndexSnapshot();
+
+    const changed = Object.keys(declared)
+      .filter(collection => JSON.stringify(declared[collection]) !== JSON.stringify(previous[collection]))
+      .sort();
+
+    if (changed.length === 0) {
+      return { file: null, collections: [] };
+    }
+
+    const indexes = Object.fromEntries(changed.map(collection => [collection, declared[collection]]));
+    const file = path.join(this.directory, `${this.timestamp()}-${INDEX_SYNC_SUFFIX}.js`);
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(file, `// src/migrations/${path.basename(file)}
+// Generated by \`npm run migrate -- generate:indexes\` from the indexes declared
+// in the model schemas. Regenerate instead of editing by hand.
+import MigrationService from '../shared/services/migration.service.js';
+
+export const description = 'Sync declared indexes: ${changed.join(', ')}';
+
+export const INDEXES = ${JSON.stringify(indexes, null, 2)};
+
+export const up = (ctx) => MigrationService.syncIndexes(ctx, INDEXES);
+
+export const down = (ctx, meta) => MigrationService.revertIndexes(ctx, meta);
+
+export const plan = (ctx) => MigrationService.planIndexes(ctx, INDEXES);
+`);
+
+    return { file, collections: changed };
+  }
+
+  /**
+   * Import every model and read the indexes its schema declares
+   * @returns {Promise<Object>} - { collection: [{ name, key, options }] }
+   */
+  async collectDeclaredIndexes() {
+    for (const file of await this.findModelFiles(this.modulesDirectory)) {
+      try {
+        await import(pathToFileURL(file).href);
+      } catch (error) {
+        logger.warn(`Skipping ${path.relative(this.modulesDirectory, file)}: ${error.message}`);
+      }
+    }
+
+    const declared = {};
+    for (const modelName of mongoose.modelNames().sort()) {
+      const model = mongoose.model(modelName);
+      const collection = model.collection.collectionName;
+      const specs = declared[collection] || [];
+
+      for (const [key, rawOptions] of model.schema.indexes()) {
+        const spec = this.normalizeIndex(key, rawOptions);
+
+        // e.g. a field with `unique: true` that is also listed in schema.index()
+        if (specs.some(existing => existing.name === spec.name)) {
+          logger.warn(`${collection}: index ${spec.name} is declared more than once, keeping the first`);
+          continue;
+        }
+        specs.push(spec);
+      }
+
+      declared[collection] = specs;
+    }
+
+    return declared;
+  }
+
+  async findModelFiles(directory) {
+    const entries = await fs.readdir(directory, { withFileTypes: true });
+    const files = [];
+
+    for (const entry of entries) {
+      const fullPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...await this.findModelFiles(fullPath));
+      } else if (entry.name.endsWith('.model.js')) {
+        files.push(fullPath);
+      }
+    }
+
+    return files.sort();
+  }
+
+  /**
+   * Collections as of the most recent index-sync migrations (later files win)
+   */
+  async loadPreviousIndexSnapshot() {
+    const snapshot = {};
+    const migrations = await this.loadMigrations();
+
+    for (const migration of migrations) {
+      if (migration.name === INDEX_SYNC_SUFFIX && migration.module.INDEXES) {
+        Object.assign(snapshot, migration.module.INDEXES);
+      }
+    }
+
+    return snapshot;
+  }
+
+  // ========================
+  // INDEX SYNC
+  // ========================
+
+  normalizeIndex(key, rawOptions = {}) {
+    const options = {};
+    for (const option of INDEX_OPTIONS) {
+      if (rawOptions[option] !== undefined) {
+        options[option] = rawOptions[option];
+      }
+    }
+
+    const name = rawOptions.name || Object.entries(key).map(([field, type]) => `${field}_${type}`).join('_');
+
+    return { name, key, options };
+  }
+
+  isTextIndex(key) {
+    return Object.values(key).includes('text') || '_fts' in key;
+  }
+
+  sameIndex(declared, existing) {
+    // Text indexes are stored as { _fts, _ftsx }, so only their options can be compared
+    if (!this.isTextIndex(declared.key) && JSON.stringify(declared.key) !== JSON.stringify(existing.key)) {
+      return false;
+    }
+
+    return INDEX_OPTIONS.every(option => (
+      // The server fills these in for text indexes when they aren't declared
+      SERVER_DEFAULTED_OPTIONS.includes(option) && declared.options[option] === undefined
+        ? true
+        : JSON.stringify(declared.options[option] ?? null) === JSON.stringify(existing.options[option] ?? null)
+    ));
+  }
+
+  async listIndexes(db, collection) {
+    try {
+      const indexes = await db.collection(collection).listIndexes().toArray();
+
+      return indexes
+        .filter(index => index.name !== '_id_')
+        .map(index => this.normalizeIndex(index.key, index));
+    } catch (error) {
+      // NamespaceNotFound - the collection doesn't exist yet
+      if (error.code === 26) return [];
+      throw error;
+    }
+  }
+
+  async diffIndexes(db, collection, specs) {
+    const existing = await this.listIndexes(db, collection);
+
+    const toDrop = existing.filter((index) => {
+      const declared = specs.find(spec => spec.name === index.name);
+      return !declared || !this.sameIndex(declared, index);
+    });
+    const toCreate = specs.filter((spec) => {
+      const current = existing.find(index => index.name === spec.name);
+      return !current || !this.sameIndex(spec, current);
+    });
+
+    return { toDrop, toCreate };
+  }
+
+  /**
+   * Make each collection's indexes match the declared set
+   * @returns {Promise<Object>} - { collection: { created: [names], dropped: [specs] } } for revertIndexes
+   */
+  async syncIndexes({ db, log }, indexes) {
+    const meta = {};
+
+    for (const [collection, specs] of Object.entries(indexes)) {
+      const { toDrop, toCreate } = await this.diffIndexes(db, collection, specs);
+
+      for (const index of toDrop) {
+        await db.collection(collection).dropIndex(index.name);
+        log(`${collection}: dropped ${index.name}`);
+      }
+
+      for (const spec of toCreate) {
+        await db.collection(collection).createIndex(spec.key, { ...spec.options, name: spec.name });
+        log(`${collection}: created ${spec.name}`);
+      }
+
+      meta[collection] = {
+        created: toCreate.map(spec => spec.name),
+        dropped: toDrop,
+      };
+    }
+
+    return meta;
+  }
+
+  /**
+   * Undo syncIndexes using the meta it returned
+   */
+  async revertIndexes({ db, log }, meta = {}) {
+    for (const [collection, { created = [], dropped = [] }] of Object.entries(meta || {})) {
+      for (const name of created) {
+        try {
+          await db.collection(collection).dropIndex(name);
+          log(`${collection}: dropped ${name}`);
+        } catch (error) {
+          // IndexNotFound - already gone
+          if (error.code !== 27) throw error;
+        }
+      }
+
+      for (const index of dropped) {
+        await db.collection(collection).createIndex(index.key, { ...index.options, name: index.name });
+        log(`${collection}: restored ${index.name}`);
+      }
+    }
+  }
+
+  /**
+   * Describe what syncIndexes would change, for dry runs
+   */
+  async planIndexes({ db }, indexes) {
+    const steps = [];
+
+    for (const [collection, specs] of Object.entries(indexes)) {
+      const { toDrop, toCreate } = await this.diffIndexes(db, collection, specs);
+
+      toDrop.forEach(index => steps.push(`${collection}: drop ${index.name}`));
+      toCreate.forEach((spec) => {
+        const flags = Object.keys(spec.options);
+        steps.push(`${collection}: create ${spec.name}${flags.length ? ` (${flags.join(', ')})` : ''}`);
+      });
+    }
+
+    return steps.length > 0 ? steps : ['indexes already in sync'];
+  }
+}
+
+export default new MigrationService();
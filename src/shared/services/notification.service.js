@@ -1,16 +1,15 @@
 // src/shared/services/notification.service.js
-import admin from 'firebase-admin';
-import nodemailer from 'nodemailer';
 import redis from '../../config/redis.js';
 import socketManager from '../../config/socket.js';
 import logger from '../utils/logger.js';
 import { NOTIFICATION_TYPES } from '../../config/constants.js';
 import QueueService from './queue.service.js';
+import EmailService from '../../modules/notification/email.service.js';
+import PushService from '../../modules/notification/push.service.js';
+import SmsService from '../../modules/notification/sms.service.js';
 
 class NotificationService {
   constructor() {
-    this.firebaseApp = null;
-    this.emailTransporter = null;
     this.initialized = false;
   }
 
@@ -19,48 +18,17 @@ class NotificationService {
    */
   async initialize() {
     try {
-      // Initialize Firebase Admin SDK for push notifications
-      if (process.env.FIREBASE_PROJECT_ID) {
-        this.firebaseApp = admin.initializeApp({
-          credential: admin.credential.cert({
-            projectId: process.env.FIREBASE_PROJECT_ID,
-            clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
-            privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
-          }),
-        });
-        logger.info('✅ Firebase Admin SDK initialized');
-      } else {
-        logger.warn('Firebase credentials not configured. Push notifications disabled.');
-      }
+      // Push delivery (device registry, FCM or mock transport) lives in PushService
+      PushService.initialize();
 
-      // Initialize email transporter
-      if (process.env.SMTP_HOST) {
-        this.emailTransporter = nodemailer.createTransport({
-          host: process.env.SMTP_HOST,
-          port: parseInt(process.env.SMTP_PORT) || 587,
-          secure: process.env.SMTP_SECURE === 'true',
-          auth: {
-            user: process.env.SMTP_USER,
-            pass: process.env.SMTP_PASSWORD,
-          },
-        });
+      // Text messages (verification codes, trusted-contact alerts) go through SmsService
+      SmsService.initialize();
 
-        // Verify email configuration
-        await this.emailTransporter.verify();
-        logger.info('✅ Email transporter configured');
-      } else if (process.env.SENDGRID_API_KEY) {
-        // Alternative: Use SendGrid
-        const sgMail = await import('@sendgrid/mail');
-        sgMail.default.setApiKey(process.env.SENDGRID_API_KEY);
-        this.emailTransporter = sgMail.default;
-        logger.info('✅ SendGrid configured for email');
-      } else {
-        logger.warn('Email configuration not found. Email notifications disabled.');
-      }
+      // Email delivery (templates, failover, suppression) lives in EmailService
+      await EmailService.initialize();
 
       // Register queue handlers
       QueueService.registerHandler('notifications', this.processNotification.bind(this));
-      QueueService.registerHandler('emails', this.processEmail.bind(this));
 
       this.initialized = true;
       logger.info('✅ Notification service initialized');
@@ -77,7 +45,7 @@ class NotificationService {
    */
   async sendNotification(userId, notification) {
     try {
-      const { type, title, body, data = {}, priority = 'normal' } = notification;
+      const { type, title, body, data = {}, priority = 'normal', collapseKey, collapsedBody } = notification;
 
       // Store notification in database
       const notificationDoc = await this.storeNotification(userId, {
@@ -86,6 +54,8 @@ class NotificationService {
         body,
         data,
         priority,
+        collapseKey,
+        collapsedBody,
         read: false,
         createdAt: new Date(),
       });
@@ -109,9 +79,10 @@ class NotificationService {
 
       // Email notification (for important notifications)
       if (userPreferences.email && this.shouldSendEmail(type)) {
-        await QueueService.addJob('emails', {
+        await QueueService.addJob('notifications', {
           userId,
           notification: notificationDoc,
+          channel: 'email',
         }, { delay: 300000 }); // 5 minute delay to batch emails
       }
 
@@ -185,69 +156,14 @@ class NotificationService {
    */
   async sendPushNotification(userId, notification) {
     try {
-      if (!this.firebaseApp) {
-        logger.warn('Firebase not initialized. Cannot send push notification.');
-        return;
-      }
-
-      // Get user's FCM tokens
-      const tokens = await this.getUserFCMTokens(userId);
-      if (!tokens || tokens.length === 0) {
-        logger.debug(`No FCM tokens found for user ${userId}`);
-        return;
-      }
-
-      // Prepare message
-      const message = {
-        notification: {
-          title: notification.title,
-          body: notification.body,
-        },
-        data: {
-          ...notification.data,
-          notificationId: notification._id?.toString() || '',
-          type: notification.type,
-          userId: userId,
-        },
-        android: {
-          priority: notification.priority === 'high' ? 'high' : 'normal',
-          notification: {
-            sound: 'default',
-            clickAction: 'FLUTTER_NOTIFICATION_CLICK',
-          },
-        },
-        apns: {
-          payload: {
-            aps: {
-              sound: 'default',
-              badge: await this.getUnreadCount(userId),
-            },
-          },
-        },
-      };
-
-      // Send to all user's devices
-      const response = await admin.messaging().sendMulticast({
-        ...message,
-        tokens,
+      const result = await PushService.sendToUser(userId, notification, {
+        badge: await this.getUnreadCount(userId),
+        collapseKey: notification.collapseKey,
+        collapsedBody: notification.collapsedBody,
       });
 
-      // Handle failed tokens
-      if (response.failureCount > 0) {
-        const failedTokens = [];
-        response.responses.forEach((resp, idx) => {
-          if (!resp.success) {
-            failedTokens.push(tokens[idx]);
-            logger.error(`Failed to send to token ${tokens[idx]}:`, resp.error);
-          }
-        });
-        
-        // Remove invalid tokens
-        await this.removeInvalidTokens(userId, failedTokens);
-      }
-
-      logger.info(`Push notification sent to user ${userId}: ${response.successCount}/${tokens.length} successful`);
-      return response;
+      logger.info(`Push notification sent to user ${userId}: ${result.successCount} successful`);
+      return result;
     } catch (error) {
       logger.error(`Error sending push notification to ${userId}:`, error);
       throw error;
@@ -261,11 +177,6 @@ class NotificationService {
    */
   async sendEmailNotification(userId, notification) {
     try {
-      if (!this.emailTransporter) {
-        logger.warn('Email transporter not configured. Cannot send email.');
-        return;
-      }
-
       // Get user email and preferences
       const user = await this.getUserEmailInfo(userId);
       if (!user || !user.email) {
@@ -273,31 +184,9 @@ class NotificationService {
         return;
       }
 
-      // Prepare email content
-      const emailContent = this.prepareEmailContent(notification, user);
-
-      let result;
-      if (process.env.SENDGRID_API_KEY) {
-        // SendGrid
-        result = await this.emailTransporter.send({
-          to: user.email,
-          from: process.env.FROM_EMAIL || 'noreply@tinderclone.com',
-          subject: emailContent.subject,
-          text: emailContent.text,
-          html: emailContent.html,
-        });
-      } else {
-        // SMTP
-        result = await this.emailTransporter.sendMail({
-          from: process.env.FROM_EMAIL || 'noreply@tinderclone.com',
-          to: user.email,
-          subject: emailContent.subject,
-          text: emailContent.text,
-          html: emailContent.html,
-        });
-      }
+      const result = await EmailService.sendNotificationEmail({ _id: userId, ...user }, notification);
 
-      logger.info(`Email sent to ${user.email} for user ${userId}`);
+      logger.info(`Email ${result.sent ? 'sent' : 'skipped'} for user ${userId}`);
       return result;
     } catch (error) {
       logger.error(`Error sending email to user ${userId}:`, error);
@@ -305,6 +194,49 @@ class NotificationService {
     }
   }
 
+  /**
+   * Send a text message
+   * @param {string} to - Phone number
+   * @param {Object} options - { message }
+   */
+  async sendSMS(to, { message }) {
+    try {
+      return await SmsService.send(to, message);
+    } catch (error) {
+      logger.error('Error sending SMS:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Queue a message to someone without an account, e.g. a trusted contact.
+   * Each channel is its own job so a failing SMS doesn't hold back the email.
+   * @param {Object} contact - { phone, email }
+   * @param {Object} message - { sms: text, email: { template, data, locale } }
+   * @returns {Promise<string[]>} - Queued job IDs
+   */
+  async notifyContact(contact, message) {
+    const jobs = [];
+
+    if (contact.phone && message.sms) {
+      jobs.push(QueueService.addJob('notifications', {
+        channel: 'contact_sms',
+        to: contact.phone,
+        text: message.sms,
+      }, { priority: 10 }));
+    }
+
+    if (contact.email && message.email) {
+      jobs.push(QueueService.addJob('notifications', {
+        channel: 'contact_email',
+        to: contact.email,
+        email: message.email,
+      }, { priority: 10 }));
+    }
+
+    return Promise.all(jobs);
+  }
+
   /**
    * Process notification from queue
    * @private
@@ -322,78 +254,17 @@ class NotificationService {
       case 'sms':
         await this.sendSMSNotification(userId, notification);
         break;
+      case 'contact_sms':
+        await this.sendSMS(jobData.to, { message: jobData.text });
+        break;
+      case 'contact_email':
+        await EmailService.send({ to: jobData.to, ...jobData.email });
+        break;
       default:
         logger.warn(`Unknown notification channel: ${channel}`);
     }
   }
 
-  /**
-   * Process email from queue
-   * @private
-   */
-  async processEmail(jobData) {
-    const { userId, notification } = jobData;
-    await this.sendEmailNotification(userId, notification);
-  }
-
-  /**
-   * Prepare email content based on notification type
-   * @private
-   */
-  prepareEmailContent(notification, user) {
-    const templates = {
-      [NOTIFICATION_TYPES.NEW_MATCH]: {
-        subject: '🎉 You have a new match!',
-        text: `Hi ${user.name}, ${notification.body}`,
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h2 style="color: #FF4458;">You have a new match!</h2>
-            <p>Hi ${user.name},</p>
-            <p>${notification.body}</p>
-            <a href="${process.env.APP_URL}/matches" style="display: inline-block; padding: 12px 24px; background-color: #FF4458; color: white; text-decoration: none; border-radius: 25px;">View Match</a>
-          </div>
-        `
-      },
-      [NOTIFICATION_TYPES.NEW_MESSAGE]: {
-        subject: '💬 New message',
-        text: `Hi ${user.name}, ${notification.body}`,
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h2 style="color: #FF4458;">New Message</h2>
-            <p>Hi ${user.name},</p>
-            <p>${notification.body}</p>
-            <a href="${process.env.APP_URL}/chat" style="display: inline-block; padding: 12px 24px; background-color: #FF4458; color: white; text-decoration: none; border-radius: 25px;">Read Message</a>
-          </div>
-        `
-      },
-      [NOTIFICATION_TYPES.SUPER_LIKE]: {
-        subject: '⭐ Someone Super Liked you!',
-        text: `Hi ${user.name}, ${notification.body}`,
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h2 style="color: #44D362;">Someone Super Liked You!</h2>
-            <p>Hi ${user.name},</p>
-            <p>${notification.body}</p>
-            <a href="${process.env.APP_URL}" style="display: inline-block; padding: 12px 24px; background-color: #44D362; color: white; text-decoration: none; border-radius: 25px;">See Who</a>
-          </div>
-        `
-      },
-    };
-
-    const template = templates[notification.type] || {
-      subject: notification.title,
-      text: notification.body,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2>${notification.title}</h2>
-          <p>${notification.body}</p>
-        </div>
-      `
-    };
-
-    return template;
-  }
-
   /**
    * Store notification in database
    * @private
@@ -484,72 +355,6 @@ class NotificationService {
     }
   }
 
-  /**
-   * Get user's FCM tokens
-   * @private
-   */
-  async getUserFCMTokens(userId) {
-    try {
-      const key = `user:${userId}:fcm:tokens`;
-      const tokens = await redis.smembers(key);
-      return tokens;
-    } catch (error) {
-      logger.error(`Error getting FCM tokens for ${userId}:`, error);
-      return [];
-    }
-  }
-
-  /**
-   * Register FCM token for user
-   * @param {string} userId - User ID
-   * @param {string} token - FCM token
-   * @param {Object} deviceInfo - Device information
-   */
-  async registerFCMToken(userId, token, deviceInfo = {}) {
-    try {
-      // Add token to user's token set
-      await redis.sadd(`user:${userId}:fcm:tokens`, token);
-      
-      // Store device info
-      await redis.hset(
-        `user:${userId}:devices`,
-        token,
-        JSON.stringify({
-          ...deviceInfo,
-          registeredAt: new Date().toISOString(),
-        })
-      );
-
-      logger.debug(`FCM token registered for user ${userId}`);
-    } catch (error) {
-      logger.error(`Error registering FCM token for ${userId}:`, error);
-      throw error;
-    }
-  }
-
-  /**
-   * Remove invalid FCM tokens
-   * @private
-   */
-  async removeInvalidTokens(userId, tokens) {
-    try {
-      if (tokens.length === 0) return;
-
-      const key = `user:${userId}:fcm:tokens`;
-      await redis.srem(key, ...tokens);
-      
-      // Remove device info
-      const deviceKey = `user:${userId}:devices`;
-      for (const token of tokens) {
-        await redis.hdel(deviceKey, token);
-      }
-
-      logger.debug(`Removed ${tokens.length} invalid tokens for user ${userId}`);
-    } catch (error) {
-      logger.error(`Error removing invalid tokens for ${userId}:`, error);
-    }
-  }
-
   /**
    * Get user email info
    * @private
@@ -745,6 +550,29 @@ class NotificationService {
     return emailTypes.includes(type);
   }
 
+  /**
+   * Alert moderators and admins about a moderation event
+   * @param {Object} alert - Alert data (type, reportId, reason, ...)
+   */
+  async notifyAdmins(alert) {
+    try {
+      const payload = {
+        ...alert,
+        createdAt: new Date().toISOString(),
+      };
+
+      // Keep the latest alerts for moderators who are offline
+      await redis.lpush('admin:alerts', JSON.stringify(payload));
+      await redis.client.lTrim('admin:alerts', 0, 499);
+
+      socketManager.emitToRoom('admins', 'admin:alert', payload);
+
+      logger.info(`Admin alert sent: ${alert.type}`);
+    } catch (error) {
+      logger.error('Error notifying admins:', error);
+    }
+  }
+
   /**
    * Send test notification
    * @param {string} userId - User ID
@@ -8,6 +8,8 @@ class QueueService {
     this.client = redis;
     this.processing = new Map(); // Track processing status
     this.handlers = new Map(); // Queue handlers
+    this.workers = new Map(); // Running worker loops per queue
+    this.activeJobs = 0; // Jobs currently inside a handler
   }
 
   /**
@@ -20,6 +22,34 @@ class QueueService {
     logger.info(`Handler registered for queue: ${queueName}`);
   }
 
+  /**
+   * Register a handler and start consuming the queue (Bull-style signature)
+   * @param {string} queueName - Name of the queue
+   * @param {number} concurrency - Parallel workers
+   * @param {Function} handler - Receives the job ({ id, data, attempts, ... })
+   */
+  process(queueName, concurrency, handler) {
+    this.registerHandler(queueName, (data, job) => handler(job));
+
+    this.processQueue(queueName, { concurrency }).catch((error) => {
+      logger.error(`Queue ${queueName} stopped unexpectedly:`, error);
+    });
+  }
+
+  /**
+   * Start consuming every queue that has a handler but no running workers
+   * @param {Object} options - Processing options (see processQueue)
+   */
+  processRegistered(options = {}) {
+    for (const queueName of this.handlers.keys()) {
+      if (this.processing.get(queueName)) continue;
+
+      this.processQueue(queueName, options).catch((error) => {
+        logger.error(`Queue ${queueName} stopped unexpectedly:`, error);
+      });
+    }
+  }
+
   /**
    * Add job to queue
    * @param {string} queueName - Name of the queue
@@ -145,7 +175,14 @@ class QueueService {
       workers.push(this.worker(queueName, handler, pollInterval, batchSize));
     }
 
-    await Promise.all(workers);
+    const running = Promise.all(workers);
+    this.workers.set(queueName, running);
+
+    try {
+      await running;
+    } finally {
+      this.workers.delete(queueName);
+    }
   }
 
   /**
@@ -210,6 +247,7 @@ class QueueService {
    */
   async executeJob(job, handler) {
     const startTime = Date.now();
+    this.activeJobs++;
     
     try {
       // Update job status
@@ -240,6 +278,8 @@ class QueueService {
         // Move to dead letter queue
         await this.moveToDeadLetter(job, error.message);
       }
+    } finally {
+      this.activeJobs--;
     }
   }
 
@@ -469,6 +509,34 @@ class QueueService {
     logger.info('Stopped all queue processing');
   }
 
+  /**
+   * Stop taking new jobs and wait for in-flight ones to finish
+   * @param {number} timeout - Max wait in ms
+   * @returns {Promise<boolean>} - False if jobs were still running at the timeout
+   */
+  async closeAll(timeout = 30000) {
+    this.stopAll();
+
+    if (this.workers.size === 0) {
+      return true;
+    }
+
+    let timer;
+    const drained = await Promise.race([
+      Promise.all(this.workers.values()).then(() => true),
+      new Promise((resolve) => {
+        timer = setTimeout(() => resolve(false), timeout);
+      }),
+    ]);
+    clearTimeout(timer);
+
+    if (!drained) {
+      logger.warn(`Queue shutdown timed out with ${this.activeJobs} jobs still running`);
+    }
+
+    return drained;
+  }
+
   // Helper methods
 
   generateJobId() {
@@ -115,7 +115,7 @@ export const calculateDistance = (lat1, lon1, lat2, lon2, unit = 'km') => {
   let dist = Math.sin(radlat1) * Math.sin(radlat2) + 
              Math.cos(radlat1) * Math.cos(radlat2) * Math.cos(radtheta);
   
-  dist = Math.acos(dist);
+  dist = Math.acos(Math.min(1, dist)); // Rounding can push identical points just past 1
   dist = dist * 180 / Math.PI;
   dist = dist * 60 * 1.1515; // Distance in miles
   
@@ -126,6 +126,43 @@ export const calculateDistance = (lat1, lon1, lat2, lon2, unit = 'km') => {
   return Math.round(dist * 10) / 10; // Round to 1 decimal place
 };
 
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+/**
+ * Encode coordinates as a geohash (precision 4 is roughly 39km x 20km)
+ */
+export const encodeGeohash = (latitude, longitude, precision = 5) => {
+  const lat = [-90, 90];
+  const lng = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let index = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    const range = evenBit ? lng : lat;
+    const value = evenBit ? longitude : latitude;
+    const mid = (range[0] + range[1]) / 2;
+
+    index <<= 1;
+    if (value >= mid) {
+      index |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+
+    evenBit = !evenBit;
+    if (++bits === 5) {
+      hash += GEOHASH_ALPHABET[index];
+      bits = 0;
+      index = 0;
+    }
+  }
+
+  return hash;
+};
+
 /**
  * Paginate results
  */
@@ -315,6 +352,93 @@ export const formatDate = (date, format = 'YYYY-MM-DD') => {
     .replace('ss', seconds);
 };
 
+/**
+ * Check whether a string is a valid IANA timezone (e.g. "Asia/Ho_Chi_Minh")
+ */
+export const isValidTimezone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Get the UTC offset (in ms) of a timezone at a given instant
+ */
+export const getTimezoneOffset = (date, timeZone = 'UTC') => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  }).formatToParts(date);
+  
+  const value = (type) => parseInt(parts.find(part => part.type === type).value);
+  const asUTC = Date.UTC(
+    value('year'),
+    value('month') - 1,
+    value('day'),
+    value('hour'),
+    value('minute'),
+    value('second')
+  );
+  
+  return asUTC - (date.getTime() - date.getMilliseconds());
+};
+
+/**
+ * Convert a local wall-clock time in a timezone to a Date.
+ * Month and day overflow the same way as Date.UTC.
+ */
+export const zonedTimeToDate = (timeZone, year, month, day, hour = 0, minute = 0) => {
+  const wallClock = Date.UTC(year, month, day, hour, minute);
+  
+  // Resolve twice so a DST change between the guess and the target is honoured
+  const guess = wallClock - getTimezoneOffset(new Date(wallClock), timeZone);
+  return new Date(wallClock - getTimezoneOffset(new Date(guess), timeZone));
+};
+
+/**
+ * Get the local calendar date of an instant in a timezone
+ */
+export const getZonedDateParts = (date, timeZone = 'UTC') => {
+  const local = new Date(date.getTime() + getTimezoneOffset(date, timeZone));
+  
+  return {
+    year: local.getUTCFullYear(),
+    month: local.getUTCMonth(),
+    day: local.getUTCDate(),
+  };
+};
+
+/**
+ * Next local midnight in a timezone (falls back to UTC for unknown zones)
+ */
+export const getNextLocalMidnight = (timeZone, from = new Date()) => {
+  const zone = isValidTimezone(timeZone) ? timeZone : 'UTC';
+  const { year, month, day } = getZonedDateParts(from, zone);
+  
+  return zonedTimeToDate(zone, year, month, day + 1);
+};
+
+/**
+ * Local midnight on the first day of the next month in a timezone
+ */
+export const getNextLocalMonthStart = (timeZone, from = new Date()) => {
+  const zone = isValidTimezone(timeZone) ? timeZone : 'UTC';
+  const { year, month } = getZonedDateParts(from, zone);
+  
+  return zonedTimeToDate(zone, year, month + 1, 1);
+};
+
 /**
  * Time ago format
  */
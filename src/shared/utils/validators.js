@@ -8,8 +8,29 @@ import {
   LIFESTYLE,
   SWIPE_ACTIONS,
   MESSAGE_TYPES,
-  REPORT_REASONS
+  REPORT_REASONS,
+  REPORT_STATUS,
+  ENFORCEMENT_ACTIONS,
+  DATE_ACTIVITIES,
+  DATE_CONSTANTS,
+  ICEBREAKER_CONSTANTS,
+  EXPLORE_CATEGORIES,
+  ACTIVITY_CONSTANTS,
+  SWIPE_BATCH_CONSTANTS,
+  SAFETY_CONSTANTS,
+  GAME_TYPES,
+  STICKER_PACK_STATUS,
+  SUBSCRIPTION_TYPES,
+  TRANSLATION_LANGUAGES,
+  CHAT_EXPORT_CONSTANTS,
+  ENCRYPTION_CONSTANTS
 } from '../../config/constants.js';
+import {
+  GIFT_LEDGER_TYPES,
+  GIFT_PAYMENT_METHODS,
+  GIFT_CONSTANTS
+} from '../../modules/gift/gift.constants.js';
+import { ONE_TIME_PURCHASES } from '../../modules/payment/payment.constants.js';
 
 /**
  * Auth validators
@@ -222,6 +243,47 @@ export const userValidators = {
   ],
 };
 
+/**
+ * Offline swipe batch validators
+ */
+const batchSwipeValidators = [
+  body('swipes')
+    .isArray({ min: 1, max: SWIPE_BATCH_CONSTANTS.MAX_BATCH_SIZE })
+    .withMessage(`Send between 1 and ${SWIPE_BATCH_CONSTANTS.MAX_BATCH_SIZE} swipes`)
+    .custom((swipes) => {
+      const keys = swipes.map(swipe => swipe?.idempotencyKey);
+      if (new Set(keys).size !== keys.length) {
+        throw new Error('Idempotency keys must be unique within a batch');
+      }
+      return true;
+    }),
+
+  body('swipes.*.targetUserId')
+    .isMongoId()
+    .withMessage('Invalid target user ID'),
+
+  body('swipes.*.clientTimestamp')
+    .isISO8601()
+    .withMessage('Client timestamp must be a valid date'),
+
+  body('swipes.*.idempotencyKey')
+    .isString()
+    .trim()
+    .isLength({ min: 8, max: 128 })
+    .withMessage('Idempotency key must be between 8 and 128 characters'),
+
+  body('swipes.*.photoIndex')
+    .optional()
+    .isInt({ min: 0, max: USER_CONSTANTS.MAX_PHOTOS - 1 })
+    .withMessage('Invalid photo index'),
+
+  body('swipes.*.message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message must not exceed 500 characters'),
+];
+
 /**
  * Swipe validators
  */
@@ -247,6 +309,17 @@ export const swipeValidators = {
       .isMongoId()
       .withMessage('Invalid swipe ID'),
   ],
+
+  batch: [
+    body('swipes.*.action')
+      .isIn(Object.values(SWIPE_ACTIONS))
+      .withMessage('Invalid swipe action'),
+
+    ...batchSwipeValidators,
+  ],
+
+  // Batch like/pass set the action themselves
+  batchAction: batchSwipeValidators,
 };
 
 /**
@@ -283,6 +356,432 @@ export const matchValidators = {
   ],
 };
 
+/**
+ * Date planning validators
+ */
+const dateDetailValidators = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Title must not exceed 100 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description must not exceed 1000 characters'),
+
+  body('activity')
+    .optional()
+    .isIn(Object.values(DATE_ACTIVITIES))
+    .withMessage('Invalid date activity'),
+
+  body('timeSlots')
+    .optional()
+    .isArray({ min: 1, max: DATE_CONSTANTS.MAX_TIME_SLOTS })
+    .withMessage(`Propose between 1 and ${DATE_CONSTANTS.MAX_TIME_SLOTS} time slots`),
+
+  body('timeSlots.*.startsAt')
+    .isISO8601()
+    .withMessage('Time slot start must be a valid date'),
+
+  body('timeSlots.*.endsAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Time slot end must be a valid date'),
+
+  body('venue.name')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Venue name must not exceed 200 characters'),
+
+  body('venue.url')
+    .optional()
+    .isURL()
+    .withMessage('Venue URL must be valid'),
+
+  body('venue.coordinates')
+    .optional()
+    .isArray({ min: 2, max: 2 })
+    .withMessage('Venue coordinates must be [longitude, latitude]'),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note must not exceed 500 characters'),
+];
+
+export const dateValidators = {
+  proposeDate: [
+    body('timeSlots')
+      .isArray({ min: 1 })
+      .withMessage('At least one time slot is required'),
+
+    ...dateDetailValidators,
+  ],
+
+  updateDate: [
+    ...dateDetailValidators,
+
+    body('status')
+      .optional()
+      .equals('cancelled')
+      .withMessage('Only "cancelled" can be set here'),
+
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Reason must not exceed 500 characters'),
+  ],
+
+  respondToDate: [
+    body('response')
+      .isIn(['accept', 'decline', 'counter'])
+      .withMessage('Response must be accept, decline or counter'),
+
+    body('slotIndex')
+      .optional()
+      .isInt({ min: 0, max: DATE_CONSTANTS.MAX_TIME_SLOTS - 1 })
+      .withMessage('Invalid time slot'),
+
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Reason must not exceed 500 characters'),
+
+    ...dateDetailValidators,
+  ],
+
+  checkIn: [
+    body('attended')
+      .isBoolean()
+      .withMessage('Attended must be true or false'),
+
+    body('rating')
+      .optional()
+      .isInt({ min: 1, max: 5 })
+      .withMessage('Rating must be between 1 and 5'),
+
+    body('wouldMeetAgain')
+      .optional()
+      .isBoolean()
+      .withMessage('wouldMeetAgain must be true or false'),
+
+    body('feltSafe')
+      .optional()
+      .isBoolean()
+      .withMessage('feltSafe must be true or false'),
+
+    body('feedback')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Feedback must not exceed 1000 characters'),
+  ],
+};
+
+/**
+ * Gift validators
+ */
+export const giftValidators = {
+  sendGift: [
+    body('giftId')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Gift ID is required'),
+
+    body('message')
+      .optional()
+      .trim()
+      .isLength({ max: GIFT_CONSTANTS.MAX_MESSAGE_LENGTH })
+      .withMessage(`Message must not exceed ${GIFT_CONSTANTS.MAX_MESSAGE_LENGTH} characters`),
+
+    body('paymentMethod')
+      .optional()
+      .isIn(Object.values(GIFT_PAYMENT_METHODS))
+      .withMessage('Invalid payment method'),
+
+    body('idempotencyKey')
+      .optional()
+      .isString()
+      .isLength({ min: 8, max: 100 })
+      .withMessage('Idempotency key must be between 8 and 100 characters'),
+  ],
+
+  getHistory: [
+    query('type')
+      .optional()
+      .isIn(Object.values(GIFT_LEDGER_TYPES))
+      .withMessage('Invalid ledger entry type'),
+
+    query('before')
+      .optional()
+      .isISO8601()
+      .withMessage('Before must be a valid date'),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+  ],
+};
+
+/**
+ * Icebreaker validators
+ */
+export const icebreakerValidators = {
+  sendIcebreaker: [
+    body('templateId')
+      .optional()
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Invalid icebreaker'),
+
+    body('text')
+      .if(body('templateId').not().exists())
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: ICEBREAKER_CONSTANTS.MAX_CUSTOM_LENGTH })
+      .withMessage(`Icebreaker must be between 1 and ${ICEBREAKER_CONSTANTS.MAX_CUSTOM_LENGTH} characters`),
+  ],
+
+  getSuggestions: [
+    query('matchId')
+      .isMongoId()
+      .withMessage('Valid match ID is required'),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: ICEBREAKER_CONSTANTS.MAX_SUGGESTION_LIMIT })
+      .withMessage(`Limit must be between 1 and ${ICEBREAKER_CONSTANTS.MAX_SUGGESTION_LIMIT}`),
+  ],
+};
+
+/**
+ * Passport validators
+ */
+export const passportValidators = {
+  changeLocation: [
+    body('latitude')
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Invalid latitude'),
+
+    body('longitude')
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Invalid longitude'),
+
+    body('city')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('City cannot exceed 100 characters'),
+
+    body('country')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Country cannot exceed 100 characters'),
+  ],
+};
+
+/**
+ * Explore validators
+ */
+export const exploreValidators = {
+  category: [
+    param('category')
+      .isIn(Object.values(EXPLORE_CATEGORIES))
+      .withMessage('Unknown explore category'),
+  ],
+
+  setFilters: [
+    body('maxDistance')
+      .optional({ nullable: true })
+      .isInt({ min: USER_CONSTANTS.MIN_SEARCH_RADIUS, max: USER_CONSTANTS.MAX_SEARCH_RADIUS })
+      .withMessage(`Max distance must be between ${USER_CONSTANTS.MIN_SEARCH_RADIUS} and ${USER_CONSTANTS.MAX_SEARCH_RADIUS} km`)
+      .toInt(),
+
+    body('ageRange')
+      .optional({ nullable: true })
+      .isObject()
+      .withMessage('Age range must be an object'),
+
+    body('ageRange.min')
+      .if(body('ageRange').isObject())
+      .isInt({ min: USER_CONSTANTS.MIN_AGE, max: USER_CONSTANTS.MAX_AGE })
+      .withMessage(`Minimum age must be between ${USER_CONSTANTS.MIN_AGE} and ${USER_CONSTANTS.MAX_AGE}`)
+      .toInt(),
+
+    body('ageRange.max')
+      .if(body('ageRange').isObject())
+      .isInt({ min: USER_CONSTANTS.MIN_AGE, max: USER_CONSTANTS.MAX_AGE })
+      .withMessage(`Maximum age must be between ${USER_CONSTANTS.MIN_AGE} and ${USER_CONSTANTS.MAX_AGE}`)
+      .toInt(),
+  ],
+};
+
+/**
+ * Activity validators
+ */
+export const activityValidators = {
+  getFeed: [
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: ACTIVITY_CONSTANTS.MAX_FEED_PAGE_SIZE })
+      .withMessage(`Limit must be between 1 and ${ACTIVITY_CONSTANTS.MAX_FEED_PAGE_SIZE}`),
+
+    query('cursor')
+      .optional()
+      .isString()
+      .isLength({ max: 200 })
+      .withMessage('Invalid cursor'),
+  ],
+};
+
+/**
+ * Date safety validators
+ */
+const checkInMinutesValidator = (field) => body(field)
+  .isInt({ min: SAFETY_CONSTANTS.MIN_CHECK_IN_MINUTES, max: SAFETY_CONSTANTS.MAX_CHECK_IN_MINUTES })
+  .withMessage(`Check-in time must be between ${SAFETY_CONSTANTS.MIN_CHECK_IN_MINUTES} and ${SAFETY_CONSTANTS.MAX_CHECK_IN_MINUTES} minutes`)
+  .toInt();
+
+export const safetyValidators = {
+  addContact: [
+    body('name')
+      .trim()
+      .notEmpty()
+      .withMessage('Contact name is required')
+      .isLength({ max: 50 })
+      .withMessage('Contact name must not exceed 50 characters'),
+
+    body('phone')
+      .optional()
+      .trim()
+      .matches(REGEX_PATTERNS.PHONE)
+      .withMessage('Invalid phone number'),
+
+    body('email')
+      .optional()
+      .trim()
+      .isEmail()
+      .withMessage('Invalid email address')
+      .normalizeEmail(),
+
+    body()
+      .custom((value) => Boolean(value.phone || value.email))
+      .withMessage('A phone number or email is required'),
+
+    body('relationship')
+      .optional()
+      .trim()
+      .isLength({ max: 30 })
+      .withMessage('Relationship must not exceed 30 characters'),
+  ],
+
+  contactId: [
+    param('contactId')
+      .isMongoId()
+      .withMessage('Invalid contact ID'),
+  ],
+
+  sharePlan: [
+    body('dateId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid date ID'),
+
+    body('startsAt')
+      .if(body('dateId').not().exists())
+      .isISO8601()
+      .withMessage('Start time is required when no date is given'),
+
+    body('endsAt')
+      .optional()
+      .isISO8601()
+      .withMessage('End time must be a valid date'),
+
+    body('venue.name')
+      .if(body('dateId').not().exists())
+      .trim()
+      .notEmpty()
+      .withMessage('Venue name is required when no date is given')
+      .isLength({ max: 200 })
+      .withMessage('Venue name must not exceed 200 characters'),
+
+    body('venue.address')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Venue address must not exceed 500 characters'),
+
+    body('venue.coordinates')
+      .optional()
+      .isArray({ min: 2, max: 2 })
+      .withMessage('Venue coordinates must be [longitude, latitude]'),
+
+    body('note')
+      .optional()
+      .trim()
+      .isLength({ max: SAFETY_CONSTANTS.MAX_NOTE_LENGTH })
+      .withMessage(`Note must not exceed ${SAFETY_CONSTANTS.MAX_NOTE_LENGTH} characters`),
+
+    body('contactIds')
+      .optional()
+      .isArray({ min: 1, max: SAFETY_CONSTANTS.MAX_TRUSTED_CONTACTS })
+      .withMessage(`Pick between 1 and ${SAFETY_CONSTANTS.MAX_TRUSTED_CONTACTS} contacts`),
+
+    body('contactIds.*')
+      .isMongoId()
+      .withMessage('Invalid contact ID'),
+
+    body('expiresInHours')
+      .optional()
+      .isInt({ min: 1, max: SAFETY_CONSTANTS.MAX_SHARE_HOURS })
+      .withMessage(`Link lifetime must be between 1 and ${SAFETY_CONSTANTS.MAX_SHARE_HOURS} hours`)
+      .toInt(),
+
+    checkInMinutesValidator('checkInMinutes').optional(),
+  ],
+
+  shareLocation: [
+    body('latitude')
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Latitude must be between -90 and 90')
+      .toFloat(),
+
+    body('longitude')
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Longitude must be between -180 and 180')
+      .toFloat(),
+
+    body('accuracy')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Accuracy must be a positive number')
+      .toFloat(),
+
+    body('durationMinutes')
+      .optional()
+      .isInt({ min: 1, max: SAFETY_CONSTANTS.MAX_LIVE_LOCATION_MINUTES })
+      .withMessage(`Duration must be between 1 and ${SAFETY_CONSTANTS.MAX_LIVE_LOCATION_MINUTES} minutes`)
+      .toInt(),
+  ],
+
+  startCheckIn: [
+    checkInMinutesValidator('minutes'),
+  ],
+};
+
 /**
  * Message validators
  */
@@ -298,6 +797,7 @@ export const messageValidators = {
     
     body('text')
       .if(body('type').equals(MESSAGE_TYPES.TEXT))
+      .if(body('encryption').not().exists())
       .trim()
       .isLength({ min: 1, max: 1000 })
       .withMessage('Text message must be between 1 and 1000 characters'),
@@ -360,6 +860,220 @@ export const messageValidators = {
       .isLength({ min: 1, max: 1000 })
       .withMessage('Text must be between 1 and 1000 characters'),
   ],
+
+  sendGameInvite: [
+    body('gameType')
+      .isIn(Object.values(GAME_TYPES))
+      .withMessage('Invalid game type'),
+
+    body('options')
+      .optional()
+      .isObject()
+      .withMessage('Game options must be an object'),
+  ],
+
+  gameId: [
+    param('gameId')
+      .isMongoId()
+      .withMessage('Invalid game ID'),
+  ],
+
+  translateMessage: [
+    body('targetLanguage')
+      .optional()
+      .isIn(TRANSLATION_LANGUAGES)
+      .withMessage(`Target language must be one of: ${TRANSLATION_LANGUAGES.join(', ')}`),
+  ],
+
+  updateSettings: [
+    body('settings')
+      .optional()
+      .isObject()
+      .withMessage('Settings must be an object'),
+
+    body('preferences.autoTranslate')
+      .optional()
+      .isBoolean()
+      .withMessage('autoTranslate must be a boolean'),
+
+    body('preferences.language')
+      .optional()
+      .isIn(TRANSLATION_LANGUAGES)
+      .withMessage(`Language must be one of: ${TRANSLATION_LANGUAGES.join(', ')}`),
+  ],
+
+  exportChat: [
+    query('format')
+      .optional()
+      .isIn(CHAT_EXPORT_CONSTANTS.FORMATS)
+      .withMessage(`Format must be one of: ${CHAT_EXPORT_CONSTANTS.FORMATS.join(', ')}`),
+  ],
+};
+
+/**
+ * Sticker validators
+ */
+const stickerPackFields = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description must not exceed 200 characters'),
+
+  body('artist')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Artist must not exceed 50 characters'),
+
+  body('minTier')
+    .optional({ nullable: true, checkFalsy: true })
+    .isIn(Object.values(SUBSCRIPTION_TYPES).filter(t => t !== SUBSCRIPTION_TYPES.FREE))
+    .withMessage('Invalid subscription tier'),
+
+  body('product')
+    .optional({ nullable: true, checkFalsy: true })
+    .isIn(Object.keys(ONE_TIME_PURCHASES.stickerPacks))
+    .withMessage('Unknown sticker pack product'),
+
+  body('sortOrder')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Sort order must be a positive integer'),
+];
+
+export const stickerValidators = {
+  createPack: [
+    body('name')
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Name must be between 1 and 50 characters'),
+
+    body('slug')
+      .optional()
+      .trim()
+      .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+      .withMessage('Slug may only contain lowercase letters, numbers and dashes'),
+
+    ...stickerPackFields,
+  ],
+
+  updatePack: [
+    param('packId')
+      .isMongoId()
+      .withMessage('Invalid sticker pack ID'),
+
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Name must be between 1 and 50 characters'),
+
+    ...stickerPackFields,
+  ],
+
+  packStatus: [
+    param('packId')
+      .isMongoId()
+      .withMessage('Invalid sticker pack ID'),
+
+    body('status')
+      .isIn(Object.values(STICKER_PACK_STATUS))
+      .withMessage('Invalid sticker pack status'),
+  ],
+
+  addSticker: [
+    param('packId')
+      .isMongoId()
+      .withMessage('Invalid sticker pack ID'),
+
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ max: 30 })
+      .withMessage('Name must not exceed 30 characters'),
+
+    body('emoji')
+      .optional()
+      .customSanitizer(value => (Array.isArray(value) ? value : String(value).split(',').map(e => e.trim()).filter(Boolean)))
+      .custom(value => value.length <= 5)
+      .withMessage('A sticker can have at most 5 emoji'),
+
+    body('sortOrder')
+      .optional()
+      .isInt({ min: 0 })
+      .toInt()
+      .withMessage('Sort order must be a positive integer'),
+  ],
+
+  removeSticker: [
+    param('packId')
+      .isMongoId()
+      .withMessage('Invalid sticker pack ID'),
+
+    param('stickerId')
+      .isMongoId()
+      .withMessage('Invalid sticker ID'),
+  ],
+
+  getPack: [
+    param('packId')
+      .isMongoId()
+      .withMessage('Invalid sticker pack ID'),
+
+    query('since')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Since must be a pack version'),
+  ],
+};
+
+/**
+ * End-to-end encryption validators
+ */
+const publicKeyField = (field, label) => {
+  const message = `${label} must be a key of at most ${ENCRYPTION_CONSTANTS.MAX_KEY_LENGTH} characters`;
+
+  return body(field)
+    .isString()
+    .withMessage(message)
+    .bail()
+    .isLength({ min: 1, max: ENCRYPTION_CONSTANTS.MAX_KEY_LENGTH })
+    .withMessage(message);
+};
+
+const preKeyList = (field, { optional = false } = {}) => [
+  (optional ? body(field).optional() : body(field))
+    .isArray({ min: optional ? 0 : 1, max: ENCRYPTION_CONSTANTS.MAX_ONE_TIME_PREKEYS })
+    .withMessage(`Send between ${optional ? 0 : 1} and ${ENCRYPTION_CONSTANTS.MAX_ONE_TIME_PREKEYS} prekeys`),
+
+  body(`${field}.*.keyId`)
+    .isInt({ min: 0 })
+    .withMessage('Prekey IDs must be non-negative integers'),
+
+  publicKeyField(`${field}.*.publicKey`, 'Prekey'),
+];
+
+export const encryptionValidators = {
+  uploadBundle: [
+    publicKeyField('identityKey', 'Identity key'),
+
+    body('registrationId')
+      .isInt({ min: 0 })
+      .withMessage('Registration ID must be a non-negative integer'),
+
+    body('signedPreKey.keyId')
+      .isInt({ min: 0 })
+      .withMessage('Signed prekey ID must be a non-negative integer'),
+
+    publicKeyField('signedPreKey.publicKey', 'Signed prekey'),
+
+    publicKeyField('signedPreKey.signature', 'Signed prekey signature'),
+
+    ...preKeyList('oneTimePreKeys', { optional: true }),
+  ],
+
+  addPreKeys: preKeyList('preKeys'),
 };
 
 /**
@@ -578,15 +1292,64 @@ export const adminValidators = {
       .withMessage('Rejection reason must be between 10 and 500 characters'),
   ],
 
-  handleReport: [
+  listReports: [
+    query('status')
+      .optional()
+      .isIn(['open', ...Object.values(REPORT_STATUS)])
+      .withMessage('Invalid report status'),
+
+    query('reason')
+      .optional()
+      .isIn(Object.values(REPORT_REASONS))
+      .withMessage('Invalid report reason'),
+
+    query('type')
+      .optional()
+      .isIn(['user', 'match', 'message'])
+      .withMessage('Invalid report type'),
+
+    query('assignedTo')
+      .optional()
+      .custom(value => ['me', 'unassigned'].includes(value) || REGEX_PATTERNS.MONGODB_ID.test(value))
+      .withMessage('assignedTo must be a user ID, "me" or "unassigned"'),
+  ],
+
+  assignReport: [
     param('reportId')
       .isMongoId()
       .withMessage('Invalid report ID'),
-    
+
+    body('assigneeId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid assignee ID'),
+  ],
+
+  escalateReport: [
+    param('reportId')
+      .isMongoId()
+      .withMessage('Invalid report ID'),
+
+    body('reason')
+      .trim()
+      .isLength({ min: 10, max: 500 })
+      .withMessage('Escalation reason must be between 10 and 500 characters'),
+  ],
+
+  resolveReport: [
+    param('reportId')
+      .isMongoId()
+      .withMessage('Invalid report ID'),
+
     body('action')
-      .isIn(['dismiss', 'warning', 'ban', 'delete'])
+      .isIn(Object.values(ENFORCEMENT_ACTIONS))
       .withMessage('Invalid action'),
-    
+
+    body('duration')
+      .if(body('action').equals(ENFORCEMENT_ACTIONS.TEMP_BAN))
+      .isInt({ min: 1, max: 365 })
+      .withMessage('Ban duration must be between 1 and 365 days'),
+
     body('notes')
       .optional()
       .trim()
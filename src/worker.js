@@ -0,0 +1,48 @@
+// worker.js
+// Standalone entry point for background processes (no HTTP server).
+// PROCESS_ROLES=worker or PROCESS_ROLES=scheduler splits them further.
+import Database from './config/database.js';
+import redis from './config/redis.js';
+import jobsConfig from './config/jobs.js';
+import { startBackgroundJobs, stopBackgroundJobs, PROCESS_ROLES } from './jobs/index.js';
+import logger from './shared/utils/logger.js';
+
+const roles = jobsConfig.roles.filter(role => role !== PROCESS_ROLES.API);
+
+let stopping = false;
+
+async function shutdown(signal) {
+  if (stopping) return;
+  stopping = true;
+
+  logger.info(`${signal} received, stopping worker...`);
+
+  try {
+    await stopBackgroundJobs();
+    await Database.disconnect();
+    await redis.disconnect();
+    process.exit(0);
+  } catch (error) {
+    logger.error('Error during worker shutdown:', error);
+    process.exit(1);
+  }
+}
+
+async function main() {
+  try {
+    await Database.connect();
+    await redis.connect();
+
+    await startBackgroundJobs({
+      roles: roles.length > 0 ? roles : [PROCESS_ROLES.WORKER, PROCESS_ROLES.SCHEDULER],
+    });
+
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+  } catch (error) {
+    logger.error('Failed to start worker:', error);
+    process.exit(1);
+  }
+}
+
+main();
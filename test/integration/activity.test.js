@@ -0,0 +1,197 @@
+import { jest } from '@jest/globals';
+import User from '../../src/modules/user/user.model.js';
+import Match from '../../src/modules/match/match.model.js';
+import Swipe from '../../src/modules/match/swipe.model.js';
+import Inventory from '../../src/modules/gift/inventory.model.js';
+import GiftLedger from '../../src/modules/gift/giftLedger.model.js';
+import ActivityService from '../../src/modules/match/activity.service.js';
+import NotificationService from '../../src/shared/services/notification.service.js';
+import { GIFT_LEDGER_TYPES } from '../../src/modules/gift/gift.constants.js';
+import { ACTIVITY_TYPES, NOTIFICATION_TYPES, SWIPE_ACTIONS } from '../../src/config/constants.js';
+import { setupTestDB, teardownTestDB, createTestUser } from '../setup.js';
+
+describe('Activity Integration Tests', () => {
+  let alice;
+  let bob;
+  let carol;
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const HOUR_MS = 60 * 60 * 1000;
+
+  const createMatch = (users, matchedAt = new Date()) => Match.create({
+    users: users.map(u => u._id),
+    initiatedBy: users[0]._id,
+    matchedAt,
+  });
+
+  beforeAll(async () => {
+    await setupTestDB();
+    await GiftLedger.syncIndexes();
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(NotificationService, 'sendNotification').mockResolvedValue(true);
+
+    await Promise.all([
+      User.deleteMany({}),
+      Match.deleteMany({}),
+      Swipe.deleteMany({}),
+      Inventory.deleteMany({}),
+      GiftLedger.deleteMany({}),
+    ]);
+    alice = await createTestUser('alice.activity@example.com', 'Alice');
+    bob = await createTestUser('bob.activity@example.com', 'Bob');
+    carol = await createTestUser('carol.activity@example.com', 'Carol');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Feed', () => {
+    it('should merge sources newest first and page with a cursor', async () => {
+      await createMatch([alice, bob], new Date(Date.now() - 3 * HOUR_MS));
+      await Swipe.create({ from: carol._id, to: alice._id, action: SWIPE_ACTIONS.LIKE, swipedAt: new Date(Date.now() - HOUR_MS) });
+      await GiftLedger.create({
+        user: alice._id,
+        type: GIFT_LEDGER_TYPES.GIFT_RECEIVED,
+        giftId: 'rose',
+        quantity: 1,
+        counterparty: bob._id,
+      });
+
+      const first = await ActivityService.getFeed(alice._id, { limit: 2 });
+      const second = await ActivityService.getFeed(alice._id, { limit: 2, cursor: first.nextCursor });
+
+      expect(first.items.map(i => i.type)).toEqual([ACTIVITY_TYPES.GIFT_RECEIVED, ACTIVITY_TYPES.LIKE_RECEIVED]);
+      expect(first.hasMore).toBe(true);
+      expect(second.items.map(i => i.type)).toEqual([ACTIVITY_TYPES.NEW_MATCH]);
+      expect(second.nextCursor).toBeNull();
+    });
+
+    it('should hide who liked the user without the subscription feature', async () => {
+      await Swipe.create({ from: carol._id, to: alice._id, action: SWIPE_ACTIONS.LIKE });
+      await Swipe.create({ from: bob._id, to: alice._id, action: SWIPE_ACTIONS.SUPER_LIKE });
+
+      const { items } = await ActivityService.getFeed(alice._id);
+      const like = items.find(i => !i.isSuperLike);
+      const superLike = items.find(i => i.isSuperLike);
+
+      expect(like).toMatchObject({ isBlurred: true, user: null });
+      expect(superLike.user.firstName).toBe('Bob');
+    });
+
+    it('should show profile updates matches made after matching', async () => {
+      await createMatch([alice, bob], new Date(Date.now() - DAY_MS));
+      bob.profile.bio = 'New bio';
+      await bob.save();
+
+      const { items } = await ActivityService.getFeed(alice._id);
+      const update = items.find(i => i.type === ACTIVITY_TYPES.PROFILE_UPDATED);
+
+      expect(update.changes).toEqual(['bio']);
+      expect(update.user.firstName).toBe('Bob');
+    });
+
+    it('should flag matches about to go stale', async () => {
+      await createMatch([alice, bob], new Date(Date.now() - 6.5 * DAY_MS));
+
+      const { items } = await ActivityService.getFeed(alice._id);
+
+      expect(items.map(i => i.type)).toEqual(
+        expect.arrayContaining([ACTIVITY_TYPES.NEW_MATCH, ACTIVITY_TYPES.MATCH_EXPIRING])
+      );
+    });
+
+    it('should reject a malformed cursor', async () => {
+      await expect(ActivityService.getFeed(alice._id, { cursor: 'not-a-cursor' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('Streaks', () => {
+    const day = (offset) => new Date(Date.UTC(2026, 0, 10 + offset, 12));
+
+    it('should count a day only once both people have messaged', async () => {
+      const match = await createMatch([alice, bob]);
+
+      expect(await ActivityService.recordMessage(match._id, alice._id, day(0))).toBeNull();
+      expect(await ActivityService.recordMessage(match._id, alice._id, day(0))).toBeNull();
+      const streak = await ActivityService.recordMessage(match._id, bob._id, day(0));
+
+      expect(streak).toMatchObject({ current: 1, completedToday: true });
+    });
+
+    it('should continue on consecutive days and restart after a gap', async () => {
+      const match = await createMatch([alice, bob]);
+
+      for (const offset of [0, 1]) {
+        await ActivityService.recordMessage(match._id, alice._id, day(offset));
+        await ActivityService.recordMessage(match._id, bob._id, day(offset));
+      }
+      let saved = await Match.findById(match._id);
+      expect(saved.engagement.activityStreak.current).toBe(2);
+
+      await ActivityService.recordMessage(match._id, alice._id, day(3));
+      await ActivityService.recordMessage(match._id, bob._id, day(3));
+      saved = await Match.findById(match._id);
+      expect(saved.engagement.activityStreak).toMatchObject({ current: 1, longest: 2 });
+    });
+
+    it('should reward a milestone once to both people', async () => {
+      const match = await createMatch([alice, bob]);
+
+      for (const offset of [0, 1, 2]) {
+        await ActivityService.recordMessage(match._id, alice._id, day(offset));
+        await ActivityService.recordMessage(match._id, bob._id, day(offset));
+      }
+      await ActivityService.rewardMilestone(await Match.findById(match._id), 3);
+
+      const inventories = await Inventory.find({}).lean();
+      expect(inventories.map(i => i.coins)).toEqual([10, 10]);
+      expect(NotificationService.sendNotification).toHaveBeenCalledWith(
+        alice._id.toString(),
+        expect.objectContaining({ type: NOTIFICATION_TYPES.STREAK_MILESTONE })
+      );
+    });
+
+    it('should remind only the person who has not messaged late in the day', async () => {
+      const match = await createMatch([alice, bob]);
+      await Match.updateOne({ _id: match._id }, {
+        'engagement.activityStreak': {
+          current: 5,
+          longest: 5,
+          lastStreakDate: new Date(Date.UTC(2026, 0, 9)),
+          currentDay: new Date(Date.UTC(2026, 0, 10)),
+          currentDaySenders: [alice._id],
+        },
+      });
+
+      expect(await ActivityService.sendStreakReminders(new Date(Date.UTC(2026, 0, 10, 12)))).toBe(0);
+      expect(await ActivityService.sendStreakReminders(new Date(Date.UTC(2026, 0, 10, 20)))).toBe(1);
+      expect(await ActivityService.sendStreakReminders(new Date(Date.UTC(2026, 0, 10, 21)))).toBe(0);
+      expect(NotificationService.sendNotification).toHaveBeenCalledWith(
+        bob._id.toString(),
+        expect.objectContaining({ type: NOTIFICATION_TYPES.STREAK_AT_RISK })
+      );
+    });
+
+    it('should reset missed streaks', async () => {
+      const match = await createMatch([alice, bob]);
+      await Match.updateOne({ _id: match._id }, {
+        'engagement.activityStreak.current': 4,
+        'engagement.activityStreak.lastStreakDate': new Date(Date.UTC(2026, 0, 7)),
+      });
+
+      const reset = await ActivityService.resetBrokenStreaks(new Date(Date.UTC(2026, 0, 10, 0, 5)));
+      const saved = await Match.findById(match._id);
+
+      expect(reset).toBe(1);
+      expect(saved.engagement.activityStreak.current).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,264 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import User from '../../src/modules/user/user.model.js';
+import Report from '../../src/modules/admin/report.model.js';
+import AdminService from '../../src/modules/admin/admin.service.js';
+import adminRoutes from '../../src/modules/admin/admin.routes.js';
+import AuthService from '../../src/modules/auth/auth.service.js';
+import CacheService from '../../src/shared/services/cache.service.js';
+import MetricsService from '../../src/shared/services/metrics.service.js';
+import NotificationService from '../../src/shared/services/notification.service.js';
+import { errorHandler } from '../../src/shared/middleware/error.middleware.js';
+import {
+  ENFORCEMENT_ACTIONS,
+  REPORT_REASONS,
+  REPORT_STATUS,
+  ROLES,
+} from '../../src/config/constants.js';
+import { setupTestDB, teardownTestDB, createTestUser } from '../setup.js';
+
+describe('Admin Enforcement Integration Tests', () => {
+  let admin;
+  let moderator;
+  let otherModerator;
+  let reporter;
+  let user;
+
+  const enforce = (action, extra = {}) => AdminService.applyEnforcement(user._id, action, {
+    moderatorId: moderator._id,
+    reason: 'Harassment',
+    ...extra,
+  });
+
+  const fileReport = (fields = {}) => Report.create({
+    reportedBy: reporter._id,
+    reportedUser: user._id,
+    reason: REPORT_REASONS.HARASSMENT,
+    ...fields,
+  });
+
+  // authenticate takes the user from the token claims when it is not cached
+  const tokenFor = (account) => jwt.sign(
+    { userId: account._id.toString(), role: account.role, status: { isActive: true }, type: 'access' },
+    process.env.JWT_ACCESS_SECRET
+  );
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin', adminRoutes);
+  app.use(errorHandler);
+
+  const listReports = (query, account = moderator) => request(app)
+    .get('/api/admin/reports')
+    .set('Authorization', `Bearer ${tokenFor(account)}`)
+    .query(query);
+
+  beforeAll(async () => {
+    await setupTestDB();
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(CacheService, 'invalidateUser').mockResolvedValue(true);
+    jest.spyOn(MetricsService, 'incrementCounter').mockResolvedValue(null);
+    jest.spyOn(NotificationService, 'notifyAdmins').mockResolvedValue();
+    jest.spyOn(NotificationService, 'sendNotification').mockResolvedValue({});
+    jest.spyOn(AuthService, 'getActiveSessions').mockResolvedValue([
+      { sessionId: 'session-phone' },
+      { sessionId: 'session-web' },
+    ]);
+    jest.spyOn(AuthService, 'revokeSession').mockResolvedValue(true);
+
+    await Promise.all([User.deleteMany({}), Report.deleteMany({})]);
+    admin = await createTestUser('admin.admin@example.com', 'Avery', { role: ROLES.ADMIN });
+    moderator = await createTestUser('moderator.admin@example.com', 'Morgan', { role: ROLES.MODERATOR });
+    otherModerator = await createTestUser('moderator2.admin@example.com', 'Quinn', { role: ROLES.MODERATOR });
+    reporter = await createTestUser('reporter.admin@example.com', 'Casey');
+    user = await createTestUser('reported.admin@example.com', 'Riley');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Report queue', () => {
+    it('should list open reports by priority, then oldest first', async () => {
+      const older = await fileReport();
+      const urgent = await fileReport({ priority: 9 });
+      const newer = await fileReport();
+      await fileReport({ status: REPORT_STATUS.DISMISSED });
+
+      const { reports, pagination } = await AdminService.listReports({ status: 'open' });
+
+      expect(reports.map(r => r._id.toString())).toEqual([urgent, older, newer].map(r => r._id.toString()));
+      expect(pagination.total).toBe(3);
+      expect(reports[0].auditTrail).toBeUndefined();
+    });
+
+    it('should reject unknown reasons', async () => {
+      await expect(AdminService.listReports({ reason: 'rudeness' })).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should filter by assignee, including "me" and "unassigned"', async () => {
+      const mine = await fileReport();
+      const theirs = await fileReport();
+      const unassigned = await fileReport();
+      await AdminService.assignReport(mine._id, moderator);
+      await AdminService.assignReport(theirs._id, otherModerator);
+
+      const res = await listReports({ assignedTo: 'me' }).expect(200);
+      expect(res.body.data.map(r => r._id)).toEqual([mine._id.toString()]);
+
+      const pool = await listReports({ assignedTo: 'unassigned' }).expect(200);
+      expect(pool.body.data.map(r => r._id)).toEqual([unassigned._id.toString()]);
+
+      await listReports({ assignedTo: 'someone' }).expect(400);
+    });
+
+    it('should assign to the caller and move the report into review', async () => {
+      const report = await fileReport();
+
+      const assigned = await AdminService.assignReport(report._id, moderator);
+
+      expect(assigned.assignedTo.toString()).toBe(moderator._id.toString());
+      expect(assigned.status).toBe(REPORT_STATUS.IN_REVIEW);
+      expect(assigned.auditTrail.at(-1)).toMatchObject({ action: 'assigned' });
+    });
+
+    it('should only assign reports to moderators', async () => {
+      const report = await fileReport();
+
+      await AdminService.assignReport(report._id, moderator, otherModerator._id.toString());
+      await expect(AdminService.assignReport(report._id, moderator, reporter._id.toString()))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should escalate back to the admin pool up to the highest level', async () => {
+      const report = await fileReport();
+      await AdminService.assignReport(report._id, moderator);
+
+      const escalated = await AdminService.escalateReport(report._id, moderator, 'Threats of violence');
+
+      expect(escalated).toMatchObject({ status: REPORT_STATUS.ESCALATED, priority: 8 });
+      expect(escalated.escalation.level).toBe(1);
+      expect(escalated.assignedTo).toBeUndefined();
+      expect(NotificationService.notifyAdmins).toHaveBeenCalledWith(expect.objectContaining({ level: 1 }));
+
+      await AdminService.escalateReport(report._id, moderator, 'Repeat offender');
+      await expect(AdminService.escalateReport(report._id, moderator, 'Again'))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should leave escalated reports and permanent bans to admins', async () => {
+      const report = await fileReport();
+      await AdminService.escalateReport(report._id, moderator, 'Needs an admin');
+
+      await expect(AdminService.resolveReport(report._id, moderator, { action: ENFORCEMENT_ACTIONS.WARN }))
+        .rejects.toMatchObject({ statusCode: 403 });
+
+      const other = await fileReport();
+      await expect(AdminService.resolveReport(other._id, moderator, { action: ENFORCEMENT_ACTIONS.PERMANENT_BAN }))
+        .rejects.toMatchObject({ statusCode: 403 });
+
+      const { report: resolved } = await AdminService.resolveReport(report._id, admin, {
+        action: ENFORCEMENT_ACTIONS.WARN,
+        notes: 'First offence',
+      });
+      expect(resolved.status).toBe(REPORT_STATUS.RESOLVED);
+      expect(resolved.resolution).toMatchObject({ action: ENFORCEMENT_ACTIONS.WARN, notes: 'First offence' });
+    });
+
+    it('should dismiss reports resolved without action and close them', async () => {
+      const report = await fileReport();
+
+      const { report: dismissed, enforcement } = await AdminService.resolveReport(report._id, moderator);
+
+      expect(dismissed.status).toBe(REPORT_STATUS.DISMISSED);
+      expect(enforcement).toBeNull();
+      await expect(AdminService.assignReport(report._id, moderator)).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('Enforcement', () => {
+    it('should ban through a report and revoke every session', async () => {
+      const report = await fileReport();
+
+      const { enforcement } = await AdminService.resolveReport(report._id, moderator, {
+        action: ENFORCEMENT_ACTIONS.TEMP_BAN,
+        duration: 7,
+      });
+
+      expect(enforcement.sessionsRevoked).toBe(2);
+      expect(AuthService.revokeSession).toHaveBeenCalledWith(user._id.toString(), 'session-phone', null);
+      expect(AuthService.revokeSession).toHaveBeenCalledWith(user._id.toString(), 'session-web', null);
+      expect(CacheService.invalidateUser).toHaveBeenCalledWith(user._id.toString());
+
+      const banned = await User.findById(user._id);
+      expect(banned.status.isBanned).toBe(true);
+      expect(banned.adminNotes.at(-1).note).toContain(`(report ${report._id})`);
+    });
+
+    it('should keep sessions for warnings and shadow bans', async () => {
+      await enforce(ENFORCEMENT_ACTIONS.WARN);
+      await enforce(ENFORCEMENT_ACTIONS.SHADOW_BAN);
+
+      expect(AuthService.revokeSession).not.toHaveBeenCalled();
+      expect((await User.findById(user._id)).status.isShadowBanned).toBe(true);
+    });
+
+    it('should require a duration for temporary bans', async () => {
+      await expect(enforce(ENFORCEMENT_ACTIONS.TEMP_BAN)).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should never action admins', async () => {
+      await expect(AdminService.applyEnforcement(admin._id, ENFORCEMENT_ACTIONS.WARN, { moderatorId: moderator._id }))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+
+  describe('Bans', () => {
+    it('should keep a permanent ban that follows a temporary one', async () => {
+      await enforce(ENFORCEMENT_ACTIONS.TEMP_BAN, { duration: 1 });
+      // The temporary ban ends before the sweep gets to it
+      await User.updateOne({ _id: user._id }, { 'status.bannedUntil': new Date(Date.now() - 1000) });
+
+      const { bannedUntil } = await enforce(ENFORCEMENT_ACTIONS.PERMANENT_BAN);
+      expect(bannedUntil).toBeNull();
+
+      expect(await AdminService.liftExpiredBans()).toBe(0);
+
+      const saved = await User.findById(user._id);
+      expect(saved.status).toMatchObject({ isBanned: true, bannedUntil: null });
+    });
+
+    it('should lift temporary bans once they end', async () => {
+      await enforce(ENFORCEMENT_ACTIONS.TEMP_BAN, { duration: 1 });
+      await User.updateOne({ _id: user._id }, { 'status.bannedUntil': new Date(Date.now() - 1000) });
+
+      expect(await AdminService.liftExpiredBans()).toBe(1);
+      expect((await User.findById(user._id)).status.isBanned).toBe(false);
+    });
+  });
+
+  describe('Access', () => {
+    it('should require a token', async () => {
+      await request(app).get('/api/admin/reports').expect(401);
+    });
+
+    it('should keep regular users out', async () => {
+      await listReports({}, user).expect(403);
+    });
+
+    it('should keep moderators out of admin-only routes', async () => {
+      await request(app)
+        .post('/api/admin/stickers/packs/507f1f77bcf86cd799439011/stickers')
+        .set('Authorization', `Bearer ${tokenFor(moderator)}`)
+        .expect(403);
+    });
+  });
+});
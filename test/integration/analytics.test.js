@@ -0,0 +1,266 @@
+import { jest } from '@jest/globals';
+import Swipe from '../../src/modules/match/swipe.model.js';
+import Match from '../../src/modules/match/match.model.js';
+import Message from '../../src/modules/chat/message.model.js';
+import Subscription from '../../src/modules/payment/subscription.model.js';
+import Transaction from '../../src/modules/payment/transaction.model.js';
+import AnalyticsSnapshot from '../../src/modules/admin/analyticsSnapshot.model.js';
+import AnalyticsJob from '../../src/jobs/analyticsJob.js';
+import MetricsService from '../../src/shared/services/metrics.service.js';
+import { MESSAGE_TYPES, SWIPE_ACTIONS } from '../../src/config/constants.js';
+import { SUBSCRIPTION_STATUS, TRANSACTION_STATUS } from '../../src/modules/payment/payment.constants.js';
+import { setupTestDB, teardownTestDB, createTestUser } from '../setup.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The day under test, and times within it
+const day = new Date('2026-03-10T00:00:00Z');
+const at = (hours, base = day) => new Date(base.getTime() + hours * 60 * 60 * 1000);
+
+describe('Analytics Integration Tests', () => {
+  let alice;
+  let bob;
+  let carol;
+  let dave;
+
+  const withCountry = (country) => ({
+    location: { type: 'Point', coordinates: [105.85, 21.03], address: { country } },
+  });
+
+  beforeAll(async () => {
+    await setupTestDB();
+    await AnalyticsSnapshot.syncIndexes();
+
+    alice = await createTestUser('alice.analytics@example.com', 'Alice', {
+      profile: { dateOfBirth: new Date('1995-01-01'), ...withCountry('VN') },
+      subscription: { type: 'gold' },
+    });
+    bob = await createTestUser('bob.analytics@example.com', 'Bob', {
+      profile: { gender: 'male', dateOfBirth: new Date('1990-01-01'), ...withCountry('US') },
+    });
+    carol = await createTestUser('carol.analytics@example.com', 'Carol', {
+      profile: { dateOfBirth: new Date('2004-06-01') },
+    });
+    dave = await createTestUser('dave.analytics@example.com', 'Dave', {
+      profile: { gender: 'male' },
+    });
+
+    // Swipes of the day: 4 in total, 3 right, 2 of them matched
+    await Swipe.create([
+      { from: alice._id, to: bob._id, action: SWIPE_ACTIONS.LIKE, swipedAt: at(9), match: { isMatch: true } },
+      { from: alice._id, to: carol._id, action: SWIPE_ACTIONS.NOPE, swipedAt: at(9) },
+      { from: bob._id, to: alice._id, action: SWIPE_ACTIONS.LIKE, swipedAt: at(10), match: { isMatch: true } },
+      { from: carol._id, to: bob._id, action: SWIPE_ACTIONS.SUPER_LIKE, swipedAt: at(11) },
+      // Active this week and month, not today
+      { from: dave._id, to: carol._id, action: SWIPE_ACTIONS.LIKE, swipedAt: at(-3 * 24) },
+    ]);
+
+    // Alice writes first, Bob answers
+    const match = await Match.create({ users: [alice._id, bob._id], initiatedBy: bob._id, matchedAt: at(10) });
+    await Message.create([
+      { matchId: match._id, sender: alice._id, receiver: bob._id, type: MESSAGE_TYPES.TEXT, createdAt: at(12) },
+      { matchId: match._id, sender: bob._id, receiver: alice._id, type: MESSAGE_TYPES.TEXT, createdAt: at(13) },
+    ]);
+
+    // Raw inserts - the aggregations only read these fields
+    await Subscription.collection.insertMany([
+      { userId: alice._id, status: SUBSCRIPTION_STATUS.ACTIVE, createdAt: at(14), currentPeriodEnd: at(30 * 24) },
+      { userId: carol._id, status: SUBSCRIPTION_STATUS.INCOMPLETE, createdAt: at(15), currentPeriodEnd: at(30 * 24) },
+      // Live at the start of the day, cancelled during it
+      {
+        userId: bob._id,
+        status: SUBSCRIPTION_STATUS.CANCELLED,
+        createdAt: at(-40 * 24),
+        currentPeriodEnd: at(12),
+        cancelledAt: at(6),
+      },
+    ]);
+    await Transaction.collection.insertMany([
+      { userId: alice._id, status: TRANSACTION_STATUS.SUCCESS, amount: 25000, amountInUSD: 999, createdAt: at(14) },
+      { userId: bob._id, status: TRANSACTION_STATUS.FAILED, amount: 999, amountInUSD: 999, createdAt: at(8) },
+    ]);
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(MetricsService, 'incrementCounter').mockResolvedValue(null);
+    await AnalyticsSnapshot.deleteMany({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Daily rollup', () => {
+    it('should store one snapshot at UTC midnight of the day', async () => {
+      const snapshot = await AnalyticsJob.computeDailySnapshot(at(15));
+
+      expect(snapshot.date).toEqual(day);
+      expect(snapshot.period).toBe('day');
+      expect(snapshot.version).toBe(1);
+    });
+
+    it('should count active users over the day, week and month', async () => {
+      const { metrics } = await AnalyticsJob.computeDailySnapshot(day);
+
+      expect(metrics.dau.value).toBe(3);
+      expect(metrics.wau.value).toBe(4);
+      expect(metrics.mau.value).toBe(4);
+    });
+
+    it('should break metrics down by gender, age band, country and tier', async () => {
+      const { metrics } = await AnalyticsJob.computeDailySnapshot(day);
+
+      expect(metrics.dau.breakdowns).toEqual({
+        gender: { female: { value: 2 }, male: { value: 1 } },
+        ageBand: { '25-34': { value: 1 }, '35-44': { value: 1 }, '18-24': { value: 1 } },
+        country: { VN: { value: 1 }, US: { value: 1 }, unknown: { value: 1 } },
+        tier: { gold: { value: 1 }, free: { value: 2 } },
+      });
+    });
+
+    it('should compute swipe and match rates', async () => {
+      const { metrics } = await AnalyticsJob.computeDailySnapshot(day);
+
+      expect(metrics.swipes.value).toBe(4);
+      expect(metrics.swipeRightRate).toMatchObject({ value: 0.75, numerator: 3, denominator: 4 });
+      expect(metrics.swipeRightRate.breakdowns.gender.female).toEqual({ value: 0.6667, numerator: 2, denominator: 3 });
+      expect(metrics.matchRate).toMatchObject({ value: 0.6667, numerator: 2, denominator: 3 });
+    });
+
+    it('should follow the match cohort into the conversation', async () => {
+      const { metrics } = await AnalyticsJob.computeDailySnapshot(day);
+
+      expect(metrics.newMatches.value).toBe(2);
+      expect(metrics.firstMessageRate).toMatchObject({ value: 1, numerator: 2, denominator: 2 });
+      // Only Bob received the first message, and he answered
+      expect(metrics.replyRate).toMatchObject({ value: 1, numerator: 1, denominator: 1 });
+      expect(metrics.replyRate.breakdowns.gender.male).toEqual({ value: 1, numerator: 1, denominator: 1 });
+    });
+
+    it('should count conversions, churn and revenue', async () => {
+      const { metrics } = await AnalyticsJob.computeDailySnapshot(day);
+
+      expect(metrics.conversions.value).toBe(1);
+      expect(metrics.conversionRate).toMatchObject({ value: 0.3333, numerator: 1, denominator: 3 });
+      expect(metrics.churned.value).toBe(1);
+      expect(metrics.churnRate).toMatchObject({ value: 1, numerator: 1, denominator: 1 });
+      expect(metrics.transactions.value).toBe(1);
+      expect(metrics.revenue.value).toBe(999);
+    });
+
+    it('should store zeroes for a day without activity', async () => {
+      const { metrics } = await AnalyticsJob.computeDailySnapshot(at(-10 * 24));
+
+      expect(metrics.dau.value).toBe(0);
+      expect(metrics.swipeRightRate).toMatchObject({ value: 0, numerator: 0, denominator: 0 });
+    });
+  });
+
+  describe('Backfill', () => {
+    const from = '2026-03-08T00:00:00Z';
+    const to = '2026-03-10T00:00:00Z';
+
+    it('should compute every day of the range, oldest first', async () => {
+      const days = [];
+
+      const summary = await AnalyticsJob.backfill(from, to, {
+        onProgress: (date, index, total) => days.push([date.toISOString().slice(0, 10), index, total]),
+      });
+
+      expect(summary).toEqual({ computed: 3, skipped: 0, failed: [] });
+      expect(days).toEqual([['2026-03-08', 1, 3], ['2026-03-09', 2, 3], ['2026-03-10', 3, 3]]);
+    });
+
+    it('should be idempotent when run again', async () => {
+      await AnalyticsJob.backfill(from, to);
+      const first = await AnalyticsSnapshot.getRange(new Date(from), new Date(to));
+
+      await AnalyticsJob.backfill(from, to);
+      const second = await AnalyticsSnapshot.getRange(new Date(from), new Date(to));
+
+      expect(await AnalyticsSnapshot.countDocuments()).toBe(3);
+      expect(second.map(s => s._id)).toEqual(first.map(s => s._id));
+      expect(second.map(s => s.metrics)).toEqual(first.map(s => s.metrics));
+    });
+
+    it('should skip days already computed with the current version', async () => {
+      await AnalyticsJob.backfill(from, to);
+      await AnalyticsSnapshot.updateOne({ date: day }, { version: 0 });
+      const spy = jest.spyOn(AnalyticsJob, 'computeDailySnapshot');
+
+      const summary = await AnalyticsJob.backfill(from, to, { skipExisting: true });
+
+      expect(summary).toEqual({ computed: 1, skipped: 2, failed: [] });
+      expect(spy).toHaveBeenCalledWith(day);
+      expect((await AnalyticsSnapshot.findOne({ date: day })).version).toBe(1);
+    });
+
+    it('should report failed days and carry on', async () => {
+      const computeDailySnapshot = AnalyticsJob.computeDailySnapshot.bind(AnalyticsJob);
+      jest.spyOn(AnalyticsJob, 'computeDailySnapshot').mockImplementation(date => (
+        date.getTime() === day.getTime() - DAY_MS
+          ? Promise.reject(new Error('aggregation timed out'))
+          : computeDailySnapshot(date)
+      ));
+
+      const summary = await AnalyticsJob.backfill(from, to);
+
+      expect(summary).toEqual({ computed: 2, skipped: 0, failed: ['2026-03-09'] });
+    });
+
+    it('should reject an invalid range', async () => {
+      await expect(AnalyticsJob.backfill('yesterday', to)).rejects.toThrow('Invalid backfill date range');
+      await expect(AnalyticsJob.backfill(to, from)).rejects.toThrow('must not be after');
+    });
+  });
+
+  describe('Daily cron run', () => {
+    it('should compute yesterday and the settling cohort day', async () => {
+      jest.useFakeTimers({ now: at(0.5, new Date(day.getTime() + DAY_MS)), doNotFake: ['nextTick', 'setImmediate'] });
+      const spy = jest.spyOn(AnalyticsJob, 'computeDailySnapshot').mockResolvedValue({});
+
+      try {
+        await AnalyticsJob.runDailyRollup();
+      } finally {
+        jest.useRealTimers();
+      }
+
+      expect(spy.mock.calls.map(([date]) => date)).toEqual([day, new Date(day.getTime() - 7 * DAY_MS)]);
+      expect(MetricsService.incrementCounter).toHaveBeenCalledWith('analytics.rollup.completed');
+    });
+  });
+});
+
+describe('Analytics summaries', () => {
+  const rows = [
+    { _id: { gender: 'female', ageBand: '25-34', country: 'VN', tier: 'gold' }, swipes: 4, right: 3 },
+    { _id: { gender: 'male', ageBand: '25-34', country: 'u.s.', tier: 'free' }, swipes: 2, right: 0 },
+  ];
+
+  it('should sum a field in total and per bucket', () => {
+    const summary = AnalyticsJob.summarize(rows, 'swipes');
+
+    expect(summary.value).toBe(6);
+    expect(summary.breakdowns.ageBand).toEqual({ '25-34': { value: 6 } });
+    // Keys are made safe for Mongo
+    expect(summary.breakdowns.country).toEqual({ VN: { value: 4 }, u_s_: { value: 2 } });
+  });
+
+  it('should divide bucket by bucket', () => {
+    const rate = AnalyticsJob.ratio(AnalyticsJob.summarize(rows, 'right'), AnalyticsJob.summarize(rows, 'swipes'));
+
+    expect(rate).toMatchObject({ value: 0.5, numerator: 3, denominator: 6 });
+    expect(rate.breakdowns.gender).toEqual({
+      female: { value: 0.75, numerator: 3, denominator: 4 },
+      male: { value: 0, numerator: 0, denominator: 2 },
+    });
+  });
+
+  it('should not divide by zero', () => {
+    expect(AnalyticsJob.rate(3, 0)).toEqual({ value: 0, numerator: 3, denominator: 0 });
+  });
+});
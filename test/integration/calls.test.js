@@ -0,0 +1,215 @@
+import { jest } from '@jest/globals';
+import User from '../../src/modules/user/user.model.js';
+import Match from '../../src/modules/match/match.model.js';
+import Message from '../../src/modules/chat/message.model.js';
+import Call from '../../src/modules/chat/call.model.js';
+import CallService from '../../src/modules/chat/call.service.js';
+import ChatSocketHandler from '../../src/modules/chat/chat.socket.js';
+import NotificationService from '../../src/shared/services/notification.service.js';
+import MetricsService from '../../src/shared/services/metrics.service.js';
+import {
+  CALL_STATUS,
+  CALL_TYPES,
+  ERROR_CODES,
+  MESSAGE_TYPES,
+  NOTIFICATION_TYPES,
+  SOCKET_EVENTS,
+} from '../../src/config/constants.js';
+import { setupTestDB, teardownTestDB, createTestUser } from '../setup.js';
+
+describe('Call Integration Tests', () => {
+  let alice;
+  let bob;
+  let match;
+  let sockets;
+
+  // A fake client socket that records everything the server sends it
+  const fakeSocket = (user) => ({
+    userId: user._id.toString(),
+    matches: [match._id.toString()],
+    handshake: { headers: {} },
+    received: [],
+    emit(event, data) {
+      this.received.push({ event, data });
+    },
+    last(event) {
+      return [...this.received].reverse().find(r => r.event === event)?.data;
+    },
+  });
+
+  const optInBoth = () => Match.updateOne(
+    { _id: match._id },
+    { $set: { 'videoChat.optedIn': [alice._id, bob._id] } }
+  );
+
+  const ring = async () => {
+    await ChatSocketHandler.handleCallInitiate(sockets.alice, { matchId: match._id.toString(), callType: CALL_TYPES.VIDEO, offer: 'sdp-offer' });
+    return sockets.bob.last(SOCKET_EVENTS.CALL_INCOMING).callId.toString();
+  };
+
+  beforeAll(async () => {
+    await setupTestDB();
+    await Call.syncIndexes();
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(NotificationService, 'sendNotification').mockResolvedValue(true);
+    jest.spyOn(MetricsService, 'incrementCounter').mockResolvedValue(null);
+
+    await Promise.all([User.deleteMany({}), Match.deleteMany({}), Message.deleteMany({}), Call.deleteMany({})]);
+    alice = await createTestUser('alice.calls@example.com', 'Alice');
+    bob = await createTestUser('bob.calls@example.com', 'Bob');
+    match = await Match.create({ users: [alice._id, bob._id], initiatedBy: alice._id });
+
+    sockets = { alice: fakeSocket(alice), bob: fakeSocket(bob) };
+    const byUser = {
+      [alice._id.toString()]: sockets.alice,
+      [bob._id.toString()]: sockets.bob,
+    };
+    CallService.setTransport((userId, event, data) => byUser[userId]?.emit(event, data));
+  });
+
+  afterEach(() => {
+    for (const callId of CallService.ringTimers.keys()) {
+      CallService.clearRingTimeout(callId);
+    }
+    jest.restoreAllMocks();
+  });
+
+  describe('Video consent', () => {
+    it('should refuse video calls until both people opt in', async () => {
+      await CallService.setVideoConsent(alice._id, match._id, true);
+
+      await expect(CallService.initiateCall(alice._id, match._id, { type: CALL_TYPES.VIDEO }))
+        .rejects.toMatchObject({ errorCode: ERROR_CODES.VIDEO_CONSENT_REQUIRED });
+
+      const consent = await CallService.setVideoConsent(bob._id, match._id, true);
+      expect(consent).toMatchObject({ optedIn: true, otherOptedIn: true, videoEnabled: true });
+      expect(sockets.alice.last(SOCKET_EVENTS.CALL_CONSENT_UPDATED)).toMatchObject({ videoEnabled: true });
+    });
+
+    it('should allow voice calls without video consent', async () => {
+      const { call } = await CallService.initiateCall(alice._id, match._id, { type: CALL_TYPES.VOICE });
+
+      expect(call.status).toBe(CALL_STATUS.RINGING);
+    });
+
+    it('should end a video call when consent is withdrawn', async () => {
+      await optInBoth();
+      const callId = await ring();
+
+      await CallService.setVideoConsent(bob._id, match._id, false);
+
+      const call = await Call.findById(callId);
+      expect(call.active).toBe(false);
+      expect(call.endReason).toBe('consent_withdrawn');
+    });
+  });
+
+  describe('Lifecycle over a socket pair', () => {
+    beforeEach(optInBoth);
+
+    it('should ring, connect, relay signaling and record a completed call', async () => {
+      const callId = await ring();
+      expect(sockets.bob.last(SOCKET_EVENTS.CALL_INCOMING)).toMatchObject({ offer: 'sdp-offer', caller: { name: 'Alice' } });
+
+      await ChatSocketHandler.handleCallAccept(sockets.bob, { callId, answer: 'sdp-answer' });
+      expect(sockets.alice.last(SOCKET_EVENTS.CALL_ACCEPTED)).toMatchObject({ answer: 'sdp-answer' });
+
+      await ChatSocketHandler.handleIceCandidate(sockets.alice, { callId, candidate: 'candidate:1' });
+      expect(sockets.bob.last(SOCKET_EVENTS.CALL_ICE_CANDIDATE)).toMatchObject({ candidate: 'candidate:1' });
+
+      await Call.updateOne({ _id: callId }, { $set: { connectedAt: new Date(Date.now() - 65 * 1000) } });
+      await ChatSocketHandler.handleCallEnd(sockets.bob, { callId });
+
+      const call = await Call.findById(callId);
+      expect(call).toMatchObject({ status: CALL_STATUS.COMPLETED, active: false });
+      expect(call.duration).toBeGreaterThanOrEqual(65);
+      expect(sockets.alice.last(SOCKET_EVENTS.CALL_ENDED)).toMatchObject({ status: CALL_STATUS.COMPLETED });
+
+      const message = await Message.findById(call.message);
+      expect(message).toMatchObject({ type: MESSAGE_TYPES.CALL });
+      expect(message.content.callStatus).toBe('completed');
+
+      const updated = await Match.findById(match._id);
+      expect(updated.videoChat.totalCalls).toBe(1);
+      expect(updated.videoChat.totalDuration).toBe(call.duration);
+    });
+
+    it('should not relay signaling from someone outside the call', async () => {
+      const callId = await ring();
+
+      const relayed = await CallService.relaySignal(new Match()._id, callId, SOCKET_EVENTS.CALL_SIGNAL, { signal: 'x' });
+
+      expect(relayed).toBe(false);
+    });
+
+    it('should tell the caller when the call is declined', async () => {
+      const callId = await ring();
+
+      await ChatSocketHandler.handleCallReject(sockets.bob, { callId, reason: 'busy' });
+
+      expect(sockets.alice.last(SOCKET_EVENTS.CALL_REJECTED)).toMatchObject({ reason: 'busy' });
+      expect((await Call.findById(callId)).status).toBe(CALL_STATUS.DECLINED);
+    });
+
+    it('should turn an unanswered call into a missed call message', async () => {
+      const callId = await ring();
+      await Call.updateOne({ _id: callId }, { $set: { ringExpiresAt: new Date(Date.now() - 1000) } });
+
+      const expired = await CallService.expireRinging();
+
+      expect(expired).toBe(1);
+      expect((await Call.findById(callId)).status).toBe(CALL_STATUS.MISSED);
+      expect(await Message.countDocuments({ type: MESSAGE_TYPES.CALL, 'content.callStatus': 'missed' })).toBe(1);
+      expect(NotificationService.sendNotification).toHaveBeenCalledWith(
+        bob._id.toString(),
+        expect.objectContaining({ type: NOTIFICATION_TYPES.MISSED_CALL })
+      );
+
+      await ChatSocketHandler.handleCallAccept(sockets.bob, { callId });
+      expect(sockets.bob.last('error')).toMatchObject({ code: ERROR_CODES.CALL_NOT_FOUND });
+    });
+
+    it('should reject a second call while one is ringing', async () => {
+      await ring();
+
+      await expect(CallService.initiateCall(bob._id, match._id, { type: CALL_TYPES.VOICE }))
+        .rejects.toMatchObject({ errorCode: ERROR_CODES.CALL_BUSY });
+    });
+  });
+
+  describe('History & ICE servers', () => {
+    it('should list calls newest first from the viewer\'s side', async () => {
+      const first = await CallService.initiateCall(alice._id, match._id, { type: CALL_TYPES.VOICE });
+      await CallService.endCall(alice._id, first.call.id);
+      const second = await CallService.initiateCall(bob._id, match._id, { type: CALL_TYPES.VOICE });
+      await CallService.declineCall(alice._id, second.call.id);
+
+      const history = await CallService.getCallHistory(alice._id, match._id);
+
+      expect(history.total).toBe(2);
+      expect(history.calls.map(c => [c.direction, c.status])).toEqual([
+        ['incoming', CALL_STATUS.DECLINED],
+        ['outgoing', CALL_STATUS.MISSED],
+      ]);
+    });
+
+    it('should hide the history from people outside the match', async () => {
+      const stranger = await createTestUser('stranger.calls@example.com', 'Stranger');
+
+      await expect(CallService.getCallHistory(stranger._id, match._id))
+        .rejects.toMatchObject({ errorCode: ERROR_CODES.MATCH_NOT_FOUND });
+    });
+
+    it('should always offer STUN servers', () => {
+      const { iceServers } = CallService.getIceServers(alice._id.toString());
+
+      expect(iceServers[0].urls.length).toBeGreaterThan(0);
+    });
+  });
+});
@@ -0,0 +1,245 @@
+import zlib from 'zlib';
+import { jest } from '@jest/globals';
+import User from '../../src/modules/user/user.model.js';
+import Match from '../../src/modules/match/match.model.js';
+import Message from '../../src/modules/chat/message.model.js';
+import ChatService from '../../src/modules/chat/chat.service.js';
+import ChatExportService, { CHAT_EXPORT_QUEUE } from '../../src/modules/chat/chatExport.service.js';
+import StorageService from '../../src/modules/media/storage.service.js';
+import NotificationService from '../../src/shared/services/notification.service.js';
+import MetricsService from '../../src/shared/services/metrics.service.js';
+import QueueService from '../../src/shared/services/queue.service.js';
+import { renderChatPdf, countUnsupportedMessages } from '../../src/modules/chat/export/chatPdf.js';
+import { toWinAnsi, unsupportedCharacters } from '../../src/modules/chat/export/pdfDocument.js';
+import {
+  CHAT_EXPORT_CONSTANTS,
+  ERROR_CODES,
+  MESSAGE_TYPES,
+  NOTIFICATION_TYPES,
+  SUBSCRIPTION_TYPES,
+} from '../../src/config/constants.js';
+import { setupTestDB, teardownTestDB, createTestUser } from '../setup.js';
+
+describe('Chat Export Integration Tests', () => {
+  let alice;
+  let bob;
+  let match;
+  let uploads;
+
+  const createUser = (email, firstName) => createTestUser(email, firstName, {
+    subscription: { type: SUBSCRIPTION_TYPES.GOLD, validUntil: new Date(Date.now() + 86400000) },
+  });
+
+  const createMessage = (sender, receiver, fields) => Message.create({
+    matchId: match._id,
+    sender: sender._id,
+    receiver: receiver._id,
+    type: MESSAGE_TYPES.TEXT,
+    ...fields,
+  });
+
+  // Request an export and run the job the queue would have run
+  const exportAs = async (format) => {
+    const { exportId } = await ChatService.exportChat(alice._id.toString(), match._id.toString(), format);
+    const [, data] = QueueService.addJob.mock.calls.find(([queue]) => queue === CHAT_EXPORT_QUEUE);
+    await ChatExportService.processExport(data);
+    return exportId;
+  };
+
+  beforeAll(async () => {
+    await setupTestDB();
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(NotificationService, 'sendNotification').mockResolvedValue(true);
+    jest.spyOn(MetricsService, 'incrementCounter').mockResolvedValue(null);
+    jest.spyOn(QueueService, 'addJob').mockResolvedValue('job-id');
+
+    uploads = [];
+    jest.spyOn(StorageService, 'upload').mockImplementation(async (buffer, options) => {
+      uploads.push({ buffer, options });
+      return { public_id: `${options.folder}/export.${options.format}`, bytes: buffer.length, provider: 'local' };
+    });
+    jest.spyOn(StorageService, 'getSignedDownloadUrl').mockImplementation(async (publicId, { expiresIn }) => ({
+      url: `https://files.example.com/${publicId}?expires=${expiresIn}`,
+    }));
+    jest.spyOn(StorageService, 'delete').mockResolvedValue({ result: 'ok' });
+
+    await Promise.all([User.deleteMany({}), Match.deleteMany({}), Message.deleteMany({})]);
+    alice = await createUser('alice.export@example.com', 'Alice');
+    bob = await createUser('bob.export@example.com', 'Bob');
+    match = await Match.create({ users: [alice._id, bob._id], initiatedBy: alice._id });
+
+    const question = await createMessage(alice, bob, { content: { text: 'Coffee on <Friday>?' } });
+    await createMessage(bob, alice, {
+      content: { text: 'Sounds great!' },
+      replyTo: question._id,
+      reactions: [{ userId: alice._id, emoji: '❤️' }],
+    });
+    await createMessage(bob, alice, { content: {}, encryption: { isEncrypted: true, ciphertext: 'b64cipher' } });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Direct exports', () => {
+    it('should return text exports straight away and audit them', async () => {
+      const result = await ChatService.exportChat(alice._id.toString(), match._id.toString(), 'txt');
+
+      expect(result).toMatchObject({ format: 'txt', messageCount: 3, encryptedCount: 1 });
+      expect(result.data).toContain('[Encrypted message]');
+      expect(result.data).not.toContain('b64cipher');
+
+      const { chat } = await Match.findById(match._id);
+      expect(chat.exports[0]).toMatchObject({ format: 'txt', status: CHAT_EXPORT_CONSTANTS.STATUS.COMPLETED });
+    });
+
+    it('should reject unknown formats', async () => {
+      await expect(ChatService.exportChat(alice._id.toString(), match._id.toString(), 'docx'))
+        .rejects.toMatchObject({ errorCode: ERROR_CODES.INVALID_FORMAT });
+    });
+  });
+
+  describe('Rendered exports', () => {
+    it('should queue one PDF export at a time', async () => {
+      const result = await ChatService.exportChat(alice._id.toString(), match._id.toString(), 'pdf');
+
+      expect(result).toMatchObject({ format: 'pdf', status: CHAT_EXPORT_CONSTANTS.STATUS.QUEUED });
+      expect(QueueService.addJob).toHaveBeenCalledWith(CHAT_EXPORT_QUEUE, {
+        exportId: result.exportId.toString(),
+        matchId: match._id.toString(),
+        userId: alice._id.toString(),
+        format: 'pdf',
+      }, expect.any(Object));
+
+      await expect(ChatService.exportChat(alice._id.toString(), match._id.toString(), 'html'))
+        .rejects.toMatchObject({ errorCode: ERROR_CODES.EXPORT_IN_PROGRESS });
+    });
+
+    it('should render a PDF, store it privately and send the download link', async () => {
+      const exportId = await exportAs('pdf');
+
+      expect(uploads).toHaveLength(1);
+      expect(uploads[0].buffer.subarray(0, 5).toString()).toBe('%PDF-');
+      expect(uploads[0].options).toMatchObject({
+        folder: `${CHAT_EXPORT_CONSTANTS.STORAGE_FOLDER}/${alice._id}`,
+        providerOptions: { type: 'authenticated' },
+      });
+
+      const { chat } = await Match.findById(match._id);
+      expect(chat.exports.id(exportId)).toMatchObject({
+        status: CHAT_EXPORT_CONSTANTS.STATUS.COMPLETED,
+        messageCount: 3,
+        encryptedCount: 1,
+      });
+
+      expect(NotificationService.sendNotification).toHaveBeenCalledWith(alice._id.toString(), expect.objectContaining({
+        type: NOTIFICATION_TYPES.CHAT_EXPORT_READY,
+        data: expect.objectContaining({ exportId: exportId.toString(), url: expect.stringContaining('https://files.example.com/') }),
+      }));
+    });
+
+    it('should flag PDF exports with characters the PDF fonts lack', async () => {
+      await createMessage(alice, bob, { content: { text: 'See you there 😀 またね' } });
+
+      const exportId = await exportAs('pdf');
+
+      const { chat } = await Match.findById(match._id);
+      expect(chat.exports.id(exportId).unsupportedCount).toBe(1);
+
+      const status = await ChatExportService.getExport(alice._id.toString(), match._id.toString(), exportId.toString());
+      expect(status.unsupportedCount).toBe(1);
+
+      expect(NotificationService.sendNotification).toHaveBeenCalledWith(alice._id.toString(), expect.objectContaining({
+        body: expect.stringContaining('export as HTML'),
+        data: expect.objectContaining({ unsupportedCount: 1 }),
+      }));
+    });
+
+    it('should render a self-contained HTML archive', async () => {
+      await exportAs('html');
+
+      const html = uploads[0].buffer.toString();
+      expect(html).toContain('Coffee on &lt;Friday&gt;?');
+      expect(html).toMatch(/<blockquote><a href="#m-[a-f0-9]{24}"><strong>Alice<\/strong>: Coffee on &lt;Friday&gt;\?<\/a><\/blockquote>Sounds great!/);
+      expect(html).toContain('<span title="Alice">❤️</span>');
+      expect(html).toContain('[Encrypted message]');
+      expect(html).not.toContain('b64cipher');
+    });
+  });
+
+  describe('Download links', () => {
+    it('should only give the requester a link, until it expires', async () => {
+      const exportId = await exportAs('pdf');
+
+      const status = await ChatExportService.getExport(alice._id.toString(), match._id.toString(), exportId.toString());
+      expect(status).toMatchObject({ status: CHAT_EXPORT_CONSTANTS.STATUS.COMPLETED, url: expect.any(String) });
+
+      await expect(ChatExportService.getExport(bob._id.toString(), match._id.toString(), exportId.toString()))
+        .rejects.toMatchObject({ errorCode: ERROR_CODES.EXPORT_NOT_FOUND });
+
+      const later = new Date(Date.now() + (CHAT_EXPORT_CONSTANTS.LINK_TTL + 60) * 1000);
+      expect(await ChatExportService.purgeExpired(later)).toBe(1);
+      expect(StorageService.delete).toHaveBeenCalledTimes(1);
+
+      const expired = await ChatExportService.getExport(alice._id.toString(), match._id.toString(), exportId.toString());
+      expect(expired.status).toBe(CHAT_EXPORT_CONSTANTS.STATUS.EXPIRED);
+      expect(expired.url).toBeUndefined();
+    });
+  });
+});
+
+describe('Chat PDF text', () => {
+  const transcript = (bodies) => ({
+    title: 'Chat with Bob',
+    subtitle: `${bodies.length} messages`,
+    encryptedCount: 0,
+    owner: { name: 'Alice' },
+    formatDay: () => 'Monday',
+    formatTime: () => '10:00',
+    messages: bodies.map((body, index) => ({
+      id: String(index),
+      senderName: 'Bob',
+      mine: false,
+      createdAt: new Date(),
+      body,
+      reactions: [],
+    })),
+  });
+
+  // Text operators of the first page, decoded from their WinAnsi hex strings
+  const pageText = (pdf) => {
+    const [, stream] = pdf.toString('latin1').match(/\/FlateDecode >>\nstream\n([\s\S]*?)\nendstream/);
+    const content = zlib.inflateSync(Buffer.from(stream, 'latin1')).toString('latin1');
+    return [...content.matchAll(/<([0-9a-f]*)> Tj/g)].map(([, hex]) => Buffer.from(hex, 'hex').toString('latin1'));
+  };
+
+  it('should keep the closest accents and drop invisible modifiers', () => {
+    expect(toWinAnsi('Hẹn gặp lại, Đức')).toBe('Hen gap lai, Duc');
+    expect(toWinAnsi('Crème brûlée – €5')).toBe('Crème brûlée – €5');
+    expect(toWinAnsi('👍🏽')).toBe('?');
+  });
+
+  it('should list the characters that can only print as "?"', () => {
+    expect(unsupportedCharacters('Hẹn gặp lại? 😀 日本 😀')).toEqual(['😀', '日', '本']);
+    expect(unsupportedCharacters('Crème brûlée?')).toEqual([]);
+  });
+
+  it('should count and call out messages it cannot display', () => {
+    const clean = transcript(['Hello', 'Hẹn gặp lại']);
+    const lossy = transcript(['Hello 😀', 'こんにちは', 'Fine']);
+
+    expect(countUnsupportedMessages(clean)).toBe(0);
+    expect(countUnsupportedMessages(lossy)).toBe(2);
+
+    expect(pageText(renderChatPdf(clean)).join('\n')).not.toContain("can't display");
+    expect(pageText(renderChatPdf(lossy))).toContain(
+      '2 messages have characters this PDF can\'t display, shown as "?". Export as HTML to keep them.'
+    );
+  });
+});
@@ -0,0 +1,253 @@
+import { jest } from '@jest/globals';
+import Match from '../../src/modules/match/match.model.js';
+import DateProposal from '../../src/modules/match/dateProposal.model.js';
+import DateService, { DATE_REMINDER_QUEUE, CHECK_IN_REMINDER } from '../../src/modules/match/date.service.js';
+import NotificationService from '../../src/shared/services/notification.service.js';
+import QueueService from '../../src/shared/services/queue.service.js';
+import socketManager from '../../src/config/socket.js';
+import { DATE_CONSTANTS, DATE_STATUS, NOTIFICATION_TYPES } from '../../src/config/constants.js';
+import { setupTestDB, teardownTestDB, createTestUser } from '../setup.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+describe('Date Planning Integration Tests', () => {
+  let alice;
+  let bob;
+  let match;
+  let notifySpy;
+  let queueSpy;
+
+  const slotsFromNow = (...days) => days.map(d => ({
+    startsAt: new Date(Date.now() + d * DAY_MS).toISOString(),
+  }));
+
+  beforeAll(async () => {
+    await setupTestDB();
+
+    alice = await createTestUser('alice.dates@example.com', 'Alice');
+    bob = await createTestUser('bob.dates@example.com', 'Bob');
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    notifySpy = jest.spyOn(NotificationService, 'sendNotification').mockResolvedValue({});
+    queueSpy = jest.spyOn(QueueService, 'addJob').mockResolvedValue('job');
+    jest.spyOn(NotificationService, 'notifyAdmins').mockResolvedValue();
+    jest.spyOn(socketManager, 'emitToUser').mockImplementation(() => {});
+
+    await DateProposal.deleteMany({});
+    await Match.deleteMany({});
+    match = await Match.create({ users: [alice._id, bob._id], initiatedBy: alice._id });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const propose = (overrides = {}) => DateService.proposeDate(match._id, alice._id.toString(), {
+    title: 'Coffee',
+    activity: 'coffee',
+    venue: { name: 'The Workshop', address: '27 Ngo Duc Ke', coordinates: [106.70, 10.77] },
+    timeSlots: slotsFromNow(2, 3),
+    ...overrides,
+  });
+
+  describe('Negotiation', () => {
+    it('should propose a date and notify the other user', async () => {
+      const date = await propose();
+
+      expect(date.status).toBe(DATE_STATUS.PROPOSED);
+      expect(date.isMyTurn).toBe(false);
+      expect(date.timeSlots).toHaveLength(2);
+      expect(notifySpy).toHaveBeenCalledWith(bob._id.toString(), expect.objectContaining({
+        type: NOTIFICATION_TYPES.DATE_PROPOSED,
+      }));
+    });
+
+    it('should allow only one open proposal per match', async () => {
+      await propose();
+
+      await expect(propose()).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should allow only one of two concurrent proposals', async () => {
+      await DateProposal.syncIndexes();
+
+      const results = await Promise.allSettled([propose(), propose()]);
+
+      expect(results.filter(r => r.status === 'fulfilled')).toHaveLength(1);
+      expect(results.find(r => r.status === 'rejected').reason).toMatchObject({ statusCode: 409, errorCode: 'CONFLICT' });
+      expect(await DateProposal.countDocuments({ match: match._id })).toBe(1);
+    });
+
+    it('should reject slots in the past', async () => {
+      await expect(propose({ timeSlots: [{ startsAt: new Date(Date.now() - HOUR_MS).toISOString() }] }))
+        .rejects.toMatchObject({ errorCode: 'INVALID_TIME' });
+    });
+
+    it('should let users counter in turns until one accepts', async () => {
+      const { id } = await propose();
+
+      await expect(DateService.respondToDate(match._id, id, alice._id.toString(), { response: 'accept' }))
+        .rejects.toMatchObject({ errorCode: 'INVALID_DATE_TRANSITION' });
+
+      const countered = await DateService.respondToDate(match._id, id, bob._id.toString(), {
+        response: 'counter',
+        timeSlots: slotsFromNow(4),
+      });
+      expect(countered.status).toBe(DATE_STATUS.COUNTERED);
+      expect(countered.isMyTurn).toBe(false);
+
+      const accepted = await DateService.respondToDate(match._id, id, alice._id.toString(), {
+        response: 'accept',
+        slotIndex: 0,
+      });
+      expect(accepted.status).toBe(DATE_STATUS.ACCEPTED);
+      expect(accepted.scheduledSlot.startsAt).toEqual(countered.timeSlots[0].startsAt);
+
+      const updatedMatch = await Match.findById(match._id);
+      expect(updatedMatch.datePlanning.hasPlannedDate).toBe(true);
+    });
+
+    it('should send a rescheduled date back as a counter', async () => {
+      const { id } = await propose();
+      await DateService.respondToDate(match._id, id, bob._id.toString(), { response: 'accept' });
+
+      const rescheduled = await DateService.updateDate(match._id, id, bob._id.toString(), {
+        timeSlots: slotsFromNow(5),
+      });
+
+      expect(rescheduled.status).toBe(DATE_STATUS.COUNTERED);
+      expect(rescheduled.scheduledSlot).toBeNull();
+      expect(rescheduled.revision).toBe(2);
+    });
+
+    it('should cap reschedules of an accepted date like counters', async () => {
+      const { id } = await propose();
+      await DateService.respondToDate(match._id, id, bob._id.toString(), { response: 'accept' });
+      await DateProposal.updateOne({ _id: id }, { counterCount: DATE_CONSTANTS.MAX_COUNTERS });
+
+      await expect(DateService.updateDate(match._id, id, bob._id.toString(), { timeSlots: slotsFromNow(5) }))
+        .rejects.toMatchObject({ errorCode: 'LIMIT_EXCEEDED' });
+    });
+
+    it('should not reopen a declined date', async () => {
+      const { id } = await propose();
+      await DateService.respondToDate(match._id, id, bob._id.toString(), { response: 'decline', reason: 'Busy' });
+
+      await expect(DateService.cancelDate(match._id, id, alice._id.toString()))
+        .rejects.toMatchObject({ errorCode: 'INVALID_DATE_TRANSITION' });
+    });
+  });
+
+  describe('Reminders', () => {
+    it('should queue reminders and a check-in prompt on accept', async () => {
+      const { id } = await propose();
+      await DateService.respondToDate(match._id, id, bob._id.toString(), { response: 'accept' });
+
+      const kinds = queueSpy.mock.calls
+        .filter(([queue]) => queue === DATE_REMINDER_QUEUE)
+        .map(([, data]) => data.kind);
+      expect(kinds).toEqual(['day_before', 'hour_before', CHECK_IN_REMINDER]);
+    });
+
+    it('should skip reminders for a rescheduled slot', async () => {
+      const { id } = await propose();
+      await DateService.respondToDate(match._id, id, bob._id.toString(), { response: 'accept' });
+      const [, staleJob] = queueSpy.mock.calls.find(([queue]) => queue === DATE_REMINDER_QUEUE);
+
+      await DateService.updateDate(match._id, id, alice._id.toString(), { timeSlots: slotsFromNow(6) });
+      await DateService.respondToDate(match._id, id, bob._id.toString(), { response: 'accept' });
+      notifySpy.mockClear();
+
+      const result = await DateService.processReminder(staleJob);
+
+      expect(result).toEqual({ skipped: 'rescheduled' });
+      expect(notifySpy).not.toHaveBeenCalled();
+    });
+
+    it('should deliver a reminder once to both users', async () => {
+      const { id } = await propose();
+      await DateService.respondToDate(match._id, id, bob._id.toString(), { response: 'accept' });
+      const [, job] = queueSpy.mock.calls.find(([queue, data]) => queue === DATE_REMINDER_QUEUE && data.kind === 'hour_before');
+      notifySpy.mockClear();
+
+      expect(await DateService.processReminder(job)).toEqual({ sent: 2 });
+      expect(await DateService.processReminder(job)).toEqual({ skipped: 'already_sent' });
+      expect(notifySpy).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('Calendar export and check-in', () => {
+    const scheduleInPast = async () => {
+      const { id } = await propose();
+      await DateService.respondToDate(match._id, id, bob._id.toString(), { response: 'accept' });
+      await DateProposal.updateOne({ _id: id }, {
+        $set: {
+          'scheduledSlot.startsAt': new Date(Date.now() - 3 * HOUR_MS),
+          'scheduledSlot.endsAt': new Date(Date.now() - HOUR_MS),
+        },
+      });
+      return id;
+    };
+
+    it('should export a scheduled date as iCalendar', async () => {
+      const { id } = await propose({ title: 'Coffee, then a walk' });
+      await DateService.respondToDate(match._id, id, bob._id.toString(), { response: 'accept' });
+
+      const { filename, content } = await DateService.exportCalendar(match._id, id, alice._id.toString());
+
+      expect(filename).toBe(`date-${id}.ics`);
+      expect(content).toContain('BEGIN:VEVENT');
+      expect(content).toContain('SUMMARY:Coffee\\, then a walk');
+      expect(content).toContain('GEO:10.77;106.7');
+      expect(content).toMatch(/DTSTART:\d{8}T\d{6}Z\r\n/);
+    });
+
+    it('should not export a proposal that is still being negotiated', async () => {
+      const { id } = await propose();
+
+      await expect(DateService.exportCalendar(match._id, id, alice._id.toString()))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should complete the date on the first check-in', async () => {
+      const id = await scheduleInPast();
+
+      const date = await DateService.checkIn(match._id, id, alice._id.toString(), {
+        attended: true,
+        rating: 5,
+        wouldMeetAgain: true,
+      });
+
+      expect(date.status).toBe(DATE_STATUS.COMPLETED);
+      expect(date.myCheckIn.rating).toBe(5);
+
+      await expect(DateService.checkIn(match._id, id, alice._id.toString(), { attended: true }))
+        .rejects.toMatchObject({ errorCode: 'ALREADY_EXISTS' });
+    });
+
+    it('should alert moderators when a user did not feel safe', async () => {
+      const id = await scheduleInPast();
+
+      await DateService.checkIn(match._id, id, bob._id.toString(), { attended: true, feltSafe: false });
+
+      expect(NotificationService.notifyAdmins).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'date_safety_concern',
+        reportedBy: bob._id.toString(),
+      }));
+    });
+
+    it('should not allow check-in before the date', async () => {
+      const { id } = await propose();
+      await DateService.respondToDate(match._id, id, bob._id.toString(), { response: 'accept' });
+
+      await expect(DateService.checkIn(match._id, id, alice._id.toString(), { attended: true }))
+        .rejects.toMatchObject({ errorCode: 'INVALID_TIME' });
+    });
+  });
+});
@@ -0,0 +1,256 @@
+import crypto from 'crypto';
+import express from 'express';
+import request from 'supertest';
+import notificationRoutes from '../../src/modules/notification/notification.routes.js';
+import EmailService from '../../src/modules/notification/email.service.js';
+import EmailSuppression from '../../src/modules/notification/emailSuppression.model.js';
+import SendGridEmailStrategy from '../../src/modules/notification/strategies/sendgrid.strategy.js';
+import emailConfig from '../../src/config/email.js';
+import { EMAIL_TEMPLATE_NAMES } from '../../src/modules/notification/email.templates.js';
+import { errorHandler } from '../../src/shared/middleware/error.middleware.js';
+import { setupTestDB, teardownTestDB } from '../setup.js';
+
+// Same raw body capture as app.js
+const app = express();
+app.use(express.json({
+  verify: (req, res, buf, encoding) => {
+    req.rawBody = buf.toString(encoding || 'utf8');
+  },
+}));
+app.use('/api/notifications', notificationRoutes);
+app.use(errorHandler);
+
+describe('Email Integration Tests', () => {
+  beforeAll(async () => {
+    await setupTestDB();
+    await EmailService.initialize();
+  });
+
+  afterAll(async () => {
+    await EmailService.clearOutbox();
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    await EmailService.clearOutbox();
+    await EmailSuppression.deleteMany({});
+  });
+
+  describe('Rendering', () => {
+    it('should render the current template version', () => {
+      const email = EmailService.render(EMAIL_TEMPLATE_NAMES.VERIFICATION, {
+        name: 'Jane',
+        verificationUrl: 'https://app.test/verify?token=abc',
+      });
+
+      expect(email.version).toBe(2);
+      expect(email.locale).toBe('en');
+      expect(email.subject).toBe('Verify your email address');
+      expect(email.html).toContain('Hi Jane,');
+      expect(email.html).toContain('https://app.test/verify?token=abc');
+      expect(email.text).toContain('expires in 24 hours');
+    });
+
+    it('should render an older version on request', () => {
+      const email = EmailService.render(EMAIL_TEMPLATE_NAMES.VERIFICATION, { name: 'Jane' }, { version: 1 });
+
+      expect(email.version).toBe(1);
+      expect(email.text).not.toContain('24 hours');
+    });
+
+    it('should localize and fall back to English', () => {
+      const vi = EmailService.render(EMAIL_TEMPLATE_NAMES.PASSWORD_RESET, { name: 'Lan' }, { locale: 'vi-VN' });
+      const fr = EmailService.render(EMAIL_TEMPLATE_NAMES.PASSWORD_RESET, { name: 'Luc' }, { locale: 'fr' });
+
+      expect(vi.locale).toBe('vi');
+      expect(vi.subject).toBe('Đặt lại mật khẩu');
+      expect(fr.locale).toBe('en');
+    });
+
+    it('should escape data in HTML and render lists', () => {
+      const email = EmailService.render(EMAIL_TEMPLATE_NAMES.MATCH_DIGEST, {
+        name: '<b>Jane</b>',
+        count: 2,
+        period: 'week',
+        matches: [{ name: 'Alex', age: 27 }, { name: 'Sam', age: 30 }],
+        matchesUrl: 'https://app.test/matches',
+      });
+
+      expect(email.subject).toBe('You have 2 new matches');
+      expect(email.html).toContain('&lt;b&gt;Jane&lt;/b&gt;');
+      expect(email.html).toContain('<li>Alex, 27</li>');
+      expect(email.text).toContain('- Sam, 30');
+    });
+
+    it('should reject unknown templates', () => {
+      expect(() => EmailService.render('does_not_exist')).toThrow('Unknown email template');
+    });
+  });
+
+  describe('Delivery', () => {
+    it('should write sent emails to the outbox', async () => {
+      const result = await EmailService.send({
+        to: 'outbox@example.com',
+        template: EMAIL_TEMPLATE_NAMES.LOGIN_ALERT,
+        data: { name: 'Jane', device: 'iPhone', location: 'Hanoi', time: 'now' },
+      });
+
+      expect(result.sent).toBe(true);
+      expect(result.provider).toBe('outbox');
+
+      const [email] = await EmailService.getOutbox({ to: 'outbox@example.com' });
+      expect(email.subject).toBe('New sign-in to your account');
+      expect(email.text).toContain('iPhone (Hanoi)');
+      expect(email.metadata.template).toBe(EMAIL_TEMPLATE_NAMES.LOGIN_ALERT);
+    });
+
+    it('should accept legacy template names from queued jobs', async () => {
+      await EmailService.processQueuedEmail({
+        to: 'legacy@example.com',
+        template: 'password-reset',
+        data: { name: 'Jane', resetUrl: 'https://app.test/reset' },
+      });
+
+      const outbox = await EmailService.getOutbox({ template: EMAIL_TEMPLATE_NAMES.PASSWORD_RESET });
+      expect(outbox).toHaveLength(1);
+    });
+
+    it('should fail over to the next transport', async () => {
+      const transports = EmailService.transports;
+      EmailService.transports = [
+        { name: 'sendgrid', send: async () => { throw new Error('503 from provider'); } },
+        ...transports,
+      ];
+
+      try {
+        const result = await EmailService.send({
+          to: 'failover@example.com',
+          template: EMAIL_TEMPLATE_NAMES.WELCOME,
+          data: { name: 'Jane' },
+        });
+
+        expect(result.provider).toBe('outbox');
+      } finally {
+        EmailService.transports = transports;
+      }
+    });
+
+    it('should throw when every transport fails', async () => {
+      const transports = EmailService.transports;
+      EmailService.transports = [
+        { name: 'smtp', send: async () => { throw new Error('connection refused'); } },
+      ];
+
+      try {
+        await expect(EmailService.send({
+          to: 'down@example.com',
+          template: EMAIL_TEMPLATE_NAMES.WELCOME,
+          data: { name: 'Jane' },
+        })).rejects.toMatchObject({ code: 'EMAIL_SEND_FAILED' });
+      } finally {
+        EmailService.transports = transports;
+      }
+    });
+  });
+
+  describe('Webhook signatures', () => {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    const body = JSON.stringify([{ event: 'bounce', email: 'signed@example.com' }]);
+    const timestamp = '1700000000';
+    const signature = crypto.sign('sha256', Buffer.from(timestamp + body), privateKey).toString('base64');
+    const nodeEnv = process.env.NODE_ENV;
+
+    afterEach(() => {
+      emailConfig.sendgrid.webhookPublicKey = undefined;
+      process.env.NODE_ENV = nodeEnv;
+    });
+
+    it('should accept events signed with the configured key', () => {
+      emailConfig.sendgrid.webhookPublicKey = publicKey.export({ type: 'spki', format: 'der' }).toString('base64');
+
+      expect(SendGridEmailStrategy.verifyWebhook(body, signature, timestamp)).toBe(true);
+      expect(SendGridEmailStrategy.verifyWebhook(body.replace('signed', 'forged'), signature, timestamp)).toBe(false);
+      expect(SendGridEmailStrategy.verifyWebhook(body, signature, '1700000001')).toBe(false);
+      expect(SendGridEmailStrategy.verifyWebhook(body, undefined, timestamp)).toBe(false);
+    });
+
+    it('should only accept unsigned events in development and test', () => {
+      expect(SendGridEmailStrategy.verifyWebhook(body)).toBe(true);
+
+      process.env.NODE_ENV = 'development';
+      expect(SendGridEmailStrategy.verifyWebhook(body)).toBe(true);
+
+      process.env.NODE_ENV = 'production';
+      expect(SendGridEmailStrategy.verifyWebhook(body)).toBe(false);
+      expect(SendGridEmailStrategy.verifyWebhook(body, signature, timestamp)).toBe(false);
+
+      process.env.NODE_ENV = 'staging';
+      expect(SendGridEmailStrategy.verifyWebhook(body)).toBe(false);
+    });
+  });
+
+  describe('Bounces and complaints', () => {
+    it('should suppress hard-bounced addresses', async () => {
+      await EmailService.recordBounce('bounced@example.com', { type: 'hard', reason: 'mailbox does not exist' });
+
+      const result = await EmailService.send({
+        to: 'bounced@example.com',
+        template: EMAIL_TEMPLATE_NAMES.WELCOME,
+        data: { name: 'Jane' },
+      });
+
+      expect(result).toEqual({ sent: false, reason: 'suppressed' });
+      expect(await EmailService.getOutbox({ to: 'bounced@example.com' })).toHaveLength(0);
+    });
+
+    it('should suppress only after repeated soft bounces', async () => {
+      await EmailService.recordBounce('soft@example.com', { type: 'soft' });
+      await EmailService.recordBounce('soft@example.com', { type: 'soft' });
+      expect(await EmailService.isSuppressed('soft@example.com')).toBe(false);
+
+      await EmailService.recordBounce('soft@example.com', { type: 'soft' });
+      expect(await EmailService.isSuppressed('soft@example.com')).toBe(true);
+    });
+
+    it('should process SendGrid webhook events', async () => {
+      const response = await request(app)
+        .post('/api/notifications/webhooks/sendgrid')
+        .send([
+          { event: 'bounce', type: 'bounce', email: 'hard@example.com', reason: '550' },
+          { event: 'spamreport', email: 'spam@example.com' },
+          { event: 'delivered', email: 'ok@example.com' },
+        ])
+        .expect(200);
+
+      expect(response.body.data).toEqual({ bounces: 1, complaints: 1, ignored: 1 });
+      expect(await EmailService.isSuppressed('hard@example.com')).toBe(true);
+      expect(await EmailService.isSuppressed('spam@example.com')).toBe(true);
+      expect(await EmailService.isSuppressed('ok@example.com')).toBe(false);
+    });
+
+    it('should reject webhook events with a bad signature', async () => {
+      const { publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+      emailConfig.sendgrid.webhookPublicKey = publicKey.export({ type: 'spki', format: 'der' }).toString('base64');
+
+      try {
+        await request(app)
+          .post('/api/notifications/webhooks/sendgrid')
+          .set('X-Twilio-Email-Event-Webhook-Signature', Buffer.from('forged').toString('base64'))
+          .set('X-Twilio-Email-Event-Webhook-Timestamp', '1700000000')
+          .send([{ event: 'spamreport', email: 'victim@example.com' }])
+          .expect(401);
+
+        expect(await EmailService.isSuppressed('victim@example.com')).toBe(false);
+      } finally {
+        emailConfig.sendgrid.webhookPublicKey = undefined;
+      }
+    });
+
+    it('should lift a suppression', async () => {
+      await EmailService.recordComplaint('complaint@example.com');
+      await EmailService.removeSuppression('complaint@example.com');
+
+      expect(await EmailService.isSuppressed('complaint@example.com')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,178 @@
+import { jest } from '@jest/globals';
+import User from '../../src/modules/user/user.model.js';
+import Match from '../../src/modules/match/match.model.js';
+import Message from '../../src/modules/chat/message.model.js';
+import KeyBundle from '../../src/modules/chat/keyBundle.model.js';
+import EncryptionService from '../../src/modules/chat/encryption.service.js';
+import ChatService from '../../src/modules/chat/chat.service.js';
+import NotificationService from '../../src/shared/services/notification.service.js';
+import MetricsService from '../../src/shared/services/metrics.service.js';
+import {
+  ENCRYPTION_CONSTANTS,
+  ERROR_CODES,
+  MESSAGE_TYPES,
+  SOCKET_EVENTS,
+  SUBSCRIPTION_TYPES,
+} from '../../src/config/constants.js';
+import { setupTestDB, teardownTestDB, createTestUser } from '../setup.js';
+
+describe('End-to-End Encryption Integration Tests', () => {
+  let alice;
+  let bob;
+  let match;
+  let emitted;
+
+  const createUser = (email, firstName) => createTestUser(email, firstName, {
+    subscription: { type: SUBSCRIPTION_TYPES.GOLD, validUntil: new Date(Date.now() + 86400000) },
+  });
+
+  const bundleFor = (identityKey, preKeyCount = 3) => ({
+    identityKey,
+    registrationId: 42,
+    signedPreKey: { keyId: 1, publicKey: `${identityKey}-spk`, signature: `${identityKey}-sig` },
+    oneTimePreKeys: Array.from({ length: preKeyCount }, (_, i) => ({ keyId: i + 1, publicKey: `${identityKey}-opk-${i + 1}` })),
+  });
+
+  const send = (sender, data) => ChatService.sendMessage(sender._id.toString(), match._id.toString(), data);
+
+  const eventsFor = (user, event) => emitted.filter(e => e.userId === user._id.toString() && e.event === event);
+
+  beforeAll(async () => {
+    await setupTestDB();
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(NotificationService, 'sendNotification').mockResolvedValue(true);
+    jest.spyOn(MetricsService, 'incrementCounter').mockResolvedValue(null);
+
+    await Promise.all([User.deleteMany({}), Match.deleteMany({}), Message.deleteMany({}), KeyBundle.deleteMany({})]);
+    alice = await createUser('alice.e2ee@example.com', 'Alice');
+    bob = await createUser('bob.e2ee@example.com', 'Bob');
+    match = await Match.create({ users: [alice._id, bob._id], initiatedBy: alice._id });
+
+    emitted = [];
+    EncryptionService.setTransport((userId, event, data) => emitted.push({ userId, event, data }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Key bundles', () => {
+    it('should hand out one one-time prekey per session and ask for more when low', async () => {
+      await EncryptionService.uploadBundle(bob._id, bundleFor('bob-ik', ENCRYPTION_CONSTANTS.LOW_PREKEY_THRESHOLD + 1));
+
+      const first = await EncryptionService.getMatchBundle(alice._id.toString(), match._id);
+      const second = await EncryptionService.getMatchBundle(alice._id.toString(), match._id);
+
+      expect(first).toMatchObject({ identityKey: 'bob-ik', oneTimePreKey: { keyId: 1 } });
+      expect(second.oneTimePreKey.keyId).toBe(2);
+      expect((await EncryptionService.getOwnBundle(bob._id)).oneTimePreKeyCount).toBe(ENCRYPTION_CONSTANTS.LOW_PREKEY_THRESHOLD - 1);
+      expect(eventsFor(bob, SOCKET_EVENTS.E2EE_PREKEYS_LOW)).toHaveLength(1);
+    });
+
+    it('should skip prekey ids that are already stored', async () => {
+      await EncryptionService.uploadBundle(alice._id, bundleFor('alice-ik'));
+
+      const bundle = await EncryptionService.addPreKeys(alice._id, [{ keyId: 3, publicKey: 'dup' }, { keyId: 4, publicKey: 'new' }]);
+
+      expect(bundle.oneTimePreKeyCount).toBe(4);
+    });
+
+    it('should tell matches when an identity key changes', async () => {
+      await Promise.all([
+        EncryptionService.uploadBundle(alice._id, bundleFor('alice-ik')),
+        EncryptionService.uploadBundle(bob._id, bundleFor('bob-ik')),
+      ]);
+      await EncryptionService.enableForMatch(alice._id.toString(), match._id);
+
+      await EncryptionService.uploadBundle(alice._id, bundleFor('alice-ik'));
+      expect(eventsFor(bob, SOCKET_EVENTS.E2EE_KEY_CHANGED)).toHaveLength(0);
+
+      await EncryptionService.uploadBundle(alice._id, bundleFor('alice-new-ik'));
+
+      expect(eventsFor(bob, SOCKET_EVENTS.E2EE_KEY_CHANGED)[0].data).toMatchObject({ identityKey: 'alice-new-ik' });
+      const notice = await Message.findOne({ 'content.systemData.event': 'e2ee_key_changed' });
+      expect(notice.content.text).toBe("Alice's security code changed");
+    });
+
+    it('should not give out keys to people outside the match', async () => {
+      const eve = await createUser('eve.e2ee@example.com', 'Eve');
+      await EncryptionService.uploadBundle(bob._id, bundleFor('bob-ik'));
+
+      await expect(EncryptionService.getMatchBundle(eve._id.toString(), match._id))
+        .rejects.toMatchObject({ errorCode: ERROR_CODES.FORBIDDEN });
+    });
+  });
+
+  describe('Encrypted matches', () => {
+    beforeEach(async () => {
+      await Promise.all([
+        EncryptionService.uploadBundle(alice._id, bundleFor('alice-ik')),
+        EncryptionService.uploadBundle(bob._id, bundleFor('bob-ik')),
+      ]);
+    });
+
+    it('should need both key bundles before turning encryption on', async () => {
+      await KeyBundle.deleteOne({ user: bob._id });
+
+      await expect(EncryptionService.enableForMatch(alice._id.toString(), match._id))
+        .rejects.toMatchObject({ errorCode: ERROR_CODES.KEY_BUNDLE_NOT_FOUND });
+    });
+
+    it('should store ciphertext only and refuse plaintext', async () => {
+      await expect(send(alice, { type: MESSAGE_TYPES.TEXT, encryption: { ciphertext: 'opaque' } }))
+        .rejects.toMatchObject({ errorCode: ERROR_CODES.E2EE_NOT_ENABLED });
+
+      const status = await EncryptionService.enableForMatch(alice._id.toString(), match._id);
+      expect(status).toMatchObject({ enabled: true, keys: { mine: true, theirs: true } });
+      expect(eventsFor(bob, SOCKET_EVENTS.E2EE_ENABLED)).toHaveLength(1);
+
+      await expect(send(alice, { type: MESSAGE_TYPES.TEXT, content: { text: 'hello' } }))
+        .rejects.toMatchObject({ errorCode: ERROR_CODES.E2EE_REQUIRED });
+      await expect(send(alice, { type: MESSAGE_TYPES.TEXT, content: { text: 'hello' }, encryption: { ciphertext: 'opaque' } }))
+        .rejects.toMatchObject({ errorCode: ERROR_CODES.E2EE_REQUIRED });
+
+      const result = await send(alice, { type: MESSAGE_TYPES.TEXT, encryption: { ciphertext: 'opaque' } });
+
+      expect(result.message.encryption).toMatchObject({ ciphertext: 'opaque', publicKey: 'alice-ik', encryptionType: 'signal' });
+      const stored = await Message.findById(result.message.id);
+      expect(stored.content.text).toBeUndefined();
+      expect(NotificationService.sendNotification).toHaveBeenCalledWith(
+        bob._id.toString(),
+        expect.objectContaining({ body: '🔒 Sent you a message' })
+      );
+    });
+
+    it('should degrade search, edits and export for encrypted messages', async () => {
+      await send(alice, { type: MESSAGE_TYPES.TEXT, content: { text: 'before encryption' } });
+      await EncryptionService.enableForMatch(bob._id.toString(), match._id);
+      const { message } = await send(alice, { type: MESSAGE_TYPES.TEXT, encryption: { ciphertext: 'opaque' } });
+
+      const search = await ChatService.searchMessages(alice._id.toString(), match._id, 'before');
+      expect(search.encrypted).toBe(true);
+      expect(search.results.every(r => !r.encryption)).toBe(true);
+
+      await expect(ChatService.editMessage(alice._id.toString(), message.id, 'plaintext'))
+        .rejects.toMatchObject({ errorCode: ERROR_CODES.MESSAGE_ENCRYPTED });
+
+      const exported = await ChatService.exportChat(alice._id.toString(), match._id, 'txt');
+      expect(exported.encryptedCount).toBe(1);
+      expect(exported.data).toContain('before encryption');
+      expect(exported.data).toContain('[Encrypted message]');
+      expect(exported.data).not.toContain('opaque');
+    });
+
+    it('should keep server-checked message types readable', async () => {
+      await EncryptionService.enableForMatch(alice._id.toString(), match._id);
+
+      await expect(send(alice, { type: MESSAGE_TYPES.SYSTEM, content: { text: 'fake notice' } }))
+        .rejects.toMatchObject({ errorCode: ERROR_CODES.VALIDATION_ERROR });
+      expect(await Message.countDocuments({ 'content.systemData.event': 'e2ee_enabled' })).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+import express from 'express';
+import request from 'supertest';
+import { errorHandler, notFound } from '../../src/shared/middleware/error.middleware.js';
+import AppError from '../../src/shared/errors/AppError.js';
+import {
+  ERROR_CODES,
+  NotFoundError,
+  ProviderError,
+  RateLimitError,
+  ValidationError,
+} from '../../src/shared/errors/errorTypes.js';
+
+describe('Error Handling Integration Tests', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+
+    app.get('/user', () => {
+      throw new NotFoundError('User not found', ERROR_CODES.USER_NOT_FOUND);
+    });
+    app.get('/legacy', () => {
+      throw new AppError('Validation failed', 400, ERROR_CODES.VALIDATION_ERROR, [
+        { field: 'email', message: 'Invalid email' },
+      ]);
+    });
+    app.get('/limited', () => {
+      throw new RateLimitError(undefined, { retryAfter: 30 });
+    });
+    app.get('/provider', () => {
+      throw new ProviderError('Stripe rejected key sk_live_123', {
+        provider: 'stripe',
+        cause: new Error('401 from api.stripe.com'),
+      });
+    });
+    app.get('/duplicate', () => {
+      const error = new Error('E11000 duplicate key');
+      error.code = 11000;
+      error.keyValue = { email: 'taken@example.com' };
+      throw error;
+    });
+    app.get('/crash', () => {
+      throw new TypeError('Cannot read properties of undefined');
+    });
+
+    app.use(notFound);
+    app.use(errorHandler);
+  });
+
+  describe('Hierarchy', () => {
+    it('should carry status, code and cause chain', () => {
+      const cause = new Error('socket hang up');
+      const error = new ProviderError('Push failed', { provider: 'fcm', cause });
+
+      expect(error).toBeInstanceOf(AppError);
+      expect(error.statusCode).toBe(502);
+      expect(error.code).toBe(ERROR_CODES.PROVIDER_ERROR);
+      expect(error.provider).toBe('fcm');
+      expect(error.getCauseChain()).toEqual([{ name: 'Error', message: 'socket hang up', code: undefined }]);
+    });
+
+    it('should accept a specific code', () => {
+      const error = new ValidationError('Bad date', ERROR_CODES.INVALID_TIME);
+
+      expect(error.statusCode).toBe(400);
+      expect(error.errorCode).toBe(ERROR_CODES.INVALID_TIME);
+      expect(error.name).toBe('ValidationError');
+    });
+  });
+
+  describe('Serialization', () => {
+    it('should keep the thrown message in English', async () => {
+      const response = await request(app)
+        .get('/user')
+        .set('Accept-Language', 'en-US')
+        .expect(404);
+
+      expect(response.headers['content-language']).toBe('en');
+      expect(response.body).toEqual({
+        success: false,
+        error: { code: 'USER_NOT_FOUND', message: 'User not found' },
+      });
+    });
+
+    it('should localize by Accept-Language', async () => {
+      const response = await request(app)
+        .get('/user')
+        .set('Accept-Language', 'vi-VN,vi;q=0.9,en;q=0.8')
+        .expect(404);
+
+      expect(response.headers['content-language']).toBe('vi');
+      expect(response.body.error.code).toBe('USER_NOT_FOUND');
+      expect(response.body.error.message).toBe('Không tìm thấy người dùng.');
+    });
+
+    it('should fall back to English for unsupported languages', async () => {
+      const response = await request(app)
+        .get('/user')
+        .set('Accept-Language', 'fr')
+        .expect(404);
+
+      expect(response.body.error.message).toBe('User not found');
+    });
+
+    it('should keep field errors from positional details', async () => {
+      const response = await request(app)
+        .get('/legacy')
+        .set('Accept-Language', 'vi')
+        .expect(400);
+
+      expect(response.body.error.errors).toEqual([{ field: 'email', message: 'Invalid email' }]);
+    });
+
+    it('should set Retry-After for rate limits', async () => {
+      const response = await request(app).get('/limited').expect(429);
+
+      expect(response.headers['retry-after']).toBe('30');
+      expect(response.body.error.code).toBe('RATE_LIMIT_EXCEEDED');
+    });
+
+    it('should not leak provider messages', async () => {
+      const response = await request(app).get('/provider').expect(502);
+
+      expect(response.body.error.code).toBe('PROVIDER_ERROR');
+      expect(JSON.stringify(response.body)).not.toContain('sk_live_123');
+    });
+
+    it('should map duplicate keys to a localized conflict', async () => {
+      const response = await request(app)
+        .get('/duplicate')
+        .set('Accept-Language', 'vi')
+        .expect(409);
+
+      expect(response.body.error).toEqual({
+        code: 'ALREADY_EXISTS',
+        message: 'email đã tồn tại.',
+        details: { field: 'email' },
+      });
+    });
+
+    it('should hide unexpected errors', async () => {
+      const response = await request(app).get('/crash').expect(500);
+
+      expect(response.body.error.code).toBe('INTERNAL_ERROR');
+      expect(response.body.error.message).not.toContain('undefined');
+    });
+
+    it('should report unknown routes', async () => {
+      const response = await request(app).get('/missing').expect(404);
+
+      expect(response.body.error.code).toBe('NOT_FOUND');
+    });
+  });
+});
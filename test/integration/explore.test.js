@@ -0,0 +1,139 @@
+import { jest } from '@jest/globals';
+import User from '../../src/modules/user/user.model.js';
+import ExploreService from '../../src/modules/match/explore.service.js';
+import RecommendationAlgorithm from '../../src/modules/match/algorithms/recommendation.algorithm.js';
+import { EXPLORE_CATEGORIES, RELATIONSHIP_GOALS } from '../../src/config/constants.js';
+import { setupTestDB, teardownTestDB, createTestUser } from '../setup.js';
+
+describe('Explore Integration Tests', () => {
+  let user;
+
+  beforeAll(async () => {
+    await setupTestDB();
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    user = await createTestUser('explorer@example.com', 'Erin', {
+      profile: {
+        interests: ['Hiking', 'Live Music'],
+        relationshipGoal: RELATIONSHIP_GOALS.SOMETHING_CASUAL,
+      },
+      metadata: { timezone: 'Asia/Ho_Chi_Minh' },
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Categories', () => {
+    it('should list every category with whether the user can join', async () => {
+      const { categories } = await ExploreService.getCategories(user._id);
+      const byId = Object.fromEntries(categories.map(c => [c.id, c]));
+
+      expect(categories).toHaveLength(Object.keys(EXPLORE_CATEGORIES).length);
+      expect(byId.music_lovers.canJoin).toBe(true);
+      expect(byId.long_term.canJoin).toBe(false);
+      expect(byId.same_language.available).toBe(false);
+      expect(byId.free_tonight).toMatchObject({ timeLimited: true, membersOnly: true });
+    });
+  });
+
+  describe('Membership', () => {
+    it('should join a category and show it on the card', async () => {
+      const category = await ExploreService.joinCategory(user._id, EXPLORE_CATEGORIES.MUSIC_LOVERS);
+      const saved = await User.findById(user._id);
+
+      expect(category.joined).toBe(true);
+      expect(saved.toMatchProfile().exploreCategories).toEqual([EXPLORE_CATEGORIES.MUSIC_LOVERS]);
+    });
+
+    it('should refuse categories the user does not qualify for', async () => {
+      await expect(ExploreService.joinCategory(user._id, EXPLORE_CATEGORIES.VERIFIED_ONLY))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should expire free tonight memberships at the end of the local night', async () => {
+      const category = await ExploreService.joinCategory(user._id, EXPLORE_CATEGORIES.FREE_TONIGHT);
+
+      expect(category.expiresAt.getTime()).toBeGreaterThan(Date.now());
+      expect(category.expiresAt.getTime() - Date.now()).toBeLessThanOrEqual(24 * 60 * 60 * 1000);
+
+      await User.updateOne(
+        { _id: user._id },
+        { 'explore.categories.0.expiresAt': new Date(Date.now() - 1000) }
+      );
+      const saved = await User.findById(user._id);
+      expect(saved.toMatchProfile().exploreCategories).toEqual([]);
+    });
+
+    it('should keep one membership per category when joining again', async () => {
+      await ExploreService.joinCategory(user._id, EXPLORE_CATEGORIES.FREE_TONIGHT);
+      await ExploreService.joinCategory(user._id, EXPLORE_CATEGORIES.FREE_TONIGHT);
+      const saved = await User.findById(user._id);
+
+      expect(saved.explore.categories).toHaveLength(1);
+    });
+
+    it('should leave a category', async () => {
+      await ExploreService.joinCategory(user._id, EXPLORE_CATEGORIES.MUSIC_LOVERS);
+
+      const category = await ExploreService.leaveCategory(user._id, EXPLORE_CATEGORIES.MUSIC_LOVERS);
+
+      expect(category.joined).toBe(false);
+    });
+  });
+
+  describe('Pools', () => {
+    it('should narrow recommendations to the category with saved filters', async () => {
+      const spy = jest.spyOn(RecommendationAlgorithm, 'getRecommendations').mockResolvedValue([]);
+      await ExploreService.setFilters(user._id, { maxDistance: 10, ageRange: { min: 25, max: 35 } });
+
+      await ExploreService.getPool(user._id, EXPLORE_CATEGORIES.LONG_TERM, { limit: 10 });
+
+      const options = spy.mock.calls[0][1];
+      expect(options).toMatchObject({ cacheResults: false, includeBoosts: false });
+      expect(options.pool.match['profile.relationshipGoal'].$in).toEqual(
+        expect.arrayContaining([RELATIONSHIP_GOALS.RELATIONSHIP, RELATIONSHIP_GOALS.MARRIAGE])
+      );
+      expect(options.pool.preferences).toEqual({ maxDistance: 10, ageRange: { min: 25, max: 35 } });
+    });
+
+    it('should only include people who joined free tonight and have not expired', async () => {
+      const member = await createTestUser('tonight@example.com', 'Erin');
+      await ExploreService.joinCategory(member._id, EXPLORE_CATEGORIES.FREE_TONIGHT);
+      await createTestUser('busy@example.com', 'Erin', {
+        explore: { categories: [{ category: EXPLORE_CATEGORIES.FREE_TONIGHT, expiresAt: new Date(Date.now() - 1000) }] },
+      });
+
+      const spy = jest.spyOn(RecommendationAlgorithm, 'getRecommendations').mockResolvedValue([]);
+      await ExploreService.getPool(user._id, EXPLORE_CATEGORIES.FREE_TONIGHT);
+
+      const members = await User.find(spy.mock.calls[0][1].pool.match).select('email');
+      expect(members.map(m => m.email)).toEqual(['tonight@example.com']);
+    });
+
+    it('should require languages to browse same language', async () => {
+      await expect(ExploreService.getPool(user._id, EXPLORE_CATEGORIES.SAME_LANGUAGE))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should add the pool conditions to the recommendation pipeline', () => {
+      const pipeline = RecommendationAlgorithm.buildRecommendationPipeline(
+        { _id: user._id, profile: {} },
+        [],
+        10,
+        false,
+        [],
+        { 'verification.photo.verified': true }
+      );
+
+      expect(pipeline[0].$match['verification.photo.verified']).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,228 @@
+import { jest } from '@jest/globals';
+import User from '../../src/modules/user/user.model.js';
+import Match from '../../src/modules/match/match.model.js';
+import Message from '../../src/modules/chat/message.model.js';
+import Game from '../../src/modules/chat/game.model.js';
+import GameService from '../../src/modules/chat/game.service.js';
+import ChatSocketHandler from '../../src/modules/chat/chat.socket.js';
+import NotificationService from '../../src/shared/services/notification.service.js';
+import MetricsService from '../../src/shared/services/metrics.service.js';
+import {
+  ERROR_CODES,
+  GAME_STATUS,
+  GAME_TYPES,
+  MESSAGE_TYPES,
+  NOTIFICATION_TYPES,
+  SOCKET_EVENTS,
+} from '../../src/config/constants.js';
+import { setupTestDB, teardownTestDB, createTestUser } from '../setup.js';
+
+describe('Game Integration Tests', () => {
+  let alice;
+  let bob;
+  let match;
+  let sockets;
+
+  // A fake client socket that records everything the server sends it
+  const fakeSocket = (user) => ({
+    userId: user._id.toString(),
+    matches: [match._id.toString()],
+    handshake: { headers: {} },
+    received: [],
+    emit(event, data) {
+      this.received.push({ event, data });
+    },
+    last(event) {
+      return [...this.received].reverse().find(r => r.event === event)?.data;
+    },
+  });
+
+  const startGame = async (gameType, options) => {
+    const game = await GameService.invite(alice._id, match._id, { gameType, options });
+    await ChatSocketHandler.handleGameAccept(sockets.bob, { gameId: game.id.toString() });
+    return game.id.toString();
+  };
+
+  const move = (socket, gameId, data) => ChatSocketHandler.handleGameMove(socket, { gameId, move: data });
+
+  beforeAll(async () => {
+    await setupTestDB();
+    await Game.syncIndexes();
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(NotificationService, 'sendNotification').mockResolvedValue(true);
+    jest.spyOn(MetricsService, 'incrementCounter').mockResolvedValue(null);
+
+    await Promise.all([User.deleteMany({}), Match.deleteMany({}), Message.deleteMany({}), Game.deleteMany({})]);
+    alice = await createTestUser('alice.games@example.com', 'Alice');
+    bob = await createTestUser('bob.games@example.com', 'Bob');
+    match = await Match.create({ users: [alice._id, bob._id], initiatedBy: alice._id });
+
+    sockets = { alice: fakeSocket(alice), bob: fakeSocket(bob) };
+    const byUser = {
+      [alice._id.toString()]: sockets.alice,
+      [bob._id.toString()]: sockets.bob,
+    };
+    GameService.setTransport((userId, event, data) => byUser[userId]?.emit(event, data));
+  });
+
+  afterEach(() => {
+    for (const gameId of GameService.turnTimers.keys()) {
+      GameService.clearTurnTimeout(gameId);
+    }
+    jest.restoreAllMocks();
+  });
+
+  describe('Invites', () => {
+    it('should post an invite card and notify the other player', async () => {
+      const game = await GameService.invite(alice._id, match._id, { gameType: GAME_TYPES.TIC_TAC_TOE });
+
+      expect(game.status).toBe(GAME_STATUS.PENDING);
+      const invite = await Message.findOne({ type: MESSAGE_TYPES.GAME_INVITE });
+      expect(invite.content.gameId).toBe(game.id.toString());
+      expect(NotificationService.sendNotification).toHaveBeenCalledWith(
+        bob._id.toString(),
+        expect.objectContaining({ type: NOTIFICATION_TYPES.GAME_INVITE })
+      );
+    });
+
+    it('should allow one open game per match', async () => {
+      await GameService.invite(alice._id, match._id, { gameType: GAME_TYPES.TIC_TAC_TOE });
+
+      await expect(GameService.invite(bob._id, match._id, { gameType: GAME_TYPES.THIS_OR_THAT }))
+        .rejects.toMatchObject({ errorCode: ERROR_CODES.GAME_IN_PROGRESS });
+    });
+
+    it('should reject unknown games and missing options', async () => {
+      await expect(GameService.invite(alice._id, match._id, { gameType: 'chess' }))
+        .rejects.toMatchObject({ errorCode: ERROR_CODES.INVALID_GAME_DATA });
+      await expect(GameService.invite(alice._id, match._id, { gameType: GAME_TYPES.TWENTY_QUESTIONS }))
+        .rejects.toMatchObject({ errorCode: ERROR_CODES.INVALID_GAME_DATA });
+      expect(await Game.countDocuments()).toBe(0);
+    });
+
+    it('should not let the inviter accept their own invite', async () => {
+      const game = await GameService.invite(alice._id, match._id, { gameType: GAME_TYPES.TIC_TAC_TOE });
+
+      await ChatSocketHandler.handleGameAccept(sockets.alice, { gameId: game.id.toString() });
+
+      expect(sockets.alice.last('error')).toMatchObject({ code: ERROR_CODES.GAME_ACCEPT_FAILED });
+    });
+
+    it('should expire invites nobody answers', async () => {
+      const game = await GameService.invite(alice._id, match._id, { gameType: GAME_TYPES.TIC_TAC_TOE });
+      await Game.updateOne({ _id: game.id }, { $set: { inviteExpiresAt: new Date(Date.now() - 1000) } });
+
+      const expired = await GameService.expireGames();
+
+      expect(expired).toEqual({ invites: 1, turns: 0 });
+      expect((await Game.findById(game.id)).active).toBe(false);
+      expect((await Message.findOne({ type: MESSAGE_TYPES.GAME_INVITE })).content.gameData.status).toBe(GAME_STATUS.EXPIRED);
+      expect(await Message.countDocuments({ type: MESSAGE_TYPES.GAME_RESULT })).toBe(0);
+    });
+  });
+
+  describe('Playing over a socket pair', () => {
+    it('should enforce turns and rules and record the winner', async () => {
+      const gameId = await startGame(GAME_TYPES.TIC_TAC_TOE);
+      expect(sockets.alice.last(SOCKET_EVENTS.GAME_STATE).game).toMatchObject({ status: GAME_STATUS.ACTIVE, yourTurn: true });
+
+      await move(sockets.bob, gameId, { cell: 4 });
+      expect(sockets.bob.last('error')).toMatchObject({ code: ERROR_CODES.NOT_YOUR_TURN });
+
+      await move(sockets.alice, gameId, { cell: 0 });
+      await move(sockets.bob, gameId, { cell: 0 });
+      expect(sockets.bob.last('error')).toMatchObject({ code: ERROR_CODES.INVALID_GAME_MOVE });
+
+      for (const [socket, cell] of [[sockets.bob, 3], [sockets.alice, 1], [sockets.bob, 4], [sockets.alice, 2]]) {
+        await move(socket, gameId, { cell });
+      }
+
+      const game = await Game.findById(gameId);
+      expect(game).toMatchObject({ status: GAME_STATUS.COMPLETED, active: false });
+      expect(game.winner.toString()).toBe(alice._id.toString());
+      expect(game.moves).toHaveLength(5);
+      expect(sockets.bob.last(SOCKET_EVENTS.GAME_ENDED).game.summary).toBe('Alice won tic-tac-toe');
+
+      const result = await Message.findById(game.resultMessage);
+      expect(result).toMatchObject({ type: MESSAGE_TYPES.GAME_RESULT });
+      expect(result.content.text).toBe('Alice won tic-tac-toe');
+    });
+
+    it('should keep secrets from the other player until the game ends', async () => {
+      const gameId = await startGame(GAME_TYPES.TWENTY_QUESTIONS, { answer: 'Eiffel Tower' });
+      expect(sockets.bob.last(SOCKET_EVENTS.GAME_STATE).game.state.answer).toBeNull();
+      expect(sockets.alice.last(SOCKET_EVENTS.GAME_STATE).game.state.answer).toBe('Eiffel Tower');
+
+      await move(sockets.bob, gameId, { question: 'Is it in Paris?' });
+      await move(sockets.alice, gameId, { reply: 'yes' });
+      await move(sockets.bob, gameId, { guess: 'the eiffel tower' });
+
+      const ended = sockets.bob.last(SOCKET_EVENTS.GAME_ENDED).game;
+      expect(ended.winner.toString()).toBe(bob._id.toString());
+      expect(ended.state.answer).toBe('Eiffel Tower');
+    });
+
+    it('should reveal simultaneous answers only once both are in', async () => {
+      const gameId = await startGame(GAME_TYPES.WOULD_YOU_RATHER, { rounds: 3 });
+
+      await move(sockets.alice, gameId, { choice: 'a' });
+      expect(sockets.bob.last(SOCKET_EVENTS.GAME_STATE).game.state.answers[0]).toEqual({ [bob._id.toString()]: undefined });
+
+      await move(sockets.bob, gameId, { choice: 'a' });
+      expect(sockets.bob.last(SOCKET_EVENTS.GAME_STATE).game.state.answers[0][alice._id.toString()]).toBe('a');
+    });
+
+    it('should hand the game to the opponent when a turn runs out', async () => {
+      const gameId = await startGame(GAME_TYPES.TIC_TAC_TOE);
+      await Game.updateOne({ _id: gameId }, { $set: { turnDeadline: new Date(Date.now() - 1000) } });
+
+      const expired = await GameService.expireGames();
+
+      expect(expired).toEqual({ invites: 0, turns: 1 });
+      const game = await Game.findById(gameId);
+      expect(game).toMatchObject({ status: GAME_STATUS.FORFEITED, endReason: 'timeout' });
+      expect(game.winner.toString()).toBe(bob._id.toString());
+      expect(await Message.countDocuments({ type: MESSAGE_TYPES.GAME_RESULT })).toBe(1);
+    });
+
+    it('should let a player forfeit', async () => {
+      const gameId = await startGame(GAME_TYPES.THIS_OR_THAT);
+
+      await ChatSocketHandler.handleGameForfeit(sockets.bob, { gameId });
+
+      expect(sockets.alice.last(SOCKET_EVENTS.GAME_ENDED).game).toMatchObject({ status: GAME_STATUS.FORFEITED });
+    });
+  });
+
+  describe('Reconnecting', () => {
+    it('should resend open games and tell the opponent the player is back', async () => {
+      const gameId = await startGame(GAME_TYPES.TIC_TAC_TOE);
+      const reconnected = fakeSocket(bob);
+
+      await GameService.handleDisconnect(bob._id);
+      expect(sockets.alice.last(SOCKET_EVENTS.GAME_PLAYER_STATUS)).toMatchObject({ online: false });
+
+      await ChatSocketHandler.handleGameRejoin(reconnected);
+
+      expect(reconnected.last(SOCKET_EVENTS.GAME_STATE).game.id.toString()).toBe(gameId);
+      expect(sockets.alice.last(SOCKET_EVENTS.GAME_PLAYER_STATUS)).toMatchObject({ online: true });
+    });
+
+    it('should list games in a match newest first', async () => {
+      const first = await GameService.invite(alice._id, match._id, { gameType: GAME_TYPES.TIC_TAC_TOE });
+      await GameService.declineGame(bob._id, first.id);
+      await GameService.invite(bob._id, match._id, { gameType: GAME_TYPES.THIS_OR_THAT });
+
+      const history = await GameService.getGameHistory(alice._id, match._id);
+
+      expect(history.total).toBe(2);
+      expect(history.games.map(g => g.status)).toEqual([GAME_STATUS.PENDING, GAME_STATUS.DECLINED]);
+    });
+  });
+});
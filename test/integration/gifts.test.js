@@ -0,0 +1,185 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Match from '../../src/modules/match/match.model.js';
+import Inventory from '../../src/modules/gift/inventory.model.js';
+import GiftLedger from '../../src/modules/gift/giftLedger.model.js';
+import GiftService from '../../src/modules/gift/gift.service.js';
+import ChatService from '../../src/modules/chat/chat.service.js';
+import socketManager from '../../src/config/socket.js';
+import { MESSAGE_TYPES } from '../../src/config/constants.js';
+import { GIFT_LEDGER_TYPES, GIFT_LEDGER_STATUS, GIFT_PAYMENT_METHODS } from '../../src/modules/gift/gift.constants.js';
+import { setupTestDB, teardownTestDB, createTestUser } from '../setup.js';
+
+describe('Virtual Gift Integration Tests', () => {
+  let sender;
+  let recipient;
+  let match;
+  let sendMessageSpy;
+
+  beforeAll(async () => {
+    await setupTestDB();
+
+    sender = await createTestUser('sender.gifts@example.com', 'Sam');
+    recipient = await createTestUser('recipient.gifts@example.com', 'Riley');
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    sendMessageSpy = jest.spyOn(ChatService, 'sendMessage').mockImplementation(async () => ({
+      message: { id: new mongoose.Types.ObjectId() },
+    }));
+    jest.spyOn(socketManager, 'emitToUser').mockImplementation(() => {});
+
+    await Promise.all([Inventory.deleteMany({}), GiftLedger.deleteMany({}), Match.deleteMany({})]);
+    match = await Match.create({ users: [sender._id, recipient._id], initiatedBy: sender._id });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const send = (data) => GiftService.sendGift(sender._id.toString(), match._id.toString(), data);
+
+  describe('Catalog', () => {
+    it('should only list seasonal gifts in season', async () => {
+      const october = await GiftService.getAvailableGifts(sender._id, new Date('2026-10-20T12:00:00Z'));
+      const march = await GiftService.getAvailableGifts(sender._id, new Date('2026-03-20T12:00:00Z'));
+
+      expect(october.gifts.map(g => g.id)).toContain('pumpkin');
+      expect(march.gifts.map(g => g.id)).not.toContain('pumpkin');
+    });
+
+    it('should handle seasons that wrap the new year', () => {
+      const season = { from: '12-01', to: '01-06' };
+
+      expect(GiftService.isInSeason(season, new Date('2026-12-24T00:00:00Z'))).toBe(true);
+      expect(GiftService.isInSeason(season, new Date('2027-01-03T00:00:00Z'))).toBe(true);
+      expect(GiftService.isInSeason(season, new Date('2027-02-01T00:00:00Z'))).toBe(false);
+    });
+
+    it('should reject unknown gifts', async () => {
+      await Inventory.creditCoins(sender._id, 100);
+
+      await expect(send({ giftId: 'toString' })).rejects.toMatchObject({ errorCode: 'GIFT_NOT_FOUND' });
+    });
+  });
+
+  describe('Sending', () => {
+    it('should deduct coins and record both sides in the ledger', async () => {
+      await Inventory.creditCoins(sender._id, 25);
+
+      const result = await send({ giftId: 'rose', message: 'For you' });
+
+      expect(result.paymentMethod).toBe(GIFT_PAYMENT_METHODS.COINS);
+      expect(result.coinsSpent).toBe(10);
+      expect(result.balance.coins).toBe(15);
+      expect(sendMessageSpy).toHaveBeenCalledWith(sender._id.toString(), match._id.toString(), expect.objectContaining({
+        type: MESSAGE_TYPES.VIRTUAL_GIFT,
+      }));
+
+      const received = await GiftLedger.findOne({ user: recipient._id, type: GIFT_LEDGER_TYPES.GIFT_RECEIVED });
+      expect(received.relatedEntry.toString()).toBe(result.id.toString());
+    });
+
+    it('should use an owned gift before coins', async () => {
+      await Inventory.creditCoins(sender._id, 500);
+      await Inventory.creditGift(sender._id, 'bouquet', 1);
+
+      const result = await send({ giftId: 'bouquet' });
+      const inventory = await Inventory.findOne({ user: sender._id });
+
+      expect(result.paymentMethod).toBe(GIFT_PAYMENT_METHODS.INVENTORY);
+      expect(inventory.coins).toBe(500);
+      expect(inventory.getGiftQuantity('bouquet')).toBe(0);
+    });
+
+    it('should require buying product-only gifts', async () => {
+      await Inventory.creditCoins(sender._id, 10000);
+
+      await expect(send({ giftId: 'diamond_ring' })).rejects.toMatchObject({
+        statusCode: 402,
+        errorCode: 'INSUFFICIENT_CREDITS',
+      });
+    });
+
+    it('should not double-spend under concurrent requests', async () => {
+      await Inventory.creditCoins(sender._id, 15);
+
+      const results = await Promise.allSettled([
+        send({ giftId: 'rose' }),
+        send({ giftId: 'rose' }),
+        send({ giftId: 'rose' }),
+      ]);
+
+      expect(results.filter(r => r.status === 'fulfilled')).toHaveLength(1);
+      expect(results.filter(r => r.status === 'rejected').every(r => r.reason.statusCode === 402)).toBe(true);
+
+      const inventory = await Inventory.findOne({ user: sender._id });
+      expect(inventory.coins).toBe(5);
+    });
+
+    it('should charge a retried request only once', async () => {
+      await Inventory.creditCoins(sender._id, 100);
+
+      const [first, second] = await Promise.all([
+        send({ giftId: 'rose', idempotencyKey: 'gift-retry-0001' }),
+        send({ giftId: 'rose', idempotencyKey: 'gift-retry-0001' }),
+      ]);
+
+      expect(second.id.toString()).toBe(first.id.toString());
+
+      const inventory = await Inventory.findOne({ user: sender._id });
+      expect(inventory.coins).toBe(90);
+    });
+
+    it('should refund the sender when the gift message fails', async () => {
+      await Inventory.creditCoins(sender._id, 20);
+      sendMessageSpy.mockRejectedValueOnce(new Error('Chat is disabled for this match'));
+
+      await expect(send({ giftId: 'coffee' })).rejects.toThrow('Chat is disabled');
+
+      const inventory = await Inventory.findOne({ user: sender._id });
+      const entry = await GiftLedger.findOne({ user: sender._id, type: GIFT_LEDGER_TYPES.GIFT_SENT });
+
+      expect(inventory.coins).toBe(20);
+      expect(entry.status).toBe(GIFT_LEDGER_STATUS.REVERSED);
+    });
+
+    it('should not accept gift messages sent outside the gift endpoint', async () => {
+      await expect(ChatService.processMessageContent(MESSAGE_TYPES.VIRTUAL_GIFT, { giftId: 'rose' }, sender._id))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('Purchases', () => {
+    it('should credit a payment transaction only once', async () => {
+      const transactionId = new mongoose.Types.ObjectId();
+
+      await GiftService.creditPurchase(sender._id, { itemType: 'coins', quantity: 550, transactionId });
+      await GiftService.creditPurchase(sender._id, { itemType: 'coins', quantity: 550, transactionId });
+
+      const inventory = await Inventory.findOne({ user: sender._id });
+      const entries = await GiftLedger.find({ transaction: transactionId });
+
+      expect(inventory.coins).toBe(550);
+      expect(entries).toHaveLength(1);
+      expect(entries[0].balanceAfter).toBe(550);
+    });
+
+    it('should add purchased gifts to the inventory', async () => {
+      await GiftService.creditPurchase(sender._id, {
+        itemType: 'gifts',
+        giftId: 'diamond_ring',
+        quantity: 1,
+        transactionId: new mongoose.Types.ObjectId(),
+      });
+
+      const balance = await GiftService.getInventory(sender._id);
+
+      expect(balance.gifts).toEqual([{ giftId: 'diamond_ring', quantity: 1 }]);
+    });
+  });
+});
@@ -0,0 +1,153 @@
+import { jest } from '@jest/globals';
+import Match from '../../src/modules/match/match.model.js';
+import Message from '../../src/modules/chat/message.model.js';
+import IcebreakerService from '../../src/modules/match/icebreaker.service.js';
+import ChatService from '../../src/modules/chat/chat.service.js';
+import redis from '../../src/config/redis.js';
+import { MESSAGE_TYPES } from '../../src/config/constants.js';
+import { setupTestDB, teardownTestDB, createTestUser } from '../setup.js';
+
+describe('Icebreaker Integration Tests', () => {
+  let alice;
+  let bob;
+  let match;
+
+  beforeAll(async () => {
+    await setupTestDB();
+
+    alice = await createTestUser('alice.ice@example.com', 'Alice', {
+      profile: {
+        interests: ['Hiking', 'Jazz'],
+        lifestyle: { pets: ['dog'] },
+        location: { type: 'Point', coordinates: [105.85, 21.03], address: { city: 'Hanoi' } },
+      },
+    });
+    bob = await createTestUser('bob.ice@example.com', 'Bob', {
+      profile: {
+        interests: ['hiking', 'Chess'],
+        lifestyle: { pets: ['dog', 'cat'], zodiac: 'leo' },
+        languages: [{ language: 'French', proficiency: 'fluent' }],
+        prompts: [{ question: 'My simple pleasure', answer: 'Pho at 6am on a rainy Sunday' }],
+        location: { type: 'Point', coordinates: [105.80, 21.00], address: { city: 'hanoi' } },
+      },
+    });
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(redis, 'get').mockResolvedValue(null);
+    jest.spyOn(redis, 'set').mockResolvedValue('OK');
+
+    await Promise.all([Message.deleteMany({}), Match.deleteMany({})]);
+    match = await Match.create({ users: [alice._id, bob._id], initiatedBy: alice._id });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Suggestions', () => {
+    it('should build suggestions from both profiles', async () => {
+      const { suggestions } = await IcebreakerService.getSuggestions(alice._id.toString(), match._id, { limit: 10 });
+      const texts = suggestions.map(s => s.text).join('\n');
+
+      expect(suggestions).toHaveLength(10);
+      expect(texts).toMatch(/hiking/);
+      expect(suggestions.every(s => !/\{\w+\}/.test(s.text))).toBe(true);
+    });
+
+    it('should localize suggestions', async () => {
+      const { suggestions, locale } = await IcebreakerService.getSuggestions(alice._id.toString(), match._id, {
+        locale: 'vi',
+        limit: 10,
+      });
+
+      expect(locale).toBe('vi');
+      expect(suggestions.map(s => s.text).join('\n')).toMatch(/chó|hiking/);
+    });
+
+    it('should rank templates that get replies higher', async () => {
+      const baseline = await IcebreakerService.getSuggestions(alice._id.toString(), match._id, { limit: 10 });
+      const last = baseline.suggestions[baseline.suggestions.length - 1];
+
+      redis.get.mockResolvedValue(JSON.stringify({ [last.id]: { sent: 200, replied: 190 } }));
+      const learned = await IcebreakerService.getSuggestions(alice._id.toString(), match._id, { limit: 10 });
+
+      expect(learned.suggestions[0].id).toBe(last.id);
+    });
+
+    it('should not suggest an icebreaker the user already sent', async () => {
+      const { suggestions } = await IcebreakerService.getSuggestions(alice._id.toString(), match._id);
+      await Message.create({
+        matchId: match._id,
+        sender: alice._id,
+        receiver: bob._id,
+        type: MESSAGE_TYPES.TEXT,
+        content: { text: suggestions[0].text },
+        icebreaker: { templateId: suggestions[0].id, category: suggestions[0].category, locale: 'en' },
+      });
+
+      const next = await IcebreakerService.getSuggestions(alice._id.toString(), match._id, { limit: 10 });
+
+      expect(next.suggestions.map(s => s.id)).not.toContain(suggestions[0].id);
+    });
+  });
+
+  describe('Sending', () => {
+    beforeEach(() => {
+      jest.spyOn(ChatService, 'sendMessage').mockImplementation(async (senderId, matchId, data) => {
+        const message = await Message.create({
+          matchId,
+          sender: senderId,
+          receiver: bob._id,
+          type: data.type,
+          content: data.content,
+          icebreaker: data.icebreaker,
+        });
+        return { message: { id: message._id } };
+      });
+    });
+
+    it('should send a suggestion and use up one icebreaker', async () => {
+      const { suggestions } = await IcebreakerService.getSuggestions(alice._id.toString(), match._id);
+
+      const result = await IcebreakerService.sendIcebreaker(alice._id.toString(), match._id, {
+        templateId: suggestions[0].id,
+      });
+
+      expect(result.icebreaker.templateId).toBe(suggestions[0].id);
+      expect(result.remaining).toBe(2);
+      expect(ChatService.sendMessage).toHaveBeenCalledWith(alice._id.toString(), match._id, expect.objectContaining({
+        content: { text: suggestions[0].text },
+      }));
+    });
+
+    it('should reject sending the same icebreaker twice in a match', async () => {
+      const { suggestions } = await IcebreakerService.getSuggestions(alice._id.toString(), match._id);
+      await IcebreakerService.sendIcebreaker(alice._id.toString(), match._id, { templateId: suggestions[0].id });
+
+      await expect(IcebreakerService.sendIcebreaker(alice._id.toString(), match._id, { templateId: suggestions[0].id }))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should stop when the match has no icebreakers left', async () => {
+      await Match.updateOne({ _id: match._id }, { 'icebreakers.remaining.user1': 0 });
+
+      await expect(IcebreakerService.sendIcebreaker(alice._id.toString(), match._id, { text: 'Hi there!' }))
+        .rejects.toMatchObject({ statusCode: 429 });
+    });
+
+    it('should record replies for learning', async () => {
+      const { suggestions } = await IcebreakerService.getSuggestions(alice._id.toString(), match._id);
+      await IcebreakerService.sendIcebreaker(alice._id.toString(), match._id, { templateId: suggestions[0].id });
+
+      await Message.markIcebreakerReplied(match._id, bob._id);
+      const [stats] = await Message.getIcebreakerStats(new Date(Date.now() - 60000));
+
+      expect(stats).toMatchObject({ _id: suggestions[0].id, sent: 1, replied: 1 });
+    });
+  });
+});
@@ -0,0 +1,253 @@
+import { jest } from '@jest/globals';
+import registry, { PROCESS_ROLES } from '../../src/jobs/index.js';
+import LimitsJob from '../../src/jobs/limitsJob.js';
+import ChatExportJob from '../../src/jobs/chatExportJob.js';
+import jobsConfig from '../../src/config/jobs.js';
+import redis from '../../src/config/redis.js';
+import CacheService from '../../src/shared/services/cache.service.js';
+import QueueService from '../../src/shared/services/queue.service.js';
+import NotificationService from '../../src/shared/services/notification.service.js';
+
+// Stand-in for a node-cron task
+const createTask = () => ({ on: jest.fn(), stop: jest.fn() });
+
+// Jobs keep their real registry wiring; only Redis and the job bodies are faked
+const fakeJob = (job, schedules) => {
+  jest.spyOn(job, 'initialize').mockImplementation(async () => {
+    job.isRunning = true;
+  });
+  jest.spyOn(job, 'setupCronJobs').mockImplementation(() => {
+    schedules.forEach(name => job.cronJobs.set(name, createTask()));
+  });
+  jest.spyOn(job, 'shutdown').mockImplementation(async () => {
+    job.isRunning = false;
+  });
+};
+
+describe('Job Registry Tests', () => {
+  let scheduler;
+  let lockOwner;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+
+    // Fresh registry per test - the default one is a process singleton
+    scheduler = new registry.constructor();
+    lockOwner = null;
+
+    fakeJob(LimitsJob, ['reset_daily_limits', 'reset_monthly_limits']);
+    fakeJob(ChatExportJob, ['purge_expired_chat_exports']);
+
+    // In-memory SET NX lock with the same owner checks as CacheService
+    jest.spyOn(CacheService, 'acquireLock').mockImplementation(async (resource, ttl, owner) => {
+      if (lockOwner) return false;
+      lockOwner = owner;
+      return true;
+    });
+    jest.spyOn(CacheService, 'extendLock').mockImplementation(async (resource, owner) => lockOwner === owner);
+    jest.spyOn(CacheService, 'releaseLock').mockImplementation(async (resource, owner) => {
+      if (lockOwner !== owner) return false;
+      lockOwner = null;
+      return true;
+    });
+
+    jest.spyOn(NotificationService, 'initialize').mockResolvedValue();
+    jest.spyOn(QueueService, 'processRegistered').mockImplementation(() => {});
+    jest.spyOn(QueueService, 'closeAll').mockResolvedValue(true);
+  });
+
+  afterEach(async () => {
+    await scheduler.shutdown({ timeout: 0 });
+
+    for (const job of [LimitsJob, ChatExportJob]) {
+      job.cronJobs.clear();
+      job.isRunning = false;
+    }
+
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  const startAs = (roles, instance = scheduler) => instance.start({ roles, jobs: ['limits', 'chatExports'] });
+
+  describe('Roles', () => {
+    it('should start queue jobs only on workers', async () => {
+      await startAs([PROCESS_ROLES.WORKER]);
+
+      expect(NotificationService.initialize).toHaveBeenCalled();
+      expect(ChatExportJob.initialize).toHaveBeenCalled();
+      expect(LimitsJob.initialize).not.toHaveBeenCalled();
+      expect(QueueService.processRegistered).toHaveBeenCalled();
+
+      expect(CacheService.acquireLock).not.toHaveBeenCalled();
+      expect(LimitsJob.setupCronJobs).not.toHaveBeenCalled();
+      expect(scheduler.isLeader).toBe(false);
+    });
+
+    it('should only start schedule-only jobs and campaign on schedulers', async () => {
+      await startAs([PROCESS_ROLES.SCHEDULER]);
+
+      expect(LimitsJob.initialize).toHaveBeenCalled();
+      expect(ChatExportJob.initialize).not.toHaveBeenCalled();
+      expect(QueueService.processRegistered).not.toHaveBeenCalled();
+      expect(CacheService.acquireLock).toHaveBeenCalledWith(
+        jobsConfig.leader.resource,
+        jobsConfig.leader.ttl,
+        scheduler.instanceId,
+      );
+    });
+
+    it('should run no background work as api only', async () => {
+      await startAs([PROCESS_ROLES.API]);
+
+      expect(NotificationService.initialize).not.toHaveBeenCalled();
+      expect(LimitsJob.initialize).not.toHaveBeenCalled();
+      expect(ChatExportJob.initialize).not.toHaveBeenCalled();
+      expect(CacheService.acquireLock).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown roles and jobs', async () => {
+      await expect(scheduler.start({ roles: ['api', 'cron'], jobs: [] }))
+        .rejects.toThrow('Unknown process roles: cron');
+      await expect(scheduler.start({ roles: ['worker'], jobs: ['limits', 'matching'] }))
+        .rejects.toThrow('Unknown jobs: matching');
+
+      expect(NotificationService.initialize).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Leader election', () => {
+    let follower;
+
+    beforeEach(() => {
+      follower = new registry.constructor();
+      follower.instanceId = `${scheduler.instanceId}:follower`;
+    });
+
+    afterEach(async () => {
+      await follower.shutdown({ timeout: 0 });
+    });
+
+    it('should schedule crons on the leader only', async () => {
+      await startAs([PROCESS_ROLES.SCHEDULER]);
+      await startAs([PROCESS_ROLES.SCHEDULER], follower);
+
+      expect(scheduler.isLeader).toBe(true);
+      expect(scheduler.leaderSince).toBeInstanceOf(Date);
+      expect(follower.isLeader).toBe(false);
+      expect(lockOwner).toBe(scheduler.instanceId);
+
+      // Both jobs share the process, so one setup each means only the leader scheduled
+      expect(LimitsJob.setupCronJobs).toHaveBeenCalledTimes(1);
+      expect(ChatExportJob.setupCronJobs).toHaveBeenCalledTimes(1);
+      expect([...LimitsJob.cronJobs.keys()]).toEqual(['reset_daily_limits', 'reset_monthly_limits']);
+    });
+
+    it('should keep leading while the lock renews', async () => {
+      await startAs([PROCESS_ROLES.SCHEDULER]);
+
+      await jest.advanceTimersByTimeAsync(jobsConfig.leader.renewInterval * 3);
+
+      expect(CacheService.extendLock).toHaveBeenCalledTimes(3);
+      expect(CacheService.extendLock).toHaveBeenCalledWith(
+        jobsConfig.leader.resource,
+        scheduler.instanceId,
+        jobsConfig.leader.ttl,
+      );
+      expect(scheduler.isLeader).toBe(true);
+      expect(LimitsJob.setupCronJobs).toHaveBeenCalledTimes(1);
+    });
+
+    it('should stop schedules when the lock is lost and let a follower take over', async () => {
+      await startAs([PROCESS_ROLES.SCHEDULER]);
+      jest.spyOn(scheduler, 'stopSchedules');
+
+      // Lock expired while the leader was stalled; the follower got it first
+      lockOwner = null;
+      await startAs([PROCESS_ROLES.SCHEDULER], follower);
+      expect(follower.isLeader).toBe(true);
+
+      await jest.advanceTimersByTimeAsync(jobsConfig.leader.renewInterval);
+
+      expect(scheduler.isLeader).toBe(false);
+      expect(scheduler.leaderSince).toBeNull();
+      expect(scheduler.stopSchedules).toHaveBeenCalledTimes(1);
+      expect(lockOwner).toBe(follower.instanceId);
+    });
+
+    it('should step down when the lock cannot be renewed', async () => {
+      await startAs([PROCESS_ROLES.SCHEDULER]);
+      const tasks = [...LimitsJob.cronJobs.values(), ...ChatExportJob.cronJobs.values()];
+      CacheService.extendLock.mockRejectedValueOnce(new Error('Redis unavailable'));
+
+      await jest.advanceTimersByTimeAsync(jobsConfig.leader.renewInterval);
+
+      expect(scheduler.isLeader).toBe(false);
+      tasks.forEach(task => expect(task.stop).toHaveBeenCalled());
+      expect(LimitsJob.cronJobs.size).toBe(0);
+      expect(ChatExportJob.cronJobs.size).toBe(0);
+    });
+
+    it('should campaign again after stepping down', async () => {
+      await startAs([PROCESS_ROLES.SCHEDULER]);
+      lockOwner = 'someone-else';
+
+      await jest.advanceTimersByTimeAsync(jobsConfig.leader.renewInterval);
+      expect(scheduler.isLeader).toBe(false);
+
+      lockOwner = null;
+      await jest.advanceTimersByTimeAsync(jobsConfig.leader.renewInterval);
+
+      expect(scheduler.isLeader).toBe(true);
+      expect(LimitsJob.setupCronJobs).toHaveBeenCalledTimes(2);
+    });
+
+    it('should hand over the lock on shutdown', async () => {
+      await startAs([PROCESS_ROLES.SCHEDULER]);
+      await startAs([PROCESS_ROLES.SCHEDULER], follower);
+
+      await scheduler.shutdown({ timeout: 0 });
+
+      expect(CacheService.releaseLock).toHaveBeenCalledWith(jobsConfig.leader.resource, scheduler.instanceId);
+      expect(lockOwner).toBeNull();
+      expect(LimitsJob.shutdown).toHaveBeenCalled();
+
+      await jest.advanceTimersByTimeAsync(jobsConfig.leader.renewInterval);
+
+      expect(follower.isLeader).toBe(true);
+      expect(CacheService.extendLock).not.toHaveBeenCalledWith(
+        jobsConfig.leader.resource,
+        scheduler.instanceId,
+        jobsConfig.leader.ttl,
+      );
+    });
+  });
+
+  describe('Health', () => {
+    it('should report leadership and running schedules', async () => {
+      await startAs([PROCESS_ROLES.WORKER, PROCESS_ROLES.SCHEDULER]);
+      jest.spyOn(redis, 'get').mockResolvedValue(scheduler.instanceId);
+      jest.spyOn(LimitsJob, 'healthCheck').mockResolvedValue({ status: 'healthy' });
+      jest.spyOn(ChatExportJob, 'healthCheck').mockResolvedValue({ status: 'warning' });
+
+      const health = await scheduler.healthCheck();
+
+      expect(health.status).toBe('warning');
+      expect(health.roles).toEqual([PROCESS_ROLES.WORKER, PROCESS_ROLES.SCHEDULER]);
+      expect(health.scheduler).toMatchObject({ isLeader: true, leader: scheduler.instanceId });
+      expect(health.jobs.limits.schedules).toEqual(['reset_daily_limits', 'reset_monthly_limits']);
+      expect(health.jobs.chatExports.status).toBe('warning');
+    });
+
+    it('should warn when no scheduler holds the lock', async () => {
+      await startAs([PROCESS_ROLES.SCHEDULER]);
+      jest.spyOn(redis, 'get').mockResolvedValue(null);
+      jest.spyOn(LimitsJob, 'healthCheck').mockResolvedValue({ status: 'healthy' });
+
+      const health = await scheduler.healthCheck();
+
+      expect(health.status).toBe('warning');
+      expect(health.scheduler.leader).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,191 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import userRoutes from '../../src/modules/user/user.routes.js';
+import User from '../../src/modules/user/user.model.js';
+import LimitsJob from '../../src/jobs/limitsJob.js';
+import socketManager from '../../src/config/socket.js';
+import { SOCKET_EVENTS } from '../../src/config/constants.js';
+import { getNextLocalMidnight, getNextLocalMonthStart } from '../../src/shared/utils/helpers.js';
+import { errorHandler } from '../../src/shared/middleware/error.middleware.js';
+import { setupTestDB, teardownTestDB, createTestUser } from '../setup.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+process.env.JWT_ACCESS_SECRET = process.env.JWT_ACCESS_SECRET || 'limits-test-secret';
+
+const app = express();
+app.use(express.json());
+app.use('/api/users', userRoutes);
+app.use(errorHandler);
+
+describe('Limits Integration Tests', () => {
+  let accessToken;
+  let userId;
+  let emitSpy;
+
+  const setLimits = (update) => User.updateOne({ _id: userId }, { $set: update });
+
+  beforeAll(async () => {
+    await setupTestDB();
+
+    const user = await createTestUser('limits@example.com', 'Limits');
+    userId = user._id.toString();
+    // authenticate takes the user from the token claims when it is not cached
+    accessToken = jwt.sign(
+      { userId, status: { isActive: true }, type: 'access' },
+      process.env.JWT_ACCESS_SECRET
+    );
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    emitSpy = jest.spyOn(socketManager, 'emitToUser').mockImplementation(() => {});
+
+    await setLimits({
+      'subscription.type': 'free',
+      'subscription.validUntil': null,
+      'metadata.timezone': 'UTC',
+      'limits.dailyLikes': { count: 0, resetAt: new Date(Date.now() + DAY_MS) },
+      'limits.dailySuperLikes': { count: 0, resetAt: new Date(Date.now() + DAY_MS) },
+      'limits.rewinds': { count: 0, resetAt: new Date(Date.now() + DAY_MS) },
+      'limits.monthlyBoosts': { count: 0, resetAt: new Date(Date.now() + DAY_MS) },
+    });
+  });
+
+  afterEach(() => {
+    emitSpy.mockRestore();
+  });
+
+  describe('Timezone resets', () => {
+    it('should store the timezone sent with a location update', async () => {
+      await request(app)
+        .put('/api/users/location')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ latitude: 10.77, longitude: 106.69, timezone: 'Asia/Ho_Chi_Minh' })
+        .expect(200);
+
+      const user = await User.findById(userId);
+      expect(user.metadata.timezone).toBe('Asia/Ho_Chi_Minh');
+    });
+
+    it('should reject an unknown timezone', async () => {
+      await request(app)
+        .put('/api/users/location')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ latitude: 10.77, longitude: 106.69, timezone: 'Mars/Olympus' })
+        .expect(400);
+    });
+
+    it('should reset due daily limits to the next local midnight', async () => {
+      const now = new Date('2026-03-10T18:30:00Z');
+      await setLimits({
+        'metadata.timezone': 'Asia/Ho_Chi_Minh',
+        'limits.dailyLikes': { count: 40, resetAt: new Date('2026-03-10T17:00:00Z') },
+        'limits.dailySuperLikes': { count: 1, resetAt: new Date('2026-03-10T17:00:00Z') },
+      });
+
+      await LimitsJob.resetDueLimits('daily', now);
+
+      const user = await User.findById(userId);
+      expect(user.limits.dailyLikes.count).toBe(0);
+      expect(user.limits.dailySuperLikes.count).toBe(0);
+      expect(user.limits.dailyLikes.resetAt.toISOString()).toBe('2026-03-11T17:00:00.000Z');
+      expect(user.limits.rewinds.resetAt).toEqual(user.limits.dailyLikes.resetAt);
+    });
+
+    it('should leave users whose day has not ended', async () => {
+      await setLimits({ 'limits.dailyLikes.count': 12 });
+
+      await LimitsJob.resetDueLimits('daily');
+
+      const user = await User.findById(userId);
+      expect(user.limits.dailyLikes.count).toBe(12);
+    });
+
+    it('should reset monthly boosts on the first of the next local month', async () => {
+      const now = new Date('2026-10-31T14:00:00Z');
+      await setLimits({
+        'metadata.timezone': 'Australia/Sydney',
+        'limits.monthlyBoosts': { count: 1, resetAt: new Date('2026-10-31T13:00:00Z') },
+      });
+
+      await LimitsJob.resetDueLimits('monthly', now);
+
+      const user = await User.findById(userId);
+      expect(user.limits.monthlyBoosts.count).toBe(0);
+      expect(user.limits.monthlyBoosts.resetAt)
+        .toEqual(getNextLocalMonthStart('Australia/Sydney', now));
+    });
+
+    it('should emit a replenish event when used likes come back', async () => {
+      const now = new Date();
+      await setLimits({
+        'limits.dailyLikes': { count: 100, resetAt: new Date(now.getTime() - 1000) },
+      });
+
+      await LimitsJob.resetDueLimits('daily', now);
+
+      expect(emitSpy).toHaveBeenCalledWith(userId, SOCKET_EVENTS.LIMITS_REPLENISHED, {
+        cycle: 'daily',
+        limits: { dailyLikes: 100, dailySuperLikes: 1, rewinds: 1 },
+        resetAt: getNextLocalMidnight('UTC', now),
+      });
+    });
+
+    it('should not emit when the finished day was unused', async () => {
+      await setLimits({ 'limits.dailyLikes.resetAt': new Date(Date.now() - 1000) });
+
+      await LimitsJob.resetDueLimits('daily');
+
+      expect(emitSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Tier entitlements', () => {
+    it('should grant the difference on a mid-cycle upgrade', async () => {
+      await setLimits({ 'limits.dailySuperLikes.count': 1 });
+
+      const user = await User.findById(userId);
+      expect(user.canSuperLike()).toBe(false);
+
+      await user.updateSubscription({ type: 'plus', validUntil: new Date(Date.now() + 30 * DAY_MS) });
+
+      expect(user.getRemainingAllowance('dailySuperLikes')).toBe(4);
+      expect(user.getRemainingAllowance('dailyLikes')).toBe(Infinity);
+      expect(user.getRemainingAllowance('monthlyBoosts')).toBe(1);
+    });
+
+    it('should cap what is left on a mid-cycle downgrade', async () => {
+      await setLimits({
+        'subscription.type': 'platinum',
+        'subscription.validUntil': new Date(Date.now() + 30 * DAY_MS),
+        'limits.dailySuperLikes.count': 9,
+      });
+
+      const user = await User.findById(userId);
+      expect(user.canSuperLike()).toBe(true);
+
+      await user.updateSubscription({ type: 'gold', validUntil: user.subscription.validUntil });
+      expect(user.getRemainingAllowance('dailySuperLikes')).toBe(0);
+
+      await user.updateSubscription({ type: 'free', validUntil: null });
+      expect(user.getRemainingAllowance('rewinds')).toBe(1);
+    });
+
+    it('should fall back to free entitlements once a subscription lapses', async () => {
+      await setLimits({
+        'subscription.type': 'gold',
+        'subscription.validUntil': new Date(Date.now() - 1000),
+      });
+
+      const user = await User.findById(userId);
+      expect(user.getRemainingAllowance('dailySuperLikes')).toBe(1);
+      expect(user.getRemainingAllowance('monthlyBoosts')).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,225 @@
+import { Writable } from 'stream';
+import { jest } from '@jest/globals';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import sharp from 'sharp';
+import { setupTestDB, teardownTestDB, createTestUser } from '../setup.js';
+
+// Local stand-in for the Cloudinary uploader - keeps uploads in memory
+const uploads = new Map();
+
+const cloudinaryStandIn = {
+  uploader: {
+    upload_stream: (options, callback) => {
+      const chunks = [];
+      return new Writable({
+        write(chunk, encoding, next) {
+          chunks.push(chunk);
+          next();
+        },
+        final(done) {
+          const buffer = Buffer.concat(chunks);
+          const publicId = `${options.folder}/${options.public_id}`;
+          uploads.set(publicId, { buffer, options });
+          callback(null, {
+            public_id: publicId,
+            secure_url: `https://media.test/${publicId}`,
+            resource_type: options.resource_type,
+            bytes: buffer.length,
+          });
+          done();
+        },
+      });
+    },
+    destroy: async (publicId) => ({
+      result: uploads.delete(publicId) ? 'ok' : 'not found',
+    }),
+  },
+  url: (publicId, options = {}) => `https://media.test/${options.width || 'full'}/${publicId}`,
+  config: () => ({ api_key: 'key', api_secret: 'secret', cloud_name: 'media-test' }),
+  utils: {
+    api_sign_request: (params) => `signed:${Object.keys(params).sort().join(',')}`,
+  },
+};
+
+jest.unstable_mockModule('../../src/config/cloudinary.js', () => ({
+  default: cloudinaryStandIn,
+  ...cloudinaryStandIn,
+}));
+
+const { default: mediaRoutes } = await import('../../src/modules/media/media.routes.js');
+const { errorHandler } = await import('../../src/shared/middleware/error.middleware.js');
+const { FILE_LIMITS } = await import('../../src/modules/media/upload.middleware.js');
+const { default: User } = await import('../../src/modules/user/user.model.js');
+const { default: redis } = await import('../../src/config/redis.js');
+
+process.env.JWT_ACCESS_SECRET = process.env.JWT_ACCESS_SECRET || 'media-test-secret';
+
+const app = express();
+app.use(express.json());
+app.use('/api/media', mediaRoutes);
+app.use(errorHandler);
+
+const today = () => new Date().toISOString().split('T')[0];
+
+describe('Media Integration Tests', () => {
+  let accessToken;
+  let userId;
+  let image;
+
+  beforeAll(async () => {
+    await setupTestDB();
+
+    const user = await createTestUser('media@example.com', 'Media');
+    userId = user._id.toString();
+    // authenticate takes the user from the token claims when it is not cached
+    accessToken = jwt.sign(
+      { userId, status: { isActive: true }, subscription: { type: 'free' }, type: 'access' },
+      process.env.JWT_ACCESS_SECRET
+    );
+
+    image = await sharp({
+      create: { width: 200, height: 200, channels: 3, background: { r: 255, g: 80, b: 80 } }
+    }).png().toBuffer();
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    uploads.clear();
+    await redis.del(`media:uploads:${userId}:${today()}`);
+  });
+
+  describe('POST /api/media/upload', () => {
+    it('should upload an image through the storage uploader', async () => {
+      const response = await request(app)
+        .post('/api/media/upload')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .attach('file', image, { filename: 'photo.png', contentType: 'image/png' })
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.type).toBe('image');
+      expect(response.body.data.url).toMatch(/^https:\/\/media\.test\/images\//);
+      expect(uploads.size).toBe(1);
+    });
+
+    it('should count the upload against the daily quota once', async () => {
+      await request(app)
+        .post('/api/media/upload')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .attach('file', image, { filename: 'photo.png', contentType: 'image/png' })
+        .expect(201);
+
+      const count = await redis.get(`media:uploads:${userId}:${today()}`);
+      expect(parseInt(count)).toBe(1);
+    });
+
+    it('should reject a request without a file', async () => {
+      await request(app)
+        .post('/api/media/upload')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(400);
+
+      expect(uploads.size).toBe(0);
+    });
+
+    it('should reject disallowed file types', async () => {
+      await request(app)
+        .post('/api/media/upload')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .attach('file', Buffer.from('plain text'), { filename: 'notes.txt', contentType: 'text/plain' })
+        .expect(400);
+
+      expect(uploads.size).toBe(0);
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .post('/api/media/upload')
+        .attach('file', image, { filename: 'photo.png', contentType: 'image/png' })
+        .expect(401);
+    });
+  });
+
+  describe('Per-tier quotas', () => {
+    it('should block free users over the daily upload limit', async () => {
+      await redis.set(`media:uploads:${userId}:${today()}`, 10);
+
+      const response = await request(app)
+        .post('/api/media/upload')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .attach('file', image, { filename: 'photo.png', contentType: 'image/png' })
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+      expect(uploads.size).toBe(0);
+    });
+
+    it('should not apply the daily limit to platinum users', async () => {
+      await User.findByIdAndUpdate(userId, { 'subscription.type': 'platinum' });
+      await redis.set(`media:uploads:${userId}:${today()}`, 10);
+
+      await request(app)
+        .post('/api/media/upload')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .attach('file', image, { filename: 'photo.png', contentType: 'image/png' })
+        .expect(201);
+
+      expect(uploads.size).toBe(1);
+
+      await User.findByIdAndUpdate(userId, { 'subscription.type': 'free' });
+    });
+  });
+
+  describe('POST /api/media/batch-upload', () => {
+    it('should reject a batch that would exceed the daily limit', async () => {
+      await redis.set(`media:uploads:${userId}:${today()}`, 9);
+
+      await request(app)
+        .post('/api/media/batch-upload')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .attach('files', image, { filename: 'one.png', contentType: 'image/png' })
+        .attach('files', image, { filename: 'two.png', contentType: 'image/png' })
+        .expect(403);
+
+      expect(uploads.size).toBe(0);
+    });
+  });
+
+  describe('POST /api/media/signed-url', () => {
+    it('should sign the user folder and tier size limit, not the client values', async () => {
+      const response = await request(app)
+        .post('/api/media/signed-url')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ resource_type: 'image', folder: 'profiles/someone-else', max_file_size: 10 ** 10 })
+        .expect(200);
+
+      const { params, maxFileSize } = response.body.data;
+      expect(params.folder).toBe(`temp/${userId}`);
+      expect(params.max_file_size).toBe(FILE_LIMITS.image.free);
+      expect(maxFileSize).toBe(FILE_LIMITS.image.free);
+    });
+
+    it('should use the video limit for other resource types', async () => {
+      const response = await request(app)
+        .post('/api/media/signed-url')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({})
+        .expect(200);
+
+      expect(response.body.data.maxFileSize).toBe(FILE_LIMITS.video.free);
+    });
+  });
+
+  describe('GET /api/media/health', () => {
+    it('should be reachable without authentication', async () => {
+      const response = await request(app).get('/api/media/health');
+
+      expect(response.body.service).toBe('media');
+    });
+  });
+});
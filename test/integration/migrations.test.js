@@ -0,0 +1,387 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+import MigrationService from '../../src/shared/services/migration.service.js';
+import { setupTestDB, teardownTestDB } from '../setup.js';
+
+const run = promisify(execFile);
+const MIGRATE_SCRIPT = fileURLToPath(new URL('../../src/scripts/migrate.js', import.meta.url));
+const LOG = 'migration_test_log';
+const DEFAULT_DIRECTORY = MigrationService.directory;
+
+const V1 = '20260101000000';
+const V2 = '20260102000000';
+const V3 = '20260103000000';
+
+// Each migration logs its runs to LOG; up's meta is handed back to down
+const writeMigration = (directory, version, name, { failUp = false, failDown = false } = {}) => fs.writeFile(
+  path.join(directory, `${version}-${name}.js`),
+  `export const description = 'Test ${name}';
+
+export async function up({ db }) {
+  ${failUp ? "throw new Error('boom');" : ''}
+  await db.collection('${LOG}').insertOne({ version: '${version}', direction: 'up' });
+  return { version: '${version}' };
+}
+
+export async function down({ db }, meta) {
+  ${failDown ? "throw new Error('boom');" : ''}
+  await db.collection('${LOG}').insertOne({ version: meta.version, direction: 'down' });
+}
+`
+);
+
+// Fresh directory per test - imported migration modules are cached by URL.
+// The package.json makes the files ES modules, as they are under src/.
+const useMigrations = async (specs) => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'migrations-test-'));
+  const directory = path.join(root, 'migrations');
+  await fs.writeFile(path.join(root, 'package.json'), '{ "type": "module" }');
+  await fs.mkdir(directory);
+  for (const [version, name, options] of specs) {
+    await writeMigration(directory, version, name, options);
+  }
+  MigrationService.directory = directory;
+  return directory;
+};
+
+const restoreDirectory = async () => {
+  if (MigrationService.directory !== DEFAULT_DIRECTORY) {
+    await fs.rm(path.dirname(MigrationService.directory), { recursive: true, force: true });
+  }
+  MigrationService.directory = DEFAULT_DIRECTORY;
+};
+
+const runLog = async () => (await mongoose.connection.db.collection(LOG).find({}).sort({ _id: 1 }).toArray())
+  .map(({ version, direction }) => `${direction} ${version}`);
+
+const migrate = async (...args) => {
+  const { host, port, name } = mongoose.connection;
+
+  try {
+    const { stdout } = await run(process.execPath, [MIGRATE_SCRIPT, ...args], {
+      env: { ...process.env, MONGODB_URI: `mongodb://${host}:${port}/${name}` },
+    });
+    return { code: 0, output: stdout };
+  } catch (error) {
+    return { code: error.code, output: `${error.stdout}${error.stderr}` };
+  }
+};
+
+describe('Migration Integration Tests', () => {
+  beforeAll(async () => {
+    await setupTestDB();
+  });
+
+  afterAll(async () => {
+    MigrationService.directory = DEFAULT_DIRECTORY;
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    const { db } = mongoose.connection;
+    await Promise.all([
+      db.collection(MigrationService.collectionName).deleteMany({}),
+      db.collection(MigrationService.lockCollectionName).deleteMany({}),
+      db.collection(LOG).deleteMany({}),
+    ]);
+  });
+
+  afterEach(async () => {
+    await restoreDirectory();
+  });
+
+  describe('Applying', () => {
+    it('should apply pending migrations in version order as one batch', async () => {
+      await useMigrations([[V3, 'third'], [V1, 'first'], [V2, 'second']]);
+
+      const result = await MigrationService.up();
+
+      expect(result).toEqual({
+        batch: 1,
+        applied: [`${V1}-first.js`, `${V2}-second.js`, `${V3}-third.js`],
+      });
+      expect(await runLog()).toEqual([`up ${V1}`, `up ${V2}`, `up ${V3}`]);
+
+      const [record] = await MigrationService.getApplied();
+      expect(record).toMatchObject({
+        version: V1,
+        name: 'first',
+        description: 'Test first',
+        batch: 1,
+        meta: { version: V1 },
+        appliedBy: MigrationService.owner,
+      });
+      expect(record.checksum).toMatch(/^[a-f0-9]{64}$/);
+    });
+
+    it('should skip migrations that are already applied', async () => {
+      const directory = await useMigrations([[V1, 'first']]);
+      await MigrationService.up();
+
+      expect(await MigrationService.up()).toEqual({ batch: null, applied: [] });
+
+      await writeMigration(directory, V2, 'second');
+      const result = await MigrationService.up();
+
+      expect(result).toEqual({ batch: 2, applied: [`${V2}-second.js`] });
+      expect(await runLog()).toEqual([`up ${V1}`, `up ${V2}`]);
+    });
+
+    it('should stop at the target version', async () => {
+      await useMigrations([[V1, 'first'], [V2, 'second'], [V3, 'third']]);
+
+      const result = await MigrationService.up({ to: V2 });
+
+      expect(result.applied).toEqual([`${V1}-first.js`, `${V2}-second.js`]);
+      expect((await MigrationService.status()).map(m => m.state)).toEqual(['applied', 'applied', 'pending']);
+    });
+
+    it('should keep earlier migrations recorded when one fails', async () => {
+      await useMigrations([[V1, 'first'], [V2, 'broken', { failUp: true }], [V3, 'third']]);
+
+      await expect(MigrationService.up()).rejects.toThrow(`Migration ${V2}-broken.js failed: boom`);
+
+      expect(await runLog()).toEqual([`up ${V1}`]);
+      expect((await MigrationService.getApplied()).map(record => record.version)).toEqual([V1]);
+      expect(await mongoose.connection.db.collection(MigrationService.lockCollectionName).countDocuments()).toBe(0);
+    });
+
+    it('should plan without applying on a dry run', async () => {
+      await useMigrations([[V1, 'first'], [V2, 'second']]);
+
+      const result = await MigrationService.up({ dryRun: true });
+
+      expect(result).toEqual({
+        dryRun: true,
+        plan: [
+          { file: `${V1}-first.js`, steps: ['up'] },
+          { file: `${V2}-second.js`, steps: ['up'] },
+        ],
+      });
+      expect(await runLog()).toEqual([]);
+      expect(await MigrationService.getApplied()).toHaveLength(0);
+    });
+
+    it('should flag applied migrations whose file changed or is gone', async () => {
+      const directory = await useMigrations([[V1, 'first'], [V2, 'second']]);
+      await MigrationService.up();
+
+      await fs.appendFile(path.join(directory, `${V1}-first.js`), '\n// edited\n');
+      await fs.rm(path.join(directory, `${V2}-second.js`));
+
+      const [first, second] = await MigrationService.status();
+
+      expect(first).toMatchObject({ state: 'applied', modified: true });
+      expect(second).toMatchObject({ version: V2, name: 'second', state: 'missing', batch: 1 });
+    });
+  });
+
+  describe('Locking', () => {
+    const locks = () => mongoose.connection.db.collection(MigrationService.lockCollectionName);
+
+    it('should refuse to run while another process holds the lock', async () => {
+      await useMigrations([[V1, 'first']]);
+      await locks().insertOne({
+        _id: 'migrations',
+        owner: 'other-host:42',
+        acquiredAt: new Date(),
+        expiresAt: new Date(Date.now() + 60 * 1000),
+      });
+
+      await expect(MigrationService.up()).rejects.toThrow('Migrations are locked by other-host:42');
+
+      expect(await runLog()).toEqual([]);
+      expect(await locks().findOne({ _id: 'migrations' })).toMatchObject({ owner: 'other-host:42' });
+    });
+
+    it('should take over an expired lock and release it afterwards', async () => {
+      await useMigrations([[V1, 'first']]);
+      await locks().insertOne({
+        _id: 'migrations',
+        owner: 'crashed-host:42',
+        acquiredAt: new Date(Date.now() - 60 * 60 * 1000),
+        expiresAt: new Date(Date.now() - 1000),
+      });
+
+      const result = await MigrationService.up();
+
+      expect(result.applied).toEqual([`${V1}-first.js`]);
+      expect(await locks().countDocuments()).toBe(0);
+    });
+
+    it('should apply each migration once when runners race', async () => {
+      await useMigrations([[V1, 'first'], [V2, 'second'], [V3, 'third']]);
+
+      const results = await Promise.allSettled([MigrationService.up(), MigrationService.up()]);
+      const applied = results
+        .filter(result => result.status === 'fulfilled')
+        .flatMap(result => result.value.applied);
+
+      expect(applied).toEqual([`${V1}-first.js`, `${V2}-second.js`, `${V3}-third.js`]);
+      expect(await runLog()).toEqual([`up ${V1}`, `up ${V2}`, `up ${V3}`]);
+      results
+        .filter(result => result.status === 'rejected')
+        .forEach(result => expect(result.reason.message).toContain('Migrations are locked'));
+    });
+
+    it('should clear a stuck lock on request', async () => {
+      await locks().insertOne({ _id: 'migrations', owner: 'crashed-host:42', expiresAt: new Date(Date.now() + 60 * 1000) });
+
+      expect(await MigrationService.forceUnlock()).toBe(true);
+      expect(await MigrationService.forceUnlock()).toBe(false);
+    });
+  });
+
+  describe('Rolling back', () => {
+    it('should revert the last batch newest first with the recorded meta', async () => {
+      const directory = await useMigrations([[V1, 'first']]);
+      await MigrationService.up();
+      await writeMigration(directory, V2, 'second');
+      await writeMigration(directory, V3, 'third');
+      await MigrationService.up();
+
+      const result = await MigrationService.down();
+
+      expect(result).toEqual({ reverted: [`${V3}-third.js`, `${V2}-second.js`] });
+      expect((await runLog()).slice(-2)).toEqual([`down ${V3}`, `down ${V2}`]);
+      expect((await MigrationService.getApplied()).map(record => record.version)).toEqual([V1]);
+    });
+
+    it('should revert a number of steps or down to a version', async () => {
+      await useMigrations([[V1, 'first'], [V2, 'second'], [V3, 'third']]);
+      await MigrationService.up();
+
+      expect(await MigrationService.down({ steps: 1 })).toEqual({ reverted: [`${V3}-third.js`] });
+      expect(await MigrationService.down({ to: V1 })).toEqual({ reverted: [`${V2}-second.js`] });
+      expect((await MigrationService.getApplied()).map(record => record.version)).toEqual([V1]);
+    });
+
+    it('should re-apply reverted migrations', async () => {
+      await useMigrations([[V1, 'first'], [V2, 'second']]);
+      await MigrationService.up();
+      await MigrationService.down();
+
+      const result = await MigrationService.up();
+
+      expect(result).toEqual({ batch: 1, applied: [`${V1}-first.js`, `${V2}-second.js`] });
+    });
+
+    it('should keep the record of a migration whose rollback fails', async () => {
+      await useMigrations([[V1, 'first'], [V2, 'broken', { failDown: true }], [V3, 'third']]);
+      await MigrationService.up();
+
+      await expect(MigrationService.down()).rejects.toThrow(`Rollback of ${V2}-broken.js failed: boom`);
+
+      expect((await MigrationService.getApplied()).map(record => record.version)).toEqual([V1, V2]);
+    });
+
+    it('should refuse to roll back a migration whose file is gone', async () => {
+      const directory = await useMigrations([[V1, 'first'], [V2, 'second']]);
+      await MigrationService.up();
+      await fs.rm(path.join(directory, `${V2}-second.js`));
+
+      await expect(MigrationService.down()).rejects.toThrow(`Cannot roll back ${V2}-second: migration file is missing`);
+      expect(await MigrationService.getApplied()).toHaveLength(2);
+    });
+
+    it('should list what would be reverted on a dry run', async () => {
+      await useMigrations([[V1, 'first'], [V2, 'second']]);
+      await MigrationService.up();
+
+      const result = await MigrationService.down({ steps: 1, dryRun: true });
+
+      expect(result).toEqual({ dryRun: true, plan: [{ file: `${V2}-second.js`, steps: ['down'] }] });
+      expect(await MigrationService.getApplied()).toHaveLength(2);
+    });
+  });
+
+  describe('migrate script', () => {
+    it('should print usage for unknown commands', async () => {
+      const { code, output } = await migrate('sideways');
+
+      expect(code).toBe(1);
+      expect(output).toContain('Usage: npm run migrate');
+    });
+
+    it('should validate versions and steps', async () => {
+      const badVersion = await migrate('up', '--to', '2026');
+      const badSteps = await migrate('down', '--steps', '0');
+
+      expect(badVersion).toMatchObject({ code: 1 });
+      expect(badVersion.output).toContain('--to expects a 14 digit version, got "2026"');
+      expect(badSteps).toMatchObject({ code: 1 });
+      expect(badSteps.output).toContain('--steps expects a positive number');
+    });
+
+    it('should clear a stuck lock', async () => {
+      await mongoose.connection.db.collection(MigrationService.lockCollectionName)
+        .insertOne({ _id: 'migrations', owner: 'crashed-host:42', expiresAt: new Date(Date.now() + 60 * 1000) });
+
+      const { code, output } = await migrate('unlock');
+
+      expect(code).toBe(0);
+      expect(output).toContain('Migration lock cleared');
+      expect(await mongoose.connection.db.collection(MigrationService.lockCollectionName).countDocuments()).toBe(0);
+    });
+  });
+});
+
+describe('Migration files', () => {
+  afterEach(async () => {
+    await restoreDirectory();
+  });
+
+  it('should load migrations in version order and ignore other files', async () => {
+    const directory = await useMigrations([[V2, 'second'], [V1, 'first']]);
+    await fs.writeFile(path.join(directory, 'README.md'), 'notes');
+    await fs.writeFile(path.join(directory, '2026-bad-name.js'), 'export const up = () => {};');
+
+    const migrations = await MigrationService.loadMigrations();
+
+    expect(migrations.map(m => m.file)).toEqual([`${V1}-first.js`, `${V2}-second.js`]);
+    expect(migrations[0]).toMatchObject({ version: V1, name: 'first' });
+  });
+
+  it('should reject migrations without up and down', async () => {
+    const directory = await useMigrations([]);
+    await fs.writeFile(path.join(directory, `${V1}-half.js`), 'export async function up() {}\n');
+
+    await expect(MigrationService.loadMigrations()).rejects.toThrow(`Migration ${V1}-half.js must export up() and down()`);
+  });
+
+  it('should create numbered files from a name', async () => {
+    await useMigrations([]);
+
+    const file = await MigrationService.create('Backfill user timezone!');
+    const [migration] = await MigrationService.loadMigrations();
+
+    expect(path.basename(file)).toMatch(/^\d{14}-backfill-user-timezone\.js$/);
+    expect(migration.module.description).toBe('Backfill user timezone!');
+    await expect(MigrationService.create('  !! ')).rejects.toThrow('Migration name is required');
+  });
+
+  it('should select pending and rollback targets from the records', () => {
+    const migrations = [V1, V2, V3].map(version => ({ version, file: `${version}.js` }));
+    const applied = [
+      { version: V1, batch: 1 },
+      { version: V2, batch: 2 },
+      { version: V3, batch: 2 },
+    ];
+
+    expect(MigrationService.selectPending(migrations, applied.slice(0, 1), null).map(m => m.version)).toEqual([V2, V3]);
+    expect(MigrationService.selectPending(migrations, [], V2).map(m => m.version)).toEqual([V1, V2]);
+
+    const versions = (options) => MigrationService.selectRollback(migrations, applied, options)
+      .map(({ record }) => record.version);
+
+    expect(versions({})).toEqual([V3, V2]);
+    expect(versions({ steps: 1 })).toEqual([V3]);
+    expect(versions({ to: V1 })).toEqual([V3, V2]);
+    expect(versions({ to: V3 })).toEqual([]);
+  });
+});
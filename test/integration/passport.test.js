@@ -0,0 +1,187 @@
+import { jest } from '@jest/globals';
+import User from '../../src/modules/user/user.model.js';
+import PassportService from '../../src/modules/match/passport.service.js';
+import UserService from '../../src/modules/user/user.service.js';
+import RecommendationAlgorithm from '../../src/modules/match/algorithms/recommendation.algorithm.js';
+import redis from '../../src/config/redis.js';
+import { PASSPORT_CONSTANTS } from '../../src/config/constants.js';
+import { setupTestDB, teardownTestDB, createTestUser } from '../setup.js';
+
+describe('Passport Integration Tests', () => {
+  let traveler;
+  let local;
+  let counters;
+
+  const HANOI = [105.85, 21.03];
+  const PARIS = { latitude: 48.8566, longitude: 2.3522, city: 'Paris', country: 'France' };
+  const TOKYO = { latitude: 35.6762, longitude: 139.6503, city: 'Tokyo', country: 'Japan' };
+
+  const createUser = (email, firstName, coordinates, subscription = {}) => createTestUser(email, firstName, {
+    profile: { location: { type: 'Point', coordinates } },
+    subscription,
+  });
+
+  const gold = () => ({ type: 'gold', validUntil: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) });
+
+  // Let the next jump pass the minimum interval
+  const skipJumpInterval = () => User.updateOne(
+    { _id: traveler._id },
+    { 'passport.lastJumpAt': new Date(Date.now() - PASSPORT_CONSTANTS.MIN_JUMP_INTERVAL_SECONDS * 1000) }
+  );
+
+  beforeAll(async () => {
+    await setupTestDB();
+    await User.syncIndexes();
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    counters = {};
+    jest.spyOn(redis, 'incr').mockImplementation(async (key) => {
+      counters[key] = (counters[key] || 0) + 1;
+      return counters[key];
+    });
+    jest.spyOn(redis, 'incrby').mockImplementation(async (key, by) => {
+      counters[key] = (counters[key] || 0) + by;
+      return counters[key];
+    });
+    jest.spyOn(redis, 'expire').mockResolvedValue(true);
+    jest.spyOn(redis, 'ttl').mockResolvedValue(1800);
+
+    await User.deleteMany({});
+    traveler = await createUser('traveler.passport@example.com', 'Tess', HANOI, gold());
+    local = await createUser('local.passport@example.com', 'Luc', [PARIS.longitude, PARIS.latitude]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Changing location', () => {
+    it('should store the virtual location without touching the real one', async () => {
+      const status = await PassportService.setLocation(traveler._id, PARIS);
+      const saved = await User.findById(traveler._id);
+
+      expect(status).toMatchObject({ isTraveling: true, city: 'Paris', country: 'France' });
+      expect(saved.profile.location.coordinates).toEqual(HANOI);
+      expect(saved.passport.location.coordinates).toEqual([PARIS.longitude, PARIS.latitude]);
+    });
+
+    it('should require a subscription that includes passport', async () => {
+      await User.updateOne({ _id: traveler._id }, { 'subscription.type': 'plus' });
+
+      await expect(PassportService.setLocation(traveler._id, PARIS)).rejects.toMatchObject({
+        statusCode: 403,
+        errorCode: 'SUBSCRIPTION_REQUIRED',
+      });
+    });
+
+    it('should stop traveling when the subscription lapses', async () => {
+      await PassportService.setLocation(traveler._id, PARIS);
+      await User.updateOne({ _id: traveler._id }, { 'subscription.validUntil': new Date(Date.now() - 1000) });
+
+      const status = await PassportService.getStatus(traveler._id);
+      const saved = await User.findById(traveler._id);
+
+      expect(status.isTraveling).toBe(false);
+      expect(saved.isTraveling).toBe(false);
+      expect(PassportService.getEffectiveLocation(saved).coordinates).toEqual(HANOI);
+    });
+
+    it('should reset to the real location and keep recent destinations', async () => {
+      await PassportService.setLocation(traveler._id, PARIS);
+
+      const status = await PassportService.resetLocation(traveler._id);
+
+      expect(status.isTraveling).toBe(false);
+      expect(status.recentDestinations.map(d => d.city)).toEqual(['Paris']);
+    });
+  });
+
+  describe('Recent destinations', () => {
+    it('should list the latest destination first without duplicates', async () => {
+      await PassportService.setLocation(traveler._id, PARIS);
+      await skipJumpInterval();
+      await PassportService.setLocation(traveler._id, TOKYO);
+      await skipJumpInterval();
+      await PassportService.setLocation(traveler._id, { ...PARIS, latitude: 48.86 });
+
+      const { recentDestinations } = await PassportService.getStatus(traveler._id);
+
+      expect(recentDestinations.map(d => d.city)).toEqual(['Paris', 'Tokyo']);
+    });
+
+    it('should keep a bounded history', () => {
+      const destinations = Array.from({ length: PASSPORT_CONSTANTS.MAX_RECENT_DESTINATIONS }, (_, i) => ({
+        location: { type: 'Point', coordinates: [i * 10, 0] },
+        city: `City ${i}`,
+      }));
+
+      const updated = PassportService.addRecentDestination(destinations, {
+        location: { type: 'Point', coordinates: [0, 45] },
+        city: 'New',
+      });
+
+      expect(updated).toHaveLength(PASSPORT_CONSTANTS.MAX_RECENT_DESTINATIONS);
+      expect(updated[0].city).toBe('New');
+    });
+  });
+
+  describe('Jump limits', () => {
+    it('should enforce the minimum interval between jumps', async () => {
+      await PassportService.setLocation(traveler._id, PARIS);
+
+      await expect(PassportService.setLocation(traveler._id, TOKYO)).rejects.toMatchObject({
+        statusCode: 429,
+        errorCode: 'RATE_LIMIT_EXCEEDED',
+      });
+    });
+
+    it('should not count re-selecting the current destination', async () => {
+      await PassportService.setLocation(traveler._id, PARIS);
+      await PassportService.setLocation(traveler._id, PARIS);
+
+      expect(counters[`passport:jumps:hour:${traveler._id}`]).toBe(1);
+    });
+
+    it('should cap jumps per hour', async () => {
+      counters[`passport:jumps:hour:${traveler._id}`] = PASSPORT_CONSTANTS.MAX_JUMPS_PER_HOUR;
+
+      await expect(PassportService.setLocation(traveler._id, PARIS)).rejects.toMatchObject({
+        statusCode: 429,
+        details: { retryAfter: 1800 },
+      });
+      expect(counters[`passport:jumps:hour:${traveler._id}`]).toBe(PASSPORT_CONSTANTS.MAX_JUMPS_PER_HOUR);
+    });
+  });
+
+  describe('Discovery', () => {
+    it('should search from the passport location', async () => {
+      await PassportService.setLocation(traveler._id, PARIS);
+      const user = await RecommendationAlgorithm.getUserWithPreferences(traveler._id);
+
+      const pipeline = RecommendationAlgorithm.buildRecommendationPipeline(user, [], 10, false);
+
+      expect(pipeline[0].$geoNear.near.coordinates).toEqual([PARIS.longitude, PARIS.latitude]);
+    });
+
+    it('should show travelers at their destination with a badge', async () => {
+      await PassportService.setLocation(traveler._id, PARIS);
+
+      const nearby = await UserService.findNearbyUsers(local._id.toString(), 10);
+
+      expect(nearby.map(u => u._id.toString())).toEqual([traveler._id.toString()]);
+      expect(nearby[0].travel).toEqual({ isTraveling: true, city: 'Paris', country: 'France' });
+    });
+
+    it('should show the traveling badge on the match profile', async () => {
+      await PassportService.setLocation(traveler._id, TOKYO);
+      const saved = await User.findById(traveler._id);
+
+      expect(saved.toMatchProfile().travel).toMatchObject({ isTraveling: true, city: 'Tokyo' });
+    });
+  });
+});
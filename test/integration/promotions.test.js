@@ -0,0 +1,268 @@
+import { jest } from '@jest/globals';
+import User from '../../src/modules/user/user.model.js';
+import Swipe from '../../src/modules/match/swipe.model.js';
+import Promotion from '../../src/modules/promotion/promotion.model.js';
+import Inventory from '../../src/modules/gift/inventory.model.js';
+import GiftLedger from '../../src/modules/gift/giftLedger.model.js';
+import PromotionService from '../../src/modules/promotion/promotion.service.js';
+import PromotionJob from '../../src/jobs/promotionJob.js';
+import redis from '../../src/config/redis.js';
+import CacheService from '../../src/shared/services/cache.service.js';
+import NotificationService from '../../src/shared/services/notification.service.js';
+import {
+  PROMOTION_TYPES,
+  PROMOTION_STATUS,
+  PROMOTION_FUNDING,
+  PROMOTION_CONFIG,
+  PROMOTION_CONSTANTS,
+} from '../../src/modules/promotion/promotion.constants.js';
+import { NOTIFICATION_TYPES, SWIPE_ACTIONS } from '../../src/config/constants.js';
+import { setupTestDB, teardownTestDB, createTestUser } from '../setup.js';
+
+describe('Promotion Integration Tests', () => {
+  let owner;
+  let viewerSets;
+
+  const HANOI = [105.85, 21.03];
+  const MINUTE_MS = 60 * 1000;
+
+  const gold = () => ({ type: 'gold', validUntil: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) });
+
+  const createUser = (email, firstName, subscription = {}) => createTestUser(email, firstName, {
+    profile: { location: { type: 'Point', coordinates: HANOI } },
+    subscription,
+  });
+
+  // Fill every boost slot in the owner's region with other users' promotions
+  const fillRegion = async (type) => {
+    const region = PromotionService.getRegion(owner);
+    const now = new Date();
+    const docs = [...Array(PROMOTION_CONFIG[type].slotsPerRegion).keys()].map(slot => ({
+      user: new User()._id,
+      type,
+      region,
+      slot,
+      status: PROMOTION_STATUS.ACTIVE,
+      funding: { source: PROMOTION_FUNDING.PURCHASED },
+      durationMinutes: 30,
+      guaranteedImpressions: PROMOTION_CONFIG[type].guaranteedImpressions,
+      startedAt: now,
+      endsAt: new Date(now.getTime() + 30 * MINUTE_MS),
+    }));
+    return Promotion.insertMany(docs);
+  };
+
+  // Move an active promotion's end into the past with the given delivery
+  const makeDue = (promotion, { reach, impressions }) => Promotion.findByIdAndUpdate(
+    promotion._id,
+    {
+      startedAt: new Date(Date.now() - 31 * MINUTE_MS),
+      endsAt: new Date(Date.now() - MINUTE_MS),
+      reach,
+      impressions,
+    },
+    { new: true }
+  );
+
+  beforeAll(async () => {
+    await setupTestDB();
+    await Promise.all([Promotion.syncIndexes(), GiftLedger.syncIndexes()]);
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    viewerSets = {};
+    jest.spyOn(redis, 'get').mockResolvedValue(null);
+    jest.spyOn(redis, 'set').mockResolvedValue(true);
+    jest.spyOn(redis, 'del').mockResolvedValue(1);
+    jest.spyOn(redis, 'expire').mockResolvedValue(true);
+    jest.spyOn(redis, 'sadd').mockImplementation(async (key, member) => {
+      viewerSets[key] = viewerSets[key] || new Set();
+      if (viewerSets[key].has(member)) return 0;
+      viewerSets[key].add(member);
+      return 1;
+    });
+    jest.spyOn(CacheService, 'invalidatePattern').mockResolvedValue(0);
+    jest.spyOn(NotificationService, 'sendNotification').mockResolvedValue(true);
+
+    await Promise.all([
+      User.deleteMany({}),
+      Swipe.deleteMany({}),
+      Promotion.deleteMany({}),
+      Inventory.deleteMany({}),
+      GiftLedger.deleteMany({}),
+    ]);
+    owner = await createUser('owner.promo@example.com', 'Olivia', gold());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Activation', () => {
+    it('should start a boost right away from the monthly allowance', async () => {
+      const status = await PromotionService.activate(owner._id, PROMOTION_TYPES.BOOST);
+      const saved = await User.findById(owner._id);
+
+      expect(status.current).toMatchObject({ status: PROMOTION_STATUS.ACTIVE, guaranteedImpressions: 60 });
+      expect(status.available.allowance).toBe(0);
+      expect(saved.boosts).toHaveLength(1);
+      expect(NotificationService.sendNotification).toHaveBeenCalledWith(
+        owner._id.toString(),
+        expect.objectContaining({ type: NOTIFICATION_TYPES.BOOST_ACTIVATED })
+      );
+    });
+
+    it('should queue when every slot in the region is taken', async () => {
+      await fillRegion(PROMOTION_TYPES.BOOST);
+
+      const status = await PromotionService.activate(owner._id, PROMOTION_TYPES.BOOST);
+
+      expect(status.current).toMatchObject({ status: PROMOTION_STATUS.QUEUED, queuePosition: 1 });
+      expect(status.current.estimatedStartAt).toBeInstanceOf(Date);
+    });
+
+    it('should reject a second open promotion of the same type', async () => {
+      await Inventory.creditBoosts(owner._id, 1);
+      await PromotionService.activate(owner._id, PROMOTION_TYPES.BOOST);
+
+      await expect(PromotionService.activate(owner._id, PROMOTION_TYPES.BOOST))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect((await Inventory.findOne({ user: owner._id })).boosts).toBe(1);
+    });
+
+    it('should charge coins for a spotlight and refuse when short', async () => {
+      await expect(PromotionService.activate(owner._id, PROMOTION_TYPES.SPOTLIGHT))
+        .rejects.toMatchObject({ statusCode: 402 });
+      expect(await Promotion.countDocuments({})).toBe(0);
+
+      await Inventory.creditCoins(owner._id, 500);
+      const status = await PromotionService.activate(owner._id, PROMOTION_TYPES.SPOTLIGHT);
+
+      expect(status.current.status).toBe(PROMOTION_STATUS.ACTIVE);
+      expect(status.available.coins).toBe(200);
+    });
+  });
+
+  describe('Scheduling', () => {
+    it('should start the oldest queued promotion when a slot frees up', async () => {
+      const [first] = await fillRegion(PROMOTION_TYPES.BOOST);
+      await PromotionService.activate(owner._id, PROMOTION_TYPES.BOOST);
+      await makeDue(first, { reach: 100, impressions: 80 });
+
+      const result = await PromotionJob.tick();
+      const promotion = await Promotion.findOne({ user: owner._id });
+
+      expect(result).toMatchObject({ completed: 1, started: 1 });
+      expect(promotion.status).toBe(PROMOTION_STATUS.ACTIVE);
+      expect(promotion.slot).toBe(first.slot);
+    });
+
+    it('should extend a promotion that is short of its guarantee', async () => {
+      await PromotionService.activate(owner._id, PROMOTION_TYPES.BOOST);
+      const promotion = await makeDue(await Promotion.findOne({ user: owner._id }), { reach: 100, impressions: 10 });
+
+      const result = await PromotionService.processDue();
+      const saved = await Promotion.findById(promotion._id);
+
+      expect(result.extended).toBe(1);
+      expect(saved.status).toBe(PROMOTION_STATUS.ACTIVE);
+      expect(saved.extendedMinutes).toBe(PROMOTION_CONFIG.boost.extensionMinutes);
+      expect(saved.endsAt.getTime()).toBeGreaterThan(promotion.endsAt.getTime());
+    });
+
+    it('should refund the allowance when a boost ran during low traffic', async () => {
+      await PromotionService.activate(owner._id, PROMOTION_TYPES.BOOST);
+      await makeDue(await Promotion.findOne({ user: owner._id }), {
+        reach: PROMOTION_CONSTANTS.LOW_TRAFFIC_MIN_VIEWERS - 1,
+        impressions: 5,
+      });
+
+      const result = await PromotionService.processDue();
+      const status = await PromotionService.getStatus(owner._id, PROMOTION_TYPES.BOOST);
+
+      expect(result.refunded).toBe(1);
+      expect(status.last.status).toBe(PROMOTION_STATUS.REFUNDED);
+      expect(status.available.allowance).toBe(1);
+      expect(NotificationService.sendNotification).toHaveBeenCalledWith(
+        owner._id.toString(),
+        expect.objectContaining({ type: NOTIFICATION_TYPES.BOOST_REFUNDED })
+      );
+    });
+
+    it('should refund spotlight coins only once', async () => {
+      await Inventory.creditCoins(owner._id, 300);
+      await PromotionService.activate(owner._id, PROMOTION_TYPES.SPOTLIGHT);
+      const promotion = await makeDue(await Promotion.findOne({ user: owner._id }), { reach: 0, impressions: 0 });
+
+      await PromotionService.processDue();
+      await PromotionService.refundFunding(await Promotion.findById(promotion._id));
+
+      expect((await Inventory.findOne({ user: owner._id })).coins).toBe(300);
+    });
+
+    it('should report views against the usual hourly rate', async () => {
+      await PromotionService.activate(owner._id, PROMOTION_TYPES.BOOST);
+      const promotion = await makeDue(await Promotion.findOne({ user: owner._id }), { reach: 100, impressions: 80 });
+
+      // 30 views in the half hour the boost ran, against the 0.5/h floor
+      await Swipe.insertMany([...Array(30).keys()].map(i => ({
+        from: new User()._id,
+        to: owner._id,
+        action: i % 3 === 0 ? SWIPE_ACTIONS.LIKE : SWIPE_ACTIONS.NOPE,
+        swipedAt: new Date(promotion.startedAt.getTime() + MINUTE_MS),
+      })));
+
+      await PromotionService.processDue();
+      const saved = await Promotion.findById(promotion._id);
+
+      expect(saved.status).toBe(PROMOTION_STATUS.COMPLETED);
+      expect(saved.report).toMatchObject({ views: 30, likes: 10, viewsMultiplier: 120 });
+      expect(NotificationService.sendNotification).toHaveBeenCalledWith(
+        owner._id.toString(),
+        expect.objectContaining({
+          type: NOTIFICATION_TYPES.BOOST_REPORT,
+          body: 'Your profile got 120× more views than usual',
+        })
+      );
+    });
+  });
+
+  describe('Deck arrangement', () => {
+    const card = (id) => ({ _id: { toString: () => id } });
+
+    it('should put the spotlight first and boosts on reserved positions, least served first', async () => {
+      const recs = [...Array(12).keys()].map(i => card(`u${i}`));
+      const promotions = [
+        { id: 'p1', user: 'u9', type: PROMOTION_TYPES.BOOST, impressions: 50, guaranteedImpressions: 60 },
+        { id: 'p2', user: 'u10', type: PROMOTION_TYPES.BOOST, impressions: 5, guaranteedImpressions: 60 },
+        { id: 'p3', user: 'u11', type: PROMOTION_TYPES.SPOTLIGHT, impressions: 0, guaranteedImpressions: 150 },
+      ];
+      jest.spyOn(Promotion, 'updateMany').mockResolvedValue({});
+
+      const deck = await PromotionService.arrangeDeck('viewer', recs, promotions);
+      const ids = deck.map(r => r._id.toString());
+
+      expect(ids[0]).toBe('u11');
+      expect(deck[0].isSpotlight).toBe(true);
+      expect(ids[2]).toBe('u10');
+      expect(ids[5]).toBe('u9');
+      expect(deck.filter(r => r.isBoosted)).toHaveLength(2);
+    });
+
+    it('should count each viewer once', async () => {
+      const promotions = [
+        { id: 'p1', user: 'u1', type: PROMOTION_TYPES.BOOST, impressions: 0, guaranteedImpressions: 60 },
+      ];
+      const updateMany = jest.spyOn(Promotion, 'updateMany').mockResolvedValue({});
+
+      await PromotionService.arrangeDeck('viewer', [card('u0'), card('u1')], promotions);
+      await PromotionService.arrangeDeck('viewer', [card('u0'), card('u1')], promotions);
+
+      expect(updateMany).toHaveBeenCalledTimes(2);
+    });
+  });
+});
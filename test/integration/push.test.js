@@ -0,0 +1,159 @@
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import userRoutes from '../../src/modules/user/user.routes.js';
+import User from '../../src/modules/user/user.model.js';
+import PushDevice from '../../src/modules/notification/pushDevice.model.js';
+import PushService from '../../src/modules/notification/push.service.js';
+import MockPushStrategy from '../../src/modules/notification/strategies/mockPush.strategy.js';
+import redis from '../../src/config/redis.js';
+import { errorHandler } from '../../src/shared/middleware/error.middleware.js';
+import { setupTestDB, teardownTestDB, createTestUser } from '../setup.js';
+
+process.env.JWT_ACCESS_SECRET = process.env.JWT_ACCESS_SECRET || 'push-test-secret';
+
+const app = express();
+app.use(express.json());
+app.use('/api/users', userRoutes);
+app.use(errorHandler);
+
+const notification = {
+  type: 'new_message',
+  title: 'Alex',
+  body: 'Hey there',
+  data: { matchId: 'match-1' },
+};
+
+describe('Push Integration Tests', () => {
+  let accessToken;
+  let userId;
+
+  beforeAll(async () => {
+    await setupTestDB();
+
+    const user = await createTestUser('push@example.com', 'Push', { profile: { gender: 'male' } });
+    userId = user._id.toString();
+    // authenticate takes the user from the token claims when it is not cached
+    accessToken = jwt.sign(
+      { userId, status: { isActive: true }, type: 'access' },
+      process.env.JWT_ACCESS_SECRET
+    );
+
+    PushService.initialize();
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    MockPushStrategy.reset();
+    await PushDevice.deleteMany({});
+    await redis.del(`push:collapse:${userId}:chat:match-1`);
+  });
+
+  describe('Device registry', () => {
+    it('should register a device through the API', async () => {
+      await request(app)
+        .post('/api/users/push-token')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ token: 'token-ios', platform: 'ios', appVersion: '2.4.1', deviceId: 'iphone-1' })
+        .expect(200);
+
+      const [device] = await PushService.getUserDevices(userId);
+      expect(device.platform).toBe('ios');
+      expect(device.appVersion).toBe('2.4.1');
+      expect(device.lastSeenAt).toBeDefined();
+    });
+
+    it('should replace the old token when a device reinstalls', async () => {
+      await PushService.registerDevice(userId, { token: 'old-token', platform: 'android', deviceId: 'pixel-1' });
+      await PushService.registerDevice(userId, { token: 'new-token', platform: 'android', deviceId: 'pixel-1' });
+
+      const devices = await PushDevice.find({ user: userId }).lean();
+      expect(devices.map(d => d.token)).toEqual(['new-token']);
+    });
+
+    it('should unregister a device through the API', async () => {
+      await PushService.registerDevice(userId, { token: 'token-web', platform: 'web' });
+
+      await request(app)
+        .delete('/api/users/push-token')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ token: 'token-web' })
+        .expect(200);
+
+      expect(await PushDevice.countDocuments({ user: userId })).toBe(0);
+    });
+  });
+
+  describe('Sending', () => {
+    it('should deliver to every device of a user', async () => {
+      await PushService.registerDevice(userId, { token: 'token-a', platform: 'ios' });
+      await PushService.registerDevice(userId, { token: 'token-b', platform: 'android' });
+
+      const result = await PushService.sendToUser(userId, notification);
+
+      expect(result.sent).toBe(true);
+      expect(result.successCount).toBe(2);
+      expect(MockPushStrategy.getSent({ type: 'new_message' })).toHaveLength(2);
+    });
+
+    it('should prune tokens the transport reports as unregistered', async () => {
+      await PushService.registerDevice(userId, { token: 'token-alive', platform: 'ios' });
+      await PushService.registerDevice(userId, { token: 'token-dead', platform: 'ios' });
+      MockPushStrategy.markUnregistered('token-dead');
+
+      const result = await PushService.sendToUser(userId, notification);
+
+      expect(result.pruned).toBe(1);
+      expect(await PushDevice.exists({ token: 'token-dead' })).toBeNull();
+      expect(await PushDevice.exists({ token: 'token-alive' })).not.toBeNull();
+    });
+
+    it('should collapse bursts sharing a collapse key', async () => {
+      await PushService.registerDevice(userId, { token: 'token-a', platform: 'android' });
+      const options = { collapseKey: 'chat:match-1', collapsedBody: '{{count}} new messages' };
+
+      await PushService.sendToUser(userId, notification, options);
+      await PushService.sendToUser(userId, notification, options);
+
+      const [first, second] = MockPushStrategy.getSent({ token: 'token-a' });
+      expect(first.message.notification.body).toBe('Hey there');
+      expect(second.message.notification.body).toBe('2 new messages');
+      expect(second.message.android.collapseKey).toBe('chat:match-1');
+    });
+
+    it('should skip users who turned push off', async () => {
+      await PushService.registerDevice(userId, { token: 'token-a', platform: 'ios' });
+      await User.updateOne({ _id: userId }, { 'notifications.push.enabled': false });
+
+      const result = await PushService.sendToUser(userId, notification);
+
+      expect(result).toMatchObject({ sent: false, reason: 'push_disabled' });
+      await User.updateOne({ _id: userId }, { 'notifications.push.enabled': true });
+    });
+
+    it('should subscribe devices to topics', async () => {
+      await PushService.registerDevice(userId, { token: 'token-a', platform: 'ios' });
+      await PushService.subscribeToTopic(userId, 'events-hanoi');
+      await PushService.registerDevice(userId, { token: 'token-b', platform: 'android' });
+
+      expect(MockPushStrategy.getTopicMembers('events-hanoi').sort()).toEqual(['token-a', 'token-b']);
+
+      await PushService.sendToTopic('events-hanoi', notification);
+      expect(MockPushStrategy.getSent({ topic: 'events-hanoi' })).toHaveLength(1);
+    });
+
+    it('should target segments by platform and app version', async () => {
+      await PushService.registerDevice(userId, { token: 'token-old', platform: 'ios', appVersion: '1.9.0' });
+      await PushService.registerDevice(userId, { token: 'token-new', platform: 'ios', appVersion: '2.10.0' });
+      await PushService.registerDevice(userId, { token: 'token-android', platform: 'android', appVersion: '2.10.0' });
+
+      const result = await PushService.sendToSegment({ platform: 'ios', minAppVersion: '2.0' }, notification);
+
+      expect(result.devices).toBe(1);
+      expect(MockPushStrategy.getSent({ token: 'token-new' })).toHaveLength(1);
+    });
+  });
+});
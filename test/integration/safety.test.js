@@ -0,0 +1,253 @@
+import { jest } from '@jest/globals';
+import User from '../../src/modules/user/user.model.js';
+import Match from '../../src/modules/match/match.model.js';
+import Message from '../../src/modules/chat/message.model.js';
+import DateProposal from '../../src/modules/match/dateProposal.model.js';
+import SafetyPlan from '../../src/modules/match/safetyPlan.model.js';
+import SafetyService from '../../src/modules/match/safety.service.js';
+import ChatService from '../../src/modules/chat/chat.service.js';
+import NotificationService from '../../src/shared/services/notification.service.js';
+import MetricsService from '../../src/shared/services/metrics.service.js';
+import QueueService from '../../src/shared/services/queue.service.js';
+import MockSmsStrategy from '../../src/modules/notification/strategies/mockSms.strategy.js';
+import { EMAIL_TEMPLATE_NAMES } from '../../src/modules/notification/email.templates.js';
+import {
+  DATE_STATUS,
+  ERROR_CODES,
+  MESSAGE_TYPES,
+  NOTIFICATION_TYPES,
+  SAFETY_CHECK_IN_STATUS,
+  SAFETY_CONSTANTS,
+} from '../../src/config/constants.js';
+import { setupTestDB, teardownTestDB, createTestUser } from '../setup.js';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+describe('Date Safety Integration Tests', () => {
+  let alice;
+  let bob;
+  let match;
+  let queueSpy;
+
+  const createUser = (email, firstName) => createTestUser(email, firstName, {
+    profile: { photos: [{ url: `https://cdn.example.com/${firstName}.jpg`, isMain: true }] },
+  });
+
+  // Contact messages queued on the notification queue
+  const contactJobs = (channel) => queueSpy.mock.calls
+    .filter(([queue, data]) => queue === 'notifications' && data.channel === channel)
+    .map(([, data]) => data);
+
+  const tokenFrom = (shareUrl) => shareUrl.split('/safety/')[1];
+
+  const sharePlan = (data = {}) => SafetyService.sharePlan(alice._id, match._id, {
+    venue: { name: 'Blue Bottle', address: '1 Main St' },
+    startsAt: new Date(Date.now() + HOUR_MS).toISOString(),
+    ...data,
+  });
+
+  beforeAll(async () => {
+    await setupTestDB();
+    await SafetyPlan.syncIndexes();
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    queueSpy = jest.spyOn(QueueService, 'addJob').mockResolvedValue('job');
+    jest.spyOn(NotificationService, 'sendNotification').mockResolvedValue(true);
+    jest.spyOn(MetricsService, 'incrementCounter').mockResolvedValue(null);
+    MockSmsStrategy.reset();
+
+    await Promise.all([
+      User.deleteMany({}),
+      Match.deleteMany({}),
+      Message.deleteMany({}),
+      DateProposal.deleteMany({}),
+      SafetyPlan.deleteMany({}),
+    ]);
+    alice = await createUser('alice.safety@example.com', 'Alice');
+    bob = await createUser('bob.safety@example.com', 'Bob');
+    match = await Match.create({ users: [alice._id, bob._id], initiatedBy: alice._id });
+
+    await SafetyService.addTrustedContact(alice._id, { name: 'Mom', phone: '+84912345678', email: 'mom@example.com' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Trusted contacts', () => {
+    it('should need a phone number or email', async () => {
+      await expect(SafetyService.addTrustedContact(alice._id, { name: 'Nobody' }))
+        .rejects.toMatchObject({ errorCode: ERROR_CODES.VALIDATION_ERROR });
+    });
+
+    it('should cap the number of contacts', async () => {
+      for (let i = 1; i < SAFETY_CONSTANTS.MAX_TRUSTED_CONTACTS; i++) {
+        await SafetyService.addTrustedContact(alice._id, { name: `Friend ${i}`, email: `friend${i}@example.com` });
+      }
+
+      await expect(SafetyService.addTrustedContact(alice._id, { name: 'One more', email: 'more@example.com' }))
+        .rejects.toMatchObject({ errorCode: ERROR_CODES.TRUSTED_CONTACT_LIMIT });
+    });
+
+    it('should remove a contact', async () => {
+      const [mom] = await SafetyService.getTrustedContacts(alice._id);
+
+      await SafetyService.removeTrustedContact(alice._id, mom.id);
+
+      expect(await SafetyService.getTrustedContacts(alice._id)).toHaveLength(0);
+      await expect(SafetyService.removeTrustedContact(alice._id, mom.id))
+        .rejects.toMatchObject({ errorCode: ERROR_CODES.NOT_FOUND });
+    });
+  });
+
+  describe('Sharing date plans', () => {
+    it('should send the contacts an expiring link to the plan', async () => {
+      const { plan, shareUrl } = await sharePlan();
+
+      expect(plan.details).toMatchObject({ matchName: 'Bob', matchPhoto: 'https://cdn.example.com/Bob.jpg' });
+      expect(contactJobs('contact_sms')[0]).toMatchObject({ to: '+84912345678' });
+      expect(contactJobs('contact_sms')[0].text).toContain(shareUrl);
+      expect(contactJobs('contact_email')[0]).toMatchObject({
+        to: 'mom@example.com',
+        email: { template: EMAIL_TEMPLATE_NAMES.SAFETY_PLAN_SHARED, data: { planUrl: shareUrl, venue: 'Blue Bottle, 1 Main St' } },
+      });
+
+      const shared = await SafetyService.getSharedPlan(tokenFrom(shareUrl));
+      expect(shared).toMatchObject({ sharedBy: 'Alice', date: { matchName: 'Bob', venue: { name: 'Blue Bottle' } } });
+      expect((await SafetyPlan.findById(plan.id)).views).toBe(1);
+    });
+
+    it('should take venue and time from a scheduled date', async () => {
+      const startsAt = new Date(Date.now() + 2 * HOUR_MS);
+      const date = await DateProposal.create({
+        match: match._id,
+        participants: [alice._id, bob._id],
+        proposedBy: alice._id,
+        status: DATE_STATUS.ACCEPTED,
+        venue: { name: 'Museum Café' },
+        timeSlots: [{ startsAt, endsAt: new Date(startsAt.getTime() + HOUR_MS) }],
+        scheduledSlot: { startsAt, endsAt: new Date(startsAt.getTime() + HOUR_MS) },
+      });
+
+      const { plan } = await SafetyService.sharePlan(alice._id, match._id, { dateId: date._id });
+
+      expect(plan.dateId.toString()).toBe(date._id.toString());
+      expect(plan.details.venue.name).toBe('Museum Café');
+      expect(plan.details.startsAt.getTime()).toBe(startsAt.getTime());
+    });
+
+    it('should refuse to share without trusted contacts', async () => {
+      const [mom] = await SafetyService.getTrustedContacts(alice._id);
+      await SafetyService.removeTrustedContact(alice._id, mom.id);
+
+      await expect(sharePlan()).rejects.toMatchObject({ errorCode: ERROR_CODES.NO_TRUSTED_CONTACTS });
+    });
+
+    it('should kill the old link when the plan is shared again or revoked', async () => {
+      const first = await sharePlan();
+      const second = await sharePlan();
+
+      await expect(SafetyService.getSharedPlan(tokenFrom(first.shareUrl)))
+        .rejects.toMatchObject({ errorCode: ERROR_CODES.SAFETY_LINK_EXPIRED });
+
+      await SafetyService.revokePlan(alice._id, match._id);
+
+      await expect(SafetyService.getSharedPlan(tokenFrom(second.shareUrl)))
+        .rejects.toMatchObject({ errorCode: ERROR_CODES.SAFETY_LINK_EXPIRED });
+      await expect(SafetyService.getSharedPlan('not-a-token'))
+        .rejects.toMatchObject({ errorCode: ERROR_CODES.SAFETY_PLAN_NOT_FOUND });
+    });
+
+    it('should show live location shared through the match chat', async () => {
+      const sendSpy = jest.spyOn(ChatService, 'sendMessage').mockImplementation(async (senderId, matchId, data) => {
+        const message = await Message.create({ matchId, sender: senderId, receiver: bob._id, ...data });
+        return { message: { id: message._id } };
+      });
+      const { shareUrl } = await sharePlan();
+
+      await SafetyService.shareLocation(alice._id, match._id, { latitude: 21.03, longitude: 105.85 });
+      await SafetyService.shareLocation(alice._id, match._id, { latitude: 21.04, longitude: 105.86, accuracy: 12 });
+
+      expect(sendSpy).toHaveBeenCalledTimes(1);
+      expect(sendSpy.mock.calls[0][2]).toMatchObject({ type: MESSAGE_TYPES.LOCATION, locationTracking: { isLive: true } });
+
+      const shared = await SafetyService.getSharedPlan(tokenFrom(shareUrl));
+      expect(shared.location).toMatchObject({ latitude: 21.04, longitude: 105.86, accuracy: 12 });
+    });
+  });
+
+  describe('Check-in timer', () => {
+    const expireTimer = (minutesAgo) => SafetyPlan.updateMany(
+      {},
+      { $set: { 'checkIn.dueAt': new Date(Date.now() - minutesAgo * MINUTE_MS) } }
+    );
+
+    it('should nudge the user, then alert contacts with a fresh link', async () => {
+      const { shareUrl } = await sharePlan({ checkInMinutes: 60 });
+      queueSpy.mockClear();
+
+      await expireTimer(1);
+      expect(await SafetyService.processDueCheckIns()).toEqual({ reminded: 1, escalated: 0 });
+      expect(NotificationService.sendNotification).toHaveBeenCalledWith(
+        alice._id.toString(),
+        expect.objectContaining({ type: NOTIFICATION_TYPES.SAFETY_CHECK_IN })
+      );
+      expect(contactJobs('contact_sms')).toHaveLength(0);
+
+      await expireTimer(SAFETY_CONSTANTS.CHECK_IN_GRACE_MINUTES + 1);
+      expect(await SafetyService.processDueCheckIns()).toEqual({ reminded: 0, escalated: 1 });
+      expect(await SafetyService.processDueCheckIns()).toEqual({ reminded: 0, escalated: 0 });
+
+      const [alert] = contactJobs('contact_sms');
+      expect(alert.text).toContain('hasn\'t checked in');
+      expect(contactJobs('contact_email')[0].email.template).toBe(EMAIL_TEMPLATE_NAMES.SAFETY_CHECK_IN_MISSED);
+
+      const alertToken = tokenFrom(alert.text.match(/\/safety\/(\S+)/)[0]);
+      expect(alertToken).not.toBe(tokenFrom(shareUrl));
+      expect((await SafetyService.getSharedPlan(alertToken)).checkIn.status).toBe(SAFETY_CHECK_IN_STATUS.ESCALATED);
+      expect((await SafetyService.getSharedPlan(tokenFrom(shareUrl))).checkIn.status).toBe(SAFETY_CHECK_IN_STATUS.ESCALATED);
+    });
+
+    it('should deliver contact alerts through the SMS transport', async () => {
+      await sharePlan();
+      const [job] = contactJobs('contact_sms');
+
+      await NotificationService.processNotification(job);
+
+      expect(MockSmsStrategy.getSent({ to: '+84912345678' })).toHaveLength(1);
+    });
+
+    it('should stand contacts down when the user checks in after an alert', async () => {
+      await sharePlan({ checkInMinutes: 30 });
+      await expireTimer(SAFETY_CONSTANTS.CHECK_IN_GRACE_MINUTES + 1);
+      await SafetyService.processDueCheckIns();
+      queueSpy.mockClear();
+
+      const plan = await SafetyService.confirmSafe(alice._id, match._id);
+
+      expect(plan.checkIn.status).toBe(SAFETY_CHECK_IN_STATUS.CONFIRMED);
+      expect(contactJobs('contact_email')[0].email.template).toBe(EMAIL_TEMPLATE_NAMES.SAFETY_CHECK_IN_CONFIRMED);
+      await expect(SafetyService.confirmSafe(alice._id, match._id))
+        .rejects.toMatchObject({ errorCode: ERROR_CODES.SAFETY_PLAN_NOT_FOUND });
+    });
+
+    it('should not alert anyone once the user confirmed or revoked', async () => {
+      await sharePlan({ checkInMinutes: 30 });
+      await SafetyService.confirmSafe(alice._id, match._id);
+      await SafetyService.startCheckIn(alice._id, match._id, 30);
+      await SafetyService.revokePlan(alice._id, match._id);
+      queueSpy.mockClear();
+
+      await expireTimer(SAFETY_CONSTANTS.CHECK_IN_GRACE_MINUTES + 1);
+
+      expect(await SafetyService.processDueCheckIns()).toEqual({ reminded: 0, escalated: 0 });
+      expect(contactJobs('contact_sms')).toHaveLength(0);
+    });
+  });
+});
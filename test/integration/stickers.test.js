@@ -0,0 +1,197 @@
+import { jest } from '@jest/globals';
+import User from '../../src/modules/user/user.model.js';
+import Match from '../../src/modules/match/match.model.js';
+import Message from '../../src/modules/chat/message.model.js';
+import StickerPack from '../../src/modules/sticker/stickerPack.model.js';
+import Sticker from '../../src/modules/sticker/sticker.model.js';
+import StickerLibrary from '../../src/modules/sticker/stickerLibrary.model.js';
+import StickerService from '../../src/modules/sticker/sticker.service.js';
+import ChatService from '../../src/modules/chat/chat.service.js';
+import MediaService from '../../src/modules/media/media.service.js';
+import NotificationService from '../../src/shared/services/notification.service.js';
+import MetricsService from '../../src/shared/services/metrics.service.js';
+import {
+  ERROR_CODES,
+  MESSAGE_TYPES,
+  STICKER_PACK_STATUS,
+  SUBSCRIPTION_TYPES,
+} from '../../src/config/constants.js';
+import { setupTestDB, teardownTestDB, createTestUser } from '../setup.js';
+
+describe('Sticker Integration Tests', () => {
+  let admin;
+  let alice;
+  let bob;
+  let match;
+  let uploads;
+
+  const file = { originalname: 'sticker.png', mimetype: 'image/png', buffer: Buffer.from('png') };
+
+  // Creates and publishes a pack with the given number of stickers
+  const publishPack = async (data, count = 2) => {
+    const pack = await StickerService.createPack(admin._id, data);
+    const stickers = [];
+    for (let i = 0; i < count; i++) {
+      stickers.push(await StickerService.addSticker(admin._id, pack.id, file, { name: `s${i}` }));
+    }
+    await StickerService.setPackStatus(pack.id, STICKER_PACK_STATUS.PUBLISHED);
+    return { pack, stickers };
+  };
+
+  const sendSticker = (sender, stickerId) => ChatService.sendMessage(sender._id.toString(), match._id.toString(), {
+    type: MESSAGE_TYPES.STICKER,
+    content: { stickerId: stickerId.toString() },
+  });
+
+  beforeAll(async () => {
+    await setupTestDB();
+    await StickerPack.syncIndexes();
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(NotificationService, 'sendNotification').mockResolvedValue(true);
+    jest.spyOn(MetricsService, 'incrementCounter').mockResolvedValue(null);
+    uploads = 0;
+    jest.spyOn(MediaService, 'uploadMedia').mockImplementation(async () => {
+      uploads += 1;
+      return {
+        id: `stickers/test/${uploads}`,
+        type: 'image',
+        url: `https://cdn.example.com/stickers/${uploads}.webp`,
+        thumbnailUrl: `https://cdn.example.com/stickers/${uploads}_thumb.webp`,
+        metadata: { width: 1024, height: 1024 },
+        storageProvider: 'local',
+      };
+    });
+
+    await Promise.all([
+      User.deleteMany({}),
+      Match.deleteMany({}),
+      Message.deleteMany({}),
+      StickerPack.deleteMany({}),
+      Sticker.deleteMany({}),
+      StickerLibrary.deleteMany({}),
+    ]);
+    admin = await createTestUser('admin.stickers@example.com', 'Admin');
+    alice = await createTestUser('alice.stickers@example.com', 'Alice');
+    bob = await createTestUser('bob.stickers@example.com', 'Bob', {
+      subscription: { type: SUBSCRIPTION_TYPES.GOLD, validUntil: new Date(Date.now() + 86400000) },
+    });
+    match = await Match.create({ users: [alice._id, bob._id], initiatedBy: alice._id });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Admin packs', () => {
+    it('should upload stickers through the media pipeline and bump the pack version', async () => {
+      const { pack, stickers } = await publishPack({ name: 'Love Bugs' });
+
+      expect(MediaService.uploadMedia).toHaveBeenCalledWith(
+        file,
+        admin._id.toString(),
+        expect.objectContaining({ format: 'webp', folder: 'stickers/love-bugs' })
+      );
+      expect(stickers[0]).toMatchObject({ width: 512, height: 512 });
+
+      const saved = await StickerPack.findById(pack.id);
+      expect(saved).toMatchObject({ status: STICKER_PACK_STATUS.PUBLISHED, stickerCount: 2, version: 4 });
+      expect(saved.previewUrl).toBe(stickers[0].url);
+    });
+
+    it('should not publish an empty pack or sell an unknown product', async () => {
+      const pack = await StickerService.createPack(admin._id, { name: 'Empty' });
+
+      await expect(StickerService.setPackStatus(pack.id, STICKER_PACK_STATUS.PUBLISHED))
+        .rejects.toMatchObject({ errorCode: ERROR_CODES.VALIDATION_ERROR });
+      await expect(StickerService.createPack(admin._id, { name: 'Fake', product: 'nope' }))
+        .rejects.toMatchObject({ errorCode: ERROR_CODES.VALIDATION_ERROR });
+      await expect(StickerService.createPack(admin._id, { name: 'Empty' }))
+        .rejects.toMatchObject({ errorCode: ERROR_CODES.ALREADY_EXISTS });
+    });
+
+    it('should hide draft packs from users', async () => {
+      const pack = await StickerService.createPack(admin._id, { name: 'Draft' });
+
+      expect(await StickerService.getPacks(alice._id)).toHaveLength(0);
+      await expect(StickerService.getPack(alice._id, pack.id))
+        .rejects.toMatchObject({ errorCode: ERROR_CODES.STICKER_PACK_NOT_FOUND });
+    });
+  });
+
+  describe('Unlocking packs', () => {
+    it('should let anyone send stickers from free packs', async () => {
+      const { stickers } = await publishPack({ name: 'Basics' });
+
+      const result = await sendSticker(alice, stickers[0].id);
+
+      expect(result.message.content).toMatchObject({ stickerId: stickers[0].id.toString(), stickerUrl: stickers[0].url });
+    });
+
+    it('should reject stickers from packs the sender has not unlocked', async () => {
+      const { stickers: premium } = await publishPack({ name: 'Golden', minTier: SUBSCRIPTION_TYPES.GOLD });
+      const { stickers: paid } = await publishPack({ name: 'Party Animals', product: 'party_animals' });
+
+      await expect(sendSticker(alice, premium[0].id)).rejects.toMatchObject({ errorCode: ERROR_CODES.STICKER_PACK_LOCKED });
+      await expect(sendSticker(alice, paid[0].id)).rejects.toMatchObject({ errorCode: ERROR_CODES.STICKER_PACK_LOCKED });
+      await expect(sendSticker(bob, premium[0].id)).resolves.toBeDefined();
+      expect(await Message.countDocuments({ type: MESSAGE_TYPES.STICKER })).toBe(1);
+    });
+
+    it('should unlock a purchased pack once per purchase', async () => {
+      const { pack, stickers } = await publishPack({ name: 'Party Animals', product: 'party_animals' });
+
+      await StickerService.creditPurchase(alice._id, { product: 'party_animals' });
+      await StickerService.creditPurchase(alice._id, { product: 'party_animals' });
+
+      const library = await StickerLibrary.findOne({ user: alice._id });
+      expect(library.packs).toHaveLength(1);
+      const packs = await StickerService.getPacks(alice._id);
+      expect(packs.find(p => p.id.toString() === pack.id.toString())).toMatchObject({ unlocked: true, unlockedVia: 'purchase' });
+      await expect(sendSticker(alice, stickers[0].id)).resolves.toBeDefined();
+    });
+
+    it('should keep retired packs for owners only', async () => {
+      const { pack, stickers } = await publishPack({ name: 'Cozy Nights', product: 'cozy_nights' });
+      await StickerService.creditPurchase(alice._id, { product: 'cozy_nights' });
+      await StickerService.setPackStatus(pack.id, STICKER_PACK_STATUS.RETIRED);
+
+      expect(await StickerService.getPacks(alice._id)).toHaveLength(1);
+      expect(await StickerService.getPacks(bob._id)).toHaveLength(0);
+      await expect(sendSticker(alice, stickers[0].id)).resolves.toBeDefined();
+    });
+  });
+
+  describe('Syncing and recents', () => {
+    it('should return only the changes since a cached pack version', async () => {
+      const { pack, stickers } = await publishPack({ name: 'Basics' });
+      const cached = await StickerService.getPack(alice._id, pack.id);
+
+      const added = await StickerService.addSticker(admin._id, pack.id, file, { name: 'new' });
+      await StickerService.removeSticker(pack.id, stickers[0].id);
+
+      const delta = await StickerService.getPack(alice._id, pack.id, { since: cached.pack.version });
+      expect(delta.stickers.map(s => s.id.toString())).toEqual([added.id.toString()]);
+      expect(delta.removed.map(id => id.toString())).toEqual([stickers[0].id.toString()]);
+
+      const unchanged = await StickerService.getPack(alice._id, pack.id, { since: delta.pack.version });
+      expect(unchanged.unchanged).toBe(true);
+    });
+
+    it('should list recently used stickers newest first', async () => {
+      const { stickers } = await publishPack({ name: 'Basics' });
+
+      await sendSticker(alice, stickers[0].id);
+      await sendSticker(alice, stickers[1].id);
+      await sendSticker(alice, stickers[0].id);
+
+      const recent = await StickerService.getRecentStickers(alice._id);
+      expect(recent.map(s => s.id.toString())).toEqual([stickers[0].id.toString(), stickers[1].id.toString()]);
+    });
+  });
+});
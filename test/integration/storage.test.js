@@ -0,0 +1,200 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import request from 'supertest';
+import sharp from 'sharp';
+
+// The storage config is read once at import, so pick the local driver first
+const tmpRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-test-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.STORAGE_LOCAL_ROOT = path.join(tmpRoot, 'public');
+process.env.STORAGE_LOCAL_PRIVATE_ROOT = path.join(tmpRoot, 'private');
+process.env.STORAGE_SIGNING_SECRET = 'storage-test-secret';
+
+const { default: LocalStorageStrategy } = await import('../../src/modules/media/strategies/local.strategy.js');
+const { default: StorageService } = await import('../../src/modules/media/storage.service.js');
+const { default: MediaController } = await import('../../src/modules/media/media.controller.js');
+const { upload, handleMulterError } = await import('../../src/modules/media/upload.middleware.js');
+const { errorHandler } = await import('../../src/shared/middleware/error.middleware.js');
+
+// The two public local-driver routes, without the rate limiter in front
+const app = express();
+app.post('/api/media/direct-upload', upload.single('file'), handleMulterError, MediaController.directUpload);
+app.get('/api/media/files/*', MediaController.downloadFile);
+app.use(errorHandler);
+
+const signedUpload = (params = {}) => StorageService.getSignedUploadUrl({
+  folder: 'temp/user-1',
+  resourceType: 'image',
+  maxFileSize: 1024 * 1024,
+  ...params,
+});
+
+const queryOf = (url) => Object.fromEntries(new URL(url).searchParams);
+
+describe('Local Storage Integration Tests', () => {
+  let image;
+
+  beforeAll(async () => {
+    image = await sharp({
+      create: { width: 40, height: 30, channels: 3, background: { r: 20, g: 120, b: 200 } }
+    }).png().toBuffer();
+  });
+
+  afterAll(async () => {
+    await fs.rm(tmpRoot, { recursive: true, force: true });
+  });
+
+  describe('Local driver', () => {
+    it('should be the active driver', () => {
+      expect(StorageService.provider).toBe('local');
+    });
+
+    it('should store uploads under the root with a sniffed extension', async () => {
+      const result = await StorageService.upload(image, {
+        folder: 'profiles/user-1',
+        publicId: 'avatar',
+        contentType: 'image/png',
+        filename: 'avatar.jpg',
+      });
+
+      expect(result).toMatchObject({
+        public_id: 'profiles/user-1/avatar.png',
+        resource_type: 'image',
+        provider: 'local',
+        width: 40,
+        height: 30,
+      });
+      expect(result.secure_url).toBe(LocalStorageStrategy.url('profiles/user-1/avatar.png'));
+      await fs.access(path.join(process.env.STORAGE_LOCAL_ROOT, 'profiles/user-1/avatar.png'));
+
+      expect(StorageService.publicIdFromUrl(result.secure_url)).toBe('profiles/user-1/avatar.png');
+      expect(await StorageService.delete(result.public_id)).toEqual({ result: 'ok' });
+      expect(await StorageService.delete(result.public_id)).toEqual({ result: 'not found' });
+    });
+
+    it('should refuse keys that leave the storage root', () => {
+      expect(() => LocalStorageStrategy.resolvePath('../outside.png')).toThrow('Invalid storage key');
+      expect(() => LocalStorageStrategy.resolvePath('a/../../outside.png')).toThrow('Invalid storage key');
+    });
+
+    it('should verify its own upload signatures and nothing else', async () => {
+      const { params } = await signedUpload();
+
+      expect(LocalStorageStrategy.verifySignedUpload(params)).toBe(true);
+      expect(LocalStorageStrategy.verifySignedUpload({ ...params, folder: 'temp/user-2' })).toBe(false);
+      expect(LocalStorageStrategy.verifySignedUpload({ ...params, max_file_size: 10 ** 9 })).toBe(false);
+      expect(LocalStorageStrategy.verifySignedUpload({ ...params, signature: undefined })).toBe(false);
+    });
+
+    it('should reject expired upload signatures', async () => {
+      const { params } = await signedUpload({ expiresIn: -10 });
+
+      expect(LocalStorageStrategy.verifySignedUpload(params)).toBe(false);
+    });
+
+    it('should only resolve untampered, unexpired download links', async () => {
+      const key = 'exports/user-1/chat.pdf';
+      const { url } = await StorageService.getSignedDownloadUrl(key, { type: 'authenticated', filename: 'chat.pdf' });
+      const params = queryOf(url);
+
+      expect(StorageService.resolveSignedDownload(key, params))
+        .toBe(path.join(process.env.STORAGE_LOCAL_PRIVATE_ROOT, key));
+      expect(StorageService.resolveSignedDownload('exports/user-2/chat.pdf', params)).toBeNull();
+      expect(StorageService.resolveSignedDownload(key, { ...params, filename: 'other.pdf' })).toBeNull();
+      expect(StorageService.resolveSignedDownload(key, { ...params, expires: Number(params.expires) + 60 })).toBeNull();
+
+      const expired = await StorageService.getSignedDownloadUrl(key, { type: 'authenticated', expiresIn: -10 });
+      expect(StorageService.resolveSignedDownload(key, queryOf(expired.url))).toBeNull();
+    });
+
+    it('should hand out plain URLs for public files', async () => {
+      const { url } = await StorageService.getSignedDownloadUrl('profiles/user-1/avatar.png');
+
+      expect(url).toBe(LocalStorageStrategy.url('profiles/user-1/avatar.png'));
+    });
+  });
+
+  describe('POST /api/media/direct-upload', () => {
+    it('should store a file sent with valid signed parameters', async () => {
+      const { params } = await signedUpload();
+
+      const response = await request(app)
+        .post('/api/media/direct-upload')
+        .field(params)
+        .attach('file', image, { filename: 'photo.png', contentType: 'image/png' })
+        .expect(201);
+
+      const { public_id: publicId } = response.body.data;
+      expect(publicId).toMatch(/^temp\/user-1\/.+\.png$/);
+      await fs.access(path.join(process.env.STORAGE_LOCAL_ROOT, publicId));
+    });
+
+    it('should reject tampered parameters', async () => {
+      const { params } = await signedUpload();
+
+      await request(app)
+        .post('/api/media/direct-upload')
+        .field({ ...params, folder: 'profiles/someone-else' })
+        .attach('file', image, { filename: 'photo.png', contentType: 'image/png' })
+        .expect(403);
+    });
+
+    it('should reject files over the signed size limit', async () => {
+      const { params } = await signedUpload({ maxFileSize: 100 });
+
+      await request(app)
+        .post('/api/media/direct-upload')
+        .field(params)
+        .attach('file', image, { filename: 'photo.png', contentType: 'image/png' })
+        .expect(400);
+    });
+
+    it('should require a file', async () => {
+      const { params } = await signedUpload();
+
+      await request(app)
+        .post('/api/media/direct-upload')
+        .field(params)
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/media/files/*', () => {
+    const key = 'exports/user-1/chat.txt';
+
+    beforeAll(async () => {
+      await StorageService.upload(Buffer.from('chat export'), {
+        folder: 'exports/user-1',
+        publicId: 'chat',
+        contentType: 'text/plain',
+        format: 'txt',
+        providerOptions: { type: 'authenticated' },
+      });
+    });
+
+    it('should keep private files out of the public root', async () => {
+      await expect(fs.access(path.join(process.env.STORAGE_LOCAL_ROOT, key))).rejects.toThrow();
+    });
+
+    it('should serve a private file through a signed link', async () => {
+      const { url } = await StorageService.getSignedDownloadUrl(key, { type: 'authenticated', filename: 'my-chat.txt' });
+      const { pathname, search } = new URL(url);
+
+      const response = await request(app).get(`${pathname}${search}`).expect(200);
+
+      expect(response.text).toBe('chat export');
+      expect(response.headers['cache-control']).toBe('private, no-store');
+      expect(response.headers['content-disposition']).toContain('my-chat.txt');
+    });
+
+    it('should refuse unsigned or tampered links', async () => {
+      const { url } = await StorageService.getSignedDownloadUrl(key, { type: 'authenticated' });
+      const { search } = new URL(url);
+
+      await request(app).get(`/api/media/files/${key}`).expect(403);
+      await request(app).get(`/api/media/files/exports/user-2/chat.txt${search}`).expect(403);
+    });
+  });
+});
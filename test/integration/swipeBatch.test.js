@@ -0,0 +1,138 @@
+import { jest } from '@jest/globals';
+import User from '../../src/modules/user/user.model.js';
+import Match from '../../src/modules/match/match.model.js';
+import Swipe from '../../src/modules/match/swipe.model.js';
+import MatchService from '../../src/modules/match/match.service.js';
+import EloAlgorithm from '../../src/modules/match/algorithms/elo.algorithm.js';
+import MetricsService from '../../src/shared/services/metrics.service.js';
+import { SWIPE_ACTIONS, SWIPE_BATCH_STATUS, ERROR_CODES } from '../../src/config/constants.js';
+import { setupTestDB, teardownTestDB, createTestUser } from '../setup.js';
+
+describe('Swipe Batch Integration Tests', () => {
+  let me;
+  let others;
+
+  const HOUR_MS = 60 * 60 * 1000;
+
+  const queued = (target, action, key, clientTimestamp = new Date()) => ({
+    targetUserId: target._id.toString(),
+    action,
+    idempotencyKey: key,
+    clientTimestamp: clientTimestamp.toISOString(),
+  });
+
+  const likeFrom = (from, to) => Swipe.create({
+    from: from._id,
+    to: to._id,
+    action: SWIPE_ACTIONS.LIKE,
+    device: { platform: 'ios' },
+  });
+
+  beforeAll(async () => {
+    await setupTestDB();
+    await Swipe.syncIndexes();
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(EloAlgorithm, 'calculateNewScores').mockResolvedValue(null);
+    jest.spyOn(MetricsService, 'incrementCounter').mockResolvedValue(null);
+    jest.spyOn(MatchService, 'trackSwipeMetrics').mockResolvedValue(null);
+    jest.spyOn(MatchService, 'clearSwipeCaches').mockResolvedValue(null);
+    jest.spyOn(MatchService, 'sendMatchNotifications').mockResolvedValue(null);
+    jest.spyOn(MatchService, 'trackMatchMetrics').mockResolvedValue(null);
+    jest.spyOn(MatchService, 'handleSuperLikeNotification').mockResolvedValue(null);
+    jest.spyOn(MatchService, 'emitMatchEvents').mockImplementation(() => {});
+
+    await Promise.all([User.deleteMany({}), Match.deleteMany({}), Swipe.deleteMany({})]);
+    me = await createTestUser('me.batch@example.com', 'Me');
+    others = await Promise.all(
+      ['Ann', 'Bea', 'Cat'].map(name => createTestUser(`${name.toLowerCase()}.batch@example.com`, name))
+    );
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should apply swipes in order and create matches with earlier likes', async () => {
+    await likeFrom(others[0], me);
+
+    const result = await MatchService.processSwipeBatch(me._id.toString(), [
+      queued(others[0], SWIPE_ACTIONS.LIKE, 'offline-key-1'),
+      queued(others[1], SWIPE_ACTIONS.NOPE, 'offline-key-2'),
+    ], { platform: 'ios' });
+
+    expect(result.results.map(r => r.status)).toEqual([SWIPE_BATCH_STATUS.APPLIED, SWIPE_BATCH_STATUS.APPLIED]);
+    expect(result.summary).toMatchObject({ applied: 2, matches: 1 });
+    expect(await Match.countDocuments()).toBe(1);
+
+    const saved = await Swipe.findOne({ from: me._id, to: others[1]._id });
+    expect(saved.sync).toMatchObject({ idempotencyKey: 'offline-key-2', batchIndex: 1 });
+  });
+
+  it('should replay a retried batch without swiping twice', async () => {
+    const swipes = [queued(others[0], SWIPE_ACTIONS.LIKE, 'offline-key-1')];
+
+    const first = await MatchService.processSwipeBatch(me._id.toString(), swipes, { platform: 'ios' });
+    const retry = await MatchService.processSwipeBatch(me._id.toString(), swipes, { platform: 'ios' });
+
+    expect(retry.results[0].status).toBe(SWIPE_BATCH_STATUS.REPLAYED);
+    expect(retry.results[0].swipe.id).toEqual(first.results[0].swipe.id);
+    expect(await Swipe.countDocuments({ from: me._id })).toBe(1);
+  });
+
+  it('should report duplicates of swipes made outside the batch', async () => {
+    await likeFrom(me, others[0]);
+
+    const { results } = await MatchService.processSwipeBatch(me._id.toString(), [
+      queued(others[0], SWIPE_ACTIONS.NOPE, 'offline-key-1'),
+    ], { platform: 'ios' });
+
+    expect(results[0]).toMatchObject({
+      status: SWIPE_BATCH_STATUS.DUPLICATE,
+      error: { code: ERROR_CODES.ALREADY_EXISTS },
+    });
+  });
+
+  it('should use up the super like quota in order', async () => {
+    const { results } = await MatchService.processSwipeBatch(me._id.toString(), [
+      queued(others[0], SWIPE_ACTIONS.SUPER_LIKE, 'offline-key-1'),
+      queued(others[1], SWIPE_ACTIONS.SUPER_LIKE, 'offline-key-2'),
+      queued(others[2], SWIPE_ACTIONS.NOPE, 'offline-key-3'),
+    ], { platform: 'ios' });
+
+    expect(results.map(r => r.status)).toEqual([
+      SWIPE_BATCH_STATUS.APPLIED,
+      SWIPE_BATCH_STATUS.REJECTED,
+      SWIPE_BATCH_STATUS.APPLIED,
+    ]);
+    expect(results[1].error.code).toBe(ERROR_CODES.LIMIT_EXCEEDED);
+  });
+
+  it('should reject swipes queued too long ago or dated in the future', async () => {
+    const { results } = await MatchService.processSwipeBatch(me._id.toString(), [
+      queued(others[0], SWIPE_ACTIONS.LIKE, 'offline-key-1', new Date(Date.now() - 100 * HOUR_MS)),
+      queued(others[1], SWIPE_ACTIONS.LIKE, 'offline-key-2', new Date(Date.now() + HOUR_MS)),
+    ], { platform: 'ios' });
+
+    expect(results.map(r => r.status)).toEqual([SWIPE_BATCH_STATUS.REJECTED, SWIPE_BATCH_STATUS.REJECTED]);
+    expect(await Swipe.countDocuments({ from: me._id })).toBe(0);
+  });
+
+  it('should create a single match when both swipes are checked together', async () => {
+    const [mine, theirs] = await Promise.all([likeFrom(me, others[0]), likeFrom(others[0], me)]);
+
+    const results = await Promise.all([
+      MatchService.checkAndCreateMatch(mine),
+      MatchService.checkAndCreateMatch(theirs),
+    ]);
+
+    expect(results.filter(r => r.isMatch)).toHaveLength(1);
+    expect(await Match.countDocuments()).toBe(1);
+    expect(await Swipe.countDocuments({ 'match.isMatch': true })).toBe(2);
+  });
+});
@@ -0,0 +1,155 @@
+import { jest } from '@jest/globals';
+import User from '../../src/modules/user/user.model.js';
+import Match from '../../src/modules/match/match.model.js';
+import Message from '../../src/modules/chat/message.model.js';
+import ChatService from '../../src/modules/chat/chat.service.js';
+import TranslationService, { TRANSLATION_QUEUE } from '../../src/modules/chat/translation.service.js';
+import StubTranslationStrategy from '../../src/modules/chat/strategies/stubTranslation.strategy.js';
+import DictionaryTranslationStrategy from '../../src/modules/chat/strategies/dictionary.strategy.js';
+import { detectLanguage } from '../../src/modules/chat/languageDetector.js';
+import NotificationService from '../../src/shared/services/notification.service.js';
+import MetricsService from '../../src/shared/services/metrics.service.js';
+import QueueService from '../../src/shared/services/queue.service.js';
+import {
+  ERROR_CODES,
+  MESSAGE_TYPES,
+  SOCKET_EVENTS,
+  SUBSCRIPTION_TYPES,
+} from '../../src/config/constants.js';
+import { setupTestDB, teardownTestDB, createTestUser } from '../setup.js';
+
+describe('Chat Translation Integration Tests', () => {
+  let alice;
+  let bob;
+  let match;
+  let emitted;
+
+  const createUser = (email, firstName, preferences = {}) => createTestUser(email, firstName, {
+    preferences,
+    subscription: { type: SUBSCRIPTION_TYPES.GOLD, validUntil: new Date(Date.now() + 86400000) },
+  });
+
+  const send = (sender, text) => ChatService.sendMessage(sender._id.toString(), match._id.toString(), {
+    type: MESSAGE_TYPES.TEXT,
+    content: { text },
+  });
+
+  beforeAll(async () => {
+    await setupTestDB();
+  });
+
+  afterAll(async () => {
+    await teardownTestDB();
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(NotificationService, 'sendNotification').mockResolvedValue(true);
+    jest.spyOn(MetricsService, 'incrementCounter').mockResolvedValue(null);
+    jest.spyOn(QueueService, 'addJob').mockResolvedValue('job-id');
+
+    await Promise.all([User.deleteMany({}), Match.deleteMany({}), Message.deleteMany({})]);
+    alice = await createUser('alice.translate@example.com', 'Alice');
+    bob = await createUser('bob.translate@example.com', 'Bob', { language: 'vi', autoTranslate: true });
+    match = await Match.create({ users: [alice._id, bob._id], initiatedBy: alice._id });
+
+    StubTranslationStrategy.reset();
+    emitted = [];
+    TranslationService.setTransport((userId, event, data) => emitted.push({ userId, event, data }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Offline helpers', () => {
+    it('should detect the language of chat-sized text', () => {
+      expect(detectLanguage('Willst du am Freitag mit mir essen gehen?').language).toBe('de');
+      expect(detectLanguage('Tôi rất thích nói chuyện với bạn').language).toBe('vi');
+      expect(detectLanguage('¿Quieres cenar conmigo el viernes?').language).toBe('es');
+      expect(detectLanguage('haha ok')).toBeNull();
+    });
+
+    it('should translate known phrases and leave the rest alone', async () => {
+      const result = await DictionaryTranslationStrategy.translate({
+        text: 'Hello! How are you?',
+        source: 'en',
+        target: 'vi',
+      });
+
+      expect(result).toMatchObject({ text: 'Xin chào! Bạn khỏe không?', coverage: 1 });
+      expect(await DictionaryTranslationStrategy.translate({ text: 'zzz qqq', source: 'en', target: 'es' })).toBeNull();
+    });
+  });
+
+  describe('Translating on request', () => {
+    it('should call the provider once per message and language', async () => {
+      const { message } = await send(alice, 'Would you like to get a coffee this week?');
+
+      const [first, concurrent] = await Promise.all([
+        TranslationService.translateMessage(bob._id.toString(), message.id, 'fr'),
+        TranslationService.translateMessage(bob._id.toString(), message.id, 'fr'),
+      ]);
+      const again = await TranslationService.translateMessage(alice._id.toString(), message.id, 'fr');
+
+      expect(first).toMatchObject({
+        translatedText: '[fr] Would you like to get a coffee this week?',
+        sourceLanguage: 'en',
+        provider: 'stub',
+        cached: false,
+      });
+      expect(concurrent.translatedText).toBe(first.translatedText);
+      expect(again.cached).toBe(true);
+      expect(StubTranslationStrategy.getCalls().filter(c => c.target === 'fr')).toHaveLength(1);
+
+      const stored = await Message.findById(message.id);
+      expect(stored.translation.translations).toHaveLength(1);
+      expect(stored.translation).toMatchObject({ isTranslated: true, originalLanguage: 'en' });
+    });
+
+    it('should fall back to the dictionary without caching it', async () => {
+      const { message } = await send(alice, 'Thank you, see you tomorrow!');
+      StubTranslationStrategy.failNext();
+
+      const result = await TranslationService.translateMessage(bob._id.toString(), message.id, 'es');
+
+      expect(result).toMatchObject({ translatedText: 'Gracias, hasta mañana!', provider: 'dictionary', fallback: true });
+      expect((await Message.findById(message.id)).translation.translations).toHaveLength(0);
+    });
+
+    it('should only translate for people in the conversation', async () => {
+      const eve = await createUser('eve.translate@example.com', 'Eve');
+      const { message } = await send(alice, 'Would you like to get a coffee this week?');
+
+      await expect(TranslationService.translateMessage(eve._id.toString(), message.id, 'fr'))
+        .rejects.toMatchObject({ errorCode: ERROR_CODES.FORBIDDEN });
+    });
+  });
+
+  describe('Auto-translation', () => {
+    it('should translate into the recipient\'s chat language', async () => {
+      const { message } = await send(alice, 'Are you free tonight? There is a new place near the park.');
+
+      expect(QueueService.addJob).toHaveBeenCalledWith(TRANSLATION_QUEUE, {
+        messageId: message.id.toString(),
+        recipientId: bob._id.toString(),
+        targetLanguage: 'vi',
+      });
+
+      const [, data] = QueueService.addJob.mock.calls.find(([queue]) => queue === TRANSLATION_QUEUE);
+      await TranslationService.processAutoTranslation(data);
+
+      const [event] = emitted.filter(e => e.userId === bob._id.toString() && e.event === SOCKET_EVENTS.MESSAGE_TRANSLATED);
+      expect(event.data.translation).toMatchObject({ language: 'vi', sourceLanguage: 'en', provider: 'stub' });
+
+      const stored = await Message.findById(message.id);
+      expect(stored.translation.translations[0]).toMatchObject({ language: 'vi', translatedBy: 'auto' });
+    });
+
+    it('should skip messages already in the recipient\'s language', async () => {
+      await send(alice, 'Tối nay bạn có rảnh không, mình đi uống cà phê nhé?');
+      await send(bob, 'Are you free tonight? There is a new place near the park.');
+
+      expect(QueueService.addJob.mock.calls.filter(([queue]) => queue === TRANSLATION_QUEUE)).toHaveLength(0);
+    });
+  });
+});
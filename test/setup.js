@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+import { MongoMemoryReplSet } from 'mongodb-memory-server';
+import User from '../src/modules/user/user.model.js';
+
+let mongoServer;
+
+/**
+ * Start an in-memory MongoDB and connect mongoose to it. A single-node
+ * replica set, so code that uses transactions works.
+ */
+export const setupTestDB = async () => {
+  mongoServer = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+  await mongoose.connect(mongoServer.getUri());
+};
+
+export const teardownTestDB = async () => {
+  await mongoose.connection.dropDatabase();
+  await mongoose.disconnect();
+  await mongoServer?.stop();
+};
+
+/**
+ * Create a user with a valid profile
+ * @param {string} email
+ * @param {string} firstName
+ * @param {Object} fields - Extra user fields; `profile` is merged into the default profile
+ */
+export const createTestUser = (email, firstName = 'Test', { profile = {}, ...fields } = {}) => User.create({
+  email,
+  password: 'Test1234!',
+  profile: {
+    firstName,
+    dateOfBirth: new Date('1995-01-01'),
+    gender: 'female',
+    location: { type: 'Point', coordinates: [105.85, 21.03] },
+    ...profile,
+  },
+  ...fields,
+});